@@ -144,7 +144,7 @@ export const HOOK_EVENTS = Object.freeze([
  * Canonical SDK names.
  * @type {readonly string[]}
  */
-const VALID_SDKS = Object.freeze(["codex", "copilot", "claude", "opencode", "gemini"]);
+const VALID_SDKS = Object.freeze(["codex", "copilot", "claude", "opencode", "gemini", "cli-agent", "openai-compat", "scripted"]);
 
 /**
  * Wildcard indicating a hook applies to all SDKs.
@@ -21,8 +21,11 @@
  *
  * MULTI-SDK SUPPORT:
  * ──────────────────
- * The pool dynamically selects the correct SDK adapter (Codex, Copilot, or
- * Claude) based on configuration.  Resolution order:
+ * The pool dynamically selects the correct SDK adapter (Codex, Copilot,
+ * Claude, a declarative "cli-agent" spec from cli-agent-shell.mjs, or the
+ * built-in "openai-compat" tool loop from openai-compat-shell.mjs) based on
+ * configuration. The "scripted" SDK (scripted-agent-shell.mjs) replays a
+ * test script instead of calling a model and is only used when selected.  Resolution order:
  *   1. `AGENT_POOL_SDK` env var (explicit override)
  *   2. `PRIMARY_AGENT` env var → maps to SDK
  *   3. `loadConfig().agentPool.sdk` from `bosun.config.json`
@@ -57,6 +60,19 @@ import { resolveRepoRoot, resolveAgentRepoRoot } from "../config/repo-root.mjs";
 import { resolveCodexProfileRuntime, readCodexConfigRuntimeDefaults } from "../shell/codex-model-profiles.mjs";
 import { buildTaskWritableRoots } from "../shell/codex-config.mjs";
 import { resolveCopilotCliLaunchConfig } from "../shell/copilot-shell.mjs";
+import { hasCliAgentSpecs, resolveCliAgentSpec, runCliAgent } from "../shell/cli-agent-shell.mjs";
+import {
+  isOpenAiCompatConfigured,
+  resolveOpenAiCompatSettings,
+  runOpenAiCompatAgent,
+} from "../shell/openai-compat-shell.mjs";
+import {
+  createScriptedSteeringQueue,
+  hasScriptedAgentScript,
+  loadScriptedAgentScript,
+  nextScriptedAttempt,
+  runScriptedAttempt,
+} from "../shell/scripted-agent-shell.mjs";
 import { getGitHubToken } from "../github/github-auth-manager.mjs";
 import {
   isTransientStreamError,
@@ -1061,6 +1077,8 @@ function shouldFallbackForSdkError(error) {
   if (message.includes("os error 2")) return true;
   if (message.includes("spawn failed")) return true;
   if (message.includes("codex exec exited")) return true;
+  // Declarative CLI agents flag exit codes their spec marks as retryable.
+  if (message.includes("retryable exit code")) return true;
   return false;
 }
 
@@ -1141,6 +1159,34 @@ function hasSdkPrerequisites(name, runtimeEnv = process.env) {
     }
     return { ok: true, reason: null };
   }
+  if (name === "cli-agent") {
+    const requested = String(runtimeEnv.BOSUN_CLI_AGENT || "").trim();
+    if (!resolveCliAgentSpec(requested)) {
+      return {
+        ok: false,
+        reason: requested
+          ? `no cli-agent spec named "${requested}"`
+          : "no cli-agent spec configured",
+      };
+    }
+    return { ok: true, reason: null };
+  }
+  if (name === "scripted") {
+    try {
+      if (!loadScriptedAgentScript()) {
+        return { ok: false, reason: "no BOSUN_SCRIPTED_AGENT_SCRIPT configured" };
+      }
+    } catch (err) {
+      return { ok: false, reason: err.message };
+    }
+    return { ok: true, reason: null };
+  }
+  if (name === "openai-compat") {
+    if (!isOpenAiCompatConfigured({ env: runtimeEnv })) {
+      return { ok: false, reason: "no OPENAI_COMPAT_BASE_URL configured" };
+    }
+    return { ok: true, reason: null };
+  }
   return { ok: true, reason: null };
 }
 
@@ -1390,6 +1436,8 @@ function buildCodexSdkOptions(envInput = process.env, options = {}) {
  * @property {string}   name           Human-readable SDK name.
  * @property {Function} load           Async loader returning the launcher fn.
  * @property {string}   envDisableKey  Env var name that disables this SDK.
+ * @property {Function} [isConfigured] Returns false while the SDK has nothing to run.
+ * @property {boolean}  [isolated]     Never part of a fallback chain and never cooled down.
  */
 
 /**
@@ -1413,13 +1461,36 @@ const SDK_ADAPTERS = {
     load: loadClaudeAdapter,
     envDisableKey: "CLAUDE_SDK_DISABLED",
   },
+  // Counts as disabled until a cli-agent spec exists (see cli-agent-shell.mjs).
+  "cli-agent": {
+    name: "cli-agent",
+    load: loadCliAgentAdapter,
+    envDisableKey: "CLI_AGENT_SDK_DISABLED",
+    isConfigured: hasCliAgentSpecs,
+  },
+  // Counts as disabled until a base URL is set (see openai-compat-shell.mjs).
+  "openai-compat": {
+    name: "openai-compat",
+    load: loadOpenAiCompatAdapter,
+    envDisableKey: "OPENAI_COMPAT_SDK_DISABLED",
+    isConfigured: () => isOpenAiCompatConfigured(),
+  },
+  // Test double: only runs when selected (AGENT_POOL_SDK=scripted) and a
+  // script is set. Failures are returned as-is so retries stay reproducible.
+  scripted: {
+    name: "scripted",
+    load: loadScriptedAdapter,
+    envDisableKey: "SCRIPTED_SDK_DISABLED",
+    isConfigured: hasScriptedAgentScript,
+    isolated: true,
+  },
 };
 
 /**
  * Ordered fallback chain for SDK resolution.
  * Configurable via bosun.config.json → agentPool.fallbackOrder
  */
-let SDK_FALLBACK_ORDER = ["codex", "copilot", "claude"];
+let SDK_FALLBACK_ORDER = ["codex", "copilot", "claude", "cli-agent", "openai-compat"];
 
 function getSdkFallbackOrder() {
   const envOrder = String(process.env.BOSUN_AGENT_POOL_FALLBACK_ORDER || "").trim();
@@ -1466,7 +1537,8 @@ let resolutionLogged = false;
 function isDisabled(name) {
   const adapter = SDK_ADAPTERS[name];
   if (!adapter) return true;
-  return envFlagEnabled(process.env[adapter.envDisableKey]);
+  if (envFlagEnabled(process.env[adapter.envDisableKey])) return true;
+  return typeof adapter.isConfigured === "function" && !adapter.isConfigured();
 }
 
 const DEFAULT_SDK_FAILURE_COOLDOWN_MS = 5 * 60 * 1000;
@@ -1543,7 +1615,7 @@ function shouldApplySdkCooldown(error) {
 }
 
 function applySdkFailureCooldown(name, error, nowMs = Date.now()) {
-  if (!name || !SDK_ADAPTERS[name]) return;
+  if (!name || !SDK_ADAPTERS[name] || SDK_ADAPTERS[name].isolated) return;
   if (!shouldApplySdkCooldown(error)) return;
   const cooldownMs = getSdkFailureCooldownMs();
   if (cooldownMs <= 0) return;
@@ -2960,6 +3032,163 @@ async function resumeClaudeThread(
   });
 }
 
+/**
+ * Launch a single prompt via a declarative **CLI agent** spec.
+ *
+ * The spec is picked by `extra.cliAgent`, then BOSUN_CLI_AGENT, then the
+ * default spec. Passing `extra.resumeThreadId` adds the spec's resume args;
+ * the session id parsed from output becomes the thread id.
+ *
+ * @param {string}  prompt     Prompt text.
+ * @param {string}  cwd        Working directory.
+ * @param {number}  timeoutMs  Abort timeout in ms.
+ * @param {object}  extra      Optional { onEvent, abortController, resumeThreadId, onThreadReady, cliAgent }.
+ * @returns {Promise<{ success: boolean, output: string, items: Array, error: string|null, sdk: string, threadId: string|null }>}
+ */
+async function launchCliAgentThread(prompt, cwd, timeoutMs, extra = {}) {
+  timeoutMs = Number(timeoutMs) || DEFAULT_TIMEOUT_MS;
+  const {
+    onEvent,
+    abortController: externalAC,
+    resumeThreadId = null,
+    onThreadReady = null,
+    model: requestedModel = null,
+    envOverrides = null,
+    cliAgent = null,
+  } = extra;
+
+  const spec = resolveCliAgentSpec(cliAgent || envOverrides?.BOSUN_CLI_AGENT || "");
+  if (!spec) {
+    return {
+      success: false,
+      output: "",
+      items: [],
+      error: `CLI agent not available: no spec named "${cliAgent || envOverrides?.BOSUN_CLI_AGENT || "default"}"`,
+      sdk: "cli-agent",
+      threadId: null,
+    };
+  }
+
+  const result = await runCliAgent(spec, prompt, {
+    cwd,
+    timeoutMs,
+    model: requestedModel,
+    env: envOverrides,
+    onEvent,
+    abortController: externalAC,
+    resumeSessionId: spec.resume.args.length ? resumeThreadId : null,
+  });
+  if (result.sessionId && typeof onThreadReady === "function") {
+    try {
+      onThreadReady(result.sessionId, "cli-agent");
+    } catch {
+      /* best effort */
+    }
+  }
+  return {
+    success: result.success,
+    output: result.output,
+    items: result.items,
+    error: result.error,
+    sdk: "cli-agent",
+    threadId: result.sessionId,
+  };
+}
+
+/**
+ * Launch a single prompt via an **OpenAI-compatible** chat completions
+ * endpoint, using the built-in tool loop from openai-compat-shell.mjs.
+ *
+ * There is no server-side session to resume; every launch starts from the
+ * prompt alone, so this SDK is not kept in the persistent thread registry.
+ *
+ * @param {string}  prompt     Prompt text.
+ * @param {string}  cwd        Working directory (tool sandbox root).
+ * @param {number}  timeoutMs  Abort timeout in ms.
+ * @param {object}  extra      Optional { onEvent, abortController, model, envOverrides }.
+ * @returns {Promise<{ success: boolean, output: string, items: Array, error: string|null, sdk: string, threadId: null, usage: object }>}
+ */
+async function launchOpenAiCompatThread(prompt, cwd, timeoutMs, extra = {}) {
+  timeoutMs = Number(timeoutMs) || DEFAULT_TIMEOUT_MS;
+  const {
+    onEvent,
+    abortController: externalAC,
+    model: requestedModel = null,
+    envOverrides = null,
+  } = extra;
+
+  const result = await runOpenAiCompatAgent(prompt, {
+    settings: resolveOpenAiCompatSettings({ env: envOverrides || process.env }),
+    cwd,
+    timeoutMs,
+    model: requestedModel,
+    env: envOverrides,
+    onEvent,
+    abortController: externalAC,
+  });
+  return {
+    success: result.success,
+    output: result.output,
+    items: result.items,
+    error: result.error,
+    sdk: "openai-compat",
+    threadId: null,
+    usage: result.usage,
+  };
+}
+
+/**
+ * Replay the next scripted attempt for `extra.taskKey` (or the prompt rules)
+ * from scripted-agent-shell.mjs. The run registers as an active session, so
+ * steerActiveThread() reaches `waitForSteer` steps.
+ *
+ * @param {string}  prompt     Prompt text (matched against prompt rules).
+ * @param {string}  cwd        Worktree the script edits and commits in.
+ * @param {number}  timeoutMs  Abort timeout in ms.
+ * @param {object}  extra      Optional { onEvent, abortController, taskKey }.
+ * @returns {Promise<{ success: boolean, output: string, items: Array, error: string|null, sdk: string, threadId: string|null }>}
+ */
+async function launchScriptedThread(prompt, cwd, timeoutMs, extra = {}) {
+  timeoutMs = Number(timeoutMs) || DEFAULT_TIMEOUT_MS;
+  const { onEvent, abortController: externalAC, taskKey: steerKey = null } = extra;
+  const fail = (error) => ({ success: false, output: "", items: [], error, sdk: "scripted", threadId: null });
+
+  let script;
+  try {
+    script = loadScriptedAgentScript();
+  } catch (err) {
+    return fail(`Scripted agent not available: ${err.message}`);
+  }
+  if (!script) return fail("Scripted agent not available: no script configured");
+  const picked = nextScriptedAttempt(script, { taskKey: steerKey || "", prompt });
+  if (!picked) return fail(`Scripted agent has no script for task "${steerKey || "(none)"}"`);
+
+  const threadId = `scripted-${randomUUID()}`;
+  const { controller, cleanup } = createScopedAbortController(externalAC, timeoutMs);
+  const steering = createScriptedSteeringQueue(controller.signal);
+  if (steerKey) registerActiveSession(steerKey, "scripted", threadId, steering.push);
+  try {
+    const result = await runScriptedAttempt(picked.steps, {
+      cwd,
+      onEvent,
+      signal: controller.signal,
+      steering,
+    });
+    return {
+      success: result.success,
+      output: result.output,
+      items: result.items,
+      error: result.error,
+      sdk: "scripted",
+      threadId,
+      usage: result.usage,
+    };
+  } finally {
+    cleanup();
+    if (steerKey) unregisterActiveSession(steerKey);
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Adapter loader functions (return the per-SDK launcher)
 // ---------------------------------------------------------------------------
@@ -2985,6 +3214,27 @@ async function loadClaudeAdapter() {
   return launchClaudeThread;
 }
 
+/**
+ * @returns {Promise<Function>} The declarative CLI agent launcher function.
+ */
+async function loadCliAgentAdapter() {
+  return launchCliAgentThread;
+}
+
+/**
+ * @returns {Promise<Function>} The OpenAI-compatible launcher function.
+ */
+async function loadOpenAiCompatAdapter() {
+  return launchOpenAiCompatThread;
+}
+
+/**
+ * @returns {Promise<Function>} The scripted test-double launcher function.
+ */
+async function loadScriptedAdapter() {
+  return launchScriptedThread;
+}
+
 // ---------------------------------------------------------------------------
 // Unified ephemeral thread launcher
 // ---------------------------------------------------------------------------
@@ -3009,6 +3259,7 @@ async function loadClaudeAdapter() {
  * @param {AbortController} [extra.abortController] External abort controller.
  * @param {string[]|string} [extra.claudeAllowedTools] Claude tool allow-list.
  * @param {string} [extra.claudePermissionMode] Claude permission mode override.
+ * @param {string} [extra.cliAgent]         CLI agent spec name for the "cli-agent" SDK.
  * @returns {Promise<{ success: boolean, output: string, items: Array, error: string|null, sdk: string }>}
  */
 export async function launchEphemeralThread(
@@ -3083,7 +3334,7 @@ export async function launchEphemeralThread(
       ? requestedSdk
       : resolvePoolSdkName();
 
-  const attemptOrder = launchExtra?.disableFallback
+  const attemptOrder = launchExtra?.disableFallback || SDK_ADAPTERS[primaryName].isolated
     ? [primaryName]
     : [
         primaryName,
@@ -3484,7 +3735,7 @@ const MAX_THREAD_TURNS = 100;
 const THREAD_MAX_ABSOLUTE_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
 
 /** SDKs that provide real resumable thread IDs */
-const PERSISTENT_THREAD_SDKS = new Set(["codex", "copilot", "claude"]);
+const PERSISTENT_THREAD_SDKS = new Set(["codex", "copilot", "claude", "cli-agent"]);
 
 function sdkSupportsPersistentThreads(sdkName) {
   return PERSISTENT_THREAD_SDKS.has(String(sdkName || "").toLowerCase());
@@ -4200,6 +4451,32 @@ export async function launchOrResumeThread(
           return { ...result, resumed: true };
         }
 
+        console.warn(
+          `${TAG} resume failed for task "${taskKey}": ${result.error}. Starting fresh.`,
+        );
+        existing.alive = false;
+        existing.lastError = result.error || existing.lastError || null;
+        threadRegistry.set(taskKey, existing);
+        saveThreadRegistry().catch(() => {});
+      } else if (sdkName === "cli-agent" && existing.sdk === "cli-agent") {
+        console.log(
+          `${TAG} resuming CLI agent session ${existing.threadId} for task "${taskKey}" (turn ${existing.turnCount + 1})`,
+        );
+        const result = await launchCliAgentThread(prompt, cwd, timeoutMs, {
+          ...restExtra,
+          resumeThreadId: existing.threadId,
+        });
+
+        if (result.success) {
+          existing.turnCount += 1;
+          existing.lastUsedAt = Date.now();
+          existing.lastError = null;
+          if (result.threadId) existing.threadId = result.threadId;
+          threadRegistry.set(taskKey, existing);
+          saveThreadRegistry().catch(() => {});
+          return { ...result, resumed: true };
+        }
+
         console.warn(
           `${TAG} resume failed for task "${taskKey}": ${result.error}. Starting fresh.`,
         );
@@ -1,7 +1,9 @@
 /**
  * primary-agent.mjs — Adapter that selects the primary agent implementation.
  *
- * Supports Codex SDK, Copilot SDK, and Claude SDK.
+ * Supports Codex SDK, Copilot SDK, Claude SDK, Gemini, OpenCode,
+ * declarative CLI agents (see cli-agent-shell.mjs), and OpenAI-compatible
+ * endpoints (see openai-compat-shell.mjs).
  * Includes timeout detection and automatic failover between adapters.
  */
 
@@ -67,6 +69,24 @@ import {
   switchSession as switchGeminiSession,
   createSession as createGeminiSession,
 } from "../shell/gemini-shell.mjs";
+import {
+  execCliAgentPrompt,
+  steerCliAgentPrompt,
+  isCliAgentBusy,
+  getSessionInfo as getCliAgentSessionInfo,
+  resetSession as resetCliAgentSession,
+  initCliAgentShell,
+  hasCliAgentSpecs,
+} from "../shell/cli-agent-shell.mjs";
+import {
+  execOpenAiCompatPrompt,
+  steerOpenAiCompatPrompt,
+  isOpenAiCompatBusy,
+  getSessionInfo as getOpenAiCompatSessionInfo,
+  resetSession as resetOpenAiCompatSession,
+  initOpenAiCompatShell,
+  isOpenAiCompatConfigured,
+} from "../shell/openai-compat-shell.mjs";
 import { getModelsForExecutor, normalizeExecutorKey } from "../task/task-complexity.mjs";
 
 /** Valid agent interaction modes */
@@ -513,6 +533,48 @@ const ADAPTERS = {
       });
     },
   },
+  "cli-agent": {
+    name: "cli-agent",
+    provider: "CLI_AGENT",
+    displayName: "CLI Agent",
+    exec: execCliAgentPrompt,
+    steer: steerCliAgentPrompt,
+    isBusy: isCliAgentBusy,
+    getInfo: () => getCliAgentSessionInfo(),
+    reset: resetCliAgentSession,
+    init: async () => initCliAgentShell(),
+    isAvailable: hasCliAgentSpecs,
+    sdkCommands: ["/clear"],
+    execSdkCommand: async (command) => {
+      const cmd = command.startsWith("/") ? command : `/${command}`;
+      if (cmd === "/clear") {
+        await resetCliAgentSession();
+        return "Session cleared.";
+      }
+      throw new Error(`Command "${cmd}" not supported by cli-agent.`);
+    },
+  },
+  "openai-compat": {
+    name: "openai-compat",
+    provider: "OPENAI_COMPAT",
+    displayName: "OpenAI-compatible",
+    exec: execOpenAiCompatPrompt,
+    steer: steerOpenAiCompatPrompt,
+    isBusy: isOpenAiCompatBusy,
+    getInfo: () => getOpenAiCompatSessionInfo(),
+    reset: resetOpenAiCompatSession,
+    init: async () => initOpenAiCompatShell(),
+    isAvailable: () => isOpenAiCompatConfigured(),
+    sdkCommands: ["/clear"],
+    execSdkCommand: async (command) => {
+      const cmd = command.startsWith("/") ? command : `/${command}`;
+      if (cmd === "/clear") {
+        await resetOpenAiCompatSession();
+        return "Session cleared.";
+      }
+      throw new Error(`Command "${cmd}" not supported by openai-compat.`);
+    },
+  },
 };
 
 function envFlagEnabled(value) {
@@ -522,6 +584,17 @@ function envFlagEnabled(value) {
   return ["1", "true", "yes", "on", "y"].includes(raw);
 }
 
+/** "cli-agent" → CLI_AGENT_SDK_DISABLED, "codex-sdk" → CODEX_SDK_DISABLED */
+function adapterDisableEnvKey(adapterName) {
+  return `${String(adapterName).replace("-sdk", "").replace(/-/g, "_").toUpperCase()}_SDK_DISABLED`;
+}
+
+function isAdapterDisabled(adapterName) {
+  if (envFlagEnabled(process.env[adapterDisableEnvKey(adapterName)])) return true;
+  const adapter = ADAPTERS[adapterName];
+  return typeof adapter?.isAvailable === "function" && !adapter.isAvailable();
+}
+
 let activeAdapter = ADAPTERS["codex-sdk"];
 let activeExecutorSelection = "codex-sdk";
 let primaryProfile = null;
@@ -621,6 +694,9 @@ function normalizePrimaryAgent(value) {
     return "gemini-sdk";
   if (["opencode", "opencode-sdk", "open-code"].includes(raw))
     return "opencode-sdk";
+  if (["cli-agent", "cli_agent", "cli"].includes(raw)) return "cli-agent";
+  if (["openai-compat", "openai_compat", "openai-compatible"].includes(raw))
+    return "openai-compat";
   return raw;
 }
 
@@ -789,6 +865,16 @@ export async function initPrimaryAgent(nameOrConfig = null) {
     setPrimaryAgent("codex-sdk");
   }
 
+  if (activeAdapter.name === "cli-agent" && isAdapterDisabled("cli-agent")) {
+    primaryFallbackReason = "CLI agent disabled or not configured — falling back to Codex";
+    setPrimaryAgent("codex-sdk");
+  }
+
+  if (activeAdapter.name === "openai-compat" && isAdapterDisabled("openai-compat")) {
+    primaryFallbackReason = "OpenAI-compatible agent disabled or not configured — falling back to Codex";
+    setPrimaryAgent("codex-sdk");
+  }
+
   ensurePrimaryAgentConfigs(activeAdapter.name);
 
   const ok = await activeAdapter.init();
@@ -810,6 +896,18 @@ export async function initPrimaryAgent(nameOrConfig = null) {
     ensurePrimaryAgentConfigs(activeAdapter.name);
     await activeAdapter.init();
   }
+  if (activeAdapter.name === "cli-agent" && ok === false) {
+    primaryFallbackReason = "CLI agent unavailable — falling back to Codex";
+    setPrimaryAgent("codex-sdk");
+    ensurePrimaryAgentConfigs(activeAdapter.name);
+    await activeAdapter.init();
+  }
+  if (activeAdapter.name === "openai-compat" && ok === false) {
+    primaryFallbackReason = "OpenAI-compatible agent unavailable — falling back to Codex";
+    setPrimaryAgent("codex-sdk");
+    ensurePrimaryAgentConfigs(activeAdapter.name);
+    await activeAdapter.init();
+  }
 
   initialized = true;
   return getPrimaryAgentName();
@@ -828,6 +926,8 @@ const FALLBACK_ORDER = [
   "claude-sdk",
   "gemini-sdk",
   "opencode-sdk",
+  "cli-agent",
+  "openai-compat",
 ];
 
 const FAILOVER_CONSECUTIVE_INFRA_ERRORS = Math.max(
@@ -874,6 +974,7 @@ function isInfrastructureAdapterError(err) {
   return (
     /\bagent_timeout\b/.test(text) ||
     /\bcodex exec exited with code\b/.test(text) ||
+    /\bretryable exit code\b/.test(text) ||
     /\btransport channel closed\b/.test(text) ||
     /\bstream disconnected\b/.test(text) ||
     /\brate limit|too many requests|429\b/.test(text) ||
@@ -942,6 +1043,8 @@ function mapAdapterToPoolSdk(adapterName) {
   const normalized = String(adapterName || "").trim().toLowerCase();
   if (normalized === "copilot-sdk") return "copilot";
   if (normalized === "claude-sdk") return "claude";
+  if (normalized === "cli-agent") return "cli-agent";
+  if (normalized === "openai-compat") return "openai-compat";
   return "codex";
 }
 
@@ -1071,11 +1174,8 @@ export async function execPrimaryPrompt(userMessage, options = {}) {
   // Build ordered list of adapters to try: current first, then fallbacks
   const adaptersToTry = [activeAdapter.name];
   for (const name of FALLBACK_ORDER) {
-    if (name !== activeAdapter.name && ADAPTERS[name]) {
-      const envDisabledKey = `${name.replace("-sdk", "").toUpperCase()}_SDK_DISABLED`;
-      if (!envFlagEnabled(process.env[envDisabledKey])) {
-        adaptersToTry.push(name);
-      }
+    if (name !== activeAdapter.name && ADAPTERS[name] && !isAdapterDisabled(name)) {
+      adaptersToTry.push(name);
     }
   }
 
@@ -1428,8 +1528,7 @@ export function getAvailableAgents() {
     return configExecutors.map((entry, index) => {
       const adapterId = executorToAdapter(entry?.executor);
       const adapter = ADAPTERS[adapterId] || ADAPTERS["codex-sdk"];
-      const envDisabledKey = `${adapterId.replace("-sdk", "").toUpperCase()}_SDK_DISABLED`;
-      const sdkDisabled = envFlagEnabled(process.env[envDisabledKey]);
+      const sdkDisabled = isAdapterDisabled(adapterId);
       const profileEnabled = entry?.enabled !== false;
       const configuredModels = Array.isArray(entry?.models)
         ? entry.models
@@ -1456,8 +1555,7 @@ export function getAvailableAgents() {
   }
 
   return Object.entries(ADAPTERS).map(([id, adapter]) => {
-    const envDisabledKey = `${id.replace("-sdk", "").toUpperCase()}_SDK_DISABLED`;
-    const disabled = envFlagEnabled(process.env[envDisabledKey]);
+    const disabled = isAdapterDisabled(id);
     return {
       id,
       name: adapter.displayName || adapter.name,
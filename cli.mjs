@@ -85,6 +85,7 @@ function showHelp() {
     workflow list              List declarative pipeline workflows
     workflow run <name>        Run a declarative pipeline workflow
     workflow nodes             Inspect custom workflow node plugin health
+    workflow test [files]      Run *.wftest.json workflow unit tests
     tui                        Launch the terminal UI
     audit <command>            Run codebase annotation audit tools (scan|generate|warn|manifest|index|trim|conformity|migrate)
     --setup                    Launch the web-based setup wizard (default)
@@ -172,6 +173,7 @@ function showHelp() {
   WORKFLOWS
     workflow list               List built-in and configured workflows
     workflow run <name>         Run a declarative fresh-context workflow
+    workflow test [files]       Run workflow unit tests with mocked node outputs
 
     Run 'bosun workflow --help' for workflow CLI examples.
     Run 'bosun tui' to launch the terminal UI.
@@ -1368,8 +1370,8 @@ async function main() {
     const { runWorkflowCli } = await import("./workflow/workflow-cli.mjs");
     const commandStartIndex = workflowCommandIndex >= 0 ? workflowCommandIndex : workflowFlagIndex;
     const workflowArgs = args.slice(commandStartIndex + 1);
-    await runWorkflowCli(workflowArgs);
-    process.exit(0);
+    const result = await runWorkflowCli(workflowArgs);
+    process.exit(result?.ok === false ? 1 : 0);
   }
 
   const auditFlagIndex = args.indexOf("--audit");
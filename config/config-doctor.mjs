@@ -286,11 +286,11 @@ export function runConfigDoctor(options = {}) {
   }
 
   const backend = String(effective.KANBAN_BACKEND || "internal").toLowerCase();
-  if (!["internal", "github", "jira"].includes(backend)) {
+  if (!["internal", "github", "jira", "linear", "gitlab"].includes(backend)) {
     issues.errors.push({
       code: "KANBAN_BACKEND",
       message: `Invalid KANBAN_BACKEND: ${effective.KANBAN_BACKEND}`,
-      fix: "Use one of: internal, github, jira",
+      fix: "Use one of: internal, github, jira, linear, gitlab",
     });
   }
 
@@ -404,6 +404,14 @@ export function runConfigDoctor(options = {}) {
     }
   }
 
+  if (backend === "linear" && !effective.LINEAR_API_KEY) {
+    issues.errors.push({
+      code: "LINEAR_BACKEND_REQUIRED",
+      message: "KANBAN_BACKEND=linear is missing required config: LINEAR_API_KEY",
+      fix: "Set LINEAR_API_KEY (and optionally LINEAR_TEAM_KEY), or switch KANBAN_BACKEND=internal.",
+    });
+  }
+
   if (parseBool(effective.WHATSAPP_ENABLED)) {
     if (!effective.WHATSAPP_CHAT_ID) {
       issues.warnings.push({
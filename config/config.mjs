@@ -369,7 +369,7 @@ function resolveKanbanBackendSource({ envPaths = [], configFilePath, configData
   });
 }
 
-function validateKanbanBackendConfig({ kanbanBackend, kanban, jira, gnap }) {
+function validateKanbanBackendConfig({ kanbanBackend, kanban, jira, linear, gnap }) {
   if (kanbanBackend === "jira") {
     const missing = [];
     if (!jira?.baseUrl) missing.push("JIRA_BASE_URL");
@@ -388,6 +388,16 @@ function validateKanbanBackendConfig({ kanbanBackend, kanban, jira, gnap }) {
     return;
   }
 
+  if (kanbanBackend === "linear") {
+    if (!linear?.apiKey) {
+      throw new Error(
+        "[config] KANBAN_BACKEND=linear requires LINEAR_API_KEY. " +
+          "Either configure a Linear API key or switch KANBAN_BACKEND=internal.",
+      );
+    }
+    return;
+  }
+
   if (kanbanBackend !== "gnap") return;
 
   const invalid = [];
@@ -969,6 +979,8 @@ function normalizeKanbanBackend(value) {
     backend === "internal" ||
     backend === "github" ||
     backend === "jira" ||
+    backend === "linear" ||
+    backend === "gitlab" ||
     backend === "gnap"
   ) {
     return backend;
@@ -1686,6 +1698,56 @@ export function loadConfig(argv = process.argv, options = {}) {
         "",
     }),
   });
+  const linear = Object.freeze({
+    apiKey:
+      process.env.LINEAR_API_KEY || configData.kanban?.linear?.apiKey || "",
+    apiUrl:
+      process.env.LINEAR_API_URL ||
+      configData.kanban?.linear?.apiUrl ||
+      "https://api.linear.app/graphql",
+    teamKey:
+      process.env.LINEAR_TEAM_KEY ||
+      process.env.LINEAR_TEAM_ID ||
+      configData.kanban?.linear?.teamKey ||
+      kanban.projectId ||
+      "",
+    statusMapping: Object.freeze({
+      todo:
+        process.env.LINEAR_STATUS_TODO ||
+        configData.kanban?.linear?.statusMapping?.todo ||
+        "",
+      inprogress:
+        process.env.LINEAR_STATUS_INPROGRESS ||
+        configData.kanban?.linear?.statusMapping?.inprogress ||
+        "",
+      inreview:
+        process.env.LINEAR_STATUS_INREVIEW ||
+        configData.kanban?.linear?.statusMapping?.inreview ||
+        "",
+      done:
+        process.env.LINEAR_STATUS_DONE ||
+        configData.kanban?.linear?.statusMapping?.done ||
+        "",
+      cancelled:
+        process.env.LINEAR_STATUS_CANCELLED ||
+        configData.kanban?.linear?.statusMapping?.cancelled ||
+        "",
+    }),
+  });
+  const gitlab = Object.freeze({
+    url: String(
+      process.env.GITLAB_URL || configData.kanban?.gitlab?.url || "",
+    ).trim(),
+    project: String(
+      process.env.GITLAB_PROJECT ||
+        configData.kanban?.gitlab?.project ||
+        (kanbanBackend === "gitlab" ? kanban.projectId : "") ||
+        "",
+    ).trim(),
+    credential: String(
+      process.env.GITLAB_CREDENTIAL || configData.kanban?.gitlab?.credential || "",
+    ).trim(),
+  });
   const gnap = Object.freeze({
     enabled: isEnvEnabled(
       process.env.GNAP_ENABLED ?? configData.kanban?.gnap?.enabled,
@@ -1711,7 +1773,7 @@ export function loadConfig(argv = process.argv, options = {}) {
       false,
     ),
   });
-  validateKanbanBackendConfig({ kanbanBackend, kanban, jira, gnap });
+  validateKanbanBackendConfig({ kanbanBackend, kanban, jira, linear, gnap });
 
   const internalExecutorConfig = configData.internalExecutor || {};
   const workflowRecoveryConfig =
@@ -2438,12 +2500,23 @@ export function loadConfig(argv = process.argv, options = {}) {
     kanbanSource,
     githubProjectSync,
     jira,
+    linear,
+    gitlab,
     gnap,
     projectRequirements,
 
     // Voice assistant
     voice: Object.freeze(configData.voice || {}),
 
+    // Declarative CLI agent adapters (shell/cli-agent-shell.mjs)
+    cliAgents: Object.freeze(configData.cliAgents || {}),
+
+    // OpenAI-compatible endpoint executor (shell/openai-compat-shell.mjs)
+    openaiCompat: Object.freeze(configData.openaiCompat || {}),
+
+    // Complexity routing + adaptive executor router (task/task-complexity.mjs)
+    complexityRouting: Object.freeze(configData.complexityRouting || {}),
+
     // Merge Strategy
     codexAnalyzeMergeStrategy:
       codexEnabled &&
@@ -0,0 +1,499 @@
+/**
+ * gitlab-client.mjs — GitLab REST v4 client for merge requests and issues
+ *
+ * Backs the merge-request path of action.create_pr and the GitLab kanban
+ * backend. Works against gitlab.com and self-hosted instances alike: the API
+ * base URL is derived from the repository remote.
+ *
+ * A remote is treated as GitLab when its host is gitlab.com, contains
+ * "gitlab", or is listed in GITLAB_HOSTS (comma-separated host names).
+ *
+ * Token resolution (first match wins):
+ *   1. credential-store entry named by the caller
+ *   2. credential-store entries "gitlab:<host>", then "gitlab"
+ *   3. GITLAB_TOKEN env var
+ *
+ * EXPORTS:
+ *   parseGitRemoteUrl(url)                → { provider, host, hostname, projectPath, baseUrl } | null
+ *   detectRepoGitRemote(cwd)              → same, for `git remote get-url origin`
+ *   resolveGitLabToken(opts)              → { token, source } | null
+ *   normalizePipelineStatus(pipeline)     → { state, status, id, url } | null
+ *   GitLabClient                          → REST client
+ *   openMergeRequest(client, project, o)  → create-or-reuse an MR with labels, reviewers, auto-merge
+ */
+
+import { execFileSync } from "node:child_process";
+import { existsSync } from "node:fs";
+import { resolve } from "node:path";
+import { fetchWithFallback } from "../infra/fetch-runtime.mjs";
+import { CredentialStore } from "../workflow/credential-store.mjs";
+
+const TAG = "[gitlab]";
+const DEFAULT_PER_PAGE = 100;
+
+/** GitLab pipeline statuses grouped into the check states Bosun reasons about. */
+const PIPELINE_STATE_BY_STATUS = {
+  created: "pending",
+  waiting_for_resource: "pending",
+  preparing: "pending",
+  pending: "pending",
+  running: "pending",
+  scheduled: "pending",
+  manual: "blocked",
+  success: "success",
+  failed: "failure",
+  canceled: "cancelled",
+  skipped: "skipped",
+};
+
+function listConfiguredGitLabHosts() {
+  return String(process.env.GITLAB_HOSTS || "")
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function classifyHost(hostname, host) {
+  const name = String(hostname || "").toLowerCase();
+  if (name === "github.com" || name.endsWith(".github.com")) return "github";
+  const configured = listConfiguredGitLabHosts();
+  if (
+    name === "gitlab.com" ||
+    name.includes("gitlab") ||
+    configured.includes(name) ||
+    configured.includes(String(host || "").toLowerCase())
+  ) {
+    return "gitlab";
+  }
+  return null;
+}
+
+/**
+ * Parse an https, http, ssh or scp-style git remote URL.
+ * @param {string} url
+ * @returns {{provider: "github"|"gitlab"|null, host: string, hostname: string, projectPath: string, baseUrl: string}|null}
+ */
+export function parseGitRemoteUrl(url) {
+  const raw = String(url || "").trim();
+  if (!raw) return null;
+  let protocol = "https:";
+  let host = "";
+  let hostname = "";
+  let path = "";
+  const scpMatch = raw.match(/^(?:[^@/\s]+@)?([^:/\s]+):(?!\/\/)(.+)$/);
+  if (scpMatch && !/^[a-z][a-z0-9+.-]*:\/\//i.test(raw)) {
+    host = scpMatch[1];
+    hostname = scpMatch[1];
+    path = scpMatch[2];
+  } else {
+    let parsed;
+    try {
+      parsed = new URL(raw);
+    } catch {
+      return null;
+    }
+    hostname = parsed.hostname;
+    if (parsed.protocol === "http:" || parsed.protocol === "https:") {
+      protocol = parsed.protocol;
+      host = parsed.host;
+    } else {
+      // ssh:// remotes use the ssh port, not the web/API port.
+      host = parsed.hostname;
+    }
+    path = parsed.pathname;
+  }
+  const projectPath = path
+    .replace(/^\/+/, "")
+    .replace(/\/+$/, "")
+    .replace(/\.git$/i, "");
+  if (!hostname || !projectPath.includes("/")) return null;
+
+  let baseUrl = `${protocol}//${host}`;
+  const override = String(process.env.GITLAB_URL || "").trim().replace(/\/+$/, "");
+  if (override) {
+    try {
+      if (new URL(override).hostname.toLowerCase() === hostname.toLowerCase()) baseUrl = override;
+    } catch {
+      // ignore malformed override
+    }
+  }
+  return {
+    provider: classifyHost(hostname, host),
+    host,
+    hostname,
+    projectPath,
+    baseUrl,
+  };
+}
+
+/**
+ * Read and parse the origin remote of a checkout.
+ * @param {string} [cwd]
+ * @returns {ReturnType<typeof parseGitRemoteUrl>}
+ */
+export function detectRepoGitRemote(cwd = process.cwd(), remote = "origin") {
+  try {
+    const url = execFileSync("git", ["remote", "get-url", remote], {
+      cwd,
+      encoding: "utf8",
+      timeout: 10000,
+      stdio: ["ignore", "pipe", "ignore"],
+      windowsHide: true,
+    }).trim();
+    return parseGitRemoteUrl(url);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Resolve a GitLab token through the credential store, falling back to
+ * GITLAB_TOKEN.
+ * @param {object} [opts]
+ * @param {string} [opts.host] - Remote host, used for the "gitlab:<host>" entry
+ * @param {string} [opts.credential] - Explicit credential name
+ * @param {string[]} [opts.configDirs] - Directories that may hold .bosun/credentials.json
+ * @param {string} [opts.workflowId] - For credential scope checks
+ * @returns {{token: string, source: string}|null}
+ */
+export function resolveGitLabToken({ host, credential, configDirs = [], workflowId } = {}) {
+  const names = [
+    String(credential || "").trim(),
+    host ? `gitlab:${String(host).toLowerCase()}` : "",
+    "gitlab",
+  ].filter(Boolean);
+  const seenDirs = new Set();
+  for (const dir of configDirs) {
+    const configDir = String(dir || "").trim();
+    if (!configDir || seenDirs.has(configDir)) continue;
+    seenDirs.add(configDir);
+    if (!existsSync(resolve(configDir, ".bosun", "credentials.json"))) continue;
+    try {
+      const store = new CredentialStore({ configDir });
+      for (const name of names) {
+        const token = store.resolve(name, { workflowId });
+        if (token) return { token, source: `credential:${name}` };
+      }
+    } catch (err) {
+      console.warn(`${TAG} credential lookup failed in ${configDir}: ${err?.message || err}`);
+    }
+  }
+  const envToken = String(process.env.GITLAB_TOKEN || "").trim();
+  return envToken ? { token: envToken, source: "env:GITLAB_TOKEN" } : null;
+}
+
+/**
+ * Normalize a GitLab pipeline into a check state.
+ * @param {object|null} pipeline
+ * @returns {{state: string, status: string, id: number|null, url: string|null}|null}
+ */
+export function normalizePipelineStatus(pipeline) {
+  if (!pipeline || typeof pipeline !== "object") return null;
+  const status = String(pipeline.status || "").trim().toLowerCase();
+  return {
+    state: PIPELINE_STATE_BY_STATUS[status] || "pending",
+    status,
+    id: pipeline.id ?? null,
+    url: pipeline.web_url || null,
+  };
+}
+
+export class GitLabClient {
+  /**
+   * @param {object} opts
+   * @param {string} opts.baseUrl - Instance URL, e.g. https://gitlab.example.com
+   * @param {string} opts.token - Personal, project or group access token
+   */
+  constructor({ baseUrl, token } = {}) {
+    const base = String(baseUrl || "").trim().replace(/\/+$/, "");
+    if (!base) throw new Error(`${TAG} GitLabClient requires a baseUrl`);
+    if (!token) throw new Error(`${TAG} GitLabClient requires a token`);
+    this.baseUrl = base;
+    this.apiBase = `${base}/api/v4`;
+    this._token = token;
+  }
+
+  _projectRef(project) {
+    return encodeURIComponent(String(project || "").trim());
+  }
+
+  /**
+   * Perform an API call. Errors carry `.status` and `.payload`.
+   * @param {string} method
+   * @param {string} path - Path below /api/v4
+   * @param {object} [opts]
+   * @param {object} [opts.query]
+   * @param {object} [opts.body]
+   * @returns {Promise<{data: any, nextPage: number|null}>}
+   */
+  async request(method, path, { query, body } = {}) {
+    const url = new URL(`${this.apiBase}${path.startsWith("/") ? path : `/${path}`}`);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value === undefined || value === null || value === "") continue;
+      url.searchParams.set(key, Array.isArray(value) ? value.join(",") : String(value));
+    }
+    const response = await fetchWithFallback(url.toString(), {
+      method,
+      headers: {
+        "PRIVATE-TOKEN": this._token,
+        Accept: "application/json",
+        "Content-Type": "application/json",
+      },
+      body: body == null ? undefined : JSON.stringify(body),
+    });
+    if (!response || typeof response.status !== "number") {
+      throw new Error(`GitLab API ${method} ${path} failed: no HTTP response`);
+    }
+    const contentType = String(response.headers?.get?.("content-type") || "");
+    const payload = contentType.includes("application/json")
+      ? await response.json().catch(() => null)
+      : await response.text().catch(() => "");
+    if (!response.ok) {
+      const detail = payload?.message || payload?.error || payload;
+      const errorText = typeof detail === "string" ? detail : JSON.stringify(detail || "");
+      const error = new Error(
+        `GitLab API ${method} ${path} failed (${response.status}): ${errorText || response.statusText || "Unknown error"}`,
+      );
+      error.status = response.status;
+      error.payload = payload;
+      throw error;
+    }
+    const nextPage = Number.parseInt(String(response.headers?.get?.("x-next-page") || ""), 10);
+    return { data: payload, nextPage: Number.isFinite(nextPage) && nextPage > 0 ? nextPage : null };
+  }
+
+  async _get(path, query) {
+    return (await this.request("GET", path, { query })).data;
+  }
+
+  /**
+   * GET every page of a list endpoint, up to `limit` items.
+   * @returns {Promise<object[]>}
+   */
+  async paginate(path, query = {}, limit = Infinity) {
+    const items = [];
+    let page = 1;
+    while (page && items.length < limit) {
+      const { data, nextPage } = await this.request("GET", path, {
+        query: { per_page: DEFAULT_PER_PAGE, ...query, page },
+      });
+      if (!Array.isArray(data) || data.length === 0) break;
+      items.push(...data);
+      page = nextPage;
+    }
+    return items.slice(0, limit);
+  }
+
+  // ── Merge requests ──────────────────────────────────────────────────────
+
+  async findOpenMergeRequest(project, { sourceBranch, targetBranch } = {}) {
+    const list = await this._get(`/projects/${this._projectRef(project)}/merge_requests`, {
+      state: "opened",
+      source_branch: sourceBranch,
+      target_branch: targetBranch,
+    });
+    return Array.isArray(list) && list.length > 0 ? list[0] : null;
+  }
+
+  async getMergeRequest(project, iid) {
+    return this._get(`/projects/${this._projectRef(project)}/merge_requests/${iid}`);
+  }
+
+  async createMergeRequest(project, fields) {
+    return (await this.request("POST", `/projects/${this._projectRef(project)}/merge_requests`, {
+      body: fields,
+    })).data;
+  }
+
+  async updateMergeRequest(project, iid, fields) {
+    return (await this.request("PUT", `/projects/${this._projectRef(project)}/merge_requests/${iid}`, {
+      body: fields,
+    })).data;
+  }
+
+  /**
+   * Ask GitLab to merge once the pipeline succeeds.
+   * @param {string} project
+   * @param {number} iid
+   * @param {object} [opts]
+   * @param {"merge"|"squash"|"rebase"} [opts.method]
+   */
+  async enableAutoMerge(project, iid, { method = "merge" } = {}) {
+    return (await this.request("PUT", `/projects/${this._projectRef(project)}/merge_requests/${iid}/merge`, {
+      body: {
+        merge_when_pipeline_succeeds: true,
+        ...(method === "squash" ? { squash: true } : {}),
+      },
+    })).data;
+  }
+
+  /**
+   * Latest pipeline of a merge request.
+   * @returns {Promise<ReturnType<typeof normalizePipelineStatus>>}
+   */
+  async getMergeRequestPipeline(project, iid) {
+    const mr = await this.getMergeRequest(project, iid);
+    if (mr?.head_pipeline) return normalizePipelineStatus(mr.head_pipeline);
+    const pipelines = await this._get(
+      `/projects/${this._projectRef(project)}/merge_requests/${iid}/pipelines`,
+    );
+    return normalizePipelineStatus(Array.isArray(pipelines) ? pipelines[0] : null);
+  }
+
+  /**
+   * Map usernames to user ids; unknown usernames are reported, not thrown.
+   * @param {string[]} usernames
+   * @returns {Promise<{ids: number[], unresolved: string[]}>}
+   */
+  async resolveUserIds(usernames = []) {
+    const ids = [];
+    const unresolved = [];
+    for (const raw of usernames) {
+      const username = String(raw || "").trim().replace(/^@/, "");
+      if (!username) continue;
+      const users = await this._get("/users", { username });
+      const user = Array.isArray(users) ? users[0] : null;
+      if (user?.id) ids.push(user.id);
+      else unresolved.push(username);
+    }
+    return { ids, unresolved };
+  }
+
+  // ── Projects & issues ───────────────────────────────────────────────────
+
+  async listProjects(limit = 100) {
+    return this.paginate("/projects", { membership: true, simple: true, order_by: "last_activity_at" }, limit);
+  }
+
+  async listIssues(project, query = {}, limit = Infinity) {
+    return this.paginate(`/projects/${this._projectRef(project)}/issues`, query, limit);
+  }
+
+  async getIssue(project, iid) {
+    return this._get(`/projects/${this._projectRef(project)}/issues/${iid}`);
+  }
+
+  async createIssue(project, fields) {
+    return (await this.request("POST", `/projects/${this._projectRef(project)}/issues`, {
+      body: fields,
+    })).data;
+  }
+
+  async updateIssue(project, iid, fields) {
+    return (await this.request("PUT", `/projects/${this._projectRef(project)}/issues/${iid}`, {
+      body: fields,
+    })).data;
+  }
+
+  async deleteIssue(project, iid) {
+    await this.request("DELETE", `/projects/${this._projectRef(project)}/issues/${iid}`);
+    return true;
+  }
+
+  async listIssueNotes(project, iid) {
+    return this.paginate(`/projects/${this._projectRef(project)}/issues/${iid}/notes`, {
+      sort: "asc",
+      order_by: "created_at",
+    });
+  }
+
+  async createIssueNote(project, iid, body) {
+    return (await this.request("POST", `/projects/${this._projectRef(project)}/issues/${iid}/notes`, {
+      body: { body },
+    })).data;
+  }
+
+  async updateIssueNote(project, iid, noteId, body) {
+    return (await this.request("PUT", `/projects/${this._projectRef(project)}/issues/${iid}/notes/${noteId}`, {
+      body: { body },
+    })).data;
+  }
+}
+
+/**
+ * Create a merge request, or reuse the open one for the same source branch,
+ * then apply labels and reviewers, optionally enable auto-merge and read the
+ * current pipeline status.
+ *
+ * @param {GitLabClient} client
+ * @param {string} project - Project path ("group/sub/project") or numeric id
+ * @param {object} opts
+ * @param {string} opts.title
+ * @param {string} [opts.description]
+ * @param {string} opts.sourceBranch
+ * @param {string} opts.targetBranch
+ * @param {boolean} [opts.draft]
+ * @param {string[]} [opts.labels]
+ * @param {string[]} [opts.reviewers] - GitLab usernames
+ * @param {boolean} [opts.autoMerge]
+ * @param {"merge"|"squash"|"rebase"} [opts.autoMergeMethod]
+ * @returns {Promise<{mergeRequest: object, existing: boolean, reviewers: object, autoMerge: object, pipeline: object|null}>}
+ */
+export async function openMergeRequest(client, project, opts = {}) {
+  const labels = Array.isArray(opts.labels) ? opts.labels.filter(Boolean) : [];
+  const reviewers = await client.resolveUserIds(opts.reviewers || []);
+  let mergeRequest = await client.findOpenMergeRequest(project, {
+    sourceBranch: opts.sourceBranch,
+    targetBranch: opts.targetBranch,
+  });
+  const existing = Boolean(mergeRequest);
+  if (mergeRequest) {
+    const patch = {};
+    if (labels.length) patch.add_labels = labels.join(",");
+    if (reviewers.ids.length) {
+      const current = (mergeRequest.reviewers || []).map((entry) => entry?.id).filter(Boolean);
+      patch.reviewer_ids = [...new Set([...current, ...reviewers.ids])];
+    }
+    if (Object.keys(patch).length > 0) {
+      mergeRequest = await client.updateMergeRequest(project, mergeRequest.iid, patch);
+    }
+  } else {
+    const title = String(opts.title || "").trim();
+    mergeRequest = await client.createMergeRequest(project, {
+      source_branch: opts.sourceBranch,
+      target_branch: opts.targetBranch,
+      title: opts.draft && !/^draft:/i.test(title) ? `Draft: ${title}` : title,
+      description: opts.description || "",
+      labels: labels.join(","),
+      ...(reviewers.ids.length ? { reviewer_ids: reviewers.ids } : {}),
+      remove_source_branch: true,
+    });
+  }
+
+  const method = opts.autoMergeMethod || "merge";
+  let autoMerge = { enabled: false, attempted: false, success: false };
+  if (opts.autoMerge) {
+    if (opts.draft || mergeRequest?.draft) {
+      autoMerge = { enabled: true, attempted: false, success: false, reason: "draft_pr", method };
+    } else {
+      try {
+        await client.enableAutoMerge(project, mergeRequest.iid, { method });
+        autoMerge = { enabled: true, attempted: true, success: true, method, prNumber: mergeRequest.iid };
+      } catch (err) {
+        autoMerge = {
+          enabled: true,
+          attempted: true,
+          success: false,
+          method,
+          prNumber: mergeRequest.iid,
+          error: err?.message || String(err),
+        };
+      }
+    }
+  }
+
+  let pipeline = null;
+  try {
+    pipeline = await client.getMergeRequestPipeline(project, mergeRequest.iid);
+  } catch (err) {
+    console.warn(`${TAG} failed to read pipeline for !${mergeRequest.iid}: ${err?.message || err}`);
+  }
+
+  return {
+    mergeRequest,
+    existing,
+    reviewers: { ids: reviewers.ids, unresolved: reviewers.unresolved },
+    autoMerge,
+    pipeline,
+  };
+}
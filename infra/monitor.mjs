@@ -251,6 +251,7 @@ import {
   getStaleInReviewTasks,
   getAllTasks as getAllInternalTasks,
   recoverAutoBlockedTasks,
+  materializeDueTaskRecurrences,
 } from "../task/task-store.mjs";
 import { createAgentEndpoint } from "../agent/agent-endpoint.mjs";
 import { createAgentEventBus } from "../agent/agent-event-bus.mjs";
@@ -5079,9 +5080,10 @@ function getTaskUpdatedAt(task) {
 
 function parseGitHubIssueNumber(value) {
   if (value == null) return null;
+  // "42", "#42" or a webhook-linked "owner/repo#42".
   const numeric = String(value)
     .trim()
-    .match(/^#?(\d+)$/);
+    .match(/^(?:[\w.-]+\/[\w.-]+#|#)?(\d+)$/);
   if (numeric?.[1]) return numeric[1];
   const urlMatch = String(value).match(/\/issues\/(\d+)(?:\b|$)/i);
   return urlMatch?.[1] || null;
@@ -6243,6 +6245,28 @@ async function checkMergedPRsAndUpdateTasks() {
         continue;
       }
 
+      // The merge is the last point where a task's acceptance criteria can
+      // catch up with fixes pushed after the lifecycle evaluated them.
+      if (internalTaskExecutor) {
+        let acceptance = null;
+        try {
+          acceptance = await internalTaskExecutor.reevaluateMergedAcceptance(taskId, {
+            prNumber,
+            repoSlug: resolvedRepoSlug,
+            mergedAt,
+          });
+        } catch (acceptanceErr) {
+          console.warn(`[monitor] review reconcile: acceptance re-evaluation failed for ${taskId}: ${acceptanceErr?.message?.slice(0, 200)}`);
+        }
+        if (acceptance && acceptance.passed !== true) {
+          console.warn(
+            `[monitor] review reconcile: PR #${prNumber} merged but ${taskId} fails its acceptance criteria — leaving it ${taskStatus || "unchanged"}`,
+          );
+          summary.blockedByAcceptance = (summary.blockedByAcceptance || 0) + 1;
+          continue;
+        }
+      }
+
       const recoverySuffix = allowsMergedRecovery
         ? ` (status=${taskStatus || "unknown"})`
         : "";
@@ -14059,6 +14083,14 @@ safeSetInterval("queued-runtime-restart-request", () => {
 // This keeps scheduled and task-poll lifecycle templates executing without hardcoded
 // per-workflow timers.  Workspace-aware: skips workflows for paused/disabled workspaces.
 const scheduleCheckIntervalMs = 60 * 1000; // check every 60s
+// Second-resolution schedules (6-field cron, `@every 10s`, intervalMs < 60s)
+// would only fire once per sweep, so while any exist a 1s poll evaluates the
+// scheduled (non task-poll) triggers. The 60s sweep keeps the period current.
+const subMinuteScheduleTickMs = 1000;
+let subMinuteSchedulesActive = false;
+// Schedule-fired runs whose execute() has not settled yet; a queued run is not
+// in the engine's active set, so a faster poll would otherwise fire it twice.
+const scheduleRunsInFlight = new Set();
 pollWorkflowSchedulesOnce = async function pollWorkflowSchedulesOnce(
   triggerSource = "schedule-poll",
   opts = {},
@@ -14093,6 +14125,8 @@ pollWorkflowSchedulesOnce = async function pollWorkflowSchedulesOnce(
       if (!includeScheduled && !isTaskPollTrigger) {
         continue;
       }
+      if (scheduleRunsInFlight.has(workflowId)) continue;
+      scheduleRunsInFlight.add(workflowId);
       void engine
         .execute(workflowId, {
           _triggerSource: triggerSource,
@@ -14118,6 +14152,9 @@ pollWorkflowSchedulesOnce = async function pollWorkflowSchedulesOnce(
           console.warn(
             `[workflows] schedule-run failed workflow=${workflowId}: ${err?.message || err}`,
           );
+        })
+        .finally(() => {
+          scheduleRunsInFlight.delete(workflowId);
         });
     }
 
@@ -14134,8 +14171,20 @@ pollWorkflowSchedulesOnce = async function pollWorkflowSchedulesOnce(
 
 safeSetInterval("workflow-schedule-check", async () => {
   await pollWorkflowSchedulesOnce();
+  try {
+    const engine = await ensureWorkflowAutomationEngine();
+    const resolutionMs = engine?.getScheduleResolutionMs?.();
+    subMinuteSchedulesActive = Number.isFinite(resolutionMs) && resolutionMs < scheduleCheckIntervalMs;
+  } catch {
+    subMinuteSchedulesActive = false;
+  }
 }, scheduleCheckIntervalMs);
 
+safeSetInterval("workflow-schedule-fast-check", async () => {
+  if (!subMinuteSchedulesActive) return;
+  await pollWorkflowSchedulesOnce("schedule-poll", { includeTaskPoll: false });
+}, subMinuteScheduleTickMs);
+
 // ── Periodic workflow run file pruning: once per day ─────────────────────
 // Deletes run detail files beyond MAX_PERSISTED_RUNS to keep the workflow-runs
 // directory bounded and prevent O(n) dir-scan slowdown on history API calls.
@@ -14177,6 +14226,21 @@ safeSetInterval("blocked-task-recovery", () => {
   }
 }, 2 * 60 * 1000);
 
+// ── Periodic recurring-task materialization: every minute ─────────────────
+// Creates the task instances of template recurrences whose next run is due.
+safeSetInterval("task-recurrence", () => {
+  try {
+    const result = materializeDueTaskRecurrences();
+    if (result.created.length > 0) {
+      console.log(
+        `[monitor] created ${result.created.length} recurring task(s): ${result.created.map((entry) => entry.taskId).join(", ")}`,
+      );
+    }
+  } catch (err) {
+    console.warn(`[monitor] task recurrence error: ${err?.message || err}`);
+  }
+}, 60 * 1000);
+
 // Legacy merged PR check removed (workflow-only control).
 
 // ── Periodic stale worktree sync: every 5 min ─────────────────────────────
@@ -2461,7 +2461,9 @@ ${items.join("\n")}` : "todo updated";
         type: "system",
         content: "Turn completed",
         timestamp: eventTimestamp,
-        meta: { lifecycle: "turn_completed" },
+        meta: event.usage && typeof event.usage === "object"
+          ? { lifecycle: "turn_completed", usage: { ...event.usage } }
+          : { lifecycle: "turn_completed" },
       };
     }
 
@@ -5,13 +5,15 @@
  *   - Internal Store          — default, source-of-truth local kanban
  *   - GitHub Issues           — native GitHub integration with shared state persistence
  *   - Jira                    — enterprise project management via Jira REST v3
+ *   - Linear                  — issues, workflow states and cycles via Linear GraphQL
+ *   - GitLab Issues           — gitlab.com or self-hosted, resolved from the repo remote
  *   - GNAP (projection-only)  — optional GNAP-compatible projection registration
  *
  * This module handles TASK LIFECYCLE (tracking, status, metadata) only.
  * Code execution is handled separately by agent-pool.mjs.
  *
  * Configuration:
- *   - `KANBAN_BACKEND` env var: "internal" | "github" | "jira" | "gnap" (default: "internal")
+ *   - `KANBAN_BACKEND` env var: "internal" | "github" | "jira" | "linear" | "gitlab" | "gnap" (default: "internal")
  *   - `bosun.config.json` → `kanban.backend` field
  *
  * EXPORTS:
@@ -26,10 +28,13 @@
  *   createTask(projId, data)                 → Convenience: adapter.createTask()
  *   deleteTask(taskId)                       → Convenience: adapter.deleteTask()
  *   addComment(taskId, body)                 → Convenience: adapter.addComment()
- *   persistSharedStateToIssue(id, state)     → GitHub/Jira: persist agent state to issue
- *   readSharedStateFromIssue(id)             → GitHub/Jira: read agent state from issue
- *   markTaskIgnored(id, reason)              → GitHub/Jira: mark task as ignored
- *   unmarkTaskIgnored(id)                    → GitHub/Jira: remove ignore marker
+ *   persistSharedStateToIssue(id, state)     → GitHub/Jira/Linear/GitLab: persist agent state to issue
+ *   readSharedStateFromIssue(id)             → GitHub/Jira/Linear/GitLab: read agent state from issue
+ *   markTaskIgnored(id, reason)              → GitHub/Jira/Linear/GitLab: mark task as ignored
+ *   unmarkTaskIgnored(id)                    → GitHub/Jira/Linear/GitLab: remove ignore marker
+ *   normaliseWebhookIssue(backend, issue)    → GitHub/Jira: webhook issue → { task, inScope }
+ *   normaliseWebhookComment(backend, c)      → GitHub/Jira: webhook comment → plain comment
+ *   getWebhookRepoSlug()                     → GitHub: configured "owner/repo" or null
  *
  * Each adapter implements the KanbanAdapter interface:
  *   - listTasks(projectId, filters?)         → Task[]
@@ -51,10 +56,21 @@
  *   - readSharedStateFromIssue(key)          → SharedState|null
  *   - markTaskIgnored(key, reason)           → boolean
  *   - unmarkTaskIgnored(key)                 → boolean
+ *
+ * Linear adapter implements the same shared state methods keyed by issue
+ * identifier (e.g. "ENG-123"), plus listSprints(teamKey) → cycles as sprints.
+ *
+ * GitLab adapter implements them keyed by issue iid ("42") or, outside the
+ * default project, "group/project#42".
  */
 
 import { loadConfig } from "../config/config.mjs";
 import { fetchWithFallback } from "../infra/fetch-runtime.mjs";
+import {
+  GitLabClient,
+  detectRepoGitRemote,
+  resolveGitLabToken,
+} from "../git/gitlab-client.mjs";
 import {
   getAllTasks as getInternalTasks,
   getTask as getInternalTask,
@@ -931,6 +947,8 @@ class InternalAdapter {
       prNumber: task.prNumber || primaryPrLinkage?.prNumber || null,
       prUrl: task.prUrl || primaryPrLinkage?.prUrl || null,
       taskUrl: task.taskUrl || null,
+      acceptanceCriteria: Array.isArray(task.acceptanceCriteria) ? task.acceptanceCriteria : [],
+      acceptanceReport: task.acceptanceReport || null,
       createdAt: task.createdAt || null,
       updatedAt: task.updatedAt || null,
       lastActivityAt: task.lastActivityAt || task.updatedAt || null,
@@ -1240,6 +1258,7 @@ class InternalAdapter {
             ? taskData.meta.repositories
             : [],
       baseBranch,
+      acceptanceCriteria: taskData.acceptanceCriteria ?? taskData.meta?.acceptanceCriteria ?? [],
       meta: {
         ...(taskData.meta || {}),
         ...((assignee || assignees.length > 0)
@@ -6063,205 +6082,1764 @@ class JiraAdapter {
 }
 
 // ---------------------------------------------------------------------------
-// Adapter Registry & Resolution
+// Linear Adapter
 // ---------------------------------------------------------------------------
 
-class GnapProjectionAdapter {
+const LINEAR_DEFAULT_API_URL = "https://api.linear.app/graphql";
+
+const LINEAR_ISSUE_FIELDS = `
+  id
+  identifier
+  title
+  description
+  url
+  branchName
+  priority
+  priorityLabel
+  createdAt
+  updatedAt
+  state { id name type }
+  assignee { id name displayName email }
+  team { id key name }
+  project { id name }
+  labels { nodes { id name } }
+  cycle { id number name description startsAt endsAt completedAt }
+  attachments { nodes { id title url createdAt } }
+  comments(first: 100) { nodes { id body url createdAt user { id name displayName email } } }
+`;
+
+/** Linear priorities are 0 (none), 1 (urgent), 2 (high), 3 (medium), 4 (low). */
+const LINEAR_PRIORITY_TO_BOSUN = { 1: "critical", 2: "high", 3: "medium", 4: "low" };
+const BOSUN_PRIORITY_TO_LINEAR = { critical: 1, urgent: 1, high: 2, medium: 3, normal: 3, low: 4 };
+
+/** Workflow state types that may back each Bosun status, in order of preference. */
+const LINEAR_STATE_TYPES_BY_STATUS = {
+  todo: ["unstarted", "backlog", "triage"],
+  inprogress: ["started"],
+  inreview: ["started"],
+  done: ["completed"],
+  cancelled: ["canceled"],
+};
+
+/**
+ * Linear adapter over the Linear GraphQL API.
+ *
+ * Tasks are issues addressed by their identifier (e.g. "ENG-123"), projects
+ * are teams, and cycles surface as sprints. Workflow states map to Bosun
+ * statuses by state type — "started" states whose name mentions review map
+ * to inreview — unless LINEAR_STATUS_<STATUS> names a state explicitly.
+ *
+ * Shared state lives in a `bosun-state` fenced code block inside an issue
+ * comment, which survives Linear's markdown round-trips. Set LINEAR_API_URL
+ * to point the adapter at a self-hosted proxy or a local GraphQL stand-in.
+ */
+class LinearAdapter {
   constructor(config = {}) {
-    this.name = "gnap";
-    this.backend = "gnap";
-    this._config = resolveGnapProjectionConfig(config);
-    this._internal = new InternalAdapter();
+    this.name = "linear";
+    this._apiUrl = String(
+      config.apiUrl || process.env.LINEAR_API_URL || LINEAR_DEFAULT_API_URL,
+    ).trim();
+    this._apiKey = String(config.apiKey || process.env.LINEAR_API_KEY || "").trim();
+    this._defaultTeam = String(
+      config.teamKey ||
+        config.teamId ||
+        process.env.LINEAR_TEAM_KEY ||
+        process.env.LINEAR_TEAM_ID ||
+        "",
+    ).trim();
+    this._taskListLimit =
+      Number(process.env.LINEAR_ISSUES_LIST_LIMIT || 250) || 250;
+    this._canonicalTaskLabel = String(
+      process.env.BOSUN_TASK_LABEL || "bosun",
+    )
+      .trim()
+      .toLowerCase();
+    this._taskScopeLabels = normalizeLabels(
+      process.env.LINEAR_TASK_LABELS ||
+        process.env.BOSUN_TASK_LABELS ||
+        `${this._canonicalTaskLabel},bosun`,
+    );
+    this._enforceTaskLabel = parseBooleanEnv(
+      process.env.LINEAR_ENFORCE_TASK_LABEL ?? process.env.BOSUN_ENFORCE_TASK_LABEL,
+      true,
+    );
+    this._codexLabels = {
+      claimed: normalizeLabels(process.env.LINEAR_LABEL_CLAIMED || "codex:claimed")[0],
+      working: normalizeLabels(process.env.LINEAR_LABEL_WORKING || "codex:working")[0],
+      stale: normalizeLabels(process.env.LINEAR_LABEL_STALE || "codex:stale")[0],
+      ignore: normalizeLabels(process.env.LINEAR_LABEL_IGNORE || "codex:ignore")[0],
+    };
+    const statusMapping = config.statusMapping || {};
+    this._statusMap = {
+      todo: process.env.LINEAR_STATUS_TODO || statusMapping.todo || "",
+      inprogress: process.env.LINEAR_STATUS_INPROGRESS || statusMapping.inprogress || "",
+      inreview: process.env.LINEAR_STATUS_INREVIEW || statusMapping.inreview || "",
+      done: process.env.LINEAR_STATUS_DONE || statusMapping.done || "",
+      cancelled: process.env.LINEAR_STATUS_CANCELLED || statusMapping.cancelled || "",
+    };
+    this._teamsCache = null;
+    this._statesByTeam = new Map();
+    this._labelsCache = null;
   }
 
-  async _ensureProjectionScaffold() {
-    await ensureProjectionScaffold(this._config);
+  _requireConfigured() {
+    if (!this._apiKey) {
+      throw new Error(`${TAG} Linear adapter requires LINEAR_API_KEY`);
+    }
   }
 
-  async _projectNormalizedTask(task, rawTask = null) {
-    const normalizedTask = task || null;
-    if (!normalizedTask?.id) return null;
-    await this._ensureProjectionScaffold();
-    const sourceTask = rawTask || getInternalTask(normalizedTask.id) || normalizedTask;
-    const projectedTask = await this._loadProjectedTask(normalizedTask.id);
-    const mergedTask = mergeProjectedTaskIntoLocal(normalizedTask, projectedTask);
-    const mergedSourceTask = {
-      ...(sourceTask && typeof sourceTask === "object" ? sourceTask : {}),
-      comments: mergedTask.comments,
-      attachments: mergedTask.attachments,
-      workflowRuns: mergedTask.workflowRuns,
-      timeline: mergedTask.timeline,
-      statusHistory: mergedTask.statusHistory,
-      assignees: mergedTask.assignees,
-      repositories: mergedTask.repositories,
-      tags: mergedTask.tags,
-      meta: {
-        ...(sourceTask?.meta || {}),
-        ...(mergedTask.meta || {}),
-        comments: mergedTask.comments,
-        attachments: mergedTask.attachments,
-        workflowRuns: mergedTask.workflowRuns,
-        timeline: mergedTask.timeline,
-        statusHistory: mergedTask.statusHistory,
-      },
-    };
-    const projection = buildProjectedTaskDocument(
-      mergedTask,
-      mergedSourceTask,
-      this._config,
+  _validateIssueId(issueId) {
+    const raw = String(issueId || "").trim();
+    if (/^[A-Za-z][A-Za-z0-9_]*-\d+$/.test(raw)) return raw.toUpperCase();
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(raw)) {
+      return raw.toLowerCase();
+    }
+    throw new Error(
+      `Linear: invalid issue id "${issueId}" — expected an identifier like ENG-123`,
     );
-    await upsertProjectedTask(
-      this._config,
-      projection.task,
-      projection.runs,
-      projection.messages,
+  }
+
+  async _graphql(operationName, query, variables = {}) {
+    this._requireConfigured();
+    const response = await fetchWithFallback(this._apiUrl, {
+      method: "POST",
+      headers: {
+        Authorization: this._apiKey,
+        Accept: "application/json",
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ operationName, query, variables }),
+    });
+    if (!response || typeof response.status !== "number") {
+      throw new Error(`Linear API ${operationName} failed: no HTTP response`);
+    }
+    const payload = await response.json().catch(() => null);
+    const errors = Array.isArray(payload?.errors) ? payload.errors : [];
+    if (!response.ok || errors.length > 0) {
+      const errorText = errors
+        .map((entry) => entry?.message)
+        .filter(Boolean)
+        .join("; ");
+      const error = new Error(
+        `Linear API ${operationName} failed (${response.status}): ${errorText || response.statusText || "Unknown error"}`,
+      );
+      error.status = response.status;
+      error.payload = payload;
+      throw error;
+    }
+    return payload?.data || {};
+  }
+
+  async _mutate(operationName, query, variables, field) {
+    const data = await this._graphql(operationName, query, variables);
+    const result = data?.[field];
+    if (!result?.success) {
+      throw new Error(`Linear API ${operationName} was not applied`);
+    }
+    return result;
+  }
+
+  async _listTeams() {
+    if (this._teamsCache) return this._teamsCache;
+    const data = await this._graphql(
+      "BosunLinearTeams",
+      `query BosunLinearTeams {
+        teams(first: 250) { nodes { id key name description } }
+      }`,
     );
-    await rebuildAgentsRegistry(this._config);
-    const projectedRecord = await readProjectedTaskRecord(this._config, normalizedTask.id);
-    const runDocs = await listProjectedRunsForTask(this._config, normalizedTask.id);
-    const messageDocs = await listProjectedMessagesForTask(this._config, normalizedTask.id);
-    return materializeProjectedTask(
-      projectedRecord?.doc || projection.task,
-      projectedRecord?.filePath || null,
-      runDocs,
-      messageDocs,
+    this._teamsCache = Array.isArray(data?.teams?.nodes) ? data.teams.nodes : [];
+    return this._teamsCache;
+  }
+
+  /**
+   * Resolve a team by key or id, falling back to LINEAR_TEAM_KEY.
+   * @param {string} [teamKeyOrId]
+   * @returns {Promise<object|null>}
+   */
+  async _resolveTeam(teamKeyOrId) {
+    const wanted = String(teamKeyOrId || this._defaultTeam || "").trim();
+    if (!wanted) return null;
+    const teams = await this._listTeams();
+    const lower = wanted.toLowerCase();
+    const team = teams.find(
+      (entry) =>
+        String(entry?.id || "").toLowerCase() === lower ||
+        String(entry?.key || "").toLowerCase() === lower,
     );
+    if (!team) throw new Error(`Linear: unknown team "${wanted}"`);
+    return team;
   }
 
-  _buildInternalTaskPatch(projectedTask, projectedDoc = {}, filePath = null, options = {}) {
-    if (!projectedTask?.id) return null;
-    const existingTask = options.existingTask || null;
-    const preferProjectedCanonical = options.preferProjectedCanonical !== false;
-    const existingImported = existingTask?.meta?.gnap?.imported === true;
-    const imported =
-      existingImported ||
-      !existingTask ||
-      preferProjectedCanonical;
-    const canonicalTask = preferProjectedCanonical ? projectedTask : (existingTask || projectedTask);
-    const comments = mergeTaskCommentCollections(existingTask?.comments, projectedTask.comments);
-    const attachments = mergeTaskAttachments(existingTask?.attachments, projectedTask.attachments);
-    const workflowRuns = mergeTaskWorkflowRunCollections(
-      existingTask?.workflowRuns,
-      projectedTask.workflowRuns,
+  async _getTeamStates(teamId) {
+    if (this._statesByTeam.has(teamId)) return this._statesByTeam.get(teamId);
+    const data = await this._graphql(
+      "BosunLinearWorkflowStates",
+      `query BosunLinearWorkflowStates($teamId: ID!) {
+        workflowStates(first: 100, filter: { team: { id: { eq: $teamId } } }) {
+          nodes { id name type position }
+        }
+      }`,
+      { teamId },
     );
-    const timeline = mergeTaskTimelineCollections(
-      existingTask?.timeline,
-      existingTask?.meta?.timeline,
-      projectedTask.meta?.timeline,
+    const states = (Array.isArray(data?.workflowStates?.nodes)
+      ? data.workflowStates.nodes
+      : []
+    ).sort((a, b) => Number(a?.position || 0) - Number(b?.position || 0));
+    this._statesByTeam.set(teamId, states);
+    return states;
+  }
+
+  async _listLabels() {
+    if (this._labelsCache) return this._labelsCache;
+    const data = await this._graphql(
+      "BosunLinearLabels",
+      `query BosunLinearLabels {
+        issueLabels(first: 250) { nodes { id name team { id } } }
+      }`,
     );
-    const statusHistory = mergeTaskStatusHistoryCollections(
-      existingTask?.statusHistory,
-      existingTask?.meta?.statusHistory,
-      buildProjectedStatusHistory(projectedTask),
+    this._labelsCache = Array.isArray(data?.issueLabels?.nodes)
+      ? data.issueLabels.nodes
+      : [];
+    return this._labelsCache;
+  }
+
+  /**
+   * Resolve label names to ids usable on a team, creating missing labels.
+   * @param {string} teamId
+   * @param {string[]} names
+   * @returns {Promise<string[]>}
+   */
+  async _resolveLabelIds(teamId, names = []) {
+    const wanted = normalizeLabels(names);
+    if (wanted.length === 0) return [];
+    const labels = await this._listLabels();
+    const ids = [];
+    for (const name of wanted) {
+      const existing = labels.find(
+        (label) =>
+          String(label?.name || "").toLowerCase() === name &&
+          (!label?.team?.id || label.team.id === teamId),
+      );
+      if (existing?.id) {
+        ids.push(existing.id);
+        continue;
+      }
+      const created = await this._mutate(
+        "BosunLinearLabelCreate",
+        `mutation BosunLinearLabelCreate($input: IssueLabelCreateInput!) {
+          issueLabelCreate(input: $input) { success issueLabel { id name team { id } } }
+        }`,
+        { input: { name, teamId } },
+        "issueLabelCreate",
+      );
+      if (created?.issueLabel?.id) {
+        labels.push(created.issueLabel);
+        ids.push(created.issueLabel.id);
+      }
+    }
+    return ids;
+  }
+
+  async _listCycles(teamId) {
+    const data = await this._graphql(
+      "BosunLinearCycles",
+      `query BosunLinearCycles($teamId: ID!) {
+        cycles(first: 100, filter: { team: { id: { eq: $teamId } } }) {
+          nodes { id number name description startsAt endsAt completedAt }
+        }
+      }`,
+      { teamId },
     );
-    const assignees = mergeTaskStringLists(existingTask?.assignees, projectedTask.assignees);
-    const repositories = mergeTaskStringLists(
-      existingTask?.repositories,
-      projectedTask.repositories,
+    return Array.isArray(data?.cycles?.nodes) ? data.cycles.nodes : [];
+  }
+
+  /**
+   * Resolve a sprint reference (cycle id, number or name) to a cycle id.
+   * @param {string} teamId
+   * @param {string|number|null} sprintRef
+   * @returns {Promise<string|null>} null clears the cycle
+   */
+  async _resolveCycleId(teamId, sprintRef) {
+    const ref = String(sprintRef ?? "").trim();
+    if (!ref) return null;
+    const cycles = await this._listCycles(teamId);
+    const lower = ref.toLowerCase();
+    const cycle = cycles.find(
+      (entry) =>
+        entry?.id === ref ||
+        String(entry?.number ?? "") === ref.replace(/^cycle\s*/i, "") ||
+        String(entry?.name || "").toLowerCase() === lower,
     );
-    const tags = mergeTaskStringLists(existingTask?.tags, projectedTask.tags);
+    if (!cycle) throw new Error(`Linear: unknown cycle "${ref}"`);
+    return cycle.id;
+  }
+
+  _normalizeCycle(cycle) {
+    if (!cycle?.id) return null;
+    const now = Date.now();
+    const startsAt = Date.parse(cycle.startsAt || "");
+    let status = "planned";
+    if (cycle.completedAt) status = "completed";
+    else if (Number.isFinite(startsAt) && startsAt <= now) status = "active";
     return {
-      id: projectedTask.id,
-      title: canonicalTask.title,
-      description: canonicalTask.description,
-      status: canonicalTask.status,
-      assignee: canonicalTask.assignee || assignees[0] || null,
-      assignees,
-      priority: canonicalTask.priority,
-      projectId: canonicalTask.projectId,
-      workspace: canonicalTask.workspace,
-      repository: canonicalTask.repository,
-      repositories,
-      tags,
-      draft: canonicalTask.draft === true,
-      baseBranch: canonicalTask.baseBranch,
-      branchName: canonicalTask.branchName,
-      prNumber: canonicalTask.prNumber,
-      prUrl: canonicalTask.prUrl,
-      createdAt: existingTask?.createdAt || projectedTask.createdAt,
-      updatedAt: pickLatestTimestamp(existingTask?.updatedAt, projectedTask.updatedAt),
-      lastActivityAt: pickLatestTimestamp(
-        existingTask?.lastActivityAt,
-        existingTask?.updatedAt,
-        projectedTask.lastActivityAt,
-        projectedTask.updatedAt,
-      ),
-      timeline,
-      statusHistory,
-      comments,
-      attachments,
-      workflowRuns,
-      meta: {
-        ...(existingTask?.meta || {}),
-        ...(projectedTask.meta || {}),
-        timeline,
-        statusHistory,
-        comments,
-        attachments,
-        workflowRuns,
-        evidence: projectedTask.meta?.evidence || existingTask?.meta?.evidence || {},
-        gnap: {
-          ...(existingTask?.meta?.gnap || {}),
-          ...(projectedTask.meta?.gnap || {}),
-          imported,
-          observed: true,
-          projectionOnly: true,
-          taskPath: filePath || projectedTask.meta?.gnap?.taskPath || null,
-          syncMode: this._config.syncMode,
-          upstreamUpdatedAt: String(projectedDoc?.updated_at || projectedTask.updatedAt || "").trim() || null,
-        },
-      },
+      id: cycle.id,
+      name: cycle.name || `Cycle ${cycle.number}`,
+      goal: cycle.description || null,
+      status,
+      order: Number.isFinite(Number(cycle.number)) ? Number(cycle.number) : null,
+      startDate: cycle.startsAt || null,
+      endDate: cycle.endsAt || null,
+      meta: { number: cycle.number ?? null, backend: "linear" },
     };
   }
 
-  async _ingestProjectedTask(doc, filePath) {
-    const taskId = String(doc?.task_id || "").trim();
-    if (!taskId) return null;
-    const runDocs = await listProjectedRunsForTask(this._config, taskId);
-    const messageDocs = await listProjectedMessagesForTask(this._config, taskId);
-    const projectedTask = materializeProjectedTask(doc, filePath, runDocs, messageDocs);
-    const existing = this._internal._normalizeTask(getInternalTask(taskId));
-    const projectedUpdatedMs = Date.parse(String(doc?.updated_at || projectedTask.updatedAt || "")) || 0;
-    const existingUpdatedMs = Date.parse(String(existing?.updatedAt || existing?.lastActivityAt || "")) || 0;
-    const existingImported =
-      existing?.meta?.gnap?.imported === true
-      || String(existing?.meta?.gnap?.taskPath || "").trim() === String(filePath || "").trim();
-    const shouldApply = !existing || existingImported || projectedUpdatedMs >= existingUpdatedMs;
-    const patch = this._buildInternalTaskPatch(projectedTask, doc, filePath, {
-      existingTask: existing,
-      preferProjectedCanonical: shouldApply,
-    });
-    if (!patch) return projectedTask;
-
-    if (!existing) {
-      addInternalTask(patch);
-    } else {
-      patchInternalTask(taskId, patch);
+  _normalizeLinearState(state) {
+    if (!state) return "todo";
+    const name = String(state.name || "").trim().toLowerCase();
+    for (const [status, mapped] of Object.entries(this._statusMap)) {
+      if (mapped && mapped.trim().toLowerCase() === name) return status;
+    }
+    switch (String(state.type || "").toLowerCase()) {
+      case "triage":
+      case "backlog":
+      case "unstarted":
+        return "todo";
+      case "started":
+        return name.includes("review") ? "inreview" : "inprogress";
+      case "completed":
+        return "done";
+      case "canceled":
+        return "cancelled";
+      default:
+        return normaliseStatus(state.name);
     }
-    await waitForStoreWrites();
-    return this._internal.getTask(taskId);
   }
 
-  async _syncAllInternalTasks() {
-    await this._ensureProjectionScaffold();
-    const projectedTasks = await listProjectedTaskRecords(this._config);
-    for (const { doc, filePath } of projectedTasks) {
-      const projectedTaskId = String(doc?.task_id || "").trim();
-      if (!projectedTaskId) continue;
-      await this._ingestProjectedTask(doc, filePath);
-    }
-    const internalTasks = await this._internal.listTasks("internal");
-    for (const task of internalTasks) {
-      if (!task?.id) continue;
-      await this._projectNormalizedTask(task);
+  /**
+   * Pick the team workflow state a Bosun status should move an issue to.
+   * @param {object[]} states
+   * @param {string} status - Normalized Bosun status
+   * @returns {object|null}
+   */
+  _selectStateForStatus(states, status) {
+    const mapped = String(this._statusMap[status] || "").trim().toLowerCase();
+    if (mapped) {
+      const named = states.find((state) => String(state?.name || "").toLowerCase() === mapped);
+      if (named) return named;
+    }
+    for (const type of LINEAR_STATE_TYPES_BY_STATUS[status] || []) {
+      const match = states.find(
+        (state) =>
+          String(state?.type || "").toLowerCase() === type &&
+          this._normalizeLinearState(state) === status,
+      );
+      if (match) return match;
     }
-    await rebuildAgentsRegistry(this._config);
+    return null;
   }
 
-  async _loadProjectedTask(taskId) {
-    const normalizedId = String(taskId || "").trim();
-    if (!normalizedId) return null;
-    const taskRecord = await readProjectedTaskRecord(this._config, normalizedId);
+  _normaliseIssue(issue) {
+    const labelNames = (issue?.labels?.nodes || []).map((label) => label?.name);
+    const labels = normalizeLabels(labelNames);
+    const labelSet = new Set(labels);
+    const tags = extractTagsFromLabels(labels, this._taskScopeLabels || []);
+    const codexMeta = {
+      isIgnored: labelSet.has(this._codexLabels.ignore),
+      isClaimed: labelSet.has(this._codexLabels.claimed),
+      isWorking: labelSet.has(this._codexLabels.working),
+      isStale: labelSet.has(this._codexLabels.stale),
+    };
+    const description = String(issue?.description || "");
+    const branchMatch = description.match(/branch:\s*`?([^\s`]+)`?/i);
+    const prMatch = description.match(/pr:\s*#?(\d+)/i);
+    const baseBranch = normalizeBranchName(
+      extractBaseBranchFromLabels(labels) || extractBaseBranchFromText(description),
+    );
+    const identifier = String(issue?.identifier || "");
+    let status = this._normalizeLinearState(issue?.state);
+    if (labelSet.has("draft")) status = "draft";
+    const comments = (issue?.comments?.nodes || [])
+      .map((comment) => {
+        const body = String(comment?.body || "").trim();
+        if (!body || isBosunStateComment(body)) return null;
+        return {
+          id: comment?.id || null,
+          author:
+            comment?.user?.displayName ||
+            comment?.user?.name ||
+            comment?.user?.email ||
+            null,
+          createdAt: comment?.createdAt || null,
+          body,
+          url: comment?.url || null,
+        };
+      })
+      .filter(Boolean);
+    const commentAttachments = comments.flatMap((comment) =>
+      extractAttachmentsFromText(comment.body, {
+        source: "linear",
+        sourceType: "comment",
+        commentId: comment.id,
+        author: comment.author,
+        createdAt: comment.createdAt,
+      }),
+    );
+    const linearAttachments = (issue?.attachments?.nodes || [])
+      .map((attachment) => {
+        const url = attachment?.url;
+        if (!url) return null;
+        const name = normalizeAttachmentName(attachment?.title, url);
+        const kind = guessAttachmentKind(url, name, false);
+        return {
+          id: attachment?.id || null,
+          name,
+          url,
+          kind,
+          contentType: guessContentType(name, kind),
+          size: null,
+          source: "linear",
+          sourceType: "attachment",
+          createdAt: attachment?.createdAt || null,
+        };
+      })
+      .filter(Boolean);
+    const mergedAttachments = mergeTaskAttachments(
+      mergeTaskAttachments(linearAttachments, commentAttachments),
+      listTaskAttachments(identifier, "linear"),
+    );
+    const sprint = this._normalizeCycle(issue?.cycle);
+    return {
+      id: identifier,
+      title: issue?.title || "",
+      description,
+      status,
+      assignee:
+        issue?.assignee?.displayName ||
+        issue?.assignee?.name ||
+        issue?.assignee?.email ||
+        null,
+      priority: LINEAR_PRIORITY_TO_BOSUN[Number(issue?.priority)] || null,
+      tags,
+      draft: labelSet.has("draft") || status === "draft",
+      projectId: issue?.team?.key || null,
+      sprintId: sprint?.id || null,
+      sprint,
+      baseBranch,
+      branchName: branchMatch?.[1] || issue?.branchName || null,
+      prNumber: prMatch?.[1] || null,
+      taskUrl: issue?.url || null,
+      createdAt: issue?.createdAt || null,
+      updatedAt: issue?.updatedAt || null,
+      attachments: mergedAttachments,
+      comments,
+      meta: {
+        ...issue,
+        labels,
+        tags,
+        comments,
+        attachments: mergedAttachments,
+        linearId: issue?.id || null,
+        state: issue?.state || null,
+        ...(sprint ? { sprint, cycle: issue.cycle } : {}),
+        ...(baseBranch ? { base_branch: baseBranch, baseBranch } : {}),
+        codex: codexMeta,
+      },
+      backend: "linear",
+    };
+  }
+
+  _isTaskScopedForCodex(task) {
+    const labels = normalizeLabels(task?.meta?.labels || []);
+    if (labels.length === 0) return false;
+    return this._taskScopeLabels.some((label) => labels.includes(label));
+  }
+
+  _matchesAssignee(issue, assignee) {
+    const wanted = String(assignee || "").trim().toLowerCase();
+    if (!wanted) return true;
+    return [
+      issue?.assignee?.id,
+      issue?.assignee?.email,
+      issue?.assignee?.name,
+      issue?.assignee?.displayName,
+    ].some((value) => String(value || "").toLowerCase() === wanted);
+  }
+
+  _extractSharedStateFromText(text) {
+    const match =
+      String(text || "").match(/```bosun-state\s*\n([\s\S]*?)\n```/) ||
+      String(text || "").match(/<!-- bosun-state\s*\n([\s\S]*?)\n-->/);
+    if (!match) return null;
+    try {
+      const parsed = normalizeSharedStatePayload(
+        JSON.parse(String(match[1] || "").trim()),
+      );
+      if (
+        !parsed?.ownerId ||
+        !parsed?.attemptToken ||
+        !parsed?.attemptStarted ||
+        !(parsed?.heartbeat || parsed?.ownerHeartbeat) ||
+        !["claimed", "working", "stale"].includes(parsed?.status)
+      ) {
+        return null;
+      }
+      return parsed;
+    } catch {
+      return null;
+    }
+  }
+
+  _sharedStateFromIssue(issue) {
+    const stateComments = (issue?.comments?.nodes || [])
+      .filter((comment) => String(comment?.body || "").includes("bosun-state"))
+      .sort((a, b) => String(a?.createdAt || "").localeCompare(String(b?.createdAt || "")));
+    for (const comment of stateComments.reverse()) {
+      const state = this._extractSharedStateFromText(comment.body);
+      if (state) return state;
+    }
+    return null;
+  }
+
+  _buildSharedStateComment(sharedState) {
+    const normalized = normalizeSharedStatePayload(sharedState) || sharedState;
+    const ownerParts = String(normalized?.ownerId || "").split("/");
+    const workstationId = ownerParts[0] || "unknown-workstation";
+    const agentId = ownerParts[1] || "unknown-agent";
+    const json = JSON.stringify(normalized, null, 2);
+    return (
+      "```bosun-state\n" +
+      `${json}\n` +
+      "```\n" +
+      `Bosun Status: Agent ${agentId} on ${workstationId} is ${normalized?.status} this task.\n` +
+      `Last heartbeat: ${normalized?.heartbeat || normalized?.ownerHeartbeat || ""}`
+    );
+  }
+
+  _attachSharedState(task, issue) {
+    const sharedState = normalizeSharedStatePayload(this._sharedStateFromIssue(issue));
+    if (sharedState) {
+      task.meta.sharedState = sharedState;
+      task.sharedState = sharedState;
+    }
+    return task;
+  }
+
+  async _fetchIssue(issueId) {
+    const data = await this._graphql(
+      "BosunLinearIssue",
+      `query BosunLinearIssue($id: String!) {
+        issue(id: $id) { ${LINEAR_ISSUE_FIELDS} }
+      }`,
+      { id: issueId },
+    );
+    if (!data?.issue) throw new Error(`Linear: issue ${issueId} not found`);
+    return data.issue;
+  }
+
+  async _updateIssue(issueId, input) {
+    const result = await this._mutate(
+      "BosunLinearIssueUpdate",
+      `mutation BosunLinearIssueUpdate($id: String!, $input: IssueUpdateInput!) {
+        issueUpdate(id: $id, input: $input) { success issue { id identifier } }
+      }`,
+      { id: issueId, input },
+      "issueUpdate",
+    );
+    return result.issue;
+  }
+
+  /**
+   * Replace the labels of an issue, keeping every label not named in
+   * labelsToRemove. Linear only accepts the full label id set on update.
+   */
+  async _setIssueLabels(issue, labelsToAdd = [], labelsToRemove = []) {
+    const remove = new Set(normalizeLabels(labelsToRemove));
+    const add = normalizeLabels(labelsToAdd);
+    const current = normalizeLabels((issue?.labels?.nodes || []).map((label) => label?.name));
+    const next = normalizeLabels([
+      ...current.filter((label) => !remove.has(label)),
+      ...add,
+    ]);
+    if (next.length === current.length && next.every((label) => current.includes(label))) {
+      return true;
+    }
+    const labelIds = await this._resolveLabelIds(issue?.team?.id, next);
+    await this._updateIssue(issue.id, { labelIds });
+    return true;
+  }
+
+  async listProjects() {
+    const teams = await this._listTeams();
+    return teams.map((team) => ({
+      id: String(team.key || team.id || ""),
+      name: team.name || team.key || "Unnamed Linear Team",
+      backend: "linear",
+      meta: team,
+    }));
+  }
+
+  /**
+   * List the cycles of a team as Bosun sprints.
+   * @param {string} [projectId] - Team key or id (default: LINEAR_TEAM_KEY)
+   * @returns {Promise<object[]>}
+   */
+  async listSprints(projectId) {
+    const team = await this._resolveTeam(projectId);
+    if (!team) {
+      throw new Error("Linear: listSprints requires a team key (argument or LINEAR_TEAM_KEY)");
+    }
+    const cycles = await this._listCycles(team.id);
+    return cycles
+      .map((cycle) => this._normalizeCycle(cycle))
+      .filter(Boolean)
+      .sort((a, b) => Number(a.order || 0) - Number(b.order || 0));
+  }
+
+  async listTasks(projectId, filters = {}) {
+    const team = await this._resolveTeam(projectId);
+    const filter = {};
+    if (team) filter.team = { id: { eq: team.id } };
+
+    const normalizedStatus = filters.status ? normaliseStatus(filters.status) : "";
+    if (normalizedStatus && normalizedStatus !== "draft") {
+      const types = LINEAR_STATE_TYPES_BY_STATUS[normalizedStatus];
+      if (types) filter.state = { type: { in: types } };
+    }
+    if (this._enforceTaskLabel && this._taskScopeLabels.length > 0) {
+      filter.labels = {
+        some: {
+          or: this._taskScopeLabels.map((label) => ({ name: { eqIgnoreCase: label } })),
+        },
+      };
+    }
+    const sprintRef = filters.sprintId ?? filters.sprint ?? filters.cycle;
+    if (sprintRef && team) {
+      filter.cycle = { id: { eq: await this._resolveCycleId(team.id, sprintRef) } };
+    }
+
+    const maxResults =
+      Number(filters.limit || 0) > 0
+        ? Number(filters.limit)
+        : this._taskListLimit;
+    const issues = [];
+    let after = null;
+    while (issues.length < maxResults) {
+      const data = await this._graphql(
+        "BosunLinearIssues",
+        `query BosunLinearIssues($filter: IssueFilter, $first: Int, $after: String) {
+          issues(filter: $filter, first: $first, after: $after, orderBy: updatedAt) {
+            nodes { ${LINEAR_ISSUE_FIELDS} }
+            pageInfo { hasNextPage endCursor }
+          }
+        }`,
+        { filter, first: Math.min(50, maxResults - issues.length), after },
+      );
+      const page = data?.issues;
+      issues.push(...(Array.isArray(page?.nodes) ? page.nodes : []));
+      if (!page?.pageInfo?.hasNextPage || !page.pageInfo.endCursor) break;
+      after = page.pageInfo.endCursor;
+    }
+
+    let tasks = issues
+      .filter((issue) => this._matchesAssignee(issue, filters.assignee))
+      .map((issue) => this._attachSharedState(this._normaliseIssue(issue), issue));
+    if (this._enforceTaskLabel) {
+      tasks = tasks.filter((task) => this._isTaskScopedForCodex(task));
+    }
+    if (normalizedStatus) {
+      tasks = tasks.filter((task) => task.status === normalizedStatus);
+    }
+    return tasks;
+  }
+
+  async getTask(taskId) {
+    const issueId = this._validateIssueId(taskId);
+    const issue = await this._fetchIssue(issueId);
+    return this._attachSharedState(this._normaliseIssue(issue), issue);
+  }
+
+  async updateTaskStatus(taskId, status, options = {}) {
+    const issueId = this._validateIssueId(taskId);
+    const normalized = normaliseStatus(status);
+    if (normalized === "draft") {
+      await this.updateTask(issueId, { draft: true });
+      if (options.sharedState) {
+        await this.persistSharedStateToIssue(issueId, options.sharedState);
+      }
+      return this.getTask(issueId);
+    }
+    const issue = await this._fetchIssue(issueId);
+    const current = this._normaliseIssue(issue);
+    if (this._normalizeLinearState(issue.state) !== normalized) {
+      const states = await this._getTeamStates(issue.team?.id);
+      const target = this._selectStateForStatus(states, normalized);
+      if (!target) {
+        throw new Error(
+          `Linear: team ${issue.team?.key || issue.team?.id} has no workflow state for "${normalized}"`,
+        );
+      }
+      await this._updateIssue(issue.id, { stateId: target.id });
+    }
+    if (current.status === "draft") {
+      await this.updateTask(issueId, { draft: false });
+    }
+    if (options.sharedState) {
+      await this.persistSharedStateToIssue(issueId, options.sharedState);
+    }
+    return this.getTask(issueId);
+  }
+
+  async updateTask(taskId, patch = {}) {
+    const issueId = this._validateIssueId(taskId);
+    const issue = await this._fetchIssue(issueId);
+    const input = {};
+    const baseBranch = resolveBaseBranchInput(patch);
+    if (typeof patch.title === "string") {
+      input.title = patch.title;
+    }
+    if (typeof patch.description === "string") {
+      input.description = upsertBaseBranchMarker(patch.description, baseBranch);
+    } else if (baseBranch) {
+      input.description = upsertBaseBranchMarker(issue.description || "", baseBranch);
+    }
+    if (typeof patch.priority === "string" && patch.priority.trim()) {
+      const priority = BOSUN_PRIORITY_TO_LINEAR[patch.priority.trim().toLowerCase()];
+      if (priority) input.priority = priority;
+    }
+    if (patch.assignee) {
+      input.assigneeId = String(patch.assignee);
+    }
+    const sprintRef = patch.sprintId ?? patch.cycleId;
+    if (sprintRef !== undefined) {
+      input.cycleId = await this._resolveCycleId(issue.team?.id, sprintRef);
+    }
+    const wantsTags =
+      Array.isArray(patch.tags) ||
+      Array.isArray(patch.labels) ||
+      typeof patch.tags === "string";
+    if (wantsTags || typeof patch.draft === "boolean") {
+      const currentLabels = normalizeLabels((issue.labels?.nodes || []).map((label) => label?.name));
+      const systemLabels = new Set([
+        ...SYSTEM_LABEL_KEYS,
+        ...normalizeLabels(this._taskScopeLabels || []),
+        ...Object.values(this._codexLabels),
+      ]);
+      const desiredTags = wantsTags
+        ? normalizeTags(patch.tags ?? patch.labels)
+        : currentLabels.filter(
+            (label) => !systemLabels.has(label) && !isUpstreamLabel(label),
+          );
+      const nextLabels = new Set(
+        currentLabels.filter(
+          (label) => systemLabels.has(label) || isUpstreamLabel(label),
+        ),
+      );
+      for (const label of desiredTags) nextLabels.add(label);
+      if (typeof patch.draft === "boolean") {
+        if (patch.draft) nextLabels.add("draft");
+        else nextLabels.delete("draft");
+      }
+      input.labelIds = await this._resolveLabelIds(issue.team?.id, [...nextLabels]);
+    }
+    if (Object.keys(input).length > 0) {
+      await this._updateIssue(issue.id, input);
+    }
+    if (typeof patch.status === "string" && patch.status.trim()) {
+      return this.updateTaskStatus(issueId, patch.status.trim());
+    }
+    return this.getTask(issueId);
+  }
+
+  async createTask(projectIdOrTaskData, taskDataArg = {}) {
+    const { projectId, taskData } = resolveCreateTaskInput(
+      projectIdOrTaskData,
+      taskDataArg,
+    );
+    const team = await this._resolveTeam(projectId);
+    if (!team) {
+      throw new Error(
+        "Linear: createTask requires a team key (argument or LINEAR_TEAM_KEY)",
+      );
+    }
+    const requestedStatus = normaliseStatus(taskData.status || "todo");
+    const baseBranch = resolveBaseBranchInput(taskData);
+    const labels = normalizeLabels([
+      ...(Array.isArray(this._taskScopeLabels) ? this._taskScopeLabels : []),
+      this._canonicalTaskLabel,
+      ...normalizeLabels(taskData.labels || []),
+      ...normalizeLabels(taskData.tags || []),
+      ...(requestedStatus === "draft" ? ["draft"] : []),
+    ]);
+    const input = {
+      teamId: team.id,
+      title: taskData.title || "New task",
+      description: upsertBaseBranchMarker(taskData.description || "", baseBranch),
+      labelIds: await this._resolveLabelIds(team.id, labels),
+    };
+    const priority = BOSUN_PRIORITY_TO_LINEAR[String(taskData.priority || "").toLowerCase()];
+    if (priority) input.priority = priority;
+    if (taskData.assignee) input.assigneeId = String(taskData.assignee);
+    const sprintRef = taskData.sprintId ?? taskData.cycleId;
+    if (sprintRef) input.cycleId = await this._resolveCycleId(team.id, sprintRef);
+    if (requestedStatus !== "draft") {
+      const target = this._selectStateForStatus(
+        await this._getTeamStates(team.id),
+        requestedStatus,
+      );
+      if (target) input.stateId = target.id;
+    }
+    const created = await this._mutate(
+      "BosunLinearIssueCreate",
+      `mutation BosunLinearIssueCreate($input: IssueCreateInput!) {
+        issueCreate(input: $input) { success issue { id identifier } }
+      }`,
+      { input },
+      "issueCreate",
+    );
+    const issueId = this._validateIssueId(created?.issue?.identifier || "");
+    if (taskData.sharedState) {
+      await this.persistSharedStateToIssue(issueId, taskData.sharedState);
+    }
+    return this.getTask(issueId);
+  }
+
+  async deleteTask(taskId) {
+    const issueId = this._validateIssueId(taskId);
+    await this._mutate(
+      "BosunLinearIssueDelete",
+      `mutation BosunLinearIssueDelete($id: String!) {
+        issueDelete(id: $id) { success }
+      }`,
+      { id: issueId },
+      "issueDelete",
+    );
+    return true;
+  }
+
+  async addComment(taskId, body) {
+    const issueId = this._validateIssueId(taskId);
+    const text = String(body || "").trim();
+    if (!text) return false;
+    try {
+      await this._mutate(
+        "BosunLinearCommentCreate",
+        `mutation BosunLinearCommentCreate($input: CommentCreateInput!) {
+          commentCreate(input: $input) { success comment { id } }
+        }`,
+        { input: { issueId, body: text } },
+        "commentCreate",
+      );
+      return true;
+    } catch (err) {
+      console.warn(`${TAG} failed to add Linear comment on ${issueId}: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Persist shared state to a Linear issue.
+   *
+   * Swaps the codex status label and writes the state into the issue's
+   * `bosun-state` comment, editing the latest one in place when it exists.
+   *
+   * @param {string} issueId - Linear issue identifier (e.g., "ENG-123")
+   * @param {SharedState} sharedState - Agent state to persist
+   * @returns {Promise<boolean>} Success status
+   */
+  async persistSharedStateToIssue(issueId, sharedState) {
+    const key = this._validateIssueId(issueId);
+    const normalizedState = normalizeSharedStatePayload(sharedState);
+    if (
+      !normalizedState?.ownerId ||
+      !normalizedState?.attemptToken ||
+      !normalizedState?.attemptStarted ||
+      !(normalizedState?.heartbeat || normalizedState?.ownerHeartbeat) ||
+      !["claimed", "working", "stale"].includes(normalizedState?.status)
+    ) {
+      throw new Error(
+        `Linear: invalid shared state payload for ${key} (missing required fields)`,
+      );
+    }
+    const targetLabel = this._codexLabels[normalizedState.status];
+    const labelsToRemove = [
+      this._codexLabels.claimed,
+      this._codexLabels.working,
+      this._codexLabels.stale,
+    ].filter((label) => label !== targetLabel);
+    try {
+      const issue = await this._fetchIssue(key);
+      await this._setIssueLabels(issue, [targetLabel], labelsToRemove);
+      const commentBody = this._buildSharedStateComment(normalizedState);
+      const existing = [...(issue.comments?.nodes || [])]
+        .sort((a, b) => String(a?.createdAt || "").localeCompare(String(b?.createdAt || "")))
+        .reverse()
+        .find((comment) => String(comment?.body || "").includes("bosun-state"));
+      if (existing?.id) {
+        await this._mutate(
+          "BosunLinearCommentUpdate",
+          `mutation BosunLinearCommentUpdate($id: String!, $input: CommentUpdateInput!) {
+            commentUpdate(id: $id, input: $input) { success comment { id } }
+          }`,
+          { id: existing.id, input: { body: commentBody } },
+          "commentUpdate",
+        );
+        return true;
+      }
+      return this.addComment(key, commentBody);
+    } catch (err) {
+      console.warn(
+        `${TAG} failed to persist shared state for ${key}: ${err.message}`,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Read shared state from a Linear issue.
+   *
+   * @param {string} issueId - Linear issue identifier (e.g., "ENG-123")
+   * @returns {Promise<SharedState|null>} Latest valid state, or null
+   */
+  async readSharedStateFromIssue(issueId) {
+    const key = this._validateIssueId(issueId);
+    try {
+      return this._sharedStateFromIssue(await this._fetchIssue(key));
+    } catch (err) {
+      console.warn(
+        `${TAG} failed to read shared state for ${key}: ${err.message}`,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Mark a Linear issue as ignored by Bosun.
+   *
+   * @param {string} issueId - Linear issue identifier (e.g., "ENG-123")
+   * @param {string} reason - Human-readable reason
+   * @returns {Promise<boolean>} Success status
+   */
+  async markTaskIgnored(issueId, reason) {
+    const key = this._validateIssueId(issueId);
+    const ignoreReason = String(reason || "").trim() || "No reason provided";
+    try {
+      await this._setIssueLabels(await this._fetchIssue(key), [this._codexLabels.ignore]);
+      const commentBody =
+        `Bosun: This task has been marked as ignored.\n\n` +
+        `Reason: ${ignoreReason}\n\n` +
+        `To re-enable bosun for this task, remove the ${this._codexLabels.ignore} label.`;
+      await this.addComment(key, commentBody);
+      return true;
+    } catch (err) {
+      console.error(`${TAG} failed to mark Linear issue ${key} as ignored: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Remove the ignored marker from a Linear issue.
+   *
+   * @param {string} issueId - Linear issue identifier (e.g., "ENG-123")
+   * @returns {Promise<boolean>} Success status
+   */
+  async unmarkTaskIgnored(issueId) {
+    const key = this._validateIssueId(issueId);
+    try {
+      await this._setIssueLabels(await this._fetchIssue(key), [], [this._codexLabels.ignore]);
+      return true;
+    } catch (err) {
+      console.error(`${TAG} failed to unmark Linear issue ${key} ignored: ${err.message}`);
+      return false;
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// GitLab Issues Adapter
+// ---------------------------------------------------------------------------
+
+/** Labels that carry open-issue statuses on GitLab, mirroring the GitHub adapter. */
+const GITLAB_STATUS_LABELS = [
+  "draft",
+  "inprogress",
+  "in-progress",
+  "inreview",
+  "in-review",
+  "blocked",
+  "cancelled",
+];
+
+/**
+ * GitLab Issues adapter over the GitLab REST v4 API.
+ *
+ * Works against gitlab.com and self-hosted instances. The instance URL and
+ * project default to the repository's origin remote; GITLAB_URL and
+ * GITLAB_PROJECT (or kanban.gitlab.*) override them. Tokens resolve through
+ * the workflow credential store ("gitlab:<host>", then "gitlab"), falling
+ * back to GITLAB_TOKEN.
+ *
+ * Tasks are issues addressed by iid within the default project, or by
+ * "group/project#iid" elsewhere. Open-issue statuses ride on labels as on
+ * GitHub; closed issues are done unless labelled cancelled. Shared state
+ * lives in a `<!-- bosun-state` note that is edited in place.
+ */
+class GitLabIssuesAdapter {
+  constructor(config = {}) {
+    this.name = "gitlab";
+    this._repoRoot = String(config.repoRoot || process.cwd());
+    this._baseUrl = String(config.url || process.env.GITLAB_URL || "")
+      .trim()
+      .replace(/\/+$/, "");
+    this._project = String(
+      config.project || process.env.GITLAB_PROJECT || "",
+    ).trim();
+    this._credential = String(
+      config.credential || process.env.GITLAB_CREDENTIAL || "",
+    ).trim();
+    this._host = "";
+    this._remoteResolved = false;
+    this._client = null;
+    this._taskListLimit =
+      Number(process.env.GITLAB_ISSUES_LIST_LIMIT || 250) || 250;
+    this._canonicalTaskLabel = String(
+      process.env.BOSUN_TASK_LABEL || "bosun",
+    )
+      .trim()
+      .toLowerCase();
+    this._taskScopeLabels = normalizeLabels(
+      process.env.GITLAB_TASK_LABELS ||
+        process.env.BOSUN_TASK_LABELS ||
+        `${this._canonicalTaskLabel},bosun`,
+    );
+    this._enforceTaskLabel = parseBooleanEnv(
+      process.env.GITLAB_ENFORCE_TASK_LABEL ?? process.env.BOSUN_ENFORCE_TASK_LABEL,
+      true,
+    );
+    this._codexLabels = {
+      claimed: normalizeLabels(process.env.GITLAB_LABEL_CLAIMED || "codex:claimed")[0],
+      working: normalizeLabels(process.env.GITLAB_LABEL_WORKING || "codex:working")[0],
+      stale: normalizeLabels(process.env.GITLAB_LABEL_STALE || "codex:stale")[0],
+      ignore: normalizeLabels(process.env.GITLAB_LABEL_IGNORE || "codex:ignore")[0],
+    };
+  }
+
+  /** Fill in instance URL and project from the origin remote when unset. */
+  _resolveRemote() {
+    if (this._remoteResolved) return;
+    this._remoteResolved = true;
+    const remote =
+      !this._baseUrl || !this._project ? detectRepoGitRemote(this._repoRoot) : null;
+    if (remote?.provider === "gitlab") {
+      if (!this._baseUrl) this._baseUrl = remote.baseUrl;
+      if (!this._project) this._project = remote.projectPath;
+      this._host = remote.host;
+    }
+    if (!this._host && this._baseUrl) {
+      try {
+        this._host = new URL(this._baseUrl).host;
+      } catch {
+        this._host = "";
+      }
+    }
+  }
+
+  _getClient() {
+    if (this._client) return this._client;
+    this._resolveRemote();
+    if (!this._baseUrl) {
+      throw new Error(
+        `${TAG} GitLab adapter requires GITLAB_URL or a GitLab origin remote`,
+      );
+    }
+    const auth = resolveGitLabToken({
+      host: this._host,
+      credential: this._credential,
+      configDirs: [
+        this._repoRoot,
+        process.env.BOSUN_HOME || process.env.BOSUN_DIR,
+      ],
+    });
+    if (!auth) {
+      throw new Error(
+        `${TAG} GitLab adapter requires a token: add a "gitlab" credential or set GITLAB_TOKEN`,
+      );
+    }
+    this._client = new GitLabClient({ baseUrl: this._baseUrl, token: auth.token });
+    return this._client;
+  }
+
+  _resolveProject(projectId) {
+    this._resolveRemote();
+    const project = String(projectId || this._project || "").trim();
+    if (!project) {
+      throw new Error(
+        "GitLab: no project configured (argument, GITLAB_PROJECT or a GitLab origin remote)",
+      );
+    }
+    return project;
+  }
+
+  /**
+   * Split a task id into project and issue iid.
+   * @param {string|number} taskId - "42", "#42" or "group/project#42"
+   * @returns {{project: string, iid: string}}
+   */
+  _resolveIssueRef(taskId) {
+    const raw = String(taskId || "").trim();
+    const match = raw.match(/^(?:(.+?)#)?#?(\d+)$/);
+    if (!match) {
+      throw new Error(
+        `GitLab Issues: invalid issue id "${taskId}" — expected an iid like 42 or group/project#42`,
+      );
+    }
+    return { project: this._resolveProject(match[1]), iid: match[2] };
+  }
+
+  _taskId(project, iid) {
+    return project === this._project ? String(iid) : `${project}#${iid}`;
+  }
+
+  _normaliseNotes(notes = []) {
+    return notes
+      .filter((note) => !note?.system)
+      .map((note) => {
+        const body = String(note?.body || "").trim();
+        if (!body || isBosunStateComment(body)) return null;
+        return {
+          id: note?.id ?? null,
+          author: note?.author?.username || note?.author?.name || null,
+          createdAt: note?.created_at || null,
+          body,
+          url: null,
+        };
+      })
+      .filter(Boolean);
+  }
+
+  _normaliseIssue(issue, project, notes = []) {
+    const labels = normalizeLabels(issue?.labels || []);
+    const labelSet = new Set(labels);
+    const tags = extractTagsFromLabels(labels, this._taskScopeLabels || []);
+    let status = "todo";
+    if (issue?.state === "closed") {
+      status = labelSet.has("cancelled") || labelSet.has("canceled") ? "cancelled" : "done";
+    } else {
+      status = statusFromLabels(labels) || "todo";
+    }
+    if (labelSet.has("draft")) status = "draft";
+    const codexMeta = {
+      isIgnored: labelSet.has(this._codexLabels.ignore),
+      isClaimed: labelSet.has(this._codexLabels.claimed),
+      isWorking: labelSet.has(this._codexLabels.working),
+      isStale: labelSet.has(this._codexLabels.stale),
+    };
+    const description = String(issue?.description || "");
+    const branchMatch = description.match(/branch:\s*`?([^\s`]+)`?/i);
+    const prMatch = description.match(/(?:pr|mr):\s*[#!]?(\d+)/i);
+    const baseBranch = normalizeBranchName(
+      extractBaseBranchFromLabels(labels) || extractBaseBranchFromText(description),
+    );
+    const id = this._taskId(project, issue?.iid);
+    const comments = this._normaliseNotes(notes);
+    const descriptionAttachments = extractAttachmentsFromText(description, {
+      source: "gitlab",
+      sourceType: "issue",
+      createdAt: issue?.created_at || null,
+    });
+    const commentAttachments = comments.flatMap((comment) =>
+      extractAttachmentsFromText(comment.body, {
+        source: "gitlab",
+        sourceType: "comment",
+        commentId: comment.id,
+        author: comment.author,
+        createdAt: comment.createdAt,
+      }),
+    );
+    const mergedAttachments = mergeTaskAttachments(
+      mergeTaskAttachments(descriptionAttachments, commentAttachments),
+      listTaskAttachments(id, "gitlab"),
+    );
+    return {
+      id,
+      title: issue?.title || "",
+      description,
+      status,
+      assignee: issue?.assignees?.[0]?.username || issue?.assignee?.username || null,
+      priority: ["critical", "high", "medium", "low"].find((level) => labelSet.has(level)) || null,
+      tags,
+      draft: labelSet.has("draft") || status === "draft",
+      projectId: project,
+      baseBranch,
+      branchName: branchMatch?.[1] || null,
+      prNumber: prMatch?.[1] || null,
+      taskUrl: issue?.web_url || null,
+      createdAt: issue?.created_at || null,
+      updatedAt: issue?.updated_at || null,
+      attachments: mergedAttachments,
+      comments,
+      meta: {
+        ...issue,
+        labels,
+        tags,
+        comments,
+        attachments: mergedAttachments,
+        task_url: issue?.web_url || null,
+        ...(baseBranch ? { base_branch: baseBranch, baseBranch } : {}),
+        codex: codexMeta,
+      },
+      backend: "gitlab",
+    };
+  }
+
+  _isTaskScopedForCodex(task) {
+    const labels = normalizeLabels(task?.meta?.labels || []);
+    if (labels.length === 0) return false;
+    return this._taskScopeLabels.some((label) => labels.includes(label));
+  }
+
+  _extractSharedState(notes = []) {
+    const stateNotes = notes
+      .filter((note) => String(note?.body || "").includes("<!-- bosun-state"))
+      .sort((a, b) => String(a?.created_at || "").localeCompare(String(b?.created_at || "")))
+      .reverse();
+    for (const note of stateNotes) {
+      const match = String(note.body).match(/<!-- bosun-state\s*\n([\s\S]*?)\n-->/);
+      if (!match) continue;
+      try {
+        const parsed = normalizeSharedStatePayload(JSON.parse(match[1].trim()));
+        if (
+          parsed?.ownerId &&
+          parsed?.attemptToken &&
+          parsed?.attemptStarted &&
+          (parsed?.heartbeat || parsed?.ownerHeartbeat) &&
+          ["claimed", "working", "stale"].includes(parsed?.status)
+        ) {
+          return parsed;
+        }
+      } catch {
+        // Malformed note — keep looking at older ones
+      }
+    }
+    return null;
+  }
+
+  async _fetchTask(project, iid) {
+    const client = this._getClient();
+    const issue = await client.getIssue(project, iid);
+    const notes = await client.listIssueNotes(project, iid);
+    const task = this._normaliseIssue(issue, project, notes);
+    const sharedState = this._extractSharedState(notes);
+    if (sharedState) {
+      task.meta.sharedState = sharedState;
+      task.sharedState = sharedState;
+    }
+    return task;
+  }
+
+  async listProjects() {
+    const projects = await this._getClient().listProjects();
+    return projects.map((project) => ({
+      id: String(project.path_with_namespace || project.id || ""),
+      name: project.name_with_namespace || project.name || "Unnamed GitLab Project",
+      backend: "gitlab",
+      meta: project,
+    }));
+  }
+
+  async listTasks(projectId, filters = {}) {
+    const project = this._resolveProject(projectId);
+    const normalizedStatus = filters.status ? normaliseStatus(filters.status) : "";
+    const query = {
+      state:
+        normalizedStatus === "done" || normalizedStatus === "cancelled"
+          ? "closed"
+          : normalizedStatus
+            ? "opened"
+            : "all",
+      order_by: "updated_at",
+      sort: "desc",
+    };
+    // GitLab ANDs the labels filter, so only push a single scope label down.
+    if (this._enforceTaskLabel && this._taskScopeLabels.length === 1) {
+      query.labels = this._taskScopeLabels[0];
+    }
+    if (filters.assignee) query.assignee_username = String(filters.assignee);
+    const maxResults =
+      Number(filters.limit || 0) > 0 ? Number(filters.limit) : this._taskListLimit;
+    const issues = await this._getClient().listIssues(project, query, maxResults);
+    let tasks = issues.map((issue) => this._normaliseIssue(issue, project));
+    if (this._enforceTaskLabel) {
+      tasks = tasks.filter((task) => this._isTaskScopedForCodex(task));
+    }
+    if (normalizedStatus) {
+      tasks = tasks.filter((task) => task.status === normalizedStatus);
+    }
+    return tasks;
+  }
+
+  async getTask(taskId) {
+    const { project, iid } = this._resolveIssueRef(taskId);
+    return this._fetchTask(project, iid);
+  }
+
+  async updateTaskStatus(taskId, status, options = {}) {
+    const { project, iid } = this._resolveIssueRef(taskId);
+    const normalised = normaliseStatus(status);
+    const labelByStatus = {
+      draft: "draft",
+      inprogress: "inprogress",
+      inreview: "inreview",
+      blocked: "blocked",
+      cancelled: "cancelled",
+    };
+    const nextLabel = labelByStatus[normalised] || null;
+    const closing = normalised === "done" || normalised === "cancelled";
+    await this._getClient().updateIssue(project, iid, {
+      state_event: closing ? "close" : "reopen",
+      ...(nextLabel ? { add_labels: nextLabel } : {}),
+      remove_labels: GITLAB_STATUS_LABELS.filter((label) => label !== nextLabel).join(","),
+    });
+    if (options.sharedState) {
+      await this.persistSharedStateToIssue(this._taskId(project, iid), options.sharedState);
+    }
+    return this._fetchTask(project, iid);
+  }
+
+  async updateTask(taskId, patch = {}) {
+    const { project, iid } = this._resolveIssueRef(taskId);
+    const client = this._getClient();
+    const fields = {};
+    const baseBranch = resolveBaseBranchInput(patch);
+    if (typeof patch.title === "string") fields.title = patch.title;
+    if (typeof patch.description === "string") {
+      fields.description = upsertBaseBranchMarker(patch.description, baseBranch);
+    } else if (baseBranch) {
+      const issue = await client.getIssue(project, iid);
+      fields.description = upsertBaseBranchMarker(issue?.description || "", baseBranch);
+    }
+    if (patch.assignee) {
+      const { ids } = await client.resolveUserIds([String(patch.assignee)]);
+      if (ids.length > 0) fields.assignee_ids = ids;
+    }
+    const wantsTags =
+      Array.isArray(patch.tags) ||
+      Array.isArray(patch.labels) ||
+      typeof patch.tags === "string";
+    if (wantsTags || typeof patch.draft === "boolean") {
+      const issue = await client.getIssue(project, iid);
+      const currentLabels = normalizeLabels(issue?.labels || []);
+      const systemLabels = new Set([
+        ...SYSTEM_LABEL_KEYS,
+        ...normalizeLabels(this._taskScopeLabels || []),
+        ...Object.values(this._codexLabels),
+      ]);
+      const nextLabels = new Set(
+        currentLabels.filter((label) => systemLabels.has(label) || isUpstreamLabel(label)),
+      );
+      const desiredTags = wantsTags
+        ? normalizeTags(patch.tags ?? patch.labels)
+        : currentLabels.filter((label) => !systemLabels.has(label) && !isUpstreamLabel(label));
+      for (const label of desiredTags) nextLabels.add(label);
+      if (typeof patch.draft === "boolean") {
+        if (patch.draft) nextLabels.add("draft");
+        else nextLabels.delete("draft");
+      }
+      fields.labels = [...nextLabels].join(",");
+    }
+    if (Object.keys(fields).length > 0) {
+      await client.updateIssue(project, iid, fields);
+    }
+    if (typeof patch.status === "string" && patch.status.trim()) {
+      return this.updateTaskStatus(this._taskId(project, iid), patch.status.trim());
+    }
+    return this._fetchTask(project, iid);
+  }
+
+  async createTask(projectIdOrTaskData, taskDataArg = {}) {
+    const { projectId, taskData } = resolveCreateTaskInput(
+      projectIdOrTaskData,
+      taskDataArg,
+    );
+    const project = this._resolveProject(projectId);
+    const requestedStatus = normaliseStatus(taskData.status || "todo");
+    const baseBranch = resolveBaseBranchInput(taskData);
+    const statusLabel = {
+      draft: "draft",
+      inprogress: "inprogress",
+      inreview: "inreview",
+      blocked: "blocked",
+    }[requestedStatus];
+    const labels = normalizeLabels([
+      ...(Array.isArray(this._taskScopeLabels) ? this._taskScopeLabels : []),
+      this._canonicalTaskLabel,
+      ...normalizeLabels(taskData.labels || []),
+      ...normalizeLabels(taskData.tags || []),
+      ...(statusLabel ? [statusLabel] : []),
+    ]);
+    const client = this._getClient();
+    const fields = {
+      title: taskData.title || "New task",
+      description: upsertBaseBranchMarker(taskData.description || "", baseBranch),
+      labels: labels.join(","),
+    };
+    if (taskData.assignee) {
+      const { ids } = await client.resolveUserIds([String(taskData.assignee)]);
+      if (ids.length > 0) fields.assignee_ids = ids;
+    }
+    const created = await client.createIssue(project, fields);
+    const taskId = this._taskId(project, created.iid);
+    if (requestedStatus === "done" || requestedStatus === "cancelled") {
+      await this.updateTaskStatus(taskId, requestedStatus);
+    }
+    if (taskData.sharedState) {
+      await this.persistSharedStateToIssue(taskId, taskData.sharedState);
+    }
+    return this._fetchTask(project, created.iid);
+  }
+
+  async deleteTask(taskId) {
+    const { project, iid } = this._resolveIssueRef(taskId);
+    return this._getClient().deleteIssue(project, iid);
+  }
+
+  async addComment(taskId, body) {
+    const { project, iid } = this._resolveIssueRef(taskId);
+    const text = String(body || "").trim();
+    if (!text) return false;
+    try {
+      await this._getClient().createIssueNote(project, iid, text);
+      return true;
+    } catch (err) {
+      console.warn(`${TAG} failed to add GitLab note on ${project}#${iid}: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Persist shared state to a GitLab issue.
+   *
+   * Swaps the codex status label and writes the state into the issue's
+   * `<!-- bosun-state` note, editing the latest one in place when it exists.
+   *
+   * @param {string|number} taskId - Issue iid or "group/project#iid"
+   * @param {SharedState} sharedState - Agent state to persist
+   * @returns {Promise<boolean>} Success status
+   */
+  async persistSharedStateToIssue(taskId, sharedState) {
+    const { project, iid } = this._resolveIssueRef(taskId);
+    const normalizedState = normalizeSharedStatePayload(sharedState);
+    if (
+      !normalizedState?.ownerId ||
+      !normalizedState?.attemptToken ||
+      !normalizedState?.attemptStarted ||
+      !(normalizedState?.heartbeat || normalizedState?.ownerHeartbeat) ||
+      !["claimed", "working", "stale"].includes(normalizedState?.status)
+    ) {
+      throw new Error(
+        `GitLab: invalid shared state payload for ${project}#${iid} (missing required fields)`,
+      );
+    }
+    const targetLabel = this._codexLabels[normalizedState.status];
+    const labelsToRemove = [
+      this._codexLabels.claimed,
+      this._codexLabels.working,
+      this._codexLabels.stale,
+    ].filter((label) => label !== targetLabel);
+    try {
+      const client = this._getClient();
+      await client.updateIssue(project, iid, {
+        add_labels: targetLabel,
+        remove_labels: labelsToRemove.join(","),
+      });
+      const [agentId, workstationId] = normalizedState.ownerId.split("/").reverse();
+      const noteBody = `<!-- bosun-state
+${JSON.stringify(normalizedState, null, 2)}
+-->
+**Bosun Status**: Agent \`${agentId}\` on \`${workstationId}\` is ${normalizedState.status === "working" ? "working on" : normalizedState.status === "claimed" ? "claiming" : "stale for"} this task.
+*Last heartbeat: ${normalizedState.heartbeat || normalizedState.ownerHeartbeat}*`;
+      const existing = (await client.listIssueNotes(project, iid))
+        .filter((note) => String(note?.body || "").includes("<!-- bosun-state"))
+        .sort((a, b) => String(a?.created_at || "").localeCompare(String(b?.created_at || "")))
+        .pop();
+      if (existing?.id) {
+        await client.updateIssueNote(project, iid, existing.id, noteBody);
+      } else {
+        await client.createIssueNote(project, iid, noteBody);
+      }
+      return true;
+    } catch (err) {
+      console.warn(
+        `${TAG} failed to persist shared state for ${project}#${iid}: ${err.message}`,
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Read shared state from a GitLab issue.
+   *
+   * @param {string|number} taskId - Issue iid or "group/project#iid"
+   * @returns {Promise<SharedState|null>} Latest valid state, or null
+   */
+  async readSharedStateFromIssue(taskId) {
+    const { project, iid } = this._resolveIssueRef(taskId);
+    try {
+      return this._extractSharedState(await this._getClient().listIssueNotes(project, iid));
+    } catch (err) {
+      console.warn(
+        `${TAG} failed to read shared state for ${project}#${iid}: ${err.message}`,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Mark a GitLab issue as ignored by Bosun.
+   *
+   * @param {string|number} taskId - Issue iid or "group/project#iid"
+   * @param {string} reason - Human-readable reason
+   * @returns {Promise<boolean>} Success status
+   */
+  async markTaskIgnored(taskId, reason) {
+    const { project, iid } = this._resolveIssueRef(taskId);
+    const ignoreReason = String(reason || "").trim() || "No reason provided";
+    try {
+      const client = this._getClient();
+      await client.updateIssue(project, iid, { add_labels: this._codexLabels.ignore });
+      await client.createIssueNote(
+        project,
+        iid,
+        `Bosun: This task has been marked as ignored.\n\n` +
+          `Reason: ${ignoreReason}\n\n` +
+          `To re-enable bosun for this task, remove the ~"${this._codexLabels.ignore}" label.`,
+      );
+      return true;
+    } catch (err) {
+      console.error(`${TAG} failed to mark GitLab issue ${project}#${iid} as ignored: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Remove the ignored marker from a GitLab issue.
+   *
+   * @param {string|number} taskId - Issue iid or "group/project#iid"
+   * @returns {Promise<boolean>} Success status
+   */
+  async unmarkTaskIgnored(taskId) {
+    const { project, iid } = this._resolveIssueRef(taskId);
+    try {
+      await this._getClient().updateIssue(project, iid, {
+        remove_labels: this._codexLabels.ignore,
+      });
+      return true;
+    } catch (err) {
+      console.error(`${TAG} failed to unmark GitLab issue ${project}#${iid} ignored: ${err.message}`);
+      return false;
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Adapter Registry & Resolution
+// ---------------------------------------------------------------------------
+
+class GnapProjectionAdapter {
+  constructor(config = {}) {
+    this.name = "gnap";
+    this.backend = "gnap";
+    this._config = resolveGnapProjectionConfig(config);
+    this._internal = new InternalAdapter();
+  }
+
+  async _ensureProjectionScaffold() {
+    await ensureProjectionScaffold(this._config);
+  }
+
+  async _projectNormalizedTask(task, rawTask = null) {
+    const normalizedTask = task || null;
+    if (!normalizedTask?.id) return null;
+    await this._ensureProjectionScaffold();
+    const sourceTask = rawTask || getInternalTask(normalizedTask.id) || normalizedTask;
+    const projectedTask = await this._loadProjectedTask(normalizedTask.id);
+    const mergedTask = mergeProjectedTaskIntoLocal(normalizedTask, projectedTask);
+    const mergedSourceTask = {
+      ...(sourceTask && typeof sourceTask === "object" ? sourceTask : {}),
+      comments: mergedTask.comments,
+      attachments: mergedTask.attachments,
+      workflowRuns: mergedTask.workflowRuns,
+      timeline: mergedTask.timeline,
+      statusHistory: mergedTask.statusHistory,
+      assignees: mergedTask.assignees,
+      repositories: mergedTask.repositories,
+      tags: mergedTask.tags,
+      meta: {
+        ...(sourceTask?.meta || {}),
+        ...(mergedTask.meta || {}),
+        comments: mergedTask.comments,
+        attachments: mergedTask.attachments,
+        workflowRuns: mergedTask.workflowRuns,
+        timeline: mergedTask.timeline,
+        statusHistory: mergedTask.statusHistory,
+      },
+    };
+    const projection = buildProjectedTaskDocument(
+      mergedTask,
+      mergedSourceTask,
+      this._config,
+    );
+    await upsertProjectedTask(
+      this._config,
+      projection.task,
+      projection.runs,
+      projection.messages,
+    );
+    await rebuildAgentsRegistry(this._config);
+    const projectedRecord = await readProjectedTaskRecord(this._config, normalizedTask.id);
+    const runDocs = await listProjectedRunsForTask(this._config, normalizedTask.id);
+    const messageDocs = await listProjectedMessagesForTask(this._config, normalizedTask.id);
+    return materializeProjectedTask(
+      projectedRecord?.doc || projection.task,
+      projectedRecord?.filePath || null,
+      runDocs,
+      messageDocs,
+    );
+  }
+
+  _buildInternalTaskPatch(projectedTask, projectedDoc = {}, filePath = null, options = {}) {
+    if (!projectedTask?.id) return null;
+    const existingTask = options.existingTask || null;
+    const preferProjectedCanonical = options.preferProjectedCanonical !== false;
+    const existingImported = existingTask?.meta?.gnap?.imported === true;
+    const imported =
+      existingImported ||
+      !existingTask ||
+      preferProjectedCanonical;
+    const canonicalTask = preferProjectedCanonical ? projectedTask : (existingTask || projectedTask);
+    const comments = mergeTaskCommentCollections(existingTask?.comments, projectedTask.comments);
+    const attachments = mergeTaskAttachments(existingTask?.attachments, projectedTask.attachments);
+    const workflowRuns = mergeTaskWorkflowRunCollections(
+      existingTask?.workflowRuns,
+      projectedTask.workflowRuns,
+    );
+    const timeline = mergeTaskTimelineCollections(
+      existingTask?.timeline,
+      existingTask?.meta?.timeline,
+      projectedTask.meta?.timeline,
+    );
+    const statusHistory = mergeTaskStatusHistoryCollections(
+      existingTask?.statusHistory,
+      existingTask?.meta?.statusHistory,
+      buildProjectedStatusHistory(projectedTask),
+    );
+    const assignees = mergeTaskStringLists(existingTask?.assignees, projectedTask.assignees);
+    const repositories = mergeTaskStringLists(
+      existingTask?.repositories,
+      projectedTask.repositories,
+    );
+    const tags = mergeTaskStringLists(existingTask?.tags, projectedTask.tags);
+    return {
+      id: projectedTask.id,
+      title: canonicalTask.title,
+      description: canonicalTask.description,
+      status: canonicalTask.status,
+      assignee: canonicalTask.assignee || assignees[0] || null,
+      assignees,
+      priority: canonicalTask.priority,
+      projectId: canonicalTask.projectId,
+      workspace: canonicalTask.workspace,
+      repository: canonicalTask.repository,
+      repositories,
+      tags,
+      draft: canonicalTask.draft === true,
+      baseBranch: canonicalTask.baseBranch,
+      branchName: canonicalTask.branchName,
+      prNumber: canonicalTask.prNumber,
+      prUrl: canonicalTask.prUrl,
+      createdAt: existingTask?.createdAt || projectedTask.createdAt,
+      updatedAt: pickLatestTimestamp(existingTask?.updatedAt, projectedTask.updatedAt),
+      lastActivityAt: pickLatestTimestamp(
+        existingTask?.lastActivityAt,
+        existingTask?.updatedAt,
+        projectedTask.lastActivityAt,
+        projectedTask.updatedAt,
+      ),
+      timeline,
+      statusHistory,
+      comments,
+      attachments,
+      workflowRuns,
+      meta: {
+        ...(existingTask?.meta || {}),
+        ...(projectedTask.meta || {}),
+        timeline,
+        statusHistory,
+        comments,
+        attachments,
+        workflowRuns,
+        evidence: projectedTask.meta?.evidence || existingTask?.meta?.evidence || {},
+        gnap: {
+          ...(existingTask?.meta?.gnap || {}),
+          ...(projectedTask.meta?.gnap || {}),
+          imported,
+          observed: true,
+          projectionOnly: true,
+          taskPath: filePath || projectedTask.meta?.gnap?.taskPath || null,
+          syncMode: this._config.syncMode,
+          upstreamUpdatedAt: String(projectedDoc?.updated_at || projectedTask.updatedAt || "").trim() || null,
+        },
+      },
+    };
+  }
+
+  async _ingestProjectedTask(doc, filePath) {
+    const taskId = String(doc?.task_id || "").trim();
+    if (!taskId) return null;
+    const runDocs = await listProjectedRunsForTask(this._config, taskId);
+    const messageDocs = await listProjectedMessagesForTask(this._config, taskId);
+    const projectedTask = materializeProjectedTask(doc, filePath, runDocs, messageDocs);
+    const existing = this._internal._normalizeTask(getInternalTask(taskId));
+    const projectedUpdatedMs = Date.parse(String(doc?.updated_at || projectedTask.updatedAt || "")) || 0;
+    const existingUpdatedMs = Date.parse(String(existing?.updatedAt || existing?.lastActivityAt || "")) || 0;
+    const existingImported =
+      existing?.meta?.gnap?.imported === true
+      || String(existing?.meta?.gnap?.taskPath || "").trim() === String(filePath || "").trim();
+    const shouldApply = !existing || existingImported || projectedUpdatedMs >= existingUpdatedMs;
+    const patch = this._buildInternalTaskPatch(projectedTask, doc, filePath, {
+      existingTask: existing,
+      preferProjectedCanonical: shouldApply,
+    });
+    if (!patch) return projectedTask;
+
+    if (!existing) {
+      addInternalTask(patch);
+    } else {
+      patchInternalTask(taskId, patch);
+    }
+    await waitForStoreWrites();
+    return this._internal.getTask(taskId);
+  }
+
+  async _syncAllInternalTasks() {
+    await this._ensureProjectionScaffold();
+    const projectedTasks = await listProjectedTaskRecords(this._config);
+    for (const { doc, filePath } of projectedTasks) {
+      const projectedTaskId = String(doc?.task_id || "").trim();
+      if (!projectedTaskId) continue;
+      await this._ingestProjectedTask(doc, filePath);
+    }
+    const internalTasks = await this._internal.listTasks("internal");
+    for (const task of internalTasks) {
+      if (!task?.id) continue;
+      await this._projectNormalizedTask(task);
+    }
+    await rebuildAgentsRegistry(this._config);
+  }
+
+  async _loadProjectedTask(taskId) {
+    const normalizedId = String(taskId || "").trim();
+    if (!normalizedId) return null;
+    const taskRecord = await readProjectedTaskRecord(this._config, normalizedId);
     if (!taskRecord?.doc) return null;
     const runDocs = await listProjectedRunsForTask(this._config, normalizedId);
     const messageDocs = await listProjectedMessagesForTask(this._config, normalizedId);
@@ -6386,6 +7964,11 @@ const ADAPTERS = {
   internal: () => new InternalAdapter(),
   github: () => new GitHubIssuesAdapter(),
   jira: () => new JiraAdapter(),
+  linear: () => new LinearAdapter(loadConfig()?.linear || {}),
+  gitlab: () => {
+    const config = loadConfig();
+    return new GitLabIssuesAdapter({ ...(config?.gitlab || {}), repoRoot: config?.repoRoot });
+  },
   gnap: () => new GnapProjectionAdapter(loadConfig()?.gnap || {}),
 };
 
@@ -6427,7 +8010,7 @@ function resolveBackendName() {
 
 /**
  * Get the active kanban adapter.
- * @returns {InternalAdapter|GitHubIssuesAdapter|JiraAdapter|GnapProjectionAdapter} Adapter instance.
+ * @returns {InternalAdapter|GitHubIssuesAdapter|JiraAdapter|LinearAdapter|GitLabIssuesAdapter|GnapProjectionAdapter} Adapter instance.
  */
 export function getKanbanAdapter() {
   const name = resolveBackendName();
@@ -6435,6 +8018,8 @@ export function getKanbanAdapter() {
   if (name === "internal") activeAdapter = ADAPTERS.internal();
   else if (name === "github") activeAdapter = ADAPTERS.github();
   else if (name === "jira") activeAdapter = ADAPTERS.jira();
+  else if (name === "linear") activeAdapter = ADAPTERS.linear();
+  else if (name === "gitlab") activeAdapter = ADAPTERS.gitlab();
   else if (name === "gnap") activeAdapter = ADAPTERS.gnap();
   else throw new Error(`${TAG} unknown kanban backend: ${name}`);
   activeBackendName = name;
@@ -6444,7 +8029,7 @@ export function getKanbanAdapter() {
 
 /**
  * Switch the kanban backend at runtime.
- * @param {string} name Backend name ("internal", "github", "jira", "gnap").
+ * @param {string} name Backend name ("internal", "github", "jira", "linear", "gitlab", "gnap").
  */
 export function setKanbanBackend(name) {
   const normalised = (name || "").trim().toLowerCase();
@@ -6478,6 +8063,80 @@ export function getKanbanBackendName() {
   return resolveBackendName();
 }
 
+// ---------------------------------------------------------------------------
+// Webhook payload normalisation
+// ---------------------------------------------------------------------------
+
+const webhookNormalisers = new Map();
+
+function getWebhookNormaliser(backend) {
+  const name = String(backend || "").trim().toLowerCase();
+  if (webhookNormalisers.has(name)) return webhookNormalisers.get(name);
+  let adapter = null;
+  if (name === "github") adapter = new GitHubIssuesAdapter();
+  else if (name === "jira") adapter = new JiraAdapter();
+  if (adapter) webhookNormalisers.set(name, adapter);
+  return adapter;
+}
+
+/**
+ * Normalise an issue delivered by a backend webhook without calling the
+ * backend API. GitHub deliveries carry the REST issue shape; Jira deliveries
+ * carry the same document as GET /rest/api/3/issue/{key}.
+ * @param {"github"|"jira"} backend
+ * @param {object} issue
+ * @returns {{task: object, inScope: boolean}|null} inScope is false when the
+ *   issue lacks the backend's task scope labels
+ */
+export function normaliseWebhookIssue(backend, issue) {
+  const adapter = getWebhookNormaliser(backend);
+  if (!adapter || !issue || typeof issue !== "object") return null;
+  const task = adapter.name === "github"
+    ? adapter._normaliseIssue({
+      ...issue,
+      url: issue.html_url || issue.url,
+      comments: [],
+    })
+    : adapter._normaliseIssue(issue);
+  if (!task?.id) return null;
+  const inScope = !adapter._enforceTaskLabel || adapter._isTaskScopedForCodex(task);
+  return { task, inScope };
+}
+
+/**
+ * Normalise a comment delivered by a backend webhook.
+ * @param {"github"|"jira"} backend
+ * @param {object} comment
+ * @returns {{id: string|null, author: string|null, body: string, createdAt: string|null, isSharedState: boolean}|null}
+ */
+export function normaliseWebhookComment(backend, comment) {
+  const adapter = getWebhookNormaliser(backend);
+  if (!adapter || !comment || typeof comment !== "object") return null;
+  const body = adapter.name === "jira"
+    ? adapter._commentToText(comment.body).trim()
+    : String(comment.body || "").trim();
+  return {
+    id: comment.id != null ? String(comment.id) : null,
+    author: adapter.name === "jira"
+      ? comment.author?.displayName || comment.author?.accountId || null
+      : comment.user?.login || null,
+    body,
+    createdAt: comment.created_at || comment.created || null,
+    isSharedState: isBosunStateComment(body),
+  };
+}
+
+/**
+ * The GitHub repository webhook deliveries are accepted from — the same
+ * owner/repo the GitHub adapter reads and writes issues in.
+ * @returns {string|null} "owner/repo", or null when no repo is configured
+ */
+export function getWebhookRepoSlug() {
+  const adapter = getWebhookNormaliser("github");
+  if (!adapter || adapter._owner === "unknown" || adapter._repo === "unknown") return null;
+  return `${adapter._owner}/${adapter._repo}`;
+}
+
 // ---------------------------------------------------------------------------
 // Convenience exports: direct task operations via active adapter
 // ---------------------------------------------------------------------------
@@ -0,0 +1,510 @@
+/**
+ * kanban-webhooks.mjs — Inbound webhook sync for external kanban backends
+ *
+ * GitHub (`issues`, `issue_comment`, `projects_v2_item`) and Jira
+ * (`jira:issue_*`, `comment_*`) deliveries are verified and applied to the
+ * internal task store as they arrive, so the sync-engine polling loop only
+ * has to act as a low-frequency backstop.
+ *
+ * Signatures are HMAC-SHA256 over the raw body:
+ *   GitHub — X-Hub-Signature-256, secret KANBAN_GITHUB_WEBHOOK_SECRET
+ *            (falls back to GITHUB_WEBHOOK_SECRET)
+ *   Jira   — X-Hub-Signature, secret KANBAN_JIRA_WEBHOOK_SECRET
+ *            (falls back to JIRA_WEBHOOK_SECRET)
+ * Deliveries are refused while no secret is configured.
+ *
+ * GitHub deliveries are only applied when they come from the configured
+ * repository (GITHUB_REPOSITORY / repoSlug). Issues are linked by
+ * "owner/repo#number" and get local ids like "owner-repo-number", so issue
+ * numbers from different repositories never collide.
+ *
+ * Every delivery is recorded in an event journal (JSONL next to the task
+ * store) with the external change and the local update it produced. The
+ * journal rotates to `kanban-webhook-journal.1.jsonl` once it passes
+ * KANBAN_WEBHOOK_JOURNAL_MAX_BYTES (default 5 MB); one rotated file is kept.
+ *
+ * EXPORTS:
+ *   KANBAN_WEBHOOK_PROVIDERS                    → ["github", "jira"]
+ *   getKanbanWebhookSecret(provider)            → Configured secret or ""
+ *   verifyKanbanWebhookSignature(body, sig, s)  → boolean
+ *   processKanbanWebhook(opts)                  → { status, body }
+ *   getKanbanWebhookJournalPath()               → Journal file path
+ *   listKanbanWebhookJournal(opts?)             → Newest-first journal entries
+ */
+
+import { createHmac, randomUUID, timingSafeEqual } from "node:crypto";
+import {
+  appendFileSync,
+  existsSync,
+  mkdirSync,
+  renameSync,
+  statSync,
+} from "node:fs";
+import { dirname, resolve } from "node:path";
+import { readLinesFromTail } from "../lib/jsonl-tail.mjs";
+import {
+  addTaskComment,
+  getAllTasks,
+  getStorePath,
+  getTask,
+  upsertFromExternal,
+} from "../task/task-store.mjs";
+import {
+  getKanbanAdapter,
+  getWebhookRepoSlug,
+  normaliseWebhookComment,
+  normaliseWebhookIssue,
+} from "./kanban-adapter.mjs";
+
+const TAG = "[kanban-webhooks]";
+const DEFAULT_JOURNAL_MAX_BYTES = 5 * 1024 * 1024;
+
+export const KANBAN_WEBHOOK_PROVIDERS = Object.freeze(["github", "jira"]);
+
+const SIGNATURE_HEADERS = {
+  github: "x-hub-signature-256",
+  jira: "x-hub-signature",
+};
+
+const TRACKED_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "assignee",
+  "priority",
+  "baseBranch",
+  "branchName",
+  "prNumber",
+];
+
+const MAX_SEEN_DELIVERIES = 500;
+const seenDeliveries = new Set();
+
+/**
+ * @param {"github"|"jira"} provider
+ * @returns {string}
+ */
+export function getKanbanWebhookSecret(provider) {
+  if (provider === "github") {
+    return process.env.KANBAN_GITHUB_WEBHOOK_SECRET || process.env.GITHUB_WEBHOOK_SECRET || "";
+  }
+  if (provider === "jira") {
+    return process.env.KANBAN_JIRA_WEBHOOK_SECRET || process.env.JIRA_WEBHOOK_SECRET || "";
+  }
+  return "";
+}
+
+/**
+ * Check a `sha256=<hex>` signature header against the raw request body.
+ * @param {string} rawBody
+ * @param {string} signatureHeader
+ * @param {string} secret
+ * @returns {boolean}
+ */
+export function verifyKanbanWebhookSignature(rawBody, signatureHeader, secret) {
+  if (!secret) return false;
+  const provided = String(signatureHeader || "").trim();
+  if (!provided.startsWith("sha256=")) return false;
+  const expected = `sha256=${createHmac("sha256", secret).update(rawBody).digest("hex")}`;
+  if (provided.length !== expected.length) return false;
+  return timingSafeEqual(Buffer.from(provided, "utf8"), Buffer.from(expected, "utf8"));
+}
+
+// ── Event journal ────────────────────────────────────────────────────────────
+
+/** @returns {string} */
+export function getKanbanWebhookJournalPath() {
+  return resolve(dirname(getStorePath()), "kanban-webhook-journal.jsonl");
+}
+
+function getRotatedJournalPath(journalPath) {
+  return journalPath.replace(/\.jsonl$/, ".1.jsonl");
+}
+
+function getJournalMaxBytes() {
+  const configured = Number(process.env.KANBAN_WEBHOOK_JOURNAL_MAX_BYTES);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_JOURNAL_MAX_BYTES;
+}
+
+function rotateJournalIfNeeded(journalPath, incomingBytes) {
+  let size = 0;
+  try {
+    size = statSync(journalPath).size;
+  } catch {
+    return;
+  }
+  if (size === 0 || size + incomingBytes <= getJournalMaxBytes()) return;
+  // renameSync replaces the previous rotation, so at most two files exist
+  renameSync(journalPath, getRotatedJournalPath(journalPath));
+}
+
+function appendJournalEntry(entry) {
+  const record = {
+    id: randomUUID(),
+    receivedAt: new Date().toISOString(),
+    ...entry,
+  };
+  try {
+    const journalPath = getKanbanWebhookJournalPath();
+    const line = `${JSON.stringify(record)}\n`;
+    mkdirSync(dirname(journalPath), { recursive: true });
+    rotateJournalIfNeeded(journalPath, Buffer.byteLength(line, "utf8"));
+    appendFileSync(journalPath, line, "utf8");
+  } catch (err) {
+    console.warn(`${TAG} failed to append journal entry: ${err.message}`);
+  }
+  return record;
+}
+
+/**
+ * Read the event journal (and its rotated predecessor), newest entry first.
+ * @param {object} [opts]
+ * @param {string} [opts.taskId] - Only entries that touched this task
+ * @param {string} [opts.provider] - Only entries from this provider
+ * @param {number} [opts.limit=100]
+ * @returns {object[]}
+ */
+export function listKanbanWebhookJournal({ taskId, provider, limit = 100 } = {}) {
+  const journalPath = getKanbanWebhookJournalPath();
+  const max = Math.max(1, Number(limit) || 100);
+  const entries = [];
+  for (const filePath of [journalPath, getRotatedJournalPath(journalPath)]) {
+    if (!existsSync(filePath)) continue;
+    for (const rawLine of readLinesFromTail(filePath)) {
+      if (entries.length >= max) return entries;
+      const line = rawLine.trim();
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      if (taskId && entry.taskId !== String(taskId)) continue;
+      if (provider && entry.provider !== provider) continue;
+      entries.push(entry);
+    }
+  }
+  return entries;
+}
+
+// ── Local task resolution ────────────────────────────────────────────────────
+
+function findLinkedTask(provider, externalId) {
+  const id = String(externalId);
+  return getAllTasks().find((task) =>
+    String(task?.externalId ?? "") === id
+    && (!task.externalBackend || task.externalBackend === provider),
+  ) || null;
+}
+
+function allocateTaskId(provider, externalId) {
+  const id = String(externalId).replace(/[^A-Za-z0-9._-]+/g, "-");
+  return getTask(id) ? `${provider}-${id}` : id;
+}
+
+/** "owner/repo" a GitHub delivery refers to, from the payload or its issue URLs. */
+function resolvePayloadRepo(payload) {
+  const fullName = String(payload?.repository?.full_name || "").trim();
+  if (fullName) return fullName;
+  const urls = [
+    payload?.issue?.repository_url,
+    payload?.issue?.html_url,
+    payload?.projects_v2_item?.content_url,
+  ];
+  for (const url of urls.map((value) => String(value || ""))) {
+    const match = url.match(/\/repos\/([^/]+\/[^/?#]+)/) || url.match(/github\.com\/([^/]+\/[^/?#]+)/);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Check a GitHub delivery against the configured repository.
+ * @returns {{repo: string|null, reason?: string}} reason is set when the
+ *   delivery must be ignored
+ */
+function checkGitHubRepo(payload) {
+  const repo = resolvePayloadRepo(payload);
+  if (!repo) return { repo: null, reason: "repository_unresolved" };
+  const configured = getWebhookRepoSlug();
+  if (!configured || configured.toLowerCase() !== repo.toLowerCase()) {
+    return { repo, reason: "repository_mismatch" };
+  }
+  return { repo: configured };
+}
+
+function githubExternalId(repo, issueNumber) {
+  return issueNumber ? `${repo}#${issueNumber}` : null;
+}
+
+function snapshotFields(task) {
+  if (!task) return {};
+  return Object.fromEntries(TRACKED_FIELDS.map((field) => [field, task[field] ?? null]));
+}
+
+function diffFields(before, after) {
+  const changes = {};
+  for (const field of TRACKED_FIELDS) {
+    const from = before[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (String(from ?? "") !== String(to ?? "")) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+/**
+ * Apply a normalised external task to the local store.
+ * @returns {{taskId: string|null, outcome: string, reason?: string, changes?: object}}
+ */
+function applyExternalTask(provider, normalised, eventInfo, externalId = normalised?.task?.id) {
+  if (!normalised) return { taskId: null, outcome: "ignored", reason: "unrecognised_issue" };
+  const { task: external, inScope } = normalised;
+  const linked = findLinkedTask(provider, externalId);
+  if (!linked && !inScope) {
+    return { taskId: null, outcome: "ignored", reason: "out_of_scope" };
+  }
+  const before = snapshotFields(linked);
+  const updated = upsertFromExternal({
+    id: linked?.id || allocateTaskId(provider, externalId),
+    title: external.title,
+    description: external.description,
+    status: external.status,
+    assignee: external.assignee,
+    priority: external.priority,
+    projectId: external.projectId,
+    baseBranch: external.baseBranch,
+    branchName: external.branchName,
+    prNumber: external.prNumber,
+    tags: external.tags,
+    externalId: String(externalId),
+    externalBackend: provider,
+    meta: {
+      labels: external.meta?.labels?.map((label) => (typeof label === "string" ? label : label?.name)) || [],
+      task_url: external.taskUrl || null,
+      codex: external.meta?.codex || {},
+      lastExternalEvent: eventInfo,
+    },
+  });
+  if (!updated) return { taskId: null, outcome: "failed", reason: "upsert_failed" };
+  const conflicts = (updated.syncConflicts || []).map((conflict) => conflict.field);
+  return {
+    taskId: updated.id,
+    outcome: linked ? "updated" : "created",
+    changes: diffFields(before, updated),
+    ...(conflicts.length > 0 ? { conflicts } : {}),
+  };
+}
+
+function applyExternalComment(provider, externalId, rawComment, eventInfo) {
+  const comment = normaliseWebhookComment(provider, rawComment);
+  if (!comment?.body) return { outcome: "ignored", reason: "empty_comment" };
+  if (comment.isSharedState) return { outcome: "ignored", reason: "shared_state_comment" };
+  const linked = findLinkedTask(provider, externalId);
+  if (!linked) return { outcome: "ignored", reason: "untracked_issue" };
+  const commentId = comment.id ? `${provider}:${comment.id}` : null;
+  const known = (linked.comments || []).some((entry) => commentId && entry.id === commentId);
+  if (known) return { taskId: linked.id, outcome: "ignored", reason: "duplicate_comment" };
+  addTaskComment(linked.id, {
+    id: commentId,
+    body: comment.body,
+    author: comment.author,
+    createdAt: comment.createdAt || undefined,
+    source: "external",
+    meta: { provider, externalId: String(externalId), event: eventInfo.event },
+  });
+  return { taskId: linked.id, outcome: "commented", changes: { comments: { added: commentId } } };
+}
+
+// ── Provider handlers ────────────────────────────────────────────────────────
+
+function extractIssueNumber(payload) {
+  const item = payload?.projects_v2_item || {};
+  const candidates = [item.content_number, item.content?.number, payload?.issue?.number];
+  for (const candidate of candidates) {
+    const numeric = Number(candidate);
+    if (Number.isInteger(numeric) && numeric > 0) return String(numeric);
+  }
+  const match = String(item.content_url || "").match(/\/issues\/(\d+)(?:$|[/?#])/);
+  return match ? match[1] : null;
+}
+
+async function handleGitHubEvent(event, payload, eventInfo) {
+  if (event === "ping") return { outcome: "ignored", reason: "ping" };
+  if (!["issues", "issue_comment", "projects_v2_item"].includes(event)) {
+    return { outcome: "ignored", reason: "unsupported_event" };
+  }
+  const { repo, reason: repoReason } = checkGitHubRepo(payload);
+  if (repoReason) {
+    const externalId = repo ? githubExternalId(repo, extractIssueNumber(payload)) : null;
+    return { externalId, outcome: "ignored", reason: repoReason };
+  }
+  if (event === "issues") {
+    const externalId = githubExternalId(repo, String(payload?.issue?.number || ""));
+    if (payload?.action === "deleted") return { externalId, outcome: "ignored", reason: "issue_deleted" };
+    return { externalId, ...applyExternalTask("github", normaliseWebhookIssue("github", payload?.issue), eventInfo, externalId) };
+  }
+  if (event === "issue_comment") {
+    const externalId = githubExternalId(repo, String(payload?.issue?.number || ""));
+    if (payload?.issue?.pull_request) {
+      return { externalId, outcome: "ignored", reason: "pull_request_comment" };
+    }
+    const comment = normaliseWebhookComment("github", payload?.comment);
+    if (comment?.isSharedState) {
+      return { externalId, outcome: "ignored", reason: "shared_state_comment" };
+    }
+    const issueResult = applyExternalTask("github", normaliseWebhookIssue("github", payload?.issue), eventInfo, externalId);
+    if (payload?.action !== "created" || !issueResult.taskId) return { externalId, ...issueResult };
+    const commentResult = applyExternalComment("github", externalId, payload.comment, eventInfo);
+    return {
+      externalId,
+      ...issueResult,
+      changes: { ...issueResult.changes, ...commentResult.changes },
+    };
+  }
+  if (event === "projects_v2_item") {
+    if (String(payload?.projects_v2_item?.content_type || "Issue") !== "Issue") {
+      return { outcome: "ignored", reason: "not_an_issue" };
+    }
+    const issueNumber = extractIssueNumber(payload);
+    if (!issueNumber) return { outcome: "ignored", reason: "issue_number_unresolved" };
+    const externalId = githubExternalId(repo, issueNumber);
+    const adapter = getKanbanAdapter();
+    if (adapter?.name !== "github") {
+      return { externalId, outcome: "ignored", reason: "github_backend_inactive" };
+    }
+    // Project item payloads carry field changes but not the issue itself.
+    const task = await adapter.getTask(issueNumber);
+    if (!task) return { externalId, outcome: "ignored", reason: "issue_not_found" };
+    const labels = task.meta?.labels || [];
+    const normalised = normaliseWebhookIssue("github", {
+      ...task.meta,
+      labels,
+      html_url: task.taskUrl || task.meta?.task_url,
+    });
+    return { externalId, ...applyExternalTask("github", normalised, eventInfo, externalId) };
+  }
+  return { outcome: "ignored", reason: "unsupported_event" };
+}
+
+function handleJiraEvent(event, payload, eventInfo) {
+  const externalId = String(payload?.issue?.key || "") || null;
+  if (event.startsWith("jira:issue_")) {
+    if (event === "jira:issue_deleted") {
+      return { externalId, outcome: "ignored", reason: "issue_deleted" };
+    }
+    return { externalId, ...applyExternalTask("jira", normaliseWebhookIssue("jira", payload?.issue), eventInfo) };
+  }
+  if (event.startsWith("comment_")) {
+    if (!externalId) return { outcome: "ignored", reason: "issue_key_missing" };
+    if (event !== "comment_created") return { externalId, outcome: "ignored", reason: "comment_not_created" };
+    // Comment deliveries carry a partial issue, so only the comment is applied.
+    return { externalId, ...applyExternalComment("jira", externalId, payload?.comment, eventInfo) };
+  }
+  return { externalId, outcome: "ignored", reason: "unsupported_event" };
+}
+
+function readHeader(headers, name) {
+  const value = headers?.[name];
+  return String(Array.isArray(value) ? value[0] : value || "").trim();
+}
+
+function rememberDelivery(key) {
+  if (!key) return false;
+  if (seenDeliveries.has(key)) return true;
+  seenDeliveries.add(key);
+  if (seenDeliveries.size > MAX_SEEN_DELIVERIES) {
+    seenDeliveries.delete(seenDeliveries.values().next().value);
+  }
+  return false;
+}
+
+/**
+ * Verify and apply one webhook delivery.
+ * @param {object} opts
+ * @param {"github"|"jira"} opts.provider
+ * @param {object} opts.headers - Lower-cased request headers
+ * @param {string} opts.rawBody
+ * @param {string} [opts.secret] - Defaults to getKanbanWebhookSecret(provider)
+ * @returns {Promise<{status: number, body: object}>}
+ */
+export async function processKanbanWebhook({ provider, headers = {}, rawBody = "", secret } = {}) {
+  if (!KANBAN_WEBHOOK_PROVIDERS.includes(provider)) {
+    return { status: 404, body: { ok: false, error: `Unknown kanban webhook provider: ${provider}` } };
+  }
+  const webhookSecret = secret ?? getKanbanWebhookSecret(provider);
+  if (!webhookSecret) {
+    return { status: 503, body: { ok: false, error: `${provider} kanban webhook secret is not configured` } };
+  }
+  const signature = readHeader(headers, SIGNATURE_HEADERS[provider]);
+  let deliveryId = provider === "github"
+    ? readHeader(headers, "x-github-delivery")
+    : readHeader(headers, "x-atlassian-webhook-identifier");
+  if (!verifyKanbanWebhookSignature(rawBody, signature, webhookSecret)) {
+    appendJournalEntry({ provider, deliveryId: deliveryId || null, outcome: "rejected", reason: "invalid_signature" });
+    return { status: 401, body: { ok: false, error: "Invalid webhook signature" } };
+  }
+
+  let payload;
+  try {
+    payload = rawBody ? JSON.parse(rawBody) : {};
+  } catch {
+    return { status: 400, body: { ok: false, error: "Invalid JSON payload" } };
+  }
+  const event = provider === "github"
+    ? readHeader(headers, "x-github-event").toLowerCase()
+    : String(payload?.webhookEvent || "").trim();
+  const action = provider === "github" ? payload?.action || null : payload?.issue_event_type_name || null;
+  if (!deliveryId && provider === "jira" && payload?.timestamp) {
+    deliveryId = `${event}:${payload.issue?.key || ""}:${payload.timestamp}`;
+  }
+  const deliveryKey = deliveryId ? `${provider}:${deliveryId}` : "";
+  if (rememberDelivery(deliveryKey)) {
+    return { status: 200, body: { ok: true, duplicate: true, deliveryId } };
+  }
+
+  const eventInfo = {
+    provider,
+    event,
+    action,
+    deliveryId: deliveryId || null,
+    receivedAt: new Date().toISOString(),
+  };
+  let result;
+  try {
+    result = provider === "github"
+      ? await handleGitHubEvent(event, payload, eventInfo)
+      : handleJiraEvent(event, payload, eventInfo);
+  } catch (err) {
+    console.warn(`${TAG} ${provider} ${event} delivery=${deliveryId || "-"} failed: ${err.message}`);
+    result = { outcome: "failed", reason: err.message };
+    // Let the provider's redelivery retry it.
+    seenDeliveries.delete(deliveryKey);
+  }
+
+  const entry = appendJournalEntry({
+    provider,
+    deliveryId: deliveryId || null,
+    event,
+    action,
+    externalId: result.externalId || null,
+    taskId: result.taskId || null,
+    outcome: result.outcome,
+    ...(result.reason ? { reason: result.reason } : {}),
+    ...(result.changes ? { changes: result.changes } : {}),
+    ...(result.conflicts ? { conflicts: result.conflicts } : {}),
+  });
+  const status = result.outcome === "failed" ? 500 : 202;
+  return {
+    status,
+    body: {
+      ok: status < 400,
+      deliveryId: entry.deliveryId,
+      event,
+      outcome: result.outcome,
+      taskId: entry.taskId,
+      journalId: entry.id,
+      ...(result.reason ? { reason: result.reason } : {}),
+    },
+  };
+}
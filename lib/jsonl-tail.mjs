@@ -0,0 +1,47 @@
+/**
+ * jsonl-tail.mjs — Read append-only JSONL journals from the newest end.
+ *
+ * Journals (kanban webhook deliveries, the task store's operator journal)
+ * only ever append, and readers almost always want the most recent lines,
+ * so they are read backwards in fixed-size chunks instead of being loaded
+ * whole.
+ */
+
+import { closeSync, openSync, readSync, statSync } from "node:fs";
+
+const DEFAULT_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Yield the lines of a file last-to-first. A missing file yields nothing.
+ * @param {string} filePath
+ * @param {{ chunkBytes?: number }} [options]
+ */
+export function* readLinesFromTail(filePath, { chunkBytes = DEFAULT_CHUNK_BYTES } = {}) {
+  let fd;
+  try {
+    fd = openSync(filePath, "r");
+  } catch {
+    return;
+  }
+  try {
+    let position = statSync(filePath).size;
+    let carry = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(chunkBytes, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      readSync(fd, chunk, 0, length, position);
+      let buffer = Buffer.concat([chunk, carry]);
+      let newline = buffer.lastIndexOf(0x0a);
+      while (newline >= 0) {
+        yield buffer.subarray(newline + 1).toString("utf8");
+        buffer = buffer.subarray(0, newline);
+        newline = buffer.lastIndexOf(0x0a);
+      }
+      carry = buffer;
+    }
+    if (carry.length) yield carry.toString("utf8");
+  } finally {
+    closeSync(fd);
+  }
+}
@@ -148,6 +148,11 @@ import {
   markTaskIgnored,
   unmarkTaskIgnored,
 } from "../kanban/kanban-adapter.mjs";
+import {
+  listKanbanWebhookJournal,
+  processKanbanWebhook,
+} from "../kanban/kanban-webhooks.mjs";
+import { buildTaskForecast } from "../task/task-forecast.mjs";
 
 import {
   addActiveSessionListener,
@@ -435,6 +440,27 @@ const TASK_STORE_DEPENDENCY_EXPORTS = {
   update: ["updateTask"],
 };
 const TASK_STORE_ASSIGN_SPRINT_EXPORTS = ["assignTaskToSprint", "setTaskSprint"];
+const TASK_STORE_SYNC_CONFLICT_EXPORTS = Object.freeze({
+  list: ["listSyncConflicts"],
+  resolve: ["resolveSyncConflict"],
+});
+const TASK_STORE_BULK_EXPORTS = Object.freeze({
+  update: ["bulkUpdateTasks"],
+});
+const TASK_STORE_UNDO_EXPORTS = Object.freeze({
+  list: ["listTaskOperatorActions"],
+  undo: ["undoTaskOperatorAction"],
+  redo: ["redoTaskOperatorAction"],
+});
+const TASK_STORE_TEMPLATE_EXPORTS = Object.freeze({
+  list: ["listTaskTemplates"],
+  upsert: ["upsertTaskTemplate"],
+  remove: ["deleteTaskTemplate"],
+  instantiate: ["createTaskFromTemplate"],
+  listRecurrences: ["listTaskRecurrences"],
+  upsertRecurrence: ["upsertTaskRecurrence"],
+  removeRecurrence: ["deleteTaskRecurrence"],
+});
 const TASK_STORE_EPIC_DEPENDENCY_EXPORTS = Object.freeze({
   list: ["getEpicDependencies", "listEpicDependencies"],
   set: ["setEpicDependencies", "updateEpicDependencies"],
@@ -1383,6 +1409,7 @@ class WorkflowEngineProxy {
     this._listeners = new Map(); // eventName → Set<handler>
     this._ready = false;
     this._initPromise = null;
+    this._removeSessionListener = null;
   }
 
   /** Start the Worker thread and wait for "ready". */
@@ -1410,6 +1437,10 @@ class WorkflowEngineProxy {
         this._worker.off("message", onReady);
         this._worker.off("message", onInitError);
         this._ready = true;
+        // Agent sessions are accumulated on this thread; workflow budgets need them.
+        this._removeSessionListener = addSessionAccumulationListener((payload) => {
+          this.recordAgentSession(payload).catch(() => {});
+        });
         resolve();
       };
       const onInitError = (msg) => {
@@ -1429,6 +1460,8 @@ class WorkflowEngineProxy {
       this._worker.on("exit", (code) => {
         if (code !== 0) console.warn(`[wf-worker] worker exited with code ${code}`);
         this._ready = false;
+        this._removeSessionListener?.();
+        this._removeSessionListener = null;
       });
 
       /* Send init after attaching all listeners */
@@ -1447,6 +1480,7 @@ class WorkflowEngineProxy {
       if (msg.type === "error") {
         const err = new Error(msg.error || "workflow engine error");
         if (msg.stack) err.stack = msg.stack;
+        if (msg.diagnostics) err.diagnostics = msg.diagnostics;
         p.reject(err);
       } else {
         p.resolve(msg.result);
@@ -1557,9 +1591,23 @@ class WorkflowEngineProxy {
   retryRun(runId, opts)                  { return this._call("retryRun",             [runId, opts]); }
   restoreFromSnapshot(runId, opts)       { return this._call("restoreFromSnapshot",   [runId, opts]); }
   cancelRun(runId)                       { return this._call("cancelRun",            [runId]); }
+  listSleepingRuns(workflowId)           { return this._call("listSleepingRuns",     [workflowId]); }
+  wakeRun(runId)                         { return this._call("wakeRun",              [runId]); }
   createRunSnapshot(runId, opts)         { return this._call("createRunSnapshot",    [runId, opts]); }
   listSnapshots(workflowId)              { return this._call("listSnapshots",        [workflowId]); }
-  save(workflow)                         { return this._call("save",                 [workflow]); }
+  save(workflow, opts)                   { return this._call("save",                 [workflow, opts]); }
+  recordAgentSession(payload)            { return this._call("recordAgentSession",   [payload]); }
+  listRevisions(workflowId)              { return this._call("listRevisions",        [workflowId]); }
+  getRevision(workflowId, rev)           { return this._call("getRevision",          [workflowId, rev]); }
+  diffRevisions(workflowId, fromRev, toRev) { return this._call("diffRevisions",     [workflowId, fromRev, toRev]); }
+  rollback(workflowId, rev, opts)        { return this._call("rollback",             [workflowId, rev, opts]); }
+  listDebugSessions(workflowId)          { return this._call("listDebugSessions",    [workflowId]); }
+  getDebugSession(runId)                 { return this._call("getDebugSession",      [runId]); }
+  resumeDebugSession(runId, command)     { return this._call("resumeDebugSession",   [runId, command]); }
+  setDebugBreakpoints(runId, nodeIds)    { return this._call("setDebugBreakpoints",  [runId, nodeIds]); }
+  updateDebugContext(runId, patch)       { return this._call("updateDebugContext",   [runId, patch]); }
+  attachDebugClient(runId, clientId)     { return this._call("attachDebugClient",    [runId, clientId]); }
+  detachDebugClient(clientId)            { return this._call("detachDebugClient",    [clientId]); }
   import(workflow)                       { return this._call("import",               [workflow]); }
   delete(workflowId)                     { return this._call("delete",              [workflowId]); }
   getConcurrencyStats()                  { return this._call("getConcurrencyStats",  []); }
@@ -3370,6 +3418,18 @@ function maybeBootstrapWorkspaceWorkflowTemplates(engine, workspaceKey, workspac
   }
 }
 
+function resolveWorkflowRevisionAuthor(req, body = null) {
+  return String(
+    body?.author
+    || body?.actorId
+    || body?.actor
+    || req?.headers?.["x-bosun-operator"]
+    || req?.headers?.["x-forwarded-user"]
+    || req?.headers?.["x-remote-user"]
+    || "ui-operator",
+  ).trim() || "ui-operator";
+}
+
 async function getWorkflowRequestContext(reqUrl, options = {}) {
   const workspaceContext = resolveWorkspaceContextFromRequest(reqUrl, { allowAll: false });
   if (!workspaceContext) {
@@ -3449,6 +3509,73 @@ function resolvePrimaryWorkspaceId() {
   }
 }
 
+/**
+ * Cursor-paginated /api/tasks page served by the task store's queryTasks()
+ * (`?cursor=` on the internal backend). Filtering, ordering and counting
+ * happen in the store instead of over the full task list.
+ * Returns null when the task store has no queryTasks export.
+ */
+async function buildTaskQueryPage(url, { status, workspaceFilter, workspaceDirFilter, repositoryFilter }) {
+  const splitParam = (name) => String(url.searchParams.get(name) || "")
+    .split(",")
+    .map((value) => value.trim())
+    .filter(Boolean);
+  const where = {};
+  if (status) where.status = splitParam("status");
+  const sprintIds = splitParam("sprint");
+  if (sprintIds.length) where.sprintId = sprintIds;
+  const tags = splitParam("tag");
+  if (tags.length) where.tags = tags;
+  const parent = url.searchParams.get("parent");
+  if (parent !== null) where.parentTaskId = parent.trim() || null;
+  const search = String(url.searchParams.get("search") || "").trim();
+  if (search) where.search = search;
+  if (workspaceFilter) {
+    const primaryId = resolvePrimaryWorkspaceId();
+    where.workspace = [workspaceFilter, workspaceDirFilter].filter(Boolean);
+    where.includeUnscoped = !primaryId || workspaceFilter === primaryId;
+  }
+  if (repositoryFilter) where.repository = repositoryFilter;
+  const limit = Math.min(
+    200,
+    Math.max(1, Number(url.searchParams.get("limit") || url.searchParams.get("pageSize") || "50")),
+  );
+  const { found, value } = await callTaskStoreFunction(["queryTasks"], [{
+    where,
+    orderBy: url.searchParams.get("orderBy") || undefined,
+    limit,
+    cursor: url.searchParams.get("cursor") || null,
+  }]);
+  if (!found) return null;
+  const adapter = getKanbanAdapter();
+  const tasks = (await Promise.all(
+    (value?.tasks || []).map((task) => adapter.getTask(task.id)),
+  )).filter(Boolean);
+  const enriched = await applySharedStateToTasks(tasks);
+  const statusCounts = {
+    draft: 0,
+    backlog: 0,
+    blocked: 0,
+    inProgress: 0,
+    inReview: 0,
+    done: 0,
+  };
+  for (const [taskStatus, count] of Object.entries(value?.statusTotals || {})) {
+    const bucket = mapTaskStatusToBoardColumn(taskStatus);
+    statusCounts[bucket] = (statusCounts[bucket] || 0) + count;
+  }
+  return {
+    ok: true,
+    data: enriched.map((task) => withTaskRuntimeSnapshot(task)),
+    pageSize: limit,
+    total: Number(value?.total || 0),
+    nextCursor: value?.nextCursor || null,
+    hasMore: Boolean(value?.nextCursor),
+    statusCounts,
+    projectId: "internal",
+  };
+}
+
 function resolveRepoLocalWorkspaceConfigDir() {
   const explicitRepoRoot = normalizeCandidatePath(process.env.REPO_ROOT);
   if (!explicitRepoRoot) return "";
@@ -7922,6 +8049,24 @@ function mapEnvKeyToConfigPath(key, schema) {
     const sub = toCamelCaseFromEnv(rest);
     if (jiraSchema?.[sub]) return buildConfigPath(["kanban", "jira", sub]);
   }
+  if (envKey.startsWith("LINEAR_STATUS_")) {
+    const linearSchema = schema.properties.kanban?.properties?.linear?.properties?.statusMapping?.properties;
+    const rest = envKey.slice("LINEAR_STATUS_".length);
+    const sub = toCamelCaseFromEnv(rest);
+    if (linearSchema?.[sub]) return buildConfigPath(["kanban", "linear", "statusMapping", sub]);
+  }
+  if (envKey.startsWith("LINEAR_")) {
+    const linearSchema = schema.properties.kanban?.properties?.linear?.properties;
+    const rest = envKey.slice("LINEAR_".length);
+    const sub = toCamelCaseFromEnv(rest);
+    if (linearSchema?.[sub]) return buildConfigPath(["kanban", "linear", sub]);
+  }
+  if (envKey.startsWith("GITLAB_")) {
+    const gitlabSchema = schema.properties.kanban?.properties?.gitlab?.properties;
+    const rest = envKey.slice("GITLAB_".length);
+    const sub = toCamelCaseFromEnv(rest);
+    if (gitlabSchema?.[sub]) return buildConfigPath(["kanban", "gitlab", sub]);
+  }
   if (envKey.startsWith("GITHUB_PROJECT_")) {
     const projectSchema = schema.properties.kanban?.properties?.github?.properties?.project?.properties;
     const rest = envKey.slice("GITHUB_PROJECT_".length);
@@ -14338,12 +14483,138 @@ function attachWorkflowEngineLiveBridge(engine) {
       timestamp: Date.now(),
     });
   });
+  // Debugger events are rare and latency-sensitive, so they bypass the
+  // batching queue and go straight to the workflows channel.
+  for (const eventName of ["debug:started", "debug:paused", "debug:resumed", "debug:ended"]) {
+    listen(eventName, (payload) => {
+      broadcastUiEvent(["workflows"], "workflow-debug", {
+        ...payload,
+        event: eventName.slice("debug:".length),
+        timestamp: Date.now(),
+      });
+    });
+  }
 
   workflowEngineListenerCleanup.set(engine, () => {
     for (const unsub of unsubs) unsub();
   });
 }
 
+/**
+ * Handle a `workflow-debug` WebSocket message from the UI. The reply is sent
+ * only to the requesting socket as `workflow-debug-result`; pause/resume
+ * notifications are broadcast separately by attachWorkflowEngineLiveBridge().
+ *
+ * Actions: start, list, state, step, continue, skip, set-breakpoints,
+ * update-context.
+ *
+ * The socket is registered as a client of every run it starts or touches;
+ * when it closes, detachWorkflowDebugSocket() lets the engine release runs
+ * that no client is watching any more.
+ */
+async function handleWorkflowDebugWsMessage(socket, message = {}) {
+  const debugAction = String(message.action || "").trim();
+  const requestId = message.requestId ?? null;
+  const reply = (payload) => {
+    sendWsMessage(socket, {
+      type: "workflow-debug-result",
+      channels: ["workflows"],
+      payload: { requestId, action: debugAction, ...payload },
+      ts: Date.now(),
+    });
+  };
+  try {
+    const workspace = String(message.workspace || "").trim();
+    const wfUrl = new URL("http://localhost/api/workflows");
+    if (workspace) wfUrl.searchParams.set("workspace", workspace);
+    const wfCtx = await getWorkflowRequestContext(wfUrl, { bootstrapTemplates: false });
+    if (!wfCtx.ok) {
+      reply({ ok: false, error: wfCtx.error });
+      return;
+    }
+    const engine = wfCtx.engine;
+    if (typeof engine.resumeDebugSession !== "function") {
+      reply({ ok: false, error: "Workflow debugger not available" });
+      return;
+    }
+    const workflowId = String(message.workflowId || "").trim();
+    const runId = String(message.runId || "").trim();
+    socket.__debugClientId ||= _genCallId();
+    socket.__debugEngines ||= new Set();
+    socket.__debugEngines.add(engine);
+    const clientId = socket.__debugClientId;
+
+    if (debugAction === "start") {
+      if (!workflowId) {
+        reply({ ok: false, error: "workflowId is required" });
+        return;
+      }
+      const input = message.input && typeof message.input === "object" ? message.input : {};
+      const breakpoints = Array.isArray(message.breakpoints) ? message.breakpoints : [];
+      Promise.resolve()
+        .then(() => engine.execute(workflowId, input, {
+          debug: { breakpoints, pauseOnStart: message.pauseOnStart === true, clientId },
+        }))
+        .then((ctx) => {
+          console.log(`[workflows] Debug run finished workflow=${workflowId} runId=${ctx?.id || "unknown"}`);
+        })
+        .catch((err) => {
+          console.error(`[workflows] Debug run failed workflow=${workflowId}: ${err.message}`);
+        });
+      reply({ ok: true, accepted: true, workflowId });
+      return;
+    }
+    if (debugAction === "list") {
+      reply({ ok: true, sessions: await engine.listDebugSessions(workflowId || null) });
+      return;
+    }
+    if (!runId) {
+      reply({ ok: false, error: "runId is required" });
+      return;
+    }
+    try {
+      await engine.attachDebugClient(runId, clientId);
+    } catch {
+      // session already ended — the action below reports it
+    }
+    if (debugAction === "state") {
+      const session = await engine.getDebugSession(runId);
+      reply(session ? { ok: true, session } : { ok: false, error: "Debug session not found" });
+      return;
+    }
+    if (debugAction === "step" || debugAction === "continue" || debugAction === "skip") {
+      reply(await engine.resumeDebugSession(runId, debugAction));
+      return;
+    }
+    if (debugAction === "set-breakpoints") {
+      reply(await engine.setDebugBreakpoints(runId, message.breakpoints || []));
+      return;
+    }
+    if (debugAction === "update-context") {
+      reply(await engine.updateDebugContext(runId, {
+        data: message.data,
+        variables: message.variables,
+        unset: message.unset,
+      }));
+      return;
+    }
+    reply({ ok: false, error: `Unknown debug action "${debugAction}"` });
+  } catch (err) {
+    reply({ ok: false, error: err?.message || String(err) });
+  }
+}
+
+function detachWorkflowDebugSocket(socket) {
+  const clientId = socket?.__debugClientId;
+  if (!clientId) return;
+  for (const engine of socket.__debugEngines || []) {
+    Promise.resolve()
+      .then(() => engine.detachDebugClient(clientId))
+      .catch(() => {});
+  }
+  socket.__debugEngines = null;
+}
+
 function broadcastUiEvent(channels, type, payload = {}) {
   const required = Array.isArray(channels) ? channels : [channels];
   broadcastCanonicalEvent(required, type, payload);
@@ -15174,6 +15445,43 @@ async function handleGitHubAppWebhook(req, res) {
   });
 }
 
+// ─── Kanban sync webhooks ────────────────────────────────────────────────────
+
+function getKanbanWebhookPath(provider) {
+  const envKey = provider === "jira"
+    ? "KANBAN_JIRA_WEBHOOK_PATH"
+    : "KANBAN_GITHUB_WEBHOOK_PATH";
+  return process.env[envKey] || `/api/webhooks/${provider}/kanban`;
+}
+
+/**
+ * Handles GitHub/Jira issue deliveries for the kanban sync.
+ * Signature checks and task-store updates live in kanban-webhooks.mjs.
+ */
+async function handleKanbanWebhook(provider, req, res) {
+  if (req.method !== "POST") {
+    jsonResponse(res, 405, { ok: false, error: "Method not allowed" });
+    return;
+  }
+  let rawBody;
+  try {
+    rawBody = await readRawBody(req);
+  } catch {
+    jsonResponse(res, 400, { ok: false, error: "Failed to read body" });
+    return;
+  }
+  try {
+    const result = await processKanbanWebhook({
+      provider,
+      headers: req.headers,
+      rawBody,
+    });
+    jsonResponse(res, result.status, result.body);
+  } catch (err) {
+    jsonResponse(res, 500, { ok: false, error: err.message });
+  }
+}
+
 function _processAppWebhookEvent(eventType, payload, deliveryId) {
   switch (eventType) {
     case "ping":
@@ -17108,6 +17416,24 @@ async function ensurePresenceLoaded() {
   await initPresence({ repoRoot, localWorkspace });
 }
 
+/**
+ * Task mutations made through the API each run as one journaled operator
+ * action so they can be reverted from /api/tasks/undo.
+ */
+async function handleApiAsOperatorAction(req, res, url) {
+  const mutatesTasks = url.pathname.startsWith("/api/tasks")
+    && !["GET", "HEAD", "OPTIONS"].includes(req.method);
+  const api = mutatesTasks ? await ensureTaskStoreApi() : null;
+  if (typeof api?.runTaskOperatorAction !== "function") {
+    await handleApi(req, res, url);
+    return;
+  }
+  await api.runTaskOperatorAction(
+    { source: "ui", actor: "ui", label: `${req.method} ${url.pathname}` },
+    () => handleApi(req, res, url),
+  );
+}
+
 async function handleApi(req, res, url) {
   const path = url.pathname;
   if (req.method === "OPTIONS") {
@@ -17846,6 +18172,25 @@ async function handleApi(req, res, url) {
       200,
       Math.max(5, Number(url.searchParams.get("pageSize") || "15")),
     );
+    if (url.searchParams.has("cursor") && getKanbanBackendName() === "internal") {
+      try {
+        const payload = await buildTaskQueryPage(url, {
+          status,
+          workspaceFilter,
+          workspaceDirFilter,
+          repositoryFilter,
+        });
+        if (payload) {
+          setCachedApiResponse(cacheKey, payload);
+          jsonResponse(res, 200, payload);
+          return;
+        }
+      } catch (err) {
+        const badQuery = /task query/i.test(String(err?.message || ""));
+        jsonResponse(res, badQuery ? 400 : 500, { ok: false, error: err.message });
+        return;
+      }
+    }
     try {
       const adapter = getKanbanAdapter();
       const projects = await adapter.listProjects();
@@ -19077,6 +19422,334 @@ async function handleApi(req, res, url) {
     return;
   }
 
+  if (path === "/api/tasks/sync-conflicts" && req.method === "GET") {
+    try {
+      const taskId = String(url.searchParams.get("taskId") || "").trim();
+      const list = await callTaskStoreFunction(
+        TASK_STORE_SYNC_CONFLICT_EXPORTS.list,
+        [taskId ? { taskId } : {}],
+      );
+      if (!list.found) {
+        jsonResponse(res, 501, { ok: false, error: "Sync conflict APIs are unavailable." });
+        return;
+      }
+      jsonResponse(res, 200, { ok: true, data: Array.isArray(list.value) ? list.value : [] });
+    } catch (err) {
+      jsonResponse(res, 500, { ok: false, error: err.message });
+    }
+    return;
+  }
+
+  if (path === "/api/tasks/sync-conflicts/resolve" && req.method === "POST") {
+    try {
+      const body = await readJsonBody(req);
+      const taskId = String(body?.taskId || "").trim();
+      const field = String(body?.field || "").trim();
+      const resolution = String(body?.resolution || "").trim().toLowerCase();
+      if (!taskId || !field) {
+        jsonResponse(res, 400, { ok: false, error: "taskId and field are required" });
+        return;
+      }
+      if (!["local", "remote", "custom"].includes(resolution)) {
+        jsonResponse(res, 400, { ok: false, error: "resolution must be local, remote or custom" });
+        return;
+      }
+      if (resolution === "custom" && body?.value === undefined) {
+        jsonResponse(res, 400, { ok: false, error: "value is required for a custom resolution" });
+        return;
+      }
+      const resolved = await callTaskStoreFunction(
+        TASK_STORE_SYNC_CONFLICT_EXPORTS.resolve,
+        [taskId, field, { resolution, value: body?.value, actor: String(body?.actor || "ui") }],
+      );
+      if (!resolved.found) {
+        jsonResponse(res, 501, { ok: false, error: "Sync conflict APIs are unavailable." });
+        return;
+      }
+      if (!resolved.value) {
+        jsonResponse(res, 404, { ok: false, error: `No ${field} conflict on task ${taskId}` });
+        return;
+      }
+      jsonResponse(res, 200, { ok: true, data: resolved.value });
+      broadcastUiEvent(["tasks", "overview"], "invalidate", {
+        reason: "task-sync-conflict-resolved",
+        taskId,
+      });
+    } catch (err) {
+      jsonResponse(res, 500, { ok: false, error: err.message });
+    }
+    return;
+  }
+
+  if (path === "/api/tasks/bulk" && req.method === "POST") {
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (err) {
+      jsonResponse(res, 400, { ok: false, error: err.message });
+      return;
+    }
+    let bulk;
+    try {
+      bulk = await callTaskStoreFunction(TASK_STORE_BULK_EXPORTS.update, [
+        {
+          query: body?.query,
+          taskIds: body?.taskIds,
+          set: body?.set,
+          addTags: body?.addTags,
+          removeTags: body?.removeTags,
+        },
+        {
+          dryRun: body?.dryRun === true,
+          source: "ui",
+          actor: String(body?.actor || "ui").trim() || "ui",
+        },
+      ]);
+    } catch (err) {
+      // The store only throws here for invalid queries or mutations.
+      jsonResponse(res, 400, { ok: false, error: err.message });
+      return;
+    }
+    if (!bulk.found) {
+      jsonResponse(res, 501, { ok: false, error: "Bulk task updates are unavailable." });
+      return;
+    }
+    const result = bulk.value || {};
+    if (!result.ok) {
+      jsonResponse(res, 409, { ...result, ok: false });
+      return;
+    }
+    jsonResponse(res, 200, { ok: true, data: result });
+    if (result.actionId) {
+      broadcastUiEvent(["tasks", "overview"], "invalidate", {
+        reason: "task-bulk-updated",
+        actionId: result.actionId,
+        taskIds: result.changes.map((change) => change.taskId),
+      });
+    }
+    return;
+  }
+
+  if (path === "/api/tasks/undo" && req.method === "GET") {
+    const limit = Number(url.searchParams.get("limit") || 20);
+    const listed = await callTaskStoreFunction(TASK_STORE_UNDO_EXPORTS.list, [{ limit }]);
+    if (!listed.found) {
+      jsonResponse(res, 501, { ok: false, error: "Task undo is unavailable." });
+      return;
+    }
+    jsonResponse(res, 200, { ok: true, data: listed.value || [] });
+    return;
+  }
+
+  if ((path === "/api/tasks/undo" || path === "/api/tasks/redo") && req.method === "POST") {
+    const direction = path.endsWith("/redo") ? "redo" : "undo";
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (err) {
+      jsonResponse(res, 400, { ok: false, error: err.message });
+      return;
+    }
+    const actionId = String(body?.actionId || "").trim() || undefined;
+    const reverted = await callTaskStoreFunction(TASK_STORE_UNDO_EXPORTS[direction], [
+      actionId,
+      {
+        force: body?.force === true,
+        source: "ui",
+        actor: String(body?.actor || "ui").trim() || "ui",
+      },
+    ]);
+    if (!reverted.found) {
+      jsonResponse(res, 501, { ok: false, error: `Task ${direction} is unavailable.` });
+      return;
+    }
+    const result = reverted.value;
+    if (!result) {
+      jsonResponse(res, 404, {
+        ok: false,
+        error: actionId ? `Operator action not found: ${actionId}` : `Nothing to ${direction}.`,
+      });
+      return;
+    }
+    if (!result.ok) {
+      jsonResponse(res, 409, { ...result, ok: false });
+      return;
+    }
+    jsonResponse(res, 200, { ok: true, data: result });
+    broadcastUiEvent(["tasks", "overview"], "invalidate", {
+      reason: `task-${direction}`,
+      actionId: result.actionId,
+      taskIds: result.changes.filter((change) => change.kind === "task").map((change) => change.id),
+    });
+    return;
+  }
+
+  if (path === "/api/tasks/templates" && req.method === "GET") {
+    try {
+      const list = await callTaskStoreFunction(TASK_STORE_TEMPLATE_EXPORTS.list, []);
+      if (!list.found) {
+        jsonResponse(res, 501, { ok: false, error: "Task template APIs are unavailable." });
+        return;
+      }
+      jsonResponse(res, 200, { ok: true, data: Array.isArray(list.value) ? list.value : [] });
+    } catch (err) {
+      jsonResponse(res, 500, { ok: false, error: err.message });
+    }
+    return;
+  }
+
+  if (path === "/api/tasks/templates" && req.method === "POST") {
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (err) {
+      jsonResponse(res, 400, { ok: false, error: err.message });
+      return;
+    }
+    try {
+      const saved = await callTaskStoreFunction(TASK_STORE_TEMPLATE_EXPORTS.upsert, [body || {}]);
+      if (!saved.found) {
+        jsonResponse(res, 501, { ok: false, error: "Task template APIs are unavailable." });
+        return;
+      }
+      jsonResponse(res, 200, { ok: true, data: saved.value });
+      broadcastUiEvent(["tasks"], "invalidate", { reason: "task-template-saved", templateId: saved.value?.id });
+    } catch (err) {
+      // The store only throws here for invalid template definitions.
+      jsonResponse(res, 400, { ok: false, error: err.message });
+    }
+    return;
+  }
+
+  if (path === "/api/tasks/templates/delete" && req.method === "POST") {
+    try {
+      const body = await readJsonBody(req);
+      const templateId = String(body?.templateId || body?.id || "").trim();
+      if (!templateId) {
+        jsonResponse(res, 400, { ok: false, error: "templateId is required" });
+        return;
+      }
+      const removed = await callTaskStoreFunction(TASK_STORE_TEMPLATE_EXPORTS.remove, [templateId]);
+      if (!removed.found) {
+        jsonResponse(res, 501, { ok: false, error: "Task template APIs are unavailable." });
+        return;
+      }
+      if (!removed.value) {
+        jsonResponse(res, 404, { ok: false, error: `Template not found: ${templateId}` });
+        return;
+      }
+      jsonResponse(res, 200, { ok: true, data: true });
+      broadcastUiEvent(["tasks"], "invalidate", { reason: "task-template-deleted", templateId });
+    } catch (err) {
+      jsonResponse(res, 500, { ok: false, error: err.message });
+    }
+    return;
+  }
+
+  if (path === "/api/tasks/templates/instantiate" && req.method === "POST") {
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (err) {
+      jsonResponse(res, 400, { ok: false, error: err.message });
+      return;
+    }
+    const templateId = String(body?.templateId || body?.id || "").trim();
+    if (!templateId) {
+      jsonResponse(res, 400, { ok: false, error: "templateId is required" });
+      return;
+    }
+    try {
+      const created = await callTaskStoreFunction(
+        TASK_STORE_TEMPLATE_EXPORTS.instantiate,
+        [templateId, body?.params || {}, body?.overrides || {}],
+      );
+      if (!created.found) {
+        jsonResponse(res, 501, { ok: false, error: "Task template APIs are unavailable." });
+        return;
+      }
+      if (!created.value) {
+        jsonResponse(res, 404, { ok: false, error: `Template not found: ${templateId}` });
+        return;
+      }
+      jsonResponse(res, 200, { ok: true, data: created.value });
+      broadcastUiEvent(["tasks", "overview"], "invalidate", {
+        reason: "task-created",
+        taskId: created.value.id,
+        templateId,
+      });
+    } catch (err) {
+      jsonResponse(res, 400, { ok: false, error: err.message });
+    }
+    return;
+  }
+
+  if (path === "/api/tasks/templates/recurrences" && req.method === "GET") {
+    try {
+      const templateId = String(url.searchParams.get("templateId") || "").trim();
+      const list = await callTaskStoreFunction(
+        TASK_STORE_TEMPLATE_EXPORTS.listRecurrences,
+        [templateId ? { templateId } : {}],
+      );
+      if (!list.found) {
+        jsonResponse(res, 501, { ok: false, error: "Task recurrence APIs are unavailable." });
+        return;
+      }
+      jsonResponse(res, 200, { ok: true, data: Array.isArray(list.value) ? list.value : [] });
+    } catch (err) {
+      jsonResponse(res, 500, { ok: false, error: err.message });
+    }
+    return;
+  }
+
+  if (path === "/api/tasks/templates/recurrences" && req.method === "POST") {
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (err) {
+      jsonResponse(res, 400, { ok: false, error: err.message });
+      return;
+    }
+    try {
+      const saved = await callTaskStoreFunction(TASK_STORE_TEMPLATE_EXPORTS.upsertRecurrence, [body || {}]);
+      if (!saved.found) {
+        jsonResponse(res, 501, { ok: false, error: "Task recurrence APIs are unavailable." });
+        return;
+      }
+      jsonResponse(res, 200, { ok: true, data: saved.value });
+      broadcastUiEvent(["tasks"], "invalidate", { reason: "task-recurrence-saved", recurrenceId: saved.value?.id });
+    } catch (err) {
+      // Unknown templates and unparseable schedules both surface as thrown errors.
+      jsonResponse(res, 400, { ok: false, error: err.message });
+    }
+    return;
+  }
+
+  if (path === "/api/tasks/templates/recurrences/delete" && req.method === "POST") {
+    try {
+      const body = await readJsonBody(req);
+      const recurrenceId = String(body?.recurrenceId || body?.id || "").trim();
+      if (!recurrenceId) {
+        jsonResponse(res, 400, { ok: false, error: "recurrenceId is required" });
+        return;
+      }
+      const removed = await callTaskStoreFunction(TASK_STORE_TEMPLATE_EXPORTS.removeRecurrence, [recurrenceId]);
+      if (!removed.found) {
+        jsonResponse(res, 501, { ok: false, error: "Task recurrence APIs are unavailable." });
+        return;
+      }
+      if (!removed.value) {
+        jsonResponse(res, 404, { ok: false, error: `Recurrence not found: ${recurrenceId}` });
+        return;
+      }
+      jsonResponse(res, 200, { ok: true, data: true });
+      broadcastUiEvent(["tasks"], "invalidate", { reason: "task-recurrence-deleted", recurrenceId });
+    } catch (err) {
+      jsonResponse(res, 500, { ok: false, error: err.message });
+    }
+    return;
+  }
+
   if (path === "/api/tasks/dag" && req.method === "GET") {
     try {
       const sprintId = String(
@@ -19105,6 +19778,34 @@ async function handleApi(req, res, url) {
     return;
   }
 
+  if (path === "/api/tasks/forecast" && req.method === "GET") {
+    try {
+      const executorStatus = uiDeps.getInternalExecutor?.()?.getStatus?.() || null;
+      const requestedParallelism = Number(url.searchParams.get("parallelism"));
+      const parallelism = requestedParallelism > 0
+        ? requestedParallelism
+        : Math.max(1, Number(executorStatus?.maxParallel || 0) || 1);
+      const sprints = await callTaskStoreFunction(TASK_STORE_SPRINT_EXPORTS.list, []);
+      const forecast = buildTaskForecast(getAllInternalTasks(), {
+        parallelism,
+        iterations: Number(url.searchParams.get("iterations")) || undefined,
+        burndownDays: Number(url.searchParams.get("days")) || undefined,
+        getLifetimeTotals: getTaskLifetimeTotals,
+        sprints: Array.isArray(sprints.value) ? sprints.value : [],
+      });
+      const kind = String(url.searchParams.get("kind") || "").trim().toLowerCase();
+      const groupId = String(url.searchParams.get("sprintId") || url.searchParams.get("epicId") || "").trim();
+      if (kind || groupId) {
+        forecast.groups = forecast.groups.filter((group) =>
+          (!kind || group.kind === kind) && (!groupId || group.id === groupId));
+      }
+      jsonResponse(res, 200, { ok: true, data: forecast });
+    } catch (err) {
+      jsonResponse(res, 500, { ok: false, error: err.message });
+    }
+    return;
+  }
+
   if (path === "/api/tasks/dag-of-dags" && req.method === "GET") {
     try {
       const globalDag = await getGlobalDagData();
@@ -22899,10 +23600,14 @@ if (path === "/api/agent-logs/context") {
       if (typeof _wfTemplates?.applyWorkflowTemplateState === "function") {
         _wfTemplates.applyWorkflowTemplateState(body);
       }
-      const saved = await engine.save(body);
+      const saved = await engine.save(body, { author: resolveWorkflowRevisionAuthor(req) });
       invalidateApiCache("workflows:");
-      jsonResponse(res, 200, { ok: true, workflow: saved });
+      jsonResponse(res, 200, { ok: true, workflow: saved, diagnostics: saved?.metadata?.diagnostics || [] });
     } catch (err) {
+      if (Array.isArray(err.diagnostics)) {
+        jsonResponse(res, 400, { ok: false, error: err.message, diagnostics: err.diagnostics });
+        return;
+      }
       jsonResponse(res, 500, { ok: false, error: err.message });
     }
     return;
@@ -23881,12 +24586,23 @@ if (path === "/api/agent-logs/context") {
         return;
       }
 
-      // ── Workflow Code View ─────────────────────────────────────────
+      // ── Workflow Code View (?format=yaml for the YAML authoring format) ──
+      const workflowCodeDir = getWorkflowStoragePaths(wfCtx.workspaceContext?.workspaceDir).workflowDir;
       if (action === "code" && req.method === "GET") {
         const wf = await engine.get(workflowId);
         if (!wf) { jsonResponse(res, 404, { ok: false, error: "Workflow not found" }); return; }
         try {
-          const { serializeWorkflowToCode } = await import("../workflow/workflow-serializer.mjs");
+          const { serializeWorkflowToCode, serializeWorkflowToYaml } = await import("../workflow/workflow-serializer.mjs");
+          const format = String(url.searchParams.get("format") || "json").trim().toLowerCase();
+          if (format === "yaml" || format === "yml") {
+            const sourceFile = wf.metadata?.sourceFile ? resolve(workflowCodeDir, basename(wf.metadata.sourceFile)) : "";
+            const source = sourceFile && existsSync(sourceFile) ? readFileSync(sourceFile, "utf8") : "";
+            jsonResponse(res, 200, {
+              ...serializeWorkflowToYaml(wf, { source, baseDir: workflowCodeDir }),
+              format: "yaml",
+            });
+            return;
+          }
           const result = serializeWorkflowToCode(wf);
           jsonResponse(res, 200, result);
         } catch (err) {
@@ -23900,14 +24616,19 @@ if (path === "/api/agent-logs/context") {
         if (!wf) { jsonResponse(res, 404, { ok: false, error: "Workflow not found" }); return; }
         try {
           const body = await readJsonBody(req);
-          const { deserializeCodeToWorkflow } = await import("../workflow/workflow-serializer.mjs");
-          const result = deserializeCodeToWorkflow(body?.code);
+          const { deserializeCodeToWorkflow, detectWorkflowCodeFormat } = await import("../workflow/workflow-serializer.mjs");
+          const format = String(body?.format || detectWorkflowCodeFormat(body?.code)).trim().toLowerCase();
+          const result = deserializeCodeToWorkflow(body?.code, { format, baseDir: workflowCodeDir });
           if (result.errors.length > 0) {
             jsonResponse(res, 400, { ok: false, error: "Validation failed", errors: result.errors });
             return;
           }
           const merged = { ...wf, ...result.workflow, id: wf.id };
-          await engine.save(merged);
+          await engine.save(merged, {
+            author: resolveWorkflowRevisionAuthor(req, body),
+            reason: "code view edit",
+            ...(format === "yaml" || format === "yml" ? { yamlSource: body.code } : {}),
+          });
           jsonResponse(res, 200, { ok: true, workflow: merged });
         } catch (err) {
           jsonResponse(res, 500, { ok: false, error: err.message });
@@ -23922,7 +24643,10 @@ if (path === "/api/agent-logs/context") {
           try {
             const body = await readJsonBody(req);
             const { validateWorkflowCode } = await import("../workflow/workflow-serializer.mjs");
-            const result = validateWorkflowCode(body?.code);
+            const result = validateWorkflowCode(body?.code, {
+              format: body?.format,
+              baseDir: workflowCodeDir,
+            });
             jsonResponse(res, 200, result);
           } catch (err) {
             jsonResponse(res, 500, { ok: false, error: err.message });
@@ -23931,6 +24655,48 @@ if (path === "/api/agent-logs/context") {
         }
       }
 
+      // ── Revision history (GET /api/workflows/:id/revisions[/:rev[/diff]],
+      //    POST /api/workflows/:id/revisions/:rev/rollback) ───────────────
+      if (action === "revisions") {
+        const rev = segments[2] || "";
+        const revAction = segments[3] || "";
+        try {
+          if (!rev && req.method === "GET") {
+            const revisions = await engine.listRevisions(workflowId);
+            jsonResponse(res, 200, { ok: true, workflowId, revisions: revisions || [] });
+            return;
+          }
+          if (rev && !revAction && req.method === "GET") {
+            const revision = await engine.getRevision(workflowId, rev);
+            if (!revision) { jsonResponse(res, 404, { ok: false, error: "Revision not found" }); return; }
+            jsonResponse(res, 200, { ok: true, revision });
+            return;
+          }
+          if (rev && revAction === "diff" && req.method === "GET") {
+            const toRev = url.searchParams.get("to") || null;
+            const diff = await engine.diffRevisions(workflowId, rev, toRev);
+            if (!diff) { jsonResponse(res, 404, { ok: false, error: "Revision not found" }); return; }
+            jsonResponse(res, 200, { ok: true, diff });
+            return;
+          }
+          if (rev && revAction === "rollback" && req.method === "POST") {
+            const body = await readJsonBody(req).catch(() => ({}));
+            const workflow = await engine.rollback(workflowId, rev, {
+              author: resolveWorkflowRevisionAuthor(req, body),
+              reason: body?.reason,
+            });
+            invalidateApiCache("workflows:");
+            jsonResponse(res, 200, { ok: true, workflow });
+            return;
+          }
+          jsonResponse(res, 405, { ok: false, error: "Method not allowed" });
+        } catch (err) {
+          const status = /not found/i.test(String(err?.message || "")) ? 404 : 500;
+          jsonResponse(res, status, { ok: false, error: err.message });
+        }
+        return;
+      }
+
       // ── Workflow Export ──────────────────────────────────────────────
       if (action === "export" && req.method === "GET") {
         const wf = await engine.get(workflowId);
@@ -24310,6 +25076,8 @@ if (path === "/api/agent-logs/context") {
             cron: config.cron || null,
             intervalMs: config.intervalMs || null,
             timezone: config.timezone || "UTC",
+            blackouts: Array.isArray(config.blackouts) ? config.blackouts : [],
+            exclusions: Array.isArray(config.exclusions) ? config.exclusions : [],
             hasTrigger: Boolean(triggerNode),
           },
         });
@@ -24333,6 +25101,19 @@ if (path === "/api/agent-logs/context") {
           }
         }
 
+        // Validate blackout windows / exclusion dates if provided
+        const blackouts = Array.isArray(body?.blackouts) ? body.blackouts : undefined;
+        const exclusions = Array.isArray(body?.exclusions) ? body.exclusions : undefined;
+        if (blackouts || exclusions) {
+          try {
+            const { createScheduleCalendar } = await import("../workflow/cron-scheduler.mjs");
+            createScheduleCalendar({ blackouts, exclusions, timezone: body?.timezone });
+          } catch (err) {
+            jsonResponse(res, 400, { ok: false, error: `Invalid schedule calendar: ${err?.message || err}` });
+            return;
+          }
+        }
+
         if (!triggerNode) {
           jsonResponse(res, 400, { ok: false, error: "Workflow has no schedule trigger node" });
           return;
@@ -24349,6 +25130,8 @@ if (path === "/api/agent-logs/context") {
         if (body?.timezone) {
           triggerNode.config.timezone = String(body.timezone);
         }
+        if (blackouts) triggerNode.config.blackouts = blackouts;
+        if (exclusions) triggerNode.config.exclusions = exclusions;
 
         // Save the updated workflow
         await engine.save(wf);
@@ -24359,6 +25142,8 @@ if (path === "/api/agent-logs/context") {
             cron: triggerNode.config.cron || null,
             intervalMs: triggerNode.config.intervalMs || null,
             timezone: triggerNode.config.timezone || "UTC",
+            blackouts: triggerNode.config.blackouts || [],
+            exclusions: triggerNode.config.exclusions || [],
           },
         });
         return;
@@ -26051,6 +26836,20 @@ if (path === "/api/agent-logs/context") {
     return;
   }
 
+  if (path === "/api/kanban/webhooks/journal") {
+    try {
+      const entries = listKanbanWebhookJournal({
+        taskId: url.searchParams.get("taskId") || undefined,
+        provider: url.searchParams.get("provider") || undefined,
+        limit: Number(url.searchParams.get("limit")) || 100,
+      });
+      jsonResponse(res, 200, { ok: true, data: entries });
+    } catch (err) {
+      jsonResponse(res, 500, { ok: false, error: err.message });
+    }
+    return;
+  }
+
   if (path === "/api/command") {
     try {
       const body = await readJsonBody(req);
@@ -29097,6 +29896,15 @@ export async function startTelegramUiServer(options = {}) {
       return;
     }
 
+    if (url.pathname === getKanbanWebhookPath("github")) {
+      await handleKanbanWebhook("github", req, res);
+      return;
+    }
+    if (url.pathname === getKanbanWebhookPath("jira")) {
+      await handleKanbanWebhook("jira", req, res);
+      return;
+    }
+
     // Lightweight health check / relay-page detection — no auth required
     if (url.pathname === "/ping") {
       jsonResponse(res, 200, { ok: true, server: "bosun" });
@@ -29144,7 +29952,7 @@ export async function startTelegramUiServer(options = {}) {
     }
 
     if (url.pathname.startsWith("/api/")) {
-      await handleApi(req, res, url);
+      await handleApiAsOperatorAction(req, res, url);
       return;
     }
 
@@ -29392,6 +30200,8 @@ export async function startTelegramUiServer(options = {}) {
             startLogStream(socket, logType, query);
           } else if (message?.type === "unsubscribe-logs") {
             stopLogStream(socket);
+          } else if (message?.type === "workflow-debug") {
+            void handleWorkflowDebugWsMessage(socket, message);
           } else if (message?.type === "voice-tool-call") {
             // Voice tool call via WebSocket
             const {
@@ -29603,11 +30413,13 @@ export async function startTelegramUiServer(options = {}) {
 
       socket.on("close", () => {
         stopLogStream(socket);
+        detachWorkflowDebugSocket(socket);
         wsClients.delete(socket);
       });
 
       socket.on("error", () => {
         stopLogStream(socket);
+        detachWorkflowDebugSocket(socket);
         wsClients.delete(socket);
       });
     });
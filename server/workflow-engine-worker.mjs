@@ -14,7 +14,7 @@
  * Worker → Parent:
  *   { type: "ready" }                              — engine fully initialised
  *   { type: "result",  callId, result }            — successful engine call
- *   { type: "error",   callId, error, stack? }     — failed engine call
+ *   { type: "error",   callId, error, stack?, diagnostics? } — failed engine call
  *   { type: "event",   eventName, payload }        — forwarded engine event
  *   { type: "svc-call",callId, method, args }      — request main-thread service
  */
@@ -109,13 +109,18 @@ async function initEngine(cfg = {}) {
     runsDir:     cfg.runsDir,
     services,
     detectInterruptedRuns: false,
+    // The worker resumes interrupted runs below, so it also owns sleeping runs.
+    fireDurableTimers: true,
   });
 
   // ── Forward engine events to main thread ──────────────────────────────────
   const FORWARDED_EVENTS = [
     "run:start", "run:end", "run:error", "run:cancel:requested",
-    "node:start", "node:complete", "node:error", "node:skip",
+    "node:start", "node:complete", "node:error", "node:skip", "node:waiting",
+    "run:sleep", "run:wake",
+    "workflow:budget_exceeded",
     "edge:flow",
+    "debug:started", "debug:paused", "debug:resumed", "debug:ended",
   ];
   for (const eventName of FORWARDED_EVENTS) {
     engine.on(eventName, (payload) => {
@@ -196,12 +201,42 @@ async function dispatch(method, args) {
     }
     case "cancelRun":
       return engine.cancelRun?.(...args);
+    case "listSleepingRuns":
+      return sanitise(engine.listSleepingRuns?.(...args));
+    case "wakeRun": {
+      const ctx = await engine.wakeRun?.(...args);
+      return ctx ? { id: ctx.id, workflowId: ctx.workflowId, status: ctx.status, errors: ctx.errors || [] } : null;
+    }
     case "createRunSnapshot":
       return engine.createRunSnapshot?.(...args);
     case "listSnapshots":
       return sanitise(engine.listSnapshots?.(...args));
     case "save":
       return engine.save(...args);
+    case "recordAgentSession":
+      return engine.recordAgentSession?.(...args);
+    case "listRevisions":
+      return sanitise(engine.listRevisions?.(...args));
+    case "getRevision":
+      return sanitise(engine.getRevision?.(...args));
+    case "diffRevisions":
+      return sanitise(engine.diffRevisions?.(...args));
+    case "rollback":
+      return sanitise(engine.rollback?.(...args));
+    case "listDebugSessions":
+      return sanitise(engine.listDebugSessions?.(...args));
+    case "getDebugSession":
+      return sanitise(engine.getDebugSession?.(...args));
+    case "resumeDebugSession":
+      return engine.resumeDebugSession?.(...args);
+    case "setDebugBreakpoints":
+      return engine.setDebugBreakpoints?.(...args);
+    case "updateDebugContext":
+      return sanitise(engine.updateDebugContext?.(...args));
+    case "attachDebugClient":
+      return engine.attachDebugClient?.(...args);
+    case "detachDebugClient":
+      return engine.detachDebugClient?.(...args);
     case "import":
       return sanitise(engine.import(...args));
     case "delete":
@@ -252,7 +287,13 @@ parentPort.on("message", async (msg) => {
       const result = await dispatch(method, args || []);
       parentPort.postMessage({ type: "result", callId, result });
     } catch (err) {
-      parentPort.postMessage({ type: "error", callId, error: err.message, stack: err.stack });
+      parentPort.postMessage({
+        type: "error",
+        callId,
+        error: err.message,
+        stack: err.stack,
+        diagnostics: sanitise(err.diagnostics),
+      });
     }
   }
 });
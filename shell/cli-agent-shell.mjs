@@ -0,0 +1,688 @@
+/**
+ * cli-agent-shell.mjs — Declarative adapter for arbitrary CLI coding agents.
+ *
+ * Codex, Copilot, Claude, Gemini and OpenCode each have a dedicated shell
+ * module. Other CLI agents (Aider, Goose, in-house tools) are described by an
+ * adapter spec instead, loaded from:
+ *   1) bosun.config.json → cliAgents: { "<name>": { ...spec } }
+ *   2) <configDir>/cli-agents/*.json|yaml|yml (or BOSUN_CLI_AGENTS_DIR)
+ *
+ * Spec shape (all keys except `command` are optional):
+ *
+ *   command: aider
+ *   args: ["--yes-always", "--no-pretty"]
+ *   env: { AIDER_AUTO_COMMITS: "false" }
+ *   prompt:  { mode: stdin | file | arg, args: ["--message", "{prompt}"] }
+ *   model:   { args: ["--model", "{model}"] }
+ *   resume:  { args: ["--restore-session", "{sessionId}"] }
+ *   output:
+ *     format: text | jsonl
+ *     final: last | all
+ *     rules:
+ *       - { kind: session, match: { type: init }, sessionId: session_id }
+ *       - { kind: tool_call, match: { type: tool }, name: name, arguments: input }
+ *       - { kind: final, pattern: "^FINAL: (.*)$" }
+ *   exitCodes: { success: [0], retryable: [75] }
+ *   timeoutMs: 1800000
+ *
+ * Arg templates understand {prompt}, {promptFile}, {model}, {sessionId} and
+ * {cwd}. Output rules are tried in order per stdout line: `match` compares
+ * dotted paths of a JSON line, `pattern` is a regex over the raw line (named
+ * groups text/name/arguments/sessionId, otherwise group 1). Lines no rule
+ * claims are collected as assistant text.
+ */
+
+import { spawn } from "node:child_process";
+import { existsSync, readdirSync, readFileSync } from "node:fs";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { extname, join, resolve } from "node:path";
+import YAML from "yaml";
+import { loadConfig } from "../config/config.mjs";
+import { resolveRepoRoot } from "../config/repo-root.mjs";
+
+const TAG = "[cli-agent-shell]";
+const DEFAULT_TIMEOUT_MS = 60 * 60 * 1000; // 60 min for agentic task runs
+const SPEC_CACHE_TTL_MS = 30_000;
+const STDERR_TAIL_CHARS = 2000;
+
+export const CLI_AGENT_PROMPT_MODES = Object.freeze(["stdin", "file", "arg"]);
+export const CLI_AGENT_OUTPUT_FORMATS = Object.freeze(["text", "jsonl"]);
+export const CLI_AGENT_RULE_KINDS = Object.freeze([
+  "message",
+  "final",
+  "tool_call",
+  "tool_result",
+  "session",
+  "error",
+  "ignore",
+]);
+
+const SPEC_FILE_EXTENSIONS = new Set([".json", ".yaml", ".yml"]);
+
+let _specCache = null;
+let activeTurn = null;
+let activeSessionId = null;
+let activeAgentName = null;
+let turnCount = 0;
+
+function envFlagEnabled(value) {
+  const raw = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  return ["1", "true", "yes", "on", "y"].includes(raw);
+}
+
+function toStringList(value, label) {
+  if (value == null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.map((entry) => {
+    if (entry == null || typeof entry === "object") {
+      throw new Error(`${label} must be a list of strings`);
+    }
+    return String(entry);
+  });
+}
+
+function toExitCodeList(value, fallback, label) {
+  if (value == null) return fallback;
+  const list = Array.isArray(value) ? value : [value];
+  return list.map((entry) => {
+    const code = Number(entry);
+    if (!Number.isInteger(code)) {
+      throw new Error(`${label} must contain integer exit codes`);
+    }
+    return code;
+  });
+}
+
+function normalizeOutputRule(rule, index, name) {
+  const label = `CLI agent "${name}" output rule ${index + 1}`;
+  if (!rule || typeof rule !== "object") throw new Error(`${label} must be an object`);
+  const kind = String(rule.kind || "").trim().toLowerCase();
+  if (!CLI_AGENT_RULE_KINDS.includes(kind)) {
+    throw new Error(`${label} has unknown kind "${rule.kind}" (expected ${CLI_AGENT_RULE_KINDS.join(", ")})`);
+  }
+  if (!rule.match && !rule.pattern) throw new Error(`${label} needs "match" or "pattern"`);
+  let pattern = null;
+  if (rule.pattern) {
+    try {
+      pattern = new RegExp(String(rule.pattern));
+    } catch (err) {
+      throw new Error(`${label} has an invalid pattern: ${err.message}`);
+    }
+  }
+  if (rule.match && (typeof rule.match !== "object" || Array.isArray(rule.match))) {
+    throw new Error(`${label} "match" must map field paths to values`);
+  }
+  return {
+    kind,
+    match: rule.match || null,
+    pattern,
+    text: rule.text ? String(rule.text) : null,
+    name: rule.name ? String(rule.name) : null,
+    arguments: rule.arguments ? String(rule.arguments) : null,
+    sessionId: rule.sessionId ? String(rule.sessionId) : null,
+  };
+}
+
+/**
+ * Validate a raw adapter spec and fill in defaults.
+ * @param {object} raw   Spec as written in config or a spec file.
+ * @param {string} [name] Adapter name (defaults to raw.name).
+ * @returns {object} Normalized spec.
+ * @throws {Error} When the spec is malformed.
+ */
+export function normalizeCliAgentSpec(raw, name = raw?.name) {
+  const agentName = String(name || "").trim().toLowerCase();
+  if (!agentName) throw new Error("CLI agent spec requires a name");
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`CLI agent "${agentName}" spec must be an object`);
+  }
+  const command = String(raw.command || "").trim();
+  if (!command) throw new Error(`CLI agent "${agentName}" spec requires a command`);
+
+  const prompt = typeof raw.prompt === "string" ? { mode: raw.prompt } : raw.prompt || {};
+  const promptMode = String(prompt.mode || "stdin").trim().toLowerCase();
+  if (!CLI_AGENT_PROMPT_MODES.includes(promptMode)) {
+    throw new Error(`CLI agent "${agentName}" prompt.mode must be one of ${CLI_AGENT_PROMPT_MODES.join(", ")}`);
+  }
+  const defaultPromptArgs = promptMode === "arg" ? ["{prompt}"] : promptMode === "file" ? ["{promptFile}"] : [];
+
+  const output = raw.output || {};
+  const format = String(output.format || "text").trim().toLowerCase();
+  if (!CLI_AGENT_OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`CLI agent "${agentName}" output.format must be one of ${CLI_AGENT_OUTPUT_FORMATS.join(", ")}`);
+  }
+  const finalMode = String(output.final || "last").trim().toLowerCase();
+  if (!["last", "all"].includes(finalMode)) {
+    throw new Error(`CLI agent "${agentName}" output.final must be "last" or "all"`);
+  }
+  const rules = Array.isArray(output.rules) ? output.rules : [];
+
+  const env = {};
+  for (const [key, value] of Object.entries(raw.env || {})) {
+    if (value != null) env[key] = String(value);
+  }
+  const exitCodes = raw.exitCodes || {};
+  const timeoutMs = Number(raw.timeoutMs);
+
+  return {
+    name: agentName,
+    displayName: String(raw.displayName || raw.name || agentName),
+    command,
+    args: toStringList(raw.args, `CLI agent "${agentName}" args`),
+    env,
+    shell: raw.shell === true,
+    default: raw.default === true,
+    prompt: {
+      mode: promptMode,
+      args: prompt.args == null ? defaultPromptArgs : toStringList(prompt.args, `CLI agent "${agentName}" prompt.args`),
+      fileName: String(prompt.fileName || "prompt.md"),
+    },
+    model: { args: toStringList(raw.model?.args, `CLI agent "${agentName}" model.args`) },
+    resume: { args: toStringList(raw.resume?.args, `CLI agent "${agentName}" resume.args`) },
+    output: {
+      format,
+      final: finalMode,
+      rules: rules.map((rule, index) => normalizeOutputRule(rule, index, agentName)),
+    },
+    exitCodes: {
+      success: toExitCodeList(exitCodes.success, [0], `CLI agent "${agentName}" exitCodes.success`),
+      retryable: toExitCodeList(exitCodes.retryable, [], `CLI agent "${agentName}" exitCodes.retryable`),
+    },
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : null,
+  };
+}
+
+function readSpecFile(filePath) {
+  const text = readFileSync(filePath, "utf8");
+  return extname(filePath).toLowerCase() === ".json" ? JSON.parse(text) : YAML.parse(text);
+}
+
+function resolveSpecsDir(config) {
+  const explicit = String(process.env.BOSUN_CLI_AGENTS_DIR || "").trim();
+  if (explicit) return resolve(explicit);
+  return config?.configDir ? resolve(config.configDir, "cli-agents") : null;
+}
+
+function collectRawSpecs(config) {
+  const raw = [];
+  const fromConfig = config?.cliAgents;
+  if (Array.isArray(fromConfig)) {
+    for (const spec of fromConfig) raw.push({ name: spec?.name, spec, source: "config" });
+  } else if (fromConfig && typeof fromConfig === "object") {
+    for (const [name, spec] of Object.entries(fromConfig)) raw.push({ name, spec, source: "config" });
+  }
+
+  const dir = resolveSpecsDir(config);
+  if (dir && existsSync(dir)) {
+    for (const file of readdirSync(dir).sort()) {
+      const ext = extname(file).toLowerCase();
+      if (!SPEC_FILE_EXTENSIONS.has(ext)) continue;
+      const filePath = join(dir, file);
+      try {
+        const spec = readSpecFile(filePath);
+        raw.push({ name: spec?.name || file.slice(0, -ext.length), spec, source: filePath });
+      } catch (err) {
+        console.warn(`${TAG} failed to read ${filePath}: ${err.message}`);
+      }
+    }
+  }
+  return raw;
+}
+
+/**
+ * Load every valid adapter spec. Invalid specs are skipped with a warning;
+ * file specs override config specs of the same name.
+ * @param {{ refresh?: boolean, config?: object }} [options]
+ * @returns {Map<string, object>} Normalized specs keyed by name.
+ */
+export function loadCliAgentSpecs(options = {}) {
+  const now = Date.now();
+  if (!options.refresh && !options.config && _specCache && now - _specCache.loadedAt < SPEC_CACHE_TTL_MS) {
+    return _specCache.specs;
+  }
+  let config = options.config || null;
+  if (!config) {
+    try {
+      config = loadConfig();
+    } catch {
+      config = {};
+    }
+  }
+  const specs = new Map();
+  for (const entry of collectRawSpecs(config)) {
+    try {
+      const spec = normalizeCliAgentSpec(entry.spec, entry.name);
+      specs.set(spec.name, { ...spec, source: entry.source });
+    } catch (err) {
+      console.warn(`${TAG} skipping CLI agent from ${entry.source}: ${err.message}`);
+    }
+  }
+  if (!options.config) _specCache = { loadedAt: now, specs };
+  return specs;
+}
+
+/** Drop cached specs so the next lookup re-reads config and spec files. */
+export function resetCliAgentSpecCache() {
+  _specCache = null;
+}
+
+/** @returns {boolean} Whether at least one adapter spec is configured. */
+export function hasCliAgentSpecs() {
+  return loadCliAgentSpecs().size > 0;
+}
+
+/**
+ * Pick the adapter spec for a run: explicit name, then BOSUN_CLI_AGENT, then
+ * a spec marked `default: true`, then the first spec found.
+ * @param {string} [name]
+ * @returns {object|null}
+ */
+export function resolveCliAgentSpec(name = "") {
+  const specs = loadCliAgentSpecs();
+  const requested = String(name || process.env.BOSUN_CLI_AGENT || "").trim().toLowerCase();
+  if (requested) return specs.get(requested) || null;
+  const all = [...specs.values()];
+  return all.find((spec) => spec.default) || all[0] || null;
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{(prompt|promptFile|model|sessionId|cwd)\}/g, (_, key) => values[key] ?? "");
+}
+
+/**
+ * Build the argv for one run. Optional groups (model, resume) are only added
+ * when their value is known.
+ * @returns {string[]}
+ */
+export function buildCliAgentArgs(spec, values = {}) {
+  const fill = (list) => list.map((entry) => fillTemplate(entry, values));
+  const args = fill(spec.args);
+  if (values.model && spec.model.args.length) args.push(...fill(spec.model.args));
+  if (values.sessionId && spec.resume.args.length) args.push(...fill(spec.resume.args));
+  const promptInBaseArgs = spec.args.some((entry) => /\{prompt(File)?\}/.test(entry));
+  if (spec.prompt.mode !== "stdin" && !promptInBaseArgs) args.push(...fill(spec.prompt.args));
+  return args;
+}
+
+function readPath(value, path) {
+  if (!path) return undefined;
+  let current = value;
+  for (const key of path.split(".")) {
+    if (current == null) return undefined;
+    current = current[key];
+  }
+  return current;
+}
+
+function matchesRule(rule, line, json) {
+  if (rule.match) {
+    if (!json || typeof json !== "object") return null;
+    for (const [path, expected] of Object.entries(rule.match)) {
+      const actual = readPath(json, path);
+      const allowed = Array.isArray(expected) ? expected : [expected];
+      if (!allowed.some((value) => value === actual || (value === true && actual != null))) return null;
+    }
+  }
+  if (rule.pattern) {
+    const match = rule.pattern.exec(line);
+    if (!match) return null;
+    return { groups: match.groups || {}, first: match[1] };
+  }
+  return { groups: {}, first: undefined };
+}
+
+function contentText(value) {
+  if (value == null) return "";
+  if (typeof value === "string") return value;
+  if (Array.isArray(value)) {
+    return value
+      .map((block) => (typeof block === "string" ? block : block?.text || ""))
+      .filter(Boolean)
+      .join("\n");
+  }
+  if (typeof value.text === "string") return value.text;
+  return JSON.stringify(value);
+}
+
+function argumentsText(value) {
+  if (value == null) return "";
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+/**
+ * Incremental stdout parser driven by the spec's output rules.
+ * Items use the Codex item shapes (agent_message, function_call,
+ * function_call_output, error) so session tracking renders them as-is.
+ *
+ * @param {object} spec Normalized spec.
+ * @param {{ onItem?: Function }} [hooks]
+ * @returns {{ push: (chunk: string) => void, end: () => { items: object[], finalResponse: string, sessionId: string|null } }}
+ */
+export function createCliAgentOutputParser(spec, hooks = {}) {
+  const items = [];
+  const messages = [];
+  let buffer = "";
+  let pendingText = [];
+  let finalResponse = null;
+  let sessionId = null;
+
+  const emit = (item) => {
+    items.push(item);
+    if (item.type === "agent_message") messages.push(item.text);
+    if (typeof hooks.onItem === "function") hooks.onItem(item);
+  };
+  const flushText = () => {
+    const text = pendingText.join("\n").trim();
+    pendingText = [];
+    if (text) emit({ type: "agent_message", text });
+  };
+
+  const handleLine = (line) => {
+    let json = null;
+    if (spec.output.format === "jsonl" && line.trim().startsWith("{")) {
+      try {
+        json = JSON.parse(line);
+      } catch {
+        json = null;
+      }
+    }
+    for (const rule of spec.output.rules) {
+      const hit = matchesRule(rule, line, json);
+      if (!hit) continue;
+      const pick = (field, fallback) =>
+        hit.groups[field] ?? (rule[field] ? readPath(json, rule[field]) : undefined) ?? fallback;
+      if (rule.kind === "ignore") return;
+      flushText();
+      if (rule.kind === "session") {
+        const id = pick("sessionId", hit.first);
+        if (id) sessionId = String(id);
+      } else if (rule.kind === "tool_call") {
+        emit({
+          type: "function_call",
+          name: String(pick("name", hit.first) || "tool"),
+          arguments: argumentsText(pick("arguments")),
+        });
+      } else if (rule.kind === "tool_result") {
+        emit({
+          type: "function_call_output",
+          name: pick("name") ? String(pick("name")) : null,
+          output: contentText(pick("text", hit.first ?? json)),
+        });
+      } else if (rule.kind === "error") {
+        emit({ type: "error", message: contentText(pick("text", hit.first ?? line)) });
+      } else {
+        const text = contentText(pick("text", hit.first ?? line)).trim();
+        if (!text) return;
+        emit({ type: "agent_message", text });
+        if (rule.kind === "final") finalResponse = text;
+      }
+      return;
+    }
+    if (json && spec.output.format === "jsonl") return;
+    pendingText.push(line);
+  };
+
+  return {
+    push(chunk) {
+      buffer += String(chunk || "");
+      let newline = buffer.indexOf("\n");
+      while (newline !== -1) {
+        handleLine(buffer.slice(0, newline).replace(/\r$/, ""));
+        buffer = buffer.slice(newline + 1);
+        newline = buffer.indexOf("\n");
+      }
+    },
+    end() {
+      if (buffer) handleLine(buffer.replace(/\r$/, ""));
+      buffer = "";
+      flushText();
+      const fallback = spec.output.final === "all" ? messages.join("\n\n") : messages.at(-1) || "";
+      return { items, finalResponse: finalResponse ?? fallback, sessionId };
+    },
+  };
+}
+
+function tail(text, limit = STDERR_TAIL_CHARS) {
+  const trimmed = String(text || "").trim();
+  return trimmed.length > limit ? trimmed.slice(-limit) : trimmed;
+}
+
+/**
+ * Run one prompt through a CLI agent and classify the exit.
+ *
+ * Failures carry an `error` string: retryable exit codes read
+ * "exited with retryable exit code N" so pool and primary failover treat
+ * them like infrastructure errors; other codes read "exited with code N".
+ *
+ * @param {object} spec    Normalized spec (see resolveCliAgentSpec).
+ * @param {string} prompt
+ * @param {object} [options]
+ * @param {string} [options.cwd]
+ * @param {number} [options.timeoutMs]
+ * @param {string} [options.model]
+ * @param {string} [options.resumeSessionId]
+ * @param {Record<string,string>} [options.env]
+ * @param {Function} [options.onEvent]  Receives `{ type: "item.completed", item }`.
+ * @param {AbortController} [options.abortController]
+ * @returns {Promise<{ success: boolean, output: string, items: object[], error: string|null, exitCode: number|null, retryable: boolean, sessionId: string|null, agent: string }>}
+ */
+export async function runCliAgent(spec, prompt, options = {}) {
+  const cwd = options.cwd || resolveRepoRoot();
+  const timeoutMs = Number(options.timeoutMs) > 0
+    ? Number(options.timeoutMs)
+    : spec.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const promptText = String(prompt || "");
+  const label = `cli-agent ${spec.name}`;
+
+  let promptDir = null;
+  let promptFile = "";
+  if (spec.prompt.mode === "file") {
+    promptDir = await mkdtemp(join(tmpdir(), "bosun-cli-agent-"));
+    promptFile = join(promptDir, spec.prompt.fileName);
+    await writeFile(promptFile, promptText, "utf8");
+  }
+
+  const args = buildCliAgentArgs(spec, {
+    prompt: promptText,
+    promptFile,
+    model: options.model || "",
+    sessionId: options.resumeSessionId || "",
+    cwd,
+  });
+  const parser = createCliAgentOutputParser(spec, {
+    onItem: (item) => {
+      if (typeof options.onEvent !== "function") return;
+      try {
+        options.onEvent({ type: "item.completed", item });
+      } catch {
+        /* best effort */
+      }
+    },
+  });
+
+  const run = await new Promise((resolvePromise) => {
+    let stderr = "";
+    let settled = false;
+    let child;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      options.abortController?.signal?.removeEventListener("abort", onAbort);
+      resolvePromise({ ...result, stderr });
+    };
+    const stop = (error) => {
+      try {
+        child?.kill("SIGTERM");
+      } catch {
+        // no-op
+      }
+      finish({ code: null, error });
+    };
+    const onAbort = () => stop(`${label} aborted`);
+    const timer = setTimeout(
+      () => stop(`${label} timeout after ${Math.round(timeoutMs / 1000)}s`),
+      timeoutMs,
+    );
+
+    try {
+      child = spawn(spec.command, args, {
+        cwd,
+        env: { ...process.env, ...(options.env || {}), ...spec.env },
+        stdio: [spec.prompt.mode === "stdin" ? "pipe" : "ignore", "pipe", "pipe"],
+        shell: spec.shell,
+        windowsHide: true,
+      });
+    } catch (err) {
+      finish({ code: null, error: `${label} spawn failed: ${err.message}` });
+      return;
+    }
+
+    if (options.abortController?.signal) {
+      if (options.abortController.signal.aborted) {
+        onAbort();
+        return;
+      }
+      options.abortController.signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    child.stdout.on("data", (chunk) => parser.push(chunk));
+    child.stderr.on("data", (chunk) => {
+      stderr += String(chunk || "");
+    });
+    child.on("error", (err) => finish({ code: null, error: `${label} spawn failed: ${err.message}` }));
+    child.on("close", (code) => finish({ code, error: null }));
+
+    if (child.stdin) {
+      child.stdin.on("error", () => {});
+      child.stdin.end(promptText);
+    }
+  });
+
+  if (promptDir) await rm(promptDir, { recursive: true, force: true }).catch(() => {});
+
+  const parsed = parser.end();
+  const exitCode = run.code;
+  const succeeded = !run.error && spec.exitCodes.success.includes(exitCode);
+  const retryable = !succeeded && exitCode !== null && spec.exitCodes.retryable.includes(exitCode);
+  let error = null;
+  if (!succeeded) {
+    error = run.error || (retryable
+      ? `${label} exited with retryable exit code ${exitCode}`
+      : `${label} exited with code ${exitCode}`);
+    const stderrTail = tail(run.stderr);
+    if (stderrTail) error += `: ${stderrTail}`;
+  }
+
+  return {
+    success: succeeded,
+    output: parsed.finalResponse,
+    items: parsed.items,
+    error,
+    exitCode,
+    retryable,
+    sessionId: parsed.sessionId || (succeeded ? options.resumeSessionId || null : null),
+    agent: spec.name,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Primary agent surface (mirrors the other *-shell.mjs modules)
+// ---------------------------------------------------------------------------
+
+/**
+ * Run a prompt on the selected CLI agent, resuming its session when the spec
+ * declares resume args. Throws on failure so primary-agent failover applies.
+ *
+ * @param {string} userMessage
+ * @param {object} [options] cwd, timeoutMs, model, onEvent, abortController, agent
+ * @returns {Promise<{ finalResponse: string, items: object[], usage: null }>}
+ */
+export async function execCliAgentPrompt(userMessage, options = {}) {
+  if (envFlagEnabled(process.env.CLI_AGENT_SDK_DISABLED)) {
+    throw new Error("CLI agent adapter disabled via CLI_AGENT_SDK_DISABLED");
+  }
+  if (activeTurn) {
+    return {
+      finalResponse: `:clock: CLI agent "${activeAgentName}" is still executing a previous task. Please wait.`,
+      items: [],
+      usage: null,
+    };
+  }
+  const spec = resolveCliAgentSpec(options.agent || activeAgentName || "");
+  if (!spec) {
+    throw new Error("CLI agent not available: no cli-agent adapter spec is configured");
+  }
+  if (spec.name !== activeAgentName) {
+    activeAgentName = spec.name;
+    activeSessionId = null;
+  }
+
+  activeTurn = new AbortController();
+  const forwardAbort = () => activeTurn?.abort();
+  options.abortController?.signal?.addEventListener("abort", forwardAbort, { once: true });
+  try {
+    const result = await runCliAgent(spec, userMessage, {
+      cwd: options.cwd,
+      timeoutMs: options.timeoutMs,
+      model: options.model,
+      onEvent: options.onEvent,
+      abortController: activeTurn,
+      resumeSessionId: spec.resume.args.length ? activeSessionId : null,
+    });
+    if (!result.success) throw new Error(result.error);
+    activeSessionId = result.sessionId || activeSessionId;
+    turnCount += 1;
+    return {
+      finalResponse: result.output || `${spec.displayName} completed with no text output.`,
+      items: result.items,
+      usage: null,
+    };
+  } finally {
+    options.abortController?.signal?.removeEventListener("abort", forwardAbort);
+    activeTurn = null;
+  }
+}
+
+export async function steerCliAgentPrompt() {
+  return {
+    ok: false,
+    reason: activeTurn ? "steering_unsupported" : "idle",
+    message: activeTurn
+      ? "CLI agents do not support steering during active turns."
+      : "No active CLI agent turn.",
+  };
+}
+
+export function isCliAgentBusy() {
+  return Boolean(activeTurn);
+}
+
+export function getSessionInfo() {
+  return {
+    sessionId: activeSessionId,
+    agent: activeAgentName,
+    turnCount,
+    isActive: Boolean(activeSessionId),
+    isBusy: Boolean(activeTurn),
+  };
+}
+
+export async function resetSession() {
+  activeTurn?.abort();
+  activeTurn = null;
+  activeSessionId = null;
+  turnCount = 0;
+}
+
+/** @returns {Promise<boolean>} false when disabled or no spec is configured. */
+export async function initCliAgentShell() {
+  if (envFlagEnabled(process.env.CLI_AGENT_SDK_DISABLED)) return false;
+  const spec = resolveCliAgentSpec(activeAgentName || "");
+  if (!spec) return false;
+  activeAgentName = spec.name;
+  return true;
+}
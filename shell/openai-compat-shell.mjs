@@ -0,0 +1,663 @@
+/**
+ * openai-compat-shell.mjs — First-party executor for OpenAI-compatible
+ * `/v1/chat/completions` endpoints (vLLM, llama.cpp server, Ollama, LM Studio,
+ * in-house gateways).
+ *
+ * Unlike the other shells there is no vendor SDK or CLI underneath: this
+ * module runs the tool-calling loop itself. Each model turn may request tool
+ * calls; they are executed locally and fed back until the model answers
+ * without tools or `maxTurns` is reached.
+ *
+ * Built-in tools are confined to the worktree (cwd):
+ *   read_file, write_file, edit_file, run_shell
+ * plus the `bosun_*` tools from server/bosun-mcp-server.mjs (disable with
+ * `bosunTools: false`). The Bosun MCP runtime is only created on first use.
+ *
+ * Configuration (env wins over bosun.config.json → openaiCompat):
+ *   OPENAI_COMPAT_BASE_URL   baseUrl   e.g. http://10.0.0.5:8000/v1
+ *   OPENAI_COMPAT_API_KEY    apiKey    optional bearer token
+ *   OPENAI_COMPAT_MODEL      model
+ *   maxTurns, temperature, timeoutMs, shellTimeoutMs, headers, bosunTools
+ *
+ * Items use the Codex shapes (agent_message, function_call,
+ * function_call_output) and every run ends with a `turn.completed` event
+ * carrying the summed token usage, so session-tracker.mjs records the run and
+ * runtime-accumulator.mjs counts its tokens when the session ends.
+ */
+
+import { spawn } from "node:child_process";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, isAbsolute, relative, resolve } from "node:path";
+import { loadConfig } from "../config/config.mjs";
+import { resolveRepoRoot } from "../config/repo-root.mjs";
+
+const TAG = "[openai-compat-shell]";
+const DEFAULT_TIMEOUT_MS = 60 * 60 * 1000; // 60 min for agentic task runs
+const DEFAULT_MAX_TURNS = 40;
+const DEFAULT_SHELL_TIMEOUT_MS = 2 * 60 * 1000;
+const MAX_TOOL_OUTPUT_CHARS = 20_000;
+// Shell output tail; leaves room for the exit/drop header under the tool cap
+const MAX_SHELL_TAIL_CHARS = MAX_TOOL_OUTPUT_CHARS - 200;
+const ERROR_BODY_CHARS = 500;
+
+const SYSTEM_PROMPT = [
+  "You are a coding agent working inside a git worktree.",
+  "Use the provided tools to inspect and change files and to run commands.",
+  "File paths are relative to the worktree root; paths outside it are rejected.",
+  "When the task is done, reply with a short summary and no tool calls.",
+].join(" ");
+
+/** Built-in tool definitions in OpenAI function-calling format. */
+export const OPENAI_COMPAT_BUILTIN_TOOLS = Object.freeze([
+  {
+    type: "function",
+    function: {
+      name: "read_file",
+      description: "Read a UTF-8 text file. Optional 1-based start_line/end_line select a line range.",
+      parameters: {
+        type: "object",
+        properties: {
+          path: { type: "string" },
+          start_line: { type: "integer" },
+          end_line: { type: "integer" },
+        },
+        required: ["path"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "write_file",
+      description: "Create or overwrite a file with the given content. Parent directories are created.",
+      parameters: {
+        type: "object",
+        properties: {
+          path: { type: "string" },
+          content: { type: "string" },
+        },
+        required: ["path", "content"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "edit_file",
+      description:
+        "Replace old_string with new_string in a file. old_string must match exactly once unless replace_all is true.",
+      parameters: {
+        type: "object",
+        properties: {
+          path: { type: "string" },
+          old_string: { type: "string" },
+          new_string: { type: "string" },
+          replace_all: { type: "boolean" },
+        },
+        required: ["path", "old_string", "new_string"],
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "run_shell",
+      description: "Run a shell command in the worktree and return its exit code and combined output.",
+      parameters: {
+        type: "object",
+        properties: {
+          command: { type: "string" },
+          timeout_ms: { type: "integer" },
+        },
+        required: ["command"],
+      },
+    },
+  },
+]);
+
+const BUILTIN_TOOL_NAMES = new Set(OPENAI_COMPAT_BUILTIN_TOOLS.map((tool) => tool.function.name));
+
+let activeTurn = null;
+let history = [];
+let turnCount = 0;
+let lastUsage = null;
+
+function envFlagEnabled(value) {
+  const raw = String(value ?? "")
+    .trim()
+    .toLowerCase();
+  return ["1", "true", "yes", "on", "y"].includes(raw);
+}
+
+function positiveNumber(value, fallback) {
+  const num = Number(value);
+  return Number.isFinite(num) && num > 0 ? num : fallback;
+}
+
+/**
+ * `http://host:8000` and `http://host:8000/v1` both resolve to
+ * `http://host:8000/v1/chat/completions`.
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+export function resolveChatCompletionsUrl(baseUrl) {
+  const trimmed = String(baseUrl || "").trim().replace(/\/+$/, "");
+  if (!trimmed) return "";
+  if (/\/chat\/completions$/.test(trimmed)) return trimmed;
+  return /\/v\d+$/.test(trimmed) ? `${trimmed}/chat/completions` : `${trimmed}/v1/chat/completions`;
+}
+
+/**
+ * Merge env and bosun.config.json settings.
+ * @param {{ config?: object, env?: Record<string,string> }} [options]
+ * @returns {{ baseUrl: string, endpoint: string, apiKey: string, model: string, maxTurns: number, temperature: number|null, timeoutMs: number, shellTimeoutMs: number, headers: Record<string,string>, bosunTools: boolean }}
+ */
+export function resolveOpenAiCompatSettings(options = {}) {
+  const env = options.env || process.env;
+  let config = options.config || null;
+  if (!config) {
+    try {
+      config = loadConfig();
+    } catch {
+      config = {};
+    }
+  }
+  const section = config?.openaiCompat || {};
+  const baseUrl = String(env.OPENAI_COMPAT_BASE_URL || section.baseUrl || "").trim();
+  const temperature = Number(section.temperature);
+  const headers = {};
+  for (const [key, value] of Object.entries(section.headers || {})) {
+    if (value != null) headers[key] = String(value);
+  }
+  return {
+    baseUrl,
+    endpoint: resolveChatCompletionsUrl(baseUrl),
+    apiKey: String(env.OPENAI_COMPAT_API_KEY || section.apiKey || "").trim(),
+    model: String(env.OPENAI_COMPAT_MODEL || section.model || "").trim(),
+    maxTurns: Math.floor(positiveNumber(section.maxTurns, DEFAULT_MAX_TURNS)),
+    temperature: section.temperature == null || !Number.isFinite(temperature) ? null : temperature,
+    timeoutMs: positiveNumber(section.timeoutMs, DEFAULT_TIMEOUT_MS),
+    shellTimeoutMs: positiveNumber(section.shellTimeoutMs, DEFAULT_SHELL_TIMEOUT_MS),
+    headers,
+    bosunTools: section.bosunTools !== false,
+  };
+}
+
+/** @returns {boolean} Whether a base URL is configured. */
+export function isOpenAiCompatConfigured(options = {}) {
+  return Boolean(resolveOpenAiCompatSettings(options).endpoint);
+}
+
+function truncate(text, limit = MAX_TOOL_OUTPUT_CHARS) {
+  const value = String(text ?? "");
+  if (value.length <= limit) return value;
+  return `${value.slice(0, limit)}\n… [truncated ${value.length - limit} chars]`;
+}
+
+/**
+ * Resolve a tool path against the worktree root.
+ * @throws {Error} When the path escapes the worktree.
+ */
+export function resolveWorktreePath(root, path) {
+  const raw = String(path || "").trim();
+  if (!raw) throw new Error("path is required");
+  const absolute = resolve(root, raw);
+  const rel = relative(root, absolute);
+  if (rel.startsWith("..") || isAbsolute(rel)) {
+    throw new Error(`path escapes the worktree: ${raw}`);
+  }
+  return absolute;
+}
+
+/**
+ * Run a tool shell command. Only the last MAX_SHELL_TAIL_CHARS of output are
+ * kept while streaming (the tail is where failures land), and on timeout/abort
+ * the whole process group is killed so grandchildren of the shell die too.
+ */
+function runShellCommand(command, { cwd, env, timeoutMs, signal }) {
+  return new Promise((resolvePromise) => {
+    let output = "";
+    let dropped = 0;
+    let settled = false;
+    let child;
+    const ownGroup = process.platform !== "win32";
+    const render = () => (dropped > 0 ? `… [dropped ${dropped} earlier chars]\n${output}` : output);
+    const finish = (text) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      resolvePromise(text);
+    };
+    const stop = (reason) => {
+      try {
+        if (ownGroup && child?.pid) process.kill(-child.pid, "SIGKILL");
+        else child?.kill("SIGTERM");
+      } catch {
+        try {
+          child?.kill("SIGKILL");
+        } catch {
+          // no-op
+        }
+      }
+      finish(`${reason}\n${render()}`.trim());
+    };
+    const onAbort = () => stop("command aborted");
+    const timer = setTimeout(
+      () => stop(`command timed out after ${Math.round(timeoutMs / 1000)}s`),
+      timeoutMs,
+    );
+    try {
+      child = spawn(command, {
+        cwd,
+        env,
+        shell: true,
+        detached: ownGroup,
+        stdio: ["ignore", "pipe", "pipe"],
+        windowsHide: true,
+      });
+    } catch (err) {
+      finish(`spawn failed: ${err.message}`);
+      return;
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+    const collect = (chunk) => {
+      output += String(chunk || "");
+      if (output.length > MAX_SHELL_TAIL_CHARS) {
+        dropped += output.length - MAX_SHELL_TAIL_CHARS;
+        output = output.slice(-MAX_SHELL_TAIL_CHARS);
+      }
+    };
+    child.stdout.on("data", collect);
+    child.stderr.on("data", collect);
+    child.on("error", (err) => finish(`spawn failed: ${err.message}`));
+    child.on("close", (code) => finish(`exit code ${code}\n${render()}`.trim()));
+  });
+}
+
+function parseToolArguments(raw) {
+  if (raw == null || raw === "") return {};
+  if (typeof raw === "object") return raw;
+  const parsed = JSON.parse(String(raw));
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error("tool arguments must be a JSON object");
+  }
+  return parsed;
+}
+
+async function runBuiltinTool(name, args, context) {
+  if (name === "read_file") {
+    const text = await readFile(resolveWorktreePath(context.cwd, args.path), "utf8");
+    if (args.start_line == null && args.end_line == null) return text;
+    const lines = text.split("\n");
+    const start = Math.max(1, Number(args.start_line) || 1);
+    const end = Math.min(lines.length, Number(args.end_line) || lines.length);
+    return lines.slice(start - 1, end).join("\n");
+  }
+  if (name === "write_file") {
+    const target = resolveWorktreePath(context.cwd, args.path);
+    const content = String(args.content ?? "");
+    await mkdir(dirname(target), { recursive: true });
+    await writeFile(target, content, "utf8");
+    return `wrote ${Buffer.byteLength(content)} bytes to ${args.path}`;
+  }
+  if (name === "edit_file") {
+    const target = resolveWorktreePath(context.cwd, args.path);
+    const oldString = String(args.old_string ?? "");
+    if (!oldString) throw new Error("old_string must not be empty");
+    const text = await readFile(target, "utf8");
+    const count = text.split(oldString).length - 1;
+    if (count === 0) throw new Error(`old_string not found in ${args.path}`);
+    if (count > 1 && args.replace_all !== true) {
+      throw new Error(`old_string matches ${count} times in ${args.path}; pass replace_all or add context`);
+    }
+    await writeFile(target, text.split(oldString).join(String(args.new_string ?? "")), "utf8");
+    return `replaced ${count} occurrence${count === 1 ? "" : "s"} in ${args.path}`;
+  }
+  // run_shell
+  const command = String(args.command || "").trim();
+  if (!command) throw new Error("command is required");
+  return runShellCommand(command, {
+    cwd: context.cwd,
+    env: context.env,
+    timeoutMs: positiveNumber(args.timeout_ms, context.shellTimeoutMs),
+    signal: context.signal,
+  });
+}
+
+function mcpResultText(result) {
+  const blocks = Array.isArray(result?.content) ? result.content : [];
+  const text = blocks.map((block) => block?.text || "").filter(Boolean).join("\n");
+  return text || JSON.stringify(result ?? null);
+}
+
+/**
+ * Lazily bind the Bosun MCP tool set. The MCP server module (and its
+ * backend runtime) are only loaded when the tool list is first needed and
+ * the runtime only when a bosun_* tool is actually called.
+ * @param {object} [handlers] Pre-built `{ listTools, callTool }` (tests).
+ */
+function createBosunToolBridge(handlers = null) {
+  let mcpModule = null;
+  let runtime = null;
+  let bound = handlers;
+
+  const load = async () => {
+    mcpModule ||= await import("../server/bosun-mcp-server.mjs");
+    return mcpModule;
+  };
+
+  return {
+    async listTools() {
+      const tools = bound ? bound.listTools().tools : (await load()).listBosunMcpTools();
+      return tools
+        .filter((tool) => String(tool?.name || "").startsWith("bosun_") && !BUILTIN_TOOL_NAMES.has(tool.name))
+        .map((tool) => ({
+          type: "function",
+          function: {
+            name: tool.name,
+            description: tool.description || "",
+            parameters: tool.inputSchema || { type: "object", properties: {} },
+          },
+        }));
+    },
+    async callTool(name, args) {
+      if (!bound) {
+        const mod = await load();
+        runtime = await mod.createBosunMcpRuntime();
+        bound = mod.createBosunMcpHandlers(runtime);
+      }
+      return mcpResultText(await bound.callTool(name, args));
+    },
+    async close() {
+      if (runtime) await runtime.shutdown().catch(() => {});
+      runtime = null;
+    },
+  };
+}
+
+async function requestCompletion(settings, body, signal) {
+  const headers = { "Content-Type": "application/json", ...settings.headers };
+  if (settings.apiKey) headers.Authorization = `Bearer ${settings.apiKey}`;
+  let response;
+  try {
+    response = await fetch(settings.endpoint, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    throw new Error(`openai-compat endpoint not available at ${settings.endpoint}: ${err.cause?.message || err.message}`);
+  }
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`openai-compat request failed (${response.status}): ${text.slice(0, ERROR_BODY_CHARS)}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`openai-compat returned invalid JSON: ${text.slice(0, ERROR_BODY_CHARS)}`);
+  }
+}
+
+function addUsage(total, usage) {
+  if (!usage || typeof usage !== "object") return total;
+  const input = Number(usage.prompt_tokens) || 0;
+  const output = Number(usage.completion_tokens) || 0;
+  return {
+    input_tokens: total.input_tokens + input,
+    output_tokens: total.output_tokens + output,
+    total_tokens: total.total_tokens + (Number(usage.total_tokens) || input + output),
+  };
+}
+
+/**
+ * Run one prompt through the tool loop.
+ *
+ * @param {string} prompt
+ * @param {object} [options]
+ * @param {string} [options.cwd]              Worktree root for file and shell tools.
+ * @param {string} [options.model]            Overrides the configured model.
+ * @param {number} [options.timeoutMs]
+ * @param {number} [options.maxTurns]
+ * @param {Array}  [options.history]          Prior chat messages (without the system prompt).
+ * @param {Record<string,string>} [options.env] Extra env for run_shell.
+ * @param {Function} [options.onEvent]        Receives `{ type: "item.completed", item }` and a final `turn.completed`.
+ * @param {AbortController} [options.abortController]
+ * @param {object} [options.settings]         Pre-resolved settings (see resolveOpenAiCompatSettings).
+ * @param {object} [options.bosunHandlers]    `{ listTools, callTool }` override for the Bosun MCP tools.
+ * @returns {Promise<{ success: boolean, output: string, items: object[], error: string|null, usage: { input_tokens: number, output_tokens: number, total_tokens: number }, messages: object[], turns: number }>}
+ */
+export async function runOpenAiCompatAgent(prompt, options = {}) {
+  const settings = options.settings || resolveOpenAiCompatSettings();
+  const cwd = options.cwd || resolveRepoRoot();
+  const model = String(options.model || settings.model || "").trim();
+  const timeoutMs = positiveNumber(options.timeoutMs, settings.timeoutMs);
+  const maxTurns = Math.floor(positiveNumber(options.maxTurns, settings.maxTurns));
+  const items = [];
+  const messages = [...(options.history || []), { role: "user", content: String(prompt || "") }];
+  let usage = { input_tokens: 0, output_tokens: 0, total_tokens: 0 };
+  let output = "";
+  let error = null;
+  let turns = 0;
+
+  const emit = (event) => {
+    if (typeof options.onEvent !== "function") return;
+    try {
+      options.onEvent(event);
+    } catch {
+      /* best effort */
+    }
+  };
+  const pushItem = (item) => {
+    items.push(item);
+    emit({ type: "item.completed", item });
+  };
+
+  if (!settings.endpoint) {
+    return {
+      success: false,
+      output: "",
+      items,
+      error: "openai-compat not available: set OPENAI_COMPAT_BASE_URL or openaiCompat.baseUrl",
+      usage,
+      messages,
+      turns,
+    };
+  }
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  const external = options.abortController?.signal;
+  if (external?.aborted) controller.abort();
+  external?.addEventListener("abort", onAbort, { once: true });
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  const bosun = settings.bosunTools ? createBosunToolBridge(options.bosunHandlers) : null;
+  const toolContext = {
+    cwd,
+    env: { ...process.env, ...(options.env || {}) },
+    shellTimeoutMs: settings.shellTimeoutMs,
+    signal: controller.signal,
+  };
+
+  try {
+    let tools = [...OPENAI_COMPAT_BUILTIN_TOOLS];
+    if (bosun) {
+      try {
+        tools = tools.concat(await bosun.listTools());
+      } catch (err) {
+        console.warn(`${TAG} Bosun MCP tools unavailable: ${err.message}`);
+      }
+    }
+
+    for (;;) {
+      if (turns >= maxTurns) {
+        error = `openai-compat stopped after ${maxTurns} turns without a final answer`;
+        break;
+      }
+      turns += 1;
+      const body = {
+        model: model || undefined,
+        messages: [{ role: "system", content: SYSTEM_PROMPT }, ...messages],
+        tools,
+        tool_choice: "auto",
+      };
+      if (settings.temperature != null) body.temperature = settings.temperature;
+      const response = await requestCompletion(settings, body, controller.signal);
+      usage = addUsage(usage, response?.usage);
+
+      const message = response?.choices?.[0]?.message;
+      if (!message) throw new Error("openai-compat response has no choices[0].message");
+      const toolCalls = Array.isArray(message.tool_calls) ? message.tool_calls : [];
+      const content = typeof message.content === "string" ? message.content.trim() : "";
+      messages.push({
+        role: "assistant",
+        content: message.content ?? null,
+        ...(toolCalls.length ? { tool_calls: toolCalls } : {}),
+      });
+      if (content) {
+        pushItem({ type: "agent_message", text: content });
+        output = content;
+      }
+      if (toolCalls.length === 0) break;
+
+      for (const call of toolCalls) {
+        const name = String(call?.function?.name || "");
+        const rawArgs = call?.function?.arguments ?? "";
+        const callId = call?.id || `call_${turns}_${items.length}`;
+        pushItem({
+          type: "function_call",
+          name,
+          arguments: typeof rawArgs === "string" ? rawArgs : JSON.stringify(rawArgs),
+          call_id: callId,
+        });
+        let result;
+        try {
+          const args = parseToolArguments(rawArgs);
+          if (BUILTIN_TOOL_NAMES.has(name)) {
+            result = await runBuiltinTool(name, args, toolContext);
+          } else if (bosun && name.startsWith("bosun_")) {
+            result = await bosun.callTool(name, args);
+          } else {
+            throw new Error(`unknown tool "${name}"`);
+          }
+        } catch (err) {
+          result = `Error: ${err.message}`;
+        }
+        result = truncate(result);
+        pushItem({ type: "function_call_output", name, call_id: callId, output: result });
+        messages.push({ role: "tool", tool_call_id: callId, content: result });
+      }
+    }
+  } catch (err) {
+    error = controller.signal.aborted
+      ? timedOut
+        ? `openai-compat timeout after ${Math.round(timeoutMs / 1000)}s`
+        : "openai-compat aborted"
+      : err.message;
+  } finally {
+    clearTimeout(timer);
+    external?.removeEventListener("abort", onAbort);
+    await bosun?.close();
+  }
+
+  emit({ type: "turn.completed", usage });
+  return { success: !error, output, items, error, usage, messages, turns };
+}
+
+// ---------------------------------------------------------------------------
+// Primary agent surface (mirrors the other *-shell.mjs modules)
+// ---------------------------------------------------------------------------
+
+/**
+ * Run a prompt as the primary agent. The chat history is kept in memory
+ * across turns until resetSession(). Throws on failure so primary-agent
+ * failover applies.
+ *
+ * @param {string} userMessage
+ * @param {object} [options] cwd, timeoutMs, model, onEvent, abortController
+ * @returns {Promise<{ finalResponse: string, items: object[], usage: object }>}
+ */
+export async function execOpenAiCompatPrompt(userMessage, options = {}) {
+  if (envFlagEnabled(process.env.OPENAI_COMPAT_SDK_DISABLED)) {
+    throw new Error("OpenAI-compatible adapter disabled via OPENAI_COMPAT_SDK_DISABLED");
+  }
+  if (activeTurn) {
+    return {
+      finalResponse: ":clock: The OpenAI-compatible agent is still executing a previous task. Please wait.",
+      items: [],
+      usage: null,
+    };
+  }
+  activeTurn = new AbortController();
+  const forwardAbort = () => activeTurn?.abort();
+  options.abortController?.signal?.addEventListener("abort", forwardAbort, { once: true });
+  try {
+    const result = await runOpenAiCompatAgent(userMessage, {
+      cwd: options.cwd,
+      timeoutMs: options.timeoutMs,
+      model: options.model,
+      onEvent: options.onEvent,
+      abortController: activeTurn,
+      history,
+    });
+    if (!result.success) throw new Error(result.error);
+    history = result.messages;
+    turnCount += 1;
+    lastUsage = result.usage;
+    return {
+      finalResponse: result.output || "OpenAI-compatible agent completed with no text output.",
+      items: result.items,
+      usage: result.usage,
+    };
+  } finally {
+    options.abortController?.signal?.removeEventListener("abort", forwardAbort);
+    activeTurn = null;
+  }
+}
+
+export async function steerOpenAiCompatPrompt() {
+  return {
+    ok: false,
+    reason: activeTurn ? "steering_unsupported" : "idle",
+    message: activeTurn
+      ? "The OpenAI-compatible agent does not support steering during active turns."
+      : "No active OpenAI-compatible agent turn.",
+  };
+}
+
+export function isOpenAiCompatBusy() {
+  return Boolean(activeTurn);
+}
+
+export function getSessionInfo() {
+  return {
+    sessionId: null,
+    turnCount,
+    messageCount: history.length,
+    usage: lastUsage,
+    isActive: history.length > 0,
+    isBusy: Boolean(activeTurn),
+  };
+}
+
+export async function resetSession() {
+  activeTurn?.abort();
+  activeTurn = null;
+  history = [];
+  turnCount = 0;
+  lastUsage = null;
+}
+
+/** @returns {Promise<boolean>} false when disabled or no base URL is configured. */
+export async function initOpenAiCompatShell() {
+  if (envFlagEnabled(process.env.OPENAI_COMPAT_SDK_DISABLED)) return false;
+  return isOpenAiCompatConfigured();
+}
@@ -0,0 +1,382 @@
+/**
+ * scripted-agent-shell.mjs — Deterministic fake executor for offline
+ * end-to-end tests (AGENT_POOL_SDK=scripted).
+ *
+ * Instead of calling a model, each launch replays a scripted attempt for its
+ * task: messages, simulated tool calls, real file edits, shell commands and
+ * git commits in the worktree, then either a final answer or a simulated
+ * failure (rate limit, context overflow, any error text). Everything is
+ * emitted as Codex-style events, so task-executor, agent-supervisor and
+ * error-detector see the same shapes as from a real SDK.
+ *
+ * The script is read from BOSUN_SCRIPTED_AGENT_SCRIPT (JSON or YAML) or set
+ * in-process with setScriptedAgentScript():
+ *
+ *   tasks:
+ *     TASK-1:                        # keyed by task id (the pool's taskKey)
+ *       attempts:                    # Nth launch replays attempt N; the last repeats
+ *         - - message: Looking at the failing test
+ *           - rateLimit: true        # ends this attempt with a 429 error
+ *         - - tool: { name: read_file, arguments: { path: src/a.mjs }, output: "..." }
+ *           - write: { path: src/a.mjs, content: "export const a = 2;\n" }
+ *           - edit: { path: src/a.mjs, old: "= 2", new: "= 3" }
+ *           - command: npm test      # runs in the worktree
+ *           - commit: "fix: bump a"
+ *           - usage: { input_tokens: 1200, output_tokens: 300 }
+ *           - final: Fixed the test.
+ *   prompts:                         # tried in order when no task entry matches
+ *     - { pattern: "^Review", steps: [ { final: LGTM } ] }
+ *   default: [ { final: ok } ]       # anything else
+ *
+ * A task entry is either a list of steps (one attempt, repeated) or
+ * `{ attempts: [[...], ...] }`. Other steps: `contextOverflow`, `fail: "<error>"`,
+ * `sleep: <ms>` and `waitForSteer: <ms>` (blocks until a steering prompt
+ * arrives, e.g. an agent-supervisor intervention, or the wait runs out).
+ */
+
+import { spawn } from "node:child_process";
+import { existsSync, readFileSync, statSync } from "node:fs";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, extname, isAbsolute, relative, resolve } from "node:path";
+import YAML from "yaml";
+
+const MAX_COMMAND_OUTPUT_CHARS = 20_000;
+
+export const SCRIPTED_STEP_KINDS = Object.freeze([
+  "message",
+  "tool",
+  "write",
+  "edit",
+  "command",
+  "commit",
+  "usage",
+  "sleep",
+  "waitForSteer",
+  "rateLimit",
+  "contextOverflow",
+  "fail",
+  "final",
+]);
+
+/** Error texts for simulated failures; chosen to match error-detector.mjs patterns. */
+export const SCRIPTED_FAILURE_MESSAGES = Object.freeze({
+  rateLimit: "429 Too Many Requests: rate limit exceeded (scripted)",
+  contextOverflow: "context_length_exceeded: the conversation is too long for the model's maximum context length (scripted)",
+});
+
+let _scriptOverride = null;
+let _fileCache = null;
+const attemptCounters = new Map();
+
+function normalizeStep(raw, label) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error(`${label} must be an object`);
+  }
+  const kinds = Object.keys(raw).filter((key) => SCRIPTED_STEP_KINDS.includes(key));
+  if (kinds.length !== 1) {
+    throw new Error(`${label} must have exactly one of ${SCRIPTED_STEP_KINDS.join(", ")}`);
+  }
+  const kind = kinds[0];
+  const value = raw[kind];
+  if ((kind === "write" || kind === "edit") && !value?.path) {
+    throw new Error(`${label} ${kind} requires a path`);
+  }
+  if (kind === "edit" && (typeof value.old !== "string" || !value.old)) {
+    throw new Error(`${label} edit requires a non-empty "old" string`);
+  }
+  if (kind === "tool" && !value?.name) throw new Error(`${label} tool requires a name`);
+  if ((kind === "sleep" || kind === "waitForSteer") && !(Number(value) >= 0)) {
+    throw new Error(`${label} ${kind} must be a number of milliseconds`);
+  }
+  return { kind, value };
+}
+
+function normalizeAttempts(entry, label) {
+  const attempts = Array.isArray(entry) ? [entry] : entry?.attempts;
+  if (!Array.isArray(attempts) || attempts.length === 0) {
+    throw new Error(`${label} must be a list of steps or { attempts: [...] }`);
+  }
+  return attempts.map((steps, attemptIndex) => {
+    if (!Array.isArray(steps)) throw new Error(`${label} attempt ${attemptIndex + 1} must be a list of steps`);
+    return steps.map((step, stepIndex) =>
+      normalizeStep(step, `${label} attempt ${attemptIndex + 1} step ${stepIndex + 1}`));
+  });
+}
+
+/**
+ * Validate a raw script.
+ * @param {object} raw
+ * @returns {{ tasks: Map<string, Array<Array<object>>>, prompts: Array<{ pattern: RegExp, attempts: Array<Array<object>> }>, default: Array<Array<object>>|null }}
+ * @throws {Error} When the script is malformed.
+ */
+export function normalizeScriptedAgentScript(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("scripted agent script must be an object");
+  }
+  const tasks = new Map();
+  for (const [taskKey, entry] of Object.entries(raw.tasks || {})) {
+    tasks.set(String(taskKey), normalizeAttempts(entry, `script task "${taskKey}"`));
+  }
+  const prompts = (Array.isArray(raw.prompts) ? raw.prompts : []).map((entry, index) => {
+    const label = `script prompt rule ${index + 1}`;
+    if (!entry?.pattern) throw new Error(`${label} requires a pattern`);
+    let pattern;
+    try {
+      pattern = new RegExp(String(entry.pattern), "m");
+    } catch (err) {
+      throw new Error(`${label} has an invalid pattern: ${err.message}`);
+    }
+    return { pattern, attempts: normalizeAttempts(entry.attempts ? entry : entry.steps, label) };
+  });
+  return {
+    tasks,
+    prompts,
+    default: raw.default == null ? null : normalizeAttempts(raw.default, "script default"),
+  };
+}
+
+/**
+ * Use an in-process script instead of BOSUN_SCRIPTED_AGENT_SCRIPT.
+ * Pass null to go back to the env file. Also resets attempt counters.
+ * @param {object|null} script
+ */
+export function setScriptedAgentScript(script) {
+  _scriptOverride = script == null ? null : normalizeScriptedAgentScript(script);
+  attemptCounters.clear();
+}
+
+/** Forget the in-process script, the cached script file and attempt counters. */
+export function resetScriptedAgent() {
+  _scriptOverride = null;
+  _fileCache = null;
+  attemptCounters.clear();
+}
+
+/**
+ * @returns {object|null} The active normalized script.
+ * @throws {Error} When the script file cannot be read or is malformed.
+ */
+export function loadScriptedAgentScript() {
+  if (_scriptOverride) return _scriptOverride;
+  const filePath = String(process.env.BOSUN_SCRIPTED_AGENT_SCRIPT || "").trim();
+  if (!filePath) return null;
+  const absolute = resolve(filePath);
+  if (!existsSync(absolute)) throw new Error(`scripted agent script not found: ${absolute}`);
+  const mtimeMs = statSync(absolute).mtimeMs;
+  if (_fileCache?.path === absolute && _fileCache.mtimeMs === mtimeMs) return _fileCache.script;
+  const text = readFileSync(absolute, "utf8");
+  const raw = extname(absolute).toLowerCase() === ".json" ? JSON.parse(text) : YAML.parse(text);
+  const script = normalizeScriptedAgentScript(raw);
+  _fileCache = { path: absolute, mtimeMs, script };
+  return script;
+}
+
+/** @returns {boolean} Whether a script is set in-process or via env. */
+export function hasScriptedAgentScript() {
+  return Boolean(_scriptOverride || String(process.env.BOSUN_SCRIPTED_AGENT_SCRIPT || "").trim());
+}
+
+/**
+ * Pick the attempt to replay and advance the task's attempt counter.
+ * @returns {{ steps: object[], attempt: number, source: string }|null}
+ */
+export function nextScriptedAttempt(script, { taskKey = "", prompt = "" } = {}) {
+  let attempts = null;
+  let source = null;
+  if (taskKey && script.tasks.has(taskKey)) {
+    attempts = script.tasks.get(taskKey);
+    source = `task:${taskKey}`;
+  } else {
+    const rule = script.prompts.find((entry) => entry.pattern.test(prompt));
+    if (rule) {
+      attempts = rule.attempts;
+      source = `prompt:${rule.pattern.source}`;
+    } else if (script.default) {
+      attempts = script.default;
+      source = "default";
+    }
+  }
+  if (!attempts) return null;
+  const counterKey = `${source}|${taskKey}`;
+  const attempt = attemptCounters.get(counterKey) || 0;
+  attemptCounters.set(counterKey, attempt + 1);
+  return { steps: attempts[Math.min(attempt, attempts.length - 1)], attempt: attempt + 1, source };
+}
+
+function resolveWorktreePath(root, path) {
+  const absolute = resolve(root, String(path));
+  const rel = relative(root, absolute);
+  if (rel.startsWith("..") || isAbsolute(rel)) {
+    throw new Error(`scripted step path escapes the worktree: ${path}`);
+  }
+  return absolute;
+}
+
+function runProcess(command, args, { cwd, signal, shell = false }) {
+  return new Promise((resolvePromise) => {
+    let output = "";
+    let child;
+    try {
+      child = spawn(command, args, { cwd, shell, signal, stdio: ["ignore", "pipe", "pipe"], windowsHide: true });
+    } catch (err) {
+      resolvePromise({ exitCode: null, output: err.message });
+      return;
+    }
+    const collect = (chunk) => {
+      output += String(chunk || "");
+    };
+    child.stdout.on("data", collect);
+    child.stderr.on("data", collect);
+    child.on("error", (err) => resolvePromise({ exitCode: null, output: `${output}${err.message}` }));
+    child.on("close", (code) => resolvePromise({ exitCode: code, output: output.slice(-MAX_COMMAND_OUTPUT_CHARS) }));
+  });
+}
+
+function delay(ms, signal) {
+  return new Promise((resolvePromise) => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolvePromise();
+    }
+    signal?.addEventListener("abort", done, { once: true });
+  });
+}
+
+/**
+ * Replay one attempt.
+ *
+ * @param {object[]} steps  Normalized steps (see nextScriptedAttempt).
+ * @param {object} options
+ * @param {string} options.cwd
+ * @param {Function} [options.onEvent]      Receives `{ type: "item.completed", item }` and a final `turn.completed`.
+ * @param {AbortSignal} [options.signal]
+ * @param {{ next: (ms: number) => Promise<string|null> }} [options.steering]  Source of steering prompts for waitForSteer.
+ * @returns {Promise<{ success: boolean, output: string, items: object[], error: string|null, usage: object|null }>}
+ */
+export async function runScriptedAttempt(steps, options = {}) {
+  const { cwd, signal } = options;
+  const items = [];
+  let output = "";
+  let error = null;
+  let usage = null;
+
+  const pushItem = (item) => {
+    items.push(item);
+    if (typeof options.onEvent !== "function") return;
+    try {
+      options.onEvent({ type: "item.completed", item });
+    } catch {
+      /* best effort */
+    }
+  };
+  const commandItem = (command, result) => pushItem({
+    type: "command_execution",
+    command,
+    aggregated_output: result.output,
+    exit_code: result.exitCode,
+    status: result.exitCode === 0 ? "completed" : "failed",
+  });
+
+  try {
+    for (const { kind, value } of steps) {
+      if (signal?.aborted) break;
+      if (kind === "message" || kind === "final") {
+        const text = String(value ?? "");
+        pushItem({ type: "agent_message", text });
+        output = text;
+        if (kind === "final") break;
+      } else if (kind === "tool") {
+        const args = typeof value.arguments === "string" ? value.arguments : JSON.stringify(value.arguments ?? {});
+        pushItem({ type: "function_call", name: String(value.name), arguments: args });
+        pushItem({ type: "function_call_output", name: String(value.name), output: String(value.output ?? "") });
+      } else if (kind === "write") {
+        const target = resolveWorktreePath(cwd, value.path);
+        await mkdir(dirname(target), { recursive: true });
+        await writeFile(target, String(value.content ?? ""), "utf8");
+        pushItem({ type: "file_change", changes: [{ path: String(value.path), kind: "update" }], status: "completed" });
+      } else if (kind === "edit") {
+        const target = resolveWorktreePath(cwd, value.path);
+        const text = await readFile(target, "utf8");
+        if (!text.includes(value.old)) {
+          error = `scripted edit failed: "${value.old}" not found in ${value.path}`;
+          break;
+        }
+        await writeFile(target, text.split(value.old).join(String(value.new ?? "")), "utf8");
+        pushItem({ type: "file_change", changes: [{ path: String(value.path), kind: "update" }], status: "completed" });
+      } else if (kind === "command") {
+        const command = String(value?.command ?? value);
+        commandItem(command, await runProcess(command, [], { cwd, signal, shell: true }));
+      } else if (kind === "commit") {
+        const message = String(value || "scripted commit");
+        const added = await runProcess("git", ["add", "-A"], { cwd, signal });
+        const committed = added.exitCode === 0
+          ? await runProcess("git", ["commit", "-m", message], { cwd, signal })
+          : added;
+        commandItem(`git commit -m ${JSON.stringify(message)}`, committed);
+      } else if (kind === "usage") {
+        usage = { ...(usage || {}), ...value };
+      } else if (kind === "sleep") {
+        await delay(Number(value), signal);
+      } else if (kind === "waitForSteer") {
+        const steer = await options.steering?.next(Number(value));
+        if (steer) pushItem({ type: "agent_message", text: `Received guidance: ${steer}` });
+      } else if (kind === "rateLimit" || kind === "contextOverflow") {
+        error = typeof value === "string" ? value : SCRIPTED_FAILURE_MESSAGES[kind];
+        break;
+      } else if (kind === "fail") {
+        error = String(value || "scripted failure");
+        break;
+      }
+    }
+  } catch (err) {
+    error = `scripted step failed: ${err.message}`;
+  }
+  if (!error && signal?.aborted) {
+    error = signal.reason === "timeout" ? "scripted agent timeout" : "scripted agent aborted";
+  }
+
+  if (typeof options.onEvent === "function") {
+    try {
+      options.onEvent(usage ? { type: "turn.completed", usage } : { type: "turn.completed" });
+    } catch {
+      /* best effort */
+    }
+  }
+  return { success: !error, output, items, error, usage };
+}
+
+/**
+ * Queue of steering prompts for one launch. `push` is wired to the pool's
+ * active-session registry; `next(ms)` resolves with the oldest queued prompt
+ * or waits up to `ms` for one (null when none arrives or on abort).
+ * @param {AbortSignal} [signal]
+ */
+export function createScriptedSteeringQueue(signal) {
+  const pending = [];
+  let waiter = null;
+  return {
+    push(prompt) {
+      if (waiter) waiter(String(prompt));
+      else pending.push(String(prompt));
+    },
+    next(ms) {
+      if (pending.length) return Promise.resolve(pending.shift());
+      return new Promise((resolvePromise) => {
+        const timer = setTimeout(() => settle(null), ms);
+        function settle(value) {
+          clearTimeout(timer);
+          waiter = null;
+          signal?.removeEventListener("abort", onAbort);
+          resolvePromise(value);
+        }
+        function onAbort() {
+          settle(null);
+        }
+        waiter = settle;
+        signal?.addEventListener("abort", onAbort, { once: true });
+      });
+    },
+  };
+}
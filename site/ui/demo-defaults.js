@@ -1440,7 +1440,7 @@
     {
       "id": "template-github-kanban-sync",
       "name": "GitHub ↔ Kanban Sync",
-      "description": "Reconciles GitHub PR state with the bosun kanban board every 5 minutes. Marks tasks as in-review when Bosun-created PRs open, moves them to done when PRs are merged, and posts completion comments via the kanban API. Replaces the legacy github-reconciler.mjs module.",
+      "description": "Reconciles GitHub PR state with the bosun kanban board every 15 minutes. Marks tasks as in-review when Bosun-created PRs open, moves them to done when PRs are merged, and posts completion comments via the kanban API. Issue changes arrive through the kanban webhooks; this pass is the backstop for deliveries that were missed. Replaces the legacy github-reconciler.mjs module.",
       "category": "github",
       "categoryLabel": "GitHub",
       "categoryIcon": ":git:",
@@ -1492,10 +1492,10 @@
         {
           "id": "trigger",
           "type": "trigger.schedule",
-          "label": "Sync Every 5 min",
+          "label": "Sync Every 15 min",
           "config": {
-            "intervalMs": 300000,
-            "cron": "*/5 * * * *"
+            "intervalMs": 900000,
+            "cron": "*/15 * * * *"
           },
           "position": {
             "x": 400,
@@ -3372,7 +3372,8 @@
           "id": "decision-router->wait-for-ci",
           "source": "decision-router",
           "target": "wait-for-ci",
-          "sourcePort": "wait-for-ci"
+          "sourcePort": "wait-for-ci",
+          "backEdge": true
         },
         {
           "id": "decision-router->notify-complete",
@@ -13573,7 +13574,7 @@
     {
       "id": "template-sync-engine",
       "name": "Kanban Sync Engine",
-      "description": "Two-way synchronisation between internal task store and external kanban backends (GitHub Issues, Jira). Pulls new/changed tasks from the external board, pushes internal status updates outward, detects conflicts, and handles rate-limit back-off.",
+      "description": "Two-way synchronisation between internal task store and external kanban backends (GitHub Issues, Jira). Pulls new/changed tasks from the external board, pushes internal status updates outward, detects conflicts, and handles rate-limit back-off. Issue webhooks apply external changes as they happen, so the periodic pass is only a low-frequency backstop for missed deliveries.",
       "category": "reliability",
       "categoryLabel": "Reliability",
       "categoryIcon": ":shield:",
@@ -13592,7 +13593,7 @@
       "trigger": "trigger.event",
       "variables": {
         "syncPolicy": "internal-primary",
-        "syncIntervalMs": 60000,
+        "syncIntervalMs": 900000,
         "failureAlertThreshold": 3,
         "rateLimitAlertThreshold": 3,
         "backoffIntervalMs": 300000,
@@ -13631,7 +13632,7 @@
           "label": "Sync Trigger",
           "config": {
             "eventType": "sync.requested",
-            "description": "Fires on task status changes, startup, or periodic heartbeat",
+            "description": "Fires on task status changes, startup, or the backstop heartbeat",
             "intervalMs": "{{syncIntervalMs}}"
           },
           "position": {
@@ -22175,8 +22176,8 @@
         "core",
         "multi-remediation"
       ],
-      "nodeCount": 73,
-      "edgeCount": 84,
+      "nodeCount": 80,
+      "edgeCount": 92,
       "recommended": true,
       "enabled": true,
       "trigger": "trigger.task_available",
@@ -22948,6 +22949,121 @@
             "no"
           ]
         },
+        {
+          "id": "acceptance-criteria",
+          "type": "validation.acceptance_criteria",
+          "label": "Evaluate Acceptance Criteria",
+          "config": {
+            "taskId": "{{taskId}}",
+            "worktreePath": "{{worktreePath}}",
+            "baseBranch": "{{baseBranch}}"
+          },
+          "position": {
+            "x": 0,
+            "y": 2358
+          },
+          "outputs": [
+            "default"
+          ]
+        },
+        {
+          "id": "acceptance-ok",
+          "type": "condition.expression",
+          "label": "Acceptance Criteria Met?",
+          "config": {
+            "expression": "$ctx.getNodeOutput('acceptance-criteria')?.passed !== false"
+          },
+          "position": {
+            "x": 0,
+            "y": 2374
+          },
+          "outputs": [
+            "yes",
+            "no"
+          ]
+        },
+        {
+          "id": "set-acceptance-feedback",
+          "type": "action.set_variable",
+          "label": "Summarize Failed Acceptance Criteria",
+          "config": {
+            "key": "acceptanceFeedback",
+            "value": "(() => { const out = $ctx.getNodeOutput('acceptance-criteria') || {}; const failed = (out.results || []).filter(r => !r.passed); const lines = ['## Failed Acceptance Criteria (' + failed.length + ')']; failed.forEach(r => {   lines.push('- [' + r.kind + '] ' + (r.description || r.id));   if (r.detail) lines.push('  ' + String(r.detail).slice(0, 2000).split('\\n').join('\\n  ')); }); return lines.join('\\n'); })()",
+            "isExpression": true
+          },
+          "position": {
+            "x": -360,
+            "y": 2390
+          },
+          "outputs": [
+            "default"
+          ]
+        },
+        {
+          "id": "auto-fix-acceptance",
+          "type": "action.run_agent",
+          "label": "Auto-Fix Acceptance Criteria",
+          "config": {
+            "prompt": "# Fix Failed Acceptance Criteria\n\nTask: **{{taskTitle}}**\n\nThe pull request for this task is open, but the change does not meet the task's acceptance criteria. The task cannot be completed until every criterion passes.\n\n{{acceptanceFeedback}}\n\nSTRATEGY:\n1. Read each failed criterion and its detail above.\n2. For command and coverage criteria, run the command locally and fix the code until it passes.\n3. For file criteria, add the missing change or revert the out-of-scope one.\n4. For review criteria, address the reviewer's findings in the detail.\n\nRULES:\n- Do NOT weaken, remove, or skip tests, and do not edit the acceptance criteria.\n- Keep the original task scope.\n- Do not open another pull request; your commits are pushed to this one.\n- Create a descriptive commit: \"fix: <criterion satisfied>\"",
+            "taskId": "{{taskId}}",
+            "sdk": "{{resolvedSdk}}",
+            "model": "{{resolvedModel}}",
+            "agentProfile": "{{agentProfile}}",
+            "cwd": "{{worktreePath}}",
+            "timeoutMs": "{{taskTimeoutMs}}",
+            "maxRetries": "{{maxRetries}}",
+            "maxContinues": "{{maxContinues}}",
+            "resolveMode": "library",
+            "failOnError": false
+          },
+          "position": {
+            "x": -360,
+            "y": 2440
+          },
+          "outputs": [
+            "default"
+          ]
+        },
+        {
+          "id": "push-acceptance-fix",
+          "type": "action.push_branch",
+          "label": "Push Acceptance Fix",
+          "config": {
+            "worktreePath": "{{worktreePath}}",
+            "branch": "{{branch}}",
+            "baseBranch": "{{baseBranch}}",
+            "rebaseBeforePush": true,
+            "mergeBaseBeforePush": true,
+            "autoResolveMergeConflicts": true,
+            "conflictResolverSdk": "auto",
+            "emptyDiffGuard": true,
+            "protectedBranches": "{{protectedBranches}}"
+          },
+          "position": {
+            "x": -360,
+            "y": 2490
+          },
+          "outputs": [
+            "default"
+          ]
+        },
+        {
+          "id": "acceptance-criteria-retry",
+          "type": "validation.acceptance_criteria",
+          "label": "Re-Evaluate Acceptance Criteria",
+          "config": {
+            "taskId": "{{taskId}}",
+            "worktreePath": "{{worktreePath}}",
+            "baseBranch": "{{baseBranch}}"
+          },
+          "position": {
+            "x": -360,
+            "y": 2540
+          },
+          "outputs": [
+            "default"
+          ]
+        },
         {
           "id": "set-inreview",
           "type": "action.update_task_status",
@@ -23145,6 +23261,23 @@
             "no"
           ]
         },
+        {
+          "id": "acceptance-criteria-stolen",
+          "type": "validation.acceptance_criteria",
+          "label": "Evaluate Acceptance Criteria (Recovered)",
+          "config": {
+            "taskId": "{{taskId}}",
+            "worktreePath": "{{worktreePath}}",
+            "baseBranch": "{{baseBranch}}"
+          },
+          "position": {
+            "x": 325,
+            "y": 1935
+          },
+          "outputs": [
+            "default"
+          ]
+        },
         {
           "id": "set-inreview-stolen",
           "type": "action.update_task_status",
@@ -23825,12 +23958,56 @@
           "sourcePort": "default"
         },
         {
-          "id": "pr-created->set-inreview",
+          "id": "pr-created->acceptance-criteria",
           "source": "pr-created",
+          "target": "acceptance-criteria",
+          "sourcePort": "yes",
+          "condition": "$output?.result === true"
+        },
+        {
+          "id": "acceptance-criteria->acceptance-ok",
+          "source": "acceptance-criteria",
+          "target": "acceptance-ok",
+          "sourcePort": "default"
+        },
+        {
+          "id": "acceptance-ok->set-inreview",
+          "source": "acceptance-ok",
           "target": "set-inreview",
           "sourcePort": "yes",
           "condition": "$output?.result === true"
         },
+        {
+          "id": "acceptance-ok->set-acceptance-feedback",
+          "source": "acceptance-ok",
+          "target": "set-acceptance-feedback",
+          "sourcePort": "no",
+          "condition": "$output?.result !== true"
+        },
+        {
+          "id": "set-acceptance-feedback->auto-fix-acceptance",
+          "source": "set-acceptance-feedback",
+          "target": "auto-fix-acceptance",
+          "sourcePort": "default"
+        },
+        {
+          "id": "auto-fix-acceptance->push-acceptance-fix",
+          "source": "auto-fix-acceptance",
+          "target": "push-acceptance-fix",
+          "sourcePort": "default"
+        },
+        {
+          "id": "push-acceptance-fix->acceptance-criteria-retry",
+          "source": "push-acceptance-fix",
+          "target": "acceptance-criteria-retry",
+          "sourcePort": "default"
+        },
+        {
+          "id": "acceptance-criteria-retry->set-inreview",
+          "source": "acceptance-criteria-retry",
+          "target": "set-inreview",
+          "sourcePort": "default"
+        },
         {
           "id": "pr-created->set-todo-push-failed",
           "source": "pr-created",
@@ -23928,12 +24105,18 @@
           "sourcePort": "default"
         },
         {
-          "id": "pr-created-stolen->set-inreview-stolen",
+          "id": "pr-created-stolen->acceptance-criteria-stolen",
           "source": "pr-created-stolen",
-          "target": "set-inreview-stolen",
+          "target": "acceptance-criteria-stolen",
           "sourcePort": "yes",
           "condition": "$output?.result === true"
         },
+        {
+          "id": "acceptance-criteria-stolen->set-inreview-stolen",
+          "source": "acceptance-criteria-stolen",
+          "target": "set-inreview-stolen",
+          "sourcePort": "default"
+        },
         {
           "id": "set-inreview-stolen->handoff-pr-progressor-stolen",
           "source": "set-inreview-stolen",
@@ -25862,7 +26045,7 @@
     {
       "id": "wf-github-kanban-sync",
       "name": "GitHub ↔ Kanban Sync",
-      "description": "Reconciles GitHub PR state with the bosun kanban board every 5 minutes. Marks tasks as in-review when Bosun-created PRs open, moves them to done when PRs are merged, and posts completion comments via the kanban API. Replaces the legacy github-reconciler.mjs module.",
+      "description": "Reconciles GitHub PR state with the bosun kanban board every 15 minutes. Marks tasks as in-review when Bosun-created PRs open, moves them to done when PRs are merged, and posts completion comments via the kanban API. Issue changes arrive through the kanban webhooks; this pass is the backstop for deliveries that were missed. Replaces the legacy github-reconciler.mjs module.",
       "category": "github",
       "enabled": true,
       "nodeCount": 8,
@@ -25875,10 +26058,10 @@
         {
           "id": "trigger",
           "type": "trigger.schedule",
-          "label": "Sync Every 5 min",
+          "label": "Sync Every 15 min",
           "config": {
-            "intervalMs": 300000,
-            "cron": "*/5 * * * *"
+            "intervalMs": 900000,
+            "cron": "*/15 * * * *"
           },
           "position": {
             "x": 400,
@@ -27662,7 +27845,8 @@
           "id": "decision-router->wait-for-ci",
           "source": "decision-router",
           "target": "wait-for-ci",
-          "sourcePort": "wait-for-ci"
+          "sourcePort": "wait-for-ci",
+          "backEdge": true
         },
         {
           "id": "decision-router->notify-complete",
@@ -37350,14 +37534,14 @@
     {
       "id": "wf-sync-engine",
       "name": "Kanban Sync Engine",
-      "description": "Two-way synchronisation between internal task store and external kanban backends (GitHub Issues, Jira). Pulls new/changed tasks from the external board, pushes internal status updates outward, detects conflicts, and handles rate-limit back-off.",
+      "description": "Two-way synchronisation between internal task store and external kanban backends (GitHub Issues, Jira). Pulls new/changed tasks from the external board, pushes internal status updates outward, detects conflicts, and handles rate-limit back-off. Issue webhooks apply external changes as they happen, so the periodic pass is only a low-frequency backstop for missed deliveries.",
       "category": "reliability",
       "enabled": true,
       "nodeCount": 12,
       "trigger": "trigger.event",
       "variables": {
         "syncPolicy": "internal-primary",
-        "syncIntervalMs": 60000,
+        "syncIntervalMs": 900000,
         "failureAlertThreshold": 3,
         "rateLimitAlertThreshold": 3,
         "backoffIntervalMs": 300000,
@@ -37370,7 +37554,7 @@
           "label": "Sync Trigger",
           "config": {
             "eventType": "sync.requested",
-            "description": "Fires on task status changes, startup, or periodic heartbeat",
+            "description": "Fires on task status changes, startup, or the backstop heartbeat",
             "intervalMs": "{{syncIntervalMs}}"
           },
           "position": {
@@ -45499,7 +45683,7 @@
       "description": "Complete task execution pipeline: poll for tasks → claim → worktree → agent dispatch → commit detection → PR creation → status transition. Replaces the monolithic TaskExecutor.executeTask() method with a composable workflow DAG.",
       "category": "task-execution",
       "enabled": true,
-      "nodeCount": 73,
+      "nodeCount": 80,
       "trigger": "trigger.task_available",
       "variables": {
         "maxParallel": 3,
@@ -46236,6 +46420,121 @@
             "no"
           ]
         },
+        {
+          "id": "acceptance-criteria",
+          "type": "validation.acceptance_criteria",
+          "label": "Evaluate Acceptance Criteria",
+          "config": {
+            "taskId": "{{taskId}}",
+            "worktreePath": "{{worktreePath}}",
+            "baseBranch": "{{baseBranch}}"
+          },
+          "position": {
+            "x": 0,
+            "y": 2358
+          },
+          "outputs": [
+            "default"
+          ]
+        },
+        {
+          "id": "acceptance-ok",
+          "type": "condition.expression",
+          "label": "Acceptance Criteria Met?",
+          "config": {
+            "expression": "$ctx.getNodeOutput('acceptance-criteria')?.passed !== false"
+          },
+          "position": {
+            "x": 0,
+            "y": 2374
+          },
+          "outputs": [
+            "yes",
+            "no"
+          ]
+        },
+        {
+          "id": "set-acceptance-feedback",
+          "type": "action.set_variable",
+          "label": "Summarize Failed Acceptance Criteria",
+          "config": {
+            "key": "acceptanceFeedback",
+            "value": "(() => { const out = $ctx.getNodeOutput('acceptance-criteria') || {}; const failed = (out.results || []).filter(r => !r.passed); const lines = ['## Failed Acceptance Criteria (' + failed.length + ')']; failed.forEach(r => {   lines.push('- [' + r.kind + '] ' + (r.description || r.id));   if (r.detail) lines.push('  ' + String(r.detail).slice(0, 2000).split('\\n').join('\\n  ')); }); return lines.join('\\n'); })()",
+            "isExpression": true
+          },
+          "position": {
+            "x": -360,
+            "y": 2390
+          },
+          "outputs": [
+            "default"
+          ]
+        },
+        {
+          "id": "auto-fix-acceptance",
+          "type": "action.run_agent",
+          "label": "Auto-Fix Acceptance Criteria",
+          "config": {
+            "prompt": "# Fix Failed Acceptance Criteria\n\nTask: **{{taskTitle}}**\n\nThe pull request for this task is open, but the change does not meet the task's acceptance criteria. The task cannot be completed until every criterion passes.\n\n{{acceptanceFeedback}}\n\nSTRATEGY:\n1. Read each failed criterion and its detail above.\n2. For command and coverage criteria, run the command locally and fix the code until it passes.\n3. For file criteria, add the missing change or revert the out-of-scope one.\n4. For review criteria, address the reviewer's findings in the detail.\n\nRULES:\n- Do NOT weaken, remove, or skip tests, and do not edit the acceptance criteria.\n- Keep the original task scope.\n- Do not open another pull request; your commits are pushed to this one.\n- Create a descriptive commit: \"fix: <criterion satisfied>\"",
+            "taskId": "{{taskId}}",
+            "sdk": "{{resolvedSdk}}",
+            "model": "{{resolvedModel}}",
+            "agentProfile": "{{agentProfile}}",
+            "cwd": "{{worktreePath}}",
+            "timeoutMs": "{{taskTimeoutMs}}",
+            "maxRetries": "{{maxRetries}}",
+            "maxContinues": "{{maxContinues}}",
+            "resolveMode": "library",
+            "failOnError": false
+          },
+          "position": {
+            "x": -360,
+            "y": 2440
+          },
+          "outputs": [
+            "default"
+          ]
+        },
+        {
+          "id": "push-acceptance-fix",
+          "type": "action.push_branch",
+          "label": "Push Acceptance Fix",
+          "config": {
+            "worktreePath": "{{worktreePath}}",
+            "branch": "{{branch}}",
+            "baseBranch": "{{baseBranch}}",
+            "rebaseBeforePush": true,
+            "mergeBaseBeforePush": true,
+            "autoResolveMergeConflicts": true,
+            "conflictResolverSdk": "auto",
+            "emptyDiffGuard": true,
+            "protectedBranches": "{{protectedBranches}}"
+          },
+          "position": {
+            "x": -360,
+            "y": 2490
+          },
+          "outputs": [
+            "default"
+          ]
+        },
+        {
+          "id": "acceptance-criteria-retry",
+          "type": "validation.acceptance_criteria",
+          "label": "Re-Evaluate Acceptance Criteria",
+          "config": {
+            "taskId": "{{taskId}}",
+            "worktreePath": "{{worktreePath}}",
+            "baseBranch": "{{baseBranch}}"
+          },
+          "position": {
+            "x": -360,
+            "y": 2540
+          },
+          "outputs": [
+            "default"
+          ]
+        },
         {
           "id": "set-inreview",
           "type": "action.update_task_status",
@@ -46433,6 +46732,23 @@
             "no"
           ]
         },
+        {
+          "id": "acceptance-criteria-stolen",
+          "type": "validation.acceptance_criteria",
+          "label": "Evaluate Acceptance Criteria (Recovered)",
+          "config": {
+            "taskId": "{{taskId}}",
+            "worktreePath": "{{worktreePath}}",
+            "baseBranch": "{{baseBranch}}"
+          },
+          "position": {
+            "x": 325,
+            "y": 1935
+          },
+          "outputs": [
+            "default"
+          ]
+        },
         {
           "id": "set-inreview-stolen",
           "type": "action.update_task_status",
@@ -47113,12 +47429,56 @@
           "sourcePort": "default"
         },
         {
-          "id": "pr-created->set-inreview",
+          "id": "pr-created->acceptance-criteria",
           "source": "pr-created",
+          "target": "acceptance-criteria",
+          "sourcePort": "yes",
+          "condition": "$output?.result === true"
+        },
+        {
+          "id": "acceptance-criteria->acceptance-ok",
+          "source": "acceptance-criteria",
+          "target": "acceptance-ok",
+          "sourcePort": "default"
+        },
+        {
+          "id": "acceptance-ok->set-inreview",
+          "source": "acceptance-ok",
           "target": "set-inreview",
           "sourcePort": "yes",
           "condition": "$output?.result === true"
         },
+        {
+          "id": "acceptance-ok->set-acceptance-feedback",
+          "source": "acceptance-ok",
+          "target": "set-acceptance-feedback",
+          "sourcePort": "no",
+          "condition": "$output?.result !== true"
+        },
+        {
+          "id": "set-acceptance-feedback->auto-fix-acceptance",
+          "source": "set-acceptance-feedback",
+          "target": "auto-fix-acceptance",
+          "sourcePort": "default"
+        },
+        {
+          "id": "auto-fix-acceptance->push-acceptance-fix",
+          "source": "auto-fix-acceptance",
+          "target": "push-acceptance-fix",
+          "sourcePort": "default"
+        },
+        {
+          "id": "push-acceptance-fix->acceptance-criteria-retry",
+          "source": "push-acceptance-fix",
+          "target": "acceptance-criteria-retry",
+          "sourcePort": "default"
+        },
+        {
+          "id": "acceptance-criteria-retry->set-inreview",
+          "source": "acceptance-criteria-retry",
+          "target": "set-inreview",
+          "sourcePort": "default"
+        },
         {
           "id": "pr-created->set-todo-push-failed",
           "source": "pr-created",
@@ -47216,12 +47576,18 @@
           "sourcePort": "default"
         },
         {
-          "id": "pr-created-stolen->set-inreview-stolen",
+          "id": "pr-created-stolen->acceptance-criteria-stolen",
           "source": "pr-created-stolen",
-          "target": "set-inreview-stolen",
+          "target": "acceptance-criteria-stolen",
           "sourcePort": "yes",
           "condition": "$output?.result === true"
         },
+        {
+          "id": "acceptance-criteria-stolen->set-inreview-stolen",
+          "source": "acceptance-criteria-stolen",
+          "target": "set-inreview-stolen",
+          "sourcePort": "default"
+        },
         {
           "id": "set-inreview-stolen->handoff-pr-progressor-stolen",
           "source": "set-inreview-stolen",
@@ -141,7 +141,7 @@ export const SETTINGS_SCHEMA = [
   { key: "VOICE_FALLBACK_MODE",            label: "Fallback Mode",              category: "voice", type: "select", defaultVal: "browser", options: ["browser", "disabled"], description: "When Tier 1 (Realtime API) is unavailable, use browser speech APIs as fallback." },
 
   // ── Kanban / Tasks ─────────────────────────────────────────
-  { key: "KANBAN_BACKEND",                 label: "Kanban Backend",             category: "kanban", type: "select", defaultVal: "internal", options: ["internal", "github", "jira", "gnap"], description: "Task management backend. 'internal' uses the built-in store, 'github' syncs with GitHub Issues/Projects, 'jira' uses Jira, and 'gnap' enables the optional GNAP projection backend." },
+  { key: "KANBAN_BACKEND",                 label: "Kanban Backend",             category: "kanban", type: "select", defaultVal: "internal", options: ["internal", "github", "jira", "linear", "gitlab", "gnap"], description: "Task management backend. 'internal' uses the built-in store, 'github' syncs with GitHub Issues/Projects, 'jira' uses Jira, 'linear' uses Linear, 'gitlab' uses GitLab Issues, and 'gnap' enables the optional GNAP projection backend." },
   { key: "KANBAN_SYNC_POLICY",             label: "Sync Policy",                category: "kanban", type: "select", defaultVal: "internal-primary", options: ["internal-primary", "bidirectional"], description: "How tasks sync between internal store and external backend." },
   { key: "GNAP_ENABLED",                   label: "Enable GNAP",                category: "kanban", type: "boolean", defaultVal: false, description: "Master toggle for the optional GNAP backend. Must be enabled before KANBAN_BACKEND can be switched to gnap." },
   { key: "GNAP_REPO_PATH",                 label: "GNAP Repo Path",             category: "kanban", type: "string", description: "Absolute path to the repo or clone that will host GNAP projection data. Required when GNAP is selected." },
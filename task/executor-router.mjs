@@ -0,0 +1,581 @@
+/**
+ * executor-router.mjs — Adaptive executor/model routing for bosun.
+ *
+ * A contextual bandit that learns which executor/model "arm" works best for
+ * a kind of task. Context is a bag of task features (tags, size, complexity
+ * tier, repo areas, changed-file types); every historical attempt updates
+ * the per-feature stats of the arm that ran it. An arm's value for a task
+ * is its pooled success rate over the task's feature buckets divided by its
+ * average cost, i.e. expected successes per dollar.
+ *
+ * Training data:
+ *   - task runs from task-store (sdk + meta.model + status/outcome)
+ *   - completed sessions from runtime-accumulator (executor/model/costUsd),
+ *     used for tasks that have no recorded runs
+ *   - run evaluations (RunEvaluator history), joined to task runs by runId:
+ *     a run only counts as a success if its evaluation score passes
+ *
+ * Modes (config.complexityRouting.adaptive.mode):
+ *   off    — router is not consulted (default)
+ *   shadow — decision is computed and logged, static routing still applies
+ *   active — decision replaces the static executor/model
+ *
+ * Guardrails: candidate arms are filtered through the caller's `isAllowed`
+ * check (task-complexity passes `isModelAllowedForExecutor`), and the router
+ * never leaves the static choice until an arm has `minSamples` runs in at
+ * least one of the task's feature buckets, except when exploring.
+ */
+
+const TAG = "[executor-router]";
+
+export const ROUTER_MODES = Object.freeze({
+  OFF: "off",
+  SHADOW: "shadow",
+  ACTIVE: "active",
+});
+
+export const DEFAULT_ROUTER_CONFIG = Object.freeze({
+  mode: ROUTER_MODES.OFF,
+  /** Probability of picking a non-greedy arm */
+  explorationRate: 0.1,
+  /** Runs an arm needs in one matching feature bucket before it is exploited */
+  minSamples: 5,
+  /** Cost used when an arm has no cost data (and the minimum cost per run) */
+  costFloorUsd: 0.05,
+  /** Evaluation score a run needs to count as a success */
+  successScoreThreshold: 60,
+  /** Completed sessions read from the runtime accumulator */
+  historyLimit: 1000,
+  /** How long trained stats are reused before re-reading history */
+  cacheTtlMs: 10 * 60 * 1000,
+  /** Extra arms to consider: [{ executor, model }] */
+  candidates: [],
+  /** Per-executor allowed models; falls back to EXECUTOR_MODEL_REGISTRY */
+  allowedModels: null,
+});
+
+const SUCCESS_STATUS_RE = /^(success|succeeded|successful|completed|complete|done|merged|passed)$/i;
+const FAILURE_STATUS_RE = /(fail|error|timeout|timed[_-]?out|abort|cancel|crash|rejected|blocked)/i;
+const MAX_TAG_FEATURES = 8;
+const MAX_AREA_FEATURES = 5;
+const MAX_FILE_TYPE_FEATURES = 6;
+
+let _stats = null;
+let _loadedAt = 0;
+
+// ── Config ───────────────────────────────────────────────────────────────────
+
+function toFiniteNumber(value, fallback) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+}
+
+/**
+ * Normalize `complexityRouting.adaptive` into a complete router config.
+ *
+ * @param {object} [raw]
+ * @returns {object}
+ */
+export function normalizeRouterConfig(raw) {
+  const input = raw && typeof raw === "object" ? raw : {};
+  const mode = String(input.mode || "").trim().toLowerCase();
+  return {
+    mode: Object.values(ROUTER_MODES).includes(mode) ? mode : DEFAULT_ROUTER_CONFIG.mode,
+    explorationRate: Math.min(1, Math.max(0, toFiniteNumber(input.explorationRate, DEFAULT_ROUTER_CONFIG.explorationRate))),
+    minSamples: Math.max(1, Math.floor(toFiniteNumber(input.minSamples, DEFAULT_ROUTER_CONFIG.minSamples))),
+    costFloorUsd: Math.max(0.0001, toFiniteNumber(input.costFloorUsd, DEFAULT_ROUTER_CONFIG.costFloorUsd)),
+    successScoreThreshold: toFiniteNumber(input.successScoreThreshold, DEFAULT_ROUTER_CONFIG.successScoreThreshold),
+    historyLimit: Math.max(0, Math.floor(toFiniteNumber(input.historyLimit, DEFAULT_ROUTER_CONFIG.historyLimit))),
+    cacheTtlMs: Math.max(0, toFiniteNumber(input.cacheTtlMs, DEFAULT_ROUTER_CONFIG.cacheTtlMs)),
+    candidates: (Array.isArray(input.candidates) ? input.candidates : [])
+      .map((entry) => normalizeArm(entry?.executor, entry?.model))
+      .filter(Boolean),
+    allowedModels: input.allowedModels && typeof input.allowedModels === "object"
+      ? input.allowedModels
+      : null,
+  };
+}
+
+/**
+ * @param {object} [raw] - `complexityRouting.adaptive`
+ * @returns {boolean} true when the router runs in shadow or active mode
+ */
+export function isAdaptiveRoutingEnabled(raw) {
+  return normalizeRouterConfig(raw).mode !== ROUTER_MODES.OFF;
+}
+
+// ── Features ─────────────────────────────────────────────────────────────────
+
+function normalizeExecutorName(executor) {
+  const raw = String(executor || "").trim().toLowerCase().replace(/-(sdk|cli)$/, "");
+  if (!raw) return "";
+  if (raw === "claude-code" || raw === "claudecode") return "CLAUDE";
+  return raw.toUpperCase();
+}
+
+function normalizeArm(executor, model) {
+  const normalizedExecutor = normalizeExecutorName(executor);
+  const normalizedModel = String(model || "").trim();
+  if (!normalizedExecutor || !normalizedModel) return null;
+  return { executor: normalizedExecutor, model: normalizedModel };
+}
+
+/**
+ * @param {{ executor: string, model: string }} arm
+ * @returns {string}
+ */
+export function armKey(arm) {
+  return `${arm.executor}/${arm.model}`;
+}
+
+function collectStrings(...inputs) {
+  const out = [];
+  const push = (value) => {
+    if (!value) return;
+    if (Array.isArray(value)) {
+      for (const entry of value) push(entry);
+      return;
+    }
+    if (typeof value === "string" && value.includes(",")) {
+      for (const entry of value.split(",")) push(entry);
+      return;
+    }
+    const normalized = String(value).trim().toLowerCase();
+    if (normalized && !out.includes(normalized)) out.push(normalized);
+  };
+  for (const input of inputs) push(input);
+  return out;
+}
+
+function fileTypeOf(path) {
+  const name = String(path?.path || path?.file || path || "").trim().split(/[\\/]/).pop() || "";
+  const dot = name.lastIndexOf(".");
+  if (dot <= 0) return name ? name.toLowerCase() : "";
+  return name.slice(dot).toLowerCase();
+}
+
+function areaOf(path) {
+  const segments = String(path?.path || path?.file || path || "")
+    .trim()
+    .replace(/^\.\//, "")
+    .split(/[\\/]/)
+    .filter(Boolean);
+  return segments.length > 1 ? segments[0].toLowerCase() : "";
+}
+
+/**
+ * Extract the routing context for a task.
+ *
+ * @param {object} task - Task object (tags, repoAreas, changedFiles, meta)
+ * @param {{ tier?: string, sizeLabel?: string }|null} [complexity] - classifyComplexity() output
+ * @returns {{ size: string, tier: string, tags: string[], areas: string[], fileTypes: string[] }}
+ */
+export function extractRoutingFeatures(task, complexity = null) {
+  const changedFiles = [
+    ...(Array.isArray(task?.changedFiles) ? task.changedFiles : []),
+    ...(Array.isArray(task?.meta?.changedFiles) ? task.meta.changedFiles : []),
+  ];
+  const declaredAreas = collectStrings(
+    task?.repoAreas,
+    task?.repo_areas,
+    task?.meta?.repoAreas,
+    task?.meta?.repo_areas,
+  );
+  return {
+    size: String(complexity?.sizeLabel || "").toLowerCase(),
+    tier: String(complexity?.tier || "").toLowerCase(),
+    tags: collectStrings(task?.tags, task?.labels).slice(0, MAX_TAG_FEATURES),
+    areas: (declaredAreas.length > 0 ? declaredAreas : collectStrings(changedFiles.map(areaOf)))
+      .slice(0, MAX_AREA_FEATURES),
+    fileTypes: collectStrings(changedFiles.map(fileTypeOf)).slice(0, MAX_FILE_TYPE_FEATURES),
+  };
+}
+
+/**
+ * Flatten features into bucket keys, e.g. ["size:m", "tag:ui", "ext:.tsx"].
+ *
+ * @param {ReturnType<typeof extractRoutingFeatures>} features
+ * @returns {string[]}
+ */
+export function featureKeys(features) {
+  const keys = [];
+  if (features?.size) keys.push(`size:${features.size}`);
+  if (features?.tier) keys.push(`tier:${features.tier}`);
+  for (const tag of features?.tags || []) keys.push(`tag:${tag}`);
+  for (const area of features?.areas || []) keys.push(`area:${area}`);
+  for (const ext of features?.fileTypes || []) keys.push(`ext:${ext}`);
+  return keys;
+}
+
+// ── Training ─────────────────────────────────────────────────────────────────
+
+function emptyBucket() {
+  return { runs: 0, successes: 0, costUsd: 0, costRuns: 0 };
+}
+
+function addToBucket(bucket, outcome) {
+  bucket.runs += 1;
+  if (outcome.success) bucket.successes += 1;
+  if (outcome.costUsd > 0) {
+    bucket.costUsd += outcome.costUsd;
+    bucket.costRuns += 1;
+  }
+}
+
+/**
+ * @returns {{ arms: object, outcomes: number, trainedAt: string }}
+ */
+export function createExecutorRouterStats() {
+  return { arms: {}, outcomes: 0, trainedAt: new Date().toISOString() };
+}
+
+/**
+ * Record one attempt into the stats (mutates and returns `stats`).
+ *
+ * @param {object} stats - From createExecutorRouterStats()
+ * @param {{ executor: string, model: string, success: boolean, costUsd?: number, features?: object, keys?: string[] }} outcome
+ * @returns {object}
+ */
+export function recordRouterOutcome(stats, outcome) {
+  const arm = normalizeArm(outcome?.executor, outcome?.model);
+  if (!stats || !arm) return stats;
+  const key = armKey(arm);
+  const entry = stats.arms[key] || (stats.arms[key] = { ...arm, ...emptyBucket(), contexts: {} });
+  const normalized = {
+    success: Boolean(outcome.success),
+    costUsd: Math.max(0, toFiniteNumber(outcome.costUsd, 0)),
+  };
+  addToBucket(entry, normalized);
+  for (const feature of outcome.keys || featureKeys(outcome.features)) {
+    addToBucket(entry.contexts[feature] || (entry.contexts[feature] = emptyBucket()), normalized);
+  }
+  stats.outcomes += 1;
+  return stats;
+}
+
+function classifyOutcomeStatus(...values) {
+  for (const value of values) {
+    const text = String(value || "").trim();
+    if (!text) continue;
+    if (SUCCESS_STATUS_RE.test(text)) return true;
+    if (FAILURE_STATUS_RE.test(text)) return false;
+  }
+  return null;
+}
+
+/**
+ * Turn task runs, completed sessions and run evaluations into router outcomes.
+ *
+ * @param {object} params
+ * @param {object[]} [params.tasks] - task-store tasks (with `runs`)
+ * @param {object[]} [params.sessions] - runtime-accumulator completed sessions
+ * @param {Array<{ runId?: string, taskId?: string, score: number }>} [params.evaluations]
+ * @param {(task: object) => object} [params.classify] - task → complexity (classifyTaskComplexity)
+ * @param {number} [params.successScoreThreshold]
+ * @returns {Array<{ taskId: string, executor: string, model: string, success: boolean, costUsd: number, features: object }>}
+ */
+export function collectRouterOutcomes({
+  tasks = [],
+  sessions = [],
+  evaluations = [],
+  classify = null,
+  successScoreThreshold = DEFAULT_ROUTER_CONFIG.successScoreThreshold,
+} = {}) {
+  const scoreByRunId = new Map();
+  for (const evaluation of evaluations || []) {
+    const runId = String(evaluation?.runId || "").trim();
+    if (runId && Number.isFinite(Number(evaluation?.score))) {
+      scoreByRunId.set(runId, Number(evaluation.score));
+    }
+  }
+  const tasksById = new Map();
+  for (const task of tasks || []) {
+    if (task?.id) tasksById.set(String(task.id), task);
+  }
+  const featuresFor = (task) =>
+    extractRoutingFeatures(task, typeof classify === "function" ? classify(task) : null);
+
+  const outcomes = [];
+  const tasksWithRuns = new Set();
+  for (const task of tasksById.values()) {
+    const runs = Array.isArray(task.runs) ? task.runs : [];
+    let features = null;
+    for (const run of runs) {
+      let success = classifyOutcomeStatus(run?.outcome, run?.status);
+      const model = run?.meta?.model || run?.model;
+      if (success === null || !normalizeArm(run?.sdk, model)) continue;
+      const score = scoreByRunId.get(String(run.runId || ""));
+      if (score !== undefined) success = success && score >= successScoreThreshold;
+      features ||= featuresFor(task);
+      tasksWithRuns.add(String(task.id));
+      outcomes.push({
+        taskId: String(task.id),
+        executor: run.sdk,
+        model,
+        success,
+        costUsd: toFiniteNumber(run?.meta?.costUsd ?? run?.meta?.cost_usd, 0),
+        features,
+      });
+    }
+  }
+
+  for (const session of sessions || []) {
+    const taskId = String(session?.taskId || "").trim();
+    if (!taskId || tasksWithRuns.has(taskId)) continue;
+    const success = classifyOutcomeStatus(session?.status);
+    if (success === null || !normalizeArm(session?.executor, session?.model)) continue;
+    const task = tasksById.get(taskId) || { id: taskId, title: session.taskTitle || "" };
+    outcomes.push({
+      taskId,
+      executor: session.executor,
+      model: session.model,
+      success,
+      costUsd: toFiniteNumber(session.costUsd, 0),
+      features: featuresFor(task),
+    });
+  }
+  return outcomes;
+}
+
+/**
+ * Build router stats from a list of outcomes.
+ *
+ * @param {Array<object>} outcomes - From collectRouterOutcomes()
+ * @returns {object}
+ */
+export function trainExecutorRouter(outcomes) {
+  const stats = createExecutorRouterStats();
+  for (const outcome of outcomes || []) recordRouterOutcome(stats, outcome);
+  return stats;
+}
+
+/**
+ * Replace the cached stats (tests, or callers that train from their own data).
+ *
+ * @param {object|null} stats
+ */
+export function setExecutorRouterStats(stats) {
+  _stats = stats || null;
+  _loadedAt = stats ? Date.now() : 0;
+}
+
+/**
+ * @returns {object} Cached stats, or empty stats when nothing has been loaded
+ */
+export function getExecutorRouterStats() {
+  return _stats || createExecutorRouterStats();
+}
+
+export function resetExecutorRouter() {
+  _stats = null;
+  _loadedAt = 0;
+}
+
+/**
+ * (Re)train the cached stats from task-store runs, runtime-accumulator
+ * sessions and the run-evaluation history under `repoRoot`. Reuses the cache
+ * until `cacheTtlMs` expires unless `force` is set. Failures keep the
+ * previous stats.
+ *
+ * @param {object} [options]
+ * @param {object} [options.config] - `complexityRouting.adaptive`
+ * @param {string} [options.repoRoot] - Directory holding `.bosun/evaluation-history.json`
+ * @param {boolean} [options.force]
+ * @returns {Promise<object>}
+ */
+export async function loadExecutorRouterStats({ config, repoRoot, force = false } = {}) {
+  const routerConfig = normalizeRouterConfig(config);
+  if (!force && _stats && Date.now() - _loadedAt < routerConfig.cacheTtlMs) {
+    return _stats;
+  }
+  try {
+    const [accumulator, taskStore, evaluatorMod, complexityMod] = await Promise.all([
+      import("../infra/runtime-accumulator.mjs"),
+      import("./task-store.mjs"),
+      import("../workflow/run-evaluator.mjs"),
+      import("./task-complexity.mjs"),
+    ]);
+    const evaluations = repoRoot
+      ? new evaluatorMod.RunEvaluator({ configDir: repoRoot }).listHistory()
+      : [];
+    const outcomes = collectRouterOutcomes({
+      tasks: taskStore.getAllTasks(),
+      sessions: accumulator.getCompletedSessions(routerConfig.historyLimit),
+      evaluations,
+      classify: complexityMod.classifyTaskComplexity,
+      successScoreThreshold: routerConfig.successScoreThreshold,
+    });
+    setExecutorRouterStats(trainExecutorRouter(outcomes));
+  } catch (err) {
+    console.warn(`${TAG} failed to load routing history: ${err?.message || err}`);
+  }
+  return getExecutorRouterStats();
+}
+
+// ── Routing ──────────────────────────────────────────────────────────────────
+
+function scoreArm(arm, keys, stats, config) {
+  const entry = stats?.arms?.[armKey(arm)];
+  const pooled = emptyBucket();
+  const evidence = [];
+  for (const key of keys) {
+    const bucket = entry?.contexts?.[key];
+    if (!bucket?.runs) continue;
+    pooled.runs += bucket.runs;
+    pooled.successes += bucket.successes;
+    pooled.costUsd += bucket.costUsd;
+    pooled.costRuns += bucket.costRuns;
+    evidence.push({ feature: key, runs: bucket.runs, successRate: bucket.successes / bucket.runs });
+  }
+  evidence.sort((a, b) => b.runs - a.runs);
+  const successRate = (pooled.successes + 1) / (pooled.runs + 2);
+  const avgCostUsd = pooled.costRuns > 0 ? pooled.costUsd / pooled.costRuns : null;
+  return {
+    ...arm,
+    value: successRate / Math.max(avgCostUsd ?? 0, config.costFloorUsd),
+    successRate,
+    avgCostUsd,
+    samples: evidence[0]?.runs || 0,
+    evidence: evidence.slice(0, 3),
+  };
+}
+
+function roundTo(value, digits = 3) {
+  if (!Number.isFinite(value)) return value;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function summarizeScore(scored) {
+  if (!scored) return null;
+  return {
+    value: roundTo(scored.value),
+    successRate: roundTo(scored.successRate),
+    avgCostUsd: scored.avgCostUsd === null ? null : roundTo(scored.avgCostUsd, 4),
+    samples: scored.samples,
+    evidence: scored.evidence.map((item) => ({ ...item, successRate: roundTo(item.successRate) })),
+  };
+}
+
+/**
+ * Pick an executor/model arm for a task.
+ *
+ * @param {object} params
+ * @param {object} params.features - extractRoutingFeatures() output
+ * @param {{ executor: string, model: string }} params.baseline - static choice
+ * @param {object} [params.stats] - Router stats (defaults to the cache)
+ * @param {object} [params.config] - `complexityRouting.adaptive`
+ * @param {(arm: { executor: string, model: string }) => boolean} [params.isAllowed] - guardrail
+ * @param {() => number} [params.random] - RNG in [0, 1), injectable for tests
+ * @returns {{
+ *   mode: string, applied: boolean,
+ *   reason: "exploit"|"explore"|"insufficient-data"|"no-allowed-arms",
+ *   pick: { executor: string, model: string|null },
+ *   baseline: { executor: string, model: string|null },
+ *   score: object|null, features: string[], alternatives: object[], blocked: string[]
+ * }}
+ */
+export function routeExecutor({
+  features,
+  baseline,
+  stats = getExecutorRouterStats(),
+  config,
+  isAllowed = () => true,
+  random = Math.random,
+} = {}) {
+  const routerConfig = normalizeRouterConfig(config);
+  const keys = featureKeys(features);
+  const baselineArm = {
+    executor: normalizeExecutorName(baseline?.executor) || "CODEX",
+    model: baseline?.model || null,
+  };
+
+  const seen = new Set();
+  const candidates = [];
+  const blocked = [];
+  const armsFromStats = Object.values(stats?.arms || {}).map((entry) => normalizeArm(entry.executor, entry.model));
+  for (const arm of [normalizeArm(baselineArm.executor, baselineArm.model), ...routerConfig.candidates, ...armsFromStats]) {
+    if (!arm) continue;
+    const key = armKey(arm);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (isAllowed(arm)) candidates.push(arm);
+    else blocked.push(key);
+  }
+
+  const decide = (reason, pick, scored = null, ranked = []) => {
+    const decision = {
+      mode: routerConfig.mode,
+      applied: routerConfig.mode === ROUTER_MODES.ACTIVE && (reason === "exploit" || reason === "explore"),
+      reason,
+      pick: { executor: pick.executor, model: pick.model },
+      baseline: baselineArm,
+      score: summarizeScore(scored),
+      features: keys,
+      alternatives: ranked
+        .filter((entry) => armKey(entry) !== armKey(pick))
+        .slice(0, 3)
+        .map((entry) => ({
+          executor: entry.executor,
+          model: entry.model,
+          value: roundTo(entry.value),
+          samples: entry.samples,
+        })),
+      blocked,
+    };
+    if (routerConfig.mode === ROUTER_MODES.SHADOW) {
+      console.log(`${TAG} shadow: ${formatRouterDecision(decision)}`);
+    }
+    return decision;
+  };
+
+  if (candidates.length === 0) {
+    return decide("no-allowed-arms", baselineArm);
+  }
+
+  const ranked = candidates
+    .map((arm) => scoreArm(arm, keys, stats, routerConfig))
+    .sort((a, b) => b.value - a.value || b.samples - a.samples);
+  const warm = ranked.filter((entry) => entry.samples >= routerConfig.minSamples);
+  const greedy = warm[0] || null;
+
+  if (ranked.length > 1 && random() < routerConfig.explorationRate) {
+    const pool = ranked.filter((entry) => entry !== greedy);
+    const explored = pool[Math.min(pool.length - 1, Math.floor(random() * pool.length))];
+    return decide("explore", explored, explored, ranked);
+  }
+  if (!greedy) {
+    const baselineScore = ranked.find((entry) => armKey(entry) === armKey(baselineArm)) || null;
+    return decide("insufficient-data", baselineArm, baselineScore, ranked);
+  }
+  return decide("exploit", greedy, greedy, ranked);
+}
+
+/**
+ * One-line explanation of a router decision, for logs.
+ *
+ * @param {ReturnType<typeof routeExecutor>|null} decision
+ * @returns {string}
+ */
+export function formatRouterDecision(decision) {
+  if (!decision) return "router=off";
+  const parts = [
+    `router=${decision.mode}`,
+    `pick=${decision.pick.executor}/${decision.pick.model || "default"}`,
+    `reason=${decision.reason}`,
+  ];
+  if (decision.score) {
+    parts.push(`success=${decision.score.successRate}`);
+    if (decision.score.avgCostUsd !== null) parts.push(`cost=$${decision.score.avgCostUsd}`);
+    parts.push(`n=${decision.score.samples}`);
+    if (decision.score.evidence.length > 0) {
+      parts.push(`via=${decision.score.evidence.map((item) => item.feature).join(",")}`);
+    }
+  }
+  const baseline = `${decision.baseline.executor}/${decision.baseline.model || "default"}`;
+  if (baseline !== `${decision.pick.executor}/${decision.pick.model || "default"}`) {
+    parts.push(`static=${baseline}`);
+  }
+  if (decision.blocked.length > 0) parts.push(`blocked=${decision.blocked.join(",")}`);
+  return parts.join(" ");
+}
@@ -338,75 +338,155 @@ export function SequentialPipeline(stages, options = {}) {
   });
 }
 
+async function runStagesConcurrently(pipelineType, normalizedStages, initialInput, runtimeOptions, runId) {
+  const outputs = new Array(normalizedStages.length);
+  const errors = [];
+  const prepareStageInput =
+    typeof runtimeOptions.prepareStageInput === "function"
+      ? runtimeOptions.prepareStageInput
+      : (_previousRecord, seed) => toMinimalDescriptor(seed);
+
+  await Promise.allSettled(
+    normalizedStages.map(async (stage, index) => {
+      const stageInput = prepareStageInput(null, initialInput, stage, index, []);
+      const started = Date.now();
+      try {
+        runtimeOptions.onStageStart?.(stage, stageInput, index);
+        const result = await executeStage(
+          stage,
+          stageInput,
+          createBaseContext({
+            pipelineType,
+            runId,
+            stage,
+            index,
+            initialInput,
+            stageInput,
+            previousRecord: null,
+            signal: runtimeOptions.signal || null,
+            options: runtimeOptions,
+          }),
+          runtimeOptions,
+        );
+        outputs[index] = createStageRecord({
+          stage,
+          index,
+          input: stageInput,
+          result,
+          startedAt: started,
+          endedAt: Date.now(),
+        });
+        runtimeOptions.onStageComplete?.(outputs[index], index);
+        if (outputs[index].success === false) {
+          errors.push({ stageId: stage.id, stageName: stage.name, error: normalizeError(outputs[index].meta?.error || "Stage returned success=false") });
+        }
+      } catch (error) {
+        const normalized = normalizeError(error);
+        outputs[index] = createStageRecord({
+          stage,
+          index,
+          input: stageInput,
+          result: { output: null, error: normalized.message, success: false },
+          startedAt: started,
+          endedAt: Date.now(),
+          successOverride: false,
+        });
+        errors.push({ stageId: stage.id, stageName: stage.name, error: normalized });
+        runtimeOptions.onStageError?.(normalized, stage, index);
+      }
+    }),
+  );
+
+  return { outputs: outputs.filter(Boolean), errors };
+}
+
+function defaultJudgeCandidates(candidates) {
+  return candidates.map((record) => {
+    const score = Number(record.meta?.score);
+    return { stageIndex: record.stageIndex, score: Number.isFinite(score) ? score : 0 };
+  });
+}
+
+function rankJudgedCandidates(candidates, verdicts) {
+  const known = new Set(candidates.map((record) => record.stageIndex));
+  return (Array.isArray(verdicts) ? verdicts : [])
+    .filter((entry) => entry && known.has(entry.stageIndex) && Number.isFinite(Number(entry.score)))
+    .map((entry) => ({ ...entry, score: Number(entry.score) }))
+    .sort((a, b) => b.score - a.score || a.stageIndex - b.stageIndex);
+}
+
 export function FanoutPipeline(stages, options = {}) {
   return createPipeline("fanout", stages, options, async (normalizedStages, initialInput, runtimeOptions) => {
     const startedAt = Date.now();
     const runId = String(runtimeOptions.runId || randomUUID());
-    const outputs = new Array(normalizedStages.length);
-    const errors = [];
-    const prepareStageInput =
-      typeof runtimeOptions.prepareStageInput === "function"
-        ? runtimeOptions.prepareStageInput
-        : (_previousRecord, seed) => toMinimalDescriptor(seed);
-
-    await Promise.allSettled(
-      normalizedStages.map(async (stage, index) => {
-        const stageInput = prepareStageInput(null, initialInput, stage, index, []);
-        const started = Date.now();
-        try {
-          runtimeOptions.onStageStart?.(stage, stageInput, index);
-          const result = await executeStage(
-            stage,
-            stageInput,
-            createBaseContext({
-              pipelineType: "fanout",
-              runId,
-              stage,
-              index,
-              initialInput,
-              stageInput,
-              previousRecord: null,
-              signal: runtimeOptions.signal || null,
-              options: runtimeOptions,
-            }),
-            runtimeOptions,
-          );
-          outputs[index] = createStageRecord({
-            stage,
-            index,
-            input: stageInput,
-            result,
-            startedAt: started,
-            endedAt: Date.now(),
-          });
-          runtimeOptions.onStageComplete?.(outputs[index], index);
-          if (outputs[index].success === false) {
-            errors.push({ stageId: stage.id, stageName: stage.name, error: normalizeError(outputs[index].meta?.error || "Stage returned success=false") });
-          }
-        } catch (error) {
-          const normalized = normalizeError(error);
-          outputs[index] = createStageRecord({
-            stage,
-            index,
-            input: stageInput,
-            result: { output: null, error: normalized.message, success: false },
-            startedAt: started,
-            endedAt: Date.now(),
-            successOverride: false,
-          });
-          errors.push({ stageId: stage.id, stageName: stage.name, error: normalized });
-          runtimeOptions.onStageError?.(normalized, stage, index);
-        }
-      }),
+    const { outputs, errors } = await runStagesConcurrently(
+      "fanout",
+      normalizedStages,
+      initialInput,
+      runtimeOptions,
+      runId,
     );
 
-    return finalizePipelineResult(
-      "fanout",
-      startedAt,
-      outputs.filter(Boolean),
-      errors,
-      { runId },
+    return finalizePipelineResult("fanout", startedAt, outputs, errors, { runId });
+  });
+}
+
+/**
+ * Run every stage to completion, then let a judge pick the best result.
+ * Unlike RacePipeline the winner is the highest-scored stage, not the first
+ * one to finish.
+ *
+ * `judge(candidates, context)` receives the successful stage records and
+ * returns `[{ stageIndex, score, ... }]`; entries without a finite score are
+ * not eligible to win. The default judge reads a numeric `score` returned by
+ * the stage itself. Ties go to the lower stage index.
+ */
+export function BestOfNPipeline(stages, options = {}) {
+  return createPipeline("best-of-n", stages, options, async (normalizedStages, initialInput, runtimeOptions) => {
+    const startedAt = Date.now();
+    const runId = String(runtimeOptions.runId || randomUUID());
+    const { outputs, errors } = await runStagesConcurrently(
+      "best-of-n",
+      normalizedStages,
+      initialInput,
+      runtimeOptions,
+      runId,
     );
+
+    const candidates = outputs.filter((record) => record.success !== false);
+    const judge =
+      typeof runtimeOptions.judge === "function"
+        ? runtimeOptions.judge
+        : defaultJudgeCandidates;
+    let ranking = [];
+    if (candidates.length > 0) {
+      try {
+        const verdicts = await judge(candidates, {
+          runId,
+          pipelineType: "best-of-n",
+          initialInput: toMinimalDescriptor(initialInput),
+          signal: runtimeOptions.signal || null,
+          options: runtimeOptions,
+        });
+        ranking = rankJudgedCandidates(candidates, verdicts);
+      } catch (error) {
+        errors.push({ stageId: "judge", stageName: "judge", error: normalizeError(error) });
+      }
+    }
+
+    const best = ranking[0] || null;
+    const winnerRecord = best
+      ? candidates.find((record) => record.stageIndex === best.stageIndex)
+      : null;
+    const winner = winnerRecord ? { ...winnerRecord, score: best.score } : null;
+    // Losing attempts are expected here; the run is ok as long as one won.
+    return finalizePipelineResult("best-of-n", startedAt, outputs, errors, {
+      ok: winner !== null,
+      winner,
+      ranking,
+      finalOutput: winner?.output ?? null,
+      runId,
+    });
   });
 }
 
@@ -540,5 +620,6 @@ export default {
   SequentialPipeline,
   FanoutPipeline,
   RacePipeline,
+  BestOfNPipeline,
   toMinimalDescriptor,
 };
@@ -0,0 +1,593 @@
+/**
+ * task-acceptance.mjs — Structured, machine-checkable acceptance criteria.
+ *
+ * A task may declare `acceptanceCriteria` as a list of criteria:
+ *
+ *   { kind: "command", command: "npm test", timeoutMs?: 600000 }
+ *   { kind: "files_changed", pattern: "src/auth/**" }
+ *   { kind: "files_unchanged", pattern: "migrations/**" }
+ *   { kind: "coverage", min: 80, metric?: "lines", summaryPath?: "coverage/coverage-summary.json" }
+ *   { kind: "pr_label", label: "ready-for-review" }
+ *   { kind: "review", text: "Errors are surfaced to the user, not swallowed" }
+ *
+ * Plain strings are treated as `review` criteria, so the free-text lists the
+ * planner already produces keep working. A grouped object
+ * (`{ commands, mustChange, mustNotChange, coverage, prLabels, review }`) is
+ * accepted as shorthand for the same list.
+ *
+ * Evaluation runs every criterion and returns a per-criterion report. The
+ * side-effecting parts (running commands, listing changed files, reading PR
+ * labels, judging free-text criteria) are injectable so callers and tests
+ * can supply their own. evaluateTaskAcceptance() wires the defaults for a
+ * task: its PR labels via gh, and free-text criteria judged by a
+ * validation.model_review runner over an evidence directory.
+ */
+
+import { exec, execFile } from "node:child_process";
+import { createHash } from "node:crypto";
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { resolve } from "node:path";
+
+// ── Constants ────────────────────────────────────────────────────────────────
+
+export const ACCEPTANCE_CRITERION_KINDS = Object.freeze([
+  "command",
+  "files_changed",
+  "files_unchanged",
+  "coverage",
+  "pr_label",
+  "review",
+]);
+
+const KIND_ALIASES = Object.freeze({
+  cmd: "command",
+  run: "command",
+  must_change: "files_changed",
+  mustchange: "files_changed",
+  changed: "files_changed",
+  must_not_change: "files_unchanged",
+  mustnotchange: "files_unchanged",
+  unchanged: "files_unchanged",
+  label: "pr_label",
+  prlabel: "pr_label",
+  text: "review",
+  model_review: "review",
+});
+
+const COVERAGE_METRICS = new Set(["lines", "statements", "functions", "branches"]);
+const DEFAULT_COVERAGE_SUMMARY = "coverage/coverage-summary.json";
+const DEFAULT_COMMAND_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_COMMAND_TIMEOUT_MS = 60 * 60 * 1000;
+const MAX_DETAIL_LENGTH = 2000;
+
+// ── Normalization ────────────────────────────────────────────────────────────
+
+function normalizeKind(raw) {
+  const key = String(raw || "").trim().toLowerCase().replace(/-/g, "_");
+  if (ACCEPTANCE_CRITERION_KINDS.includes(key)) return key;
+  return KIND_ALIASES[key] || KIND_ALIASES[key.replace(/_/g, "")] || null;
+}
+
+function toPositiveInt(value, fallback, max) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed <= 0) return fallback;
+  return Math.min(Math.trunc(parsed), max);
+}
+
+function normalizeCriterion(raw) {
+  if (typeof raw === "string") {
+    const text = raw.trim();
+    return text ? { kind: "review", text } : null;
+  }
+  if (!raw || typeof raw !== "object") return null;
+  const kind = normalizeKind(raw.kind || raw.type);
+  if (!kind) return null;
+  const description = String(raw.description || "").trim() || null;
+  const id = String(raw.id || "").trim() || null;
+  const base = { ...(id ? { id } : {}), kind, ...(description ? { description } : {}) };
+
+  if (kind === "command") {
+    const command = String(raw.command || raw.cmd || raw.run || "").trim();
+    if (!command) return null;
+    return {
+      ...base,
+      command,
+      timeoutMs: toPositiveInt(raw.timeoutMs, DEFAULT_COMMAND_TIMEOUT_MS, MAX_COMMAND_TIMEOUT_MS),
+    };
+  }
+  if (kind === "files_changed" || kind === "files_unchanged") {
+    const pattern = String(raw.pattern || raw.glob || raw.path || "").trim();
+    return pattern ? { ...base, pattern } : null;
+  }
+  if (kind === "coverage") {
+    const min = Number(raw.min ?? raw.threshold);
+    if (!Number.isFinite(min) || min < 0 || min > 100) return null;
+    const metric = String(raw.metric || "lines").trim().toLowerCase();
+    return {
+      ...base,
+      min,
+      metric: COVERAGE_METRICS.has(metric) ? metric : "lines",
+      summaryPath: String(raw.summaryPath || raw.path || DEFAULT_COVERAGE_SUMMARY).trim(),
+    };
+  }
+  if (kind === "pr_label") {
+    const label = String(raw.label || raw.name || "").trim();
+    return label ? { ...base, label } : null;
+  }
+  const text = String(raw.text || raw.criterion || raw.description || "").trim();
+  return text ? { ...base, text } : null;
+}
+
+function expandGroupedCriteria(raw) {
+  const asList = (value) => (Array.isArray(value) ? value : value == null ? [] : [value]);
+  return [
+    ...asList(raw.commands).map((command) =>
+      typeof command === "string" ? { kind: "command", command } : { kind: "command", ...command }),
+    ...asList(raw.mustChange).map((pattern) =>
+      typeof pattern === "string" ? { kind: "files_changed", pattern } : { kind: "files_changed", ...pattern }),
+    ...asList(raw.mustNotChange).map((pattern) =>
+      typeof pattern === "string" ? { kind: "files_unchanged", pattern } : { kind: "files_unchanged", ...pattern }),
+    ...asList(raw.coverage).map((entry) =>
+      typeof entry === "number" ? { kind: "coverage", min: entry } : { kind: "coverage", ...entry }),
+    ...asList(raw.prLabels).map((label) =>
+      typeof label === "string" ? { kind: "pr_label", label } : { kind: "pr_label", ...label }),
+    ...asList(raw.review).map((text) =>
+      typeof text === "string" ? { kind: "review", text } : { kind: "review", ...text }),
+  ];
+}
+
+/**
+ * Normalize any accepted criteria shape into a list of criteria with stable
+ * ids. Entries that cannot be understood are dropped.
+ * @param {unknown} raw
+ * @returns {Array<object>}
+ */
+export function normalizeAcceptanceCriteria(raw) {
+  let entries = [];
+  if (Array.isArray(raw)) entries = raw;
+  else if (typeof raw === "string") entries = [raw];
+  else if (raw && typeof raw === "object") entries = expandGroupedCriteria(raw);
+
+  const criteria = [];
+  const seenIds = new Set();
+  for (const entry of entries) {
+    const criterion = normalizeCriterion(entry);
+    if (!criterion) continue;
+    let id = criterion.id || `${criterion.kind}-${criteria.length + 1}`;
+    while (seenIds.has(id)) id = `${id}-${criteria.length + 1}`;
+    seenIds.add(id);
+    criteria.push({ ...criterion, id });
+  }
+  return criteria;
+}
+
+/**
+ * Short hash of the normalized criteria, recorded on every report so a
+ * report produced for an older criteria list is recognisably stale.
+ * @param {unknown} criteria
+ * @returns {string|null}
+ */
+export function fingerprintAcceptanceCriteria(criteria) {
+  const normalized = normalizeAcceptanceCriteria(criteria);
+  if (normalized.length === 0) return null;
+  return createHash("sha256").update(JSON.stringify(normalized)).digest("hex").slice(0, 16);
+}
+
+/**
+ * Human-readable one-liner for a criterion.
+ * @param {object} criterion
+ * @returns {string}
+ */
+export function describeAcceptanceCriterion(criterion) {
+  if (criterion?.description) return criterion.description;
+  switch (criterion?.kind) {
+    case "command":
+      return `\`${criterion.command}\` exits with code 0`;
+    case "files_changed":
+      return `At least one file matching \`${criterion.pattern}\` is changed`;
+    case "files_unchanged":
+      return `No file matching \`${criterion.pattern}\` is changed`;
+    case "coverage":
+      return `${criterion.metric} coverage is at least ${criterion.min}% (${criterion.summaryPath})`;
+    case "pr_label":
+      return `The pull request carries the \`${criterion.label}\` label`;
+    default:
+      return String(criterion?.text || "");
+  }
+}
+
+/**
+ * Render the criteria as a prompt section for the agent.
+ * @param {unknown} criteria
+ * @returns {string} Empty when there are no criteria.
+ */
+export function formatAcceptanceCriteriaPrompt(criteria) {
+  const normalized = normalizeAcceptanceCriteria(criteria);
+  if (normalized.length === 0) return "";
+  const lines = [
+    "## Acceptance Criteria",
+    "This task is only accepted when every criterion below holds. They are checked automatically before the task can be completed.",
+    "",
+  ];
+  for (const criterion of normalized) {
+    lines.push(`- [${criterion.kind}] ${describeAcceptanceCriterion(criterion)}`);
+  }
+  return lines.join("\n");
+}
+
+// ── Glob matching ────────────────────────────────────────────────────────────
+
+/**
+ * Compile a glob (`*`, `**`, `?`, `{a,b}`) into a RegExp matched against
+ * repo-relative POSIX paths. A pattern without a slash matches basenames
+ * anywhere in the tree, like .gitignore.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  let glob = String(pattern || "").trim().replace(/\\/g, "/").replace(/^\.\//, "");
+  if (!glob.includes("/")) glob = `**/${glob}`;
+  if (glob.endsWith("/")) glob += "**";
+  let source = "";
+  let braceDepth = 0;
+  for (let i = 0; i < glob.length; i += 1) {
+    const char = glob[i];
+    if (char === "*") {
+      if (glob[i + 1] === "*") {
+        const atSegmentStart = i === 0 || glob[i - 1] === "/";
+        i += 1;
+        if (glob[i + 1] === "/" && atSegmentStart) {
+          i += 1;
+          source += "(?:.*/)?";
+        } else {
+          source += ".*";
+        }
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "{") {
+      braceDepth += 1;
+      source += "(?:";
+    } else if (char === "}" && braceDepth > 0) {
+      braceDepth -= 1;
+      source += ")";
+    } else if (char === "," && braceDepth > 0) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// ── Default evaluation hooks ─────────────────────────────────────────────────
+
+// Callback wrappers instead of util.promisify: the hidden-window and test
+// guards replace child_process.exec/execFile, which drops the custom promisify
+// that resolves { stdout, stderr }.
+function execAsync(command, options) {
+  return new Promise((resolvePromise, reject) => {
+    exec(command, options, (err, stdout, stderr) => {
+      if (err) reject(Object.assign(err, { stdout, stderr }));
+      else resolvePromise({ stdout, stderr });
+    });
+  });
+}
+
+function execFileAsync(file, args, options) {
+  return new Promise((resolvePromise, reject) => {
+    execFile(file, args, options, (err, stdout, stderr) => {
+      if (err) reject(Object.assign(err, { stdout, stderr }));
+      else resolvePromise({ stdout, stderr });
+    });
+  });
+}
+
+async function defaultRunCommand(command, { cwd, timeoutMs }) {
+  try {
+    const { stdout, stderr } = await execAsync(command, {
+      cwd,
+      timeout: timeoutMs,
+      maxBuffer: 16 * 1024 * 1024,
+      env: { ...process.env, CI: process.env.CI || "1" },
+    });
+    return { exitCode: 0, output: `${stdout || ""}${stderr || ""}` };
+  } catch (err) {
+    const exitCode = Number.isInteger(err?.code) ? err.code : 1;
+    const output = `${err?.stdout || ""}${err?.stderr || ""}` || String(err?.message || err);
+    return { exitCode, output, timedOut: err?.killed === true };
+  }
+}
+
+async function gitLines(cwd, args) {
+  const { stdout } = await execFileAsync("git", args, { cwd, maxBuffer: 16 * 1024 * 1024 });
+  return String(stdout || "").split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+}
+
+/**
+ * Files changed on the current branch relative to `baseRef`, plus any
+ * uncommitted changes in the working tree.
+ * @param {string} cwd
+ * @param {string} [baseRef]
+ * @returns {Promise<string[]>}
+ */
+export async function listChangedFiles(cwd, baseRef) {
+  const files = new Set();
+  const base = String(baseRef || "").trim();
+  if (base) {
+    let committed = null;
+    for (const ref of [base, `origin/${base}`]) {
+      try {
+        committed = await gitLines(cwd, ["diff", "--name-only", `${ref}...HEAD`]);
+        break;
+      } catch {
+        // Try the remote-tracking ref next.
+      }
+    }
+    for (const file of committed || []) files.add(file);
+  }
+  const status = await gitLines(cwd, ["status", "--porcelain", "--untracked-files=all"]);
+  for (const line of status) {
+    const path = line.slice(3).split(" -> ").pop();
+    if (path) files.add(path.replace(/^"|"$/g, ""));
+  }
+  return [...files].sort();
+}
+
+function truncateDetail(text) {
+  const value = String(text || "").trim();
+  if (value.length <= MAX_DETAIL_LENGTH) return value;
+  return `…${value.slice(-MAX_DETAIL_LENGTH)}`;
+}
+
+// ── Evaluation ───────────────────────────────────────────────────────────────
+
+/**
+ * Evaluate every criterion and build a per-criterion report.
+ *
+ * @param {unknown} criteria
+ * @param {object} [ctx]
+ * @param {string} [ctx.cwd] - Worktree the checks run in.
+ * @param {string} [ctx.baseRef] - Branch the change set is diffed against.
+ * @param {string[]} [ctx.changedFiles] - Skip git and use this list.
+ * @param {string[]} [ctx.prLabels] - Labels on the task's pull request.
+ * @param {() => Promise<string[]|null>} [ctx.getPrLabels]
+ * @param {(command: string, opts: object) => Promise<{exitCode: number, output?: string}>} [ctx.runCommand]
+ * @param {(input: {criteria: object[], results: object[]}) => Promise<{passed: boolean, output?: string, reason?: string}>} [ctx.judgeReview]
+ * @returns {Promise<{passed: boolean, evaluatedAt: string, fingerprint: string|null, results: object[]}>}
+ */
+export async function evaluateAcceptanceCriteria(criteria, ctx = {}) {
+  const normalized = normalizeAcceptanceCriteria(criteria);
+  const cwd = ctx.cwd || process.cwd();
+  const runCommand = typeof ctx.runCommand === "function" ? ctx.runCommand : defaultRunCommand;
+
+  let changedFilesPromise = null;
+  const getChangedFiles = () => {
+    if (!changedFilesPromise) {
+      changedFilesPromise = Array.isArray(ctx.changedFiles)
+        ? Promise.resolve(ctx.changedFiles.map((file) => String(file).replace(/\\/g, "/")))
+        : listChangedFiles(cwd, ctx.baseRef);
+    }
+    return changedFilesPromise;
+  };
+  let prLabelsPromise = null;
+  const getPrLabels = () => {
+    if (!prLabelsPromise) {
+      prLabelsPromise = Array.isArray(ctx.prLabels)
+        ? Promise.resolve(ctx.prLabels)
+        : typeof ctx.getPrLabels === "function"
+          ? Promise.resolve(ctx.getPrLabels())
+          : Promise.resolve(null);
+    }
+    return prLabelsPromise;
+  };
+
+  const checkCriterion = async (criterion) => {
+    switch (criterion.kind) {
+      case "command": {
+        const result = await runCommand(criterion.command, { cwd, timeoutMs: criterion.timeoutMs });
+        const exitCode = Number(result?.exitCode ?? 1);
+        const status = result?.timedOut ? `timed out after ${criterion.timeoutMs}ms` : `exit code ${exitCode}`;
+        return {
+          passed: exitCode === 0 && !result?.timedOut,
+          detail: truncateDetail(`${status}\n${result?.output || ""}`),
+        };
+      }
+      case "files_changed":
+      case "files_unchanged": {
+        const matcher = globToRegExp(criterion.pattern);
+        const matched = (await getChangedFiles()).filter((file) => matcher.test(file));
+        if (criterion.kind === "files_changed") {
+          return {
+            passed: matched.length > 0,
+            detail: matched.length > 0 ? `changed: ${matched.join(", ")}` : "no matching file changed",
+          };
+        }
+        return {
+          passed: matched.length === 0,
+          detail: matched.length > 0 ? `unexpected changes: ${matched.join(", ")}` : "no matching file changed",
+        };
+      }
+      case "coverage": {
+        const summary = JSON.parse(await readFile(resolve(cwd, criterion.summaryPath), "utf8"));
+        const pct = Number(summary?.total?.[criterion.metric]?.pct);
+        if (!Number.isFinite(pct)) {
+          return { passed: false, detail: `no total.${criterion.metric}.pct in ${criterion.summaryPath}` };
+        }
+        return { passed: pct >= criterion.min, detail: `${criterion.metric} coverage ${pct}% (min ${criterion.min}%)` };
+      }
+      case "pr_label": {
+        const labels = await getPrLabels();
+        if (!Array.isArray(labels)) return { passed: false, detail: "pull request labels unavailable" };
+        const wanted = criterion.label.toLowerCase();
+        const passed = labels.some((label) => String(label).toLowerCase() === wanted);
+        return { passed, detail: `labels: ${labels.join(", ") || "(none)"}` };
+      }
+      default:
+        return null;
+    }
+  };
+
+  const results = [];
+  for (const criterion of normalized) {
+    if (criterion.kind === "review") continue;
+    let outcome;
+    try {
+      outcome = await checkCriterion(criterion);
+    } catch (err) {
+      outcome = { passed: false, detail: `check failed: ${err?.message || err}` };
+    }
+    results.push({
+      id: criterion.id,
+      kind: criterion.kind,
+      description: describeAcceptanceCriterion(criterion),
+      passed: outcome.passed === true,
+      detail: outcome.detail || null,
+    });
+  }
+
+  // Free-text criteria are judged together so the reviewer sees the whole
+  // picture, including how the mechanical checks went.
+  const reviewCriteria = normalized.filter((criterion) => criterion.kind === "review");
+  if (reviewCriteria.length > 0) {
+    let verdict;
+    if (typeof ctx.judgeReview !== "function") {
+      verdict = { passed: false, detail: "manual review required: no reviewer configured" };
+    } else {
+      try {
+        const judged = await ctx.judgeReview({ criteria: reviewCriteria, results: [...results] });
+        verdict = {
+          passed: judged?.passed === true,
+          detail: truncateDetail(judged?.output || judged?.reason || ""),
+        };
+      } catch (err) {
+        verdict = { passed: false, detail: `review failed: ${err?.message || err}` };
+      }
+    }
+    for (const criterion of reviewCriteria) {
+      results.push({
+        id: criterion.id,
+        kind: "review",
+        description: describeAcceptanceCriterion(criterion),
+        passed: verdict.passed,
+        detail: verdict.detail || null,
+      });
+    }
+  }
+
+  const order = new Map(normalized.map((criterion, index) => [criterion.id, index]));
+  results.sort((a, b) => order.get(a.id) - order.get(b.id));
+  return {
+    passed: results.length > 0 && results.every((result) => result.passed),
+    evaluatedAt: new Date().toISOString(),
+    fingerprint: fingerprintAcceptanceCriteria(normalized),
+    results,
+  };
+}
+
+// ── Task evaluation ──────────────────────────────────────────────────────────
+
+/**
+ * Labels on the task's pull request, via the GitHub CLI.
+ * @param {object} task
+ * @param {string} cwd
+ * @returns {Promise<string[]|null>} null when the task has no PR or gh is unavailable.
+ */
+export async function readTaskPrLabels(task, cwd) {
+  const prRef = task?.prNumber ? String(task.prNumber) : String(task?.prUrl || "").trim();
+  if (!prRef) return null;
+  try {
+    const { stdout } = await execFileAsync(
+      "gh",
+      ["pr", "view", prRef, "--json", "labels", "--jq", ".labels[].name"],
+      { cwd, timeout: 30_000 },
+    );
+    return String(stdout || "").split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Write the evidence a reviewer judges free-text criteria from: the
+ * mechanical check results and the branch diff.
+ * @param {object} task
+ * @param {object[]} results - Mechanical check results so far.
+ * @param {{ cwd: string, baseBranch: string }} options
+ * @returns {Promise<string>} The evidence directory.
+ */
+export async function writeAcceptanceEvidence(task, results, { cwd, baseBranch }) {
+  const safeId = String(task.id).replace(/[^a-zA-Z0-9_-]/g, "_");
+  const evidenceDir = resolve(cwd, ".bosun", "evidence", `acceptance-${safeId}`);
+  await mkdir(evidenceDir, { recursive: true });
+  const checkLines = results.length > 0
+    ? results.map((result) => `- [${result.passed ? "PASS" : "FAIL"}] ${result.description}${result.detail ? `\n  ${result.detail.split("\n")[0]}` : ""}`)
+    : ["- (no automated checks)"];
+  await writeFile(
+    resolve(evidenceDir, "acceptance-checks.md"),
+    `# Automated acceptance checks\n\n${checkLines.join("\n")}\n`,
+    "utf8",
+  );
+  try {
+    const { stdout } = await execFileAsync("git", ["diff", `${baseBranch}...HEAD`], {
+      cwd,
+      timeout: 60_000,
+      maxBuffer: 32 * 1024 * 1024,
+    });
+    if (stdout) await writeFile(resolve(evidenceDir, "diff.patch"), stdout.slice(0, 200_000), "utf8");
+  } catch {
+    // The reviewer still has the check results.
+  }
+  return evidenceDir;
+}
+
+/**
+ * Evaluate a task's acceptance criteria in a worktree.
+ *
+ * Free-text criteria are handed to `options.modelReview` with a
+ * validation.model_review node config; without one they need manual review.
+ *
+ * @param {object} task
+ * @param {object} [options]
+ * @param {string} [options.cwd]
+ * @param {string} [options.baseBranch]
+ * @param {string[]} [options.changedFiles]
+ * @param {Function} [options.runCommand]
+ * @param {() => Promise<string[]|null>} [options.getPrLabels]
+ * @param {Function} [options.judgeReview] - Replaces the model review entirely.
+ * @param {(config: object) => Promise<{passed?: boolean, reviewOutput?: string, reason?: string}>} [options.modelReview]
+ * @returns {Promise<object|null>} The report, or null when the task declares no criteria.
+ */
+export async function evaluateTaskAcceptance(task, options = {}) {
+  const criteria = normalizeAcceptanceCriteria(task?.acceptanceCriteria);
+  if (criteria.length === 0) return null;
+  const cwd = resolve(options.cwd || process.cwd());
+  const baseBranch = String(options.baseBranch || "main").trim();
+  let judgeReview = options.judgeReview;
+  if (typeof judgeReview !== "function" && typeof options.modelReview === "function") {
+    judgeReview = async ({ criteria: reviewCriteria, results }) => {
+      const evidenceDir = await writeAcceptanceEvidence(task, results, { cwd, baseBranch });
+      const output = await options.modelReview({
+        evidenceDir,
+        originalTask: [task.title, task.description].filter(Boolean).join("\n\n"),
+        criteria: reviewCriteria.map((criterion) => `- ${criterion.text}`).join("\n"),
+        strictMode: true,
+      });
+      return {
+        passed: output?.passed === true,
+        output: output?.reviewOutput || "",
+        reason: output?.reason || null,
+      };
+    };
+  }
+  return evaluateAcceptanceCriteria(criteria, {
+    cwd,
+    baseRef: baseBranch,
+    changedFiles: options.changedFiles,
+    runCommand: options.runCommand,
+    getPrLabels: options.getPrLabels || (() => readTaskPrLabels(task, cwd)),
+    judgeReview,
+  });
+}
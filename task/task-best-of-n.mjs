@@ -0,0 +1,507 @@
+/**
+ * task-best-of-n.mjs — Best-of-N parallel attempts with an automated judge.
+ *
+ * For hard tasks the executor can launch N attempts side by side, each in its
+ * own worktree and optionally on a different executor/model. Every candidate
+ * diff is then scored:
+ *
+ *   - each configured validation gate (tests, build, lint) adds its weight
+ *     when it passes in the candidate's worktree;
+ *   - a model-review comparison of all eligible candidates adds
+ *     `reviewWeight` to the one it names best.
+ *
+ * Attempts that fail or leave no diff are not eligible. The winner is checked
+ * against the task's acceptance criteria in its worktree, then is the only
+ * candidate turned into a PR and keeps its worktree for it; every other
+ * worktree (and the winner's, when no PR was opened) is reaped. The result carries
+ * enough detail for `formatBestOfNReport` to render the comparison report.
+ *
+ * Running agents, acquiring worktrees, running gates, comparing candidates,
+ * evaluating the winner and opening the PR are all injected, so callers and tests supply their own.
+ */
+
+import { BestOfNPipeline } from "./pipeline.mjs";
+import { formatAcceptanceCriteriaPrompt } from "./task-acceptance.mjs";
+import { classifyTaskComplexity } from "./task-complexity.mjs";
+
+const TAG = "[best-of-n]";
+
+// ── Config ───────────────────────────────────────────────────────────────────
+
+export const BEST_OF_N_GATES = Object.freeze(["tests", "build", "lint"]);
+
+export const DEFAULT_BEST_OF_N_CONFIG = Object.freeze({
+  enabled: false,
+  attempts: 3,
+  executors: Object.freeze([]),
+  complexityTiers: Object.freeze([]),
+  gates: Object.freeze({
+    tests: Object.freeze({ command: "npm test", weight: 40, timeoutMs: 600_000 }),
+    build: Object.freeze({ command: "npm run build", weight: 30, timeoutMs: 600_000 }),
+    lint: Object.freeze({ command: "npm run lint", weight: 10, timeoutMs: 300_000 }),
+  }),
+  modelReview: true,
+  reviewWeight: 20,
+  attemptTimeoutMs: 0,
+});
+
+const MIN_ATTEMPTS = 2;
+const MAX_ATTEMPTS = 8;
+const BEST_OF_N_TAGS = new Set(["best-of-n", "best_of_n", "bestofn"]);
+const MAX_REPORT_REVIEW_CHARS = 4000;
+
+function toNonNegativeNumber(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function clampAttempts(value, fallback) {
+  const parsed = Math.trunc(Number(value));
+  if (!Number.isFinite(parsed) || parsed <= 0) return fallback;
+  return Math.min(Math.max(parsed, MIN_ATTEMPTS), MAX_ATTEMPTS);
+}
+
+function normalizeExecutorEntry(entry) {
+  if (typeof entry === "string") {
+    const [sdk, model] = entry.split(":").map((part) => part.trim());
+    return sdk ? { sdk, model: model || null } : null;
+  }
+  if (!entry || typeof entry !== "object") return null;
+  const sdk = String(entry.sdk || entry.executor || "").trim();
+  if (!sdk) return null;
+  return { sdk, model: String(entry.model || "").trim() || null };
+}
+
+function normalizeGate(raw, defaults) {
+  if (raw === false || raw === null) return null;
+  const source = typeof raw === "string" ? { command: raw } : raw && typeof raw === "object" ? raw : {};
+  const command = String(source.command ?? defaults.command).trim();
+  if (!command) return null;
+  return {
+    command,
+    weight: toNonNegativeNumber(source.weight, defaults.weight),
+    timeoutMs: toNonNegativeNumber(source.timeoutMs, defaults.timeoutMs) || defaults.timeoutMs,
+  };
+}
+
+/**
+ * Merge a raw `internalExecutor.bestOfN` block over the defaults.
+ * A gate set to `false` (or an empty command) is skipped.
+ * @param {object} [raw]
+ * @returns {object}
+ */
+export function normalizeBestOfNConfig(raw = {}) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const defaults = DEFAULT_BEST_OF_N_CONFIG;
+  const rawGates = source.gates && typeof source.gates === "object" ? source.gates : {};
+  const gates = {};
+  for (const name of BEST_OF_N_GATES) {
+    const gate = normalizeGate(rawGates[name], defaults.gates[name]);
+    if (gate) gates[name] = gate;
+  }
+  const tiers = Array.isArray(source.complexityTiers) ? source.complexityTiers : defaults.complexityTiers;
+  return {
+    enabled: source.enabled === true,
+    attempts: clampAttempts(source.attempts, defaults.attempts),
+    executors: (Array.isArray(source.executors) ? source.executors : [])
+      .map(normalizeExecutorEntry)
+      .filter(Boolean),
+    complexityTiers: tiers.map((tier) => String(tier).trim().toLowerCase()).filter(Boolean),
+    gates,
+    modelReview: source.modelReview !== false,
+    reviewWeight: toNonNegativeNumber(source.reviewWeight, defaults.reviewWeight),
+    attemptTimeoutMs: toNonNegativeNumber(source.attemptTimeoutMs, defaults.attemptTimeoutMs),
+  };
+}
+
+function readTaskOptIn(task) {
+  const flag = task?.meta?.bestOfN ?? task?.bestOfN;
+  if (flag === false) return false;
+  if (flag === true || typeof flag === "number" || (flag && typeof flag === "object")) return true;
+  const tags = [
+    ...(Array.isArray(task?.tags) ? task.tags : []),
+    ...(Array.isArray(task?.labels) ? task.labels : []),
+  ];
+  return tags.some((tag) => BEST_OF_N_TAGS.has(String(tag?.name ?? tag).trim().toLowerCase())) || null;
+}
+
+/**
+ * Whether a task should run as best-of-N. Requires `enabled`; the task then
+ * opts in with `meta.bestOfN` or a `best-of-n` tag, or qualifies through
+ * `complexityTiers`. `meta.bestOfN: false` always opts out.
+ * @param {object} task
+ * @param {object} [config] - Normalized or raw bestOfN config.
+ * @returns {boolean}
+ */
+export function shouldRunBestOfN(task, config = {}) {
+  const normalized = normalizeBestOfNConfig(config);
+  if (!normalized.enabled || !task) return false;
+  const optIn = readTaskOptIn(task);
+  if (optIn !== null) return optIn;
+  if (normalized.complexityTiers.length === 0) return false;
+  return normalized.complexityTiers.includes(classifyTaskComplexity(task).tier);
+}
+
+/**
+ * Lay out the attempts for a task: `attempts` candidates (a numeric
+ * `meta.bestOfN` overrides the count), cycling through `executors` or, when
+ * none are configured, all on the baseline executor.
+ * @param {object} task
+ * @param {object} config - Normalized bestOfN config.
+ * @param {{ branch: string, baseline?: { sdk?: string, model?: string } }} options
+ * @returns {object[]}
+ */
+export function planBestOfNCandidates(task, config, { branch, baseline = {} }) {
+  const override = task?.meta?.bestOfN ?? task?.bestOfN;
+  const requested = typeof override === "number" ? override : override?.attempts;
+  const count = clampAttempts(requested, config.attempts);
+  const executors = config.executors.length > 0
+    ? config.executors
+    : [{ sdk: baseline.sdk || "auto", model: baseline.model || null }];
+  return Array.from({ length: count }, (_, offset) => {
+    const index = offset + 1;
+    const executor = executors[offset % executors.length];
+    return {
+      id: `candidate-${index}`,
+      index,
+      sdk: executor.sdk,
+      model: executor.model,
+      branch: `${branch}-try${index}`,
+      taskKey: `${task.id}#try${index}`,
+      worktreePath: null,
+    };
+  });
+}
+
+// ── Prompts ──────────────────────────────────────────────────────────────────
+
+/**
+ * Prompt for one attempt. Attempts never see each other's work.
+ * @param {object} task
+ * @param {object} candidate
+ * @returns {string}
+ */
+export function buildBestOfNAttemptPrompt(task, candidate) {
+  return [
+    `# Task: ${task.title || task.id}`,
+    task.description ? String(task.description).trim() : "",
+    formatAcceptanceCriteriaPrompt(task.acceptanceCriteria),
+    "## Instructions",
+    [
+      `You are working in an isolated worktree on branch \`${candidate.branch}\`.`,
+      "Implement the task completely, run the relevant checks, and commit your changes on this branch.",
+      "Do not push and do not open a pull request; that happens after review.",
+    ].join("\n"),
+  ].filter(Boolean).join("\n\n");
+}
+
+/**
+ * Review criteria asking the model to compare candidates and name the best.
+ * @param {object[]} candidates - Eligible candidates with gate results.
+ * @returns {string}
+ */
+export function buildBestOfNComparisonCriteria(candidates) {
+  const lines = candidates.map((candidate) => {
+    const gates = Object.entries(candidate.gates || {})
+      .map(([name, gate]) => `${name} ${gate.passed ? "passed" : "failed"}`)
+      .join(", ");
+    return `- ${candidate.id} (${formatExecutor(candidate)}): ${candidate.id}.patch${gates ? `; ${gates}` : ""}`;
+  });
+  return [
+    "The evidence holds competing implementations of the same task, one patch per candidate:",
+    ...lines,
+    "",
+    "Compare them for correctness, completeness, and code quality, judging the patches themselves rather than their size.",
+    "After your verdict, end with exactly one line `BEST: <candidate id>` naming the candidate that should be merged.",
+  ].join("\n");
+}
+
+/**
+ * Extract the `BEST: candidate-N` pick from a review.
+ * @param {string} output
+ * @param {string[]} candidateIds
+ * @returns {string|null}
+ */
+export function parseBestOfNReviewPick(output, candidateIds) {
+  const matches = [...String(output || "").matchAll(/\bBEST\s*:\s*\**\s*(candidate-\d+)/gi)];
+  const pick = matches.at(-1)?.[1]?.toLowerCase() || null;
+  return pick && candidateIds.includes(pick) ? pick : null;
+}
+
+// ── Scoring ──────────────────────────────────────────────────────────────────
+
+/**
+ * Score a candidate: the weights of the gates it passed plus `reviewWeight`
+ * when the comparison picked it. Ineligible candidates score null.
+ * @param {object} candidate
+ * @param {object} config - Normalized bestOfN config.
+ * @returns {number|null}
+ */
+export function scoreBestOfNCandidate(candidate, config) {
+  if (!candidate?.eligible) return null;
+  let score = 0;
+  for (const [name, gate] of Object.entries(config.gates)) {
+    if (candidate.gates?.[name]?.passed) score += gate.weight;
+  }
+  if (candidate.reviewPick) score += config.reviewWeight;
+  return score;
+}
+
+// ── Orchestration ────────────────────────────────────────────────────────────
+
+function formatExecutor(candidate) {
+  return candidate.model ? `${candidate.sdk}/${candidate.model}` : String(candidate.sdk || "auto");
+}
+
+function summarizeDiff(diff) {
+  return {
+    files: Number(diff?.totalFiles) || 0,
+    additions: Number(diff?.totalAdditions) || 0,
+    deletions: Number(diff?.totalDeletions) || 0,
+  };
+}
+
+async function runCandidateGates(candidate, config, runGate) {
+  candidate.gates = {};
+  for (const [name, gate] of Object.entries(config.gates)) {
+    try {
+      const result = await runGate(name, gate, candidate);
+      candidate.gates[name] = {
+        passed: result?.passed === true,
+        ...(result?.exitCode != null ? { exitCode: result.exitCode } : {}),
+      };
+    } catch (err) {
+      candidate.gates[name] = { passed: false, error: err?.message || String(err) };
+    }
+  }
+}
+
+/**
+ * Run every attempt, judge the candidates, open a PR for the winner and reap
+ * the rest.
+ * @param {object} task
+ * @param {object} ctx
+ * @param {object} [ctx.config] - bestOfN config (normalized here).
+ * @param {string} ctx.branch - Task branch; candidates branch off it as `<branch>-tryN`.
+ * @param {{ sdk?: string, model?: string }} [ctx.baseline] - Executor used when no executors are configured.
+ * @param {(candidate: object) => Promise<{ path: string }>} ctx.acquireWorktree
+ * @param {(candidate: object) => Promise<unknown>} ctx.releaseWorktree
+ * @param {(candidate: object, opts: { signal: AbortSignal|null }) => Promise<{ success: boolean, error?: string }>} ctx.runAttempt
+ * @param {(candidate: object) => Promise<object>} ctx.collectDiff - Resolves to git/diff-stats DiffStats.
+ * @param {(name: string, gate: object, candidate: object) => Promise<{ passed: boolean }>} ctx.runGate
+ * @param {(candidates: object[]) => Promise<{ pick: string|null, output?: string }>} [ctx.compareCandidates]
+ * @param {(winner: object) => Promise<{ passed: boolean, results: object[] }|null>} [ctx.evaluateWinner] - Acceptance report for the winner.
+ * @param {(winner: object) => Promise<object>} [ctx.createPr]
+ * @param {AbortSignal} [ctx.signal]
+ * @returns {Promise<object>}
+ */
+export async function runBestOfNAttempts(task, ctx = {}) {
+  const config = normalizeBestOfNConfig(ctx.config);
+  const candidates = planBestOfNCandidates(task, config, { branch: ctx.branch, baseline: ctx.baseline });
+  const startedAt = new Date().toISOString();
+  console.log(
+    `${TAG} "${task.title || task.id}": ${candidates.length} attempts on ${candidates.map(formatExecutor).join(", ")}`,
+  );
+
+  const stages = candidates.map((candidate) => ({
+    id: candidate.id,
+    name: candidate.id,
+    async run(_input, context) {
+      const worktree = await ctx.acquireWorktree(candidate);
+      candidate.worktreePath = worktree?.path || null;
+      if (!candidate.worktreePath) throw new Error(`no worktree for ${candidate.branch}`);
+      const attempt = await ctx.runAttempt(candidate, { signal: context.signal });
+      candidate.attempt = {
+        success: attempt?.success === true,
+        error: attempt?.error || null,
+        tokensUsed: Number(attempt?.tokensUsed) || 0,
+      };
+      candidate.diff = summarizeDiff(await ctx.collectDiff(candidate));
+      candidate.eligible = candidate.attempt.success && candidate.diff.files > 0;
+      if (!candidate.eligible) {
+        const reason = candidate.attempt.success ? "attempt produced no changes" : candidate.attempt.error || "attempt failed";
+        return { success: false, error: reason, output: { candidateId: candidate.id } };
+      }
+      return { success: true, output: { candidateId: candidate.id }, tokensUsed: candidate.attempt.tokensUsed };
+    },
+  }));
+
+  let review = null;
+  const pipeline = BestOfNPipeline(stages, { id: `${task.id}-best-of-n` });
+  const outcome = await pipeline.run({ taskId: task.id, title: task.title }, {
+    signal: ctx.signal || null,
+    async judge(records) {
+      const eligible = records.map((record) => candidates[record.stageIndex]);
+      for (const candidate of eligible) {
+        await runCandidateGates(candidate, config, ctx.runGate);
+      }
+      if (config.modelReview && eligible.length > 1 && typeof ctx.compareCandidates === "function") {
+        try {
+          const compared = await ctx.compareCandidates(eligible);
+          const pick = eligible.some((candidate) => candidate.id === compared?.pick) ? compared.pick : null;
+          review = { pick, output: String(compared?.output || "") };
+        } catch (err) {
+          review = { pick: null, output: "", error: err?.message || String(err) };
+        }
+        for (const candidate of eligible) candidate.reviewPick = candidate.id === review.pick;
+      }
+      return records.map((record) => ({
+        stageIndex: record.stageIndex,
+        score: scoreBestOfNCandidate(candidates[record.stageIndex], config),
+      }));
+    },
+  });
+
+  for (const record of outcome.outputs) {
+    const candidate = candidates[record.stageIndex];
+    candidate.eligible = candidate.eligible === true;
+    candidate.score = scoreBestOfNCandidate(candidate, config);
+    if (!record.success) candidate.error = record.meta?.error || candidate.attempt?.error || null;
+  }
+  const winner = outcome.winner ? candidates[outcome.winner.stageIndex] : null;
+
+  let acceptance = null;
+  if (winner && typeof ctx.evaluateWinner === "function") {
+    try {
+      acceptance = (await ctx.evaluateWinner(winner)) || null;
+    } catch (err) {
+      console.warn(`${TAG} acceptance criteria for ${winner.id} could not be evaluated: ${err?.message || err}`);
+    }
+  }
+
+  let pr = null;
+  if (winner && typeof ctx.createPr === "function") {
+    try {
+      pr = await ctx.createPr(winner);
+    } catch (err) {
+      pr = { success: false, error: err?.message || String(err) };
+    }
+  }
+
+  // The winner's worktree stays only while its PR needs it; otherwise its
+  // committed branch is what gets handed on.
+  const handedOff = Boolean(pr && pr.success !== false && (pr.prUrl || pr.prNumber));
+  const reaped = [];
+  for (const candidate of candidates) {
+    if ((candidate === winner && handedOff) || !candidate.worktreePath) continue;
+    try {
+      await ctx.releaseWorktree(candidate);
+      reaped.push(candidate.id);
+    } catch (err) {
+      console.warn(`${TAG} failed to reap ${candidate.id} (${candidate.worktreePath}): ${err?.message || err}`);
+    }
+  }
+
+  console.log(
+    `${TAG} "${task.title || task.id}": ` +
+      (winner ? `winner ${winner.id} (${formatExecutor(winner)}) score=${winner.score}` : "no eligible candidate") +
+      `, reaped ${reaped.length}`,
+  );
+  return {
+    taskId: task.id,
+    runId: outcome.runId,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    winner: winner?.id || null,
+    candidates: candidates.map((candidate) => ({
+      id: candidate.id,
+      sdk: candidate.sdk,
+      model: candidate.model,
+      branch: candidate.branch,
+      worktreePath: candidate.worktreePath,
+      eligible: candidate.eligible === true,
+      attempt: candidate.attempt || null,
+      diff: candidate.diff || null,
+      gates: candidate.gates || {},
+      reviewPick: candidate.reviewPick === true,
+      score: candidate.score ?? null,
+      error: candidate.error || null,
+    })),
+    ranking: outcome.ranking.map((entry) => ({ id: candidates[entry.stageIndex].id, score: entry.score })),
+    review,
+    acceptance,
+    pr,
+    reaped,
+  };
+}
+
+// ── Report ───────────────────────────────────────────────────────────────────
+
+/**
+ * Render a best-of-N result as a markdown comparison report.
+ * @param {object} task
+ * @param {object} result - Return value of runBestOfNAttempts.
+ * @returns {string}
+ */
+export function formatBestOfNReport(task, result) {
+  const winner = result.candidates.find((candidate) => candidate.id === result.winner) || null;
+  const gateNames = BEST_OF_N_GATES.filter((name) =>
+    result.candidates.some((candidate) => candidate.gates?.[name]));
+  const header = ["Candidate", "Executor", "Attempt", "Diff", ...gateNames, "Review", "Score"];
+  const rows = result.candidates.map((candidate) => {
+    const attempt = !candidate.attempt
+      ? "not run"
+      : candidate.attempt.success ? "ok" : "failed";
+    const diff = candidate.diff
+      ? `${candidate.diff.files} files +${candidate.diff.additions}/-${candidate.diff.deletions}`
+      : "—";
+    const gates = gateNames.map((name) => {
+      const gate = candidate.gates?.[name];
+      return gate ? (gate.passed ? "pass" : "FAIL") : "—";
+    });
+    return [
+      candidate.id === result.winner ? `**${candidate.id}**` : candidate.id,
+      formatExecutor(candidate),
+      attempt,
+      diff,
+      ...gates,
+      candidate.reviewPick ? "best" : "—",
+      candidate.score ?? "ineligible",
+    ];
+  });
+
+  const lines = [
+    `# Best-of-N comparison: ${task.title || task.id}`,
+    "",
+    winner
+      ? `Winner: **${winner.id}** (${formatExecutor(winner)}) on \`${winner.branch}\`, score ${winner.score}.`
+      : "No candidate was eligible; nothing was submitted.",
+  ];
+  if (result.acceptance) {
+    const failed = result.acceptance.results.filter((entry) => !entry.passed);
+    lines.push(result.acceptance.passed
+      ? `Acceptance criteria: all ${result.acceptance.results.length} passed.`
+      : `Acceptance criteria: ${failed.length} of ${result.acceptance.results.length} failed (${failed.map((entry) => entry.description || entry.id).join("; ")}).`);
+  }
+  if (result.pr?.prUrl) lines.push(`Pull request: ${result.pr.prUrl}`);
+  else if (result.pr?.error) lines.push(`Pull request failed: ${result.pr.error}`);
+  lines.push(
+    "",
+    `| ${header.join(" | ")} |`,
+    `| ${header.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${row.join(" | ")} |`),
+  );
+
+  const failures = result.candidates.filter((candidate) => candidate.error);
+  if (failures.length > 0) {
+    lines.push("", "## Failed attempts", "");
+    for (const candidate of failures) lines.push(`- ${candidate.id}: ${candidate.error}`);
+  }
+  if (result.review) {
+    lines.push("", "## Model review", "");
+    if (result.review.error) lines.push(`Review failed: ${result.review.error}`);
+    else {
+      lines.push(result.review.pick ? `Picked ${result.review.pick}.` : "The review did not name a valid candidate.");
+      const output = result.review.output.trim();
+      if (output) {
+        lines.push("", "```text", output.slice(0, MAX_REPORT_REVIEW_CHARS), "```");
+      }
+    }
+  }
+  lines.push(
+    "",
+    `Reaped worktrees: ${result.reaped.length > 0 ? result.reaped.join(", ") : "none"}.`,
+    "",
+  );
+  return lines.join("\n");
+}
@@ -5,7 +5,7 @@
  * Used by both human operators and AI agents to manage the backlog.
  *
  * Usage:
- *   bosun task list [--status <status>] [--priority <priority>] [--tag <tag>] [--json]
+ *   bosun task list [--status <status>] [--priority <priority>] [--tag <tag>] [--query "<query>"] [--json]
  *   bosun task create <json-string>
  *   bosun task create --title "..." [--description "..."] [--priority high] [--tags ui,fix] [--branch main]
  *   bosun task get <task-id> [--json]
@@ -14,6 +14,9 @@
  *   bosun task delete <task-id>
  *   bosun task stats [--json] [--debug]
  *   bosun task import <json-file>
+ *   bosun task bulk --query "<query>" [--set field=value] [--add-tag t] [--remove-tag t] [--dry-run]
+ *   bosun task template list|show|create|update|delete|use ...
+ *   bosun task recur list|create|pause|resume|delete|run ...
  *
  * EXPORTS:
  *   runTaskCli(args)      — Main entry point for CLI routing
@@ -23,6 +26,8 @@
  *   taskUpdate(id, patch) — Programmatic task update
  *   taskDelete(id)        — Programmatic task deletion
  *   taskStats()           — Programmatic stats
+ *   taskFromTemplate(id, params) — Programmatic template instantiation
+ *   taskBulk(request, opts) — Programmatic bulk update by query
  */
 
 import { resolve, dirname, isAbsolute } from "node:path";
@@ -35,6 +40,8 @@ import {
   normalizeWorkspaceStorageKeys,
 } from "./task-store.mjs";
 import { getTaskLifetimeTotals } from "../infra/runtime-accumulator.mjs";
+import { filterTasksByQuery } from "./task-query.mjs";
+import { describeJournalEntry } from "./task-journal.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -291,6 +298,19 @@ function getArgValue(args, flag) {
   return null;
 }
 
+function getArgValues(args, flag) {
+  const values = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith(`${flag}=`)) {
+      values.push(args[i].slice(flag.length + 1).trim());
+    } else if (args[i] === flag && args[i + 1] && !args[i + 1].startsWith("--")) {
+      values.push(args[i + 1].trim());
+      i++;
+    }
+  }
+  return values;
+}
+
 function hasFlag(args, flag) {
   return args.includes(flag);
 }
@@ -355,6 +375,7 @@ function buildTaskInput(data, store) {
     repository: repositoryKey || null,
     repositories: repositoryKeys,
     candidateCount: candidateCount && candidateCount > 1 ? candidateCount : undefined,
+    acceptanceCriteria: data.acceptanceCriteria || [],
     meta: inputMeta,
   };
   if (taskData.workspace && !taskData.meta.workspace) {
@@ -414,13 +435,17 @@ export async function taskCreate(data) {
 
 /**
  * List tasks with optional filters.
- * @param {object} [filters] - { status, priority, tag, search, limit }
+ * @param {object} [filters] - { status, priority, tag, search, query, limit }
  * @returns {object[]} Array of tasks
  */
 export async function taskList(filters = {}) {
   const store = await initStore();
   let tasks = store.getAllTasks();
 
+  if (filters.query) {
+    tasks = filterTasksByQuery(tasks, filters.query);
+  }
+
   if (filters.status) {
     tasks = tasks.filter((t) => t.status === filters.status);
   }
@@ -1157,17 +1182,17 @@ export async function runTaskCli(args) {
       return await cliList(subArgs);
     case "create":
     case "add":
-      return await cliCreate(subArgs);
+      return await withOperatorAction("task create", () => cliCreate(subArgs));
     case "get":
     case "show":
       return await cliGet(subArgs);
     case "update":
     case "edit":
-      return await cliUpdate(subArgs);
+      return await withOperatorAction("task update", () => cliUpdate(subArgs));
     case "delete":
     case "rm":
     case "remove":
-      return await cliDelete(subArgs);
+      return await withOperatorAction("task delete", () => cliDelete(subArgs));
     case "plan":
       console.log("\n  Task planner has been removed. Use workflow templates instead.");
       console.log("  See: bosun workflow list\n");
@@ -1175,13 +1200,98 @@ export async function runTaskCli(args) {
     case "stats":
       return await cliStats(subArgs);
     case "import":
-      return await cliImport(subArgs);
+      return await withOperatorAction("task import", () => cliImport(subArgs));
+    case "template":
+    case "templates":
+      return await cliTemplate(subArgs);
+    case "recur":
+    case "recurrence":
+      return await cliRecur(subArgs);
+    case "bulk":
+      return await withOperatorAction("task bulk", () => cliBulk(subArgs));
+    case "undo":
+      return await cliUndo(subArgs, "undo");
+    case "redo":
+      return await cliUndo(subArgs, "redo");
     default:
       showTaskHelp();
       process.exit(subcommand ? 1 : 0);
   }
 }
 
+/**
+ * Create a task from a template.
+ * @param {string} templateId
+ * @param {Record<string, string>} [params] - placeholder values
+ * @param {object} [overrides] - task fields applied on top of the template
+ * @returns {object} the created task
+ */
+export async function taskFromTemplate(templateId, params = {}, overrides = {}) {
+  const store = await initStore();
+  const task = store.createTaskFromTemplate(templateId, params, overrides);
+  if (!task) {
+    throw new Error(`Template not found: ${templateId}`);
+  }
+  await flushStoreWrites(store);
+  return task;
+}
+
+/**
+ * Apply one mutation to every task matching a query.
+ * @param {object} request - { query, taskIds, set, addTags, removeTags }
+ * @param {object} [opts] - { dryRun }
+ * @returns {object} bulk result with per-task before/after changes
+ */
+export async function taskBulk(request = {}, opts = {}) {
+  const store = await initStore();
+  const result = store.bulkUpdateTasks(request, {
+    dryRun: opts.dryRun === true,
+    source: "cli",
+    actor: "cli",
+  });
+  await flushStoreWrites(store);
+  return result;
+}
+
+/**
+ * Run a mutating subcommand as one undoable operator action.
+ * @param {string} label - shown in `bosun task undo --list`
+ * @param {Function} fn
+ */
+async function withOperatorAction(label, fn) {
+  const store = await initStore();
+  const result = await store.runTaskOperatorAction({ source: "cli", actor: "cli", label }, fn);
+  await flushStoreWrites(store);
+  return result;
+}
+
+/**
+ * Undo (or redo) a journaled operator action; the latest one when no id is given.
+ * @param {string} [actionId]
+ * @param {object} [opts] - { redo, force }
+ * @returns {object|null} revert result, or null when there is no such action
+ */
+export async function taskUndo(actionId, opts = {}) {
+  const store = await initStore();
+  const revert = opts.redo === true ? store.redoTaskOperatorAction : store.undoTaskOperatorAction;
+  const result = revert(actionId || undefined, {
+    force: opts.force === true,
+    source: "cli",
+    actor: "cli",
+  });
+  await flushStoreWrites(store);
+  return result;
+}
+
+/**
+ * List recent journaled operator actions, newest first.
+ * @param {object} [opts] - { limit }
+ */
+export async function taskOperatorActions(opts = {}) {
+  const store = await initStore();
+  return store.listTaskOperatorActions({ limit: opts.limit });
+}
+
 // ── CLI Subcommands ───────────────────────────────────────────────────────────
 
 async function cliList(args) {
@@ -1197,6 +1307,8 @@ async function cliList(args) {
     --priority <p>    Filter: low|medium|high|critical
     --tag <tag>       Filter by tag
     --search <text>   Full-text search in title/description
+    --query <q>       Filter query, e.g. 'status:todo tag:ui -tag:blocked updated:>30d'
+                      (see bosun task bulk --help for the syntax)
     --limit <n>       Max results to return
     --json            Output as JSON array
 
@@ -1206,6 +1318,7 @@ async function cliList(args) {
     bosun task list --priority high --json
     bosun task list --tag ui --limit 10
     bosun task list --search 'retry queue'
+    bosun task list --query 'status:todo priority>=high updated:>14d'
 `);
     return;
   }
@@ -1214,6 +1327,7 @@ async function cliList(args) {
   const priority = getArgValue(args, "--priority");
   const tag = getArgValue(args, "--tag");
   const search = getArgValue(args, "--search");
+  const query = getArgValue(args, "--query");
   const limit = getArgValue(args, "--limit");
   const json = hasFlag(args, "--json");
 
@@ -1221,9 +1335,16 @@ async function cliList(args) {
   if (priority) filters.priority = priority;
   if (tag) filters.tag = tag;
   if (search) filters.search = search;
+  if (query) filters.query = query;
   if (limit) filters.limit = parseInt(limit, 10);
 
-  const tasks = await taskList(filters);
+  let tasks;
+  try {
+    tasks = await taskList(filters);
+  } catch (err) {
+    console.error(`  Error: ${err.message}`);
+    process.exit(1);
+  }
 
   if (json) {
     console.log(JSON.stringify(tasks, null, 2));
@@ -1664,6 +1785,469 @@ async function cliImport(args) {
 
 // ── Help ──────────────────────────────────────────────────────────────────────
 
+function parseParamArgs(args) {
+  const params = {};
+  for (const entry of getArgValues(args, "--param")) {
+    const eq = entry.indexOf("=");
+    if (eq <= 0) {
+      throw new Error(`Invalid --param "${entry}" (expected name=value)`);
+    }
+    params[entry.slice(0, eq).trim()] = entry.slice(eq + 1);
+  }
+  return params;
+}
+
+function buildTemplateInput(args) {
+  const jsonArg = args.find((a) => a.trim().startsWith("{"));
+  if (jsonArg) return JSON.parse(jsonArg);
+  const data = {};
+  const fields = {
+    "--id": "id",
+    "--name": "name",
+    "--title": "title",
+    "--description": "description",
+    "--priority": "priority",
+    "--type": "type",
+    "--workflow": "workflowId",
+    "--agent-profile": "agentProfile",
+  };
+  for (const [flag, key] of Object.entries(fields)) {
+    const value = getArgValue(args, flag);
+    if (value !== null) data[key] = value;
+  }
+  const tags = getArgValue(args, "--tags");
+  if (tags !== null) data.tags = normalizeTags(tags);
+  const params = getArgValues(args, "--param");
+  if (params.length > 0) {
+    data.parameters = params.map((entry) => {
+      const eq = entry.indexOf("=");
+      return eq > 0
+        ? { name: entry.slice(0, eq).trim(), default: entry.slice(eq + 1) }
+        : { name: entry.trim() };
+    });
+  }
+  return data;
+}
+
+function printTemplate(template) {
+  console.log(`\n  Template: ${template.id}`);
+  console.log(`  Name:          ${template.name}`);
+  console.log(`  Title:         ${template.title}`);
+  console.log(`  Priority:      ${template.priority || "(none)"}`);
+  console.log(`  Tags:          ${(template.tags || []).join(", ") || "(none)"}`);
+  if (template.workflowId) console.log(`  Workflow:      ${template.workflowId}`);
+  if (template.agentProfile) console.log(`  Agent profile: ${template.agentProfile}`);
+  for (const parameter of template.parameters || []) {
+    const detail = parameter.default != null
+      ? `default: ${parameter.default}`
+      : parameter.required ? "required" : "optional";
+    console.log(`  Param:         {{${parameter.name}}} (${detail})`);
+  }
+  console.log("");
+}
+
+async function cliBulk(args) {
+  if (hasFlag(args, "--help") || hasFlag(args, "-h")) {
+    console.log(`
+  bosun task bulk — Update every task matching a query
+
+  USAGE
+    bosun task bulk --query '<query>' [--set field=value]... [--add-tag t] [--remove-tag t] [--dry-run] [--json]
+    bosun task bulk --ids <id,id,...> [mutations]
+
+  MUTATIONS
+    --set field=value    status|priority|assignee|sprint|epic|type|branch (value 'none' clears)
+    --add-tag <tag>      Add a tag (repeatable, comma-separated)
+    --remove-tag <tag>   Remove a tag (repeatable, comma-separated)
+    --dry-run            Preview the changes without applying them
+
+  QUERY SYNTAX (terms are ANDed; a leading '-' negates a term)
+    status:todo,blocked  tag:ui  -tag:blocked  priority>=high
+    assignee:none  sprint:<id>  epic:<id>  type:epic  repo:<key>  id:<prefix>
+    title:"retry queue"  created:<7d  updated:>30d  updated:<2026-03-01
+    bare words search title and description
+
+  EXAMPLES
+    bosun task bulk --query 'status:todo updated:>30d' --set status=cancelled --add-tag stale --dry-run
+    bosun task bulk --query 'tag:ui -tag:blocked' --set priority=high
+`);
+    return;
+  }
+  const query = getArgValue(args, "--query");
+  const ids = getArgValue(args, "--ids");
+  const request = {
+    query: query || "",
+    taskIds: ids ? ids.split(",").map((id) => id.trim()).filter(Boolean) : undefined,
+    set: getArgValues(args, "--set"),
+    addTags: getArgValues(args, "--add-tag"),
+    removeTags: getArgValues(args, "--remove-tag"),
+  };
+  const dryRun = hasFlag(args, "--dry-run");
+
+  let result;
+  try {
+    result = await taskBulk(request, { dryRun });
+  } catch (err) {
+    console.error(`  Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (hasFlag(args, "--json")) {
+    console.log(JSON.stringify(result, null, 2));
+    if (!result.ok) process.exit(1);
+    return;
+  }
+
+  const formatValue = (value) => (Array.isArray(value) ? `[${value.join(", ")}]` : String(value ?? "none"));
+  console.log(`\n  ${result.matched} task(s) matched, ${result.changed} ${result.ok && !result.dryRun ? "changed" : "would change"}${result.dryRun ? " (dry run)" : ""}:\n`);
+  for (const change of result.changes) {
+    console.log(`  ${change.taskId.slice(0, 8)}  ${change.title || "(untitled)"}`);
+    for (const [key, value] of Object.entries(change.after)) {
+      console.log(`           ${key}: ${formatValue(change.before[key])} → ${formatValue(value)}`);
+    }
+  }
+  if (!result.ok) {
+    console.error(`\n  Error: ${result.error} — nothing was changed:`);
+    for (const entry of result.blocked || []) {
+      console.error(`    ${entry.taskId.slice(0, 8)}  ${entry.message || entry.reason}`);
+    }
+    console.log("");
+    process.exit(1);
+  }
+  if (result.actionId) {
+    console.log(`\n  ✓ Applied as ${result.actionId}`);
+  }
+  console.log("");
+}
+
+async function cliUndo(args, direction) {
+  if (hasFlag(args, "--help") || hasFlag(args, "-h")) {
+    console.log(`
+  bosun task ${direction} — ${direction === "undo" ? "Revert" : "Re-apply"} an operator action
+
+  USAGE
+    bosun task ${direction} [actionId] [--force] [--json]
+    bosun task undo --list [--limit <n>] [--json]
+
+  Task updates, status changes, deletes, bulk updates and sprint/dependency
+  edits made from the CLI, UI or Telegram are journaled with before/after
+  patches. Without an actionId the most recent action is ${direction === "undo" ? "undone" : "redone"}.
+
+  OPTIONS
+    --list        Show recent actions and their ids
+    --force       ${direction === "undo" ? "Undo" : "Redo"} even if the tasks changed since
+    --json        Output raw JSON
+
+  EXAMPLES
+    bosun task undo --list
+    bosun task undo
+    bosun task undo task.bulk_update:1f0c... --force
+    bosun task redo
+`);
+    return;
+  }
+
+  if (hasFlag(args, "--list")) {
+    const actions = await taskOperatorActions({ limit: Number(getArgValue(args, "--limit")) || 20 });
+    if (hasFlag(args, "--json")) {
+      console.log(JSON.stringify(actions, null, 2));
+      return;
+    }
+    if (actions.length === 0) {
+      console.log("\n  No operator actions recorded.\n");
+      return;
+    }
+    console.log("");
+    for (const action of actions) {
+      const state = action.status === "undone" ? " (undone)" : "";
+      console.log(`  ${action.actionId}${state}`);
+      console.log(`      ${action.createdAt}  ${action.source || "?"}  ${describeJournalEntry(action)}`);
+    }
+    console.log("");
+    return;
+  }
+
+  const actionId = args.find((a) => !a.startsWith("--"));
+  let result;
+  try {
+    result = await taskUndo(actionId, { redo: direction === "redo", force: hasFlag(args, "--force") });
+  } catch (err) {
+    console.error(`  Error: ${err.message}`);
+    process.exit(1);
+  }
+  if (hasFlag(args, "--json")) {
+    console.log(JSON.stringify(result ?? { ok: false, error: "not_found" }, null, 2));
+    if (!result?.ok) process.exit(1);
+    return;
+  }
+  if (!result) {
+    console.error(`  ${actionId ? `Operator action not found: ${actionId}` : `Nothing to ${direction}.`}`);
+    process.exit(1);
+  }
+  if (!result.ok) {
+    console.error(`  Error: ${result.error} (${result.actionId})`);
+    for (const conflict of result.conflicts || []) {
+      const where = conflict.field ? `.${conflict.field}` : "";
+      console.error(`    ${conflict.kind} ${conflict.id}${where}: ${conflict.reason}`);
+    }
+    if (result.conflicts?.length) {
+      console.error(`  Re-run with --force to ${direction} anyway.`);
+    }
+    process.exit(1);
+  }
+  console.log(`\n  ✓ ${direction === "undo" ? "Undid" : "Redid"} ${result.actionId} (${result.changes.length} change(s))`);
+  if (result.forced) {
+    console.log(`    Overwrote ${result.conflicts.length} conflicting field(s)`);
+  }
+  console.log("");
+}
+
+async function cliTemplate(args) {
+  const action = args[0];
+  const actionArgs = args.slice(1);
+  if (!action || hasFlag(args, "--help") || hasFlag(args, "-h")) {
+    console.log(`
+  bosun task template — Reusable task templates
+
+  USAGE
+    bosun task template list [--json]
+    bosun task template show <id> [--json]
+    bosun task template create --title "..." [options] | '<json>'
+    bosun task template update <id> [options] | '<json>'
+    bosun task template delete <id>
+    bosun task template use <id> [--param name=value]... [--status todo] [--json]
+
+  OPTIONS (create / update)
+    --id <id>               Template id (default: derived from name or title)
+    --name <name>           Display name
+    --title <text>          Task title; may contain {{param}} placeholders
+    --description <text>    Task description; may contain {{param}} placeholders
+    --tags <a,b>            Default tags
+    --priority <p>          low|medium|high|critical
+    --type <t>              task|epic|subtask
+    --workflow <id>         Workflow the tasks should run with
+    --agent-profile <name>  Agent profile the tasks should run with
+    --param name[=default]  Declare a parameter (repeatable)
+
+  Built-in placeholders: {{date}} {{week}} {{month}}
+
+  EXAMPLES
+    bosun task template create --id dep-bump --title "chore(deps): bump {{package}}" --tags deps --priority low
+    bosun task template use dep-bump --param package=vitest
+`);
+    return;
+  }
+
+  try {
+    const store = await initStore();
+    const json = hasFlag(actionArgs, "--json");
+    const id = actionArgs.find((a) => !a.startsWith("--") && !a.trim().startsWith("{"));
+    switch (action) {
+      case "list":
+      case "ls": {
+        const templates = store.listTaskTemplates();
+        if (json) {
+          console.log(JSON.stringify(templates, null, 2));
+          return;
+        }
+        if (templates.length === 0) {
+          console.log("\n  No task templates.\n");
+          return;
+        }
+        console.log(`\n  ${templates.length} template(s):\n`);
+        for (const template of templates) {
+          console.log(`  ${template.id.padEnd(24)} ${template.title}`);
+        }
+        console.log("");
+        return;
+      }
+      case "show":
+      case "get": {
+        const template = id ? store.getTaskTemplate(id) : null;
+        if (!template) {
+          console.error(`  Template not found: ${id || "(none)"}`);
+          process.exit(1);
+        }
+        if (json) console.log(JSON.stringify(template, null, 2));
+        else printTemplate(template);
+        return;
+      }
+      case "create":
+      case "update": {
+        const data = buildTemplateInput(actionArgs);
+        if (action === "update") {
+          if (!id || !store.getTaskTemplate(id)) {
+            console.error(`  Template not found: ${id || "(none)"}`);
+            process.exit(1);
+          }
+          data.id = id;
+        }
+        const template = store.upsertTaskTemplate(data);
+        await flushStoreWrites(store);
+        if (json) console.log(JSON.stringify(template, null, 2));
+        else console.log(`\n  ✓ ${action === "create" ? "Saved" : "Updated"} template ${template.id}\n`);
+        return;
+      }
+      case "delete":
+      case "rm": {
+        if (!id || !store.deleteTaskTemplate(id)) {
+          console.error(`  Template not found: ${id || "(none)"}`);
+          process.exit(1);
+        }
+        await flushStoreWrites(store);
+        console.log(`\n  ✓ Deleted template ${id} and its recurrences\n`);
+        return;
+      }
+      case "use":
+      case "apply": {
+        if (!id) {
+          console.error("  Error: template ID required. Usage: bosun task template use <id>");
+          process.exit(1);
+        }
+        const status = getArgValue(actionArgs, "--status");
+        const task = await taskFromTemplate(id, parseParamArgs(actionArgs), status ? { status } : {});
+        if (json) console.log(JSON.stringify(task, null, 2));
+        else console.log(`\n  ✓ Created task ${task.id.slice(0, 8)}: ${task.title}\n`);
+        return;
+      }
+      default:
+        console.error(`  Unknown template action: ${action}. See: bosun task template --help`);
+        process.exit(1);
+    }
+  } catch (err) {
+    console.error(`  Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+async function cliRecur(args) {
+  const action = args[0];
+  const actionArgs = args.slice(1);
+  if (!action || hasFlag(args, "--help") || hasFlag(args, "-h")) {
+    console.log(`
+  bosun task recur — Create tasks from templates on a schedule
+
+  USAGE
+    bosun task recur list [--template <id>] [--json]
+    bosun task recur create <template-id> --schedule "<cron|RRULE>" [options]
+    bosun task recur pause <id>
+    bosun task recur resume <id>
+    bosun task recur delete <id>
+    bosun task recur run [--json]      Create instances that are due now
+
+  OPTIONS (create)
+    --schedule <rule>       Cron ("0 9 * * 1", "@weekly") or RRULE
+                            ("RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;BYHOUR=9")
+    --timezone <tz>         IANA timezone the schedule is read in (default UTC)
+    --start <iso>           Anchor for RRULE defaults and INTERVAL (default now)
+    --param name=value      Template parameter (repeatable)
+    --id <id>               Recurrence id
+    --allow-overlap         Create a new instance even if the previous one is open
+
+  The monitor creates due instances every minute; "run" does it on demand.
+
+  EXAMPLES
+    bosun task recur create flaky-triage --schedule "0 9 * * MON" --timezone Europe/Berlin
+    bosun task recur create dep-bump --schedule "RRULE:FREQ=MONTHLY;BYMONTHDAY=1;BYHOUR=6" --param package=all
+`);
+    return;
+  }
+
+  try {
+    const store = await initStore();
+    const json = hasFlag(actionArgs, "--json");
+    const id = actionArgs.find((a) => !a.startsWith("--"));
+    switch (action) {
+      case "list":
+      case "ls": {
+        const recurrences = store.listTaskRecurrences({
+          templateId: getArgValue(actionArgs, "--template") || undefined,
+        });
+        if (json) {
+          console.log(JSON.stringify(recurrences, null, 2));
+          return;
+        }
+        if (recurrences.length === 0) {
+          console.log("\n  No recurrences.\n");
+          return;
+        }
+        console.log(`\n  ${recurrences.length} recurrence(s):\n`);
+        for (const recurrence of recurrences) {
+          const state = recurrence.enabled ? `next ${recurrence.nextRunAt}` : "paused";
+          console.log(`  ${recurrence.id.padEnd(28)} ${recurrence.templateId.padEnd(20)} ${recurrence.schedule}  (${state})`);
+        }
+        console.log("");
+        return;
+      }
+      case "create":
+      case "add": {
+        if (!id) {
+          console.error("  Error: template ID required. Usage: bosun task recur create <template-id> --schedule ...");
+          process.exit(1);
+        }
+        const recurrence = store.upsertTaskRecurrence({
+          templateId: id,
+          id: getArgValue(actionArgs, "--id") || undefined,
+          schedule: getArgValue(actionArgs, "--schedule"),
+          timezone: getArgValue(actionArgs, "--timezone") || undefined,
+          startAt: getArgValue(actionArgs, "--start") || undefined,
+          params: parseParamArgs(actionArgs),
+          skipIfOpen: !hasFlag(actionArgs, "--allow-overlap"),
+        });
+        await flushStoreWrites(store);
+        if (json) console.log(JSON.stringify(recurrence, null, 2));
+        else console.log(`\n  ✓ Recurrence ${recurrence.id} — next run ${recurrence.nextRunAt}\n`);
+        return;
+      }
+      case "pause":
+      case "resume": {
+        const existing = id ? store.getTaskRecurrence(id) : null;
+        if (!existing) {
+          console.error(`  Recurrence not found: ${id || "(none)"}`);
+          process.exit(1);
+        }
+        const recurrence = store.upsertTaskRecurrence({
+          id,
+          enabled: action === "resume",
+          nextRunAt: action === "resume" ? null : existing.nextRunAt,
+        });
+        await flushStoreWrites(store);
+        console.log(`\n  ✓ ${action === "resume" ? `Resumed ${id} — next run ${recurrence.nextRunAt}` : `Paused ${id}`}\n`);
+        return;
+      }
+      case "delete":
+      case "rm": {
+        if (!id || !store.deleteTaskRecurrence(id)) {
+          console.error(`  Recurrence not found: ${id || "(none)"}`);
+          process.exit(1);
+        }
+        await flushStoreWrites(store);
+        console.log(`\n  ✓ Deleted recurrence ${id}\n`);
+        return;
+      }
+      case "run": {
+        const result = store.materializeDueTaskRecurrences();
+        await flushStoreWrites(store);
+        if (json) {
+          console.log(JSON.stringify(result, null, 2));
+          return;
+        }
+        console.log(`\n  Created ${result.created.length} task(s), skipped ${result.skipped.length}.`);
+        for (const entry of result.created) console.log(`    + ${entry.taskId}`);
+        for (const entry of result.skipped) console.log(`    - ${entry.recurrenceId}: ${entry.reason}`);
+        console.log("");
+        return;
+      }
+      default:
+        console.error(`  Unknown recur action: ${action}. See: bosun task recur --help`);
+        process.exit(1);
+    }
+  } catch (err) {
+    console.error(`  Error: ${err.message}`);
+    process.exit(1);
+  }
+}
+
 function showCreateHelp() {
   console.log(`
   bosun task create — Create a new task
@@ -1749,6 +2333,10 @@ function showTaskHelp() {
     delete, rm  Delete a task              bosun task delete --help
     stats       Aggregate statistics        bosun task stats --json/--debug
     import      Bulk import from JSON file  bosun task import --help
+    bulk        Update tasks by query       bosun task bulk --help
+    undo, redo  Revert an operator action   bosun task undo --help
+    template    Reusable task templates     bosun task template --help
+    recur       Scheduled task creation     bosun task recur --help
 
   QUICK REFERENCE
 
@@ -1778,6 +2366,14 @@ function showTaskHelp() {
     # List and filter
     bosun task list --status todo --priority high
     bosun task list --tag ui --json
+    bosun task list --query 'status:todo tag:ui -tag:blocked updated:>7d'
+
+    # Bulk update (preview first with --dry-run)
+    bosun task bulk --query 'status:todo updated:>30d' --set status=cancelled --add-tag stale --dry-run
+
+    # Undo the last change (or list recent ones)
+    bosun task undo --list
+    bosun task undo
 
     # Update
     bosun task update <id> --status inprogress
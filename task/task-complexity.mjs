@@ -26,9 +26,19 @@
  *   HIGH   → "high"
  *
  * The orchestrator calls `resolveExecutorForTask(task, executorProfile, config)`
- * to get the optimal model/variant/reasoning for that specific task.
+ * to get the optimal model/variant/reasoning for that specific task. When
+ * `config.adaptive.mode` is "shadow" or "active", the learned router in
+ * executor-router.mjs is consulted on top of the static ladder.
  */
 
+import {
+  ROUTER_MODES,
+  extractRoutingFeatures,
+  formatRouterDecision,
+  normalizeRouterConfig,
+  routeExecutor,
+} from "./executor-router.mjs";
+
 // ── Constants ────────────────────────────────────────────────────────────────
 
 export const COMPLEXITY_TIERS = Object.freeze({
@@ -380,6 +390,22 @@ export function classifyComplexity({
   return { tier, reason, sizeLabel: resolvedSize, adjusted, baseTier };
 }
 
+/**
+ * Classify a task object, reading its size from the same fields, metadata
+ * and title conventions that executor routing uses.
+ *
+ * @param {object} task
+ * @returns {{ tier: string, reason: string, sizeLabel: string, adjusted: boolean }}
+ */
+export function classifyTaskComplexity(task) {
+  return classifyComplexity({
+    sizeLabel: extractSizeLabel(task),
+    title: task?.title || "",
+    description: task?.description || "",
+    points: extractPoints(task),
+  });
+}
+
 /**
  * Get the model profile for a given complexity tier and executor type.
  *
@@ -429,8 +455,9 @@ export function getModelForComplexity(tier, executorType, configOverrides) {
  *   model: string,
  *   reasoningEffort: string,
  *   complexity: { tier: string, reason: string, sizeLabel: string, adjusted: boolean },
- *   original: object
- * }}
+ *   original: object,
+ *   router?: object
+ * }} `router` is the adaptive routing decision, present in shadow/active mode
  */
 export function resolveExecutorForTask(task, baseProfile, complexityConfig) {
   const config = complexityConfig || {};
@@ -468,7 +495,7 @@ export function resolveExecutorForTask(task, baseProfile, complexityConfig) {
     config,
   );
 
-  return {
+  const resolved = {
     name: baseProfile?.name || "auto",
     executor: baseProfile?.executor || "CODEX",
     variant: modelProfile.variant || baseProfile?.variant || "DEFAULT",
@@ -481,6 +508,33 @@ export function resolveExecutorForTask(task, baseProfile, complexityConfig) {
     complexity,
     original: baseProfile,
   };
+
+  const adaptive = normalizeRouterConfig(config.adaptive);
+  if (adaptive.mode === ROUTER_MODES.OFF) return resolved;
+
+  // Adaptive routing: shadow mode only records the decision, active mode
+  // swaps in the learned executor/model (reasoning effort stays per tier).
+  const router = routeExecutor({
+    features: extractRoutingFeatures(task, complexity),
+    baseline: { executor: resolved.executor, model: resolved.model },
+    config: adaptive,
+    isAllowed: (arm) =>
+      isModelAllowedForExecutor(arm.executor, arm.model, adaptive.allowedModels),
+  });
+  const sameExecutor =
+    String(router.pick.executor).toUpperCase() === String(resolved.executor).toUpperCase();
+  if (!router.applied || (sameExecutor && router.pick.model === resolved.model)) {
+    return { ...resolved, router };
+  }
+
+  const alias = MODEL_ALIASES[router.pick.model];
+  return {
+    ...resolved,
+    executor: sameExecutor ? resolved.executor : router.pick.executor,
+    variant: alias?.executor === router.pick.executor ? alias.variant : "DEFAULT",
+    model: router.pick.model,
+    router,
+  };
 }
 
 /**
@@ -503,6 +557,9 @@ export function formatComplexityDecision(resolved) {
   if (complexity.adjusted) {
     parts.push(`adjusted=true`);
   }
+  if (resolved.router) {
+    parts.push(formatRouterDecision(resolved.router));
+  }
   return parts.join(" ");
 }
 
@@ -3,7 +3,12 @@
  * @description Pipeline orchestration helpers extracted from task-executor.
  */
 
-import { FanoutPipeline, RacePipeline, SequentialPipeline } from "./pipeline.mjs";
+import {
+  BestOfNPipeline,
+  FanoutPipeline,
+  RacePipeline,
+  SequentialPipeline,
+} from "./pipeline.mjs";
 
 function toAgentList(agents) {
   if (Array.isArray(agents)) return agents.filter(Boolean);
@@ -59,6 +64,9 @@ export function createExecutionPipeline(mode = "single", agents = [], options =
   if (["failover", "race"].includes(normalizedMode)) {
     return RacePipeline(stages, pipelineOptions);
   }
+  if (["best-of-n", "best_of_n", "bestofn"].includes(normalizedMode)) {
+    return BestOfNPipeline(stages, pipelineOptions);
+  }
   return SequentialPipeline(stages, pipelineOptions);
 }
 
@@ -67,6 +75,7 @@ export async function runExecutionPipeline(mode, agents, input, options = {}) {
   return pipeline.run(input, {
     metadata: options.metadata || {},
     signal: options.signal || null,
+    judge: options.judge,
   });
 }
 
@@ -28,6 +28,7 @@ import {
   addComment,
 } from "../kanban/kanban-adapter.mjs";
 import {
+  addTaskAttachment,
   listTaskAttachments,
   mergeTaskAttachments,
 } from "./task-attachments.mjs";
@@ -40,6 +41,7 @@ import {
   getActiveThreads,
   getPoolSdkName,
   ensureThreadRegistryLoaded,
+  launchEphemeralThread,
 } from "../agent/agent-pool.mjs";
 import {
   WorktreeManager,
@@ -63,7 +65,25 @@ import {
   getTask as getInternalTask,
   getAllTasks as getAllInternalTasks,
   addTask as addInternalTask,
+  completeTask as completeInternalTask,
+  recordTaskAcceptanceReport,
+  appendTaskTimelineEvent,
 } from "./task-store.mjs";
+import {
+  evaluateTaskAcceptance,
+  fingerprintAcceptanceCriteria,
+  formatAcceptanceCriteriaPrompt,
+  normalizeAcceptanceCriteria,
+} from "./task-acceptance.mjs";
+import {
+  buildBestOfNAttemptPrompt,
+  buildBestOfNComparisonCriteria,
+  formatBestOfNReport,
+  normalizeBestOfNConfig,
+  parseBestOfNReviewPick,
+  runBestOfNAttempts,
+  shouldRunBestOfN,
+} from "./task-best-of-n.mjs";
 import { createErrorDetector } from "../infra/error-detector.mjs";
 import { getSessionTracker } from "../infra/session-tracker.mjs";
 import { getCurrentTraceContext, traceTaskExecution } from "../infra/tracing.mjs";
@@ -1935,9 +1955,10 @@ function slugify(text) {
 
 function parseGitHubIssueNumber(value) {
   if (value == null) return null;
+  // "42", "#42" or a webhook-linked "owner/repo#42".
   const numeric = String(value)
     .trim()
-    .match(/^#?(\d+)$/);
+    .match(/^(?:[\w.-]+\/[\w.-]+#|#)?(\d+)$/);
   if (numeric?.[1]) return numeric[1];
   const urlMatch = String(value).match(/\/issues\/(\d+)(?:\b|$)/i);
   return urlMatch?.[1] || null;
@@ -2400,6 +2421,7 @@ class TaskExecutor {
       sendTelegram: null,
       agentPrompts: {},
       workflowOwnsTaskLifecycle: true,
+      bestOfN: {},
     };
 
     const merged = { ...defaults, ...options };
@@ -2447,6 +2469,7 @@ class TaskExecutor {
     this.onTaskFailed = merged.onTaskFailed;
     this.sendTelegram = merged.sendTelegram;
     this.workflowOwnsTaskLifecycle = merged.workflowOwnsTaskLifecycle === true;
+    this.bestOfN = normalizeBestOfNConfig(merged.bestOfN);
     this._agentPrompts =
       merged.agentPrompts && typeof merged.agentPrompts === "object"
         ? merged.agentPrompts
@@ -2508,6 +2531,8 @@ class TaskExecutor {
 
     /** @type {Map<string, SlotInfo>} */
     this._activeSlots = new Map();
+    /** @type {Set<string>} taskIds with a best-of-N run in flight */
+    this._bestOfNInFlight = new Set();
     /** @type {Map<string, number>} taskId → timestamp */
     this._taskCooldowns = new Map();
     this._running = false;
@@ -6061,6 +6086,12 @@ class TaskExecutor {
         ...(storedTraceparent && !activeTrace ? { carrier: { traceparent: storedTraceparent } } : {}),
       },
       async () => {
+        // Best-of-N tasks open a PR for the winning attempt only, so they
+        // bypass the single-attempt lifecycle and its PR creation.
+        if (shouldRunBestOfN(task, this.bestOfN)) {
+          return this._executeBestOfNTask(task, taskId);
+        }
+
         // When workflow automation owns lifecycle execution, emit a synthetic
         // "started" slot so monitor/ui hooks can dispatch trigger.task_assigned.
         if (this.workflowOwnsTaskLifecycle) {
@@ -6206,6 +6237,403 @@ class TaskExecutor {
     return context;
   }
 
+  /**
+   * Build the "## Acceptance Criteria" prompt section for a task, or an empty
+   * string when it declares none. Best-of-N attempt prompts and the workflow
+   * prompt builder (action.build_task_prompt) carry the same section.
+   * @param {Object} task
+   * @returns {string}
+   * @private
+   */
+  _buildAcceptanceCriteriaPrompt(task) {
+    return formatAcceptanceCriteriaPrompt(task?.acceptanceCriteria);
+  }
+
+  // ── Acceptance Criteria ───────────────────────────────────────────────────
+
+  /**
+   * Evaluate a task's acceptance criteria in its worktree and record the
+   * per-criterion report on the task (and its timeline).
+   * @param {Object|string} taskOrId
+   * @param {{ worktreePath?: string, baseBranch?: string, changedFiles?: string[], judgeReview?: Function, runCommand?: Function, source?: string }} [options]
+   * @returns {Promise<Object|null>} The stored report, or null when the task has no criteria.
+   */
+  async evaluateAcceptanceCriteria(taskOrId, options = {}) {
+    const task = typeof taskOrId === "string" ? getInternalTask(taskOrId) : taskOrId;
+    if (!task?.id) return null;
+    const cwd = resolve(options.worktreePath || task.worktreePath || this.repoRoot || process.cwd());
+    const report = await evaluateTaskAcceptance(task, {
+      cwd,
+      baseBranch: options.baseBranch || task.baseBranch || "main",
+      changedFiles: options.changedFiles,
+      runCommand: options.runCommand,
+      judgeReview: options.judgeReview,
+      modelReview: (config) => this._judgeAcceptanceReview(task, config, { cwd }),
+    });
+    if (!report) return null;
+    const stored = recordTaskAcceptanceReport(task.id, report, { source: options.source || "task-executor" });
+    const failed = report.results.filter((result) => !result.passed);
+    console.log(
+      `${TAG} acceptance criteria for "${task.title || task.id}": ` +
+        (report.passed ? "all passed" : `${failed.length}/${report.results.length} failed`),
+    );
+    return stored || report;
+  }
+
+  /**
+   * Evaluate acceptance criteria, then complete the task through the store's
+   * lifecycle guard. A failing report leaves the task where it is.
+   * @param {Object|string} taskOrId
+   * @param {Object} [options] - evaluateAcceptanceCriteria options plus completeTask options
+   * @returns {Promise<Object>} The lifecycle result, with `acceptance` attached.
+   */
+  async completeTask(taskOrId, options = {}) {
+    const task = typeof taskOrId === "string" ? getInternalTask(taskOrId) : taskOrId;
+    if (!task?.id) {
+      return { ok: false, error: "task_not_found", taskId: String(taskOrId || "") };
+    }
+    const { worktreePath, baseBranch, changedFiles, judgeReview, runCommand, ...completeOptions } = options;
+    const acceptance = await this.evaluateAcceptanceCriteria(task, {
+      worktreePath,
+      baseBranch,
+      changedFiles,
+      judgeReview,
+      runCommand,
+    });
+    const result = completeInternalTask(task.id, {
+      source: "task-executor",
+      ...completeOptions,
+    });
+    return { ...result, acceptance };
+  }
+
+  /**
+   * Re-check a merged task's acceptance criteria before it moves to done. The
+   * PR may have been fixed up after the lifecycle evaluated it, so a missing,
+   * stale or failing report is re-evaluated on the PR branch in a scratch
+   * worktree. Changed files come from the PR itself: once merged, the branch
+   * no longer differs from its base.
+   * @param {Object|string} taskOrId
+   * @param {{ prNumber?: number, repoSlug?: string, mergedAt?: string, changedFiles?: string[] }} [options]
+   * @returns {Promise<Object|null>} The current report, or null when the task has no criteria.
+   */
+  async reevaluateMergedAcceptance(taskOrId, options = {}) {
+    const task = typeof taskOrId === "string" ? getInternalTask(taskOrId) : taskOrId;
+    if (!task?.id) return null;
+    const criteria = normalizeAcceptanceCriteria(task.acceptanceCriteria);
+    if (criteria.length === 0) return null;
+    const current = task.acceptanceReport || null;
+    if (current?.fingerprint === fingerprintAcceptanceCriteria(criteria)) {
+      // Passed already, or failed against the merged change: nothing new to check.
+      const mergedAt = Date.parse(options.mergedAt || "");
+      if (current.passed || Date.parse(current.evaluatedAt) >= mergedAt) return current;
+    }
+    const branch = String(task.branchName || task.branch || "").trim();
+    if (!branch) return current;
+
+    const { repoRoot } = this._resolveTaskRepoContext(task);
+    const changedFiles = options.changedFiles
+      || this._readPrChangedFiles(options.prNumber, options.repoSlug, repoRoot);
+    const taskKey = `${task.id}#acceptance`;
+    const worktrees = this._getWorktreeManager(repoRoot);
+    const worktree = await worktrees.acquireWorktree(branch, taskKey, { owner: "acceptance" });
+    try {
+      // Fixes pushed to the PR after the lifecycle ran may only be on the remote.
+      const fetched = spawnSync("git", ["fetch", "origin", branch, "--quiet"], {
+        cwd: worktree.path,
+        encoding: "utf8",
+        timeout: 30_000,
+      });
+      if (fetched.status === 0) {
+        spawnSync("git", ["merge", "--ff-only", "FETCH_HEAD"], {
+          cwd: worktree.path,
+          encoding: "utf8",
+          timeout: 30_000,
+        });
+      }
+      return await this.evaluateAcceptanceCriteria(task, {
+        worktreePath: worktree.path,
+        baseBranch: this._resolveTaskBaseBranch(task) || "main",
+        changedFiles: changedFiles || undefined,
+        source: "review-merge-reconcile",
+      });
+    } finally {
+      await Promise.resolve(worktrees.releaseWorktree(taskKey)).catch(() => {});
+    }
+  }
+
+  /**
+   * Files changed by a pull request, via the GitHub CLI.
+   * @returns {string[]|null} null when there is no PR or gh is unavailable.
+   * @private
+   */
+  _readPrChangedFiles(prNumber, repoSlug, cwd) {
+    if (!prNumber) return null;
+    const args = ["pr", "view", String(prNumber), "--json", "files", "--jq", ".files[].path"];
+    if (repoSlug) args.push("--repo", repoSlug);
+    const result = spawnSync("gh", args, { cwd, encoding: "utf8", timeout: 30_000 });
+    if (result.status !== 0) return null;
+    return String(result.stdout || "").split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  }
+
+  /**
+   * Judge free-text acceptance criteria with the validation.model_review node.
+   * @param {Object} task
+   * @param {Object} config - validation.model_review config (evidence dir, task, criteria)
+   * @private
+   */
+  _judgeAcceptanceReview(task, config, { cwd }) {
+    return this._executeWorkflowNode(task, "validation.model_review", config, { worktreePath: cwd });
+  }
+
+  // ── Best-of-N Attempts ────────────────────────────────────────────────────
+
+  /**
+   * Run N attempts at a task in separate worktrees, score every candidate
+   * with the validation gates and a model-review comparison, evaluate the
+   * winner against the task's acceptance criteria, open a PR for the winner
+   * only, reap the losing worktrees, and attach the comparison report to the
+   * task.
+   * @param {Object|string} taskOrId
+   * @param {Object} [options] - bestOfN config overrides plus injectable runAttempt, collectDiff, runGate, compareCandidates, evaluateWinner, createPr
+   * @returns {Promise<Object|null>} The best-of-N result, or null when the task is not found.
+   */
+  async runBestOfNAttempts(taskOrId, options = {}) {
+    const task = typeof taskOrId === "string" ? getInternalTask(taskOrId) : taskOrId;
+    if (!task?.id) return null;
+    const { runAttempt, collectDiff, runGate, compareCandidates, evaluateWinner, createPr, ...overrides } = options;
+    const config = normalizeBestOfNConfig({ ...this.bestOfN, ...overrides });
+    const { repoRoot } = this._resolveTaskRepoContext(task);
+    const worktrees = this._getWorktreeManager(repoRoot);
+    const baseBranch = this._resolveTaskBaseBranch(task) || "origin/main";
+    const branch = String(task.branch || task.branchName || task.meta?.branch || "").trim()
+      || `task/${task.id.replace(/[^a-zA-Z0-9]/g, "").slice(0, 12) || "work"}`;
+
+    const result = await runBestOfNAttempts(task, {
+      config,
+      branch,
+      baseline: { sdk: task.sdk || this.sdk, model: task.model || task.meta?.model },
+      acquireWorktree: (candidate) =>
+        worktrees.acquireWorktree(candidate.branch, candidate.taskKey, { owner: "best-of-n", baseBranch }),
+      releaseWorktree: (candidate) => worktrees.releaseWorktree(candidate.taskKey),
+      runAttempt: runAttempt || ((candidate, { signal }) =>
+        execWithRetry(buildBestOfNAttemptPrompt(task, candidate), {
+          taskKey: candidate.taskKey,
+          cwd: candidate.worktreePath,
+          timeoutMs: config.attemptTimeoutMs || this.taskTimeoutMs,
+          maxRetries: this.maxRetries,
+          sdk: candidate.sdk === "auto" ? undefined : candidate.sdk,
+          model: candidate.model || undefined,
+          sessionType: "best-of-n",
+          signal,
+        })),
+      collectDiff: collectDiff || ((candidate) => collectDiffStats(candidate.worktreePath, { baseBranch })),
+      runGate: runGate || ((name, gate, candidate) =>
+        this._executeWorkflowNode(task, `validation.${name}`, {
+          command: gate.command,
+          cwd: candidate.worktreePath,
+          timeoutMs: gate.timeoutMs,
+        }, { worktreePath: candidate.worktreePath, repoRoot })),
+      compareCandidates: compareCandidates || ((candidates) =>
+        this._compareBestOfNCandidates(task, candidates, { repoRoot, baseBranch })),
+      evaluateWinner: evaluateWinner || ((winner) =>
+        this.evaluateAcceptanceCriteria(task, { worktreePath: winner.worktreePath, baseBranch })),
+      createPr: createPr || (this.autoCreatePr
+        ? (winner) => this._openBestOfNPullRequest(task, winner, { repoRoot, baseBranch })
+        : null),
+    });
+
+    const safeId = String(task.id).replace(/[^a-zA-Z0-9_-]/g, "_");
+    const reportDir = resolve(repoRoot, ".bosun", "evidence", `best-of-n-${safeId}`);
+    const reportPath = resolve(reportDir, "report.md");
+    mkdirSync(reportDir, { recursive: true });
+    writeFileSync(reportPath, formatBestOfNReport(task, result), "utf8");
+    addTaskAttachment(task.id, task.backend || task.externalBackend || getKanbanBackendName(), {
+      name: "best-of-n-report.md",
+      filePath: reportPath,
+      contentType: "text/markdown",
+      kind: "file",
+      source: "task-executor",
+      sourceType: "task",
+      createdAt: result.finishedAt,
+    });
+
+    const winner = result.candidates.find((candidate) => candidate.id === result.winner) || null;
+    const summary = {
+      runId: result.runId,
+      finishedAt: result.finishedAt,
+      winner: result.winner,
+      ranking: result.ranking,
+      reaped: result.reaped,
+      reportPath,
+    };
+    const latest = getInternalTask(task.id);
+    if (latest) {
+      updateInternalTask(task.id, {
+        meta: { ...(latest.meta || {}), bestOfN: summary },
+        ...(winner ? { branchName: winner.branch } : {}),
+        ...(result.pr?.prUrl ? { prUrl: result.pr.prUrl } : {}),
+        ...(result.pr?.prNumber ? { prNumber: result.pr.prNumber } : {}),
+      });
+      appendTaskTimelineEvent(task.id, {
+        type: "best_of_n.completed",
+        source: "task-executor",
+        message: winner
+          ? `Best-of-${result.candidates.length}: ${winner.id} won with score ${winner.score}`
+          : `Best-of-${result.candidates.length}: no eligible candidate`,
+        payload: summary,
+      });
+    }
+    return { ...result, reportPath };
+  }
+
+  /**
+   * executeTask() path for best-of-N tasks: run the attempts, then move the
+   * task to inreview with the winner's branch (and PR, when one was opened).
+   * Only a run with no eligible candidate sends the task back to todo.
+   * @private
+   */
+  async _executeBestOfNTask(task, taskId) {
+    if (this._bestOfNInFlight.has(taskId)) {
+      return { skipped: true, reason: "best_of_n_in_flight", taskId };
+    }
+    this._bestOfNInFlight.add(taskId);
+    const taskTitle = String(task?.title || task?.task_title || taskId).trim() || taskId;
+    try {
+      await transitionTaskStatus(taskId, "inprogress", { source: "task-executor" });
+      const result = await this.runBestOfNAttempts({ ...task, id: taskId });
+      const winner = result?.candidates.find((candidate) => candidate.id === result.winner) || null;
+      const prUrl = result?.pr?.prUrl || null;
+      const prNumber = result?.pr?.prNumber || null;
+      if (winner && !prUrl && !prNumber) {
+        console.warn(
+          `${TAG} best-of-N winner ${winner.id} for "${taskTitle}" has no pull request` +
+            (result.pr?.error ? ` (${result.pr.error})` : "") +
+            ` — leaving branch ${winner.branch} for review`,
+        );
+      }
+      if (winner && result.acceptance && !result.acceptance.passed) {
+        console.warn(
+          `${TAG} best-of-N winner ${winner.id} for "${taskTitle}" fails its acceptance criteria` +
+            " — it can go to review but not to done until they pass",
+        );
+      }
+      await transitionTaskStatus(taskId, winner ? "inreview" : "todo", {
+        source: "task-executor",
+        ...(winner ? { branchName: winner.branch } : {}),
+        ...(prUrl ? { prUrl } : {}),
+        ...(prNumber ? { prNumber } : {}),
+      });
+      const attempts = result?.candidates.length || 0;
+      if (winner && typeof this.onTaskCompleted === "function") {
+        this.onTaskCompleted(task, {
+          success: true,
+          attempts,
+          branch: winner.branch,
+          worktreePath: result.reaped.includes(winner.id) ? null : winner.worktreePath,
+          prUrl,
+          prNumber,
+          baseBranch: this._resolveTaskBaseBranch(task) || null,
+        });
+      } else if (!winner && typeof this.onTaskFailed === "function") {
+        this.onTaskFailed(task, { message: "best-of-N produced no eligible candidate", attempts });
+      }
+      return {
+        started: true,
+        mode: "best-of-n",
+        taskId,
+        winner: result?.winner || null,
+        prUrl,
+        prNumber,
+        reportPath: result?.reportPath || null,
+      };
+    } catch (err) {
+      console.warn(`${TAG} best-of-N run failed for "${taskTitle}": ${err?.message || err}`);
+      await transitionTaskStatus(taskId, "todo", { source: "task-executor" }).catch(() => {});
+      if (typeof this.onTaskFailed === "function") this.onTaskFailed(task, err);
+      return { started: true, mode: "best-of-n", taskId, error: err?.message || String(err) };
+    } finally {
+      this._bestOfNInFlight.delete(taskId);
+    }
+  }
+
+  /**
+   * Execute a built-in workflow node outside a workflow run.
+   * @private
+   */
+  async _executeWorkflowNode(task, type, config, data = {}) {
+    const [{ getNodeType, WorkflowContext }] = await Promise.all([
+      import("../workflow/workflow-engine.mjs"),
+      import("../workflow/workflow-nodes.mjs"),
+    ]);
+    const nodeType = getNodeType(type);
+    if (!nodeType) throw new Error(`workflow node ${type} is not registered`);
+    return nodeType.execute(
+      { id: `task-executor-${type.split(".").pop()}`, type, config },
+      new WorkflowContext({ task, taskId: task.id, ...data }),
+      { services: { agentPool: { launchEphemeralThread } } },
+    );
+  }
+
+  /**
+   * Ask validation.model_review to compare the eligible candidates. Each
+   * candidate's branch diff is written to the evidence directory.
+   * @private
+   */
+  async _compareBestOfNCandidates(task, candidates, { repoRoot, baseBranch }) {
+    const safeId = String(task.id).replace(/[^a-zA-Z0-9_-]/g, "_");
+    const evidenceDir = resolve(repoRoot, ".bosun", "evidence", `best-of-n-${safeId}`, "comparison");
+    mkdirSync(evidenceDir, { recursive: true });
+    for (const candidate of candidates) {
+      const diff = spawnSync("git", ["diff", `${baseBranch}...HEAD`], {
+        cwd: candidate.worktreePath,
+        encoding: "utf8",
+        timeout: 60_000,
+        maxBuffer: 32 * 1024 * 1024,
+      });
+      writeFileSync(
+        resolve(evidenceDir, `${candidate.id}.patch`),
+        truncateUtf8Bytes(diff.status === 0 ? diff.stdout || "" : "", 200_000),
+        "utf8",
+      );
+    }
+    const output = await this._executeWorkflowNode(task, "validation.model_review", {
+      evidenceDir,
+      originalTask: [task.title, task.description].filter(Boolean).join("\n\n"),
+      criteria: buildBestOfNComparisonCriteria(candidates),
+      strictMode: false,
+    }, { repoRoot });
+    const reviewOutput = output?.reviewOutput || "";
+    return {
+      pick: parseBestOfNReviewPick(reviewOutput, candidates.map((candidate) => candidate.id)),
+      output: reviewOutput,
+    };
+  }
+
+  /**
+   * Push the winning candidate's branch and open its pull request.
+   * @private
+   */
+  async _openBestOfNPullRequest(task, winner, { repoRoot, baseBranch }) {
+    const data = { worktreePath: winner.worktreePath, repoRoot };
+    const push = await this._executeWorkflowNode(task, "action.push_branch", {
+      worktreePath: winner.worktreePath,
+      branch: winner.branch,
+      baseBranch,
+    }, data);
+    if (!push?.success) {
+      return { success: false, error: push?.error || `push of ${winner.branch} failed` };
+    }
+    return this._executeWorkflowNode(task, "action.create_pr", {
+      title: task.title || task.id,
+      body: `Best-of-N winner ${winner.id} (${winner.sdk}${winner.model ? `/${winner.model}` : ""}) for task ${task.id}. ` +
+        "The comparison report is attached to the task.",
+      base: baseBranch.replace(/^origin\//, ""),
+      branch: winner.branch,
+      cwd: winner.worktreePath,
+    }, data);
+  }
+
   // ── Result Handling ───────────────────────────────────────────────────────
 
   /**
@@ -6429,6 +6857,7 @@ export function loadExecutorOptionsFromConfig() {
       process.env.INTERNAL_EXECUTOR_MAX_RETRIES || configExec.maxRetries || 2,
     ),
     autoCreatePr: configExec.autoCreatePr !== false,
+    bestOfN: configExec.bestOfN || {},
     flowReviewGateRequired: isFlowReviewGateRequired(
       configExec.flowRequireReview !== false,
     ),
@@ -0,0 +1,491 @@
+/**
+ * task-forecast.mjs — Critical-path scheduling and ETA forecasting over the
+ * task dependency graph.
+ *
+ * Durations are learned from finished work: the wall time of a done task's
+ * runs (or its runtime-accumulator session total when it has no runs),
+ * bucketed by complexity tier. A tier with too little history falls back to
+ * a log-normal distribution around a default median.
+ *
+ * The open backlog is then simulated many times as a list schedule: every
+ * iteration draws a duration per task, runs ready tasks on `parallelism`
+ * slots (in-progress tasks first, then the longest remaining chain), and
+ * records when each sprint and epic finishes. Percentiles of those finish
+ * times are the ETAs.
+ *
+ * Everything here is pure; callers pass tasks in and get plain data back.
+ */
+
+import { COMPLEXITY_TIERS, classifyTaskComplexity } from "./task-complexity.mjs";
+
+// ── Constants ────────────────────────────────────────────────────────────────
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/** Median duration per tier when there is not enough history to learn from. */
+export const DEFAULT_TIER_DURATIONS_MS = Object.freeze({
+  [COMPLEXITY_TIERS.LOW]: 0.5 * HOUR_MS,
+  [COMPLEXITY_TIERS.MEDIUM]: 2 * HOUR_MS,
+  [COMPLEXITY_TIERS.HIGH]: 6 * HOUR_MS,
+});
+
+const TIERS = Object.freeze(Object.keys(DEFAULT_TIER_DURATIONS_MS));
+const TERMINAL_STATUSES = new Set(["done", "cancelled"]);
+const ACTIVE_STATUSES = new Set(["inprogress", "inreview"]);
+const MIN_HISTORY_SAMPLES = 3;
+const DEFAULT_SPREAD = 0.6;
+const MIN_REMAINING_FRACTION = 0.1;
+const DEFAULT_ITERATIONS = 500;
+const MAX_ITERATIONS = 5000;
+const DEFAULT_BURNDOWN_DAYS = 14;
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function toMs(value) {
+  if (value == null || value === "") return null;
+  const ms = typeof value === "number" ? value : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function normalizeStatus(task) {
+  return String(task?.status || "").trim().toLowerCase();
+}
+
+function isTerminal(task) {
+  return TERMINAL_STATUSES.has(normalizeStatus(task));
+}
+
+function dependencyIds(task) {
+  const ids = [...(task?.dependencyTaskIds || []), ...(task?.dependsOn || [])]
+    .map((id) => String(id || "").trim())
+    .filter((id) => id && id !== task.id);
+  return [...new Set(ids)];
+}
+
+function epicIdOf(task) {
+  return String(task?.epicId ?? task?.meta?.epicId ?? "").trim();
+}
+
+/** Deterministic PRNG so the same board yields the same forecast. */
+function createRng(seed) {
+  let state = (Number(seed) >>> 0) || 0x5eed;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleStandardNormal(rng) {
+  const u = Math.max(rng(), Number.EPSILON);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1));
+  return sorted[index];
+}
+
+function summarize(values, nowMs) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (ms) => (ms == null ? null : new Date(nowMs + ms).toISOString());
+  const p50Ms = percentile(sorted, 0.5);
+  const p85Ms = percentile(sorted, 0.85);
+  const p95Ms = percentile(sorted, 0.95);
+  return { p50Ms, p85Ms, p95Ms, p50At: at(p50Ms), p85At: at(p85Ms), p95At: at(p95Ms) };
+}
+
+function completedAtMs(task) {
+  const history = Array.isArray(task?.statusHistory) ? task.statusHistory : [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (TERMINAL_STATUSES.has(String(history[i]?.status || "").toLowerCase())) {
+      const ms = toMs(history[i].timestamp);
+      if (ms != null) return ms;
+    }
+  }
+  return toMs(task?.completedAt) ?? toMs(task?.updatedAt);
+}
+
+// ── Durations ────────────────────────────────────────────────────────────────
+
+/**
+ * Wall time spent working on a task: the sum of its finished runs, or the
+ * runtime-accumulator session total when no run has both timestamps.
+ *
+ * @param {object} task
+ * @param {object|null} [lifetimeTotals] - from `getTaskLifetimeTotals(task.id)`
+ * @returns {number} milliseconds, 0 when unknown
+ */
+export function measureTaskWorkMs(task, lifetimeTotals = null) {
+  let total = 0;
+  for (const run of Array.isArray(task?.runs) ? task.runs : []) {
+    const start = toMs(run?.startedAt);
+    const end = toMs(run?.endedAt);
+    if (start != null && end != null && end > start) total += end - start;
+  }
+  if (total > 0) return total;
+  return Math.max(0, Number(lifetimeTotals?.durationMs) || 0);
+}
+
+/**
+ * Learn per-tier duration distributions from done tasks.
+ *
+ * @param {object[]} tasks
+ * @param {object} [opts]
+ * @param {(taskId: string) => object|null} [opts.getLifetimeTotals]
+ * @param {Record<string, number>} [opts.defaults] - per-tier fallback medians
+ * @returns {{ tiers: Record<string, {source: string, samples: number[], medianMs: number, meanMs: number, p85Ms: number}> }}
+ */
+export function buildDurationModel(tasks, { getLifetimeTotals = null, defaults = DEFAULT_TIER_DURATIONS_MS } = {}) {
+  const samples = Object.fromEntries(TIERS.map((tier) => [tier, []]));
+  for (const task of tasks || []) {
+    if (normalizeStatus(task) !== "done") continue;
+    const workMs = measureTaskWorkMs(task, getLifetimeTotals ? getLifetimeTotals(task.id) : null);
+    if (workMs <= 0) continue;
+    samples[classifyTaskComplexity(task).tier]?.push(workMs);
+  }
+
+  const tiers = {};
+  for (const tier of TIERS) {
+    const sorted = samples[tier].sort((a, b) => a - b);
+    if (sorted.length >= MIN_HISTORY_SAMPLES) {
+      tiers[tier] = {
+        source: "history",
+        samples: sorted,
+        medianMs: percentile(sorted, 0.5),
+        meanMs: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+        p85Ms: percentile(sorted, 0.85),
+      };
+      continue;
+    }
+    // Too little history to resample, but a couple of real runs still beat
+    // the static default as the centre of the distribution.
+    const medianMs = sorted.length > 0 ? percentile(sorted, 0.5) : defaults[tier] || DEFAULT_TIER_DURATIONS_MS[tier];
+    tiers[tier] = {
+      source: sorted.length > 0 ? "blended" : "default",
+      samples: sorted,
+      medianMs,
+      meanMs: medianMs * Math.exp((DEFAULT_SPREAD ** 2) / 2),
+      p85Ms: medianMs * Math.exp(DEFAULT_SPREAD * 1.0364),
+    };
+  }
+  return { tiers };
+}
+
+function drawDuration(tierModel, rng) {
+  if (tierModel.source === "history") {
+    return tierModel.samples[Math.floor(rng() * tierModel.samples.length)];
+  }
+  return tierModel.medianMs * Math.exp(DEFAULT_SPREAD * sampleStandardNormal(rng));
+}
+
+function activeElapsedMs(task, nowMs) {
+  const runs = Array.isArray(task?.runs) ? task.runs : [];
+  const running = [...runs].reverse().find((run) => run?.startedAt && !run?.endedAt);
+  let since = toMs(running?.startedAt);
+  if (since == null) {
+    const history = Array.isArray(task?.statusHistory) ? task.statusHistory : [];
+    const entered = [...history].reverse().find((entry) => String(entry?.status || "").toLowerCase() === "inprogress");
+    since = toMs(entered?.timestamp);
+  }
+  return since == null ? 0 : Math.max(0, nowMs - since);
+}
+
+function remainingFrom(durationMs, elapsedMs) {
+  return Math.max(durationMs - elapsedMs, durationMs * MIN_REMAINING_FRACTION);
+}
+
+// ── Graph ────────────────────────────────────────────────────────────────────
+
+/**
+ * Build the dependency graph between open tasks. Dependencies that are done,
+ * cancelled or unknown are already satisfied. Edges that would close a cycle
+ * are dropped so the schedule can always make progress; their targets are
+ * reported in `cycleTaskIds`.
+ */
+function buildOpenGraph(openTasks) {
+  const ids = new Set(openTasks.map((task) => task.id));
+  const parents = new Map(openTasks.map((task) => [task.id, dependencyIds(task).filter((id) => ids.has(id))]));
+  const children = new Map(openTasks.map((task) => [task.id, []]));
+  const indegree = new Map();
+  for (const [id, deps] of parents) {
+    indegree.set(id, deps.length);
+    for (const dep of deps) children.get(dep).push(id);
+  }
+
+  const order = [];
+  const queue = openTasks.filter((task) => indegree.get(task.id) === 0).map((task) => task.id);
+  const cycleTaskIds = [];
+  const placed = new Set();
+  while (order.length < openTasks.length) {
+    if (queue.length === 0) {
+      // Break the cycle at the first unplaced task in board order.
+      const stuck = openTasks.find((task) => !placed.has(task.id));
+      cycleTaskIds.push(stuck.id);
+      parents.set(stuck.id, parents.get(stuck.id).filter((dep) => placed.has(dep)));
+      queue.push(stuck.id);
+      indegree.set(stuck.id, 0);
+    }
+    const id = queue.shift();
+    if (placed.has(id)) continue;
+    placed.add(id);
+    order.push(id);
+    for (const child of children.get(id)) {
+      if (placed.has(child)) continue;
+      indegree.set(child, indegree.get(child) - 1);
+      if (indegree.get(child) === 0) queue.push(child);
+    }
+  }
+
+  // Children lists must agree with the pruned parent lists.
+  for (const list of children.values()) list.length = 0;
+  for (const [id, deps] of parents) for (const dep of deps) children.get(dep).push(id);
+  return { order, parents, children, cycleTaskIds };
+}
+
+/**
+ * Longest chain of expected durations through the given tasks.
+ *
+ * @param {string[]} order - topological order
+ * @param {Map<string, string[]>} parents
+ * @param {Map<string, number>} expectedMs
+ * @param {Set<string>} [scope] - restrict to these task ids
+ * @returns {{ taskIds: string[], durationMs: number }}
+ */
+function longestPath(order, parents, expectedMs, scope = null) {
+  const finish = new Map();
+  const via = new Map();
+  let endId = null;
+  for (const id of order) {
+    if (scope && !scope.has(id)) continue;
+    let start = 0;
+    for (const dep of parents.get(id) || []) {
+      if (scope && !scope.has(dep)) continue;
+      if ((finish.get(dep) ?? 0) > start) {
+        start = finish.get(dep);
+        via.set(id, dep);
+      }
+    }
+    finish.set(id, start + (expectedMs.get(id) || 0));
+    if (endId == null || finish.get(id) > finish.get(endId)) endId = id;
+  }
+  const taskIds = [];
+  for (let id = endId; id != null; id = via.get(id)) taskIds.unshift(id);
+  return { taskIds, durationMs: endId == null ? 0 : finish.get(endId) };
+}
+
+/** Length of the longest expected chain starting at each task (upward rank). */
+function tailLengths(order, children, expectedMs) {
+  const tail = new Map();
+  for (let i = order.length - 1; i >= 0; i--) {
+    const id = order[i];
+    let longest = 0;
+    for (const child of children.get(id) || []) longest = Math.max(longest, tail.get(child) || 0);
+    tail.set(id, longest + (expectedMs.get(id) || 0));
+  }
+  return tail;
+}
+
+// ── Simulation ───────────────────────────────────────────────────────────────
+
+function simulateOnce(graph, durations, priority, parallelism) {
+  const waiting = new Map(graph.order.map((id) => [id, graph.parents.get(id).length]));
+  const byPriority = (a, b) => priority.get(b) - priority.get(a);
+  const ready = graph.order.filter((id) => waiting.get(id) === 0).sort(byPriority);
+  const running = [];
+  const finish = new Map();
+  let clock = 0;
+  while (finish.size < graph.order.length) {
+    while (running.length < parallelism && ready.length > 0) {
+      const id = ready.shift();
+      running.push({ id, end: clock + durations.get(id) });
+    }
+    let next = 0;
+    for (let i = 1; i < running.length; i++) {
+      if (running[i].end < running[next].end) next = i;
+    }
+    const [{ id, end }] = running.splice(next, 1);
+    clock = end;
+    finish.set(id, end);
+    let added = false;
+    for (const child of graph.children.get(id)) {
+      waiting.set(child, waiting.get(child) - 1);
+      if (waiting.get(child) === 0) {
+        ready.push(child);
+        added = true;
+      }
+    }
+    if (added) ready.sort(byPriority);
+  }
+  return finish;
+}
+
+// ── Burndown ─────────────────────────────────────────────────────────────────
+
+function buildBurndown(tasks, eta, nowMs, days) {
+  const actual = [];
+  const today = new Date(nowMs);
+  today.setUTCHours(0, 0, 0, 0);
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const dayEnd = Math.min(today.getTime() - offset * DAY_MS + DAY_MS - 1, nowMs);
+    let remaining = 0;
+    for (const task of tasks) {
+      const created = toMs(task.createdAt) ?? 0;
+      if (created > dayEnd) continue;
+      const completed = isTerminal(task) ? completedAtMs(task) : null;
+      if (completed == null || completed > dayEnd) remaining += 1;
+    }
+    actual.push({ date: new Date(dayEnd).toISOString().slice(0, 10), remaining });
+  }
+  const open = tasks.filter((task) => !isTerminal(task)).length;
+  const projected = open > 0 && eta.p50At
+    ? [
+      { at: new Date(nowMs).toISOString(), remaining: open },
+      { at: eta.p50At, remaining: 0, percentile: 50 },
+      { at: eta.p85At, remaining: 0, percentile: 85 },
+    ]
+    : [];
+  return { actual, projected };
+}
+
+// ── Forecast ─────────────────────────────────────────────────────────────────
+
+/**
+ * Forecast when the open backlog, each sprint and each epic will finish.
+ *
+ * @param {object[]} tasks - every task on the board (done tasks feed history)
+ * @param {object} [opts]
+ * @param {number} [opts.parallelism=1] - concurrent execution slots
+ * @param {number} [opts.iterations=500] - Monte-Carlo iterations
+ * @param {number} [opts.seed]
+ * @param {Date|number} [opts.now]
+ * @param {(taskId: string) => object|null} [opts.getLifetimeTotals]
+ * @param {object[]} [opts.sprints] - sprint records, for labels
+ * @param {number} [opts.burndownDays=14]
+ * @returns {object} forecast; see the route docs for `/api/tasks/forecast`
+ */
+export function buildTaskForecast(tasks, opts = {}) {
+  const nowMs = toMs(opts.now instanceof Date ? opts.now.getTime() : opts.now) ?? Date.now();
+  const parallelism = Math.max(1, Math.floor(Number(opts.parallelism) || 1));
+  const iterations = Math.min(MAX_ITERATIONS, Math.max(1, Math.floor(Number(opts.iterations) || DEFAULT_ITERATIONS)));
+  const burndownDays = Math.max(1, Math.floor(Number(opts.burndownDays) || DEFAULT_BURNDOWN_DAYS));
+  const allTasks = (Array.isArray(tasks) ? tasks : []).filter((task) => task && task.id);
+  const model = buildDurationModel(allTasks, { getLifetimeTotals: opts.getLifetimeTotals });
+
+  const openTasks = allTasks.filter((task) => !isTerminal(task) && normalizeStatus(task) !== "draft");
+  const graph = buildOpenGraph(openTasks);
+  const taskInfo = new Map();
+  const expectedMs = new Map();
+  for (const task of openTasks) {
+    const tier = classifyTaskComplexity(task).tier;
+    const tierModel = model.tiers[tier];
+    const elapsedMs = ACTIVE_STATUSES.has(normalizeStatus(task)) ? activeElapsedMs(task, nowMs) : 0;
+    taskInfo.set(task.id, { task, tier, tierModel, elapsedMs });
+    expectedMs.set(task.id, remainingFrom(tierModel.meanMs, elapsedMs));
+  }
+
+  // Running work keeps its slot; everything else goes longest-chain first.
+  const tail = tailLengths(graph.order, graph.children, expectedMs);
+  const priority = new Map(graph.order.map((id) => [
+    id,
+    ACTIVE_STATUSES.has(normalizeStatus(taskInfo.get(id).task)) ? Number.POSITIVE_INFINITY : tail.get(id),
+  ]));
+
+  const groups = new Map();
+  const addToGroup = (kind, id, task) => {
+    const key = `${kind}:${id}`;
+    if (!groups.has(key)) groups.set(key, { kind, id, tasks: [] });
+    groups.get(key).tasks.push(task);
+  };
+  for (const task of allTasks) {
+    if (task.sprintId) addToGroup("sprint", String(task.sprintId), task);
+    if (epicIdOf(task)) addToGroup("epic", epicIdOf(task), task);
+  }
+  const groupList = [...groups.values()];
+  const groupOpenIds = groupList.map((group) => group.tasks.filter((task) => taskInfo.has(task.id)).map((task) => task.id));
+
+  const boardFinishes = [];
+  const groupFinishes = groupList.map(() => []);
+  const rng = createRng(opts.seed);
+  if (graph.order.length > 0) {
+    for (let i = 0; i < iterations; i++) {
+      const durations = new Map();
+      for (const id of graph.order) {
+        const info = taskInfo.get(id);
+        durations.set(id, remainingFrom(drawDuration(info.tierModel, rng), info.elapsedMs));
+      }
+      const finish = simulateOnce(graph, durations, priority, parallelism);
+      let last = 0;
+      for (const end of finish.values()) last = Math.max(last, end);
+      boardFinishes.push(last);
+      groupOpenIds.forEach((ids, index) => {
+        let groupLast = 0;
+        for (const id of ids) groupLast = Math.max(groupLast, finish.get(id));
+        groupFinishes[index].push(groupLast);
+      });
+    }
+  }
+
+  const boardPath = longestPath(graph.order, graph.parents, expectedMs);
+  const onCriticalPath = new Set(boardPath.taskIds);
+  const sprintLabels = new Map((opts.sprints || []).map((sprint) => [String(sprint.id), sprint.name || sprint.id]));
+  const emptyEta = summarize([], nowMs);
+
+  return {
+    generatedAt: new Date(nowMs).toISOString(),
+    parallelism,
+    iterations: graph.order.length > 0 ? iterations : 0,
+    model: {
+      tiers: Object.fromEntries(Object.entries(model.tiers).map(([tier, entry]) => [tier, {
+        source: entry.source,
+        sampleCount: entry.samples.length,
+        medianMs: Math.round(entry.medianMs),
+        meanMs: Math.round(entry.meanMs),
+        p85Ms: Math.round(entry.p85Ms),
+      }])),
+    },
+    board: {
+      openCount: openTasks.length,
+      doneCount: allTasks.filter((task) => normalizeStatus(task) === "done").length,
+      eta: boardFinishes.length > 0 ? summarize(boardFinishes, nowMs) : emptyEta,
+    },
+    criticalPath: { ...boardPath, durationMs: Math.round(boardPath.durationMs) },
+    cycleTaskIds: graph.cycleTaskIds,
+    groups: groupList.map((group, index) => {
+      const openIds = groupOpenIds[index];
+      const eta = openIds.length > 0 && groupFinishes[index].length > 0
+        ? summarize(groupFinishes[index], nowMs)
+        : emptyEta;
+      const path = longestPath(graph.order, graph.parents, expectedMs, new Set(openIds));
+      return {
+        kind: group.kind,
+        id: group.id,
+        label: group.kind === "sprint" ? sprintLabels.get(group.id) || group.id : group.id,
+        totalCount: group.tasks.length,
+        openCount: openIds.length,
+        doneCount: group.tasks.filter((task) => normalizeStatus(task) === "done").length,
+        eta,
+        criticalPath: { ...path, durationMs: Math.round(path.durationMs) },
+        burndown: buildBurndown(group.tasks, eta, nowMs, burndownDays),
+      };
+    }),
+    tasks: graph.order.map((id) => {
+      const { task, tier, tierModel, elapsedMs } = taskInfo.get(id);
+      return {
+        id,
+        title: task.title || "",
+        status: normalizeStatus(task),
+        tier,
+        durationSource: tierModel.source,
+        expectedMs: Math.round(expectedMs.get(id)),
+        p85Ms: Math.round(remainingFrom(tierModel.p85Ms, elapsedMs)),
+        elapsedMs,
+        onCriticalPath: onCriticalPath.has(id),
+      };
+    }),
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * task-journal.mjs — Before/after patches for undoable operator actions.
+ *
+ * The task store snapshots every task, sprint and epic dependency list an
+ * operator action touches (see runTaskOperatorAction in task-store.mjs).
+ * These helpers turn the snapshots into field-level patches, check a patch
+ * against the live record before it is reverted, and summarize journal
+ * entries for the CLI, UI and Telegram.
+ *
+ * A change is `{ kind, id, op, before, after }` where `op` is "create"
+ * (before null, after is the full record), "delete" (after null) or
+ * "update" (before/after hold only the fields that changed).
+ */
+
+import { stableStringify } from "../utils.mjs";
+
+export const JOURNAL_RECORD_KINDS = Object.freeze(["task", "sprint", "epic"]);
+
+/** Action types produced by undo/redo themselves; they are never picked as "latest". */
+export const JOURNAL_REVERT_ACTION_TYPES = Object.freeze(["task.undo", "task.redo"]);
+
+// Bookkeeping fields that change on every touch or are derived; they are
+// neither diffed nor restored.
+const IGNORED_FIELDS = Object.freeze({
+  task: new Set([
+    "updatedAt",
+    "lastActivityAt",
+    "syncDirty",
+    "lastSyncedAt",
+    "timeline",
+    "statusHistory",
+    "topology",
+    "runs",
+    "workflowRuns",
+  ]),
+  sprint: new Set(["updatedAt"]),
+  epic: new Set(),
+});
+
+/** Structural equality that ignores key order and treats undefined as null. */
+export function sameJournalValue(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+function journalFields(kind, record) {
+  const ignored = IGNORED_FIELDS[kind] || IGNORED_FIELDS.task;
+  return Object.keys(record || {}).filter((key) => !ignored.has(key));
+}
+
+/**
+ * Diff two snapshots of one record into a journal change.
+ * @returns {object|null} null when nothing journaled changed
+ */
+export function diffJournalRecord(kind, id, before, after) {
+  if (!before && !after) return null;
+  if (!before) return { kind, id, op: "create", before: null, after };
+  if (!after) return { kind, id, op: "delete", before, after: null };
+  const patchBefore = {};
+  const patchAfter = {};
+  const keys = new Set([...journalFields(kind, before), ...journalFields(kind, after)]);
+  for (const key of keys) {
+    if (sameJournalValue(before[key], after[key])) continue;
+    patchBefore[key] = before[key] ?? null;
+    patchAfter[key] = after[key] ?? null;
+  }
+  if (Object.keys(patchAfter).length === 0) return null;
+  return { kind, id, op: "update", before: patchBefore, after: patchAfter };
+}
+
+/**
+ * Turn a change into the step that reverts it ("undo") or re-applies it
+ * ("redo"). `expected` is what the live record must still look like;
+ * `target` is what it becomes (null deletes the record).
+ */
+export function resolveJournalStep(change, direction) {
+  const undo = direction === "undo";
+  return {
+    kind: change.kind,
+    id: change.id,
+    op: change.op,
+    expected: undo ? change.after : change.before,
+    target: undo ? change.before : change.after,
+  };
+}
+
+/**
+ * List the ways a live record has drifted from what a step expects.
+ * @returns {Array<{ kind: string, id: string, field: string|null, reason: string, expected?: any, actual?: any }>}
+ */
+export function findJournalConflicts(step, current) {
+  const base = { kind: step.kind, id: step.id };
+  if (step.expected == null) {
+    return current ? [{ ...base, field: null, reason: "exists" }] : [];
+  }
+  if (!current) return [{ ...base, field: null, reason: "missing" }];
+  const fields = step.op === "update"
+    ? Object.keys(step.expected)
+    : journalFields(step.kind, step.expected);
+  const conflicts = [];
+  for (const field of fields) {
+    if (sameJournalValue(step.expected[field], current[field])) continue;
+    conflicts.push({
+      ...base,
+      field,
+      reason: "changed",
+      expected: step.expected[field] ?? null,
+      actual: current[field] ?? null,
+    });
+  }
+  return conflicts;
+}
+
+export function summarizeJournalChange(change) {
+  return {
+    kind: change.kind,
+    id: change.id,
+    op: change.op,
+    fields: change.op === "update" ? Object.keys(change.after || {}) : [],
+    title: change.kind === "task" ? (change.after?.title ?? change.before?.title ?? null) : null,
+  };
+}
+
+/** Journal entry without the before/after payloads. */
+export function summarizeJournalEntry(entry) {
+  return {
+    actionId: entry.actionId,
+    actionType: entry.actionType,
+    label: entry.label || null,
+    source: entry.source || null,
+    actor: entry.actor || null,
+    createdAt: entry.createdAt,
+    status: entry.status,
+    revertsActionId: entry.revertsActionId || null,
+    undoneAt: entry.undoneAt || null,
+    undoneBy: entry.undoneBy || null,
+    redoneAt: entry.redoneAt || null,
+    changes: (entry.changes || []).map(summarizeJournalChange),
+  };
+}
+
+/** One-line human description of a journal entry. */
+export function describeJournalEntry(entry) {
+  const changes = entry.changes || [];
+  const counts = {};
+  for (const change of changes) {
+    const key = `${change.kind}:${change.op}`;
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  const parts = Object.entries(counts).map(([key, count]) => {
+    const [kind, op] = key.split(":");
+    const verb = op === "create" ? "created" : op === "delete" ? "deleted" : "updated";
+    return `${count} ${kind}${count === 1 ? "" : "s"} ${verb}`;
+  });
+  const label = entry.label || entry.actionType;
+  return `${label} (${parts.join(", ") || "no changes"})`;
+}
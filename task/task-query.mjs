@@ -0,0 +1,355 @@
+/**
+ * task-query.mjs — Filter query language and bulk mutation planning for tasks.
+ *
+ * A query is a whitespace-separated list of terms; every term must match:
+ *
+ *   status:todo,blocked      any of the listed statuses
+ *   tag:ui -tag:blocked      has / lacks a tag (a leading `-` negates any term)
+ *   priority>=high           priority comparisons (low < medium < high < critical)
+ *   updated:>30d             last updated more than 30 days ago
+ *   created:<7d              created within the last 7 days
+ *   updated:<2026-03-01      absolute dates compare as before / after
+ *   assignee:none            unset assignee (also sprint:none, epic:none)
+ *   title:"retry queue"      quoted values may contain spaces
+ *   flaky                    bare words search title and description
+ *
+ * Relative durations (`30m`, `12h`, `7d`, `2w`) are ages, so `<7d` reads as
+ * "less than seven days old".
+ *
+ * Bulk mutations (`--set status=cancelled --add-tag stale`) are planned here
+ * per task as before/after field snapshots; task-store applies them.
+ */
+
+// ── Constants ────────────────────────────────────────────────────────────────
+
+const PRIORITY_RANK = Object.freeze({ low: 0, medium: 1, high: 2, critical: 3 });
+
+const FIELD_ALIASES = Object.freeze({
+  status: "status",
+  state: "status",
+  priority: "priority",
+  prio: "priority",
+  tag: "tag",
+  tags: "tag",
+  label: "tag",
+  assignee: "assignee",
+  sprint: "sprint",
+  epic: "epic",
+  type: "type",
+  repo: "repository",
+  repository: "repository",
+  workspace: "workspace",
+  id: "id",
+  title: "title",
+  created: "created",
+  updated: "updated",
+});
+
+const DATE_FIELDS = new Set(["created", "updated"]);
+const COMPARABLE_FIELDS = new Set(["priority", "created", "updated"]);
+const DURATION_UNITS_MS = Object.freeze({
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+});
+
+export const BULK_SETTABLE_STATUSES = Object.freeze([
+  "draft",
+  "backlog",
+  "todo",
+  "inprogress",
+  "inreview",
+  "paused",
+  "blocked",
+  "done",
+  "cancelled",
+]);
+
+const BULK_SET_FIELDS = Object.freeze({
+  status: "status",
+  priority: "priority",
+  assignee: "assignee",
+  sprint: "sprintId",
+  sprintid: "sprintId",
+  epic: "epicId",
+  epicid: "epicId",
+  type: "type",
+  branch: "baseBranch",
+  basebranch: "baseBranch",
+});
+
+// ── Parsing ──────────────────────────────────────────────────────────────────
+
+function tokenize(text) {
+  const tokens = [];
+  let current = "";
+  let inToken = false;
+  let quoted = false;
+  for (const char of String(text || "")) {
+    if (char === '"') {
+      quoted = !quoted;
+      inToken = true;
+      continue;
+    }
+    if (!quoted && /\s/.test(char)) {
+      if (inToken) tokens.push(current);
+      current = "";
+      inToken = false;
+      continue;
+    }
+    current += char;
+    inToken = true;
+  }
+  if (quoted) throw new Error("Unterminated quote in task query");
+  if (inToken) tokens.push(current);
+  return tokens;
+}
+
+function parseDateOperand(raw) {
+  const relative = /^(\d+(?:\.\d+)?)([mhdw])$/i.exec(raw);
+  if (relative) {
+    return { kind: "age", ms: Number(relative[1]) * DURATION_UNITS_MS[relative[2].toLowerCase()] };
+  }
+  const parsed = Date.parse(raw);
+  if (!Number.isFinite(parsed)) {
+    throw new Error(`Invalid date in task query: ${raw} (use 7d, 12h, 2w or YYYY-MM-DD)`);
+  }
+  return { kind: "date", ms: parsed, dayOnly: /^\d{4}-\d{2}-\d{2}$/.test(raw) };
+}
+
+function parseTerm(token) {
+  let negate = false;
+  let body = token;
+  if (body.startsWith("-") && body.length > 1) {
+    negate = true;
+    body = body.slice(1);
+  }
+  const match = /^([a-z_]+)(?::(<=|>=|<|>|=)?|(<=|>=|<|>|=))(.*)$/i.exec(body);
+  if (!match) {
+    return { field: "text", op: "=", values: [body.toLowerCase()], negate };
+  }
+  const rawField = match[1].toLowerCase();
+  const field = FIELD_ALIASES[rawField];
+  if (!field) throw new Error(`Unknown task query field: ${rawField}`);
+  const op = match[2] || match[3] || "=";
+  const rawValue = match[4].trim();
+  if (!rawValue) throw new Error(`Missing value for task query field: ${rawField}`);
+  if (op !== "=" && !COMPARABLE_FIELDS.has(field)) {
+    throw new Error(`Task query field ${rawField} does not support ${op}`);
+  }
+
+  if (DATE_FIELDS.has(field)) {
+    return { field, op, values: [parseDateOperand(rawValue)], negate };
+  }
+  const values = field === "title"
+    ? [rawValue.toLowerCase()]
+    : rawValue.split(",").map((value) => value.trim().toLowerCase()).filter(Boolean);
+  if (field === "priority") {
+    for (const value of values) {
+      if (!(value in PRIORITY_RANK)) {
+        throw new Error(`Invalid priority in task query: ${value} (use low|medium|high|critical)`);
+      }
+    }
+  }
+  if (field === "status") {
+    return { field, op, values: values.map(normalizeStatusValue), negate };
+  }
+  return { field, op, values, negate };
+}
+
+function normalizeStatusValue(value) {
+  const status = String(value || "").trim().toLowerCase();
+  if (status === "in-progress") return "inprogress";
+  if (status === "in-review") return "inreview";
+  if (status === "completed") return "done";
+  if (status === "canceled") return "cancelled";
+  return status;
+}
+
+/**
+ * Parse a query string into terms.
+ * @param {string} text
+ * @returns {{source: string, terms: Array<{field: string, op: string, values: any[], negate: boolean}>}}
+ */
+export function parseTaskQuery(text) {
+  const source = String(text || "").trim();
+  return { source, terms: tokenize(source).map(parseTerm) };
+}
+
+// ── Matching ─────────────────────────────────────────────────────────────────
+
+function compare(actual, op, expected) {
+  if (op === "<") return actual < expected;
+  if (op === "<=") return actual <= expected;
+  if (op === ">") return actual > expected;
+  if (op === ">=") return actual >= expected;
+  return actual === expected;
+}
+
+function matchDate(rawTimestamp, op, operand, nowMs) {
+  const ts = Date.parse(String(rawTimestamp || ""));
+  if (!Number.isFinite(ts)) return false;
+  if (operand.kind === "age") {
+    // Relative operands compare ages: "<7d" is less than seven days old.
+    const age = nowMs - ts;
+    return compare(age, op === "=" ? "<=" : op, operand.ms);
+  }
+  if (op === "=" && operand.dayOnly) {
+    return ts >= operand.ms && ts < operand.ms + DURATION_UNITS_MS.d;
+  }
+  return compare(ts, op, operand.ms);
+}
+
+function matchTerm(task, term, nowMs) {
+  const { field, op, values } = term;
+  const lower = (value) => String(value ?? "").trim().toLowerCase();
+  const matchesNullable = (actual) =>
+    values.some((value) => (value === "none" ? !lower(actual) : lower(actual) === value));
+
+  switch (field) {
+    case "status":
+      return values.includes(normalizeStatusValue(task.status));
+    case "priority": {
+      const rank = PRIORITY_RANK[lower(task.priority)];
+      if (rank == null) return false;
+      return values.some((value) => compare(rank, op, PRIORITY_RANK[value]));
+    }
+    case "tag": {
+      const tags = (Array.isArray(task.tags) ? task.tags : []).map(lower);
+      return values.some((value) => tags.includes(value));
+    }
+    case "assignee": {
+      const assignees = [task.assignee, ...(Array.isArray(task.assignees) ? task.assignees : [])]
+        .map(lower)
+        .filter(Boolean);
+      return values.some((value) => (value === "none" ? assignees.length === 0 : assignees.includes(value)));
+    }
+    case "sprint":
+      return matchesNullable(task.sprintId);
+    case "epic":
+      return matchesNullable(task.epicId);
+    case "type":
+      return values.includes(lower(task.type || "task"));
+    case "repository":
+      return values.includes(lower(task.repository));
+    case "workspace":
+      return values.includes(lower(task.workspace));
+    case "id":
+      return values.some((value) => lower(task.id).startsWith(value));
+    case "title":
+      return lower(task.title).includes(values[0]);
+    case "created":
+      return matchDate(task.createdAt, op, values[0], nowMs);
+    case "updated":
+      return matchDate(task.updatedAt || task.lastActivityAt, op, values[0], nowMs);
+    case "text":
+      return `${lower(task.title)}\n${lower(task.description)}`.includes(values[0]);
+    default:
+      return false;
+  }
+}
+
+/**
+ * @param {object} task
+ * @param {string|ReturnType<typeof parseTaskQuery>} query
+ * @param {{ now?: Date|number }} [options]
+ * @returns {boolean}
+ */
+export function matchTaskQuery(task, query, options = {}) {
+  if (!task || typeof task !== "object") return false;
+  const parsed = typeof query === "string" ? parseTaskQuery(query) : query;
+  const nowMs = options.now != null ? new Date(options.now).getTime() : Date.now();
+  return parsed.terms.every((term) => matchTerm(task, term, nowMs) !== term.negate);
+}
+
+/**
+ * @param {object[]} tasks
+ * @param {string|ReturnType<typeof parseTaskQuery>} query
+ * @param {{ now?: Date|number }} [options]
+ * @returns {object[]}
+ */
+export function filterTasksByQuery(tasks, query, options = {}) {
+  const parsed = typeof query === "string" ? parseTaskQuery(query) : query;
+  return (Array.isArray(tasks) ? tasks : []).filter((task) => matchTaskQuery(task, parsed, options));
+}
+
+// ── Bulk mutations ───────────────────────────────────────────────────────────
+
+function toList(value) {
+  if (Array.isArray(value)) return value.flatMap(toList);
+  if (value == null) return [];
+  return String(value).split(",").map((entry) => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Normalize a bulk mutation. `set` accepts an object or `key=value` strings.
+ * @param {{ set?: object|string|string[], addTags?: string|string[], removeTags?: string|string[] }} input
+ * @returns {{ set: Record<string, any>, addTags: string[], removeTags: string[] }}
+ */
+export function normalizeBulkTaskMutation(input = {}) {
+  const rawSet = {};
+  if (input.set && typeof input.set === "object" && !Array.isArray(input.set)) {
+    Object.assign(rawSet, input.set);
+  } else {
+    for (const assignment of Array.isArray(input.set) ? input.set : input.set ? [input.set] : []) {
+      const eq = String(assignment).indexOf("=");
+      if (eq <= 0) throw new Error(`Invalid --set assignment: ${assignment} (expected field=value)`);
+      rawSet[String(assignment).slice(0, eq).trim()] = String(assignment).slice(eq + 1).trim();
+    }
+  }
+
+  const set = {};
+  for (const [rawKey, rawValue] of Object.entries(rawSet)) {
+    const key = BULK_SET_FIELDS[String(rawKey).trim().toLowerCase()];
+    if (!key) throw new Error(`Field cannot be bulk-set: ${rawKey}`);
+    const text = rawValue == null ? "" : String(rawValue).trim();
+    if (key === "status") {
+      const status = normalizeStatusValue(text);
+      if (!BULK_SETTABLE_STATUSES.includes(status)) throw new Error(`Invalid status: ${rawValue}`);
+      set.status = status;
+    } else if (key === "priority") {
+      const priority = text.toLowerCase();
+      if (!(priority in PRIORITY_RANK)) throw new Error(`Invalid priority: ${rawValue}`);
+      set.priority = priority;
+    } else {
+      set[key] = text && text.toLowerCase() !== "none" ? text : null;
+    }
+  }
+
+  const addTags = [...new Set(toList(input.addTags).map((tag) => tag.toLowerCase()))];
+  const removeTags = [...new Set(toList(input.removeTags).map((tag) => tag.toLowerCase()))];
+  if (Object.keys(set).length === 0 && addTags.length === 0 && removeTags.length === 0) {
+    throw new Error("Bulk mutation is empty: provide set, addTags or removeTags");
+  }
+  return { set, addTags, removeTags };
+}
+
+/**
+ * Work out what a bulk mutation changes on one task.
+ * @param {object} task
+ * @param {ReturnType<typeof normalizeBulkTaskMutation>} mutation
+ * @returns {{ before: object, after: object }|null} null when nothing changes
+ */
+export function planBulkTaskChange(task, mutation) {
+  const before = {};
+  const after = {};
+  for (const [key, value] of Object.entries(mutation.set)) {
+    const current = key === "status" ? normalizeStatusValue(task[key]) : (task[key] ?? null);
+    if (current === value) continue;
+    before[key] = task[key] ?? null;
+    after[key] = value;
+  }
+  if (mutation.addTags.length > 0 || mutation.removeTags.length > 0) {
+    const currentTags = Array.isArray(task.tags) ? task.tags : [];
+    const nextTags = [
+      ...currentTags.filter((tag) => !mutation.removeTags.includes(String(tag).toLowerCase())),
+      ...mutation.addTags.filter((tag) => !currentTags.map((t) => String(t).toLowerCase()).includes(tag)),
+    ];
+    if (JSON.stringify(nextTags) !== JSON.stringify(currentTags)) {
+      before.tags = [...currentTags];
+      after.tags = nextTags;
+    }
+  }
+  return Object.keys(after).length > 0 ? { before, after } : null;
+}
@@ -0,0 +1,572 @@
+/**
+ * task-store-sqlite.mjs — node:sqlite storage engine for the task store.
+ *
+ * task-store.mjs keeps its in-memory board and public API; this module only
+ * owns the on-disk representation when `BOSUN_TASK_STORE_ENGINE=sqlite`:
+ *
+ *   tasks       one row per task; the full task document plus the columns
+ *               queryTasks() filters and sorts on (status, sprint, parent…)
+ *   task_tags   (task_id, tag) pairs so tag filters hit an index
+ *   sprints     one row per sprint document
+ *   store_meta  board-level `_meta` and migration bookkeeping
+ *
+ * The database runs in WAL mode, so a bosun daemon and `bosun task` CLI
+ * processes can read while another writes, and every save is a single
+ * BEGIN IMMEDIATE transaction that touches only the rows that changed.
+ */
+
+import { mkdirSync } from "node:fs";
+import { dirname } from "node:path";
+import { createRequire } from "node:module";
+
+/**
+ * Lazy-load node:sqlite so the JSON engine keeps working on Node < 22.5.
+ */
+let _DatabaseSync;
+function getDatabaseSync() {
+  if (!_DatabaseSync) {
+    try {
+      const require = createRequire(import.meta.url);
+      _DatabaseSync = require("node:sqlite").DatabaseSync;
+    } catch {
+      throw new Error(
+        "node:sqlite is not available in this Node.js version. " +
+        "The sqlite task store engine requires Node >= 22.5.0.",
+      );
+    }
+  }
+  return _DatabaseSync;
+}
+
+const SCHEMA_VERSION = 1;
+const DEFAULT_BUSY_TIMEOUT_MS = 5_000;
+const DEFAULT_QUERY_LIMIT = 50;
+const MAX_QUERY_LIMIT = 500;
+const TASK_STORE_DB_CACHE_KEY = Symbol.for("bosun.taskStoreSqlite.cache");
+const _dbCache = globalThis[TASK_STORE_DB_CACHE_KEY] instanceof Map
+  ? globalThis[TASK_STORE_DB_CACHE_KEY]
+  : new Map();
+if (!(globalThis[TASK_STORE_DB_CACHE_KEY] instanceof Map)) {
+  globalThis[TASK_STORE_DB_CACHE_KEY] = _dbCache;
+}
+
+/** Fields queryTasks() can order by, mapped to their indexed column. */
+export const TASK_QUERY_ORDER_FIELDS = Object.freeze({
+  updatedAt: "updated_at",
+  createdAt: "created_at",
+  title: "title_key",
+  status: "status",
+});
+
+/** Filters queryTasks() accepts in `where`, mapped to their column. */
+const WHERE_COLUMNS = Object.freeze({
+  status: "status",
+  sprintId: "sprint_id",
+  parentTaskId: "parent_task_id",
+  epicId: "epic_id",
+  assignee: "assignee",
+  priority: "priority",
+  type: "type",
+  workspace: "workspace_key",
+  repository: "repository_key",
+});
+
+function isLikelyTestRuntime() {
+  if (process.env.VITEST) return true;
+  if (process.env.VITEST_POOL_ID) return true;
+  if (process.env.VITEST_WORKER_ID) return true;
+  if (process.env.JEST_WORKER_ID) return true;
+  if (process.env.NODE_ENV === "test") return true;
+  const argv = Array.isArray(process.argv) ? process.argv.join(" ").toLowerCase() : "";
+  return argv.includes("vitest") || argv.includes("jest");
+}
+
+function asText(value) {
+  if (value == null) return "";
+  return String(value).trim();
+}
+
+function parseJsonText(value) {
+  if (value == null) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Connection
+// ---------------------------------------------------------------------------
+
+function configureDatabase(db) {
+  db.exec(`
+    PRAGMA journal_mode = WAL;
+    PRAGMA synchronous = ${isLikelyTestRuntime() ? "NORMAL" : "FULL"};
+    PRAGMA foreign_keys = ON;
+    PRAGMA temp_store = MEMORY;
+    PRAGMA busy_timeout = ${DEFAULT_BUSY_TIMEOUT_MS};
+  `);
+}
+
+function ensureSchema(entry) {
+  entry.db.exec(`
+    CREATE TABLE IF NOT EXISTS store_meta (
+      key TEXT PRIMARY KEY,
+      value_text TEXT,
+      updated_at TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS tasks (
+      id TEXT PRIMARY KEY,
+      status TEXT NOT NULL DEFAULT '',
+      sprint_id TEXT,
+      parent_task_id TEXT,
+      epic_id TEXT,
+      assignee TEXT,
+      priority TEXT,
+      type TEXT,
+      workspace_key TEXT,
+      repository_key TEXT,
+      title_key TEXT NOT NULL DEFAULT '',
+      search_text TEXT NOT NULL DEFAULT '',
+      created_at TEXT NOT NULL DEFAULT '',
+      updated_at TEXT NOT NULL DEFAULT '',
+      document_json TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status, updated_at, id);
+    CREATE INDEX IF NOT EXISTS idx_tasks_sprint ON tasks(sprint_id, updated_at, id);
+    CREATE INDEX IF NOT EXISTS idx_tasks_parent ON tasks(parent_task_id);
+    CREATE INDEX IF NOT EXISTS idx_tasks_epic ON tasks(epic_id);
+    CREATE INDEX IF NOT EXISTS idx_tasks_workspace ON tasks(workspace_key, updated_at, id);
+    CREATE INDEX IF NOT EXISTS idx_tasks_updated ON tasks(updated_at, id);
+    CREATE INDEX IF NOT EXISTS idx_tasks_created ON tasks(created_at, id);
+
+    CREATE TABLE IF NOT EXISTS task_tags (
+      task_id TEXT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+      tag TEXT NOT NULL,
+      PRIMARY KEY (task_id, tag)
+    );
+    CREATE INDEX IF NOT EXISTS idx_task_tags_tag ON task_tags(tag, task_id);
+
+    CREATE TABLE IF NOT EXISTS sprints (
+      id TEXT PRIMARY KEY,
+      document_json TEXT NOT NULL
+    );
+
+    PRAGMA user_version = ${SCHEMA_VERSION};
+  `);
+}
+
+/**
+ * Open (or reuse) the task store database at `dbPath`.
+ * @param {string} dbPath
+ * @returns {{db: object, path: string, statements: Map<string, object>}}
+ */
+export function openTaskStoreDatabase(dbPath) {
+  if (_dbCache.has(dbPath)) return _dbCache.get(dbPath);
+  mkdirSync(dirname(dbPath), { recursive: true });
+  const DatabaseSync = getDatabaseSync();
+  const db = new DatabaseSync(dbPath);
+  const entry = { db, path: dbPath, statements: new Map() };
+  configureDatabase(db);
+  ensureSchema(entry);
+  _dbCache.set(dbPath, entry);
+  return entry;
+}
+
+/**
+ * Close a cached connection. The next open reconnects.
+ * @param {string} dbPath
+ */
+export function closeTaskStoreDatabase(dbPath) {
+  const entry = _dbCache.get(dbPath);
+  if (!entry) return;
+  _dbCache.delete(dbPath);
+  try {
+    entry.db.close();
+  } catch {
+    /* best effort */
+  }
+}
+
+function prepare(entry, sql) {
+  if (!entry.statements.has(sql)) {
+    entry.statements.set(sql, entry.db.prepare(sql));
+  }
+  return entry.statements.get(sql);
+}
+
+function runTransaction(entry, fn) {
+  entry.db.exec("BEGIN IMMEDIATE");
+  try {
+    const result = fn();
+    entry.db.exec("COMMIT");
+    return result;
+  } catch (err) {
+    try {
+      entry.db.exec("ROLLBACK");
+    } catch {
+      /* best effort */
+    }
+    throw err;
+  }
+}
+
+/**
+ * SQLite bumps `data_version` whenever another connection commits, which is
+ * exactly the signal task-store needs to reload a board another process
+ * changed. Commits on this connection leave it untouched.
+ * @returns {number}
+ */
+export function getTaskStoreDataVersion(entry) {
+  return Number(prepare(entry, "PRAGMA data_version").get()?.data_version || 0);
+}
+
+// ---------------------------------------------------------------------------
+// Index columns
+// ---------------------------------------------------------------------------
+
+/**
+ * Derive the indexed columns for a task. queryTasks() on the JSON engine
+ * filters on the same values, so both engines answer a query identically.
+ * @param {object} task
+ */
+export function buildTaskIndexColumns(task = {}) {
+  const optional = (value) => asText(value) || null;
+  return {
+    status: asText(task.status),
+    sprint_id: optional(task.sprintId),
+    parent_task_id: optional(task.parentTaskId),
+    epic_id: optional(task.epicId),
+    assignee: optional(task.assignee),
+    priority: optional(task.priority),
+    type: optional(task.type),
+    workspace_key: optional(task.workspace)?.toLowerCase() || null,
+    repository_key: optional(task.repository)?.toLowerCase() || null,
+    title_key: asText(task.title).toLowerCase(),
+    search_text: [task.id, task.title, task.description]
+      .map((value) => asText(value))
+      .filter(Boolean)
+      .join("\n")
+      .toLowerCase(),
+    created_at: asText(task.createdAt),
+    updated_at: asText(task.updatedAt),
+    tags: [...new Set((Array.isArray(task.tags) ? task.tags : [])
+      .map((tag) => asText(tag).toLowerCase())
+      .filter(Boolean))],
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Snapshot read / write
+// ---------------------------------------------------------------------------
+
+/**
+ * @returns {boolean} true once a board has been written to this database
+ */
+export function hasTaskStoreSnapshot(entry) {
+  return Boolean(prepare(entry, "SELECT 1 AS present FROM store_meta WHERE key = 'meta'").get());
+}
+
+/**
+ * Read the whole board back as the `{ _meta, tasks, sprints }` shape
+ * task-store.mjs keeps in memory. Documents are returned as stored;
+ * task-store normalizes them.
+ */
+export function readTaskStoreSnapshot(entry) {
+  const metaRow = prepare(entry, "SELECT value_text FROM store_meta WHERE key = 'meta'").get();
+  const tasks = {};
+  for (const row of prepare(entry, "SELECT id, document_json FROM tasks").all()) {
+    const doc = parseJsonText(row.document_json);
+    if (doc && typeof doc === "object") tasks[row.id] = doc;
+  }
+  const sprints = {};
+  for (const row of prepare(entry, "SELECT id, document_json FROM sprints").all()) {
+    const doc = parseJsonText(row.document_json);
+    if (doc && typeof doc === "object") sprints[row.id] = doc;
+  }
+  return {
+    _meta: parseJsonText(metaRow?.value_text) || {},
+    tasks,
+    sprints,
+  };
+}
+
+function setMetaValue(entry, key, value, updatedAt) {
+  prepare(entry, `
+    INSERT INTO store_meta (key, value_text, updated_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET
+      value_text = excluded.value_text,
+      updated_at = excluded.updated_at
+  `).run(key, value, updatedAt);
+}
+
+/**
+ * Read a bookkeeping value from store_meta (e.g. "migrated_from").
+ * @returns {string|null}
+ */
+export function getTaskStoreMetaValue(entry, key) {
+  return prepare(entry, "SELECT value_text FROM store_meta WHERE key = ?").get(key)?.value_text ?? null;
+}
+
+function upsertTaskRow(entry, id, documentJson, task) {
+  const columns = buildTaskIndexColumns(task);
+  prepare(entry, `
+    INSERT INTO tasks (
+      id, status, sprint_id, parent_task_id, epic_id, assignee, priority, type,
+      workspace_key, repository_key, title_key, search_text, created_at, updated_at,
+      document_json
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(id) DO UPDATE SET
+      status = excluded.status,
+      sprint_id = excluded.sprint_id,
+      parent_task_id = excluded.parent_task_id,
+      epic_id = excluded.epic_id,
+      assignee = excluded.assignee,
+      priority = excluded.priority,
+      type = excluded.type,
+      workspace_key = excluded.workspace_key,
+      repository_key = excluded.repository_key,
+      title_key = excluded.title_key,
+      search_text = excluded.search_text,
+      created_at = excluded.created_at,
+      updated_at = excluded.updated_at,
+      document_json = excluded.document_json
+  `).run(
+    id,
+    columns.status,
+    columns.sprint_id,
+    columns.parent_task_id,
+    columns.epic_id,
+    columns.assignee,
+    columns.priority,
+    columns.type,
+    columns.workspace_key,
+    columns.repository_key,
+    columns.title_key,
+    columns.search_text,
+    columns.created_at,
+    columns.updated_at,
+    documentJson,
+  );
+  prepare(entry, "DELETE FROM task_tags WHERE task_id = ?").run(id);
+  for (const tag of columns.tags) {
+    prepare(entry, "INSERT INTO task_tags (task_id, tag) VALUES (?, ?)").run(id, tag);
+  }
+}
+
+/**
+ * Apply a set of row-level changes in one transaction.
+ * @param {object} entry
+ * @param {object} changes
+ * @param {string|null} [changes.metaJson] - serialized `_meta`, when changed
+ * @param {Array<{id: string, json: string, task: object}>} [changes.tasks]
+ * @param {string[]} [changes.deletedTaskIds]
+ * @param {Array<{id: string, json: string}>} [changes.sprints]
+ * @param {string[]} [changes.deletedSprintIds]
+ * @param {Record<string, string>} [changes.bookkeeping] - extra store_meta keys
+ */
+export function writeTaskStoreChanges(entry, changes = {}) {
+  const updatedAt = new Date().toISOString();
+  runTransaction(entry, () => {
+    for (const id of changes.deletedTaskIds || []) {
+      prepare(entry, "DELETE FROM tasks WHERE id = ?").run(id);
+    }
+    for (const { id, json, task } of changes.tasks || []) {
+      upsertTaskRow(entry, id, json, task);
+    }
+    for (const id of changes.deletedSprintIds || []) {
+      prepare(entry, "DELETE FROM sprints WHERE id = ?").run(id);
+    }
+    for (const { id, json } of changes.sprints || []) {
+      prepare(entry, `
+        INSERT INTO sprints (id, document_json) VALUES (?, ?)
+        ON CONFLICT(id) DO UPDATE SET document_json = excluded.document_json
+      `).run(id, json);
+    }
+    if (changes.metaJson != null) {
+      setMetaValue(entry, "meta", changes.metaJson, updatedAt);
+    }
+    for (const [key, value] of Object.entries(changes.bookkeeping || {})) {
+      setMetaValue(entry, key, value == null ? null : String(value), updatedAt);
+    }
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Queries
+// ---------------------------------------------------------------------------
+
+/**
+ * Encode a keyset cursor for the row a page ended on.
+ * @param {string} sortValue
+ * @param {string} id
+ */
+export function encodeTaskQueryCursor(sortValue, id) {
+  return Buffer.from(JSON.stringify([sortValue, id]), "utf8").toString("base64url");
+}
+
+function decodeTaskQueryCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (Array.isArray(decoded) && decoded.length === 2) {
+      return { value: String(decoded[0] ?? ""), id: String(decoded[1] ?? "") };
+    }
+  } catch {
+    /* fall through */
+  }
+  throw new Error("Invalid task query cursor");
+}
+
+function normalizeFilterValues(raw, { lower = false } = {}) {
+  const list = Array.isArray(raw) ? raw : [raw];
+  return [...new Set(list
+    .map((value) => (value == null ? null : asText(value)))
+    .map((value) => (value && lower ? value.toLowerCase() : value))
+    .filter((value) => value === null || value !== ""))];
+}
+
+/**
+ * Validate and normalize a queryTasks() request.
+ *
+ * `where` keys hold a value or a list of values (any-of); `null` matches
+ * tasks without the field, e.g. `{ parentTaskId: null }` for top-level
+ * tasks. `tags` matches tasks carrying any of the tags, `search` is a
+ * case-insensitive substring of id, title and description, and
+ * `includeUnscoped` with `workspace` also returns tasks that carry no
+ * workspace at all. `orderBy` is a field name or `"field:asc|desc"`.
+ */
+export function normalizeTaskQuery(query = {}) {
+  const rawWhere = query.where && typeof query.where === "object" ? query.where : {};
+  const filters = [];
+  for (const [key, column] of Object.entries(WHERE_COLUMNS)) {
+    if (!Object.prototype.hasOwnProperty.call(rawWhere, key) || rawWhere[key] === undefined) continue;
+    const values = normalizeFilterValues(rawWhere[key], {
+      lower: key === "workspace" || key === "repository",
+    });
+    if (values.length === 0) continue;
+    filters.push({
+      key,
+      column,
+      values,
+      includeNull: key === "workspace" && rawWhere.includeUnscoped === true,
+    });
+  }
+  const tagSource = rawWhere.tags ?? rawWhere.tag;
+  const tags = tagSource == null
+    ? []
+    : normalizeFilterValues(tagSource, { lower: true }).filter(Boolean);
+  const search = asText(rawWhere.search).toLowerCase();
+
+  const [rawField, rawDirection] = asText(query.orderBy || "updatedAt:desc").split(":");
+  if (!TASK_QUERY_ORDER_FIELDS[rawField]) {
+    throw new Error(`Unsupported task query orderBy: ${rawField}`);
+  }
+  const direction = asText(rawDirection).toLowerCase() === "asc" ? "asc" : "desc";
+  const limitValue = Number(query.limit);
+  const limit = Number.isFinite(limitValue) && limitValue > 0
+    ? Math.min(MAX_QUERY_LIMIT, Math.trunc(limitValue))
+    : DEFAULT_QUERY_LIMIT;
+
+  return {
+    filters,
+    tags,
+    search,
+    orderBy: { field: rawField, column: TASK_QUERY_ORDER_FIELDS[rawField], direction },
+    limit,
+    cursor: decodeTaskQueryCursor(query.cursor),
+  };
+}
+
+/**
+ * In-memory counterpart of the SQL WHERE clause, used by the JSON engine.
+ * @param {ReturnType<typeof buildTaskIndexColumns>} columns
+ * @param {ReturnType<typeof normalizeTaskQuery>} query
+ */
+export function matchesTaskQuery(columns, query) {
+  for (const filter of query.filters) {
+    const value = columns[filter.column];
+    if (value == null && filter.includeNull) continue;
+    if (!filter.values.includes(value ?? null)) return false;
+  }
+  if (query.tags.length > 0 && !query.tags.some((tag) => columns.tags.includes(tag))) {
+    return false;
+  }
+  if (query.search && !columns.search_text.includes(query.search)) return false;
+  return true;
+}
+
+function buildWhereSql(query, { skipStatus = false } = {}) {
+  const clauses = [];
+  const params = [];
+  for (const filter of query.filters) {
+    if (skipStatus && filter.key === "status") continue;
+    const parts = [];
+    const present = filter.values.filter((value) => value !== null);
+    if (present.length > 0) {
+      parts.push(`${filter.column} IN (${present.map(() => "?").join(", ")})`);
+      params.push(...present);
+    }
+    if (filter.values.includes(null) || filter.includeNull) {
+      parts.push(`${filter.column} IS NULL`);
+    }
+    clauses.push(`(${parts.join(" OR ")})`);
+  }
+  if (query.tags.length > 0) {
+    clauses.push(
+      `id IN (SELECT task_id FROM task_tags WHERE tag IN (${query.tags.map(() => "?").join(", ")}))`,
+    );
+    params.push(...query.tags);
+  }
+  if (query.search) {
+    clauses.push("instr(search_text, ?) > 0");
+    params.push(query.search);
+  }
+  return { clauses, params };
+}
+
+/**
+ * Run a normalized query against the database.
+ * @returns {{ids: string[], nextCursor: string|null, total: number, statusTotals: Record<string, number>}}
+ *   statusTotals — per-status counts for the same filters, ignoring `status`
+ */
+export function queryTaskStoreIds(entry, query) {
+  const { column, direction } = query.orderBy;
+  const base = buildWhereSql(query);
+  const pageClauses = [...base.clauses];
+  const pageParams = [...base.params];
+  if (query.cursor) {
+    const op = direction === "asc" ? ">" : "<";
+    pageClauses.push(`(${column} ${op} ? OR (${column} = ? AND id ${op} ?))`);
+    pageParams.push(query.cursor.value, query.cursor.value, query.cursor.id);
+  }
+  const whereSql = (clauses) => (clauses.length ? `WHERE ${clauses.join(" AND ")}` : "");
+  const rows = entry.db.prepare(`
+    SELECT id, ${column} AS sort_value FROM tasks
+    ${whereSql(pageClauses)}
+    ORDER BY ${column} ${direction}, id ${direction}
+    LIMIT ?
+  `).all(...pageParams, query.limit + 1);
+  const total = Number(entry.db.prepare(`SELECT COUNT(*) AS total FROM tasks ${whereSql(base.clauses)}`)
+    .get(...base.params)?.total || 0);
+  const statusWhere = buildWhereSql(query, { skipStatus: true });
+  const statusTotals = {};
+  for (const row of entry.db.prepare(`
+    SELECT status, COUNT(*) AS count FROM tasks ${whereSql(statusWhere.clauses)} GROUP BY status
+  `).all(...statusWhere.params)) {
+    statusTotals[row.status] = Number(row.count);
+  }
+  const page = rows.slice(0, query.limit);
+  const last = page[page.length - 1];
+  return {
+    ids: page.map((row) => row.id),
+    nextCursor: rows.length > query.limit && last
+      ? encodeTaskQueryCursor(last.sort_value ?? "", last.id)
+      : null,
+    total,
+    statusTotals,
+  };
+}
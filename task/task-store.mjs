@@ -3,6 +3,12 @@
  *
  * Stores data in .cache/kanban-state.json relative to this file.
  * Provides an in-memory cache with auto-persist on every mutation.
+ *
+ * With BOSUN_TASK_STORE_ENGINE=sqlite the board is persisted to a sibling
+ * kanban-state.sqlite database instead (see task-store-sqlite.mjs): saves
+ * write only the rows that changed, other processes' commits are picked up
+ * on the next access, and queryTasks() runs on indexed columns. An existing
+ * JSON store is migrated into the database on first load and left in place.
  */
 
 import { resolve, dirname, basename, posix as posixPath } from "node:path";
@@ -11,13 +17,61 @@ import { fileURLToPath } from "node:url";
 import {
   readFileSync,
   writeFileSync,
+  appendFileSync,
   mkdirSync,
   renameSync,
   existsSync,
   statSync,
   unlinkSync,
 } from "node:fs";
-import { syncTaskStoreToStateLedger } from "../lib/state-ledger-sqlite.mjs";
+import { randomUUID } from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+import {
+  appendOperatorActionToStateLedger,
+  syncTaskStoreToStateLedger,
+} from "../lib/state-ledger-sqlite.mjs";
+import { readLinesFromTail } from "../lib/jsonl-tail.mjs";
+import {
+  buildTaskIndexColumns,
+  encodeTaskQueryCursor,
+  getTaskStoreDataVersion,
+  hasTaskStoreSnapshot,
+  matchesTaskQuery,
+  normalizeTaskQuery,
+  openTaskStoreDatabase,
+  queryTaskStoreIds,
+  readTaskStoreSnapshot,
+  writeTaskStoreChanges,
+} from "./task-store-sqlite.mjs";
+import {
+  mergeSyncFields,
+  pickSyncFields,
+  reconcileSyncConflicts,
+} from "./task-sync-merge.mjs";
+import {
+  fingerprintAcceptanceCriteria,
+  normalizeAcceptanceCriteria,
+} from "./task-acceptance.mjs";
+import {
+  JOURNAL_REVERT_ACTION_TYPES,
+  diffJournalRecord,
+  findJournalConflicts,
+  resolveJournalStep,
+  summarizeJournalChange,
+  summarizeJournalEntry,
+} from "./task-journal.mjs";
+import {
+  filterTasksByQuery,
+  normalizeBulkTaskMutation,
+  parseTaskQuery,
+  planBulkTaskChange,
+} from "./task-query.mjs";
+import {
+  computeNextRecurrenceRun,
+  normalizeTaskRecurrence,
+  normalizeTaskTemplate,
+  renderTaskTemplate,
+} from "./task-templates.mjs";
 import {
   normalizeTaskRunJournalRef,
   persistTaskRunJournal,
@@ -144,8 +198,21 @@ function resolveDefaultStorePath() {
   return resolveStorePathForRuntime(resolvePersistentStorePath());
 }
 
+function resolveStoreEngine(rawEngine) {
+  const engine = String(rawEngine || "").trim().toLowerCase();
+  if (!engine || engine === "json") return "json";
+  if (engine === "sqlite") return "sqlite";
+  console.warn(TAG, `Unknown task store engine "${rawEngine}"; using json`);
+  return "json";
+}
+
+function resolveStoreDatabasePath(jsonPath) {
+  return jsonPath.replace(/\.json$/i, "") + ".sqlite";
+}
+
 let storePath = resolveDefaultStorePath();
 let storeTmpPath = storePath + ".tmp";
+let storeEngine = resolveStoreEngine(process.env.BOSUN_TASK_STORE_ENGINE);
 const MAX_STATUS_HISTORY = 50;
 const MAX_AGENT_OUTPUT = 2000;
 const MAX_ERROR_LENGTH = 1000;
@@ -154,6 +221,8 @@ const MAX_TASK_COMMENTS = 200;
 const MAX_WORKFLOW_RUN_LINKS = 200;
 const MAX_TASK_RUN_STEPS = 120;
 const MAX_TASK_RUNS = 20;
+const MAX_OPERATOR_JOURNAL = 100;
+const DEFAULT_OPERATOR_JOURNAL_MAX_BYTES = 2 * 1024 * 1024;
 const ATOMIC_RENAME_FALLBACK_CODES = new Set(["EPERM", "EACCES", "EBUSY", "EXDEV"]);
 const TERMINAL_TASK_STATUSES = new Set(["done", "cancelled"]);
 const SPRINT_ORDER_MODES = new Set(["parallel", "sequential"]);
@@ -223,6 +292,10 @@ let _writeDirty = false;
 let _didLogInitialLoad = false;
 let _lastLoadedMtimeMs = 0;
 let _lastLoadedSizeBytes = 0;
+// sqlite engine: serialized documents as last written, so saves only touch
+// rows that changed, and the data_version the board was loaded at.
+let _persisted = { meta: null, tasks: new Map(), sprints: new Map() };
+let _lastDataVersion = 0;
 
 export function configureTaskStore(options = {}) {
   const baseDir = options.baseDir ? resolve(options.baseDir) : null;
@@ -239,10 +312,12 @@ export function configureTaskStore(options = {}) {
         "kanban-state.json",
       );
   const nextPath = resolveStorePathForRuntime(configuredPath);
+  const nextEngine = resolveStoreEngine(options.engine ?? process.env.BOSUN_TASK_STORE_ENGINE);
 
-  if (nextPath !== storePath) {
+  if (nextPath !== storePath || nextEngine !== storeEngine) {
     storePath = nextPath;
     storeTmpPath = storePath + ".tmp";
+    storeEngine = nextEngine;
     _store = null;
     _loaded = false;
     _writeChain = Promise.resolve();
@@ -251,6 +326,8 @@ export function configureTaskStore(options = {}) {
     _didLogInitialLoad = false;
     _lastLoadedMtimeMs = 0;
     _lastLoadedSizeBytes = 0;
+    _persisted = { meta: null, tasks: new Map(), sprints: new Map() };
+    _lastDataVersion = 0;
   }
 
   return storePath;
@@ -519,6 +596,28 @@ function uniqueStringList(raw, options = {}) {
   return out;
 }
 
+function normalizeAcceptanceReport(rawReport) {
+  if (!rawReport || typeof rawReport !== "object" || !Array.isArray(rawReport.results)) {
+    return null;
+  }
+  const results = rawReport.results
+    .filter((entry) => entry && typeof entry === "object" && String(entry.id || "").trim())
+    .map((entry) => ({
+      id: String(entry.id).trim(),
+      kind: entry.kind != null ? String(entry.kind) : null,
+      description: entry.description != null ? String(entry.description) : null,
+      passed: entry.passed === true,
+      detail: entry.detail != null ? truncate(String(entry.detail), MAX_ERROR_LENGTH) : null,
+    }));
+  return {
+    passed: rawReport.passed === true && results.every((entry) => entry.passed),
+    evaluatedAt: String(rawReport.evaluatedAt || now()),
+    fingerprint: rawReport.fingerprint != null ? String(rawReport.fingerprint) : null,
+    source: rawReport.source != null ? String(rawReport.source) : null,
+    results,
+  };
+}
+
 function normalizeTaskComments(rawComments) {
   const values = Array.isArray(rawComments) ? rawComments : [];
   const normalized = [];
@@ -909,6 +1008,11 @@ function buildTaskCompletionGuardContext(task, overrides = {}) {
 
 function recordLifecycleGuardBlock(task, action, guard, options = {}) {
   if (!task || typeof task !== "object") return;
+  pushLifecycleGuardBlock(task, action, guard, options);
+  saveStore();
+}
+
+function pushLifecycleGuardBlock(task, action, guard, options = {}) {
   pushTaskTimeline(task, {
     type: "lifecycle.blocked",
     source: options.source || "task-store",
@@ -926,10 +1030,43 @@ function recordLifecycleGuardBlock(task, action, guard, options = {}) {
       reviewStatus: guard?.reviewStatus || null,
       hasReviewReference: guard?.hasReviewReference === true,
       requiredStatus: guard?.requiredStatus || null,
+      ...(Array.isArray(guard?.failedCriteria) ? { failedCriteria: guard.failedCriteria } : {}),
     },
   });
   markTaskTouched(task, options.source || "task-store");
-  saveStore();
+}
+
+/**
+ * Tasks with acceptance criteria can only be completed once the latest
+ * acceptance report covers the current criteria and every criterion passed.
+ */
+function evaluateAcceptanceGuard(task) {
+  const criteria = normalizeAcceptanceCriteria(task.acceptanceCriteria);
+  if (criteria.length === 0) return null;
+  const report = normalizeAcceptanceReport(task.acceptanceReport);
+  const fingerprint = fingerprintAcceptanceCriteria(criteria);
+  if (!report || report.fingerprint !== fingerprint) {
+    return {
+      error: "completion_guard_blocked",
+      reason: "acceptance_criteria_unevaluated",
+      message: report
+        ? "Acceptance criteria changed since they were last evaluated. Re-evaluate them before marking this task done."
+        : "Task acceptance criteria have not been evaluated. Evaluate them before marking this task done.",
+      requiredStatus: "acceptance_passed",
+      failedCriteria: criteria.map((criterion) => criterion.id),
+    };
+  }
+  if (report.passed) return null;
+  const failed = report.results.filter((entry) => !entry.passed);
+  return {
+    error: "completion_guard_blocked",
+    reason: "acceptance_criteria_unmet",
+    message: `Task acceptance criteria failed: ${failed
+      .map((entry) => entry.description || entry.id)
+      .join("; ")}`,
+    requiredStatus: "acceptance_passed",
+    failedCriteria: failed.map((entry) => entry.id),
+  };
 }
 
 export function evaluateTaskCompletionGuard(taskOrId, options = {}) {
@@ -953,6 +1090,9 @@ export function evaluateTaskCompletionGuard(taskOrId, options = {}) {
   );
   if (requestedStatus !== "done") return null;
 
+  const acceptanceGuard = evaluateAcceptanceGuard(task);
+  if (acceptanceGuard) return acceptanceGuard;
+
   const guardContext = buildTaskCompletionGuardContext(
     task,
     options.patch && typeof options.patch === "object" ? options.patch : {},
@@ -995,12 +1135,32 @@ function shouldKeepTaskInReview(task, requestedStatus, options = {}) {
   return nextStatus === "todo" || nextStatus === "backlog" || nextStatus === "inprogress";
 }
 
+/**
+ * Resolve the status a task may actually move to. Returns the status plus the
+ * acceptance guard that held it back from "done", if any; callers record the
+ * block (applyTaskStatusGuardBlock) once their own mutation is complete.
+ */
 function resolveProtectedTaskStatus(task, requestedStatus, options = {}) {
   const nextStatus = normalizeTaskStatus(requestedStatus);
   if (shouldKeepTaskInReview(task, nextStatus, options)) {
-    return "inreview";
+    return { status: "inreview", guard: null };
   }
-  return nextStatus;
+  if (
+    nextStatus === "done" &&
+    options.force !== true &&
+    options.manualOverride !== true &&
+    options.allowCompletionOverride !== true
+  ) {
+    const guard = evaluateAcceptanceGuard(task);
+    if (guard) return { status: normalizeTaskStatus(task.status), guard };
+  }
+  return { status: nextStatus, guard: null };
+}
+
+function applyTaskStatusGuardBlock(task, guard, source) {
+  if (!guard) return;
+  console.warn(TAG, `task ${task.id} not marked done: ${guard.message}`);
+  pushLifecycleGuardBlock(task, "complete", guard, { source, targetStatus: "done" });
 }
 
 function normalizeTaskStructure(rawTask = {}) {
@@ -1075,6 +1235,8 @@ function normalizeTaskStructure(rawTask = {}) {
       : 2,
     sprintId: normalizeSprintId(normalizedBase.sprintId),
     sprintOrder: normalizeSprintOrder(normalizedBase.sprintOrder),
+    acceptanceCriteria: normalizeAcceptanceCriteria(normalizedBase.acceptanceCriteria),
+    acceptanceReport: normalizeAcceptanceReport(normalizedBase.acceptanceReport),
     workspace: workspaceKey || null,
     repository: repositoryKey || null,
     repositories: scopedRepositoryKeys,
@@ -1108,6 +1270,9 @@ function defaultMeta() {
     projectId: null,
     lastFullSync: null,
     epicDependencies: {},
+    taskTemplates: {},
+    taskRecurrences: {},
+    operatorJournal: [],
     sprintOrderMode: "parallel",
     taskCount: 0,
     stats: {
@@ -1179,11 +1344,16 @@ function defaultTask(overrides = {}) {
     reviewIssues: null,
     reviewedAt: null,
 
+    acceptanceCriteria: [],
+    acceptanceReport: null,
+
     cooldownUntil: null,
     blockedReason: null,
 
     lastSyncedAt: null,
     syncDirty: false,
+    syncBase: null,
+    syncConflicts: [],
 
     meta: {},
     ...overrides,
@@ -1446,6 +1616,15 @@ function getStoreFingerprint() {
 }
 
 function maybeReloadStoreFromDisk() {
+  if (storeEngine === "sqlite") {
+    try {
+      const dataVersion = getTaskStoreDataVersion(openTaskStoreDatabase(getStoreDatabasePath()));
+      if (dataVersion !== _lastDataVersion) loadStore();
+    } catch (err) {
+      console.warn(TAG, "Task store database check failed:", err?.message || err);
+    }
+    return;
+  }
   const disk = getStoreFingerprint();
   const mtimeChanged = disk.mtimeMs > _lastLoadedMtimeMs;
   const sizeChanged = disk.sizeBytes !== _lastLoadedSizeBytes;
@@ -1484,57 +1663,147 @@ function backupCorruptStorePayload(raw, parseErr) {
 // Store management
 // ---------------------------------------------------------------------------
 
+function readStoreFile() {
+  const raw = readFileSync(storePath, "utf-8");
+  try {
+    return JSON.parse(raw);
+  } catch (parseErr) {
+    const backupPath = `${storePath}.bak`;
+    try {
+      writeFileSync(backupPath, raw, "utf-8");
+      console.warn(
+        TAG,
+        `Corrupt store detected; backed up original to ${backupPath}`,
+      );
+    } catch (backupErr) {
+      console.warn(
+        TAG,
+        `Corrupt store detected; failed to back up to ${backupPath}: ${backupErr?.message || backupErr}`,
+      );
+    }
+    throw parseErr;
+  }
+}
+
+/**
+ * Normalize a persisted `{ _meta, tasks, sprints }` payload into `_store`.
+ * @returns {boolean} true when task run journals were backfilled and the
+ *   store needs saving
+ */
+function hydrateStore(data) {
+  let didBackfillTaskRunJournals = false;
+  const normalizedTasks = {};
+  const sourceTasks = data && data.tasks && typeof data.tasks === "object" ? data.tasks : {};
+  for (const [taskId, taskValue] of Object.entries(sourceTasks)) {
+    const resolvedId = String(taskValue?.id || taskId || "").trim();
+    if (!resolvedId) continue;
+    normalizedTasks[resolvedId] = normalizeTaskStructure({ ...taskValue, id: resolvedId });
+    if (backfillTaskRunJournalsForTask(normalizedTasks[resolvedId])) {
+      didBackfillTaskRunJournals = true;
+    }
+  }
+  _store = {
+    _meta: { ...defaultMeta(), ...(data?._meta || {}), sprintOrderMode: resolveSprintOrderMode(data && data._meta ? data._meta.sprintOrderMode : null) },
+    tasks: normalizedTasks,
+    sprints: {},
+  };
+  for (const taskId of Object.keys(normalizedTasks)) {
+    refreshTaskGraphTopology(taskId);
+  }
+  const sourceSprints = data && data.sprints && typeof data.sprints === "object" ? data.sprints : {};
+  for (const [sprintId, sprintValue] of Object.entries(sourceSprints)) {
+    const normalizedSprint = normalizeSprintStructure({ ...sprintValue, id: sprintId }, _store.sprints[sprintId] || null);
+    if (!normalizedSprint) continue;
+    _store.sprints[normalizedSprint.id] = normalizedSprint;
+  }
+  return didBackfillTaskRunJournals;
+}
+
+/**
+ * Collect the tasks, sprints and meta whose serialized form differs from
+ * what was last written to the database.
+ */
+function collectDatabaseChanges() {
+  const changes = { metaJson: null, tasks: [], deletedTaskIds: [], sprints: [], deletedSprintIds: [] };
+  const nextTasks = new Map();
+  for (const [taskId, task] of Object.entries(_store.tasks)) {
+    const json = JSON.stringify(task);
+    nextTasks.set(taskId, json);
+    if (_persisted.tasks.get(taskId) !== json) changes.tasks.push({ id: taskId, json, task });
+  }
+  for (const taskId of _persisted.tasks.keys()) {
+    if (!nextTasks.has(taskId)) changes.deletedTaskIds.push(taskId);
+  }
+  const nextSprints = new Map();
+  for (const [sprintId, sprint] of Object.entries(ensureSprintsMap())) {
+    const json = JSON.stringify(sprint);
+    nextSprints.set(sprintId, json);
+    if (_persisted.sprints.get(sprintId) !== json) changes.sprints.push({ id: sprintId, json });
+  }
+  for (const sprintId of _persisted.sprints.keys()) {
+    if (!nextSprints.has(sprintId)) changes.deletedSprintIds.push(sprintId);
+  }
+  const metaJson = JSON.stringify(_store._meta);
+  if (metaJson !== _persisted.meta) changes.metaJson = metaJson;
+  return { changes, next: { meta: metaJson, tasks: nextTasks, sprints: nextSprints } };
+}
+
+function persistStoreToDatabase(bookkeeping = null) {
+  const { changes, next } = collectDatabaseChanges();
+  const hasChanges = changes.metaJson != null
+    || changes.tasks.length > 0
+    || changes.deletedTaskIds.length > 0
+    || changes.sprints.length > 0
+    || changes.deletedSprintIds.length > 0
+    || bookkeeping;
+  if (!hasChanges) return;
+  writeTaskStoreChanges(openTaskStoreDatabase(getStoreDatabasePath()), {
+    ...changes,
+    bookkeeping: bookkeeping || {},
+  });
+  _persisted = next;
+}
+
+function loadStoreFromDatabase() {
+  const databasePath = getStoreDatabasePath();
+  const entry = openTaskStoreDatabase(databasePath);
+  _persisted = { meta: null, tasks: new Map(), sprints: new Map() };
+  if (!hasTaskStoreSnapshot(entry) && existsSync(storePath)) {
+    hydrateStore(readStoreFile());
+    recalcStats();
+    persistStoreToDatabase({ migrated_from: storePath, migrated_at: now() });
+    _lastDataVersion = getTaskStoreDataVersion(entry);
+    console.log(
+      TAG,
+      `Migrated ${Object.keys(_store.tasks).length} tasks from ${storePath} to ${databasePath}`,
+    );
+    return false;
+  }
+  const didBackfillTaskRunJournals = hydrateStore(readTaskStoreSnapshot(entry));
+  // Rows stay as they were written until a task actually changes; loading
+  // and normalizing alone must not rewrite the whole board on the next save.
+  _persisted = collectDatabaseChanges().next;
+  _lastDataVersion = getTaskStoreDataVersion(entry);
+  return didBackfillTaskRunJournals;
+}
+
 /**
  * Load store from disk. Called automatically on first access.
  */
 export function loadStore() {
   let didBackfillTaskRunJournals = false;
   try {
-    if (existsSync(storePath)) {
-      const raw = readFileSync(storePath, "utf-8");
-      let data;
-      try {
-        data = JSON.parse(raw);
-      } catch (parseErr) {
-        const backupPath = `${storePath}.bak`;
-        try {
-          writeFileSync(backupPath, raw, "utf-8");
-          console.warn(
-            TAG,
-            `Corrupt store detected; backed up original to ${backupPath}`,
-          );
-        } catch (backupErr) {
-          console.warn(
-            TAG,
-            `Corrupt store detected; failed to back up to ${backupPath}: ${backupErr?.message || backupErr}`,
-          );
-        }
-        throw parseErr;
-      }
-      const normalizedTasks = {};
-      const sourceTasks = data && data.tasks && typeof data.tasks === "object" ? data.tasks : {};
-      for (const [taskId, taskValue] of Object.entries(sourceTasks)) {
-        const resolvedId = String(taskValue?.id || taskId || "").trim();
-        if (!resolvedId) continue;
-        normalizedTasks[resolvedId] = normalizeTaskStructure({ ...taskValue, id: resolvedId });
-        if (backfillTaskRunJournalsForTask(normalizedTasks[resolvedId])) {
-          didBackfillTaskRunJournals = true;
-        }
-      }
-      _store = {
-        _meta: { ...defaultMeta(), ...(data._meta || {}), sprintOrderMode: resolveSprintOrderMode(data && data._meta ? data._meta.sprintOrderMode : null) },
-        tasks: normalizedTasks,
-        sprints: {},
-      };
-      for (const taskId of Object.keys(normalizedTasks)) {
-        refreshTaskGraphTopology(taskId);
-      }
-      const sourceSprints = data && data.sprints && typeof data.sprints === "object" ? data.sprints : {};
-      for (const [sprintId, sprintValue] of Object.entries(sourceSprints)) {
-        const normalizedSprint = normalizeSprintStructure({ ...sprintValue, id: sprintId }, _store.sprints[sprintId] || null);
-        if (!normalizedSprint) continue;
-        _store.sprints[normalizedSprint.id] = normalizedSprint;
+    if (storeEngine === "sqlite") {
+      didBackfillTaskRunJournals = loadStoreFromDatabase();
+      if (!_didLogInitialLoad) {
+        _didLogInitialLoad = true;
+        console.log(
+          TAG,
+          `Loaded ${Object.keys(_store.tasks).length} tasks from ${getStoreDatabasePath()}`,
+        );
       }
+    } else if (existsSync(storePath)) {
+      didBackfillTaskRunJournals = hydrateStore(readStoreFile());
       if (!_didLogInitialLoad) {
         _didLogInitialLoad = true;
         console.log(
@@ -1564,11 +1833,25 @@ export function loadStore() {
 }
 
 /**
- * Persist store to disk (atomic write via tmp+rename).
+ * Persist store to disk (atomic write via tmp+rename). The sqlite engine
+ * commits the changed rows synchronously; the state ledger sync is queued
+ * on the write chain for both engines.
  */
 export function saveStore() {
-  ensureLoaded();
-  recalcStats();
+  if (storeEngine === "sqlite") {
+    // Reloading here would drop the mutation being saved; changes other
+    // processes committed meanwhile are picked up on the next access.
+    if (!_loaded) loadStore();
+    recalcStats();
+    try {
+      persistStoreToDatabase();
+    } catch (err) {
+      console.error(TAG, "Failed to save store:", err.message);
+    }
+  } else {
+    ensureLoaded();
+    recalcStats();
+  }
   _writeDirty = true;
   if (_writeScheduled) return;
   _writeScheduled = true;
@@ -1578,32 +1861,9 @@ export function saveStore() {
       while (_writeDirty) {
         _writeDirty = false;
         try {
-          const dir = dirname(storePath);
-          if (!existsSync(dir)) {
-            mkdirSync(dir, { recursive: true });
-          }
-          const json = JSON.stringify(_store, null, 2);
-          writeFileSync(storeTmpPath, json, "utf-8");
-          try {
-            renameSync(storeTmpPath, storePath);
-          } catch (renameErr) {
-            if (!ATOMIC_RENAME_FALLBACK_CODES.has(renameErr?.code)) {
-              throw renameErr;
-            }
-            writeFileSync(storePath, json, "utf-8");
-            try {
-              unlinkSync(storeTmpPath);
-            } catch {
-              /* best effort */
-            }
-            console.warn(
-              TAG,
-              `Atomic rename failed (${renameErr?.message || renameErr}); fell back to direct write.`,
-            );
+          if (storeEngine !== "sqlite") {
+            writeStoreFile();
           }
-          const loadedFingerprint = getStoreFingerprint();
-          _lastLoadedMtimeMs = loadedFingerprint.mtimeMs;
-          _lastLoadedSizeBytes = loadedFingerprint.sizeBytes;
           try {
             syncTaskStoreToStateLedger(_store, { anchorPath: storePath });
           } catch (ledgerErr) {
@@ -1623,6 +1883,35 @@ export function saveStore() {
     });
 }
 
+function writeStoreFile() {
+  const dir = dirname(storePath);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  const json = JSON.stringify(_store, null, 2);
+  writeFileSync(storeTmpPath, json, "utf-8");
+  try {
+    renameSync(storeTmpPath, storePath);
+  } catch (renameErr) {
+    if (!ATOMIC_RENAME_FALLBACK_CODES.has(renameErr?.code)) {
+      throw renameErr;
+    }
+    writeFileSync(storePath, json, "utf-8");
+    try {
+      unlinkSync(storeTmpPath);
+    } catch {
+      /* best effort */
+    }
+    console.warn(
+      TAG,
+      `Atomic rename failed (${renameErr?.message || renameErr}); fell back to direct write.`,
+    );
+  }
+  const loadedFingerprint = getStoreFingerprint();
+  _lastLoadedMtimeMs = loadedFingerprint.mtimeMs;
+  _lastLoadedSizeBytes = loadedFingerprint.sizeBytes;
+}
+
 /**
  * Await all queued writes. Intended for deterministic tests and maintenance code.
  */
@@ -1642,6 +1931,20 @@ export function getStorePath() {
   return storePath;
 }
 
+/**
+ * Return the active storage engine: "json" or "sqlite".
+ */
+export function getStoreEngine() {
+  return storeEngine;
+}
+
+/**
+ * Return the path of the sqlite database the sqlite engine uses.
+ */
+export function getStoreDatabasePath() {
+  return resolveStoreDatabasePath(storePath);
+}
+
 function ensureSprintsMap() {
   if (!_store.sprints || typeof _store.sprints !== "object") {
     _store.sprints = {};
@@ -1696,6 +1999,7 @@ export function upsertSprint(sprintData = {}, options = {}) {
   const existing = sprints[normalizedSprintId] || null;
   const normalized = normalizeSprintStructure({ ...sprintData, id: normalizedSprintId }, existing);
   if (!normalized) return null;
+  captureJournalRecord("sprint", normalizedSprintId);
   sprints[normalizedSprintId] = normalized;
 
   const syncTaskOrder = options.syncTaskOrder === true;
@@ -1703,6 +2007,7 @@ export function upsertSprint(sprintData = {}, options = {}) {
   for (const [index, task] of sprintTasks.entries()) {
     if (!task) continue;
     if (!syncTaskOrder && task.sprintOrder != null) continue;
+    captureJournalRecord("task", task.id);
     task.sprintOrder = index + 1;
     markTaskTouched(task, "task-sprint");
   }
@@ -1735,12 +2040,14 @@ export function deleteSprint(sprintId, options = {}) {
   if (!normalizedSprintId) return false;
   const sprints = ensureSprintsMap();
   if (!sprints[normalizedSprintId]) return false;
+  captureJournalRecord("sprint", normalizedSprintId);
   delete sprints[normalizedSprintId];
 
   const detachTasks = options.detachTasks !== false;
   if (detachTasks) {
     for (const task of Object.values(_store.tasks)) {
       if (!task || task.sprintId !== normalizedSprintId) continue;
+      captureJournalRecord("task", task.id);
       const previousSprintOrder = task.sprintOrder;
       task.sprintId = null;
       task.sprintOrder = null;
@@ -1801,6 +2108,69 @@ export function getTasksByStatus(status) {
   return Object.values(_store.tasks).filter((t) => t.status === status);
 }
 
+/**
+ * Filtered, ordered, cursor-paginated task listing.
+ *
+ * On the sqlite engine the filtering and ordering run on indexed columns;
+ * the JSON engine evaluates the same query in memory. See
+ * normalizeTaskQuery() in task-store-sqlite.mjs for the `where` keys.
+ *
+ * @param {object} [query]
+ * @param {object} [query.where] - e.g. { status: ["todo", "inprogress"], tags: "ui", parentTaskId: null }
+ * @param {string} [query.orderBy] - "updatedAt" | "createdAt" | "title" | "status", optionally ":asc"/":desc" (default "updatedAt:desc")
+ * @param {number} [query.limit] - page size, default 50, max 500
+ * @param {string} [query.cursor] - nextCursor from the previous page
+ * @returns {{tasks: object[], nextCursor: string|null, total: number, statusTotals: Record<string, number>}}
+ *   total — matches across all pages; statusTotals — matches per status,
+ *   ignoring the status filter
+ */
+export function queryTasks(query = {}) {
+  ensureLoaded();
+  const normalized = normalizeTaskQuery(query);
+  if (storeEngine === "sqlite") {
+    const result = queryTaskStoreIds(openTaskStoreDatabase(getStoreDatabasePath()), normalized);
+    return {
+      tasks: result.ids.map((taskId) => _store.tasks[taskId]).filter(Boolean),
+      nextCursor: result.nextCursor,
+      total: result.total,
+      statusTotals: result.statusTotals,
+    };
+  }
+
+  const { column, direction } = normalized.orderBy;
+  const withoutStatus = { ...normalized, filters: normalized.filters.filter((f) => f.key !== "status") };
+  const statusTotals = {};
+  const matches = [];
+  for (const task of Object.values(_store.tasks)) {
+    const columns = buildTaskIndexColumns(task);
+    if (!matchesTaskQuery(columns, withoutStatus)) continue;
+    statusTotals[columns.status] = (statusTotals[columns.status] || 0) + 1;
+    if (!matchesTaskQuery(columns, normalized)) continue;
+    matches.push({ task, sortValue: columns[column], id: String(task.id) });
+  }
+  const sign = direction === "asc" ? 1 : -1;
+  const compare = (a, b) => {
+    if (a.sortValue !== b.sortValue) return a.sortValue < b.sortValue ? -sign : sign;
+    if (a.id === b.id) return 0;
+    return a.id < b.id ? -sign : sign;
+  };
+  matches.sort(compare);
+  const cursor = normalized.cursor;
+  const remaining = cursor
+    ? matches.filter((entry) => compare(entry, { sortValue: cursor.value, id: cursor.id }) > 0)
+    : matches;
+  const page = remaining.slice(0, normalized.limit);
+  const last = page[page.length - 1];
+  return {
+    tasks: page.map((entry) => entry.task),
+    nextCursor: remaining.length > normalized.limit && last
+      ? encodeTaskQueryCursor(last.sortValue, last.id)
+      : null,
+    total: matches.length,
+    statusTotals,
+  };
+}
+
 /**
  * Partial update of a task. Auto-sets updatedAt and syncDirty.
  * Returns the updated task or null if not found.
@@ -1812,6 +2182,7 @@ export function updateTask(taskId, updates) {
     console.warn(TAG, `updateTask: task ${taskId} not found`);
     return null;
   }
+  captureJournalRecord("task", taskId);
 
   const previousStatus = task.status;
   const patch = updates && typeof updates === "object" ? updates : {};
@@ -1860,6 +2231,7 @@ export function updateTask(taskId, updates) {
     },
   };
 
+  let requestedStatus;
   for (const [key, value] of Object.entries(patch)) {
     if (key === "id") continue;
     if (blockedKeys.has(key)) continue;
@@ -1882,7 +2254,8 @@ export function updateTask(taskId, updates) {
       continue;
     }
     if (key === "status") {
-      task.status = resolveProtectedTaskStatus(task, value, patch);
+      // Resolved after the loop so the guard sees the fully patched task.
+      requestedStatus = value;
       continue;
     }
     if (key === "type") {
@@ -1901,6 +2274,14 @@ export function updateTask(taskId, updates) {
       task.comments = normalizeTaskComments(value);
       continue;
     }
+    if (key === "acceptanceCriteria") {
+      task.acceptanceCriteria = normalizeAcceptanceCriteria(value);
+      continue;
+    }
+    if (key === "acceptanceReport") {
+      task.acceptanceReport = normalizeAcceptanceReport(value);
+      continue;
+    }
     if (key === "timeline") {
       task.timeline = normalizeTimelineEvents(value);
       continue;
@@ -1934,6 +2315,13 @@ export function updateTask(taskId, updates) {
     }
   }
 
+  let statusGuard = null;
+  if (requestedStatus !== undefined) {
+    const resolved = resolveProtectedTaskStatus(task, requestedStatus, patch);
+    task.status = resolved.status;
+    statusGuard = resolved.guard;
+  }
+
   if (typeof patch.draft === "boolean") {
     task.draft = patch.draft;
     if (patch.draft && task.status !== "draft") {
@@ -1971,6 +2359,7 @@ export function updateTask(taskId, updates) {
       message: `Status updated ${previousStatus} -> ${normalizedTask.status}`,
     });
   }
+  applyTaskStatusGuardBlock(normalizedTask, statusGuard, "updateTask");
 
   saveStore();
   return { ...normalizedTask };
@@ -2003,10 +2392,12 @@ export function addTask(taskData) {
     message: `Task created with status ${task.status}`,
   });
 
+  captureJournalRecord("task", task.id);
   _store.tasks[task.id] = task;
 
   if (task.parentTaskId && _store.tasks[task.parentTaskId]) {
     const parent = _store.tasks[task.parentTaskId];
+    captureJournalRecord("task", parent.id);
     parent.childTaskIds = uniqueStringList([...(parent.childTaskIds || []), task.id]);
     markTaskTouched(parent, "task-graph");
   }
@@ -2014,6 +2405,7 @@ export function addTask(taskData) {
   for (const dependencyId of task.dependencyTaskIds || []) {
     const dependency = _store.tasks[dependencyId];
     if (!dependency) continue;
+    captureJournalRecord("task", dependencyId);
     dependency.blockedByTaskIds = uniqueStringList([...(dependency.blockedByTaskIds || []), task.id]);
     markTaskTouched(dependency, "task-graph");
   }
@@ -2031,9 +2423,13 @@ export function removeTask(taskId) {
   ensureLoaded();
   const task = _store.tasks[taskId];
   if (!task) return false;
+  captureJournalRecord("task", taskId);
 
   for (const candidate of Object.values(_store.tasks)) {
     if (!candidate || candidate.id === taskId) continue;
+    if ([candidate.childTaskIds, candidate.dependencyTaskIds, candidate.dependsOn].some((ids) => ids?.includes(taskId))) {
+      captureJournalRecord("task", candidate.id);
+    }
     const beforeChildren = candidate.childTaskIds?.length || 0;
     const beforeDeps = candidate.dependencyTaskIds?.length || 0;
     candidate.childTaskIds = uniqueStringList((candidate.childTaskIds || []).filter((id) => id !== taskId));
@@ -2063,17 +2459,23 @@ export function removeTask(taskId) {
 /**
  * Set task status with source tracking. Appends to statusHistory.
  * source: "agent" | "orchestrator" | "external" | "review"
+ * A task with unmet acceptance criteria keeps its status instead of moving
+ * to "done" unless options.allowCompletionOverride is set.
  */
-export function setTaskStatus(taskId, status, source) {
+export function setTaskStatus(taskId, status, source, options = {}) {
   ensureLoaded();
   const task = _store.tasks[taskId];
   if (!task) {
     console.warn(TAG, `setTaskStatus: task ${taskId} not found`);
     return null;
   }
+  captureJournalRecord("task", taskId);
 
   const prev = normalizeTaskStatus(task.status);
-  const next = resolveProtectedTaskStatus(task, status);
+  const { status: next, guard } = resolveProtectedTaskStatus(task, status, {
+    allowCompletionOverride: options.allowCompletionOverride === true,
+  });
+  applyTaskStatusGuardBlock(task, guard, source);
   const tsNow = now();
   task.status = next;
   task.updatedAt = tsNow;
@@ -2085,6 +2487,12 @@ export function setTaskStatus(taskId, status, source) {
     return { ...task };
   }
 
+  recordStatusTransition(task, prev, next, source, tsNow);
+  saveStore();
+  return { ...task };
+}
+
+function recordStatusTransition(task, prev, next, source, tsNow = now()) {
   task.statusHistory.push({
     status: next,
     timestamp: tsNow,
@@ -2110,11 +2518,115 @@ export function setTaskStatus(taskId, status, source) {
 
   console.log(
     TAG,
-    `Task ${taskId} status: ${prev} → ${next} (source: ${source})`,
+    `Task ${task.id} status: ${prev} → ${next} (source: ${source})`,
   );
+}
 
-  saveStore();
-  return { ...task };
+/**
+ * Apply one mutation to every task matching a query (or an explicit id list)
+ * as a single operation. All changes are planned and checked first; if any
+ * task would be refused by the completion guard nothing is applied.
+ *
+ * Unknown sprint or epic ids are rejected up front, dry run included, and
+ * sprint moves go through the same ordering as assignTaskToSprint.
+ *
+ * Applied operations are journaled as one undoable `task.bulk_update`
+ * operator action (see runTaskOperatorAction).
+ *
+ * @param {{ query?: string, taskIds?: string[], set?: object|string[], addTags?: string[], removeTags?: string[] }} request
+ * @param {{ dryRun?: boolean, source?: string, actor?: string, now?: Date }} [options]
+ */
+export function bulkUpdateTasks(request = {}, options = {}) {
+  ensureLoaded();
+  const mutation = normalizeBulkTaskMutation(request);
+  if ("sprintId" in mutation.set && !isKnownSprintId(mutation.set.sprintId)) {
+    throw new Error(`Unknown sprint: ${mutation.set.sprintId}`);
+  }
+  if ("epicId" in mutation.set && !isKnownEpicId(mutation.set.epicId)) {
+    throw new Error(`Unknown epic: ${mutation.set.epicId}`);
+  }
+  const query = String(request.query || "").trim();
+  const explicitIds = Array.isArray(request.taskIds) ? uniqueStringList(request.taskIds) : [];
+  if (!query && explicitIds.length === 0) {
+    throw new Error("Bulk update needs a query or taskIds");
+  }
+  let matched = explicitIds.length > 0
+    ? explicitIds.map((id) => _store.tasks[id]).filter(Boolean)
+    : Object.values(_store.tasks);
+  if (query) {
+    matched = filterTasksByQuery(matched, parseTaskQuery(query), { now: options.now });
+  }
+
+  const changes = [];
+  const blocked = [];
+  for (const task of matched) {
+    const change = planBulkTaskChange(task, mutation);
+    if (!change) continue;
+    if (change.after.status === "done") {
+      const guard = evaluateTaskCompletionGuard(task, { targetStatus: "done" });
+      if (guard) blocked.push({ taskId: task.id, reason: guard.reason, message: guard.message });
+    }
+    changes.push({ taskId: task.id, title: task.title, ...change });
+  }
+
+  const summary = {
+    query: query || null,
+    mutation,
+    matched: matched.length,
+    changed: changes.length,
+    changes,
+  };
+  if (blocked.length > 0) {
+    return { ok: false, error: "completion_guard_blocked", blocked, dryRun: options.dryRun === true, ...summary };
+  }
+  if (options.dryRun === true || changes.length === 0) {
+    return { ok: true, dryRun: options.dryRun === true, actionId: null, ...summary };
+  }
+
+  const source = options.source || "bulk";
+  const actor = options.actor != null ? String(options.actor) : null;
+  return runTaskOperatorAction({
+    actionType: "task.bulk_update",
+    label: query ? `Bulk update matching "${query}"` : "Bulk update",
+    source,
+    actor,
+    request: { query: query || null, taskIds: explicitIds, mutation },
+  }, () => {
+    const actionId = resolveOperatorActionId(_operatorActionScope.getStore(), "task.bulk_update");
+    const tsNow = now();
+    for (const change of changes) {
+      const task = _store.tasks[change.taskId];
+      captureJournalRecord("task", task.id);
+      for (const [key, value] of Object.entries(change.after)) {
+        if (key === "status") {
+          const prev = normalizeTaskStatus(task.status);
+          task.status = value;
+          task.draft = value === "draft";
+          recordStatusTransition(task, prev, value, source, tsNow);
+        } else if (key === "tags") {
+          task.tags = normalizeTags(value);
+        } else if (key === "sprintId") {
+          applyTaskSprintAssignment(task, normalizeSprintId(value), { source });
+        } else if (key === "type") {
+          task.type = normalizeTaskType(value);
+        } else {
+          task[key] = value;
+        }
+      }
+      pushTaskTimeline(task, {
+        type: "task.bulk_update",
+        source,
+        actor,
+        status: task.status,
+        message: query ? `Bulk update matching "${query}"` : "Bulk update",
+        payload: { actionId, before: change.before, after: change.after },
+      });
+      markTaskTouched(task, source);
+    }
+    saveStore();
+    console.log(TAG, `Bulk update ${actionId}: ${changes.length}/${matched.length} task(s) changed`);
+    return { ok: true, dryRun: false, actionId, ...summary };
+  });
 }
 
 export function unblockTask(taskId, options = {}) {
@@ -2124,6 +2636,7 @@ export function unblockTask(taskId, options = {}) {
     console.warn(TAG, `unblockTask: task ${taskId} not found`);
     return null;
   }
+  captureJournalRecord("task", taskId);
 
   const previousStatus = normalizeTaskStatus(task.status);
   const nextStatus = normalizeTaskStatus(
@@ -2245,7 +2758,10 @@ export function transitionTaskLifecycle(taskId, action, options = {}) {
 
 
   const previousStatus = task.status;
-  const updated = setTaskStatus(taskId, targetStatus, options.source || "lifecycle");
+  // The completion guard above already ran (or was overridden).
+  const updated = setTaskStatus(taskId, targetStatus, options.source || "lifecycle", {
+    allowCompletionOverride: true,
+  });
   const resolved = _store.tasks[taskId];
   if (resolved) {
     pushTaskTimeline(resolved, {
@@ -2323,6 +2839,52 @@ export function appendTaskTimelineEvent(taskId, event = {}) {
   return normalizedEvent;
 }
 
+/**
+ * Store an acceptance-criteria evaluation on the task and record the
+ * per-criterion outcome in its timeline.
+ * Returns the stored report or null if the task is not found.
+ */
+export function recordTaskAcceptanceReport(taskId, report, options = {}) {
+  ensureLoaded();
+  const task = _store.tasks[taskId];
+  if (!task) {
+    console.warn(TAG, `recordTaskAcceptanceReport: task ${taskId} not found`);
+    return null;
+  }
+  const source = options.source || "task-store";
+  const normalized = normalizeAcceptanceReport({
+    fingerprint: fingerprintAcceptanceCriteria(task.acceptanceCriteria),
+    ...report,
+    source,
+  });
+  if (!normalized) return null;
+  task.acceptanceReport = normalized;
+  const failed = normalized.results.filter((entry) => !entry.passed);
+  pushTaskTimeline(task, {
+    type: "acceptance.evaluated",
+    source,
+    actor: options.actor != null ? String(options.actor) : null,
+    status: task.status,
+    message: normalized.passed
+      ? `All ${normalized.results.length} acceptance criteria passed`
+      : `${failed.length} of ${normalized.results.length} acceptance criteria failed`,
+    payload: {
+      passed: normalized.passed,
+      fingerprint: normalized.fingerprint,
+      results: normalized.results.map((entry) => ({
+        id: entry.id,
+        kind: entry.kind,
+        description: entry.description,
+        passed: entry.passed,
+        detail: entry.detail,
+      })),
+    },
+  });
+  markTaskTouched(task, source);
+  saveStore();
+  return { ...normalized };
+}
+
 export function getTaskRuns(taskId) {
   ensureLoaded();
   const task = _store.tasks[taskId];
@@ -2421,8 +2983,11 @@ export function setTaskParent(taskId, parentTaskId, options = {}) {
   const parentId = String(parentTaskId || "").trim() || null;
   if (parentId && !_store.tasks[parentId]) return null;
 
+  captureJournalRecord("task", taskId);
+  if (parentId) captureJournalRecord("task", parentId);
   const previousParentId = task.parentTaskId || null;
   if (previousParentId && _store.tasks[previousParentId]) {
+    captureJournalRecord("task", previousParentId);
     const previousParent = _store.tasks[previousParentId];
     previousParent.childTaskIds = uniqueStringList((previousParent.childTaskIds || []).filter((id) => id !== taskId));
     markTaskTouched(previousParent, "task-graph");
@@ -2456,6 +3021,8 @@ export function addTaskDependency(taskId, dependencyTaskId, options = {}) {
   if (!task) return null;
   const dependencyId = String(dependencyTaskId || "").trim();
   if (!dependencyId || !_store.tasks[dependencyId] || dependencyId === taskId) return null;
+  captureJournalRecord("task", taskId);
+  captureJournalRecord("task", dependencyId);
   task.dependencyTaskIds = uniqueStringList([...(task.dependencyTaskIds || []), dependencyId]);
   task.dependsOn = uniqueStringList([...(task.dependsOn || []), dependencyId]);
   const dependency = _store.tasks[dependencyId];
@@ -2478,6 +3045,8 @@ export function removeTaskDependency(taskId, dependencyTaskId, options = {}) {
   if (!task) return null;
   const dependencyId = String(dependencyTaskId || "").trim();
   if (!dependencyId) return { ...task };
+  captureJournalRecord("task", taskId);
+  captureJournalRecord("task", dependencyId);
   task.dependencyTaskIds = uniqueStringList((task.dependencyTaskIds || []).filter((id) => id !== dependencyId));
   task.dependsOn = uniqueStringList((task.dependsOn || []).filter((id) => id !== dependencyId));
   const dependency = _store.tasks[dependencyId];
@@ -2501,13 +3070,45 @@ export function assignTaskToSprint(taskId, sprintId, options = {}) {
   const task = _store.tasks[taskId];
   if (!task) return null;
 
-  const sprints = ensureSprintsMap();
   const normalizedSprintId = normalizeSprintId(sprintId);
-  if (normalizedSprintId && !sprints[normalizedSprintId]) {
+  if (!isKnownSprintId(normalizedSprintId)) {
     console.warn(TAG, `assignTaskToSprint: sprint ${normalizedSprintId} not found`);
     return null;
   }
 
+  captureJournalRecord("task", taskId);
+  applyTaskSprintAssignment(task, normalizedSprintId, options);
+  markTaskTouched(task, options.source || "task-sprint");
+  saveStore();
+  return { ...task };
+}
+
+/** True for "no sprint" or an id present in the sprint map. */
+function isKnownSprintId(sprintId) {
+  const normalizedSprintId = normalizeSprintId(sprintId);
+  return !normalizedSprintId || Boolean(ensureSprintsMap()[normalizedSprintId]);
+}
+
+/**
+ * Epics have no registry of their own: an epic id is known when an epic-type
+ * task carries it, another task already references it, or it has recorded
+ * epic dependencies.
+ */
+function isKnownEpicId(epicId) {
+  const normalizedEpicId = String(epicId ?? "").trim();
+  if (!normalizedEpicId) return true;
+  if (Object.prototype.hasOwnProperty.call(ensureEpicDependenciesMap(), normalizedEpicId)) return true;
+  return Object.values(_store.tasks).some((task) =>
+    getTaskEpicId(task) === normalizedEpicId
+    || (normalizeTaskType(task?.type) === "epic" && task?.id === normalizedEpicId));
+}
+
+/**
+ * Move a task into (or out of) an already-validated sprint, keeping its
+ * position when it stays put and appending it otherwise. Callers capture the
+ * journal record, mark the task touched and save.
+ */
+function applyTaskSprintAssignment(task, normalizedSprintId, options = {}) {
   const previousSprintId = task.sprintId;
   const previousSprintOrder = task.sprintOrder;
   const explicitSprintOrder = normalizeSprintOrder(options.sprintOrder ?? options.order);
@@ -2536,10 +3137,6 @@ export function assignTaskToSprint(taskId, sprintId, options = {}) {
       sprintOrder: task.sprintOrder,
     },
   });
-
-  markTaskTouched(task, options.source || "task-sprint");
-  saveStore();
-  return { ...task };
 }
 
 function buildTaskDagGraph(options = {}) {
@@ -2787,6 +3384,7 @@ export function setEpicDependencies(epicId, dependencies = []) {
     .map((entry) => String(entry || '').trim())
     .filter((entry) => entry && entry !== normalizedEpicId));
   const map = ensureEpicDependenciesMap();
+  captureJournalRecord("epic", normalizedEpicId);
   if (cleaned.length > 0) map[normalizedEpicId] = cleaned;
   else delete map[normalizedEpicId];
   saveStore();
@@ -2799,6 +3397,7 @@ export function addEpicDependency(epicId, dependencyEpicId) {
   const normalizedDependency = String(dependencyEpicId || '').trim();
   if (!normalizedEpicId || !normalizedDependency || normalizedEpicId === normalizedDependency) return null;
   const map = ensureEpicDependenciesMap();
+  captureJournalRecord("epic", normalizedEpicId);
   const next = uniqueStringList([...(map[normalizedEpicId] || []), normalizedDependency]);
   map[normalizedEpicId] = next;
   saveStore();
@@ -2811,6 +3410,7 @@ export function removeEpicDependency(epicId, dependencyEpicId) {
   const normalizedDependency = String(dependencyEpicId || '').trim();
   if (!normalizedEpicId || !normalizedDependency) return null;
   const map = ensureEpicDependenciesMap();
+  captureJournalRecord("epic", normalizedEpicId);
   const next = uniqueStringList((map[normalizedEpicId] || []).filter((entry) => entry !== normalizedDependency));
   if (next.length > 0) map[normalizedEpicId] = next;
   else delete map[normalizedEpicId];
@@ -3306,6 +3906,419 @@ export function organizeTaskDag(options = {}) {
   };
 }
 
+// ---------------------------------------------------------------------------
+// Operator journal (undo / redo)
+// ---------------------------------------------------------------------------
+
+const _operatorActionScope = new AsyncLocalStorage();
+const REVERT_ACTION_TYPES = new Set(JOURNAL_REVERT_ACTION_TYPES);
+
+// `_meta.operatorJournal` only holds the summaries (summarizeJournalEntry);
+// the full entries with their before/after payloads are appended to a JSONL
+// sidecar next to the store so the board document stays small. An entry is
+// appended again whenever its status changes and the newest line wins. Once
+// the sidecar passes TASK_OPERATOR_JOURNAL_MAX_BYTES (default 2 MB) it is
+// compacted to the newest line of each action still in the summary index.
+function getOperatorJournalPath() {
+  return storePath.replace(/\.json$/i, "") + ".operator-journal.jsonl";
+}
+
+function getOperatorJournalMaxBytes() {
+  const configured = Number(process.env.TASK_OPERATOR_JOURNAL_MAX_BYTES);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_OPERATOR_JOURNAL_MAX_BYTES;
+}
+
+function parseOperatorJournalLine(rawLine) {
+  const line = rawLine.trim();
+  if (!line) return null;
+  try {
+    const entry = JSON.parse(line);
+    return entry?.actionId ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Newest sidecar line for one action, found by reading from the end. */
+function readOperatorJournalEntry(actionId) {
+  for (const rawLine of readLinesFromTail(getOperatorJournalPath())) {
+    const entry = parseOperatorJournalLine(rawLine);
+    if (entry?.actionId === actionId) return entry;
+  }
+  return null;
+}
+
+function compactOperatorJournal(journalPath) {
+  const wanted = new Set(_store._meta.operatorJournal.map((summary) => summary.actionId));
+  const latest = new Map();
+  for (const rawLine of readLinesFromTail(journalPath)) {
+    if (latest.size === wanted.size) break;
+    const entry = parseOperatorJournalLine(rawLine);
+    if (entry && wanted.has(entry.actionId) && !latest.has(entry.actionId)) {
+      latest.set(entry.actionId, entry);
+    }
+  }
+  const lines = _store._meta.operatorJournal
+    .filter((summary) => latest.has(summary.actionId))
+    .map((summary) => `${JSON.stringify(latest.get(summary.actionId))}\n`);
+  const tmpPath = `${journalPath}.tmp`;
+  writeFileSync(tmpPath, lines.join(""), "utf-8");
+  renameSync(tmpPath, journalPath);
+}
+
+function appendOperatorJournalEntries(entries) {
+  const journalPath = getOperatorJournalPath();
+  const payload = entries.map((entry) => `${JSON.stringify(entry)}\n`).join("");
+  try {
+    mkdirSync(dirname(journalPath), { recursive: true });
+    const size = existsSync(journalPath) ? statSync(journalPath).size : 0;
+    if (size > 0 && size + Buffer.byteLength(payload, "utf8") > getOperatorJournalMaxBytes()) {
+      compactOperatorJournal(journalPath);
+    }
+    appendFileSync(journalPath, payload, "utf-8");
+  } catch (err) {
+    console.warn(TAG, `operator journal: failed to append to ${journalPath}: ${err?.message || err}`);
+  }
+}
+
+function isFullJournalEntry(entry) {
+  return (entry?.changes || []).some((change) => "before" in change || "after" in change);
+}
+
+function ensureOperatorJournal() {
+  if (!Array.isArray(_store._meta.operatorJournal)) {
+    _store._meta.operatorJournal = [];
+  }
+  const index = _store._meta.operatorJournal;
+  // Stores written before the sidecar kept full entries inline; move them out.
+  if (index.some(isFullJournalEntry)) {
+    const fullEntries = index.filter(isFullJournalEntry);
+    _store._meta.operatorJournal = index.map((entry) =>
+      (isFullJournalEntry(entry) ? summarizeJournalEntry(entry) : entry));
+    appendOperatorJournalEntries(fullEntries);
+    saveStore();
+  }
+  return _store._meta.operatorJournal;
+}
+
+function getOperatorJournalEntry(actionId) {
+  const entry = readOperatorJournalEntry(actionId);
+  if (!entry) {
+    console.warn(TAG, `operator journal: payload for ${actionId} is missing from ${getOperatorJournalPath()}`);
+  }
+  return entry || null;
+}
+
+function activeOperatorActionScope() {
+  const scope = _operatorActionScope.getStore();
+  return scope && !scope.closed ? scope : null;
+}
+
+function resolveOperatorActionId(scope, actionType) {
+  if (!scope.actionId) {
+    scope.actionId = `${scope.actionType || actionType || "task.mutation"}:${randomUUID()}`;
+  }
+  return scope.actionId;
+}
+
+function readJournalRecord(kind, id) {
+  if (kind === "sprint") {
+    const sprint = ensureSprintsMap()[id];
+    return sprint ? structuredClone(sprint) : null;
+  }
+  if (kind === "epic") {
+    const dependencies = ensureEpicDependenciesMap()[id];
+    return dependencies ? { dependencies: [...dependencies] } : null;
+  }
+  const task = _store.tasks[id];
+  return task ? structuredClone(task) : null;
+}
+
+/**
+ * Snapshot a record before the active operator action first mutates it.
+ * No-op outside runTaskOperatorAction().
+ */
+function captureJournalRecord(kind, id) {
+  const scope = activeOperatorActionScope();
+  const recordId = String(id || "").trim();
+  if (!scope || !recordId) return;
+  const key = `${kind}:${recordId}`;
+  if (scope.captured.has(key)) return;
+  scope.captured.set(key, { kind, id: recordId, before: readJournalRecord(kind, recordId) });
+}
+
+function recordJournalEntryInLedger(entry) {
+  const taskIds = uniqueStringList(entry.changes.filter((change) => change.kind === "task").map((change) => change.id));
+  try {
+    appendOperatorActionToStateLedger({
+      actionId: entry.actionId,
+      actionType: entry.actionType,
+      actorId: entry.actor || entry.source,
+      actorType: "operator",
+      scope: "tasks",
+      scopeId: entry.source,
+      targetId: entry.revertsActionId || taskIds.join(","),
+      taskId: taskIds.length === 1 ? taskIds[0] : null,
+      status: entry.status === "undone" ? "undone" : "completed",
+      request: entry.request ?? { label: entry.label },
+      result: { changes: entry.changes },
+      metadata: {
+        source: entry.source,
+        label: entry.label,
+        revertsActionId: entry.revertsActionId || null,
+        undoneBy: entry.undoneBy || null,
+      },
+      createdAt: entry.createdAt,
+      updatedAt: entry.undoneAt || entry.redoneAt || entry.createdAt,
+    }, { anchorPath: storePath });
+  } catch (err) {
+    console.warn(TAG, `operator journal: state ledger record failed: ${err?.message || err}`);
+  }
+}
+
+function finishTaskOperatorAction(scope) {
+  scope.closed = true;
+  if (scope.captured.size === 0) return null;
+  ensureLoaded();
+  const changes = [];
+  for (const { kind, id, before } of scope.captured.values()) {
+    const change = diffJournalRecord(kind, id, before, readJournalRecord(kind, id));
+    if (change) changes.push(change);
+  }
+  if (changes.length === 0) return null;
+
+  const entry = {
+    actionId: resolveOperatorActionId(scope),
+    actionType: scope.actionType || "task.mutation",
+    label: scope.label,
+    source: scope.source,
+    actor: scope.actor,
+    request: scope.request,
+    revertsActionId: scope.revertsActionId,
+    createdAt: now(),
+    status: "applied",
+    changes,
+  };
+  const journal = ensureOperatorJournal();
+  journal.push(summarizeJournalEntry(entry));
+  if (journal.length > MAX_OPERATOR_JOURNAL) {
+    journal.splice(0, journal.length - MAX_OPERATOR_JOURNAL);
+  }
+  appendOperatorJournalEntries([entry]);
+  saveStore();
+  recordJournalEntryInLedger(entry);
+  return entry;
+}
+
+/**
+ * Run `fn` as one undoable operator action — a UI request, CLI command or
+ * Telegram command. Every task, sprint and epic dependency list it mutates
+ * is snapshotted before the first change; once `fn` settles the
+ * field-level before/after patches are appended to the operator journal
+ * (and mirrored to the state ledger) under one action id.
+ *
+ * Nested calls join the outer action. Returns whatever `fn` returns.
+ *
+ * @param {{ actionType?: string, label?: string, source?: string, actor?: string, request?: object }} meta
+ * @param {Function} fn - sync or async
+ */
+export function runTaskOperatorAction(meta = {}, fn) {
+  const outer = activeOperatorActionScope();
+  if (outer) {
+    outer.actionType ||= meta.actionType || null;
+    outer.request ??= meta.request ?? null;
+    outer.revertsActionId ||= meta.revertsActionId || null;
+    return fn();
+  }
+  const scope = {
+    actionId: null,
+    actionType: meta.actionType || null,
+    label: meta.label ? String(meta.label) : null,
+    source: meta.source || "operator",
+    actor: meta.actor != null ? String(meta.actor) : null,
+    request: meta.request ?? null,
+    revertsActionId: meta.revertsActionId || null,
+    captured: new Map(),
+    closed: false,
+  };
+  let result;
+  try {
+    result = _operatorActionScope.run(scope, fn);
+  } catch (err) {
+    finishTaskOperatorAction(scope);
+    throw err;
+  }
+  if (result && typeof result.then === "function") {
+    return result.finally(() => finishTaskOperatorAction(scope));
+  }
+  finishTaskOperatorAction(scope);
+  return result;
+}
+
+/**
+ * Recent operator actions, newest first, without before/after payloads.
+ * @param {{ limit?: number, includeReverts?: boolean }} [options]
+ */
+export function listTaskOperatorActions(options = {}) {
+  ensureLoaded();
+  const limit = Math.max(1, Number(options.limit) || 20);
+  return ensureOperatorJournal()
+    .filter((entry) => options.includeReverts === true || !REVERT_ACTION_TYPES.has(entry.actionType))
+    .slice(-limit)
+    .reverse()
+    .map((entry) => structuredClone(entry));
+}
+
+/** Full journal entry, including the before/after payloads. */
+export function getTaskOperatorAction(actionId) {
+  ensureLoaded();
+  if (!ensureOperatorJournal().some((candidate) => candidate.actionId === actionId)) return null;
+  const entry = getOperatorJournalEntry(actionId);
+  return entry ? structuredClone(entry) : null;
+}
+
+function applyJournalStep(step, context) {
+  captureJournalRecord(step.kind, step.id);
+  if (step.kind === "sprint") {
+    const sprints = ensureSprintsMap();
+    if (step.target == null) delete sprints[step.id];
+    else if (step.op !== "update") sprints[step.id] = structuredClone(step.target);
+    else if (sprints[step.id]) sprints[step.id] = { ...sprints[step.id], ...structuredClone(step.target), updatedAt: now() };
+    return;
+  }
+  if (step.kind === "epic") {
+    const map = ensureEpicDependenciesMap();
+    const dependencies = uniqueStringList(step.target?.dependencies || []);
+    if (dependencies.length > 0) map[step.id] = dependencies;
+    else delete map[step.id];
+    return;
+  }
+
+  if (step.target == null) {
+    delete _store.tasks[step.id];
+    return;
+  }
+  const current = _store.tasks[step.id];
+  let task;
+  if (step.op !== "update") {
+    task = normalizeTaskStructure(structuredClone(step.target));
+  } else if (current) {
+    const previousStatus = normalizeTaskStatus(current.status);
+    task = normalizeTaskStructure(Object.assign(current, structuredClone(step.target)));
+    if (previousStatus !== task.status) {
+      recordStatusTransition(task, previousStatus, task.status, context.source);
+    }
+  } else {
+    return;
+  }
+  _store.tasks[step.id] = task;
+  pushTaskTimeline(task, {
+    type: `task.${context.direction}`,
+    source: context.source,
+    actor: context.actor,
+    status: task.status,
+    message: `${context.direction === "undo" ? "Undid" : "Redid"} ${context.actionId}`,
+    payload: {
+      actionId: context.actionId,
+      revertActionId: context.revertActionId,
+      fields: step.op === "update" ? Object.keys(step.target) : [],
+    },
+  });
+  markTaskTouched(task, context.source);
+}
+
+function revertTaskOperatorAction(direction, actionId, options = {}) {
+  ensureLoaded();
+  const journal = ensureOperatorJournal();
+  const pendingStatus = direction === "undo" ? "applied" : "undone";
+  // Undo walks back through applied actions; redo replays the most recently undone one.
+  const pending = journal.filter((candidate) =>
+    candidate.status === pendingStatus && !REVERT_ACTION_TYPES.has(candidate.actionType));
+  if (direction === "redo") {
+    pending.sort((a, b) => String(a.undoneAt || "").localeCompare(String(b.undoneAt || "")));
+  }
+  const entry = actionId
+    ? journal.find((candidate) => candidate.actionId === actionId)
+    : pending.at(-1);
+  if (!entry) {
+    console.warn(TAG, `${direction}TaskOperatorAction: ${actionId ? `action ${actionId} not found` : `nothing to ${direction}`}`);
+    return null;
+  }
+  if (REVERT_ACTION_TYPES.has(entry.actionType)) {
+    return { ok: false, error: "not_revertible", actionId: entry.actionId, revertsActionId: entry.revertsActionId };
+  }
+  if (entry.status !== pendingStatus) {
+    return { ok: false, error: direction === "undo" ? "already_undone" : "not_undone", actionId: entry.actionId };
+  }
+  const fullEntry = getOperatorJournalEntry(entry.actionId);
+  if (!fullEntry) return null;
+
+  const steps = fullEntry.changes.map((change) => resolveJournalStep(change, direction));
+  if (direction === "undo") steps.reverse();
+  const conflicts = steps.flatMap((step) => findJournalConflicts(step, readJournalRecord(step.kind, step.id)));
+  if (conflicts.length > 0 && options.force !== true) {
+    return { ok: false, error: `${direction}_conflict`, actionId: entry.actionId, conflicts };
+  }
+
+  const source = options.source || "operator";
+  const actor = options.actor != null ? String(options.actor) : null;
+  const actionType = `task.${direction}`;
+  return runTaskOperatorAction({
+    actionType,
+    label: `${direction} ${entry.label || entry.actionType}`,
+    source,
+    actor,
+    request: { actionId: entry.actionId, force: options.force === true },
+    revertsActionId: entry.actionId,
+  }, () => {
+    const revertActionId = resolveOperatorActionId(_operatorActionScope.getStore(), actionType);
+    const context = { direction, actionId: entry.actionId, revertActionId, source, actor };
+    for (const step of steps) applyJournalStep(step, context);
+    for (const step of steps) {
+      if (step.kind === "task" && _store.tasks[step.id]) refreshTaskGraphTopology(step.id);
+    }
+    const tsNow = now();
+    const statusPatch = direction === "undo"
+      ? { status: "undone", undoneAt: tsNow, undoneBy: revertActionId }
+      : { status: "applied", redoneAt: tsNow, undoneBy: null };
+    Object.assign(entry, statusPatch);
+    Object.assign(fullEntry, statusPatch);
+    appendOperatorJournalEntries([fullEntry]);
+    saveStore();
+    recordJournalEntryInLedger(fullEntry);
+    console.log(TAG, `${direction === "undo" ? "Undid" : "Redid"} ${entry.actionId} as ${revertActionId}`);
+    return {
+      ok: true,
+      actionId: entry.actionId,
+      revertActionId,
+      forced: conflicts.length > 0,
+      conflicts,
+      changes: fullEntry.changes.map(summarizeJournalChange),
+    };
+  });
+}
+
+/**
+ * Revert a journaled operator action (the most recent one when `actionId`
+ * is omitted). Refuses with `undo_conflict` when any touched record has
+ * changed since, unless `force` is set. The undo is itself journaled.
+ *
+ * @returns {object|null} null when there is no such action
+ */
+export function undoTaskOperatorAction(actionId, options = {}) {
+  return revertTaskOperatorAction("undo", actionId, options);
+}
+
+/**
+ * Re-apply an undone operator action (the most recently undone one when
+ * `actionId` is omitted), with the same conflict detection as undo.
+ *
+ * @returns {object|null} null when there is no such action
+ */
+export function redoTaskOperatorAction(actionId, options = {}) {
+  return revertTaskOperatorAction("redo", actionId, options);
+}
+
 // ---------------------------------------------------------------------------
 // Agent tracking
 // ---------------------------------------------------------------------------
@@ -3488,18 +4501,122 @@ export function getDirtyTasks() {
 
 /**
  * Mark a task as synced (clears syncDirty, sets lastSyncedAt).
+ * The pushed values become the merge base, except for fields still in
+ * conflict — those are not pushed until resolved.
  */
 export function markSynced(taskId) {
   ensureLoaded();
   const task = _store.tasks[taskId];
   if (!task) return;
 
+  const conflicted = new Set((task.syncConflicts || []).map((c) => c.field));
+  const pushed = pickSyncFields(task);
+  for (const field of conflicted) delete pushed[field];
+  task.syncBase = { ...resolveSyncBase(task), ...pushed };
   task.syncDirty = false;
   task.lastSyncedAt = now();
 
   saveStore();
 }
 
+/**
+ * Merge base of a synced task. Tasks synced before base tracking existed
+ * fall back to their last external status.
+ */
+function resolveSyncBase(task) {
+  if (task?.syncBase && typeof task.syncBase === "object") {
+    return { ...task.syncBase };
+  }
+  return task?.externalStatus
+    ? { status: normalizeTaskStatus(task.externalStatus) }
+    : {};
+}
+
+/**
+ * Open sync conflicts across all tasks, oldest first.
+ * @param {{taskId?: string}} [opts]
+ */
+export function listSyncConflicts({ taskId } = {}) {
+  ensureLoaded();
+  const entries = [];
+  for (const task of Object.values(_store.tasks)) {
+    if (taskId && task.id !== taskId) continue;
+    for (const conflict of task.syncConflicts || []) {
+      entries.push({
+        taskId: task.id,
+        taskTitle: task.title,
+        externalBackend: task.externalBackend || null,
+        externalId: task.externalId || null,
+        ...conflict,
+      });
+    }
+  }
+  return entries.sort((a, b) =>
+    String(a.detectedAt || "").localeCompare(String(b.detectedAt || "")),
+  );
+}
+
+/**
+ * Resolve a sync conflict.
+ *   "local"  — keep the local value and push it on the next sync
+ *   "remote" — take the external value
+ *   "custom" — use `value` and push it on the next sync
+ * Returns the updated task, or null when the task or conflict is unknown.
+ */
+export function resolveSyncConflict(taskId, field, { resolution, value, actor } = {}) {
+  ensureLoaded();
+  const task = _store.tasks[taskId];
+  if (!task) return null;
+  const conflict = (task.syncConflicts || []).find((c) => c.field === field);
+  if (!conflict) return null;
+  if (!["local", "remote", "custom"].includes(resolution)) {
+    console.warn(TAG, `resolveSyncConflict: unknown resolution ${resolution}`);
+    return null;
+  }
+
+  const previousStatus = task.status;
+  let nextValue = conflict.local;
+  if (resolution === "remote") nextValue = conflict.remote;
+  if (resolution === "custom") nextValue = value;
+  if (field === "status") nextValue = normalizeTaskStatus(nextValue);
+  else if (field === "tags") nextValue = normalizeTags(nextValue);
+  else if (field === "assignees") nextValue = uniqueStringList(nextValue);
+  task[field] = nextValue;
+
+  // The remote value is what the backend holds now, so it becomes the base;
+  // a local or custom value then reads as a pending local change.
+  task.syncBase = { ...resolveSyncBase(task), [field]: conflict.remote };
+  task.syncConflicts = task.syncConflicts.filter((c) => c.field !== field);
+
+  if (field === "status" && previousStatus !== task.status) {
+    task.statusHistory.push({
+      status: task.status,
+      timestamp: now(),
+      source: "sync-conflict",
+    });
+    if (task.statusHistory.length > MAX_STATUS_HISTORY) {
+      task.statusHistory = task.statusHistory.slice(-MAX_STATUS_HISTORY);
+    }
+  }
+  pushTaskTimeline(task, {
+    type: "sync.conflict.resolved",
+    source: "sync-conflict",
+    actor: actor || null,
+    action: `resolve_${resolution}`,
+    message: `Sync conflict on ${field} resolved with ${resolution} value`,
+    payload: { field, resolution },
+  });
+
+  const normalized = normalizeTaskStructure(task);
+  const ts = now();
+  normalized.updatedAt = ts;
+  normalized.lastActivityAt = ts;
+  normalized.syncDirty = resolution !== "remote" || normalized.syncDirty === true;
+  _store.tasks[taskId] = normalized;
+  saveStore();
+  return { ...normalized };
+}
+
 /**
  * Add or update a task from an external source.
  * Only overrides fields the external backend controls.
@@ -3522,14 +4639,32 @@ export function upsertFromExternal(externalTask) {
       externalTask.meta?.baseBranch;
     const previousStatus = normalizeTaskStatus(existing.status);
 
-    // Update only externally-controlled fields
-    if (externalTask.title !== undefined) existing.title = externalTask.title;
-    if (externalTask.description !== undefined)
-      existing.description = externalTask.description;
-    if (externalTask.assignee !== undefined)
-      existing.assignee = externalTask.assignee;
-    if (externalTask.priority !== undefined)
-      existing.priority = externalTask.priority;
+    // Three-way merge of the operator-editable fields against the last
+    // agreed values, so local edits made between syncs are not clobbered.
+    const remoteFields = pickSyncFields({
+      ...externalTask,
+      status: externalTask.status !== undefined
+        ? normalizeTaskStatus(externalTask.status)
+        : undefined,
+      tags: externalTask.tags !== undefined
+        ? normalizeTags(externalTask.tags)
+        : undefined,
+      assignees: externalTask.assignees !== undefined
+        ? uniqueStringList(externalTask.assignees)
+        : undefined,
+    });
+    const syncBase = resolveSyncBase(existing);
+    const merge = mergeSyncFields({
+      base: syncBase,
+      local: existing,
+      remote: remoteFields,
+      localDirty: existing.syncDirty === true,
+    });
+    for (const [field, value] of Object.entries(merge.apply)) {
+      if (field !== "status") existing[field] = value;
+    }
+
+    // Remaining externally-controlled fields
     if (externalTask.projectId !== undefined)
       existing.projectId = externalTask.projectId;
     if (externalBaseBranch !== undefined)
@@ -3546,41 +4681,62 @@ export function upsertFromExternal(externalTask) {
       existing.externalId = externalTask.externalId;
     if (externalTask.externalBackend !== undefined)
       existing.externalBackend = externalTask.externalBackend;
-
-    if (
-      externalTask.status !== undefined &&
-      externalTask.status !== existing.externalStatus
-    ) {
+    if (externalTask.status !== undefined)
       existing.externalStatus = externalTask.status;
-      const nextStatus = normalizeTaskStatus(externalTask.status);
-      if (nextStatus !== previousStatus) {
-        existing.status = nextStatus;
-        existing.statusHistory.push({
-          status: nextStatus,
-          timestamp: now(),
-          source: "external",
-        });
-        if (existing.statusHistory.length > MAX_STATUS_HISTORY) {
-          existing.statusHistory =
-            existing.statusHistory.slice(-MAX_STATUS_HISTORY);
-        }
-        pushTaskTimeline(existing, {
-          type: "status.transition",
-          source: "external",
-          fromStatus: previousStatus,
-          toStatus: nextStatus,
-          status: nextStatus,
-          action: "external_sync",
-          message: `External status sync ${previousStatus} -> ${nextStatus}`,
-        });
+
+    const { status: nextStatus, guard: statusGuard } = merge.apply.status !== undefined
+      ? resolveProtectedTaskStatus(existing, merge.apply.status)
+      : { status: undefined, guard: null };
+    applyTaskStatusGuardBlock(existing, statusGuard, "external");
+    if (nextStatus !== undefined && nextStatus !== previousStatus) {
+      existing.status = nextStatus;
+      existing.statusHistory.push({
+        status: nextStatus,
+        timestamp: now(),
+        source: "external",
+      });
+      if (existing.statusHistory.length > MAX_STATUS_HISTORY) {
+        existing.statusHistory =
+          existing.statusHistory.slice(-MAX_STATUS_HISTORY);
       }
-    } else if (externalTask.status !== undefined) {
-      existing.externalStatus = externalTask.status;
+      pushTaskTimeline(existing, {
+        type: "status.transition",
+        source: "external",
+        fromStatus: previousStatus,
+        toStatus: nextStatus,
+        status: nextStatus,
+        action: "external_sync",
+        message: `External status sync ${previousStatus} -> ${nextStatus}`,
+      });
+    }
+
+    const detectedAt = now();
+    const { conflicts, added } = reconcileSyncConflicts(
+      existing.syncConflicts,
+      merge,
+      detectedAt,
+    );
+    existing.syncConflicts = conflicts;
+    existing.syncBase = { ...syncBase, ...merge.base };
+    for (const conflict of added) {
+      pushTaskTimeline(existing, {
+        type: "sync.conflict",
+        source: "external",
+        action: "sync_conflict",
+        message: `Sync conflict on ${conflict.field}: local and ${existing.externalBackend || "external"} edits differ`,
+        payload: { field: conflict.field },
+      });
+    }
+    if (added.length > 0) {
+      console.warn(
+        TAG,
+        `Sync conflict on task ${existing.id}: ${added.map((c) => c.field).join(", ")}`,
+      );
     }
 
     const normalized = normalizeTaskStructure(existing);
     normalized.updatedAt = now();
-    normalized.syncDirty = false;
+    normalized.syncDirty = merge.localAhead.length > 0;
     normalized.lastSyncedAt = now();
     _store.tasks[normalized.id] = normalized;
 
@@ -3602,6 +4758,8 @@ export function upsertFromExternal(externalTask) {
     syncDirty: false,
     lastSyncedAt: now(),
   }));
+  task.syncBase = pickSyncFields(task);
+  task.syncConflicts = [];
   task.lastAgentOutput = truncate(task.lastAgentOutput, MAX_AGENT_OUTPUT);
   task.lastError = truncate(task.lastError, MAX_ERROR_LENGTH);
   pushTaskTimeline(task, {
@@ -3618,6 +4776,224 @@ export function upsertFromExternal(externalTask) {
   return { ...task };
 }
 
+// ---------------------------------------------------------------------------
+// Templates and recurrence
+// ---------------------------------------------------------------------------
+
+function ensureMetaMap(key) {
+  if (!_store._meta || typeof _store._meta !== "object") {
+    _store._meta = defaultMeta();
+  }
+  if (!isPlainObject(_store._meta[key])) {
+    _store._meta[key] = {};
+  }
+  return _store._meta[key];
+}
+
+function formatOccurrenceStamp(iso) {
+  return String(iso || "").replace(/[^0-9]/g, "").slice(0, 12);
+}
+
+export function listTaskTemplates() {
+  ensureLoaded();
+  return Object.values(ensureMetaMap("taskTemplates"))
+    .map((template) => ({ ...template }))
+    .sort((a, b) => String(a.name || a.id).localeCompare(String(b.name || b.id)));
+}
+
+export function getTaskTemplate(templateId) {
+  ensureLoaded();
+  const template = ensureMetaMap("taskTemplates")[String(templateId || "").trim()];
+  return template ? { ...template } : null;
+}
+
+/**
+ * Create or update a task template. Throws on an invalid definition.
+ */
+export function upsertTaskTemplate(templateData = {}) {
+  ensureLoaded();
+  const templates = ensureMetaMap("taskTemplates");
+  const existing = templateData.id ? templates[String(templateData.id).trim()] || null : null;
+  const template = normalizeTaskTemplate(templateData, existing);
+  templates[template.id] = template;
+  saveStore();
+  return { ...template };
+}
+
+/**
+ * Delete a template together with the recurrences that instantiate it.
+ * Returns false when the template does not exist.
+ */
+export function deleteTaskTemplate(templateId) {
+  ensureLoaded();
+  const templates = ensureMetaMap("taskTemplates");
+  const id = String(templateId || "").trim();
+  if (!templates[id]) return false;
+  delete templates[id];
+  const recurrences = ensureMetaMap("taskRecurrences");
+  for (const [recurrenceId, recurrence] of Object.entries(recurrences)) {
+    if (recurrence.templateId === id) delete recurrences[recurrenceId];
+  }
+  saveStore();
+  return true;
+}
+
+/**
+ * Instantiate a template as a new task.
+ * @param {string} templateId
+ * @param {Record<string, string>} [params] - placeholder values
+ * @param {object} [overrides] - task fields applied on top of the template (status, sprintId, …)
+ * @returns {object|null} the new task, or null when the template is unknown
+ * @throws when a required parameter is missing
+ */
+export function createTaskFromTemplate(templateId, params = {}, overrides = {}) {
+  ensureLoaded();
+  const template = ensureMetaMap("taskTemplates")[String(templateId || "").trim()];
+  if (!template) return null;
+  const { recurrence, occurrenceAt, ...taskOverrides } = overrides || {};
+  const at = occurrenceAt ? new Date(occurrenceAt) : new Date();
+  const rendered = renderTaskTemplate(template, params, {
+    at,
+    timezone: recurrence?.timezone || null,
+  });
+  return addTask({
+    id: randomUUID(),
+    title: rendered.title,
+    description: rendered.description,
+    tags: rendered.tags,
+    priority: rendered.priority,
+    type: rendered.type,
+    ...(rendered.workflowId ? { workflowId: rendered.workflowId } : {}),
+    ...(rendered.agentProfile ? { agentProfile: rendered.agentProfile } : {}),
+    ...taskOverrides,
+    meta: {
+      ...(taskOverrides.meta || {}),
+      template: {
+        templateId: template.id,
+        params: rendered.params,
+        ...(recurrence ? { recurrenceId: recurrence.id, occurrenceAt: at.toISOString() } : {}),
+      },
+    },
+  });
+}
+
+export function listTaskRecurrences({ templateId } = {}) {
+  ensureLoaded();
+  return Object.values(ensureMetaMap("taskRecurrences"))
+    .filter((recurrence) => !templateId || recurrence.templateId === templateId)
+    .map((recurrence) => ({ ...recurrence }))
+    .sort((a, b) => String(a.nextRunAt || "~").localeCompare(String(b.nextRunAt || "~")));
+}
+
+export function getTaskRecurrence(recurrenceId) {
+  ensureLoaded();
+  const recurrence = ensureMetaMap("taskRecurrences")[String(recurrenceId || "").trim()];
+  return recurrence ? { ...recurrence } : null;
+}
+
+/**
+ * Create or update a recurrence rule. Throws on an unknown template or an
+ * invalid schedule; a changed schedule recomputes the next run.
+ */
+export function upsertTaskRecurrence(recurrenceData = {}, { now: nowDate = new Date() } = {}) {
+  ensureLoaded();
+  const recurrences = ensureMetaMap("taskRecurrences");
+  const existing = recurrenceData.id ? recurrences[String(recurrenceData.id).trim()] || null : null;
+  const recurrence = normalizeTaskRecurrence(recurrenceData, existing);
+  if (!ensureMetaMap("taskTemplates")[recurrence.templateId]) {
+    throw new Error(`Unknown task template: ${recurrence.templateId}`);
+  }
+  if (recurrence.enabled && !recurrence.nextRunAt) {
+    recurrence.nextRunAt = computeNextRecurrenceRun(recurrence, nowDate);
+    if (!recurrence.nextRunAt) recurrence.enabled = false;
+  }
+  recurrences[recurrence.id] = recurrence;
+  saveStore();
+  return { ...recurrence };
+}
+
+export function deleteTaskRecurrence(recurrenceId) {
+  ensureLoaded();
+  const recurrences = ensureMetaMap("taskRecurrences");
+  const id = String(recurrenceId || "").trim();
+  if (!recurrences[id]) return false;
+  delete recurrences[id];
+  saveStore();
+  return true;
+}
+
+/**
+ * Create the task instances of every recurrence whose next run is due.
+ *
+ * Runs missed while bosun was down are coalesced into one instance. With
+ * `skipIfOpen` (the default) an occurrence is skipped while the previous
+ * instance is still open, so a weekly chore does not pile up. Instance ids
+ * are derived from the occurrence time, which keeps two processes from
+ * materializing the same occurrence twice.
+ *
+ * @param {object} [opts]
+ * @param {Date} [opts.now]
+ * @returns {{created: Array<{recurrenceId: string, taskId: string}>, skipped: Array<{recurrenceId: string, reason: string}>}}
+ */
+export function materializeDueTaskRecurrences({ now: nowDate = new Date() } = {}) {
+  ensureLoaded();
+  const created = [];
+  const skipped = [];
+  const nowIso = nowDate.toISOString();
+  // Work on copies: creating an instance may reload the store, which would
+  // detach references into the previous _store.
+  const due = Object.values(ensureMetaMap("taskRecurrences"))
+    .filter((recurrence) => recurrence.enabled && recurrence.nextRunAt && recurrence.nextRunAt <= nowIso)
+    .map((recurrence) => ({ ...recurrence }));
+
+  for (const recurrence of due) {
+    const templates = ensureMetaMap("taskTemplates");
+    const occurrenceAt = recurrence.nextRunAt;
+    const taskId = `${recurrence.id}-${formatOccurrenceStamp(occurrenceAt)}`;
+    const previous = recurrence.lastTaskId ? _store.tasks[recurrence.lastTaskId] : null;
+    if (!templates[recurrence.templateId]) {
+      skipped.push({ recurrenceId: recurrence.id, reason: "template_missing" });
+    } else if (_store.tasks[taskId]) {
+      skipped.push({ recurrenceId: recurrence.id, reason: "already_materialized" });
+    } else if (recurrence.skipIfOpen && previous && !isTaskTerminal(previous)) {
+      recurrence.lastSkippedAt = nowIso;
+      skipped.push({ recurrenceId: recurrence.id, reason: "previous_open" });
+    } else {
+      try {
+        const task = createTaskFromTemplate(recurrence.templateId, recurrence.params, {
+          id: taskId,
+          recurrence,
+          occurrenceAt,
+        });
+        recurrence.lastTaskId = task.id;
+        recurrence.lastRunAt = occurrenceAt;
+        recurrence.occurrences = (recurrence.occurrences || 0) + 1;
+        created.push({ recurrenceId: recurrence.id, taskId: task.id });
+      } catch (err) {
+        console.warn(TAG, `Recurrence ${recurrence.id} failed to materialize: ${err.message}`);
+        skipped.push({ recurrenceId: recurrence.id, reason: "render_failed", error: err.message });
+      }
+    }
+    try {
+      recurrence.nextRunAt = computeNextRecurrenceRun(recurrence, nowDate);
+    } catch (err) {
+      console.warn(TAG, `Recurrence ${recurrence.id} schedule failed: ${err.message}`);
+      recurrence.nextRunAt = null;
+    }
+    if (!recurrence.nextRunAt) recurrence.enabled = false;
+    recurrence.updatedAt = nowIso;
+  }
+
+  if (due.length > 0) {
+    const recurrences = ensureMetaMap("taskRecurrences");
+    for (const recurrence of due) {
+      if (recurrences[recurrence.id]) recurrences[recurrence.id] = recurrence;
+    }
+    saveStore();
+  }
+  return { created, skipped };
+}
+
 // ---------------------------------------------------------------------------
 // Statistics
 // ---------------------------------------------------------------------------
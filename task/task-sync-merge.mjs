@@ -0,0 +1,161 @@
+/**
+ * task-sync-merge.mjs — Three-way merge for bidirectional task sync.
+ *
+ * Every synced task keeps a `syncBase`: the value of each merged field as it
+ * was the last time the local store and the external backend agreed. When
+ * an external update arrives, each field is compared against that base:
+ *
+ *   local == remote            → already converged, base moves to remote
+ *   only remote changed        → remote value is applied
+ *   only local changed         → local value is kept and stays dirty so the
+ *                                next push carries it outward
+ *   both changed differently   → conflict; local value is kept, nothing is
+ *                                pushed for the field until an operator
+ *                                resolves it
+ *
+ * Tasks synced before base tracking existed have no base. For those, a
+ * remote value wins unless the task has unpushed local edits, in which case
+ * the field is reported as a conflict instead of being clobbered.
+ */
+
+// ── Constants ────────────────────────────────────────────────────────────────
+
+export const SYNC_MERGE_FIELDS = Object.freeze([
+  "title",
+  "description",
+  "status",
+  "tags",
+  "assignee",
+  "assignees",
+  "priority",
+]);
+
+const LIST_FIELDS = new Set(["tags", "assignees"]);
+
+export const SYNC_CONFLICT_RESOLUTIONS = Object.freeze(["local", "remote", "custom"]);
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+
+function comparable(field, value) {
+  if (LIST_FIELDS.has(field)) {
+    const list = Array.isArray(value) ? value : value == null || value === "" ? [] : [value];
+    return list.map((entry) => String(entry ?? "").trim()).filter(Boolean).sort().join("\n");
+  }
+  if (value == null) return "";
+  return String(value).trim();
+}
+
+function cloneValue(value) {
+  return Array.isArray(value) ? [...value] : value ?? null;
+}
+
+/**
+ * @param {string} field
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean} true when both values mean the same thing for `field`
+ */
+export function syncValuesEqual(field, a, b) {
+  return comparable(field, a) === comparable(field, b);
+}
+
+/**
+ * Pick the merge fields a source actually carries.
+ * @param {object} source
+ * @returns {object}
+ */
+export function pickSyncFields(source) {
+  const picked = {};
+  if (!source || typeof source !== "object") return picked;
+  for (const field of SYNC_MERGE_FIELDS) {
+    if (source[field] !== undefined) picked[field] = cloneValue(source[field]);
+  }
+  return picked;
+}
+
+// ── Merge ────────────────────────────────────────────────────────────────────
+
+/**
+ * Three-way merge of the fields an external update carries.
+ * @param {object} opts
+ * @param {object|null} opts.base - Last agreed values (missing keys: unknown)
+ * @param {object} opts.local - Current local task
+ * @param {object} opts.remote - Normalised external values, see pickSyncFields()
+ * @param {boolean} [opts.localDirty] - Local task has unpushed edits
+ * @returns {{apply: object, base: object, conflicts: object[], localAhead: string[], converged: string[]}}
+ *   apply — remote values to write locally; base — new base values;
+ *   converged — fields where local and remote now agree
+ */
+export function mergeSyncFields({ base, local, remote, localDirty = false }) {
+  const result = { apply: {}, base: {}, conflicts: [], localAhead: [], converged: [] };
+  const knownBase = base && typeof base === "object" ? base : {};
+  for (const field of SYNC_MERGE_FIELDS) {
+    if (!remote || remote[field] === undefined) continue;
+    const remoteValue = cloneValue(remote[field]);
+    const localValue = local?.[field];
+    if (syncValuesEqual(field, localValue, remoteValue)) {
+      result.base[field] = remoteValue;
+      result.converged.push(field);
+      continue;
+    }
+    const hasBase = Object.prototype.hasOwnProperty.call(knownBase, field);
+    if (!hasBase) {
+      if (localDirty) {
+        result.conflicts.push({ field, base: null, local: cloneValue(localValue), remote: remoteValue });
+      } else {
+        result.apply[field] = remoteValue;
+        result.base[field] = remoteValue;
+      }
+      continue;
+    }
+    const localChanged = !syncValuesEqual(field, localValue, knownBase[field]);
+    const remoteChanged = !syncValuesEqual(field, remoteValue, knownBase[field]);
+    if (!remoteChanged) {
+      result.localAhead.push(field);
+    } else if (!localChanged) {
+      result.apply[field] = remoteValue;
+      result.base[field] = remoteValue;
+    } else {
+      result.conflicts.push({
+        field,
+        base: cloneValue(knownBase[field]),
+        local: cloneValue(localValue),
+        remote: remoteValue,
+      });
+    }
+  }
+  return result;
+}
+
+/**
+ * Fold a merge's conflicts into the conflicts already recorded on a task.
+ * Conflicts for fields that converged or were cleanly merged are dropped; a
+ * repeated conflict keeps its original detection time.
+ * @param {object[]} previous - task.syncConflicts
+ * @param {ReturnType<typeof mergeSyncFields>} merge
+ * @param {string} detectedAt
+ * @returns {{conflicts: object[], added: object[]}} added — conflicts that are new or whose values changed
+ */
+export function reconcileSyncConflicts(previous, merge, detectedAt) {
+  const settled = new Set([...Object.keys(merge.apply), ...merge.converged]);
+  const byField = new Map();
+  for (const entry of Array.isArray(previous) ? previous : []) {
+    if (!entry?.field || settled.has(entry.field)) continue;
+    byField.set(entry.field, entry);
+  }
+  const added = [];
+  for (const conflict of merge.conflicts) {
+    const prior = byField.get(conflict.field);
+    const unchanged = prior
+      && syncValuesEqual(conflict.field, prior.local, conflict.local)
+      && syncValuesEqual(conflict.field, prior.remote, conflict.remote);
+    const next = {
+      ...conflict,
+      detectedAt: prior?.detectedAt || detectedAt,
+      updatedAt: unchanged ? prior.updatedAt || detectedAt : detectedAt,
+    };
+    byField.set(conflict.field, next);
+    if (!unchanged) added.push(next);
+  }
+  return { conflicts: [...byField.values()], added };
+}
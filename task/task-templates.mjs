@@ -0,0 +1,415 @@
+/**
+ * task-templates.mjs — Task templates and recurrence rules for the internal store.
+ *
+ * A template is a reusable task blueprint. Its title and description may
+ * contain `{{param}}` placeholders that are filled in when the template is
+ * instantiated; besides the template's own parameters, `{{date}}`
+ * (YYYY-MM-DD), `{{week}}` (ISO week, e.g. 2026-W42) and `{{month}}`
+ * (YYYY-MM) are always available.
+ *
+ * A recurrence instantiates a template on a schedule. Schedules are either
+ * cron expressions (anything workflow/cron-scheduler.mjs parses, including
+ * `@weekly` and `@every 6h`) or RRULE-style rules such as
+ * `RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;BYHOUR=9`.
+ *
+ * This module is pure: persistence and materialization live in task-store.mjs.
+ *
+ * EXPORTS:
+ *   normalizeTaskTemplate(raw, existing)     — validate a template, throws on bad input
+ *   renderTaskTemplate(template, params, at) — task fields for one instance
+ *   normalizeTaskRecurrence(raw, existing)   — validate a recurrence, throws on bad input
+ *   parseRecurrenceSchedule(schedule, opts)  — { kind, next(from) → Date|null }
+ *   computeNextRecurrenceRun(recurrence, from) — ISO time of the next run, or null
+ */
+
+import { getZonedParts, parseCronExpression } from "../workflow/cron-scheduler.mjs";
+
+const PLACEHOLDER_RE = /\{\{\s*([A-Za-z_][\w.-]*)\s*\}\}/g;
+const BUILTIN_PARAMS = new Set(["date", "week", "month"]);
+const TEMPLATE_PRIORITIES = new Set(["low", "medium", "high", "critical"]);
+const TEMPLATE_TYPES = new Set(["epic", "task", "subtask"]);
+const RRULE_FREQS = new Set(["HOURLY", "DAILY", "WEEKLY", "MONTHLY", "YEARLY"]);
+const RRULE_DAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const MAX_RRULE_CANDIDATES = 1000;
+
+function asText(value) {
+  return value == null ? "" : String(value).trim();
+}
+
+function slugify(value) {
+  return asText(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 64);
+}
+
+function normalizeTagList(raw) {
+  const list = Array.isArray(raw) ? raw : asText(raw).split(",");
+  return [...new Set(list.map((tag) => asText(tag).toLowerCase()).filter(Boolean))];
+}
+
+function pad(value, width = 2) {
+  return String(value).padStart(width, "0");
+}
+
+// ── Templates ────────────────────────────────────────────────────────────────
+
+/**
+ * @param {string} text
+ * @returns {string[]} placeholder names in order of first appearance
+ */
+export function listTemplatePlaceholders(text) {
+  const names = [];
+  for (const match of String(text || "").matchAll(PLACEHOLDER_RE)) {
+    if (!names.includes(match[1])) names.push(match[1]);
+  }
+  return names;
+}
+
+function normalizeParameters(rawParameters, placeholders) {
+  const byName = new Map();
+  const list = Array.isArray(rawParameters)
+    ? rawParameters
+    : rawParameters && typeof rawParameters === "object"
+      ? Object.entries(rawParameters).map(([name, value]) =>
+        value && typeof value === "object" ? { ...value, name } : { name, default: value })
+      : [];
+  for (const entry of list) {
+    const raw = typeof entry === "string" ? { name: entry } : entry;
+    const name = asText(raw?.name);
+    if (!name) continue;
+    if (!/^[A-Za-z_][\w.-]*$/.test(name)) {
+      throw new Error(`Invalid template parameter name "${name}"`);
+    }
+    const fallback = raw.default == null || raw.default === "" ? null : String(raw.default);
+    byName.set(name, {
+      name,
+      description: asText(raw.description) || null,
+      default: fallback,
+      required: raw.required === undefined ? fallback == null : Boolean(raw.required),
+    });
+  }
+  for (const name of placeholders) {
+    if (byName.has(name) || BUILTIN_PARAMS.has(name)) continue;
+    byName.set(name, { name, description: null, default: null, required: true });
+  }
+  return [...byName.values()];
+}
+
+/**
+ * Validate and normalize a template definition.
+ * @param {object} raw
+ * @param {object|null} [existing] - stored template being updated
+ * @returns {object}
+ * @throws when the template has no title or invalid fields
+ */
+export function normalizeTaskTemplate(raw = {}, existing = null) {
+  const merged = { ...(existing || {}), ...(raw || {}) };
+  const title = asText(merged.title);
+  if (!title) throw new Error("Template title is required");
+  const id = slugify(merged.id || existing?.id || merged.name || title);
+  if (!id) throw new Error("Template id is required");
+  const priority = asText(merged.priority).toLowerCase() || null;
+  if (priority && !TEMPLATE_PRIORITIES.has(priority)) {
+    throw new Error(`Invalid template priority "${merged.priority}"`);
+  }
+  const type = asText(merged.type).toLowerCase() || "task";
+  if (!TEMPLATE_TYPES.has(type)) throw new Error(`Invalid template type "${merged.type}"`);
+  const description = String(merged.description ?? "");
+  const ts = new Date().toISOString();
+  return {
+    id,
+    name: asText(merged.name) || title,
+    title,
+    description,
+    tags: normalizeTagList(merged.tags),
+    priority,
+    type,
+    workflowId: asText(merged.workflowId) || null,
+    agentProfile: asText(merged.agentProfile) || null,
+    parameters: normalizeParameters(
+      raw?.parameters !== undefined ? raw.parameters : existing?.parameters,
+      [...listTemplatePlaceholders(title), ...listTemplatePlaceholders(description)],
+    ),
+    createdAt: existing?.createdAt || asText(merged.createdAt) || ts,
+    updatedAt: ts,
+  };
+}
+
+function isoWeek(parts) {
+  // ISO weeks belong to the year their Thursday falls in.
+  const thursday = Date.UTC(parts.year, parts.month - 1, parts.day - ((parts.dow + 6) % 7) + 3);
+  const weekYear = new Date(thursday).getUTCFullYear();
+  const week = 1 + Math.floor((thursday - Date.UTC(weekYear, 0, 1)) / (7 * 86_400_000));
+  return `${weekYear}-W${pad(week)}`;
+}
+
+/**
+ * Fill in a template for one instance.
+ * @param {object} template - normalized template
+ * @param {Record<string, string>} [params]
+ * @param {object} [opts]
+ * @param {Date} [opts.at] - instance time for the built-in date placeholders
+ * @param {string} [opts.timezone]
+ * @returns {{title: string, description: string, tags: string[], priority: string|null, type: string, workflowId: string|null, agentProfile: string|null, params: Record<string, string>}}
+ * @throws when a required parameter has no value
+ */
+export function renderTaskTemplate(template, params = {}, { at = new Date(), timezone = null } = {}) {
+  const parts = getZonedParts(at, timezone);
+  const values = {
+    date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+    week: isoWeek(parts),
+    month: `${parts.year}-${pad(parts.month)}`,
+  };
+  const resolved = {};
+  const missing = [];
+  for (const parameter of template.parameters || []) {
+    const supplied = params?.[parameter.name];
+    const value = supplied == null || supplied === "" ? parameter.default : String(supplied);
+    if (value == null) {
+      if (parameter.required) missing.push(parameter.name);
+      continue;
+    }
+    resolved[parameter.name] = value;
+  }
+  if (missing.length > 0) {
+    throw new Error(`Missing template parameter(s): ${missing.join(", ")}`);
+  }
+  Object.assign(values, resolved);
+  const fill = (text) => String(text || "").replace(PLACEHOLDER_RE, (token, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? values[name] : "");
+  return {
+    title: fill(template.title).trim(),
+    description: fill(template.description),
+    tags: [...(template.tags || [])],
+    priority: template.priority || null,
+    type: template.type || "task",
+    workflowId: template.workflowId || null,
+    agentProfile: template.agentProfile || null,
+    params: resolved,
+  };
+}
+
+// ── Schedules ────────────────────────────────────────────────────────────────
+
+function parseIntList(raw, key, min, max) {
+  return String(raw).split(",").map((token) => {
+    const value = Number(token.trim());
+    if (!Number.isInteger(value) || value < min || value > max || (min < 0 && value === 0)) {
+      throw new Error(`Invalid RRULE ${key} value "${token}"`);
+    }
+    return value;
+  });
+}
+
+function parseRruleUntil(raw) {
+  const match = String(raw).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!match) throw new Error(`Invalid RRULE UNTIL value "${raw}"`);
+  const [, y, mo, d, h = "23", mi = "59", s = "59"] = match;
+  return new Date(Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s)));
+}
+
+/**
+ * Parse an RRULE subset: FREQ (HOURLY…YEARLY), INTERVAL, BYDAY (with
+ * ordinals such as 1MO or -1FR for MONTHLY), BYMONTHDAY, BYMONTH, BYHOUR,
+ * BYMINUTE, COUNT and UNTIL. Fields the rule leaves out default to the
+ * recurrence's start time, as in RFC 5545.
+ */
+function parseRrule(text) {
+  const rule = {};
+  for (const part of text.replace(/^RRULE:/i, "").split(";")) {
+    if (!part.trim()) continue;
+    const [rawKey, rawValue = ""] = part.split("=");
+    rule[rawKey.trim().toUpperCase()] = rawValue.trim().toUpperCase();
+  }
+  const freq = rule.FREQ;
+  if (!RRULE_FREQS.has(freq)) {
+    throw new Error(`RRULE needs FREQ=${[...RRULE_FREQS].join("|")}`);
+  }
+  const interval = rule.INTERVAL ? Number(rule.INTERVAL) : 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error(`Invalid RRULE INTERVAL value "${rule.INTERVAL}"`);
+  }
+  const byDay = rule.BYDAY
+    ? rule.BYDAY.split(",").map((token) => {
+      const match = token.trim().match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+      if (!match) throw new Error(`Invalid RRULE BYDAY value "${token}"`);
+      const ordinal = match[1] ? Number(match[1]) : null;
+      if (ordinal != null && (freq !== "MONTHLY" || ordinal === 0 || ordinal < -1 || ordinal > 5)) {
+        throw new Error(`RRULE BYDAY ordinal "${token}" is only supported as 1-5 or -1 with FREQ=MONTHLY`);
+      }
+      return { dow: RRULE_DAYS[match[2]], ordinal };
+    })
+    : null;
+  let count = null;
+  if (rule.COUNT) {
+    count = Number(rule.COUNT);
+    if (!Number.isInteger(count) || count < 1) throw new Error(`Invalid RRULE COUNT value "${rule.COUNT}"`);
+  }
+  return {
+    freq,
+    interval,
+    byDay,
+    byMonthDay: rule.BYMONTHDAY ? parseIntList(rule.BYMONTHDAY, "BYMONTHDAY", -1, 31) : null,
+    byMonth: rule.BYMONTH ? parseIntList(rule.BYMONTH, "BYMONTH", 1, 12) : null,
+    byHour: rule.BYHOUR ? parseIntList(rule.BYHOUR, "BYHOUR", 0, 23) : null,
+    byMinute: rule.BYMINUTE ? parseIntList(rule.BYMINUTE, "BYMINUTE", 0, 59) : null,
+    count,
+    until: rule.UNTIL ? parseRruleUntil(rule.UNTIL) : null,
+  };
+}
+
+function rruleToCron(rule, start) {
+  const list = (values) => values.join(",");
+  const minute = rule.byMinute ? list(rule.byMinute) : String(start.minute);
+  let hour = rule.byHour ? list(rule.byHour) : String(start.hour);
+  if (rule.freq === "HOURLY" && !rule.byHour) hour = "*";
+  let dayOfMonth = "*";
+  let month = rule.byMonth ? list(rule.byMonth) : "*";
+  let dayOfWeek = rule.byDay
+    ? list(rule.byDay.map(({ dow, ordinal }) => {
+      if (ordinal == null) return String(dow);
+      return ordinal === -1 ? `${dow}L` : `${dow}#${ordinal}`;
+    }))
+    : "*";
+  if (rule.byMonthDay) {
+    dayOfMonth = list(rule.byMonthDay.map((day) => (day === -1 ? "L" : String(day))));
+  }
+  if (rule.freq === "WEEKLY" && !rule.byDay) dayOfWeek = String(start.dow);
+  if ((rule.freq === "MONTHLY" || rule.freq === "YEARLY") && !rule.byDay && !rule.byMonthDay) {
+    dayOfMonth = String(start.day);
+  }
+  if (rule.freq === "YEARLY" && !rule.byMonth) month = String(start.month);
+  return `${minute} ${hour} ${dayOfMonth} ${month} ${dayOfWeek}`;
+}
+
+function dayNumber(parts) {
+  return Date.UTC(parts.year, parts.month - 1, parts.day) / 86_400_000;
+}
+
+function periodIndex(freq, date, timezone) {
+  const parts = getZonedParts(date, timezone);
+  switch (freq) {
+    case "HOURLY":
+      return Math.floor(date.getTime() / 3_600_000);
+    case "DAILY":
+      return dayNumber(parts);
+    case "WEEKLY":
+      return Math.floor((dayNumber(parts) - ((parts.dow + 6) % 7)) / 7);
+    case "MONTHLY":
+      return parts.year * 12 + parts.month;
+    default:
+      return parts.year;
+  }
+}
+
+/**
+ * Parse a recurrence schedule.
+ * @param {string} schedule - cron expression or RRULE
+ * @param {object} [opts]
+ * @param {string|null} [opts.timezone] - IANA timezone the schedule is read in
+ * @param {string|Date} [opts.startAt] - anchor for RRULE defaults and INTERVAL
+ * @returns {{kind: "cron"|"rrule", expression: string, count: number|null, next: (from: Date) => Date|null}}
+ *   next() returns null once an RRULE's UNTIL has passed; COUNT is enforced
+ *   by the caller, which knows how many instances were created
+ * @throws on an invalid schedule
+ */
+export function parseRecurrenceSchedule(schedule, { timezone = null, startAt = null } = {}) {
+  const expression = asText(schedule);
+  if (!expression) throw new Error("Recurrence schedule is required");
+  const tz = asText(timezone) || null;
+  if (!/^(RRULE:|FREQ=)/i.test(expression)) {
+    const cron = parseCronExpression(expression);
+    return {
+      kind: "cron",
+      expression,
+      count: null,
+      next: (from) => cron.next(from, tz),
+    };
+  }
+  const rule = parseRrule(expression);
+  const anchor = startAt ? new Date(startAt) : new Date();
+  if (Number.isNaN(anchor.getTime())) throw new Error(`Invalid recurrence start "${startAt}"`);
+  const cron = parseCronExpression(rruleToCron(rule, getZonedParts(anchor, tz)));
+  const anchorPeriod = periodIndex(rule.freq, anchor, tz);
+  return {
+    kind: "rrule",
+    expression,
+    count: rule.count,
+    next(from) {
+      // Occurrences never precede the anchor; start just before it so an
+      // occurrence exactly at startAt still counts.
+      const floor = new Date(anchor.getTime() - 1000);
+      let cursor = from instanceof Date && from > floor ? from : floor;
+      for (let i = 0; i < MAX_RRULE_CANDIDATES; i++) {
+        const candidate = cron.next(cursor, tz);
+        if (rule.until && candidate > rule.until) return null;
+        const offset = periodIndex(rule.freq, candidate, tz) - anchorPeriod;
+        if (offset >= 0 && offset % rule.interval === 0) return candidate;
+        cursor = candidate;
+      }
+      throw new Error(`Unable to find the next occurrence for "${expression}"`);
+    },
+  };
+}
+
+// ── Recurrences ──────────────────────────────────────────────────────────────
+
+/**
+ * Validate and normalize a recurrence definition. The schedule is parsed so
+ * malformed rules are rejected up front.
+ * @param {object} raw
+ * @param {object|null} [existing]
+ * @returns {object}
+ * @throws on a missing template id or invalid schedule
+ */
+export function normalizeTaskRecurrence(raw = {}, existing = null) {
+  const merged = { ...(existing || {}), ...(raw || {}) };
+  const templateId = slugify(merged.templateId);
+  if (!templateId) throw new Error("Recurrence templateId is required");
+  const schedule = asText(merged.schedule || merged.rrule || merged.cron);
+  const timezone = asText(merged.timezone) || null;
+  const ts = new Date().toISOString();
+  const startAt = asText(merged.startAt) || existing?.createdAt || ts;
+  parseRecurrenceSchedule(schedule, { timezone, startAt });
+  const scheduleChanged = Boolean(existing)
+    && (existing.schedule !== schedule || existing.timezone !== timezone || existing.startAt !== startAt);
+  const params = {};
+  for (const [key, value] of Object.entries(merged.params && typeof merged.params === "object" ? merged.params : {})) {
+    if (value != null) params[key] = String(value);
+  }
+  return {
+    id: slugify(merged.id) || `${templateId}-${Date.now().toString(36)}`,
+    templateId,
+    params,
+    schedule,
+    timezone,
+    startAt,
+    enabled: merged.enabled !== false,
+    skipIfOpen: merged.skipIfOpen !== false,
+    nextRunAt: scheduleChanged ? null : asText(merged.nextRunAt) || null,
+    lastRunAt: asText(merged.lastRunAt) || null,
+    lastTaskId: asText(merged.lastTaskId) || null,
+    lastSkippedAt: asText(merged.lastSkippedAt) || null,
+    occurrences: Number.isInteger(merged.occurrences) && merged.occurrences > 0 ? merged.occurrences : 0,
+    createdAt: existing?.createdAt || asText(merged.createdAt) || ts,
+    updatedAt: ts,
+  };
+}
+
+/**
+ * @param {object} recurrence - normalized recurrence
+ * @param {Date} [from]
+ * @returns {string|null} ISO time of the next run after `from`, or null when
+ *   the rule is exhausted (UNTIL passed or COUNT reached)
+ */
+export function computeNextRecurrenceRun(recurrence, from = new Date()) {
+  const schedule = parseRecurrenceSchedule(recurrence.schedule, {
+    timezone: recurrence.timezone,
+    startAt: recurrence.startAt,
+  });
+  if (schedule.count != null && (recurrence.occurrences || 0) >= schedule.count) return null;
+  const next = schedule.next(from);
+  return next ? next.toISOString() : null;
+}
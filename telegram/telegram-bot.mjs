@@ -57,6 +57,13 @@ import {
   getAvailableBackends,
   getKanbanBackendName,
 } from "../kanban/kanban-adapter.mjs";
+import {
+  listTaskOperatorActions,
+  redoTaskOperatorAction,
+  runTaskOperatorAction,
+  undoTaskOperatorAction,
+} from "../task/task-store.mjs";
+import { describeJournalEntry } from "../task/task-journal.mjs";
 import {
   getWorktreeManager,
   listActiveWorktrees as listManagedWorktrees,
@@ -3806,6 +3813,14 @@ const COMMANDS = {
     handler: cmdRetry,
     desc: "Start fresh session for stuck task: /retry [reason]",
   },
+  "/undo": {
+    handler: cmdUndo,
+    desc: "Undo the last task change: /undo [actionId|list] [force]",
+  },
+  "/redo": {
+    handler: cmdRedo,
+    desc: "Redo the last undone task change: /redo [actionId] [force]",
+  },
   "/plan": {
     handler: cmdPlan,
     desc: "Run task planner workflow: /plan [count] [focus]",
@@ -4156,6 +4171,8 @@ const FAST_COMMANDS = new Set([
   "/tasks",
   "/agents",
   "/cancel",
+  "/undo",
+  "/redo",
   "/sdk",
   "/kanban",
   "/threads",
@@ -4226,7 +4243,11 @@ async function handleCommand(text, chatId) {
   const entry = COMMANDS[cmd] || COMMANDS[cmd.replace(/-/g, "_")];
   if (entry) {
     try {
-      await entry.handler(chatId, cmdArgs);
+      // Task changes made by a command are journaled as one undoable action.
+      await runTaskOperatorAction(
+        { source: "telegram", actor: `telegram:${chatId}`, label: cmd },
+        () => entry.handler(chatId, cmdArgs),
+      );
     } catch (err) {
       await sendReply(chatId, `:close: Command error: ${err.message}`);
     }
@@ -4262,7 +4283,7 @@ async function handleUiCommand(text) {
   const ACTION_COMMANDS = new Set([
     "/restart", "/plan", "/retry", "/cleanup", "/prune",
     "/starttask", "/pause", "/resume", "/reconcile",
-    "/autobacklog", "/requirements",
+    "/autobacklog", "/requirements", "/undo", "/redo",
   ]);
 
   if (ACTION_COMMANDS.has(cmd)) {
@@ -8377,6 +8398,64 @@ async function cmdRetry(chatId, args) {
   }
 }
 
+async function cmdUndo(chatId, args) {
+  const tokens = String(args || "").trim().split(/\s+/).filter(Boolean);
+  if (tokens[0] === "list") {
+    const actions = listTaskOperatorActions({ limit: 8 });
+    if (actions.length === 0) {
+      await sendReply(chatId, "No task changes recorded.");
+      return;
+    }
+    const lines = [":clipboard: Recent task changes", ""];
+    for (const action of actions) {
+      const state = action.status === "undone" ? " (undone)" : "";
+      lines.push(`• ${describeJournalEntry(action)}${state}`);
+      lines.push(`  ${action.actionId}`);
+    }
+    lines.push("", "Undo one with /undo <actionId>");
+    await sendReply(chatId, lines.join("\n"));
+    return;
+  }
+  await revertTaskChange(chatId, "undo", tokens);
+}
+
+async function cmdRedo(chatId, args) {
+  const tokens = String(args || "").trim().split(/\s+/).filter(Boolean);
+  await revertTaskChange(chatId, "redo", tokens);
+}
+
+async function revertTaskChange(chatId, direction, tokens) {
+  const force = tokens.includes("force") || tokens.includes("--force");
+  const actionId = tokens.find((token) => token !== "force" && token !== "--force");
+  const revert = direction === "redo" ? redoTaskOperatorAction : undoTaskOperatorAction;
+  const result = revert(actionId, { force, source: "telegram", actor: `telegram:${chatId}` });
+  if (!result) {
+    await sendReply(chatId, actionId ? `Task change ${actionId} not found.` : `Nothing to ${direction}.`);
+    return;
+  }
+  if (!result.ok) {
+    if (result.conflicts?.length) {
+      const fields = result.conflicts
+        .slice(0, 5)
+        .map((conflict) => `${conflict.id}${conflict.field ? `.${conflict.field}` : ""}`)
+        .join(", ");
+      await sendReply(
+        chatId,
+        `:alert: Cannot ${direction} — ${result.conflicts.length} field(s) changed since: ${fields}` +
+          `\nForce it with /${direction} ${result.actionId} force`,
+      );
+      return;
+    }
+    await sendReply(chatId, `:close: Cannot ${direction} ${result.actionId}: ${result.error}`);
+    return;
+  }
+  await sendReply(
+    chatId,
+    `:check: ${direction === "redo" ? "Redid" : "Undid"} ${result.changes.length} change(s) from ${result.actionId}` +
+      (result.forced ? "\n(overwrote newer edits)" : ""),
+  );
+}
+
 async function cmdPlan(chatId, args) {
   if (typeof _triggerTaskPlanner !== "function") {
     await sendReply(
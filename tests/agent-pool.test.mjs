@@ -1,6 +1,8 @@
 import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { createServer } from "node:http";
 import { tmpdir } from "node:os";
 import { join } from "node:path";
+import { fileURLToPath } from "node:url";
 
 const __RUN_VITEST_ONLY = Boolean(process.env.VITEST);
 let mockCodexStartThread;
@@ -281,6 +283,10 @@ const ENV_KEYS = [
   "INTERNAL_EXECUTOR_STREAM_FIRST_EVENT_TIMEOUT_MS",
   "INTERNAL_EXECUTOR_STREAM_MAX_ITEMS_PER_TURN",
   "INTERNAL_EXECUTOR_STREAM_MAX_ITEM_CHARS",
+  "BOSUN_CLI_AGENT",
+  "BOSUN_CLI_AGENTS_DIR",
+  "OPENAI_COMPAT_BASE_URL",
+  "OPENAI_COMPAT_MODEL",
 ];
 
 /** @type {Record<string, string|undefined>} */
@@ -1261,6 +1267,102 @@ describe("launchEphemeralThread", () => {
     expect(mockCopilotStart).toHaveBeenCalledTimes(1);
     expect(mockCodexStartThread).toHaveBeenCalledTimes(2);
   });
+  it("runs a configured cli-agent spec and fails over on retryable exit codes", async () => {
+    const fakeAgent = (extraArgs = []) => ({
+      command: process.execPath,
+      args: [fileURLToPath(new URL("./fixtures/fake-cli-agent.mjs", import.meta.url)), ...extraArgs],
+      output: {
+        format: "jsonl",
+        rules: [
+          { kind: "session", match: { type: "init" }, sessionId: "session_id" },
+          { kind: "final", match: { type: "result" }, text: "result" },
+        ],
+      },
+      exitCodes: { retryable: [75] },
+    });
+    const { resetCliAgentSpecCache } = await import("../shell/cli-agent-shell.mjs");
+    mockLoadConfig.mockReturnValue({ cliAgents: { fake: fakeAgent() } });
+    resetCliAgentSpecCache();
+
+    expect(getAvailableSdks()).toContain("cli-agent");
+    const ok = await launchEphemeralThread("hello", process.cwd(), 10000, { sdk: "cli-agent" });
+    expect(ok).toMatchObject({ success: true, sdk: "cli-agent", output: "done: hello", threadId: "sess-1" });
+
+    process.env.__MOCK_CODEX_AVAILABLE = "1";
+    process.env.OPENAI_API_KEY = "test-key";
+    mockLoadConfig.mockReturnValue({ cliAgents: { fake: fakeAgent(["--exit", "75"]) } });
+    resetCliAgentSpecCache();
+    const failedOver = await launchEphemeralThread("hello", process.cwd(), 10000, { sdk: "cli-agent" });
+    expect(failedOver).toMatchObject({ success: true, sdk: "codex", output: "codex-output" });
+  });
+
+  it("runs the openai-compat tool loop against a local completion server", async () => {
+    const requests = [];
+    const server = createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => {
+        body += chunk;
+      });
+      req.on("end", () => {
+        requests.push(JSON.parse(body));
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({
+          choices: [{ message: { role: "assistant", content: "local-output" } }],
+          usage: { prompt_tokens: 12, completion_tokens: 3 },
+        }));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    try {
+      mockLoadConfig.mockReturnValue({ openaiCompat: { bosunTools: false } });
+      expect(getAvailableSdks()).not.toContain("openai-compat");
+
+      process.env.OPENAI_COMPAT_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+      process.env.OPENAI_COMPAT_MODEL = "local-coder";
+      expect(getAvailableSdks()).toContain("openai-compat");
+      const result = await launchEphemeralThread("hello", process.cwd(), 10000, { sdk: "openai-compat" });
+      expect(result).toMatchObject({ success: true, sdk: "openai-compat", output: "local-output", threadId: null });
+      expect(result.usage).toEqual({ input_tokens: 12, output_tokens: 3, total_tokens: 15 });
+      expect(requests[0]).toMatchObject({ model: "local-coder" });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it("replays scripted attempts without falling back to real SDKs", async () => {
+    process.env.__MOCK_CODEX_AVAILABLE = "1";
+    process.env.OPENAI_API_KEY = "test-key";
+    const { setScriptedAgentScript } = await import("../shell/scripted-agent-shell.mjs");
+    const { hasActiveSession, steerActiveThread } = await import("../agent/agent-pool.mjs");
+    expect(getAvailableSdks()).not.toContain("scripted");
+
+    setScriptedAgentScript({
+      tasks: {
+        "task-scripted": {
+          attempts: [
+            [{ message: "looking" }, { rateLimit: true }],
+            [{ waitForSteer: 5000 }, { final: "done" }],
+          ],
+        },
+      },
+    });
+    process.env.AGENT_POOL_SDK = "scripted";
+    resetPoolSdkCache();
+    expect(getPoolSdkName()).toBe("scripted");
+
+    const first = await launchOrResumeThread("fix it", process.cwd(), 10000, { taskKey: "task-scripted" });
+    expect(first).toMatchObject({ success: false, sdk: "scripted", error: expect.stringMatching(/^429 /) });
+
+    const second = launchOrResumeThread("fix it", process.cwd(), 10000, { taskKey: "task-scripted" });
+    await vi.waitFor(() => expect(hasActiveSession("task-scripted")).toBe(true));
+    expect(steerActiveThread("task-scripted", "check the logs")).toBe(true);
+    const result = await second;
+    expect(result).toMatchObject({ success: true, sdk: "scripted", output: "done" });
+    expect(result.items[0].text).toBe("Received guidance: check the logs");
+    expect(mockCodexStartThread).not.toHaveBeenCalled();
+    setScriptedAgentScript(null);
+  });
+
   it("returns error when all SDKs are disabled", async () => {
     process.env.CODEX_SDK_DISABLED = "1";
     process.env.COPILOT_SDK_DISABLED = "1";
@@ -0,0 +1,160 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { fileURLToPath } from "node:url";
+
+const mockConfigState = vi.hoisted(() => ({ current: {} }));
+
+vi.mock("../config/config.mjs", () => ({
+  loadConfig: () => mockConfigState.current,
+}));
+
+const {
+  buildCliAgentArgs,
+  execCliAgentPrompt,
+  getSessionInfo,
+  loadCliAgentSpecs,
+  normalizeCliAgentSpec,
+  resetCliAgentSpecCache,
+  resetSession,
+  runCliAgent,
+} = await import("../shell/cli-agent-shell.mjs");
+
+const FAKE_CLI_AGENT = fileURLToPath(new URL("./fixtures/fake-cli-agent.mjs", import.meta.url));
+
+const JSONL_SPEC = {
+  command: process.execPath,
+  args: [FAKE_CLI_AGENT, "--format", "jsonl"],
+  model: { args: ["--model", "{model}"] },
+  resume: { args: ["--session", "{sessionId}"] },
+  output: {
+    format: "jsonl",
+    rules: [
+      { kind: "session", match: { type: "init" }, sessionId: "session_id" },
+      { kind: "tool_call", match: { type: "tool" }, name: "name", arguments: "input" },
+      { kind: "tool_result", match: { type: "tool_output" }, text: "content" },
+      { kind: "message", match: { type: "assistant" }, text: "message.content" },
+      { kind: "final", match: { type: "result" }, text: "result" },
+    ],
+  },
+  exitCodes: { retryable: [75] },
+};
+
+describe("cli-agent-shell", () => {
+  let tmpDir = "";
+
+  beforeEach(async () => {
+    tmpDir = mkdtempSync(join(tmpdir(), "bosun-cli-agent-"));
+    mockConfigState.current = { cliAgents: { fake: JSONL_SPEC } };
+    delete process.env.BOSUN_CLI_AGENT;
+    delete process.env.BOSUN_CLI_AGENTS_DIR;
+    resetCliAgentSpecCache();
+    await resetSession();
+  });
+
+  afterEach(() => {
+    delete process.env.BOSUN_CLI_AGENTS_DIR;
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("normalizes specs from config and YAML files and builds argv", () => {
+    writeFileSync(
+      join(tmpDir, "aider.yaml"),
+      [
+        "command: aider",
+        "args: [--yes-always]",
+        "prompt: { mode: arg, args: [--message, '{prompt}'] }",
+        "model: { args: [--model, '{model}'] }",
+        "default: true",
+      ].join("\n"),
+    );
+    writeFileSync(join(tmpDir, "broken.json"), JSON.stringify({ prompt: "stdin" }));
+    process.env.BOSUN_CLI_AGENTS_DIR = tmpDir;
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    const specs = loadCliAgentSpecs({ refresh: true });
+    expect([...specs.keys()]).toEqual(["fake", "aider"]);
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/^\[cli-agent-shell\] skipping .*requires a command/));
+    warn.mockRestore();
+
+    const aider = specs.get("aider");
+    expect(aider).toMatchObject({ default: true, prompt: { mode: "arg" }, exitCodes: { success: [0], retryable: [] } });
+    expect(buildCliAgentArgs(aider, { prompt: "fix it", model: "sonnet" }))
+      .toEqual(["--yes-always", "--model", "sonnet", "--message", "fix it"]);
+    expect(buildCliAgentArgs(aider, { prompt: "fix it" })).toEqual(["--yes-always", "--message", "fix it"]);
+
+    expect(() => normalizeCliAgentSpec({ command: "x", prompt: { mode: "pipe" } }, "x")).toThrow(/prompt.mode/);
+    expect(() => normalizeCliAgentSpec({ command: "x", output: { rules: [{ kind: "final" }] } }, "x")).toThrow(/match.*pattern/);
+    expect(() => normalizeCliAgentSpec({ command: "x", exitCodes: { retryable: ["soon"] } }, "x")).toThrow(/exit codes/);
+  });
+
+  it("streams JSONL events from a stdin-driven agent and resumes its session", async () => {
+    const spec = normalizeCliAgentSpec(JSONL_SPEC, "fake");
+    const events = [];
+    const first = await runCliAgent(spec, "add tests", { cwd: tmpDir, model: "m1", onEvent: (event) => events.push(event) });
+
+    expect(first).toMatchObject({ success: true, exitCode: 0, sessionId: "sess-1", output: "done: add tests model=m1" });
+    expect(first.items).toEqual([
+      { type: "function_call", name: "read_file", arguments: '{"path":"README.md"}' },
+      { type: "function_call_output", name: null, output: "# readme" },
+      { type: "agent_message", text: "working" },
+      { type: "agent_message", text: "done: add tests model=m1" },
+      { type: "agent_message", text: "plain progress line" },
+    ]);
+    expect(events[0]).toEqual({ type: "item.completed", item: first.items[0] });
+
+    const resumed = await runCliAgent(spec, "continue", { cwd: tmpDir, resumeSessionId: first.sessionId });
+    expect(resumed.output).toBe("done: continue resumed=sess-1");
+  });
+
+  it("passes prompts through a file and parses text output with regex rules", async () => {
+    const spec = normalizeCliAgentSpec({
+      command: process.execPath,
+      args: [FAKE_CLI_AGENT, "--format", "text"],
+      prompt: { mode: "file", args: ["--prompt-file", "{promptFile}"] },
+      output: {
+        rules: [
+          { kind: "session", pattern: "^Session: (\\S+)$" },
+          { kind: "tool_call", pattern: "^> tool (?<name>\\S+) (?<arguments>.*)$" },
+          { kind: "final", pattern: "^FINAL: (.*)$" },
+        ],
+      },
+    }, "texty");
+
+    const result = await runCliAgent(spec, "read the docs", { cwd: tmpDir });
+    expect(result).toMatchObject({ success: true, sessionId: "sess-1", output: "done: read the docs" });
+    expect(result.items.map((item) => item.type)).toEqual(["agent_message", "function_call", "agent_message"]);
+    expect(result.items[1]).toEqual({ type: "function_call", name: "run_tests", arguments: '{"pattern":"*.mjs"}' });
+  });
+
+  it("classifies exit codes and spawn failures", async () => {
+    const spec = (extraArgs) => normalizeCliAgentSpec({ ...JSONL_SPEC, args: [...JSONL_SPEC.args, ...extraArgs] }, "fake");
+
+    const retryable = await runCliAgent(spec(["--exit", "75"]), "x", { cwd: tmpDir });
+    expect(retryable).toMatchObject({ success: false, retryable: true, exitCode: 75 });
+    expect(retryable.error).toBe("cli-agent fake exited with retryable exit code 75: fake agent failed with 75");
+
+    const fatal = await runCliAgent(spec(["--exit", "2"]), "x", { cwd: tmpDir });
+    expect(fatal).toMatchObject({ success: false, retryable: false, exitCode: 2 });
+    expect(fatal.error).toMatch(/^cli-agent fake exited with code 2/);
+
+    const missing = await runCliAgent(normalizeCliAgentSpec({ command: join(tmpDir, "no-such-agent") }, "ghost"), "x", { cwd: tmpDir });
+    expect(missing).toMatchObject({ success: false, exitCode: null });
+    expect(missing.error).toMatch(/spawn failed: .*ENOENT/);
+  });
+
+  it("keeps the primary-agent session across turns", async () => {
+    const first = await execCliAgentPrompt("plan", { cwd: tmpDir });
+    expect(first.finalResponse).toBe("done: plan");
+    expect(getSessionInfo()).toMatchObject({ agent: "fake", sessionId: "sess-1", turnCount: 1, isBusy: false });
+
+    const second = await execCliAgentPrompt("build", { cwd: tmpDir });
+    expect(second.finalResponse).toBe("done: build resumed=sess-1");
+
+    mockConfigState.current = {};
+    resetCliAgentSpecCache();
+    await resetSession();
+    await expect(execCliAgentPrompt("x", { cwd: tmpDir, agent: "fake" })).rejects.toThrow(/not available/);
+  });
+});
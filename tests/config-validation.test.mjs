@@ -29,6 +29,9 @@ const ENV_KEYS = [
   "JIRA_STATUS_TODO",
   "JIRA_LABEL_IGNORE",
   "JIRA_CUSTOM_FIELD_OWNER_ID",
+  "LINEAR_API_KEY",
+  "LINEAR_TEAM_KEY",
+  "LINEAR_STATUS_INREVIEW",
   "KANBAN_PROJECT_ID",
   "GNAP_ENABLED",
   "GNAP_REPO_PATH",
@@ -770,6 +773,41 @@ describe("loadConfig validation and edge cases", () => {
     ).toThrow(/KANBAN_BACKEND=jira requires/i);
   });
 
+  it("loads linear settings and requires an api key", () => {
+    process.env.KANBAN_BACKEND = "linear";
+    delete process.env.KANBAN_PROJECT_ID;
+    delete process.env.GNAP_ENABLED;
+    process.env.LINEAR_API_KEY = "lin_api_1";
+    process.env.LINEAR_TEAM_KEY = "ENG";
+    process.env.LINEAR_STATUS_INREVIEW = "Code Review";
+
+    const config = loadConfig([
+      "node",
+      "bosun",
+      "--config-dir",
+      tempConfigDir,
+      "--repo-root",
+      tempConfigDir,
+    ]);
+
+    expect(config.kanban.backend).toBe("linear");
+    expect(config.linear.apiKey).toBe("lin_api_1");
+    expect(config.linear.teamKey).toBe("ENG");
+    expect(config.linear.statusMapping.inreview).toBe("Code Review");
+
+    process.env.LINEAR_API_KEY = "";
+    expect(() =>
+      loadConfig([
+        "node",
+        "bosun",
+        "--config-dir",
+        tempConfigDir,
+        "--repo-root",
+        tempConfigDir,
+      ]),
+    ).toThrow(/KANBAN_BACKEND=linear requires LINEAR_API_KEY/);
+  });
+
   it("loads gnap projection settings from env", () => {
     process.env.KANBAN_BACKEND = "gnap";
     process.env.GNAP_ENABLED = "true";
@@ -1,5 +1,11 @@
-import { describe, it, expect, beforeEach, afterEach } from "vitest";
-import { parseCronExpression, CronScheduler } from "../workflow/cron-scheduler.mjs";
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import {
+  parseCronExpression,
+  parseDurationMs,
+  createScheduleCalendar,
+  checkScheduleCalendar,
+  CronScheduler,
+} from "../workflow/cron-scheduler.mjs";
 import { mkdtempSync, rmSync, existsSync } from "node:fs";
 import { join } from "node:path";
 import { tmpdir } from "node:os";
@@ -15,7 +21,7 @@ describe("parseCronExpression", () => {
 
   it("rejects expressions with wrong field count", () => {
     expect(() => parseCronExpression("* * *")).toThrow(/5 fields/);
-    expect(() => parseCronExpression("* * * * * *")).toThrow(/5 fields/);
+    expect(() => parseCronExpression("* * * * * * *")).toThrow(/5 fields/);
   });
 
   it("parses every-minute wildcard", () => {
@@ -314,3 +320,205 @@ describe("CronScheduler with timezone", () => {
     sched.stop();
   });
 });
+
+// ── Extended syntax ─────────────────────────────────────────────────────────
+
+describe("parseCronExpression extended syntax", () => {
+  const from = new Date("2026-01-01T00:00:00Z"); // Thursday
+  const iso = (dates) => dates.map((d) => d.toISOString());
+
+  it("supports a leading seconds field", () => {
+    const cron = parseCronExpression("*/15 * * * * *");
+    expect(cron.fields.second).toEqual([0, 15, 30, 45]);
+    expect(iso(cron.nextN(3, from))).toEqual([
+      "2026-01-01T00:00:15.000Z",
+      "2026-01-01T00:00:30.000Z",
+      "2026-01-01T00:00:45.000Z",
+    ]);
+    expect(parseCronExpression("30 0 9 * * *").next(from).toISOString()).toBe("2026-01-01T09:00:30.000Z");
+  });
+
+  it("defaults seconds to 0 for 5-field expressions", () => {
+    const cron = parseCronExpression("* * * * *");
+    expect(cron.fields.second).toEqual([0]);
+    expect(cron.next(new Date("2026-01-01T00:00:20Z")).toISOString()).toBe("2026-01-01T00:01:00.000Z");
+  });
+
+  it("rejects out-of-range seconds", () => {
+    expect(() => parseCronExpression("60 * * * * *")).toThrow(/second/);
+  });
+
+  it("expands macros", () => {
+    expect(parseCronExpression("@hourly").next(from).toISOString()).toBe("2026-01-01T01:00:00.000Z");
+    expect(parseCronExpression("@daily").next(from).toISOString()).toBe("2026-01-02T00:00:00.000Z");
+    expect(parseCronExpression("@weekly").next(from).toISOString()).toBe("2026-01-04T00:00:00.000Z");
+    expect(parseCronExpression("@monthly").next(from).toISOString()).toBe("2026-02-01T00:00:00.000Z");
+    expect(parseCronExpression("@YEARLY").next(from).toISOString()).toBe("2027-01-01T00:00:00.000Z");
+    expect(() => parseCronExpression("@fortnightly")).toThrow(/Unknown cron macro/);
+  });
+
+  it("supports @every intervals", () => {
+    const cron = parseCronExpression("@every 90s");
+    expect(cron.kind).toBe("interval");
+    expect(cron.intervalMs).toBe(90000);
+    expect(iso(cron.nextN(2, from))).toEqual(["2026-01-01T00:01:30.000Z", "2026-01-01T00:03:00.000Z"]);
+    expect(parseDurationMs("1h30m")).toBe(5400000);
+    expect(() => parseCronExpression("@every 10ms")).toThrow(/at least 1s/);
+    expect(() => parseCronExpression("@every soon")).toThrow(/Invalid duration/);
+  });
+
+  it("supports L, L-n and LW in day-of-month", () => {
+    expect(iso(parseCronExpression("0 0 L * *").nextN(2, from))).toEqual([
+      "2026-01-31T00:00:00.000Z",
+      "2026-02-28T00:00:00.000Z",
+    ]);
+    expect(parseCronExpression("0 0 L-2 * *").next(from).toISOString()).toBe("2026-01-29T00:00:00.000Z");
+    // 2026-01-31 is a Saturday → last weekday is Friday the 30th
+    expect(parseCronExpression("0 0 LW * *").next(from).toISOString()).toBe("2026-01-30T00:00:00.000Z");
+  });
+
+  it("supports nW (nearest weekday) without crossing months", () => {
+    // 2026-02-15 is a Sunday → Monday the 16th
+    expect(parseCronExpression("0 0 15W 2 *").next(from).toISOString()).toBe("2026-02-16T00:00:00.000Z");
+    // 2026-08-01 is a Saturday → Monday the 3rd, not July 31st
+    expect(parseCronExpression("0 0 1W 8 *").next(from).toISOString()).toBe("2026-08-03T00:00:00.000Z");
+  });
+
+  it("supports nL and n#k in day-of-week", () => {
+    expect(parseCronExpression("0 18 * * 5L").next(from).toISOString()).toBe("2026-01-30T18:00:00.000Z");
+    expect(parseCronExpression("0 9 * * MON#2").next(from).toISOString()).toBe("2026-01-12T09:00:00.000Z");
+    expect(() => parseCronExpression("0 9 * * 1#6")).toThrow(/occurrence/);
+  });
+
+  it("honours timezones across day boundaries", () => {
+    const cron = parseCronExpression("0 0 1 * *");
+    expect(iso(cron.nextN(2, from, "America/New_York"))).toEqual([
+      "2026-01-01T05:00:00.000Z",
+      "2026-02-01T05:00:00.000Z",
+    ]);
+  });
+});
+
+// ── Schedule calendar ───────────────────────────────────────────────────────
+
+describe("createScheduleCalendar", () => {
+  it("reports exclusion dates (one-off and yearly)", () => {
+    const cal = createScheduleCalendar({
+      exclusions: ["2026-01-02", { date: "12-25", reason: "Christmas" }],
+    });
+    expect(cal.check(new Date("2026-01-02T10:00:00Z"))).toMatchObject({ kind: "exclusion", date: "2026-01-02" });
+    expect(cal.check(new Date("2027-12-25T10:00:00Z"))).toMatchObject({ kind: "exclusion", reason: "Christmas" });
+    expect(cal.check(new Date("2026-01-03T10:00:00Z"))).toBeNull();
+  });
+
+  it("reports recurring blackout windows that wrap midnight", () => {
+    const cal = createScheduleCalendar({
+      blackouts: [{ from: "22:00", to: "06:00", days: ["fri"], reason: "weekend freeze" }],
+    });
+    expect(cal.check(new Date("2026-01-09T23:00:00Z"))).toMatchObject({
+      kind: "blackout",
+      reason: "weekend freeze",
+      window: { from: "22:00", to: "06:00" },
+    });
+    // Saturday 05:00 is the tail of Friday's window
+    expect(cal.check(new Date("2026-01-10T05:00:00Z"))).toMatchObject({ kind: "blackout" });
+    expect(cal.check(new Date("2026-01-10T07:00:00Z"))).toBeNull();
+    // Thursday night is not covered
+    expect(cal.check(new Date("2026-01-08T23:00:00Z"))).toBeNull();
+  });
+
+  it("reports absolute blackout windows", () => {
+    const cal = createScheduleCalendar({
+      blackouts: [{ start: "2026-03-01T00:00:00Z", end: "2026-03-08T00:00:00Z" }],
+    });
+    expect(cal.check(new Date("2026-03-05T12:00:00Z"))).toMatchObject({ kind: "blackout" });
+    expect(cal.check(new Date("2026-03-08T00:00:00Z"))).toBeNull();
+  });
+
+  it("evaluates windows in the calendar timezone", () => {
+    const cal = createScheduleCalendar({
+      timezone: "America/New_York",
+      blackouts: [{ from: "09:00", to: "17:00" }],
+    });
+    expect(cal.check(new Date("2026-01-05T15:00:00Z"))).toMatchObject({ kind: "blackout" });
+    expect(cal.check(new Date("2026-01-05T23:00:00Z"))).toBeNull();
+  });
+
+  it("finds the next allowed occurrence", () => {
+    const cal = createScheduleCalendar({ exclusions: ["2026-01-02"] });
+    const next = cal.nextAllowed(parseCronExpression("0 9 * * *"), new Date("2026-01-01T12:00:00Z"));
+    expect(next.toISOString()).toBe("2026-01-03T09:00:00.000Z");
+  });
+
+  it("jumps past long blackout windows instead of walking every tick", () => {
+    const cal = createScheduleCalendar({
+      blackouts: [{ start: "2026-03-01T00:00:00Z", end: "2026-03-08T00:00:00Z", reason: "release freeze" }],
+      exclusions: ["2026-03-08"],
+    });
+    // A week of 5-minute ticks is ~2000 candidates, well over maxSkips
+    const next = cal.nextAllowed(parseCronExpression("*/5 * * * *"), new Date("2026-03-01T00:00:00Z"));
+    expect(next.toISOString()).toBe("2026-03-09T00:00:00.000Z");
+
+    const nightly = createScheduleCalendar({ blackouts: [{ from: "22:00", to: "06:00" }] });
+    expect(nightly.nextAllowed(parseCronExpression("* * * * * *"), new Date("2026-01-05T21:59:58Z")).toISOString())
+      .toBe("2026-01-05T21:59:59.000Z");
+    expect(nightly.nextAllowed(parseCronExpression("* * * * * *"), new Date("2026-01-05T22:00:00Z")).toISOString())
+      .toBe("2026-01-06T06:00:00.000Z");
+  });
+
+  it("returns null when every occurrence is blocked", () => {
+    const cal = createScheduleCalendar({ blackouts: [{ from: "00:00", to: "24:00" }] });
+    expect(cal.nextAllowed(parseCronExpression("@every 1m"), new Date("2026-01-01T00:00:00Z"))).toBeNull();
+  });
+
+  it("rejects malformed entries", () => {
+    expect(() => createScheduleCalendar({ exclusions: ["tomorrow"] })).toThrow(/Invalid exclusion/);
+    expect(() => createScheduleCalendar({ blackouts: [{ from: "25:00", to: "03:00" }] })).toThrow(/HH:MM/);
+    expect(() => createScheduleCalendar({ blackouts: [{ start: "2026-02-01", end: "2026-01-01" }] })).toThrow(/start before end/);
+  });
+
+  it("checkScheduleCalendar reports invalid configs instead of throwing", () => {
+    expect(checkScheduleCalendar({})).toBeNull();
+    expect(checkScheduleCalendar({ exclusions: ["nope"] })).toMatchObject({ kind: "invalid" });
+  });
+});
+
+describe("CronScheduler blackouts", () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("skips ticks inside blackout windows and records why", () => {
+    vi.useFakeTimers({ now: new Date("2026-01-03T12:00:00Z") });
+    const sched = new CronScheduler();
+    let fired = 0;
+    sched.register("frozen", "* * * * * *", () => { fired++; }, {
+      blackouts: [{ from: "00:00", to: "24:00", reason: "freeze" }],
+    });
+    sched.start(1000);
+    vi.advanceTimersByTime(3000);
+    sched.stop();
+
+    expect(fired).toBe(0);
+    const [status] = sched.getStatus();
+    expect(status.skipCount).toBeGreaterThan(0);
+    expect(status.lastSkipReason).toBe("blackout: freeze");
+  });
+
+  it("leaves excluded dates out of getNextOccurrences", () => {
+    vi.useFakeTimers({ now: new Date("2026-01-01T12:00:00Z") });
+    const sched = new CronScheduler();
+    sched.register("daily", "0 9 * * *", () => {}, { exclusions: ["2026-01-02"] });
+    const dates = sched.getNextOccurrences("daily", 2).map((d) => d.toISOString());
+    expect(dates).toEqual(["2026-01-03T09:00:00.000Z", "2026-01-04T09:00:00.000Z"]);
+  });
+
+  it("returns no occurrences for a schedule that is always blacked out", () => {
+    vi.useFakeTimers({ now: new Date("2026-01-01T12:00:00Z") });
+    const sched = new CronScheduler();
+    sched.register("never", "*/30 * * * * *", () => {}, {
+      blackouts: [{ from: "00:00", to: "24:00", reason: "freeze" }],
+    });
+    expect(sched.getNextOccurrences("never", 3)).toEqual([]);
+  });
+});
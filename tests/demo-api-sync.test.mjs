@@ -111,6 +111,7 @@ const INTENTIONALLY_SKIPPED = new Set([
   "/api/worktrees/peek",    // Real git worktree file reading
   "/api/git/branch-detail", // Real git branch detail
   "/api/project-sync/metrics", // Real project sync metrics
+  "/api/kanban/webhooks/journal", // Kanban webhook event journal — server-only (reads the journal file)
   "/api/settings/update",   // Alias for /api/config/update
   "/api/tasks/diff",        // Task diff relies on live git/task state, not demo fixtures
   "/api/github/app/config", // GitHub App config — server-only (reads env vars + key files)
@@ -208,6 +209,7 @@ const INTENTIONALLY_SKIPPED_ACTIONS = new Set([
   "code",                // GET/PUT /api/workflows/:id/code
   "validate",            // POST /api/workflows/:id/code/validate
   "export",              // GET /api/workflows/:id/export
+  "revisions",           // GET/POST /api/workflows/:id/revisions[/:rev[/diff|/rollback]]
   "cancel",              // POST /api/workflows/runs/:id/cancel
   "approval",            // GET/POST /api/workflows/runs/:id/approval
   // Credential management — server-only (requires credential store)
@@ -0,0 +1,198 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  collectRouterOutcomes,
+  extractRoutingFeatures,
+  featureKeys,
+  formatRouterDecision,
+  normalizeRouterConfig,
+  resetExecutorRouter,
+  routeExecutor,
+  setExecutorRouterStats,
+  trainExecutorRouter,
+} from "../task/executor-router.mjs";
+import {
+  classifyTaskComplexity,
+  formatComplexityDecision,
+  isModelAllowedForExecutor,
+  resolveExecutorForTask,
+} from "../task/task-complexity.mjs";
+import { RunEvaluator } from "../workflow/run-evaluator.mjs";
+
+const UI_TASK = { id: "T-new", title: "Fix dropdown [m]", tags: ["UI"], changedFiles: ["web/src/Menu.tsx"] };
+
+/** `runs` outcomes of one arm for tasks shaped like UI_TASK. */
+function uiOutcomes(executor, model, { runs, successes, costUsd }) {
+  const features = extractRoutingFeatures(UI_TASK, classifyTaskComplexity(UI_TASK));
+  return Array.from({ length: runs }, (_, index) => ({
+    executor,
+    model,
+    success: index < successes,
+    costUsd,
+    features,
+  }));
+}
+
+const allowed = (arm) => isModelAllowedForExecutor(arm.executor, arm.model);
+
+describe("executor-router", () => {
+  afterEach(() => {
+    resetExecutorRouter();
+    vi.restoreAllMocks();
+  });
+
+  it("extracts task features and collects outcomes from runs, sessions and evaluations", () => {
+    const features = extractRoutingFeatures(
+      { tags: "UI, a11y", meta: { changedFiles: ["web/src/Menu.tsx", "web/src/menu.css", "README"] } },
+      { tier: "medium", sizeLabel: "m" },
+    );
+    expect(featureKeys(features)).toEqual([
+      "size:m",
+      "tier:medium",
+      "tag:ui",
+      "tag:a11y",
+      "area:web",
+      "ext:.tsx",
+      "ext:.css",
+      "ext:readme",
+    ]);
+    expect(extractRoutingFeatures({ repoAreas: ["API"], changedFiles: ["web/x.ts"] }).areas).toEqual(["api"]);
+
+    const outcomes = collectRouterOutcomes({
+      tasks: [
+        {
+          id: "T1",
+          title: "Fix [s]",
+          tags: ["ui"],
+          runs: [
+            { runId: "r1", sdk: "codex", status: "completed", meta: { model: "gpt-5.2-codex", costUsd: 0.4 } },
+            { runId: "r2", sdk: "codex-sdk", status: "completed", meta: { model: "gpt-5.2-codex" } },
+            { runId: "r3", sdk: "claude", status: "failed", meta: { model: "claude-sonnet-4.6" } },
+            { runId: "r4", sdk: "codex", status: "running", meta: { model: "gpt-5.2-codex" } },
+            { runId: "r5", sdk: "codex", status: "completed" },
+          ],
+        },
+        { id: "T2", title: "Docs [xs]", tags: ["docs"], runs: [] },
+      ],
+      sessions: [
+        { taskId: "T1", executor: "codex", model: "gpt-5.2-codex", status: "completed" },
+        { taskId: "T2", executor: "copilot", model: "claude-haiku-4.5", status: "completed", costUsd: 0.02 },
+        { taskId: "T3", executor: "codex", model: "gpt-5.1-codex-mini", status: "failed", taskTitle: "Lint fix [xs]" },
+        { taskId: "T4", executor: null, model: null, status: "completed" },
+      ],
+      evaluations: [{ runId: "r2", score: 35 }],
+      classify: classifyTaskComplexity,
+    });
+
+    expect(outcomes.map((entry) => [entry.taskId, entry.executor, entry.success, entry.costUsd])).toEqual([
+      ["T1", "codex", true, 0.4],
+      ["T1", "codex-sdk", false, 0],
+      ["T1", "claude", false, 0],
+      ["T2", "copilot", true, 0.02],
+      ["T3", "codex", false, 0],
+    ]);
+    expect(featureKeys(outcomes[0].features)).toEqual(["size:s", "tier:low", "tag:ui"]);
+    expect(featureKeys(outcomes[4].features)).toEqual(["size:xs", "tier:low"]);
+
+    const stats = trainExecutorRouter(outcomes);
+    expect(stats.outcomes).toBe(5);
+    expect(stats.arms["CODEX/gpt-5.2-codex"]).toMatchObject({ runs: 2, successes: 1, costRuns: 1 });
+    expect(stats.arms["CODEX/gpt-5.2-codex"].contexts["tag:ui"]).toMatchObject({ runs: 2, successes: 1 });
+  });
+
+  it("exploits the best success per dollar within guardrails and explains the pick", () => {
+    const stats = trainExecutorRouter([
+      ...uiOutcomes("codex", "gpt-5.2-codex", { runs: 10, successes: 6, costUsd: 0.5 }),
+      ...uiOutcomes("codex", "gpt-5.1-codex-mini", { runs: 8, successes: 7, costUsd: 0.1 }),
+      ...uiOutcomes("claude", "claude-sonnet-4.6", { runs: 2, successes: 2, costUsd: 0.2 }),
+      ...uiOutcomes("codex", "gpt-4-turbo", { runs: 10, successes: 10, costUsd: 0.01 }),
+    ]);
+    const features = extractRoutingFeatures(UI_TASK, classifyTaskComplexity(UI_TASK));
+    const baseline = { executor: "CODEX", model: "gpt-5.2-codex" };
+    const config = { mode: "active", explorationRate: 0.2 };
+
+    const decision = routeExecutor({ features, baseline, stats, config, isAllowed: allowed, random: () => 0.5 });
+    expect(decision).toMatchObject({
+      mode: "active",
+      applied: true,
+      reason: "exploit",
+      pick: { executor: "CODEX", model: "gpt-5.1-codex-mini" },
+      blocked: ["CODEX/gpt-4-turbo"],
+    });
+    expect(decision.score).toMatchObject({ successRate: 0.857, avgCostUsd: 0.1, samples: 8 });
+    expect(decision.alternatives[0]).toMatchObject({ model: "claude-sonnet-4.6", samples: 2 });
+    expect(formatRouterDecision(decision)).toBe(
+      "router=active pick=CODEX/gpt-5.1-codex-mini reason=exploit success=0.857 cost=$0.1 n=8 " +
+        "via=size:m,tier:medium,tag:ui static=CODEX/gpt-5.2-codex blocked=CODEX/gpt-4-turbo",
+    );
+
+    const rolls = [0.1, 0.99];
+    const explored = routeExecutor({ features, baseline, stats, config, isAllowed: allowed, random: () => rolls.shift() });
+    expect(explored).toMatchObject({ reason: "explore", pick: { model: "gpt-5.2-codex" } });
+
+    const cold = routeExecutor({ features, baseline, stats, config: { ...config, minSamples: 20 }, isAllowed: allowed, random: () => 0.5 });
+    expect(cold).toMatchObject({ reason: "insufficient-data", applied: false, pick: baseline });
+
+    const none = routeExecutor({ features, baseline, stats, config, isAllowed: () => false });
+    expect(none).toMatchObject({ reason: "no-allowed-arms", applied: false, score: null });
+    expect(normalizeRouterConfig({ mode: "bogus", explorationRate: 4 })).toMatchObject({ mode: "off", explorationRate: 1 });
+  });
+
+  it("routes resolveExecutorForTask in active mode and only logs in shadow mode", () => {
+    setExecutorRouterStats(trainExecutorRouter([
+      ...uiOutcomes("codex", "gpt-5.2-codex", { runs: 6, successes: 2, costUsd: 0.5 }),
+      ...uiOutcomes("claude", "claude-sonnet-4.6", { runs: 6, successes: 6, costUsd: 0.3 }),
+    ]));
+    const baseProfile = { name: "codex-default", executor: "CODEX", variant: "DEFAULT" };
+    const adaptive = { explorationRate: 0, minSamples: 3 };
+
+    const staticOnly = resolveExecutorForTask(UI_TASK, baseProfile, {});
+    expect(staticOnly.router).toBeUndefined();
+    expect(formatComplexityDecision(staticOnly)).not.toContain("router=");
+
+    const log = vi.spyOn(console, "log").mockImplementation(() => {});
+    const shadow = resolveExecutorForTask(UI_TASK, baseProfile, { adaptive: { ...adaptive, mode: "shadow" } });
+    expect(shadow).toMatchObject({ executor: "CODEX", model: "gpt-5.2-codex", router: { applied: false, reason: "exploit" } });
+    expect(log).toHaveBeenCalledWith(
+      expect.stringMatching(/^\[executor-router\] shadow: router=shadow pick=CLAUDE\/claude-sonnet-4\.6 reason=exploit/),
+    );
+    log.mockClear();
+
+    const active = resolveExecutorForTask(UI_TASK, baseProfile, { adaptive: { ...adaptive, mode: "active" } });
+    expect(log).not.toHaveBeenCalled();
+    expect(active).toMatchObject({
+      executor: "CLAUDE",
+      model: "claude-sonnet-4.6",
+      variant: "DEFAULT",
+      reasoningEffort: "medium",
+      router: { applied: true },
+    });
+    expect(formatComplexityDecision(active)).toMatch(
+      /^complexity=medium size=m model=claude-sonnet-4\.6 reasoning=medium executor=CLAUDE router=active pick=CLAUDE\/claude-sonnet-4\.6 reason=exploit success=0\.969 cost=\$0\.3 n=6 .*static=CODEX\/gpt-5\.2-codex$/,
+    );
+
+    const guarded = resolveExecutorForTask(UI_TASK, baseProfile, {
+      adaptive: { ...adaptive, mode: "active", allowedModels: { claude: ["claude-opus-4.6"] } },
+    });
+    expect(guarded).toMatchObject({ executor: "CODEX", model: "gpt-5.2-codex", router: { blocked: ["CLAUDE/claude-sonnet-4.6"] } });
+  });
+
+  it("lists run-evaluation history across workflows for training", () => {
+    const dir = mkdtempSync(join(tmpdir(), "bosun-router-evals-"));
+    try {
+      mkdirSync(join(dir, ".bosun"), { recursive: true });
+      writeFileSync(join(dir, ".bosun", "evaluation-history.json"), JSON.stringify({
+        "wf-a": [{ runId: "r2", score: 40, grade: "D", timestamp: "2026-02-01T00:00:00Z" }],
+        "wf-b": [{ runId: "r1", score: 92, grade: "A", timestamp: "2026-01-01T00:00:00Z" }],
+      }));
+      expect(new RunEvaluator({ configDir: dir }).listHistory()).toEqual([
+        { workflowId: "wf-b", runId: "r1", score: 92, grade: "A", timestamp: "2026-01-01T00:00:00Z" },
+        { workflowId: "wf-a", runId: "r2", score: 40, grade: "D", timestamp: "2026-02-01T00:00:00Z" },
+      ]);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
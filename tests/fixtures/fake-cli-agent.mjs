@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// Fake CLI coding agent used by cli-agent-shell tests.
+//   --format jsonl|text   output style (default jsonl)
+//   --message <text>      prompt as an argument
+//   --prompt-file <path>  prompt from a file (otherwise read from stdin)
+//   --session <id>        resume an existing session
+//   --model <name>        echoed back in the final message
+//   --exit <code>         exit with this code after printing output
+import { readFileSync } from "node:fs";
+
+const argv = process.argv.slice(2);
+const flag = (name) => {
+  const index = argv.indexOf(name);
+  return index === -1 ? null : argv[index + 1];
+};
+
+const format = flag("--format") || "jsonl";
+const resumed = flag("--session");
+const sessionId = resumed || "sess-1";
+const model = flag("--model");
+const exitCode = Number(flag("--exit") || 0);
+
+let prompt = flag("--message");
+if (prompt == null && flag("--prompt-file")) prompt = readFileSync(flag("--prompt-file"), "utf8");
+if (prompt == null) prompt = readFileSync(0, "utf8");
+
+const final = [`done: ${prompt.trim()}`, model && `model=${model}`, resumed && `resumed=${resumed}`]
+  .filter(Boolean)
+  .join(" ");
+
+if (format === "jsonl") {
+  const lines = [
+    { type: "init", session_id: sessionId },
+    { type: "tool", name: "read_file", input: { path: "README.md" } },
+    { type: "tool_output", content: "# readme" },
+    { type: "assistant", message: { content: [{ type: "text", text: "working" }] } },
+    { type: "debug", note: "ignored" },
+    { type: "result", result: final },
+  ];
+  for (const line of lines) process.stdout.write(`${JSON.stringify(line)}\n`);
+  process.stdout.write("plain progress line\n");
+} else {
+  process.stdout.write(`Session: ${sessionId}\n`);
+  process.stdout.write("thinking about it\n");
+  process.stdout.write("> tool run_tests {\"pattern\":\"*.mjs\"}\n");
+  process.stdout.write(`FINAL: ${final}\n`);
+}
+
+if (exitCode !== 0) process.stderr.write(`fake agent failed with ${exitCode}\n`);
+process.exit(exitCode);
@@ -41,6 +41,7 @@ const {
   getTask,
 } = await import("../task/task-store.mjs");
 import { existsSync, mkdirSync, mkdtempSync, readdirSync, readFileSync, writeFileSync } from "node:fs";
+import { createServer } from "node:http";
 import { tmpdir } from "node:os";
 import { resolve } from "node:path";
 
@@ -1039,6 +1040,573 @@ describe("kanban-adapter jira backend", () => {
   });
 });
 
+describe("kanban-adapter linear backend", () => {
+  const linearEnvKeys = [
+    "KANBAN_BACKEND",
+    "LINEAR_API_KEY",
+    "LINEAR_API_URL",
+    "LINEAR_TEAM_KEY",
+    "LINEAR_ENFORCE_TASK_LABEL",
+  ];
+  const originalEnv = Object.fromEntries(linearEnvKeys.map((key) => [key, process.env[key]]));
+  let server = null;
+  let store = null;
+  let operations = [];
+
+  function seedLinearStore() {
+    return {
+      teams: [{ id: "team-eng", key: "ENG", name: "Engineering" }],
+      states: [
+        { id: "st-backlog", name: "Backlog", type: "backlog", position: 0 },
+        { id: "st-todo", name: "Todo", type: "unstarted", position: 1 },
+        { id: "st-progress", name: "In Progress", type: "started", position: 2 },
+        { id: "st-review", name: "In Review", type: "started", position: 3 },
+        { id: "st-done", name: "Done", type: "completed", position: 4 },
+        { id: "st-canceled", name: "Canceled", type: "canceled", position: 5 },
+      ].map((state) => ({ ...state, teamId: "team-eng" })),
+      labels: [
+        { id: "lbl-bosun", name: "bosun", team: null },
+        { id: "lbl-bug", name: "Bug", team: { id: "team-eng" } },
+      ],
+      cycles: [
+        {
+          id: "cycle-7",
+          teamId: "team-eng",
+          number: 7,
+          name: "Sprint 7",
+          description: "Ship the importer",
+          startsAt: "2026-02-01T00:00:00.000Z",
+          endsAt: "2026-02-15T00:00:00.000Z",
+          completedAt: null,
+        },
+      ],
+      issues: [
+        {
+          id: "uuid-1",
+          identifier: "ENG-1",
+          title: "Wire up importer",
+          description: "branch: `feat/importer`",
+          priority: 2,
+          stateId: "st-progress",
+          labelIds: ["lbl-bosun", "lbl-bug"],
+          cycleId: "cycle-7",
+          assignee: { id: "user-1", name: "ada", displayName: "Ada", email: "ada@acme.dev" },
+          comments: [],
+        },
+        {
+          id: "uuid-2",
+          identifier: "ENG-2",
+          title: "Untracked chore",
+          description: "",
+          priority: 0,
+          stateId: "st-todo",
+          labelIds: [],
+          cycleId: null,
+          assignee: null,
+          comments: [],
+        },
+      ],
+      nextIssue: 3,
+    };
+  }
+
+  function renderIssue(issue) {
+    const cycle = store.cycles.find((entry) => entry.id === issue.cycleId) || null;
+    return {
+      id: issue.id,
+      identifier: issue.identifier,
+      title: issue.title,
+      description: issue.description,
+      url: `https://linear.app/acme/issue/${issue.identifier}`,
+      branchName: null,
+      priority: issue.priority,
+      createdAt: "2026-02-01T00:00:00.000Z",
+      updatedAt: "2026-02-02T00:00:00.000Z",
+      state: store.states.find((state) => state.id === issue.stateId),
+      assignee: issue.assignee,
+      team: store.teams[0],
+      labels: { nodes: store.labels.filter((label) => issue.labelIds.includes(label.id)) },
+      cycle,
+      attachments: { nodes: [] },
+      comments: { nodes: issue.comments },
+    };
+  }
+
+  function findIssue(id) {
+    return store.issues.find((issue) => issue.identifier === id || issue.id === id);
+  }
+
+  function matchesFilter(issue, filter = {}) {
+    if (filter.team && filter.team.id.eq !== "team-eng") return false;
+    const state = store.states.find((entry) => entry.id === issue.stateId);
+    if (filter.state && !filter.state.type.in.includes(state.type)) return false;
+    if (filter.cycle && issue.cycleId !== filter.cycle.id.eq) return false;
+    if (filter.labels) {
+      const names = store.labels
+        .filter((label) => issue.labelIds.includes(label.id))
+        .map((label) => label.name.toLowerCase());
+      const wanted = filter.labels.some.or.map((entry) => entry.name.eqIgnoreCase.toLowerCase());
+      if (!names.some((name) => wanted.includes(name))) return false;
+    }
+    return true;
+  }
+
+  const resolvers = {
+    BosunLinearTeams: () => ({ teams: { nodes: store.teams } }),
+    BosunLinearWorkflowStates: ({ teamId }) => ({
+      workflowStates: { nodes: store.states.filter((state) => state.teamId === teamId) },
+    }),
+    BosunLinearLabels: () => ({ issueLabels: { nodes: store.labels } }),
+    BosunLinearCycles: ({ teamId }) => ({
+      cycles: { nodes: store.cycles.filter((cycle) => cycle.teamId === teamId) },
+    }),
+    BosunLinearIssues: ({ filter, first, after }) => {
+      const matching = store.issues.filter((issue) => matchesFilter(issue, filter));
+      const start = after ? Number(after) : 0;
+      const page = matching.slice(start, start + first);
+      return {
+        issues: {
+          nodes: page.map(renderIssue),
+          pageInfo: { hasNextPage: start + first < matching.length, endCursor: String(start + first) },
+        },
+      };
+    },
+    BosunLinearIssue: ({ id }) => {
+      const issue = findIssue(id);
+      return { issue: issue ? renderIssue(issue) : null };
+    },
+    BosunLinearIssueCreate: ({ input }) => {
+      const issue = {
+        id: `uuid-${store.nextIssue}`,
+        identifier: `ENG-${store.nextIssue++}`,
+        title: input.title,
+        description: input.description,
+        priority: input.priority ?? 0,
+        stateId: input.stateId || "st-backlog",
+        labelIds: input.labelIds || [],
+        cycleId: input.cycleId || null,
+        assignee: null,
+        comments: [],
+      };
+      store.issues.push(issue);
+      return { issueCreate: { success: true, issue: { id: issue.id, identifier: issue.identifier } } };
+    },
+    BosunLinearIssueUpdate: ({ id, input }) => {
+      const issue = findIssue(id);
+      for (const [field, value] of Object.entries(input)) issue[field] = value;
+      return { issueUpdate: { success: true, issue: { id: issue.id, identifier: issue.identifier } } };
+    },
+    BosunLinearIssueDelete: ({ id }) => {
+      store.issues = store.issues.filter((issue) => issue !== findIssue(id));
+      return { issueDelete: { success: true } };
+    },
+    BosunLinearLabelCreate: ({ input }) => {
+      const label = { id: `lbl-${input.name}`, name: input.name, team: { id: input.teamId } };
+      store.labels.push(label);
+      return { issueLabelCreate: { success: true, issueLabel: label } };
+    },
+    BosunLinearCommentCreate: ({ input }) => {
+      const issue = findIssue(input.issueId);
+      const comment = {
+        id: `comment-${issue.comments.length + 1}`,
+        body: input.body,
+        createdAt: new Date(Date.UTC(2026, 1, 3, 0, issue.comments.length)).toISOString(),
+        user: { id: "bot", name: "bosun", displayName: "Bosun" },
+      };
+      issue.comments.push(comment);
+      return { commentCreate: { success: true, comment: { id: comment.id } } };
+    },
+    BosunLinearCommentUpdate: ({ id, input }) => {
+      const comment = store.issues.flatMap((issue) => issue.comments).find((entry) => entry.id === id);
+      comment.body = input.body;
+      return { commentUpdate: { success: true, comment: { id } } };
+    },
+  };
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    store = seedLinearStore();
+    operations = [];
+    server = createServer((req, res) => {
+      let raw = "";
+      req.on("data", (chunk) => { raw += chunk; });
+      req.on("end", () => {
+        const { operationName, variables } = JSON.parse(raw);
+        operations.push(operationName);
+        res.setHeader("content-type", "application/json");
+        if (req.headers.authorization !== "lin_api_test") {
+          res.statusCode = 401;
+          res.end(JSON.stringify({ errors: [{ message: "Authentication required" }] }));
+          return;
+        }
+        const resolver = resolvers[operationName];
+        res.end(JSON.stringify(resolver
+          ? { data: resolver(variables || {}) }
+          : { errors: [{ message: `Unknown operation ${operationName}` }] }));
+      });
+    });
+    await new Promise((resolveListen) => server.listen(0, "127.0.0.1", resolveListen));
+    process.env.KANBAN_BACKEND = "linear";
+    process.env.LINEAR_API_KEY = "lin_api_test";
+    process.env.LINEAR_API_URL = `http://127.0.0.1:${server.address().port}/graphql`;
+    process.env.LINEAR_TEAM_KEY = "ENG";
+    process.env.LINEAR_ENFORCE_TASK_LABEL = "true";
+    loadConfigMock.mockReturnValue({ kanban: { backend: "linear" } });
+    setKanbanBackend("linear");
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections?.();
+    await new Promise((resolveClose) => server.close(resolveClose));
+    for (const [key, value] of Object.entries(originalEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it("lists bosun-labelled issues with statuses, tags and cycles as sprints", async () => {
+    expect(getAvailableBackends()).toContain("linear");
+    const tasks = await listKanbanTasks("ENG");
+
+    expect(tasks).toHaveLength(1);
+    expect(tasks[0]).toMatchObject({
+      id: "ENG-1",
+      title: "Wire up importer",
+      status: "inprogress",
+      priority: "high",
+      tags: ["bug"],
+      assignee: "Ada",
+      projectId: "ENG",
+      branchName: "feat/importer",
+      sprintId: "cycle-7",
+      sprint: { id: "cycle-7", name: "Sprint 7", order: 7, goal: "Ship the importer" },
+      backend: "linear",
+    });
+    expect(await listKanbanTasks("ENG", { status: "inreview" })).toEqual([]);
+    expect(await listKanbanTasks("ENG", { sprintId: "7" })).toHaveLength(1);
+    await expect(getKanbanAdapter().listSprints()).resolves.toEqual([
+      expect.objectContaining({ id: "cycle-7", startDate: "2026-02-01T00:00:00.000Z" }),
+    ]);
+  });
+
+  it("moves issues between workflow states and creates issues in a cycle", async () => {
+    const reviewed = await updateKanbanTaskStatus("ENG-1", "inreview");
+    expect(reviewed.status).toBe("inreview");
+    expect(findIssue("ENG-1").stateId).toBe("st-review");
+
+    const created = await createKanbanTask("ENG", {
+      title: "Add exporter",
+      description: "Mirror the importer",
+      tags: ["feature"],
+      priority: "critical",
+      sprintId: "Sprint 7",
+    });
+    expect(created).toMatchObject({
+      id: "ENG-3",
+      status: "todo",
+      priority: "critical",
+      tags: ["feature"],
+      sprintId: "cycle-7",
+    });
+    expect(store.labels.map((label) => label.name)).toContain("feature");
+
+    expect(await deleteKanbanTask("ENG-3")).toBe(true);
+    expect(findIssue("ENG-3")).toBeUndefined();
+  });
+
+  it("keeps shared state in a single comment and hides it from task comments", async () => {
+    expect(await addKanbanComment("ENG-1", "Picked up by bosun")).toBe(true);
+    const sharedState = {
+      ownerId: "ws-1/agent-1",
+      attemptToken: "token-1",
+      attemptStarted: "2026-02-03T00:00:00.000Z",
+      heartbeat: "2026-02-03T00:01:00.000Z",
+      status: "claimed",
+      retryCount: 0,
+    };
+    expect(await persistSharedStateToIssue("ENG-1", sharedState)).toBe(true);
+    expect(await persistSharedStateToIssue("ENG-1", { ...sharedState, status: "working" })).toBe(true);
+
+    expect(findIssue("ENG-1").comments).toHaveLength(2);
+    expect(operations).toContain("BosunLinearCommentUpdate");
+    expect(await readSharedStateFromIssue("ENG-1")).toMatchObject({ ...sharedState, status: "working" });
+    const task = await getKanbanTask("ENG-1");
+    expect(task.comments.map((comment) => comment.body)).toEqual(["Picked up by bosun"]);
+    expect(task.sharedState).toMatchObject({ status: "working" });
+    expect(task.meta.labels).toEqual(expect.arrayContaining(["codex:working"]));
+    expect(task.meta.labels).not.toContain("codex:claimed");
+  });
+
+  it("surfaces GraphQL errors and rejects malformed identifiers", async () => {
+    process.env.LINEAR_API_KEY = "wrong";
+    setKanbanBackend("linear");
+    await expect(getKanbanTask("ENG-1")).rejects.toThrow(/Linear API BosunLinearIssue failed \(401\): Authentication required/);
+    await expect(getKanbanTask("not a key")).rejects.toThrow(/invalid issue id/);
+  });
+});
+
+describe("kanban-adapter gitlab backend", () => {
+  const gitlabEnvKeys = [
+    "KANBAN_BACKEND",
+    "GITLAB_URL",
+    "GITLAB_PROJECT",
+    "GITLAB_TOKEN",
+    "GITLAB_CREDENTIAL",
+    "GITLAB_ENFORCE_TASK_LABEL",
+  ];
+  const originalEnv = Object.fromEntries(gitlabEnvKeys.map((key) => [key, process.env[key]]));
+  let server = null;
+  let store = null;
+  let requests = [];
+
+  function seedGitLabStore() {
+    return {
+      issues: [
+        {
+          iid: 1,
+          title: "Wire up importer",
+          description: "branch: `feat/importer`",
+          state: "opened",
+          labels: ["bosun", "inprogress", "bug", "high"],
+          assignees: [{ id: 7, username: "ada" }],
+          notes: [],
+        },
+        {
+          iid: 2,
+          title: "Untracked chore",
+          description: "",
+          state: "opened",
+          labels: [],
+          assignees: [],
+          notes: [],
+        },
+        {
+          iid: 3,
+          title: "Dropped idea",
+          description: "",
+          state: "closed",
+          labels: ["bosun", "cancelled"],
+          assignees: [],
+          notes: [],
+        },
+      ],
+      nextIid: 4,
+      nextNote: 1,
+    };
+  }
+
+  function renderIssue(issue) {
+    const { notes: _notes, ...rest } = issue;
+    return {
+      ...rest,
+      web_url: `https://gitlab.acme.dev/acme/app/-/issues/${issue.iid}`,
+      created_at: "2026-02-01T00:00:00.000Z",
+      updated_at: "2026-02-02T00:00:00.000Z",
+    };
+  }
+
+  function findIssue(iid) {
+    return store.issues.find((issue) => String(issue.iid) === String(iid));
+  }
+
+  function applyIssueFields(issue, fields) {
+    if (fields.state_event === "close") issue.state = "closed";
+    if (fields.state_event === "reopen") issue.state = "opened";
+    if (typeof fields.labels === "string") issue.labels = fields.labels.split(",").filter(Boolean);
+    const remove = String(fields.remove_labels || "").split(",").filter(Boolean);
+    issue.labels = issue.labels.filter((label) => !remove.includes(label));
+    for (const label of String(fields.add_labels || "").split(",").filter(Boolean)) {
+      if (!issue.labels.includes(label)) issue.labels.push(label);
+    }
+    for (const key of ["title", "description"]) {
+      if (typeof fields[key] === "string") issue[key] = fields[key];
+    }
+  }
+
+  function route(method, url, body) {
+    const [, , , resource, project, collection, iid, sub, noteId] = url.pathname.split("/");
+    if (resource === "projects" && !project) {
+      return [200, [{ id: 11, path_with_namespace: "acme/app", name_with_namespace: "Acme / App" }]];
+    }
+    if (decodeURIComponent(project || "") !== "acme/app" || collection !== "issues") {
+      return [404, { message: "404 Project Not Found" }];
+    }
+    if (!iid) {
+      if (method === "POST") {
+        const issue = { iid: store.nextIid++, state: "opened", assignees: [], notes: [], labels: [] };
+        applyIssueFields(issue, body);
+        store.issues.push(issue);
+        return [201, renderIssue(issue)];
+      }
+      const state = url.searchParams.get("state");
+      const label = url.searchParams.get("labels");
+      return [200, store.issues
+        .filter((issue) => state === "all" || issue.state === state)
+        .filter((issue) => !label || issue.labels.includes(label))
+        .map(renderIssue)];
+    }
+    const issue = findIssue(iid);
+    if (!issue) return [404, { message: "404 Not found" }];
+    if (sub === "notes") {
+      if (method === "POST") {
+        const note = {
+          id: store.nextNote++,
+          body: body.body,
+          system: false,
+          author: { username: "bosun-bot" },
+          created_at: new Date(Date.UTC(2026, 1, 3, 0, store.nextNote)).toISOString(),
+        };
+        issue.notes.push(note);
+        return [201, note];
+      }
+      if (method === "PUT") {
+        const note = issue.notes.find((entry) => String(entry.id) === noteId);
+        note.body = body.body;
+        return [200, note];
+      }
+      return [200, [{ id: 99, body: "changed the description", system: true }, ...issue.notes]];
+    }
+    if (method === "PUT") {
+      applyIssueFields(issue, body);
+      return [200, renderIssue(issue)];
+    }
+    if (method === "DELETE") {
+      store.issues = store.issues.filter((entry) => entry !== issue);
+      return [204, null];
+    }
+    return [200, renderIssue(issue)];
+  }
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    store = seedGitLabStore();
+    requests = [];
+    server = createServer((req, res) => {
+      let raw = "";
+      req.on("data", (chunk) => { raw += chunk; });
+      req.on("end", () => {
+        const url = new URL(req.url, "http://127.0.0.1");
+        requests.push(`${req.method} ${url.pathname}`);
+        if (req.headers["private-token"] !== "glpat-test") {
+          res.statusCode = 401;
+          res.setHeader("content-type", "application/json");
+          res.end(JSON.stringify({ message: "401 Unauthorized" }));
+          return;
+        }
+        const [status, payload] = route(req.method, url, raw ? JSON.parse(raw) : {});
+        res.statusCode = status;
+        if (payload === null) {
+          res.end();
+          return;
+        }
+        res.setHeader("content-type", "application/json");
+        res.end(JSON.stringify(payload));
+      });
+    });
+    await new Promise((resolveListen) => server.listen(0, "127.0.0.1", resolveListen));
+    process.env.KANBAN_BACKEND = "gitlab";
+    process.env.GITLAB_URL = `http://127.0.0.1:${server.address().port}`;
+    process.env.GITLAB_PROJECT = "acme/app";
+    process.env.GITLAB_TOKEN = "glpat-test";
+    process.env.GITLAB_ENFORCE_TASK_LABEL = "true";
+    delete process.env.GITLAB_CREDENTIAL;
+    loadConfigMock.mockReturnValue({ kanban: { backend: "gitlab" } });
+    setKanbanBackend("gitlab");
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections?.();
+    await new Promise((resolveClose) => server.close(resolveClose));
+    for (const [key, value] of Object.entries(originalEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it("lists bosun-labelled issues with label statuses and closed reasons", async () => {
+    expect(getAvailableBackends()).toContain("gitlab");
+    const tasks = await listKanbanTasks();
+
+    expect(tasks.map((task) => task.id)).toEqual(["1", "3"]);
+    expect(tasks[0]).toMatchObject({
+      title: "Wire up importer",
+      status: "inprogress",
+      priority: "high",
+      tags: ["bug"],
+      assignee: "ada",
+      projectId: "acme/app",
+      branchName: "feat/importer",
+      taskUrl: "https://gitlab.acme.dev/acme/app/-/issues/1",
+      backend: "gitlab",
+    });
+    expect(tasks[1].status).toBe("cancelled");
+    expect(await listKanbanTasks(undefined, { status: "done" })).toEqual([]);
+    await expect(getKanbanAdapter().listProjects()).resolves.toEqual([
+      expect.objectContaining({ id: "acme/app", name: "Acme / App", backend: "gitlab" }),
+    ]);
+  });
+
+  it("swaps status labels, closes issues and creates labelled issues", async () => {
+    const reviewed = await updateKanbanTaskStatus("1", "inreview");
+    expect(reviewed.status).toBe("inreview");
+    expect(findIssue(1).labels).toEqual(["bosun", "bug", "high", "inreview"]);
+
+    const done = await updateKanbanTaskStatus("#1", "done");
+    expect(done.status).toBe("done");
+    expect(findIssue(1)).toMatchObject({ state: "closed", labels: ["bosun", "bug", "high"] });
+
+    const created = await createKanbanTask(undefined, {
+      title: "Add exporter",
+      description: "Mirror the importer",
+      tags: ["feature"],
+      status: "draft",
+    });
+    expect(created).toMatchObject({ id: "4", status: "draft", draft: true, tags: ["feature"] });
+    expect(findIssue(4).labels).toEqual(["bosun", "feature", "draft"]);
+
+    const retitled = await patchKanbanTask("4", { title: "Add CSV exporter", draft: false });
+    expect(retitled).toMatchObject({ title: "Add CSV exporter", status: "todo", tags: ["feature"] });
+
+    expect(await deleteKanbanTask("acme/app#4")).toBe(true);
+    expect(findIssue(4)).toBeUndefined();
+  });
+
+  it("keeps shared state in a single note and hides it from task comments", async () => {
+    expect(await addKanbanComment("1", "Picked up by bosun")).toBe(true);
+    const sharedState = {
+      ownerId: "ws-1/agent-1",
+      attemptToken: "token-1",
+      attemptStarted: "2026-02-03T00:00:00.000Z",
+      heartbeat: "2026-02-03T00:01:00.000Z",
+      status: "claimed",
+      retryCount: 0,
+    };
+    expect(await persistSharedStateToIssue("1", sharedState)).toBe(true);
+    expect(await persistSharedStateToIssue("1", { ...sharedState, status: "working" })).toBe(true);
+
+    expect(findIssue(1).notes).toHaveLength(2);
+    expect(requests).toContain("PUT /api/v4/projects/acme%2Fapp/issues/1/notes/2");
+    expect(await readSharedStateFromIssue("1")).toMatchObject({ ...sharedState, status: "working" });
+    const task = await getKanbanTask("1");
+    expect(task.comments.map((comment) => comment.body)).toEqual(["Picked up by bosun"]);
+    expect(task.sharedState).toMatchObject({ status: "working" });
+    expect(task.meta.labels).toContain("codex:working");
+    expect(task.meta.labels).not.toContain("codex:claimed");
+
+    expect(await markTaskIgnored("1", "manual triage")).toBe(true);
+    expect(findIssue(1).labels).toContain("codex:ignore");
+  });
+
+  it("surfaces API errors and rejects malformed issue ids", async () => {
+    process.env.GITLAB_TOKEN = "wrong";
+    setKanbanBackend("gitlab");
+    await expect(getKanbanTask("1")).rejects.toThrow(
+      /GitLab API GET \/projects\/acme%2Fapp\/issues\/1 failed \(401\): 401 Unauthorized/,
+    );
+    await expect(getKanbanTask("ENG-1")).rejects.toThrow(/invalid issue id/);
+  });
+});
+
 describe("kanban-adapter gnap backend", () => {
   const originalKanbanBackend = process.env.KANBAN_BACKEND;
   let tempDir = "";
@@ -0,0 +1,269 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { createHmac } from "node:crypto";
+import { existsSync, mkdtempSync, rmSync, statSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  getKanbanWebhookJournalPath,
+  listKanbanWebhookJournal,
+  processKanbanWebhook,
+  verifyKanbanWebhookSignature,
+} from "../kanban/kanban-webhooks.mjs";
+import { addTask, configureTaskStore, getAllTasks, getTask } from "../task/task-store.mjs";
+
+const ENV_KEYS = [
+  "KANBAN_GITHUB_WEBHOOK_SECRET",
+  "GITHUB_WEBHOOK_SECRET",
+  "KANBAN_JIRA_WEBHOOK_SECRET",
+  "JIRA_WEBHOOK_SECRET",
+  "JIRA_BASE_URL",
+  "GITHUB_REPOSITORY",
+  "KANBAN_WEBHOOK_JOURNAL_MAX_BYTES",
+];
+
+function sign(body, secret) {
+  return `sha256=${createHmac("sha256", secret).update(body).digest("hex")}`;
+}
+
+function githubDelivery(event, payload, { id, secret = "gh-secret" } = {}) {
+  const rawBody = JSON.stringify({ repository: { full_name: "acme/widgets" }, ...payload });
+  return processKanbanWebhook({
+    provider: "github",
+    rawBody,
+    headers: {
+      "x-github-event": event,
+      "x-github-delivery": id,
+      "x-hub-signature-256": sign(rawBody, secret),
+    },
+  });
+}
+
+function githubIssue(overrides = {}) {
+  return {
+    number: 42,
+    title: "Export metrics",
+    body: "branch: `feat/metrics`",
+    state: "open",
+    html_url: "https://github.com/acme/widgets/issues/42",
+    url: "https://api.github.com/repos/acme/widgets/issues/42",
+    labels: [{ name: "bosun" }],
+    assignees: [{ login: "ada" }],
+    ...overrides,
+  };
+}
+
+describe("kanban-webhooks", () => {
+  const originalEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+  let tmpDir = "";
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "bosun-kanban-webhooks-"));
+    configureTaskStore({ storePath: join(tmpDir, "kanban-state.json") });
+    for (const key of ENV_KEYS) delete process.env[key];
+    process.env.KANBAN_GITHUB_WEBHOOK_SECRET = "gh-secret";
+    process.env.KANBAN_JIRA_WEBHOOK_SECRET = "jira-secret";
+    process.env.JIRA_BASE_URL = "https://acme.atlassian.net";
+    process.env.GITHUB_REPOSITORY = "acme/widgets";
+  });
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+    for (const [key, value] of Object.entries(originalEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it("rejects unsigned deliveries and refuses to run without a secret", async () => {
+    expect(verifyKanbanWebhookSignature("{}", sign("{}", "gh-secret"), "gh-secret")).toBe(true);
+    expect(verifyKanbanWebhookSignature("{}", sign("{}", "other"), "gh-secret")).toBe(false);
+
+    const forged = await githubDelivery("issues", { action: "opened", issue: githubIssue() }, {
+      id: "d-forged",
+      secret: "wrong",
+    });
+    expect(forged.status).toBe(401);
+    expect(getTask("acme-widgets-42")).toBeNull();
+    expect(listKanbanWebhookJournal()[0]).toMatchObject({
+      provider: "github",
+      deliveryId: "d-forged",
+      outcome: "rejected",
+    });
+
+    delete process.env.KANBAN_GITHUB_WEBHOOK_SECRET;
+    const unconfigured = await githubDelivery("issues", { action: "opened", issue: githubIssue() }, {
+      id: "d-unconfigured",
+    });
+    expect(unconfigured.status).toBe(503);
+  });
+
+  it("upserts GitHub issues immediately and journals the local change", async () => {
+    const opened = await githubDelivery("issues", { action: "opened", issue: githubIssue() }, { id: "d-1" });
+    expect(opened).toMatchObject({ status: 202, body: { outcome: "created", taskId: "acme-widgets-42" } });
+    expect(getTask("acme-widgets-42")).toMatchObject({
+      title: "Export metrics",
+      status: "todo",
+      externalId: "acme/widgets#42",
+      externalBackend: "github",
+      branchName: "feat/metrics",
+      syncDirty: false,
+    });
+
+    const labelled = await githubDelivery("issues", {
+      action: "labeled",
+      issue: githubIssue({ labels: [{ name: "bosun" }, { name: "inprogress" }] }),
+    }, { id: "d-2" });
+    expect(labelled.body.outcome).toBe("updated");
+    expect(getTask("acme-widgets-42").status).toBe("inprogress");
+    expect(getTask("acme-widgets-42").meta.lastExternalEvent).toMatchObject({ event: "issues", action: "labeled", deliveryId: "d-2" });
+
+    const redelivered = await githubDelivery("issues", {
+      action: "labeled",
+      issue: githubIssue({ labels: [{ name: "bosun" }, { name: "inprogress" }] }),
+    }, { id: "d-2" });
+    expect(redelivered.body.duplicate).toBe(true);
+
+    const outOfScope = await githubDelivery("issues", {
+      action: "opened",
+      issue: githubIssue({
+        number: 43,
+        html_url: "https://github.com/acme/widgets/issues/43",
+        labels: [],
+      }),
+    }, { id: "d-3" });
+    expect(outOfScope.body).toMatchObject({ outcome: "ignored", reason: "out_of_scope" });
+    expect(getTask("acme-widgets-43")).toBeNull();
+
+    const journal = listKanbanWebhookJournal({ taskId: "acme-widgets-42" });
+    expect(journal.map((entry) => entry.deliveryId)).toEqual(["d-2", "d-1"]);
+    expect(journal[0]).toMatchObject({
+      event: "issues",
+      action: "labeled",
+      externalId: "acme/widgets#42",
+      outcome: "updated",
+      changes: { status: { from: "todo", to: "inprogress" } },
+    });
+    expect(getKanbanWebhookJournalPath()).toBe(join(tmpDir, "kanban-webhook-journal.jsonl"));
+  });
+
+  it("only applies GitHub deliveries from the configured repository", async () => {
+    const foreign = await githubDelivery("issues", {
+      action: "opened",
+      repository: { full_name: "other/widgets" },
+      issue: githubIssue({ html_url: "https://github.com/other/widgets/issues/42" }),
+    }, { id: "x-1" });
+    expect(foreign.body).toMatchObject({ outcome: "ignored", reason: "repository_mismatch", taskId: null });
+    expect(listKanbanWebhookJournal()[0]).toMatchObject({ externalId: "other/widgets#42", reason: "repository_mismatch" });
+
+    const repoless = JSON.stringify({ action: "opened", issue: { number: 42, title: "No repo" } });
+    const unresolved = await processKanbanWebhook({
+      provider: "github",
+      rawBody: repoless,
+      headers: {
+        "x-github-event": "issues",
+        "x-github-delivery": "x-2",
+        "x-hub-signature-256": sign(repoless, "gh-secret"),
+      },
+    });
+    expect(unresolved.body).toMatchObject({ outcome: "ignored", reason: "repository_unresolved" });
+    expect(getAllTasks()).toEqual([]);
+
+    // A local task that merely shares the issue number is left alone.
+    addTask({ id: "42", title: "Local task", status: "todo" });
+    const opened = await githubDelivery("issues", { action: "opened", issue: githubIssue() }, { id: "x-3" });
+    expect(opened.body).toMatchObject({ outcome: "created", taskId: "acme-widgets-42" });
+    expect(getTask("42").title).toBe("Local task");
+  });
+
+  it("rotates the journal past its size cap and reads across the rotation", async () => {
+    process.env.KANBAN_WEBHOOK_JOURNAL_MAX_BYTES = "1500";
+    for (let i = 1; i <= 12; i++) {
+      await githubDelivery("issues", { action: "edited", issue: githubIssue({ title: `Export metrics v${i}` }) }, { id: `r-${i}` });
+    }
+
+    const journalPath = getKanbanWebhookJournalPath();
+    const rotatedPath = join(tmpDir, "kanban-webhook-journal.1.jsonl");
+    expect(existsSync(rotatedPath)).toBe(true);
+    expect(statSync(journalPath).size).toBeLessThanOrEqual(1500);
+    expect(statSync(rotatedPath).size).toBeLessThanOrEqual(1500);
+
+    const ids = listKanbanWebhookJournal().map((entry) => entry.deliveryId);
+    expect(ids[0]).toBe("r-12");
+    expect(ids).not.toContain("r-1");
+    expect(ids).toEqual(Array.from({ length: ids.length }, (_, i) => `r-${12 - i}`));
+    expect(listKanbanWebhookJournal({ limit: 2 }).map((entry) => entry.deliveryId)).toEqual(["r-12", "r-11"]);
+  });
+
+  it("records issue comments but skips bosun shared-state comments", async () => {
+    await githubDelivery("issues", { action: "opened", issue: githubIssue() }, { id: "c-0" });
+
+    const stateComment = await githubDelivery("issue_comment", {
+      action: "created",
+      issue: githubIssue(),
+      comment: { id: 9, body: "<!-- bosun-state\n{}\n-->", user: { login: "bosun-bot" } },
+    }, { id: "c-1" });
+    expect(stateComment.body).toMatchObject({ outcome: "ignored", reason: "shared_state_comment" });
+
+    const humanComment = await githubDelivery("issue_comment", {
+      action: "created",
+      issue: githubIssue(),
+      comment: { id: 10, body: "Please cover the CSV exporter too", user: { login: "lin" } },
+    }, { id: "c-2" });
+    expect(humanComment.status).toBe(202);
+    expect(getTask("acme-widgets-42").comments).toEqual([
+      expect.objectContaining({ id: "github:10", author: "lin", source: "external" }),
+    ]);
+    expect(getTask("acme-widgets-42").syncDirty).toBe(false);
+  });
+
+  it("applies signed Jira issue and comment webhooks", async () => {
+    const payload = {
+      webhookEvent: "jira:issue_updated",
+      issue_event_type_name: "issue_generic",
+      timestamp: 1760000000000,
+      issue: {
+        key: "ENG-7",
+        fields: {
+          summary: "Rotate signing keys",
+          description: "Rotate before the audit",
+          labels: ["bosun"],
+          status: { name: "In Progress", statusCategory: { key: "indeterminate" } },
+          project: { key: "ENG" },
+        },
+      },
+    };
+    const rawBody = JSON.stringify(payload);
+    const rejected = await processKanbanWebhook({
+      provider: "jira",
+      rawBody,
+      headers: { "x-hub-signature": sign(rawBody, "gh-secret") },
+    });
+    expect(rejected.status).toBe(401);
+
+    const applied = await processKanbanWebhook({
+      provider: "jira",
+      rawBody,
+      headers: { "x-hub-signature": sign(rawBody, "jira-secret") },
+    });
+    expect(applied.body).toMatchObject({ outcome: "created", taskId: "ENG-7" });
+    expect(getTask("ENG-7")).toMatchObject({ status: "inprogress", externalBackend: "jira" });
+
+    const commentBody = JSON.stringify({
+      webhookEvent: "comment_created",
+      timestamp: 1760000001000,
+      issue: { key: "ENG-7", fields: { summary: "Rotate signing keys" } },
+      comment: { id: "100", body: "Keys rotated in staging", author: { displayName: "Ada" } },
+    });
+    const commented = await processKanbanWebhook({
+      provider: "jira",
+      rawBody: commentBody,
+      headers: { "x-hub-signature": sign(commentBody, "jira-secret") },
+    });
+    expect(commented.body).toMatchObject({ outcome: "commented", taskId: "ENG-7" });
+    expect(getTask("ENG-7")).toMatchObject({
+      status: "inprogress",
+      description: "Rotate before the audit",
+      comments: [expect.objectContaining({ id: "jira:100", author: "Ada" })],
+    });
+  });
+});
@@ -114,6 +114,15 @@ describe("monitor workflow startup guards", () => {
     expect(monitorSource).not.toContain('void pollWorkflowSchedulesOnce("startup").catch((err) => {');
   });
 
+  it("polls second-resolution schedules on a 1s timer and never double-fires queued runs", () => {
+    expect(monitorSource).toContain("const subMinuteScheduleTickMs = 1000;");
+    expect(monitorSource).toContain("engine?.getScheduleResolutionMs?.()");
+    expect(monitorSource).toContain('safeSetInterval("workflow-schedule-fast-check"');
+    expect(monitorSource).toContain('await pollWorkflowSchedulesOnce("schedule-poll", { includeTaskPoll: false });');
+    expect(monitorSource).toContain("if (scheduleRunsInFlight.has(workflowId)) continue;");
+    expect(monitorSource).toContain("scheduleRunsInFlight.delete(workflowId);");
+  });
+
   it("kicks non-task schedule polling during workflow automation startup", () => {
     expect(
       monitorSource.indexOf('await ensureWorkflowAutomationEngine().catch(() => {});'),
@@ -228,6 +237,8 @@ describe("monitor workflow startup guards", () => {
     expect(monitorSource).toContain("[monitor] review reconcile: PR #");
     expect(monitorSource).toContain("safeSetInterval(\"workflow-review-merge-reconcile\"");
     expect(monitorSource).toContain("checkMergedPRsAndUpdateTasks();");
+    expect(monitorSource).toContain("await internalTaskExecutor.reevaluateMergedAcceptance(taskId, {");
+    expect(monitorSource).toContain("fails its acceptance criteria — leaving it");
   });
 
   it("recovers merged PR tasks that were bounced back to todo/inprogress", () => {
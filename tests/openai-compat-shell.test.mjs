@@ -0,0 +1,292 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createServer } from "node:http";
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+
+const mockConfigState = vi.hoisted(() => ({ current: {} }));
+
+vi.mock("../config/config.mjs", () => ({
+  loadConfig: () => mockConfigState.current,
+}));
+
+const {
+  execOpenAiCompatPrompt,
+  getSessionInfo,
+  resetSession,
+  resolveChatCompletionsUrl,
+  resolveOpenAiCompatSettings,
+  runOpenAiCompatAgent,
+} = await import("../shell/openai-compat-shell.mjs");
+const { createSessionTracker } = await import("../infra/session-tracker.mjs");
+const { _resetRuntimeAccumulatorForTests, getRuntimeStats } = await import("../infra/runtime-accumulator.mjs");
+
+const toolCall = (id, name, args) => ({
+  id,
+  type: "function",
+  function: { name, arguments: JSON.stringify(args) },
+});
+const reply = (message, usage = { prompt_tokens: 10, completion_tokens: 5 }) => ({
+  choices: [{ index: 0, message: { role: "assistant", content: null, ...message } }],
+  usage,
+});
+
+const isRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+  } catch {
+    return false;
+  }
+  // Killed but unreaped (no init in some containers) still answers kill(0)
+  const stat = `/proc/${pid}/stat`;
+  return !(existsSync(stat) && readFileSync(stat, "utf8").split(" ")[2] === "Z");
+};
+
+/** Mock /v1/chat/completions server that answers from a script. */
+async function startMockCompletionServer(script) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      const next = script.shift();
+      if (!next) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        res.end(JSON.stringify({ error: { message: "script exhausted" } }));
+        return;
+      }
+      res.writeHead(next.status || 200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(next.body ?? next));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  return {
+    baseUrl: `http://127.0.0.1:${port}/v1`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+describe("openai-compat-shell", () => {
+  let tmpDir = "";
+  let server = null;
+
+  const settingsFor = (overrides = {}) =>
+    resolveOpenAiCompatSettings({
+      env: {},
+      config: { openaiCompat: { baseUrl: server.baseUrl, model: "local-coder", apiKey: "k1", bosunTools: false, ...overrides } },
+    });
+
+  beforeEach(async () => {
+    tmpDir = mkdtempSync(join(tmpdir(), "bosun-openai-compat-"));
+    mockConfigState.current = {};
+    await resetSession();
+  });
+
+  afterEach(async () => {
+    await server?.close();
+    server = null;
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("resolves endpoint settings with env overriding config", () => {
+    expect(resolveChatCompletionsUrl("http://gpu:8000")).toBe("http://gpu:8000/v1/chat/completions");
+    expect(resolveChatCompletionsUrl("http://gpu:8000/v1/")).toBe("http://gpu:8000/v1/chat/completions");
+    expect(resolveChatCompletionsUrl("")).toBe("");
+
+    const settings = resolveOpenAiCompatSettings({
+      env: { OPENAI_COMPAT_MODEL: "qwen" },
+      config: { openaiCompat: { baseUrl: "http://gpu:8000", model: "llama", maxTurns: 3, temperature: 0 } },
+    });
+    expect(settings).toMatchObject({
+      endpoint: "http://gpu:8000/v1/chat/completions",
+      model: "qwen",
+      maxTurns: 3,
+      temperature: 0,
+      bosunTools: true,
+    });
+  });
+
+  it("runs the tool loop against the worktree and reports usage", async () => {
+    writeFileSync(join(tmpDir, "app.mjs"), "export const value = 1;\n");
+    server = await startMockCompletionServer([
+      reply({
+        content: "Inspecting.",
+        tool_calls: [
+          toolCall("c1", "read_file", { path: "app.mjs" }),
+          toolCall("c2", "edit_file", { path: "app.mjs", old_string: "= 1", new_string: "= 2" }),
+          toolCall("c3", "write_file", { path: "notes/todo.md", content: "ship it" }),
+        ],
+      }),
+      reply({
+        tool_calls: [
+          toolCall("c4", "run_shell", { command: "echo shell-ok" }),
+          toolCall("c5", "read_file", { path: "../outside.txt" }),
+          toolCall("c6", "launch_missiles", {}),
+        ],
+      }),
+      reply({ content: "Bumped value to 2." }, { prompt_tokens: 30, completion_tokens: 7, total_tokens: 37 }),
+    ]);
+    const events = [];
+
+    const result = await runOpenAiCompatAgent("bump the value", {
+      settings: settingsFor(),
+      cwd: tmpDir,
+      onEvent: (event) => events.push(event),
+    });
+
+    expect(result).toMatchObject({ success: true, error: null, output: "Bumped value to 2.", turns: 3 });
+    expect(result.usage).toEqual({ input_tokens: 50, output_tokens: 17, total_tokens: 67 });
+    expect(readFileSync(join(tmpDir, "app.mjs"), "utf8")).toBe("export const value = 2;\n");
+    expect(readFileSync(join(tmpDir, "notes", "todo.md"), "utf8")).toBe("ship it");
+
+    const outputs = Object.fromEntries(
+      result.items.filter((item) => item.type === "function_call_output").map((item) => [item.call_id, item.output]),
+    );
+    expect(outputs).toMatchObject({
+      c1: "export const value = 1;\n",
+      c2: "replaced 1 occurrence in app.mjs",
+      c4: expect.stringMatching(/^exit code 0\nshell-ok/),
+      c5: "Error: path escapes the worktree: ../outside.txt",
+      c6: 'Error: unknown tool "launch_missiles"',
+    });
+    expect(events[0]).toEqual({ type: "item.completed", item: { type: "agent_message", text: "Inspecting." } });
+    expect(events.at(-1)).toEqual({ type: "turn.completed", usage: result.usage });
+
+    const [first, second] = server.requests;
+    expect(first.url).toBe("/v1/chat/completions");
+    expect(first.headers.authorization).toBe("Bearer k1");
+    expect(first.body.model).toBe("local-coder");
+    expect(first.body.tools.map((tool) => tool.function.name)).toEqual(["read_file", "write_file", "edit_file", "run_shell"]);
+    expect(second.body.messages.slice(-3).map((message) => [message.role, message.tool_call_id])).toEqual([
+      ["tool", "c1"],
+      ["tool", "c2"],
+      ["tool", "c3"],
+    ]);
+  });
+
+  it("streams into the session tracker and counts tokens in the runtime accumulator", async () => {
+    const cacheDir = mkdtempSync(join(tmpdir(), "bosun-openai-compat-runtime-"));
+    _resetRuntimeAccumulatorForTests({ cacheDir });
+    server = await startMockCompletionServer([
+      reply({ tool_calls: [toolCall("c1", "bosun_list_tasks", { status: "todo" })] }, { prompt_tokens: 100, completion_tokens: 20 }),
+      reply({ content: "Two tasks are open." }, { prompt_tokens: 140, completion_tokens: 12 }),
+    ]);
+    const bosunCalls = [];
+    const bosunHandlers = {
+      listTools: () => ({
+        tools: [
+          { name: "bosun_list_tasks", description: "List tasks", inputSchema: { type: "object", properties: {} } },
+          { name: "read_file", description: "shadowed by the built-in", inputSchema: {} },
+        ],
+      }),
+      callTool: async (name, args) => {
+        bosunCalls.push([name, args]);
+        return { content: [{ type: "text", text: "[t1, t2]" }] };
+      },
+    };
+    const tracker = createSessionTracker({ persistDir: null, idleThresholdMs: 60_000 });
+    tracker.startSession("task-local", "Local model task");
+
+    try {
+      const result = await runOpenAiCompatAgent("what is open?", {
+        settings: settingsFor({ bosunTools: true }),
+        cwd: tmpDir,
+        bosunHandlers,
+        onEvent: (event) => tracker.recordEvent("task-local", event),
+      });
+      expect(result.output).toBe("Two tasks are open.");
+      expect(bosunCalls).toEqual([["bosun_list_tasks", { status: "todo" }]]);
+      expect(server.requests[0].body.tools.map((tool) => tool.function.name)).toEqual([
+        "read_file",
+        "write_file",
+        "edit_file",
+        "run_shell",
+        "bosun_list_tasks",
+      ]);
+
+      tracker.endSession("task-local", "completed");
+      const stats = getRuntimeStats();
+      expect(stats.sessionCount).toBe(1);
+      expect(stats.totalInputTokens).toBe(240);
+      expect(stats.totalOutputTokens).toBe(32);
+      expect(stats.completedSessions[0].topTools[0]).toMatchObject({ name: "bosun_list_tasks", count: 1 });
+    } finally {
+      tracker.destroy();
+      _resetRuntimeAccumulatorForTests({ cacheDir: join(tmpdir(), `bosun-runtime-reset-${Date.now()}`) });
+      rmSync(cacheDir, { recursive: true, force: true });
+    }
+  });
+
+  it.skipIf(process.platform === "win32")("keeps the shell output tail and kills the process group on timeout", async () => {
+    const pidFile = join(tmpDir, "grandchild.pid");
+    server = await startMockCompletionServer([
+      reply({
+        tool_calls: [
+          toolCall("c1", "run_shell", { command: `node -e "process.stdout.write('x'.repeat(60000) + 'TAIL-MARK')"` }),
+          toolCall("c2", "run_shell", { command: `sleep 30 & echo $! > "${pidFile}"; wait`, timeout_ms: 500 }),
+        ],
+      }),
+      reply({ content: "done" }),
+    ]);
+
+    const result = await runOpenAiCompatAgent("x", { settings: settingsFor(), cwd: tmpDir });
+    const outputs = Object.fromEntries(
+      result.items.filter((item) => item.type === "function_call_output").map((item) => [item.call_id, item.output]),
+    );
+    expect(outputs.c1).toMatch(/^exit code 0\n… \[dropped \d+ earlier chars\]\nx+TAIL-MARK$/);
+    expect(outputs.c1.length).toBeLessThanOrEqual(20_000);
+    expect(outputs.c2).toMatch(/^command timed out after 1s/);
+
+    const grandchild = Number(readFileSync(pidFile, "utf8"));
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(isRunning(grandchild)).toBe(false);
+  });
+
+  it("surfaces endpoint failures and turn limits as errors", async () => {
+    server = await startMockCompletionServer([
+      { status: 503, body: { error: { message: "model loading" } } },
+      reply({ tool_calls: [toolCall("c1", "run_shell", { command: "echo again" })] }),
+    ]);
+
+    const failed = await runOpenAiCompatAgent("x", { settings: settingsFor(), cwd: tmpDir });
+    expect(failed.success).toBe(false);
+    expect(failed.error).toMatch(/^openai-compat request failed \(503\): .*model loading/);
+
+    const limited = await runOpenAiCompatAgent("x", { settings: settingsFor({ maxTurns: 1 }), cwd: tmpDir });
+    expect(limited.error).toBe("openai-compat stopped after 1 turns without a final answer");
+
+    const baseUrl = server.baseUrl;
+    await server.close();
+    server = null;
+    const unreachable = await runOpenAiCompatAgent("x", {
+      settings: resolveOpenAiCompatSettings({ env: { OPENAI_COMPAT_BASE_URL: baseUrl }, config: {} }),
+      cwd: tmpDir,
+    });
+    expect(unreachable.error).toMatch(/^openai-compat endpoint not available at /);
+
+    const unconfigured = await runOpenAiCompatAgent("x", { settings: resolveOpenAiCompatSettings({ env: {}, config: {} }) });
+    expect(unconfigured.error).toMatch(/not available: set OPENAI_COMPAT_BASE_URL/);
+  });
+
+  it("keeps chat history across primary-agent turns", async () => {
+    server = await startMockCompletionServer([reply({ content: "first" }), reply({ content: "second" })]);
+    mockConfigState.current = { openaiCompat: { baseUrl: server.baseUrl, bosunTools: false } };
+
+    expect((await execOpenAiCompatPrompt("one", { cwd: tmpDir })).finalResponse).toBe("first");
+    expect((await execOpenAiCompatPrompt("two", { cwd: tmpDir })).finalResponse).toBe("second");
+    expect(server.requests[1].body.messages.map((message) => message.content)).toEqual([
+      expect.stringContaining("coding agent"),
+      "one",
+      "first",
+      "two",
+    ]);
+    expect(getSessionInfo()).toMatchObject({ turnCount: 2, messageCount: 4, isBusy: false });
+
+    await expect(execOpenAiCompatPrompt("three", { cwd: tmpDir })).rejects.toThrow(/script exhausted/);
+  });
+});
@@ -0,0 +1,144 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { execFileSync } from "node:child_process";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  createScriptedSteeringQueue,
+  hasScriptedAgentScript,
+  loadScriptedAgentScript,
+  nextScriptedAttempt,
+  normalizeScriptedAgentScript,
+  resetScriptedAgent,
+  runScriptedAttempt,
+  setScriptedAgentScript,
+} from "../shell/scripted-agent-shell.mjs";
+import { createErrorDetector } from "../infra/error-detector.mjs";
+
+const git = (cwd, ...args) => execFileSync("git", args, { cwd, encoding: "utf8" }).trim();
+
+describe("scripted-agent-shell", () => {
+  let worktree = "";
+
+  beforeEach(() => {
+    worktree = mkdtempSync(join(tmpdir(), "bosun-scripted-agent-"));
+    git(worktree, "init", "-q");
+    git(worktree, "config", "user.email", "scripted@example.com");
+    git(worktree, "config", "user.name", "Scripted Agent");
+    writeFileSync(join(worktree, "a.mjs"), "export const a = 1;\n");
+    git(worktree, "add", "-A");
+    git(worktree, "commit", "-q", "-m", "init");
+    delete process.env.BOSUN_SCRIPTED_AGENT_SCRIPT;
+    resetScriptedAgent();
+  });
+
+  afterEach(() => {
+    delete process.env.BOSUN_SCRIPTED_AGENT_SCRIPT;
+    resetScriptedAgent();
+    rmSync(worktree, { recursive: true, force: true });
+  });
+
+  it("loads YAML scripts and advances attempts per task", () => {
+    const file = join(worktree, "script.yaml");
+    writeFileSync(file, [
+      "tasks:",
+      "  T1:",
+      "    attempts:",
+      "      - [ { rateLimit: true } ]",
+      "      - [ { final: fixed } ]",
+      "prompts:",
+      "  - { pattern: '^Review', steps: [ { final: LGTM } ] }",
+      "default: [ { final: ok } ]",
+    ].join("\n"));
+    expect(hasScriptedAgentScript()).toBe(false);
+    process.env.BOSUN_SCRIPTED_AGENT_SCRIPT = file;
+    const script = loadScriptedAgentScript();
+
+    const kinds = () => nextScriptedAttempt(script, { taskKey: "T1" }).steps.map((step) => step.kind);
+    expect(kinds()).toEqual(["rateLimit"]);
+    expect(kinds()).toEqual(["final"]);
+    expect(nextScriptedAttempt(script, { taskKey: "T1" })).toMatchObject({ attempt: 3, source: "task:T1" });
+    expect(nextScriptedAttempt(script, { prompt: "Review PR #4" }).steps).toEqual([{ kind: "final", value: "LGTM" }]);
+    expect(nextScriptedAttempt(script, { taskKey: "other" }).source).toBe("default");
+    expect(nextScriptedAttempt(normalizeScriptedAgentScript({}), { taskKey: "T1" })).toBeNull();
+
+    expect(() => normalizeScriptedAgentScript({ tasks: { T: [{ message: "a", final: "b" }] } })).toThrow(/exactly one/);
+    expect(() => normalizeScriptedAgentScript({ tasks: { T: [{ edit: { path: "a.mjs" } }] } })).toThrow(/"old"/);
+    expect(() => normalizeScriptedAgentScript({ prompts: [{ steps: [] }] })).toThrow(/pattern/);
+  });
+
+  it("edits, runs commands and commits in the worktree", async () => {
+    setScriptedAgentScript({
+      tasks: {
+        T1: [
+          { message: "Bumping a" },
+          { tool: { name: "read_file", arguments: { path: "a.mjs" }, output: "export const a = 1;" } },
+          { edit: { path: "a.mjs", old: "= 1", new: "= 2" } },
+          { write: { path: "docs/notes.md", content: "bumped\n" } },
+          { command: "echo checks-pass" },
+          { commit: "feat: bump a" },
+          { usage: { input_tokens: 100, output_tokens: 20 } },
+          { final: "Bumped a to 2." },
+          { message: "never emitted" },
+        ],
+      },
+    });
+    const events = [];
+    const { steps } = nextScriptedAttempt(loadScriptedAgentScript(), { taskKey: "T1" });
+    const result = await runScriptedAttempt(steps, { cwd: worktree, onEvent: (event) => events.push(event) });
+
+    expect(result).toMatchObject({ success: true, error: null, output: "Bumped a to 2." });
+    expect(readFileSync(join(worktree, "a.mjs"), "utf8")).toBe("export const a = 2;\n");
+    expect(git(worktree, "log", "-1", "--format=%s")).toBe("feat: bump a");
+    expect(git(worktree, "status", "--porcelain")).toBe("");
+    expect(result.items.map((item) => item.type)).toEqual([
+      "agent_message",
+      "function_call",
+      "function_call_output",
+      "file_change",
+      "file_change",
+      "command_execution",
+      "command_execution",
+      "agent_message",
+    ]);
+    expect(result.items[5]).toMatchObject({ command: "echo checks-pass", exit_code: 0, aggregated_output: "checks-pass\n" });
+    expect(events.at(-1)).toEqual({ type: "turn.completed", usage: { input_tokens: 100, output_tokens: 20 } });
+  });
+
+  it("simulates failures that error-detector classifies", async () => {
+    const detector = createErrorDetector();
+    const run = (step) => runScriptedAttempt(normalizeScriptedAgentScript({ default: [step] }).default[0], { cwd: worktree });
+
+    const rateLimited = await run({ rateLimit: true });
+    expect(rateLimited.success).toBe(false);
+    expect(detector.classify("", rateLimited.error).pattern).toBe("rate_limit");
+
+    const overflow = await run({ contextOverflow: true });
+    expect(detector.classify("", overflow.error).pattern).toBe("token_overflow");
+
+    expect((await run({ fail: "boom" })).error).toBe("boom");
+    expect((await run({ write: { path: "../escape.txt", content: "x" } })).error)
+      .toMatch(/^scripted step failed: .*escapes the worktree/);
+  });
+
+  it("waits for steering prompts and stops on abort", async () => {
+    const controller = new AbortController();
+    const steering = createScriptedSteeringQueue(controller.signal);
+    const steps = normalizeScriptedAgentScript({
+      default: [{ waitForSteer: 5000 }, { final: "done" }],
+    }).default[0];
+
+    const pending = runScriptedAttempt(steps, { cwd: worktree, steering, signal: controller.signal });
+    steering.push("focus on the failing test");
+    const result = await pending;
+    expect(result.items[0]).toEqual({ type: "agent_message", text: "Received guidance: focus on the failing test" });
+    expect(result.output).toBe("done");
+
+    const stalled = runScriptedAttempt(
+      normalizeScriptedAgentScript({ default: [{ sleep: 5000 }, { final: "late" }] }).default[0],
+      { cwd: worktree, signal: controller.signal },
+    );
+    controller.abort("timeout");
+    expect(await stalled).toMatchObject({ success: false, error: "scripted agent timeout", output: "" });
+  });
+});
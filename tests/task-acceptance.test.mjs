@@ -0,0 +1,179 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  evaluateAcceptanceCriteria,
+  formatAcceptanceCriteriaPrompt,
+  globToRegExp,
+  normalizeAcceptanceCriteria,
+} from "../task/task-acceptance.mjs";
+import {
+  addTask,
+  completeTask,
+  configureTaskStore,
+  getTask,
+  recordTaskAcceptanceReport,
+  setTaskStatus,
+  updateTask,
+  upsertFromExternal,
+} from "../task/task-store.mjs";
+
+describe("task-acceptance", () => {
+  let tmpDir = "";
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "bosun-task-acceptance-"));
+    configureTaskStore({ storePath: join(tmpDir, "kanban-state.json") });
+  });
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("normalizes strings, typed entries and grouped shorthand", () => {
+    const criteria = normalizeAcceptanceCriteria({
+      commands: ["npm test"],
+      mustChange: "src/auth/**",
+      mustNotChange: ["migrations/**"],
+      coverage: 80,
+      prLabels: "ready",
+      review: "Errors are shown to the user",
+    });
+    expect(criteria.map((c) => c.kind)).toEqual([
+      "command", "files_changed", "files_unchanged", "coverage", "pr_label", "review",
+    ]);
+    expect(criteria[3]).toMatchObject({ min: 80, metric: "lines", summaryPath: "coverage/coverage-summary.json" });
+    expect(normalizeAcceptanceCriteria(["Docs updated", { kind: "bogus" }, { kind: "cmd", run: "make" }]))
+      .toEqual([
+        { kind: "review", text: "Docs updated", id: "review-1" },
+        expect.objectContaining({ kind: "command", command: "make", id: "command-2" }),
+      ]);
+
+    expect(globToRegExp("src/**/*.mjs").test("src/a/b/c.mjs")).toBe(true);
+    expect(globToRegExp("src/**/*.mjs").test("src/c.mjs")).toBe(true);
+    expect(globToRegExp("*.md").test("docs/guide.md")).toBe(true);
+    expect(globToRegExp("src/*.{js,mjs}").test("src/a/b.js")).toBe(false);
+
+    const prompt = formatAcceptanceCriteriaPrompt(criteria);
+    expect(prompt).toContain("## Acceptance Criteria");
+    expect(prompt).toContain("[command] `npm test` exits with code 0");
+    expect(formatAcceptanceCriteriaPrompt([])).toBe("");
+  });
+
+  it("reports pass/fail per criterion", async () => {
+    mkdirSync(join(tmpDir, "coverage"));
+    writeFileSync(
+      join(tmpDir, "coverage", "coverage-summary.json"),
+      JSON.stringify({ total: { lines: { pct: 72.5 } } }),
+    );
+    const judged = [];
+    const report = await evaluateAcceptanceCriteria(
+      [
+        { kind: "command", command: "npm test" },
+        { kind: "command", command: "npm run lint" },
+        { kind: "files_changed", pattern: "src/auth/**" },
+        { kind: "files_unchanged", pattern: "migrations/**" },
+        { kind: "coverage", min: 80 },
+        { kind: "pr_label", label: "Ready" },
+        "Login errors are shown to the user",
+      ],
+      {
+        cwd: tmpDir,
+        changedFiles: ["src/auth/login.mjs", "migrations/001.sql"],
+        prLabels: ["ready", "bug"],
+        runCommand: async (command) => ({ exitCode: command === "npm test" ? 0 : 2, output: "lint error" }),
+        judgeReview: async (input) => {
+          judged.push(input);
+          return { passed: true, output: "PASS" };
+        },
+      },
+    );
+
+    expect(report.passed).toBe(false);
+    expect(report.fingerprint).toMatch(/^[a-f0-9]{16}$/);
+    expect(report.results.map((r) => [r.id, r.passed])).toEqual([
+      ["command-1", true],
+      ["command-2", false],
+      ["files_changed-3", true],
+      ["files_unchanged-4", false],
+      ["coverage-5", false],
+      ["pr_label-6", true],
+      ["review-7", true],
+    ]);
+    expect(report.results[1].detail).toContain("exit code 2");
+    expect(report.results[3].detail).toContain("migrations/001.sql");
+    expect(report.results[4].detail).toContain("72.5%");
+    expect(judged[0].criteria.map((c) => c.text)).toEqual(["Login errors are shown to the user"]);
+    expect(judged[0].results).toHaveLength(6);
+
+    const unjudged = await evaluateAcceptanceCriteria(["Looks right"], { cwd: tmpDir });
+    expect(unjudged.results[0]).toMatchObject({ passed: false, detail: expect.stringContaining("manual review") });
+  });
+
+  it("blocks completion until the latest report for the current criteria passes", () => {
+    addTask({
+      id: "ac-1",
+      title: "Harden login",
+      status: "inprogress",
+      acceptanceCriteria: [{ kind: "command", command: "npm test" }],
+    });
+
+    let result = completeTask("ac-1");
+    expect(result).toMatchObject({ ok: false, reason: "acceptance_criteria_unevaluated" });
+
+    recordTaskAcceptanceReport("ac-1", {
+      passed: false,
+      results: [{ id: "command-1", kind: "command", description: "npm test", passed: false, detail: "exit code 1" }],
+    });
+    result = completeTask("ac-1");
+    expect(result).toMatchObject({ ok: false, reason: "acceptance_criteria_unmet" });
+    expect(result.guard.failedCriteria).toEqual(["command-1"]);
+
+    recordTaskAcceptanceReport("ac-1", {
+      passed: true,
+      results: [{ id: "command-1", kind: "command", description: "npm test", passed: true }],
+    });
+    const evaluated = getTask("ac-1").timeline.filter((event) => event.type === "acceptance.evaluated");
+    expect(evaluated).toHaveLength(2);
+    expect(evaluated[1].payload.results).toEqual([
+      expect.objectContaining({ id: "command-1", passed: true }),
+    ]);
+
+    updateTask("ac-1", { acceptanceCriteria: [{ kind: "command", command: "npm test" }, "Docs updated"] });
+    expect(completeTask("ac-1")).toMatchObject({ ok: false, reason: "acceptance_criteria_unevaluated" });
+
+    updateTask("ac-1", { acceptanceCriteria: [{ kind: "command", command: "npm test" }] });
+    expect(completeTask("ac-1")).toMatchObject({ ok: true, toStatus: "done" });
+    expect(recordTaskAcceptanceReport("missing", { passed: true, results: [] })).toBeNull();
+  });
+
+  it("applies the acceptance guard to status, patch and external sync moves to done", () => {
+    const criteria = [{ kind: "command", command: "npm test" }];
+    addTask({ id: "ac-2", title: "Sync me", status: "inreview", acceptanceCriteria: criteria });
+
+    expect(upsertFromExternal({ id: "ac-2", status: "done", externalBackend: "jira" }).status).toBe("inreview");
+    expect(setTaskStatus("ac-2", "done", "review").status).toBe("inreview");
+    expect(updateTask("ac-2", { status: "done", title: "Sync me (edited)" })).toMatchObject({
+      status: "inreview",
+      title: "Sync me (edited)",
+    });
+    const blocks = getTask("ac-2").timeline.filter((event) => event.type === "lifecycle.blocked");
+    expect(blocks.map((event) => [event.source, event.payload.reason])).toEqual([
+      ["external", "acceptance_criteria_unevaluated"],
+      ["review", "acceptance_criteria_unevaluated"],
+      ["updateTask", "acceptance_criteria_unevaluated"],
+    ]);
+
+    // The guard sees the whole patch, not the fields applied before `status`.
+    expect(updateTask("ac-2", { status: "done", acceptanceCriteria: [] }).status).toBe("done");
+
+    addTask({ id: "ac-3", title: "Passing", status: "inreview", acceptanceCriteria: criteria });
+    upsertFromExternal({ id: "ac-3", status: "inreview", externalBackend: "jira" });
+    recordTaskAcceptanceReport("ac-3", {
+      passed: true,
+      results: [{ id: "command-1", kind: "command", description: "npm test", passed: true }],
+    });
+    expect(upsertFromExternal({ id: "ac-3", status: "done", externalBackend: "jira" }).status).toBe("done");
+  });
+});
@@ -0,0 +1,196 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { execFileSync } from "node:child_process";
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  buildBestOfNComparisonCriteria,
+  formatBestOfNReport,
+  normalizeBestOfNConfig,
+  parseBestOfNReviewPick,
+  planBestOfNCandidates,
+  runBestOfNAttempts,
+  shouldRunBestOfN,
+} from "../task/task-best-of-n.mjs";
+import { collectDiffStats } from "../git/diff-stats.mjs";
+
+const git = (cwd, ...args) => execFileSync("git", args, { cwd, encoding: "utf8" }).trim();
+
+const TASK = { id: "T-7", title: "Make add() handle strings", description: "add('1', 2) should be 3" };
+
+describe("task-best-of-n", () => {
+  let repo = "";
+
+  beforeEach(() => {
+    repo = mkdtempSync(join(tmpdir(), "bosun-best-of-n-"));
+    git(repo, "init", "-q", "-b", "main");
+    git(repo, "config", "user.email", "best@example.com");
+    git(repo, "config", "user.name", "Best Of N");
+    writeFileSync(join(repo, "add.mjs"), "export const add = (a, b) => a + b;\n");
+    git(repo, "add", "-A");
+    git(repo, "commit", "-q", "-m", "init");
+    vi.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  it("normalizes config and decides which tasks run best-of-n", () => {
+    const config = normalizeBestOfNConfig({
+      enabled: true,
+      attempts: 20,
+      executors: ["codex:gpt-5.2-codex", { sdk: "claude" }, {}],
+      gates: { build: false, lint: { command: "npm run lint:fast", weight: 5 } },
+    });
+    expect(config).toMatchObject({
+      attempts: 8,
+      executors: [{ sdk: "codex", model: "gpt-5.2-codex" }, { sdk: "claude", model: null }],
+      gates: {
+        tests: { command: "npm test", weight: 40 },
+        lint: { command: "npm run lint:fast", weight: 5, timeoutMs: 300_000 },
+      },
+      reviewWeight: 20,
+    });
+    expect(config.gates.build).toBeUndefined();
+
+    expect(shouldRunBestOfN({ ...TASK, tags: ["Best-of-N"] }, {})).toBe(false);
+    expect(shouldRunBestOfN({ ...TASK, tags: ["Best-of-N"] }, config)).toBe(true);
+    expect(shouldRunBestOfN({ ...TASK, meta: { bestOfN: 4 } }, config)).toBe(true);
+    expect(shouldRunBestOfN({ ...TASK, title: "Redesign the auth architecture [xl]" }, config)).toBe(false);
+    const hard = { ...config, complexityTiers: ["high"] };
+    expect(shouldRunBestOfN({ ...TASK, title: "Redesign the auth architecture [xl]" }, hard)).toBe(true);
+    expect(shouldRunBestOfN({ ...TASK, title: "Redesign [xl]", meta: { bestOfN: false } }, hard)).toBe(false);
+
+    const plan = planBestOfNCandidates({ ...TASK, meta: { bestOfN: 3 } }, config, { branch: "task/t7" });
+    expect(plan.map((candidate) => [candidate.id, candidate.sdk, candidate.branch, candidate.taskKey])).toEqual([
+      ["candidate-1", "codex", "task/t7-try1", "T-7#try1"],
+      ["candidate-2", "claude", "task/t7-try2", "T-7#try2"],
+      ["candidate-3", "codex", "task/t7-try3", "T-7#try3"],
+    ]);
+
+    expect(parseBestOfNReviewPick("PASS\nBEST: **candidate-2**", ["candidate-1", "candidate-2"])).toBe("candidate-2");
+    expect(parseBestOfNReviewPick("BEST: candidate-9", ["candidate-1"])).toBeNull();
+    expect(buildBestOfNComparisonCriteria([{ id: "candidate-1", sdk: "codex", model: null, gates: { tests: { passed: true } } }]))
+      .toContain("- candidate-1 (codex): candidate-1.patch; tests passed");
+  });
+
+  it("scores real worktree diffs, submits only the winner and reaps the rest", async () => {
+    const edits = {
+      "candidate-1": "export const add = (a, b) => Number(a) + Number(b);\n",
+      "candidate-2": "export const add = (a, b) => +a + +b;\n",
+      "candidate-3": null,
+      "candidate-4": "export const add = (a, b) => a + b; // TODO\n",
+    };
+    const released = [];
+    const createPr = vi.fn(async (winner) => ({ success: true, prUrl: `https://example.test/pr/${winner.index}`, prNumber: winner.index }));
+    const compareCandidates = vi.fn(async () => ({ pick: "candidate-2", output: "PASS\nBEST: candidate-2" }));
+
+    const result = await runBestOfNAttempts(TASK, {
+      config: { attempts: 4, executors: ["codex", "claude:claude-sonnet-4.6"], gates: { build: false } },
+      branch: "task/t7",
+      acquireWorktree: async (candidate) => {
+        const path = join(repo, ".worktrees", candidate.id);
+        git(repo, "worktree", "add", "-q", "-b", candidate.branch, path, "main");
+        return { path };
+      },
+      releaseWorktree: async (candidate) => {
+        git(repo, "worktree", "remove", "--force", candidate.worktreePath);
+        released.push(candidate.id);
+      },
+      runAttempt: async (candidate) => {
+        const edit = edits[candidate.id];
+        if (edit === null) return { success: false, error: "agent crashed" };
+        writeFileSync(join(candidate.worktreePath, "add.mjs"), edit);
+        git(candidate.worktreePath, "commit", "-q", "-am", `attempt ${candidate.id}`);
+        return { success: true, tokensUsed: 10 };
+      },
+      collectDiff: async (candidate) => collectDiffStats(candidate.worktreePath, { baseBranch: "main" }),
+      runGate: async (name, _gate, candidate) => {
+        const source = readFileSync(join(candidate.worktreePath, "add.mjs"), "utf8");
+        if (name === "tests") return { passed: !source.includes("a + b;") };
+        return { passed: !source.includes("TODO") };
+      },
+      compareCandidates,
+      createPr,
+    });
+
+    expect(compareCandidates.mock.calls[0][0].map((candidate) => candidate.id))
+      .toEqual(["candidate-1", "candidate-2", "candidate-4"]);
+    expect(result.winner).toBe("candidate-2");
+    expect(result.ranking).toEqual([
+      { id: "candidate-2", score: 70 },
+      { id: "candidate-1", score: 50 },
+      { id: "candidate-4", score: 0 },
+    ]);
+    expect(result.candidates[2]).toMatchObject({ sdk: "codex", eligible: false, score: null, error: "agent crashed" });
+    expect(result.candidates[1]).toMatchObject({
+      sdk: "claude",
+      model: "claude-sonnet-4.6",
+      diff: { files: 1, additions: 1, deletions: 1 },
+      gates: { tests: { passed: true }, lint: { passed: true } },
+      reviewPick: true,
+    });
+    expect(createPr).toHaveBeenCalledTimes(1);
+    expect(createPr.mock.calls[0][0]).toMatchObject({ id: "candidate-2", branch: "task/t7-try2" });
+    expect(result.pr.prUrl).toBe("https://example.test/pr/2");
+    expect(released.sort()).toEqual(["candidate-1", "candidate-3", "candidate-4"]);
+    expect(result.reaped.sort()).toEqual(released);
+    expect(existsSync(join(repo, ".worktrees", "candidate-2"))).toBe(true);
+    expect(existsSync(join(repo, ".worktrees", "candidate-1"))).toBe(false);
+
+    const report = formatBestOfNReport(TASK, result);
+    expect(report).toContain("Winner: **candidate-2** (claude/claude-sonnet-4.6) on `task/t7-try2`, score 70.");
+    expect(report).toContain("Pull request: https://example.test/pr/2");
+    expect(report).toContain("| **candidate-2** | claude/claude-sonnet-4.6 | ok | 1 files +1/-1 | pass | pass | best | 70 |");
+    expect(report).toContain("| candidate-3 | codex | failed | 0 files +0/-0 | — | — | — | ineligible |");
+    expect(report).toContain("- candidate-3: agent crashed");
+    expect(report).toContain("Reaped worktrees: ");
+  });
+
+  it("reaps the winner's worktree too when its PR could not be opened", async () => {
+    const releaseWorktree = vi.fn(async () => {});
+    const result = await runBestOfNAttempts(TASK, {
+      config: { attempts: 2, gates: { build: false, lint: false } },
+      branch: "task/t7",
+      acquireWorktree: async (candidate) => ({ path: join(repo, candidate.id) }),
+      releaseWorktree,
+      runAttempt: async () => ({ success: true }),
+      collectDiff: async () => ({ totalFiles: 1, totalAdditions: 1 }),
+      runGate: async (_name, _gate, candidate) => ({ passed: candidate.index === 2 }),
+      createPr: async () => { throw new Error("gh: not authenticated"); },
+    });
+
+    expect(result.winner).toBe("candidate-2");
+    expect(result.pr).toEqual({ success: false, error: "gh: not authenticated" });
+    expect(releaseWorktree.mock.calls.map(([candidate]) => candidate.id).sort()).toEqual(["candidate-1", "candidate-2"]);
+    expect(result.reaped.sort()).toEqual(["candidate-1", "candidate-2"]);
+    expect(formatBestOfNReport(TASK, result)).toContain("Pull request failed: gh: not authenticated");
+  });
+
+  it("reaps every worktree and opens no PR when nothing is eligible", async () => {
+    const createPr = vi.fn();
+    const releaseWorktree = vi.fn(async () => {});
+    const result = await runBestOfNAttempts(TASK, {
+      config: { attempts: 2 },
+      branch: "task/t7",
+      baseline: { sdk: "copilot" },
+      acquireWorktree: async (candidate) => ({ path: join(repo, candidate.id) }),
+      releaseWorktree,
+      runAttempt: async () => ({ success: true }),
+      collectDiff: async () => ({ totalFiles: 0 }),
+      runGate: vi.fn(),
+      createPr,
+    });
+
+    expect(result).toMatchObject({ winner: null, pr: null, ranking: [], review: null });
+    expect(result.candidates.map((candidate) => [candidate.sdk, candidate.error])).toEqual([
+      ["copilot", "attempt produced no changes"],
+      ["copilot", "attempt produced no changes"],
+    ]);
+    expect(createPr).not.toHaveBeenCalled();
+    expect(releaseWorktree).toHaveBeenCalledTimes(2);
+    expect(formatBestOfNReport(TASK, result)).toContain("No candidate was eligible; nothing was submitted.");
+  });
+});
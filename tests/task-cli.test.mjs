@@ -118,6 +118,110 @@ describe("task CLI store persistence", () => {
     expect((readStore(storePath).tasks || {})[task.id]).toBeUndefined();
   });
 
+  it("persists templates and recurrences and instantiates templates", () => {
+    const storePath = makeTempStorePath();
+    const run = (...args) => spawnSync(process.execPath, ["cli.mjs", "task", ...args], {
+      cwd: process.cwd(),
+      env: { ...process.env, BOSUN_STORE_PATH: storePath },
+      encoding: "utf8",
+    });
+
+    expect(run(
+      "template", "create",
+      "--id", "dep-bump",
+      "--title", "chore(deps): bump {{package}}",
+      "--tags", "deps",
+      "--priority", "low",
+    ).status).toBe(0);
+    expect(run("recur", "create", "dep-bump", "--schedule", "@weekly", "--id", "weekly-bump", "--param", "package=all").status)
+      .toBe(0);
+
+    const used = run("template", "use", "dep-bump", "--param", "package=vitest", "--json");
+    expect(used.status).toBe(0);
+    expect(parseJsonPayloadFromStdout(used.stdout)).toMatchObject({
+      title: "chore(deps): bump vitest",
+      priority: "low",
+      tags: ["deps"],
+    });
+
+    const store = readStore(storePath);
+    expect(store._meta.taskTemplates["dep-bump"]).toMatchObject({ title: "chore(deps): bump {{package}}" });
+    expect(store._meta.taskRecurrences["weekly-bump"]).toMatchObject({
+      templateId: "dep-bump",
+      params: { package: "all" },
+      enabled: true,
+    });
+    expect(run("recur", "create", "missing", "--schedule", "@daily").status).toBe(1);
+  });
+
+  it("filters by query and bulk-updates matching tasks", () => {
+    const storePath = makeTempStorePath();
+    const run = (...args) => spawnSync(process.execPath, ["cli.mjs", "task", ...args], {
+      cwd: process.cwd(),
+      env: { ...process.env, BOSUN_STORE_PATH: storePath },
+      encoding: "utf8",
+    });
+
+    expect(run("create", JSON.stringify([
+      { id: "bulk-a", title: "Stale UI polish", status: "todo", tags: ["ui"], priority: "high" },
+      { id: "bulk-b", title: "Blocked UI rework", status: "todo", tags: ["ui", "blocked"], priority: "high" },
+      { id: "bulk-c", title: "Backend cleanup", status: "todo", tags: ["api"], priority: "low" },
+    ])).status).toBe(0);
+
+    const listed = run("list", "--query", "tag:ui -tag:blocked priority>=high");
+    expect(listed.status).toBe(0);
+    expect(listed.stdout).toContain("Stale UI polish");
+    expect(listed.stdout).not.toContain("Blocked UI rework");
+    expect(run("list", "--query", "nope:1").status).toBe(1);
+
+    const preview = run("bulk", "--query", "tag:ui -tag:blocked", "--set", "status=cancelled", "--add-tag", "stale", "--dry-run", "--json");
+    expect(preview.status).toBe(0);
+    expect(parseJsonPayloadFromStdout(preview.stdout)).toMatchObject({
+      ok: true,
+      dryRun: true,
+      matched: 1,
+      changes: [{ taskId: "bulk-a", before: { status: "todo" }, after: { status: "cancelled", tags: ["ui", "stale"] } }],
+    });
+    expect(readStore(storePath).tasks["bulk-a"].status).toBe("todo");
+
+    const applied = run("bulk", "--query", "tag:ui -tag:blocked", "--set", "status=cancelled", "--add-tag", "stale", "--json");
+    expect(applied.status).toBe(0);
+    expect(parseJsonPayloadFromStdout(applied.stdout).actionId).toMatch(/^task\.bulk_update:/);
+    const store = readStore(storePath);
+    expect(store.tasks["bulk-a"]).toMatchObject({ status: "cancelled", tags: ["ui", "stale"] });
+    expect(store.tasks["bulk-b"].status).toBe("todo");
+    expect(run("bulk", "--query", "tag:ui", "--set", "owner=me").status).toBe(1);
+  });
+
+  it("undoes and redoes journaled task changes", () => {
+    const storePath = makeTempStorePath();
+    const run = (...args) => spawnSync(process.execPath, ["cli.mjs", "task", ...args], {
+      cwd: process.cwd(),
+      env: { ...process.env, BOSUN_STORE_PATH: storePath },
+      encoding: "utf8",
+    });
+
+    expect(run("create", JSON.stringify({ id: "undo-a", title: "Keep me", status: "todo" })).status).toBe(0);
+    expect(run("update", "undo-a", "--priority", "critical").status).toBe(0);
+    expect(run("delete", "undo-a").status).toBe(0);
+    expect(readStore(storePath).tasks["undo-a"]).toBeUndefined();
+
+    const listed = run("undo", "--list");
+    expect(listed.status).toBe(0);
+    expect(listed.stdout).toContain("task delete (1 task deleted)");
+
+    const undone = run("undo", "--json");
+    expect(undone.status).toBe(0);
+    expect(parseJsonPayloadFromStdout(undone.stdout)).toMatchObject({ ok: true, changes: [{ id: "undo-a", op: "delete" }] });
+    expect(readStore(storePath).tasks["undo-a"]).toMatchObject({ title: "Keep me", priority: "critical" });
+
+    expect(run("undo").status).toBe(0);
+    expect(readStore(storePath).tasks["undo-a"].priority).not.toBe("critical");
+    expect(run("redo").status).toBe(0);
+    expect(readStore(storePath).tasks["undo-a"].priority).toBe("critical");
+    expect(run("undo", "task.mutation:missing").status).toBe(1);
+  });
+
   it("canonicalizes workspace and repository keys on create", () => {
     const storePath = makeTempStorePath();
     const result = spawnSync(
@@ -20,10 +20,14 @@ describe("task executor pipeline helpers", () => {
     const sequential = createExecutionPipeline("single", [{ id: "a" }], {
       agentRunner: runner,
     });
+    const bestOfN = createExecutionPipeline("best-of-n", [{ id: "a" }], {
+      agentRunner: runner,
+    });
 
     expect(fanout.type).toBe("fanout");
     expect(race.type).toBe("race");
     expect(sequential.type).toBe("sequential");
+    expect(bestOfN.type).toBe("best-of-n");
   });
 
   it("runs plain agent descriptors through a shared runner with fresh context", async () => {
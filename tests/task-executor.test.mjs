@@ -1,6 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
 import os from "node:os";
-import { resolve } from "node:path";
+import { join, resolve } from "node:path";
 
 // ── Mocks ───────────────────────────────────────────────────────────────────
 
@@ -142,6 +142,13 @@ import { loadConfig } from "../config/config.mjs";
 import { evaluateBranchSafetyForPush } from "../git/git-safety.mjs";
 import { spawnSync } from "node:child_process";
 import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import {
+  addTask as addInternalTask,
+  getTask as getInternalTask,
+  recordTaskAcceptanceReport,
+} from "../task/task-store.mjs";
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -1791,6 +1798,248 @@ describe("task-executor", () => {
   // loadExecutorOptionsFromConfig
   // [LEGACY TESTS REMOVED] "anti-thrash key normalization" — replaced by workflow node tests
   // See tests/workflow-task-lifecycle.test.mjs
+  describe("acceptance criteria", () => {
+    it("evaluates criteria in the worktree, judges review criteria and completes only once they pass", async () => {
+      const worktreePath = await mkdtemp(join(tmpdir(), "bosun-executor-acceptance-"));
+      addInternalTask({
+        id: "task-ac-1",
+        title: "Surface errors",
+        status: "inprogress",
+        acceptanceCriteria: [{ kind: "command", command: "npm test" }, "Errors are shown to the user"],
+      });
+      const ex = new TaskExecutor({ repoRoot: "/fake/repo" });
+      const review = vi.spyOn(ex, "_executeWorkflowNode").mockResolvedValue({ passed: true, reviewOutput: "PASS" });
+
+      try {
+        expect(ex._buildAcceptanceCriteriaPrompt(getInternalTask("task-ac-1")))
+          .toContain("- [review] Errors are shown to the user");
+
+        const failing = await ex.completeTask("task-ac-1", {
+          worktreePath,
+          runCommand: async () => ({ exitCode: 1, output: "1 failed" }),
+        });
+        expect(failing).toMatchObject({ ok: false, reason: "acceptance_criteria_unmet", acceptance: { passed: false } });
+        expect(getInternalTask("task-ac-1").status).toBe("inprogress");
+        expect(review).toHaveBeenCalledWith(
+          expect.objectContaining({ id: "task-ac-1" }),
+          "validation.model_review",
+          expect.objectContaining({ strictMode: true, criteria: "- Errors are shown to the user" }),
+          { worktreePath },
+        );
+
+        const passing = await ex.completeTask("task-ac-1", {
+          worktreePath,
+          runCommand: async () => ({ exitCode: 0, output: "ok" }),
+        });
+        expect(passing).toMatchObject({ ok: true, acceptance: { passed: true } });
+        expect(getInternalTask("task-ac-1").status).toBe("done");
+        expect(getInternalTask("task-ac-1").acceptanceReport).toMatchObject({ passed: true, source: "task-executor" });
+      } finally {
+        await rm(worktreePath, { recursive: true, force: true });
+      }
+    });
+
+    it("re-evaluates a merged task on its PR branch when its report predates the merge", async () => {
+      addInternalTask({
+        id: "task-ac-2",
+        title: "Merged fix",
+        status: "inreview",
+        branchName: "task/ac-2",
+        acceptanceCriteria: [{ kind: "files_unchanged", pattern: "migrations/**" }],
+      });
+      recordTaskAcceptanceReport("task-ac-2", {
+        passed: false,
+        results: [{ id: "files_unchanged-1", kind: "files_unchanged", passed: false, detail: "unexpected changes: migrations/001.sql" }],
+      }, { source: "workflow" });
+      spawnSync.mockReturnValueOnce({ status: 0, stdout: "src/login.mjs\n", stderr: "" });
+      const ex = new TaskExecutor({ repoRoot: "/fake/repo" });
+      const mergedAt = new Date(Date.now() + 60_000).toISOString();
+
+      const report = await ex.reevaluateMergedAcceptance("task-ac-2", { prNumber: 7, repoSlug: "acme/app", mergedAt });
+
+      expect(report).toMatchObject({ passed: true, source: "review-merge-reconcile" });
+      expect(getInternalTask("task-ac-2").acceptanceReport).toMatchObject({ passed: true });
+      expect(acquireWorktree).toHaveBeenCalledWith("task/ac-2", "task-ac-2#acceptance", { owner: "acceptance" });
+      expect(releaseWorktree).toHaveBeenCalledWith("task-ac-2#acceptance");
+      expect(spawnSync).toHaveBeenCalledWith(
+        "gh",
+        ["pr", "view", "7", "--json", "files", "--jq", ".files[].path", "--repo", "acme/app"],
+        expect.objectContaining({ cwd: expect.any(String) }),
+      );
+
+      acquireWorktree.mockClear();
+      expect(await ex.reevaluateMergedAcceptance("task-ac-2", { prNumber: 7, mergedAt })).toEqual(report);
+      expect(acquireWorktree).not.toHaveBeenCalled();
+    });
+
+    it("evaluates the best-of-N winner in its worktree before opening the PR", async () => {
+      const ex = new TaskExecutor({
+        repoRoot: "/fake/repo",
+        bestOfN: { attempts: 2, executors: ["codex"], gates: { build: false, lint: false } },
+      });
+      const order = [];
+      const evaluate = vi.spyOn(ex, "evaluateAcceptanceCriteria").mockImplementation(async (_task, options) => {
+        order.push(["evaluate", options.worktreePath]);
+        return { passed: false, results: [{ id: "command-1", description: "`npm test` exits with code 0", passed: false }] };
+      });
+
+      const result = await ex.runBestOfNAttempts(mockTask, {
+        collectDiff: async () => ({ totalFiles: 1, totalAdditions: 1 }),
+        runGate: async (_name, _gate, candidate) => ({ passed: candidate.index === 2 }),
+        compareCandidates: async () => ({ pick: "candidate-2" }),
+        createPr: async () => {
+          order.push(["createPr"]);
+          return { success: true, prNumber: 3 };
+        },
+      });
+
+      expect(evaluate).toHaveBeenCalledTimes(1);
+      expect(order).toEqual([["evaluate", "/fake/worktree"], ["createPr"]]);
+      expect(result.acceptance).toMatchObject({ passed: false });
+      expect(writeFileSync).toHaveBeenCalledWith(
+        result.reportPath,
+        expect.stringContaining("Acceptance criteria: 1 of 1 failed (`npm test` exits with code 0)."),
+        "utf8",
+      );
+    });
+  });
+
+  describe("best-of-N attempts", () => {
+    it("runs attempts in separate worktrees, submits the winner and writes the report", async () => {
+      const ex = new TaskExecutor({
+        repoRoot: "/fake/repo",
+        bestOfN: { attempts: 2, executors: ["codex", "claude:claude-sonnet-4.6"], gates: { build: false, lint: false } },
+      });
+      const createPr = vi.fn(async () => ({ success: true, prUrl: "https://example.test/pr/9", prNumber: 9 }));
+
+      const result = await ex.runBestOfNAttempts(mockTask, {
+        collectDiff: async () => ({ totalFiles: 2, totalAdditions: 5, totalDeletions: 1 }),
+        runGate: async (_name, _gate, candidate) => ({ passed: candidate.index === 2 }),
+        compareCandidates: async () => ({ pick: "candidate-2", output: "BEST: candidate-2" }),
+        createPr,
+      });
+
+      expect(acquireWorktree).toHaveBeenCalledWith(
+        "ve/task-123-fix-the-bug-try1",
+        "task-123-uuid#try1",
+        expect.objectContaining({ owner: "best-of-n" }),
+      );
+      expect(execWithRetry.mock.calls.map(([, opts]) => [opts.taskKey, opts.sdk, opts.model, opts.sessionType])).toEqual([
+        ["task-123-uuid#try1", "codex", undefined, "best-of-n"],
+        ["task-123-uuid#try2", "claude", "claude-sonnet-4.6", "best-of-n"],
+      ]);
+      expect(result).toMatchObject({ winner: "candidate-2", reaped: ["candidate-1"], pr: { prNumber: 9 } });
+      expect(createPr.mock.calls[0][0]).toMatchObject({ id: "candidate-2", worktreePath: "/fake/worktree" });
+      expect(releaseWorktree).toHaveBeenCalledWith("task-123-uuid#try1");
+      expect(releaseWorktree).not.toHaveBeenCalledWith("task-123-uuid#try2");
+      expect(result.reportPath).toBe(
+        resolve("/fake/repo", ".bosun", "evidence", "best-of-n-task-123-uuid", "report.md"),
+      );
+      expect(writeFileSync).toHaveBeenCalledWith(
+        result.reportPath,
+        expect.stringContaining("Winner: **candidate-2** (claude/claude-sonnet-4.6)"),
+        "utf8",
+      );
+    });
+
+    it("executeTask routes best-of-N tasks to runBestOfNAttempts instead of the single-attempt lifecycle", async () => {
+      const onTaskStarted = vi.fn();
+      const onTaskCompleted = vi.fn();
+      const ex = new TaskExecutor({
+        repoRoot: "/fake/repo",
+        workflowOwnsTaskLifecycle: true,
+        onTaskStarted,
+        onTaskCompleted,
+        bestOfN: { enabled: true, attempts: 2, executors: ["codex", "claude"], gates: { build: false, lint: false } },
+      });
+      const createPr = vi.fn(async () => ({ success: true, prUrl: "https://example.test/pr/11", prNumber: 11 }));
+      const runBestOfN = vi.spyOn(ex, "runBestOfNAttempts").mockImplementation((task, options) =>
+        TaskExecutor.prototype.runBestOfNAttempts.call(ex, task, {
+          ...options,
+          collectDiff: async () => ({ totalFiles: 1, totalAdditions: 2, totalDeletions: 0 }),
+          runGate: async (_name, _gate, candidate) => ({ passed: candidate.index === 1 }),
+          compareCandidates: async () => ({ pick: "candidate-1", output: "BEST: candidate-1" }),
+          createPr,
+        }));
+
+      const result = await ex.executeTask({ ...mockTask, tags: ["best-of-n"] });
+
+      expect(runBestOfN).toHaveBeenCalledTimes(1);
+      expect(onTaskStarted).not.toHaveBeenCalled();
+      expect(createPr).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({ mode: "best-of-n", winner: "candidate-1", prNumber: 11 });
+      expect(updateTaskStatus.mock.calls.map(([taskId, status]) => [taskId, status])).toEqual([
+        ["task-123-uuid", "inprogress"],
+        ["task-123-uuid", "inreview"],
+      ]);
+      expect(updateTaskStatus.mock.calls[1][2]).toMatchObject({
+        branchName: "ve/task-123-fix-the-bug-try1",
+        prUrl: "https://example.test/pr/11",
+      });
+      expect(onTaskCompleted).toHaveBeenCalledWith(
+        expect.objectContaining({ id: "task-123-uuid" }),
+        expect.objectContaining({ success: true, attempts: 2, prNumber: 11 }),
+      );
+
+      runBestOfN.mockClear();
+      await ex.executeTask(mockTask);
+      expect(runBestOfN).not.toHaveBeenCalled();
+      expect(onTaskStarted).toHaveBeenCalledTimes(1);
+    });
+
+    it("moves a best-of-N winner without a PR to inreview on its branch instead of retrying", async () => {
+      const onTaskCompleted = vi.fn();
+      const onTaskFailed = vi.fn();
+      const ex = new TaskExecutor({
+        repoRoot: "/fake/repo",
+        autoCreatePr: false,
+        onTaskCompleted,
+        onTaskFailed,
+        bestOfN: { enabled: true, attempts: 2, executors: ["codex"], gates: { build: false, lint: false } },
+      });
+      const runBestOfN = vi.spyOn(ex, "runBestOfNAttempts").mockImplementation((task, options) =>
+        TaskExecutor.prototype.runBestOfNAttempts.call(ex, task, {
+          ...options,
+          collectDiff: async () => ({ totalFiles: 1, totalAdditions: 2, totalDeletions: 0 }),
+          runGate: async (_name, _gate, candidate) => ({ passed: candidate.index === 2 }),
+          compareCandidates: async () => ({ pick: "candidate-2", output: "BEST: candidate-2" }),
+        }));
+
+      const result = await ex.executeTask({ ...mockTask, tags: ["best-of-n"] });
+
+      expect(result).toMatchObject({ mode: "best-of-n", winner: "candidate-2", prUrl: null });
+      expect(updateTaskStatus.mock.calls.map(([, status, opts]) => [status, opts.branchName])).toEqual([
+        ["inprogress", undefined],
+        ["inreview", "ve/task-123-fix-the-bug-try2"],
+      ]);
+      expect(releaseWorktree).toHaveBeenCalledWith("task-123-uuid#try2");
+      expect(onTaskFailed).not.toHaveBeenCalled();
+      expect(onTaskCompleted).toHaveBeenCalledWith(
+        expect.objectContaining({ id: "task-123-uuid" }),
+        expect.objectContaining({ success: true, branch: "ve/task-123-fix-the-bug-try2", worktreePath: null }),
+      );
+
+      runBestOfN.mockImplementation((task, options) =>
+        TaskExecutor.prototype.runBestOfNAttempts.call(ex, task, {
+          ...options,
+          collectDiff: async () => ({ totalFiles: 0 }),
+        }));
+      updateTaskStatus.mockClear();
+      await ex.executeTask({ ...mockTask, tags: ["best-of-n"] });
+      expect(updateTaskStatus.mock.calls.at(-1)[1]).toBe("todo");
+      expect(onTaskFailed).toHaveBeenCalledWith(
+        expect.objectContaining({ id: "task-123-uuid" }),
+        expect.objectContaining({ message: "best-of-N produced no eligible candidate", attempts: 2 }),
+      );
+    });
+
+    it("reads bestOfN from internalExecutor config", () => {
+      loadConfig.mockReturnValue({ internalExecutor: { bestOfN: { enabled: true, attempts: 4 } } });
+      expect(loadExecutorOptionsFromConfig().bestOfN).toEqual({ enabled: true, attempts: 4 });
+      expect(new TaskExecutor(loadExecutorOptionsFromConfig()).bestOfN).toMatchObject({ enabled: true, attempts: 4 });
+    });
+  });
+
   describe("loadExecutorOptionsFromConfig", () => {
     it("returns defaults when nothing configured", () => {
       loadConfig.mockReturnValue({});
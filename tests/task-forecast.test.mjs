@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import { buildDurationModel, buildTaskForecast, measureTaskWorkMs } from "../task/task-forecast.mjs";
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date("2026-03-10T12:00:00Z");
+
+function doneTask(id, hours, size = "m") {
+  const endedAt = new Date(NOW.getTime() - 2 * 24 * HOUR);
+  return {
+    id,
+    title: `[${size}] chore: ${id}`,
+    status: "done",
+    createdAt: "2026-03-01T00:00:00Z",
+    statusHistory: [{ status: "done", timestamp: endedAt.toISOString() }],
+    runs: [{ runId: `${id}-r1`, startedAt: new Date(endedAt - hours * HOUR).toISOString(), endedAt: endedAt.toISOString() }],
+  };
+}
+
+describe("task-forecast", () => {
+  it("learns tier durations from runs and falls back to lifetime totals", () => {
+    expect(measureTaskWorkMs({ runs: [] }, { durationMs: 5000 })).toBe(5000);
+
+    const model = buildDurationModel(
+      [doneTask("a", 1), doneTask("b", 2), doneTask("c", 3), { id: "d", title: "[xs] fix", status: "done" }],
+      { getLifetimeTotals: (id) => (id === "d" ? { durationMs: HOUR } : null) },
+    );
+    expect(model.tiers.medium).toMatchObject({ source: "history", medianMs: 2 * HOUR });
+    expect(model.tiers.low).toMatchObject({ source: "blended", medianMs: HOUR });
+    expect(model.tiers.high.source).toBe("default");
+  });
+
+  it("finds the critical path and forecasts sprint ETAs at the configured parallelism", () => {
+    const history = [doneTask("h1", 2), doneTask("h2", 2), doneTask("h3", 2)];
+    const open = [
+      { id: "api", title: "[m] feat: api", status: "todo", sprintId: "s1", createdAt: "2026-03-01T00:00:00Z" },
+      { id: "ui", title: "[m] feat: ui", status: "todo", sprintId: "s1", dependencyTaskIds: ["api"], createdAt: "2026-03-01T00:00:00Z" },
+      { id: "docs", title: "[m] docs: guide", status: "todo", sprintId: "s1", dependencyTaskIds: ["ui", "h1"], createdAt: "2026-03-01T00:00:00Z" },
+      { id: "side", title: "[m] chore: side", status: "todo", epicId: "e1", createdAt: "2026-03-01T00:00:00Z" },
+    ];
+    const tasks = [...history, ...open];
+
+    const serial = buildTaskForecast(tasks, { now: NOW, parallelism: 1, iterations: 200, sprints: [{ id: "s1", name: "Sprint 1" }] });
+    expect(serial.criticalPath).toEqual({ taskIds: ["api", "ui", "docs"], durationMs: 6 * HOUR });
+    expect(serial.board).toMatchObject({ openCount: 4, doneCount: 3 });
+    // Every historical sample is 2h, so one slot takes exactly 8h for the board.
+    expect(serial.board.eta.p50Ms).toBe(8 * HOUR);
+    expect(serial.tasks.find((task) => task.id === "side").onCriticalPath).toBe(false);
+
+    const sprint = serial.groups.find((group) => group.kind === "sprint");
+    expect(sprint).toMatchObject({ id: "s1", label: "Sprint 1", openCount: 3, totalCount: 3 });
+    expect(sprint.burndown.actual).toHaveLength(14);
+    expect(sprint.burndown.projected.at(-1)).toMatchObject({ remaining: 0, percentile: 85 });
+
+    const parallel = buildTaskForecast(tasks, { now: NOW, parallelism: 2, iterations: 200 });
+    expect(parallel.board.eta.p50Ms).toBe(6 * HOUR);
+    expect(parallel.groups.find((group) => group.id === "e1").eta.p50At).toBe("2026-03-10T14:00:00.000Z");
+  });
+
+  it("keeps forecasting when dependencies form a cycle", () => {
+    const forecast = buildTaskForecast([
+      { id: "x", title: "x", status: "todo", dependencyTaskIds: ["y"] },
+      { id: "y", title: "y", status: "todo", dependencyTaskIds: ["x"] },
+    ], { now: NOW, iterations: 20, seed: 7 });
+    expect(forecast.cycleTaskIds).toEqual(["x"]);
+    expect(forecast.criticalPath.taskIds).toEqual(["x", "y"]);
+    expect(forecast.board.eta.p50Ms).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,188 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  diffJournalRecord,
+  findJournalConflicts,
+  resolveJournalStep,
+} from "../task/task-journal.mjs";
+import {
+  addTask,
+  assignTaskToSprint,
+  bulkUpdateTasks,
+  configureTaskStore,
+  deleteSprint,
+  getSprint,
+  getTask,
+  getTaskOperatorAction,
+  listTaskOperatorActions,
+  redoTaskOperatorAction,
+  removeTask,
+  runTaskOperatorAction,
+  setTaskStatus,
+  undoTaskOperatorAction,
+  updateTask,
+  upsertSprint,
+  waitForStoreWrites,
+} from "../task/task-store.mjs";
+
+describe("task-journal", () => {
+  it("diffs snapshots into field patches and detects drift", () => {
+    const before = { id: "t1", title: "A", status: "todo", tags: ["x"], updatedAt: "1" };
+    const after = { id: "t1", title: "A", status: "done", tags: ["x"], updatedAt: "2" };
+    const change = diffJournalRecord("task", "t1", before, after);
+    expect(change).toEqual({ kind: "task", id: "t1", op: "update", before: { status: "todo" }, after: { status: "done" } });
+    expect(diffJournalRecord("task", "t1", before, { ...before, updatedAt: "3" })).toBeNull();
+    expect(diffJournalRecord("sprint", "s1", null, { id: "s1" }).op).toBe("create");
+
+    const undo = resolveJournalStep(change, "undo");
+    expect(undo).toMatchObject({ expected: { status: "done" }, target: { status: "todo" } });
+    expect(findJournalConflicts(undo, after)).toEqual([]);
+    expect(findJournalConflicts(undo, { ...after, status: "inprogress" })).toEqual([
+      { kind: "task", id: "t1", field: "status", reason: "changed", expected: "done", actual: "inprogress" },
+    ]);
+    expect(findJournalConflicts(undo, null)[0].reason).toBe("missing");
+    expect(findJournalConflicts(resolveJournalStep({ ...change, op: "delete", after: null }, "undo"), after)[0].reason).toBe("exists");
+  });
+});
+
+describe("operator action undo/redo", () => {
+  let tmpDir = "";
+
+  const readSidecar = (name) => readFileSync(join(tmpDir, `${name}.operator-journal.jsonl`), "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "bosun-task-journal-"));
+    configureTaskStore({ storePath: join(tmpDir, "kanban-state.json") });
+    addTask({ id: "j1", title: "First", status: "todo", tags: ["ui"] });
+    addTask({ id: "j2", title: "Second", status: "todo", dependencyTaskIds: ["j1"] });
+  });
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("journals only changes made inside an operator action", async () => {
+    updateTask("j1", { title: "Untracked" });
+    expect(listTaskOperatorActions()).toEqual([]);
+
+    await runTaskOperatorAction({ source: "cli", label: "task update" }, async () => {
+      updateTask("j1", { priority: "high" });
+      await Promise.resolve();
+      setTaskStatus("j1", "inprogress", "cli");
+    });
+    const [action] = listTaskOperatorActions();
+    expect(action).toMatchObject({ actionType: "task.mutation", label: "task update", source: "cli", status: "applied" });
+    expect(action.changes).toEqual([
+      expect.objectContaining({ kind: "task", id: "j1", op: "update", fields: ["status", "priority"] }),
+    ]);
+
+    expect(undoTaskOperatorAction()).toMatchObject({ ok: true, actionId: action.actionId, forced: false });
+    expect(getTask("j1")).toMatchObject({ status: "todo", title: "Untracked" });
+    expect(getTask("j1").timeline.at(-1)).toMatchObject({ type: "task.undo", payload: { actionId: action.actionId } });
+    expect(undoTaskOperatorAction(action.actionId)).toMatchObject({ ok: false, error: "already_undone" });
+
+    expect(redoTaskOperatorAction()).toMatchObject({ ok: true, actionId: action.actionId });
+    expect(getTask("j1").status).toBe("inprogress");
+    expect(listTaskOperatorActions({ includeReverts: true }).map((entry) => entry.actionType))
+      .toEqual(["task.redo", "task.undo", "task.mutation"]);
+    expect(undoTaskOperatorAction("missing")).toBeNull();
+  });
+
+  it("restores deleted tasks and sprints with their references", () => {
+    upsertSprint({ id: "s1", name: "Sprint 1" });
+    assignTaskToSprint("j2", "s1");
+    runTaskOperatorAction({ source: "ui" }, () => {
+      removeTask("j1");
+      deleteSprint("s1");
+    });
+    expect(getTask("j1")).toBeNull();
+    expect(getTask("j2")).toMatchObject({ dependencyTaskIds: [], sprintId: null });
+
+    expect(undoTaskOperatorAction().ok).toBe(true);
+    expect(getTask("j1").title).toBe("First");
+    expect(getSprint("s1").name).toBe("Sprint 1");
+    expect(getTask("j2")).toMatchObject({ dependencyTaskIds: ["j1"], sprintId: "s1" });
+  });
+
+  it("refuses to undo over newer edits unless forced", () => {
+    const bulk = runTaskOperatorAction({ source: "ui" }, () =>
+      bulkUpdateTasks({ query: "status:todo", set: { status: "cancelled" } }));
+    expect(bulk.actionId).toMatch(/^task\.bulk_update:/);
+    updateTask("j2", { status: "todo" });
+
+    const refused = undoTaskOperatorAction(bulk.actionId);
+    expect(refused).toMatchObject({ ok: false, error: "undo_conflict" });
+    expect(refused.conflicts).toEqual([
+      expect.objectContaining({ id: "j2", field: "status", expected: "cancelled", actual: "todo" }),
+    ]);
+    expect(getTask("j1").status).toBe("cancelled");
+
+    const forced = undoTaskOperatorAction(bulk.actionId, { force: true });
+    expect(forced).toMatchObject({ ok: true, forced: true });
+    expect(getTask("j1").status).toBe("todo");
+  });
+
+  it("keeps before/after payloads out of the board document", async () => {
+    runTaskOperatorAction({ source: "ui" }, () => updateTask("j1", { title: "Renamed" }));
+    await waitForStoreWrites();
+
+    const board = JSON.parse(readFileSync(join(tmpDir, "kanban-state.json"), "utf8"));
+    const [summary] = board._meta.operatorJournal;
+    expect(summary.changes).toEqual([expect.objectContaining({ kind: "task", id: "j1", op: "update", fields: ["title"] })]);
+    expect(summary.changes[0]).not.toHaveProperty("before");
+
+    const [line] = readSidecar("kanban-state");
+    expect(line.actionId).toBe(summary.actionId);
+    expect(line.changes[0]).toMatchObject({ before: { title: "First" }, after: { title: "Renamed" } });
+    expect(getTaskOperatorAction(summary.actionId).changes[0].before).toEqual({ title: "First" });
+
+    expect(undoTaskOperatorAction().ok).toBe(true);
+    expect(getTask("j1").title).toBe("First");
+    // Status changes are appended; the newest line for an action wins.
+    const lines = readSidecar("kanban-state");
+    expect(lines.filter((entry) => entry.actionId === summary.actionId).map((entry) => entry.status))
+      .toEqual(["applied", "undone"]);
+    expect(getTaskOperatorAction(summary.actionId).status).toBe("undone");
+  });
+
+  it("compacts the sidecar to the live actions once it passes its size cap", () => {
+    process.env.TASK_OPERATOR_JOURNAL_MAX_BYTES = "4000";
+    try {
+      for (let i = 1; i <= 12; i++) {
+        runTaskOperatorAction({ source: "ui" }, () => updateTask("j1", { title: `Renamed ${i}` }));
+        undoTaskOperatorAction();
+      }
+    } finally {
+      delete process.env.TASK_OPERATOR_JOURNAL_MAX_BYTES;
+    }
+    // 12 actions appended twice (applied, undone) plus 12 undo actions.
+    const lines = readSidecar("kanban-state");
+    expect(lines.length).toBeLessThan(36);
+    const live = listTaskOperatorActions({ includeReverts: true, limit: 100 });
+    expect(live).toHaveLength(24);
+    for (const summary of live) {
+      expect(getTaskOperatorAction(summary.actionId)).toMatchObject({ actionId: summary.actionId, status: summary.status });
+    }
+  });
+
+  it("moves inline journal entries from older stores into the sidecar", async () => {
+    runTaskOperatorAction({ source: "ui" }, () => updateTask("j1", { title: "Renamed" }));
+    await waitForStoreWrites();
+    const entries = readSidecar("kanban-state");
+    const legacyPath = join(tmpDir, "legacy-state.json");
+    const board = JSON.parse(readFileSync(join(tmpDir, "kanban-state.json"), "utf8"));
+    board._meta.operatorJournal = entries;
+    writeFileSync(legacyPath, JSON.stringify(board));
+
+    configureTaskStore({ storePath: legacyPath });
+    expect(listTaskOperatorActions()[0].changes[0]).not.toHaveProperty("before");
+    expect(existsSync(join(tmpDir, "legacy-state.operator-journal.jsonl"))).toBe(true);
+    expect(undoTaskOperatorAction().ok).toBe(true);
+    expect(getTask("j1").title).toBe("First");
+  });
+});
@@ -1,6 +1,7 @@
 import { describe, expect, it, vi } from "vitest";
 
 import {
+  BestOfNPipeline,
   FanoutPipeline,
   RacePipeline,
   SequentialPipeline,
@@ -88,4 +89,34 @@ describe("task pipeline primitives", () => {
     expect(result.finalOutput).toEqual({ summary: "fast" });
     expect(result.outputs.some((entry) => entry.meta?.cancelled === true)).toBe(true);
   });
+
+  it("waits for every best-of-n stage and picks the highest judged score", async () => {
+    const judge = vi.fn(async (candidates) =>
+      candidates.map((record) => ({ stageIndex: record.stageIndex, score: record.output.quality })));
+
+    const result = await BestOfNPipeline([
+      { name: "fast-agent", run: async () => ({ output: { quality: 40 } }) },
+      {
+        name: "slow-agent",
+        run: async () => {
+          await new Promise((resolve) => setTimeout(resolve, 20));
+          return { output: { quality: 90 } };
+        },
+      },
+      { name: "broken-agent", run: async () => { throw new Error("boom"); } },
+    ]).run({ summary: "best-of-n" }, { judge });
+
+    expect(judge.mock.calls[0][0].map((record) => record.stageName)).toEqual(["fast-agent", "slow-agent"]);
+    expect(result.ok).toBe(true);
+    expect(result.winner).toMatchObject({ stageName: "slow-agent", score: 90 });
+    expect(result.ranking.map((entry) => [entry.stageIndex, entry.score])).toEqual([[1, 90], [0, 40]]);
+    expect(result.finalOutput).toEqual({ quality: 90 });
+    expect(result.errors).toHaveLength(1);
+
+    const unjudged = await BestOfNPipeline([
+      async () => ({ output: "a", score: 1 }),
+      async () => ({ output: "b", score: 1 }),
+    ]).run({});
+    expect(unjudged.winner.stageIndex).toBe(0);
+  });
 });
@@ -0,0 +1,132 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { mkdtempSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  filterTasksByQuery,
+  normalizeBulkTaskMutation,
+  parseTaskQuery,
+  planBulkTaskChange,
+} from "../task/task-query.mjs";
+import {
+  addTask,
+  assignTaskToSprint,
+  bulkUpdateTasks,
+  configureTaskStore,
+  createSprint,
+  getTask,
+} from "../task/task-store.mjs";
+
+const NOW = new Date("2026-03-10T12:00:00Z");
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY).toISOString();
+
+const TASKS = [
+  { id: "a1", title: "Stale UI polish", status: "todo", tags: ["ui"], priority: "high", updatedAt: daysAgo(40), createdAt: daysAgo(60) },
+  { id: "b2", title: "Blocked UI rework", status: "todo", tags: ["ui", "blocked"], priority: "critical", updatedAt: daysAgo(2), createdAt: daysAgo(3) },
+  { id: "c3", title: "Flaky retry test", description: "retry queue flake", status: "inprogress", tags: ["ci"], priority: "low", assignee: "sam", sprintId: "s1", updatedAt: daysAgo(1), createdAt: daysAgo(10) },
+];
+
+const ids = (query) => filterTasksByQuery(TASKS, query, { now: NOW }).map((task) => task.id);
+
+describe("task-query", () => {
+  it("parses and matches fields, negation, comparisons and dates", () => {
+    expect(ids("status:todo tag:ui -tag:blocked")).toEqual(["a1"]);
+    expect(ids("priority>=high")).toEqual(["a1", "b2"]);
+    expect(ids("priority:<medium")).toEqual(["c3"]);
+    expect(ids("updated:>30d")).toEqual(["a1"]);
+    expect(ids("updated:<7d status:todo,inprogress")).toEqual(["b2", "c3"]);
+    expect(ids("created:<2026-02-01")).toEqual(["a1"]);
+    expect(ids("assignee:none sprint:none")).toEqual(["a1", "b2"]);
+    expect(ids('title:"ui rework"')).toEqual(["b2"]);
+    expect(ids("queue")).toEqual(["c3"]);
+    expect(ids("")).toEqual(["a1", "b2", "c3"]);
+
+    expect(parseTaskQuery("-tag:x").terms[0]).toMatchObject({ field: "tag", negate: true, values: ["x"] });
+    expect(() => parseTaskQuery("owner:me")).toThrow(/Unknown task query field/);
+    expect(() => parseTaskQuery("priority>=urgent")).toThrow(/priority/);
+    expect(() => parseTaskQuery("tag>ui")).toThrow(/does not support/);
+    expect(() => parseTaskQuery('title:"open')).toThrow(/Unterminated/);
+  });
+
+  it("plans bulk mutations as before/after snapshots", () => {
+    const mutation = normalizeBulkTaskMutation({
+      set: ["status=canceled", "assignee=none"],
+      addTags: "stale",
+      removeTags: ["UI"],
+    });
+    expect(mutation).toEqual({ set: { status: "cancelled", assignee: null }, addTags: ["stale"], removeTags: ["ui"] });
+    expect(planBulkTaskChange(TASKS[2], mutation)).toEqual({
+      before: { status: "inprogress", assignee: "sam", tags: ["ci"] },
+      after: { status: "cancelled", assignee: null, tags: ["ci", "stale"] },
+    });
+    expect(planBulkTaskChange({ status: "cancelled", tags: ["stale"] }, mutation)).toBeNull();
+    expect(() => normalizeBulkTaskMutation({})).toThrow(/empty/);
+    expect(() => normalizeBulkTaskMutation({ set: ["status=nope"] })).toThrow(/status/);
+  });
+});
+
+describe("bulkUpdateTasks", () => {
+  let tmpDir = "";
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "bosun-task-query-"));
+    configureTaskStore({ storePath: join(tmpDir, "kanban-state.json") });
+    addTask({ id: "t1", title: "Old one", status: "todo", tags: ["ui"] });
+    addTask({ id: "t2", title: "Other", status: "todo", tags: ["api"] });
+    addTask({
+      id: "t3",
+      title: "Gated",
+      status: "inprogress",
+      tags: ["ui"],
+      acceptanceCriteria: [{ kind: "command", command: "npm test" }],
+    });
+  });
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("previews, applies all changes at once and records them on the timeline", () => {
+    const preview = bulkUpdateTasks({ query: "status:todo tag:ui", set: { priority: "high" } }, { dryRun: true });
+    expect(preview).toMatchObject({ ok: true, dryRun: true, actionId: null, matched: 1, changed: 1 });
+    expect(getTask("t1").priority).not.toBe("high");
+
+    const applied = bulkUpdateTasks({ query: "tag:ui,api -status:inprogress", set: ["status=cancelled"], addTags: ["stale"] });
+    expect(applied.ok).toBe(true);
+    expect(applied.actionId).toMatch(/^task\.bulk_update:/);
+    expect(getTask("t1")).toMatchObject({ status: "cancelled", tags: ["ui", "stale"] });
+    expect(getTask("t2")).toMatchObject({ status: "cancelled", tags: ["api", "stale"] });
+    const event = getTask("t2").timeline.find((entry) => entry.type === "task.bulk_update");
+    expect(event.payload).toMatchObject({ actionId: applied.actionId, before: { status: "todo" }, after: { status: "cancelled" } });
+
+    expect(() => bulkUpdateTasks({ set: { priority: "low" } })).toThrow(/query or taskIds/);
+  });
+
+  it("applies nothing when any task would be refused by the completion guard", () => {
+    const result = bulkUpdateTasks({ taskIds: ["t1", "t3"], set: { status: "done" } });
+    expect(result).toMatchObject({ ok: false, error: "completion_guard_blocked", changed: 2 });
+    expect(result.blocked).toEqual([expect.objectContaining({ taskId: "t3", reason: "acceptance_criteria_unevaluated" })]);
+    expect(getTask("t1").status).toBe("todo");
+  });
+
+  it("rejects unknown sprints and epics, even in a dry run, and orders sprint moves", () => {
+    createSprint({ id: "s1", name: "Sprint 1" });
+    addTask({ id: "e1", title: "Epic", type: "epic", status: "todo" });
+    assignTaskToSprint("t3", "s1");
+
+    expect(() => bulkUpdateTasks({ taskIds: ["t1"], set: ["sprint=nope"] }, { dryRun: true })).toThrow(/Unknown sprint: nope/);
+    expect(() => bulkUpdateTasks({ taskIds: ["t1"], set: ["epic=missing"] })).toThrow(/Unknown epic: missing/);
+    expect(getTask("t1").sprintId ?? null).toBeNull();
+
+    const applied = bulkUpdateTasks({ taskIds: ["t1", "t2"], set: ["sprint=s1", "epic=e1"] });
+    expect(applied.ok).toBe(true);
+    expect(getTask("t1")).toMatchObject({ sprintId: "s1", sprintOrder: 2, epicId: "e1" });
+    expect(getTask("t2")).toMatchObject({ sprintId: "s1", sprintOrder: 3, epicId: "e1" });
+    expect(getTask("t2").timeline.find((entry) => entry.type === "task.sprint.assigned").payload)
+      .toMatchObject({ previousSprintId: null, sprintId: "s1", sprintOrder: 3 });
+
+    bulkUpdateTasks({ taskIds: ["t2"], set: ["sprint=none"] });
+    expect(getTask("t2")).toMatchObject({ sprintId: null, sprintOrder: null });
+  });
+});
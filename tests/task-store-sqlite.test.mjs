@@ -0,0 +1,115 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { existsSync, mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { createRequire } from "node:module";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  addTask,
+  configureTaskStore,
+  getStoreDatabasePath,
+  getStoreEngine,
+  getTask,
+  queryTasks,
+  removeTask,
+  updateTask,
+} from "../task/task-store.mjs";
+import { closeTaskStoreDatabase } from "../task/task-store-sqlite.mjs";
+
+const { DatabaseSync } = createRequire(import.meta.url)("node:sqlite");
+
+function seedBoard() {
+  const tasks = [
+    { id: "T-1", title: "Alpha", status: "todo", tags: ["ui"], sprintId: "s1", updatedAt: "2026-01-01T00:00:01.000Z" },
+    { id: "T-2", title: "Bravo", status: "inprogress", tags: ["api"], sprintId: "s1", updatedAt: "2026-01-01T00:00:02.000Z" },
+    { id: "T-3", title: "Charlie", status: "todo", tags: ["ui", "api"], parentTaskId: "T-1", updatedAt: "2026-01-01T00:00:03.000Z" },
+    { id: "T-4", title: "Delta", status: "done", tags: [], updatedAt: "2026-01-01T00:00:04.000Z" },
+    { id: "T-5", title: "Echo", status: "todo", tags: ["ui"], description: "Needs the export button", updatedAt: "2026-01-01T00:00:05.000Z" },
+  ];
+  const board = {
+    _meta: { version: 1 },
+    tasks: Object.fromEntries(tasks.map((task) => [task.id, task])),
+    sprints: { s1: { id: "s1", name: "Sprint 1" } },
+  };
+  return board;
+}
+
+describe("task-store sqlite engine", () => {
+  let tmpDir = "";
+  let storePath = "";
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "bosun-task-store-sqlite-"));
+    storePath = join(tmpDir, "kanban-state.json");
+  });
+
+  afterEach(() => {
+    closeTaskStoreDatabase(join(tmpDir, "kanban-state.sqlite"));
+    configureTaskStore({ storePath: join(tmpDir, "reset.json"), engine: "json" });
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("migrates an existing JSON board and persists row-level changes", () => {
+    writeFileSync(storePath, JSON.stringify(seedBoard()), "utf8");
+    configureTaskStore({ storePath, engine: "sqlite" });
+
+    expect(getStoreEngine()).toBe("sqlite");
+    expect(getTask("T-3")).toMatchObject({ title: "Charlie", parentTaskId: "T-1" });
+    expect(existsSync(getStoreDatabasePath())).toBe(true);
+
+    const db = new DatabaseSync(getStoreDatabasePath());
+    try {
+      expect(db.prepare("SELECT COUNT(*) AS n FROM tasks").get().n).toBe(5);
+      expect(db.prepare("SELECT value_text FROM store_meta WHERE key = 'migrated_from'").get().value_text)
+        .toBe(storePath);
+
+      updateTask("T-2", { title: "Bravo two" });
+      removeTask("T-4");
+      const row = db.prepare("SELECT title_key, document_json FROM tasks WHERE id = 'T-2'").get();
+      expect(row.title_key).toBe("bravo two");
+      expect(JSON.parse(row.document_json).title).toBe("Bravo two");
+      expect(db.prepare("SELECT COUNT(*) AS n FROM tasks WHERE id = 'T-4'").get().n).toBe(0);
+    } finally {
+      db.close();
+    }
+  });
+
+  it("picks up tasks another process committed", () => {
+    configureTaskStore({ storePath, engine: "sqlite" });
+    addTask({ id: "local-1", title: "Local task" });
+
+    const other = new DatabaseSync(getStoreDatabasePath());
+    try {
+      const doc = JSON.stringify({ id: "cli-1", title: "From the CLI", status: "todo" });
+      other.prepare(
+        "INSERT INTO tasks (id, status, title_key, search_text, document_json) VALUES (?, ?, ?, ?, ?)",
+      ).run("cli-1", "todo", "from the cli", "cli-1\nfrom the cli", doc);
+    } finally {
+      other.close();
+    }
+
+    expect(getTask("cli-1")).toMatchObject({ title: "From the CLI" });
+    expect(getTask("local-1")).toMatchObject({ title: "Local task" });
+  });
+
+  for (const engine of ["sqlite", "json"]) {
+    it(`pages queryTasks with a cursor on the ${engine} engine`, () => {
+      writeFileSync(storePath, JSON.stringify(seedBoard()), "utf8");
+      configureTaskStore({ storePath, engine });
+
+      const first = queryTasks({ where: { status: "todo" }, orderBy: "updatedAt:desc", limit: 2 });
+      expect(first.tasks.map((task) => task.id)).toEqual(["T-5", "T-3"]);
+      expect(first.total).toBe(3);
+      expect(first.statusTotals).toEqual({ todo: 3, inprogress: 1, done: 1 });
+
+      const second = queryTasks({ where: { status: "todo" }, orderBy: "updatedAt:desc", limit: 2, cursor: first.nextCursor });
+      expect(second.tasks.map((task) => task.id)).toEqual(["T-1"]);
+      expect(second.nextCursor).toBeNull();
+
+      expect(queryTasks({ where: { tags: "api", sprintId: "s1" } }).tasks.map((task) => task.id)).toEqual(["T-2"]);
+      expect(queryTasks({ where: { parentTaskId: null, status: ["todo", "inprogress"] }, orderBy: "title:asc" })
+        .tasks.map((task) => task.id)).toEqual(["T-1", "T-2", "T-5"]);
+      expect(queryTasks({ where: { search: "EXPORT button" } }).tasks.map((task) => task.id)).toEqual(["T-5"]);
+      expect(() => queryTasks({ cursor: "not-a-cursor" })).toThrow(/cursor/);
+    });
+  }
+});
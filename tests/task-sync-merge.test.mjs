@@ -0,0 +1,135 @@
+import { beforeEach, afterEach, describe, expect, it } from "vitest";
+import { mkdtempSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { mergeSyncFields, reconcileSyncConflicts } from "../task/task-sync-merge.mjs";
+import {
+  configureTaskStore,
+  getTask,
+  listSyncConflicts,
+  markSynced,
+  resolveSyncConflict,
+  updateTask,
+  upsertFromExternal,
+} from "../task/task-store.mjs";
+
+describe("task-sync-merge", () => {
+  it("merges non-overlapping edits and reports overlapping ones", () => {
+    const base = { title: "Export", description: "v1", status: "todo", tags: ["a", "b"], priority: "high" };
+    const local = { title: "Export metrics", description: "v1", status: "inprogress", tags: ["b", "a"], priority: "high" };
+    const remote = { title: "Export", description: "v2", status: "inreview", tags: ["a", "b"], priority: "low" };
+
+    const merge = mergeSyncFields({ base, local, remote });
+
+    expect(merge.apply).toEqual({ description: "v2", priority: "low" });
+    expect(merge.localAhead).toEqual(["title"]);
+    expect(merge.converged).toEqual(["tags"]);
+    expect(merge.conflicts).toEqual([
+      { field: "status", base: "todo", local: "inprogress", remote: "inreview" },
+    ]);
+    expect(merge.base).toEqual({ description: "v2", tags: ["a", "b"], priority: "low" });
+  });
+
+  it("only conflicts without a base when local edits are unpushed", () => {
+    const remote = { title: "Remote" };
+    expect(mergeSyncFields({ base: null, local: { title: "Local" }, remote }).apply).toEqual({ title: "Remote" });
+    expect(mergeSyncFields({ base: null, local: { title: "Local" }, remote, localDirty: true }).conflicts)
+      .toEqual([{ field: "title", base: null, local: "Local", remote: "Remote" }]);
+  });
+
+  it("keeps the first detection time and drops settled conflicts", () => {
+    const previous = [
+      { field: "title", local: "L", remote: "R", detectedAt: "t0", updatedAt: "t0" },
+      { field: "priority", local: "high", remote: "low", detectedAt: "t0", updatedAt: "t0" },
+    ];
+    const merge = {
+      apply: {},
+      converged: ["priority"],
+      conflicts: [{ field: "title", base: "B", local: "L", remote: "R" }],
+    };
+    const { conflicts, added } = reconcileSyncConflicts(previous, merge, "t1");
+    expect(conflicts).toEqual([{ field: "title", base: "B", local: "L", remote: "R", detectedAt: "t0", updatedAt: "t0" }]);
+    expect(added).toEqual([]);
+  });
+});
+
+describe("task-store three-way sync", () => {
+  let tmpDir = "";
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "bosun-sync-merge-"));
+    configureTaskStore({ storePath: join(tmpDir, "kanban-state.json") });
+    upsertFromExternal({
+      id: "42",
+      title: "Export metrics",
+      description: "CSV only",
+      status: "todo",
+      priority: "high",
+      tags: ["metrics"],
+      externalId: "42",
+      externalBackend: "github",
+    });
+  });
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("auto-merges a local title edit with an external status change", () => {
+    updateTask("42", { title: "Export metrics to CSV" });
+    const merged = upsertFromExternal({ id: "42", title: "Export metrics", status: "inprogress", priority: "high" });
+
+    expect(merged).toMatchObject({ title: "Export metrics to CSV", status: "inprogress", syncDirty: true });
+    expect(merged.syncConflicts).toEqual([]);
+
+    markSynced("42");
+    expect(getTask("42").syncBase).toMatchObject({ title: "Export metrics to CSV", status: "inprogress" });
+  });
+
+  it("queues true conflicts instead of clobbering operator edits", () => {
+    updateTask("42", { description: "CSV and Parquet", tags: ["metrics", "export"] });
+    const merged = upsertFromExternal({
+      id: "42",
+      description: "CSV and JSON",
+      tags: ["metrics"],
+    });
+
+    expect(merged.description).toBe("CSV and Parquet");
+    expect(merged.tags).toEqual(["metrics", "export"]);
+    expect(merged.syncDirty).toBe(true);
+    expect(listSyncConflicts()).toEqual([
+      expect.objectContaining({
+        taskId: "42",
+        field: "description",
+        base: "CSV only",
+        local: "CSV and Parquet",
+        remote: "CSV and JSON",
+        externalBackend: "github",
+      }),
+    ]);
+    expect(getTask("42").timeline.some((event) => event.type === "sync.conflict")).toBe(true);
+
+    markSynced("42");
+    expect(getTask("42").syncBase.description).toBe("CSV only");
+
+    const resolved = resolveSyncConflict("42", "description", { resolution: "custom", value: "CSV, JSON and Parquet" });
+    expect(resolved).toMatchObject({ description: "CSV, JSON and Parquet", syncDirty: true, syncConflicts: [] });
+    expect(resolved.syncBase.description).toBe("CSV and JSON");
+    expect(resolveSyncConflict("42", "description", { resolution: "local" })).toBeNull();
+
+    // The backend now carries the resolved value, so the next delivery converges.
+    markSynced("42");
+    const converged = upsertFromExternal({ id: "42", description: "CSV, JSON and Parquet" });
+    expect(converged).toMatchObject({ description: "CSV, JSON and Parquet", syncConflicts: [] });
+  });
+
+  it("takes the external value when the operator resolves remote", () => {
+    updateTask("42", { status: "inprogress" });
+    upsertFromExternal({ id: "42", status: "cancelled" });
+    expect(getTask("42").status).toBe("inprogress");
+
+    const resolved = resolveSyncConflict("42", "status", { resolution: "remote" });
+    expect(resolved.status).toBe("cancelled");
+    expect(resolved.statusHistory.at(-1)).toMatchObject({ status: "cancelled", source: "sync-conflict" });
+  });
+});
@@ -0,0 +1,128 @@
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import { mkdtempSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  computeNextRecurrenceRun,
+  normalizeTaskRecurrence,
+  normalizeTaskTemplate,
+  parseRecurrenceSchedule,
+  renderTaskTemplate,
+} from "../task/task-templates.mjs";
+import {
+  configureTaskStore,
+  createTaskFromTemplate,
+  deleteTaskTemplate,
+  getTask,
+  getTaskRecurrence,
+  listTaskRecurrences,
+  materializeDueTaskRecurrences,
+  updateTask,
+  upsertTaskRecurrence,
+  upsertTaskTemplate,
+} from "../task/task-store.mjs";
+
+describe("task-templates", () => {
+  it("renders parameters, defaults and built-in date placeholders", () => {
+    const template = normalizeTaskTemplate({
+      name: "Dependency bump",
+      title: "chore(deps): bump {{package}} ({{week}})",
+      description: "Bump {{ package }} to {{version}} on {{date}}.",
+      tags: "deps, chore",
+      priority: "low",
+      workflowId: "dependency-bump",
+      parameters: [{ name: "version", default: "latest" }],
+    });
+
+    expect(template.id).toBe("dependency-bump");
+    expect(template.tags).toEqual(["deps", "chore"]);
+    expect(template.parameters.map((p) => p.name)).toEqual(["version", "package"]);
+
+    const rendered = renderTaskTemplate(template, { package: "vitest" }, { at: new Date("2026-03-05T10:00:00Z") });
+    expect(rendered.title).toBe("chore(deps): bump vitest (2026-W10)");
+    expect(rendered.description).toBe("Bump vitest to latest on 2026-03-05.");
+    expect(rendered.workflowId).toBe("dependency-bump");
+    expect(() => renderTaskTemplate(template, {})).toThrow(/package/);
+    expect(() => normalizeTaskTemplate({ title: "x", priority: "urgent" })).toThrow(/priority/);
+  });
+
+  it("computes next runs for cron and RRULE schedules", () => {
+    const cron = normalizeTaskRecurrence({ templateId: "t", schedule: "0 9 * * 1", timezone: "Europe/Berlin" });
+    expect(computeNextRecurrenceRun(cron, new Date("2026-03-04T12:00:00Z"))).toBe("2026-03-09T08:00:00.000Z");
+
+    const biweekly = normalizeTaskRecurrence({
+      templateId: "t",
+      schedule: "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;BYHOUR=9;BYMINUTE=0",
+      startAt: "2026-03-02T00:00:00Z",
+    });
+    const first = computeNextRecurrenceRun(biweekly, new Date("2026-03-02T00:00:00Z"));
+    expect(first).toBe("2026-03-02T09:00:00.000Z");
+    expect(computeNextRecurrenceRun(biweekly, new Date(first))).toBe("2026-03-16T09:00:00.000Z");
+
+    const limited = normalizeTaskRecurrence({
+      templateId: "t",
+      schedule: "FREQ=DAILY;COUNT=2;BYHOUR=6",
+      startAt: "2026-03-01T00:00:00Z",
+      occurrences: 2,
+    });
+    expect(computeNextRecurrenceRun(limited, new Date("2026-03-05T00:00:00Z"))).toBeNull();
+    expect(() => parseRecurrenceSchedule("FREQ=SECONDLY")).toThrow(/FREQ/);
+  });
+});
+
+describe("task-store templates and recurrence", () => {
+  let tmpDir = "";
+
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "bosun-task-templates-"));
+    configureTaskStore({ storePath: join(tmpDir, "kanban-state.json") });
+    upsertTaskTemplate({
+      id: "flaky-triage",
+      title: "Triage flaky tests ({{week}})",
+      tags: ["tests"],
+      priority: "high",
+      workflowId: "flaky-test-triage",
+      agentProfile: "qa",
+    });
+  });
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("creates tasks carrying the template defaults", () => {
+    const task = createTaskFromTemplate("flaky-triage", {}, { tags: ["ci"] });
+    expect(task).toMatchObject({ priority: "high", workflowId: "flaky-test-triage", agentProfile: "qa" });
+    expect(task.tags).toEqual(["ci"]);
+    expect(task.meta.template).toMatchObject({ templateId: "flaky-triage" });
+    expect(createTaskFromTemplate("missing")).toBeNull();
+    expect(() => upsertTaskRecurrence({ templateId: "missing", schedule: "@daily" })).toThrow(/template/);
+  });
+
+  it("materializes due runs once, coalescing missed ones and skipping while open", () => {
+    const recurrence = upsertTaskRecurrence(
+      { id: "weekly-triage", templateId: "flaky-triage", schedule: "0 9 * * MON" },
+      { now: new Date("2026-03-01T00:00:00Z") },
+    );
+    expect(recurrence.nextRunAt).toBe("2026-03-02T09:00:00.000Z");
+
+    // Two Mondays elapsed while the monitor was down: one instance, next run in the future.
+    const first = materializeDueTaskRecurrences({ now: new Date("2026-03-10T12:00:00Z") });
+    expect(first.created).toEqual([{ recurrenceId: "weekly-triage", taskId: "weekly-triage-202603020900" }]);
+    expect(getTask("weekly-triage-202603020900").title).toBe("Triage flaky tests (2026-W10)");
+    expect(getTaskRecurrence("weekly-triage")).toMatchObject({
+      occurrences: 1,
+      nextRunAt: "2026-03-16T09:00:00.000Z",
+    });
+
+    const second = materializeDueTaskRecurrences({ now: new Date("2026-03-16T09:01:00Z") });
+    expect(second).toEqual({ created: [], skipped: [{ recurrenceId: "weekly-triage", reason: "previous_open" }] });
+
+    updateTask("weekly-triage-202603020900", { status: "done" });
+    const third = materializeDueTaskRecurrences({ now: new Date("2026-03-23T09:01:00Z") });
+    expect(third.created.map((entry) => entry.taskId)).toEqual(["weekly-triage-202603230900"]);
+
+    expect(deleteTaskTemplate("flaky-triage")).toBe(true);
+    expect(listTaskRecurrences()).toEqual([]);
+  });
+});
@@ -129,6 +129,7 @@ describeUiServer("ui-server mini app", () => {
     "GITHUB_PROJECT_WEBHOOK_REQUIRE_SIGNATURE",
     "GITHUB_PROJECT_WEBHOOK_PATH",
     "GITHUB_PROJECT_SYNC_ALERT_FAILURE_THRESHOLD",
+    "KANBAN_GITHUB_WEBHOOK_SECRET",
     "EXECUTOR_MODE",
     "INTERNAL_EXECUTOR_PARALLEL",
     "INTERNAL_EXECUTOR_REVIEW_AGENT_ENABLED",
@@ -1143,6 +1144,40 @@ describeUiServer("ui-server mini app", () => {
     expect(metrics.data.webhook.invalidSignature).toBe(1);
   }, 15000);
 
+  it("serves the kanban issue webhook before auth and journals rejected deliveries", async () => {
+    process.env.KANBAN_GITHUB_WEBHOOK_SECRET = "kanban-secret";
+    const mod = await import("../server/ui-server.mjs");
+    const server = await mod.startTelegramUiServer({
+      port: await getFreePort(),
+      host: "127.0.0.1",
+    });
+    const port = server.address().port;
+    const deliveryId = `kanban-${Date.now()}`;
+
+    const response = await fetch(
+      `http://127.0.0.1:${port}/api/webhooks/github/kanban`,
+      {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "x-github-event": "issues",
+          "x-github-delivery": deliveryId,
+          "x-hub-signature-256": signBody("wrong-secret", "{}"),
+        },
+        body: "{}",
+      },
+    );
+    expect(response.status).toBe(401);
+
+    const journal = await fetch(
+      `http://127.0.0.1:${port}/api/kanban/webhooks/journal?provider=github&limit=5`,
+    ).then((r) => r.json());
+    expect(journal.data.find((entry) => entry.deliveryId === deliveryId)).toMatchObject({
+      outcome: "rejected",
+      reason: "invalid_signature",
+    });
+  }, 15000);
+
   it("triggers alert hook after repeated webhook sync failures", async () => {
     const mod = await import("../server/ui-server.mjs");
     const onProjectSyncAlert = vi.fn();
@@ -4052,6 +4087,226 @@ describeUiServer("ui-server mini app", () => {
     expect(queuedTask.runtimeSnapshot.isLive).toBe(false);
   }, 60000);
 
+  it("pages /api/tasks through queryTasks when a cursor is requested", async () => {
+    const isolatedDir = mkdtempSync(join(tmpdir(), "bosun-ui-task-cursor-"));
+    process.env.TELEGRAM_UI_TUNNEL = "disabled";
+    process.env.BOSUN_HOME = isolatedDir;
+    process.env.BOSUN_DIR = isolatedDir;
+    process.env.CODEX_MONITOR_HOME = isolatedDir;
+    process.env.CODEX_MONITOR_DIR = isolatedDir;
+
+    const storeDir = join(isolatedDir, ".bosun", ".cache");
+    mkdirSync(storeDir, { recursive: true });
+    const taskStore = await import("../task/task-store.mjs");
+    taskStore.configureTaskStore({ storePath: join(storeDir, "kanban-state.json") });
+    taskStore.loadStore();
+
+    const mod = await import("../server/ui-server.mjs");
+    const server = await mod.startTelegramUiServer({
+      port: await getFreePort(),
+      host: "127.0.0.1",
+      skipInstanceLock: true,
+      skipAutoOpen: true,
+    });
+    const port = server.address().port;
+
+    for (const [index, status] of ["todo", "todo", "todo", "done"].entries()) {
+      taskStore.addTask({
+        id: `cursor-${index}`,
+        title: `Cursor task ${index}`,
+        status,
+        tags: ["paging"],
+        updatedAt: `2026-02-01T00:00:0${index}.000Z`,
+      });
+    }
+    const base = `http://127.0.0.1:${port}/api/tasks?workspace=all&status=todo&tag=paging&limit=2`;
+
+    const first = await fetch(`${base}&cursor=`).then((r) => r.json());
+    expect(first.ok).toBe(true);
+    expect(first.data.map((task) => task.id)).toEqual(["cursor-2", "cursor-1"]);
+    expect(first).toMatchObject({ total: 3, hasMore: true });
+    expect(first.statusCounts).toMatchObject({ backlog: 3, done: 1 });
+
+    const second = await fetch(`${base}&cursor=${encodeURIComponent(first.nextCursor)}`).then((r) => r.json());
+    expect(second.data.map((task) => task.id)).toEqual(["cursor-0"]);
+    expect(second.nextCursor).toBeNull();
+
+    const invalid = await fetch(`${base}&cursor=bogus`);
+    expect(invalid.status).toBe(400);
+  }, 30000);
+
+  it("manages task templates and recurrences over /api/tasks/templates", async () => {
+    const isolatedDir = mkdtempSync(join(tmpdir(), "bosun-ui-task-templates-"));
+    process.env.TELEGRAM_UI_TUNNEL = "disabled";
+    process.env.BOSUN_HOME = isolatedDir;
+    process.env.BOSUN_DIR = isolatedDir;
+    process.env.CODEX_MONITOR_HOME = isolatedDir;
+    process.env.CODEX_MONITOR_DIR = isolatedDir;
+
+    const mod = await import("../server/ui-server.mjs");
+    const server = await mod.startTelegramUiServer({
+      port: await getFreePort(),
+      host: "127.0.0.1",
+      skipInstanceLock: true,
+      skipAutoOpen: true,
+    });
+    const base = `http://127.0.0.1:${server.address().port}/api/tasks/templates`;
+    const post = (path, body) => fetch(`${base}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+    const saved = await post("", { id: "flaky-triage", title: "Triage {{suite}} flakes", priority: "high" });
+    expect(saved.status).toBe(200);
+    expect((await post("", { title: "" })).status).toBe(400);
+
+    const listed = await fetch(base).then((r) => r.json());
+    expect(listed.data.map((template) => template.id)).toEqual(["flaky-triage"]);
+
+    const created = await post("/instantiate", { templateId: "flaky-triage", params: { suite: "e2e" } })
+      .then((r) => r.json());
+    expect(created.data).toMatchObject({ title: "Triage e2e flakes", priority: "high" });
+    expect((await post("/instantiate", { templateId: "missing" })).status).toBe(404);
+
+    const recurrence = await post("/recurrences", {
+      id: "weekly-flakes",
+      templateId: "flaky-triage",
+      schedule: "RRULE:FREQ=WEEKLY;BYDAY=MO;BYHOUR=9",
+      params: { suite: "e2e" },
+    }).then((r) => r.json());
+    expect(recurrence.data).toMatchObject({ id: "weekly-flakes", enabled: true });
+    expect(recurrence.data.nextRunAt).toEqual(expect.any(String));
+    expect((await post("/recurrences", { templateId: "flaky-triage", schedule: "FREQ=SECONDLY" })).status).toBe(400);
+
+    const recurrences = await fetch(`${base}/recurrences?templateId=flaky-triage`).then((r) => r.json());
+    expect(recurrences.data.map((entry) => entry.id)).toEqual(["weekly-flakes"]);
+    expect((await post("/recurrences/delete", { recurrenceId: "weekly-flakes" })).status).toBe(200);
+    expect((await post("/delete", { templateId: "flaky-triage" })).status).toBe(200);
+    expect((await post("/delete", { templateId: "flaky-triage" })).status).toBe(404);
+  }, 30000);
+
+  it("serves sprint ETAs and the critical path from /api/tasks/forecast", async () => {
+    const isolatedDir = mkdtempSync(join(tmpdir(), "bosun-ui-task-forecast-"));
+    process.env.TELEGRAM_UI_TUNNEL = "disabled";
+    process.env.BOSUN_HOME = isolatedDir;
+    process.env.BOSUN_DIR = isolatedDir;
+    process.env.CODEX_MONITOR_HOME = isolatedDir;
+    process.env.CODEX_MONITOR_DIR = isolatedDir;
+
+    const mod = await import("../server/ui-server.mjs");
+    const server = await mod.startTelegramUiServer({
+      port: await getFreePort(),
+      host: "127.0.0.1",
+      skipInstanceLock: true,
+      skipAutoOpen: true,
+    });
+    const taskStore = await import("../task/task-store.mjs");
+    taskStore.addTask({ id: "fc-api", title: "[m] feat: forecast api", status: "todo", sprintId: "fc-sprint" });
+    taskStore.addTask({
+      id: "fc-ui",
+      title: "[m] feat: forecast ui",
+      status: "todo",
+      sprintId: "fc-sprint",
+      dependencyTaskIds: ["fc-api"],
+    });
+
+    const res = await fetch(
+      `http://127.0.0.1:${server.address().port}/api/tasks/forecast?parallelism=3&kind=sprint&sprintId=fc-sprint`,
+    ).then((r) => r.json());
+    expect(res.ok).toBe(true);
+    expect(res.data.parallelism).toBe(3);
+    expect(res.data.groups).toHaveLength(1);
+    expect(res.data.groups[0]).toMatchObject({ kind: "sprint", id: "fc-sprint", openCount: 2 });
+    expect(res.data.groups[0].criticalPath.taskIds).toEqual(["fc-api", "fc-ui"]);
+    expect(Date.parse(res.data.groups[0].eta.p85At)).toBeGreaterThanOrEqual(Date.parse(res.data.groups[0].eta.p50At));
+  }, 30000);
+
+  it("previews and applies bulk task updates over /api/tasks/bulk", async () => {
+    const isolatedDir = mkdtempSync(join(tmpdir(), "bosun-ui-task-bulk-"));
+    process.env.TELEGRAM_UI_TUNNEL = "disabled";
+    process.env.BOSUN_HOME = isolatedDir;
+    process.env.BOSUN_DIR = isolatedDir;
+    process.env.CODEX_MONITOR_HOME = isolatedDir;
+    process.env.CODEX_MONITOR_DIR = isolatedDir;
+
+    const mod = await import("../server/ui-server.mjs");
+    const server = await mod.startTelegramUiServer({
+      port: await getFreePort(),
+      host: "127.0.0.1",
+      skipInstanceLock: true,
+      skipAutoOpen: true,
+    });
+    const taskStore = await import("../task/task-store.mjs");
+    taskStore.addTask({ id: "bulk-ui-1", title: "Stale one", status: "todo", tags: ["bulk-ui"] });
+    taskStore.addTask({ id: "bulk-ui-2", title: "Blocked one", status: "todo", tags: ["bulk-ui", "blocked"] });
+
+    const post = (body) => fetch(`http://127.0.0.1:${server.address().port}/api/tasks/bulk`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    const request = { query: "tag:bulk-ui -tag:blocked", set: { status: "cancelled" }, addTags: ["stale"] };
+
+    const preview = await post({ ...request, dryRun: true }).then((r) => r.json());
+    expect(preview.data).toMatchObject({ dryRun: true, matched: 1, changed: 1, actionId: null });
+    expect(taskStore.getTask("bulk-ui-1").status).toBe("todo");
+
+    const applied = await post(request).then((r) => r.json());
+    expect(applied.data.actionId).toMatch(/^task\.bulk_update:/);
+    expect(taskStore.getTask("bulk-ui-1")).toMatchObject({ status: "cancelled", tags: ["bulk-ui", "stale"] });
+    expect(taskStore.getTask("bulk-ui-2").status).toBe("todo");
+
+    expect((await post({ query: "owner:me", set: { status: "todo" } })).status).toBe(400);
+  }, 30000);
+
+  it("journals task API mutations and reverts them over /api/tasks/undo", async () => {
+    const isolatedDir = mkdtempSync(join(tmpdir(), "bosun-ui-task-undo-"));
+    process.env.TELEGRAM_UI_TUNNEL = "disabled";
+    process.env.BOSUN_HOME = isolatedDir;
+    process.env.BOSUN_DIR = isolatedDir;
+    process.env.CODEX_MONITOR_HOME = isolatedDir;
+    process.env.CODEX_MONITOR_DIR = isolatedDir;
+
+    const mod = await import("../server/ui-server.mjs");
+    const server = await mod.startTelegramUiServer({
+      port: await getFreePort(),
+      host: "127.0.0.1",
+      skipInstanceLock: true,
+      skipAutoOpen: true,
+    });
+    const taskStore = await import("../task/task-store.mjs");
+    taskStore.addTask({ id: "undo-ui-1", title: "Undo me", status: "todo", tags: ["undo-ui"] });
+
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const post = (path, body) => fetch(`${base}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+    const bulk = await post("/api/tasks/bulk", { query: "tag:undo-ui", set: { status: "cancelled" } }).then((r) => r.json());
+    const { actionId } = bulk.data;
+    const listed = await fetch(`${base}/api/tasks/undo`).then((r) => r.json());
+    expect(listed.data[0]).toMatchObject({ actionId, actionType: "task.bulk_update", source: "ui" });
+
+    taskStore.updateTask("undo-ui-1", { status: "inprogress" });
+    const conflict = await post("/api/tasks/undo", { actionId });
+    expect(conflict.status).toBe(409);
+    expect((await conflict.json()).conflicts).toEqual([
+      expect.objectContaining({ id: "undo-ui-1", field: "status", actual: "inprogress" }),
+    ]);
+
+    const forced = await post("/api/tasks/undo", { actionId, force: true }).then((r) => r.json());
+    expect(forced.data).toMatchObject({ actionId, forced: true });
+    expect(taskStore.getTask("undo-ui-1").status).toBe("todo");
+
+    const redone = await post("/api/tasks/redo", { actionId }).then((r) => r.json());
+    expect(redone.data.actionId).toBe(actionId);
+    expect(taskStore.getTask("undo-ui-1").status).toBe("cancelled");
+    expect((await post("/api/tasks/undo", { actionId: "task.mutation:missing" })).status).toBe(404);
+  }, 30000);
+
   it("enriches task detail with linked workflow runs for the same taskId", async () => {
     const isolatedDir = mkdtempSync(join(tmpdir(), "bosun-ui-workflow-detail-"));
     const previousRepoRoot = process.env.REPO_ROOT;
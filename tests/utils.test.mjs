@@ -8,6 +8,7 @@ import {
   parsePrNumberFromUrl,
   escapeHtml,
   formatHtmlLink,
+  stableStringify,
 } from "../utils.mjs";
 
 describe("normalizeDedupKey", () => {
@@ -147,3 +148,13 @@ describe("formatHtmlLink", () => {
     expect(formatHtmlLink("", "<none>")).toBe("&lt;none&gt;");
   });
 });
+
+describe("stableStringify", () => {
+  it("serialises independent of key order and drops undefined keys", () => {
+    expect(stableStringify({ b: [1, { d: null, c: 2 }], a: undefined, e: "x" }))
+      .toBe('{"b":[1,{"c":2,"d":null}],"e":"x"}');
+    expect(stableStringify({ x: 1, y: 2 })).toBe(stableStringify({ y: 2, x: 1 }));
+    expect(stableStringify([undefined, null])).toBe("[null,null]");
+    expect(stableStringify(undefined)).toBe("null");
+  });
+});
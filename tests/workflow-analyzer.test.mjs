@@ -0,0 +1,247 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtempSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { WorkflowEngine, getNodeType } from "../workflow/workflow-engine.mjs";
+import "../workflow/workflow-nodes.mjs";
+import { WORKFLOW_TEMPLATES } from "../workflow/workflow-templates.mjs";
+import {
+  analyzeWorkflowDefinition,
+  getWorkflowCallContract,
+} from "../workflow/workflow-analyzer.mjs";
+
+let tmpDir;
+
+function makeEngine() {
+  const engine = new WorkflowEngine({
+    workflowDir: join(tmpDir, "workflows"),
+    runsDir: join(tmpDir, "runs"),
+    detectInterruptedRuns: false,
+  });
+  engine.load();
+  return engine;
+}
+
+function makeChildWorkflow() {
+  return {
+    id: "wf-child",
+    name: "Child",
+    enabled: true,
+    nodes: [
+      {
+        id: "call",
+        type: "trigger.workflow_call",
+        config: {
+          inputs: {
+            taskId: { type: "string", required: true },
+            attempts: { type: "number", required: false, default: 1 },
+          },
+          outputs: { verdict: { type: "string" } },
+        },
+      },
+      { id: "end", type: "flow.end", config: { status: "completed", output: { verdict: "ok" } } },
+    ],
+    edges: [{ id: "e1", source: "call", target: "end" }],
+  };
+}
+
+function makeParentWorkflow(callConfig = {}, nodes = []) {
+  return {
+    id: "wf-parent",
+    name: "Parent",
+    enabled: true,
+    nodes: [
+      { id: "trigger", type: "trigger.manual", config: {} },
+      {
+        id: "child",
+        type: "action.execute_workflow",
+        config: { workflowId: "wf-child", mode: "sync", input: { taskId: "T-1" }, ...callConfig },
+      },
+      ...nodes,
+    ],
+    edges: [
+      { id: "e1", source: "trigger", target: "child" },
+      ...nodes.map((node, index) => ({ id: `n${index}`, source: "child", target: node.id })),
+    ],
+  };
+}
+
+function codes(result) {
+  return result.diagnostics.map((entry) => entry.code);
+}
+
+describe("workflow analyzer", () => {
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "wf-analyzer-"));
+  });
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("reports dangling edges, unreachable nodes and cycles without back-edges", () => {
+    const result = analyzeWorkflowDefinition({
+      nodes: [
+        { id: "trigger", type: "trigger.manual", config: {} },
+        { id: "a", type: "action.set_variable", config: { key: "x", value: "1" } },
+        { id: "b", type: "action.set_variable", config: { key: "y", value: "2" } },
+        { id: "island", type: "action.set_variable", config: { key: "z", value: "3" } },
+        { id: "loner", type: "action.set_variable", config: { key: "w", value: "4" } },
+      ],
+      edges: [
+        { id: "e1", source: "trigger", target: "a" },
+        { id: "e2", source: "a", target: "b" },
+        { id: "e3", source: "b", target: "a" },
+        { id: "e4", source: "a", target: "ghost" },
+        { id: "e5", source: "island", target: "island" },
+      ],
+    }, { getNodeType });
+
+    expect(result.ok).toBe(false);
+    expect(result.diagnostics).toEqual(expect.arrayContaining([
+      expect.objectContaining({ code: "dangling-edge", severity: "error", edgeId: "e4" }),
+      expect.objectContaining({ code: "cycle-without-back-edge", severity: "error" }),
+      expect.objectContaining({ code: "unreachable-node", severity: "warning", nodeId: "island" }),
+      expect.objectContaining({ code: "detached-node", severity: "warning", nodeId: "loner" }),
+    ]));
+  });
+
+  it("accepts loops that close over a back-edge", () => {
+    const result = analyzeWorkflowDefinition({
+      nodes: [
+        { id: "trigger", type: "trigger.manual", config: {} },
+        { id: "a", type: "action.set_variable", config: { key: "x", value: "1" } },
+        { id: "b", type: "action.set_variable", config: { key: "y", value: "2" } },
+      ],
+      edges: [
+        { id: "e1", source: "trigger", target: "a" },
+        { id: "e2", source: "a", target: "b" },
+        { id: "e3", source: "b", target: "a", backEdge: true },
+      ],
+    }, { getNodeType });
+
+    expect(result).toMatchObject({ ok: true, errorCount: 0, warningCount: 0 });
+  });
+
+  it("checks template variables only when the trigger input is closed", () => {
+    const nodes = (triggerType) => [
+      { id: "trigger", type: triggerType, config: {} },
+      { id: "set", type: "action.set_variable", config: { key: "name", value: "bosun" } },
+      {
+        id: "log",
+        type: "notify.log",
+        config: { message: "{{name}} {{set}} {{repoRoot}} {{threshold}} {{typo}} {{_triggerSource}}" },
+      },
+    ];
+    const edges = [
+      { id: "e1", source: "trigger", target: "set" },
+      { id: "e2", source: "set", target: "log" },
+    ];
+
+    const scheduled = analyzeWorkflowDefinition(
+      { variables: { threshold: 3 }, nodes: nodes("trigger.schedule"), edges },
+      { getNodeType },
+    );
+    expect(scheduled.diagnostics).toEqual([
+      expect.objectContaining({
+        code: "unresolved-variable",
+        severity: "warning",
+        nodeId: "log",
+        field: "config.message",
+        variable: "typo",
+      }),
+    ]);
+
+    const manual = analyzeWorkflowDefinition(
+      { variables: { threshold: 3 }, nodes: nodes("trigger.manual"), edges },
+      { getNodeType },
+    );
+    expect(codes(manual)).not.toContain("unresolved-variable");
+  });
+
+  it("validates sub-workflow calls against the declared contract", () => {
+    const child = makeChildWorkflow();
+    expect(getWorkflowCallContract(child)).toMatchObject({
+      nodeId: "call",
+      inputs: { taskId: { type: "string", required: true } },
+      outputs: { verdict: { type: "string" } },
+    });
+    const getWorkflow = (id) => (id === child.id ? child : null);
+
+    const missing = analyzeWorkflowDefinition(
+      makeParentWorkflow({ input: { attempts: "two", extra: true } }),
+      { getNodeType, getWorkflow },
+    );
+    expect(missing.diagnostics).toEqual(expect.arrayContaining([
+      expect.objectContaining({ code: "missing-workflow-input", severity: "error", nodeId: "child" }),
+      expect.objectContaining({
+        code: "workflow-input-type-mismatch",
+        severity: "error",
+        field: "config.input.attempts",
+      }),
+      expect.objectContaining({ code: "unknown-workflow-input", severity: "warning", field: "config.input.extra" }),
+    ]));
+
+    const outputs = analyzeWorkflowDefinition(
+      makeParentWorkflow({}, [
+        { id: "log", type: "notify.log", config: { message: "{{child.output.verdict}} {{child.output.score}}" } },
+      ]),
+      { getNodeType, getWorkflow },
+    );
+    expect(outputs.ok).toBe(true);
+    expect(outputs.diagnostics).toEqual([
+      expect.objectContaining({ code: "unknown-workflow-output", variable: "child.output.score", nodeId: "log" }),
+    ]);
+
+    const unknown = analyzeWorkflowDefinition(makeParentWorkflow(), { getNodeType, getWorkflow: () => null });
+    expect(codes(unknown)).toEqual(["unknown-workflow"]);
+  });
+
+  it("rejects saves with error diagnostics and keeps warnings on the workflow", () => {
+    const engine = makeEngine();
+    engine.save(makeChildWorkflow());
+
+    let error;
+    try {
+      engine.save(makeParentWorkflow({ input: {} }));
+    } catch (err) {
+      error = err;
+    }
+    expect(error?.message).toMatch(/Workflow validation failed: .*required input "taskId"/);
+    expect(error.diagnostics).toEqual([
+      expect.objectContaining({ code: "missing-workflow-input", nodeId: "child", field: "config.input" }),
+    ]);
+    expect(engine.get("wf-parent")).toBeFalsy();
+
+    const saved = engine.save(makeParentWorkflow({}, [
+      { id: "log", type: "notify.log", config: { message: "{{child.output.score}}" } },
+    ]));
+    expect(saved.metadata.diagnostics).toEqual([
+      expect.objectContaining({ code: "unknown-workflow-output", severity: "warning" }),
+    ]);
+    expect(engine.analyzeWorkflow(makeParentWorkflow({ input: {} })).errorCount).toBe(1);
+  });
+
+  it("surfaces port binding issues as coded diagnostics", () => {
+    const engine = makeEngine();
+    const def = makeChildWorkflow();
+    def.edges[0].sourcePort = "nope";
+
+    expect(engine.analyzeWorkflow(def).diagnostics).toEqual([
+      expect.objectContaining({ code: "unknown-output-port", severity: "error", edgeId: "e1" }),
+    ]);
+    expect(() => engine.save(def)).toThrow(
+      expect.objectContaining({ diagnostics: [expect.objectContaining({ code: "unknown-output-port" })] }),
+    );
+  });
+
+  it("finds no errors in the built-in templates", () => {
+    const engine = makeEngine();
+    const failures = [];
+    for (const template of WORKFLOW_TEMPLATES) {
+      const result = engine.analyzeWorkflow(template);
+      if (!result.ok) failures.push({ id: template.id, errors: result.diagnostics.filter((d) => d.severity === "error") });
+    }
+    expect(failures).toEqual([]);
+  });
+});
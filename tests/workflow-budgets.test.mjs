@@ -0,0 +1,201 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { mkdtempSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { WorkflowEngine, registerNodeType, unregisterNodeType } from "../workflow/workflow-engine.mjs";
+import "../workflow/workflow-nodes.mjs";
+import {
+  BudgetLimit,
+  RunBudget,
+  WORKFLOW_BUDGET_EXCEEDED_EVENT,
+  normalizeWorkflowBudget,
+} from "../workflow/workflow-budgets.mjs";
+import { getApprovalRequest, resolveApprovalRequest } from "../workflow/approval-queue.mjs";
+
+let tmpDir;
+let engine;
+let releaseHold;
+
+function makeWorkflow(id, budget, nodes) {
+  return {
+    id,
+    name: id,
+    enabled: true,
+    budget,
+    nodes: [{ id: "trigger", type: "trigger.manual", config: {} }, ...nodes],
+    edges: nodes.map((node, index) => ({
+      id: `e${index}`,
+      source: index === 0 ? "trigger" : nodes[index - 1].id,
+      target: node.id,
+    })),
+  };
+}
+
+describe("workflow budgets", () => {
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "wf-budgets-"));
+    engine = new WorkflowEngine({
+      workflowDir: join(tmpDir, "workflows"),
+      runsDir: join(tmpDir, "runs"),
+      detectInterruptedRuns: false,
+    });
+    engine.load();
+    let hold = Promise.resolve();
+    releaseHold = () => {};
+    registerNodeType("test.budget_fail", {
+      describe: () => "Always fails",
+      async execute() {
+        throw new Error("nope");
+      },
+    });
+    registerNodeType("test.budget_spend", {
+      describe: () => "Reports an agent session for the run's task",
+      async execute(node, ctx, eng) {
+        eng.recordAgentSession({
+          taskId: ctx.data.taskId,
+          session: { sessionKey: node.id, tokenCount: node.config.tokens, costUsd: 0 },
+        });
+        return { spent: node.config.tokens };
+      },
+    });
+    registerNodeType("test.budget_hold", {
+      describe: () => "Blocks until the test releases it",
+      async execute() {
+        await hold;
+        return { held: true };
+      },
+    });
+    hold = new Promise((resolve) => { releaseHold = resolve; });
+  });
+
+  afterEach(() => {
+    releaseHold();
+    unregisterNodeType("test.budget_fail");
+    unregisterNodeType("test.budget_spend");
+    unregisterNodeType("test.budget_hold");
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("normalizes budget declarations", () => {
+    expect(normalizeWorkflowBudget({})).toBeNull();
+    expect(normalizeWorkflowBudget({ maxWallTimeMs: "1h30m", maxTokens: 0 })).toMatchObject({
+      maxWallTimeMs: 90 * 60_000,
+      maxTokens: null,
+      onExceeded: "cancel",
+      concurrencyKey: "",
+    });
+    expect(normalizeWorkflowBudget({ maxConcurrentRuns: 2.7, onExceeded: "Approval" })).toMatchObject({
+      maxConcurrentRuns: 2,
+      onExceeded: "approval",
+    });
+
+    const tracker = new RunBudget(normalizeWorkflowBudget({ maxTokens: 100 }));
+    expect(tracker.recordSession({ sessionKey: "s1", tokenCount: 80 })).toBe(true);
+    expect(tracker.recordSession({ sessionKey: "s1", tokenCount: 80 })).toBe(false);
+    expect(tracker.check()).toEqual([]);
+    tracker.recordSession({ sessionKey: "s2", tokenCount: 30 });
+    expect(tracker.check()).toEqual([expect.objectContaining({ limit: BudgetLimit.TOKENS, actual: 110 })]);
+    expect(tracker.check()).toEqual([]);
+  });
+
+  it("cancels a run that exceeds its node failure budget and notifies event workflows", async () => {
+    engine.save(makeWorkflow("wf-flaky", { maxNodeFailures: 1 }, [
+      { id: "f1", type: "test.budget_fail", config: { continueOnError: true, maxRetries: 0 } },
+      { id: "f2", type: "test.budget_fail", config: { continueOnError: true, maxRetries: 0 } },
+      { id: "after", type: "action.set_variable", config: { key: "reached", value: "yes" } },
+    ]));
+    engine.save({
+      id: "wf-budget-alarm",
+      name: "Budget alarm",
+      enabled: true,
+      nodes: [
+        { id: "on-breach", type: "trigger.event", config: { eventType: WORKFLOW_BUDGET_EXCEEDED_EVENT } },
+        { id: "note", type: "action.set_variable", config: { key: "alarm", value: "{{limit}}" } },
+      ],
+      edges: [{ id: "e1", source: "on-breach", target: "note" }],
+    });
+    const events = [];
+    engine.on(WORKFLOW_BUDGET_EXCEEDED_EVENT, (payload) => events.push(payload));
+    const alarmRuns = [];
+    engine.on("run:end", (payload) => {
+      if (payload.workflowId === "wf-budget-alarm") alarmRuns.push(payload);
+    });
+
+    const ctx = await engine.execute("wf-flaky", {});
+
+    expect(events).toEqual([
+      expect.objectContaining({
+        runId: ctx.id,
+        workflowId: "wf-flaky",
+        limit: BudgetLimit.NODE_FAILURES,
+        limitValue: 1,
+        actual: 2,
+        action: "cancel",
+      }),
+    ]);
+    expect(ctx.data._workflowTerminalStatus).toBe("cancelled");
+    expect(ctx.getNodeStatus("after")).toBe("skipped");
+    expect(ctx.data._workflowBudget).toMatchObject({ nodeFailures: 2, breaches: [{ limit: "node_failures" }] });
+    await vi.waitFor(() => expect(alarmRuns).toEqual([expect.objectContaining({ status: "completed" })]));
+  });
+
+  it("cancels runs that overrun wall time or token spend", async () => {
+    engine.save(makeWorkflow("wf-slow", { maxWallTimeMs: 20 }, [
+      { id: "wait", type: "action.delay", config: { ms: 80 } },
+      { id: "after", type: "action.set_variable", config: { key: "reached", value: "yes" } },
+    ]));
+    engine.save(makeWorkflow("wf-hungry", { maxTokens: 1000 }, [
+      { id: "s1", type: "test.budget_spend", config: { tokens: 600 } },
+      { id: "s2", type: "test.budget_spend", config: { tokens: 600 } },
+      { id: "after", type: "action.set_variable", config: { key: "reached", value: "yes" } },
+    ]));
+
+    const slow = await engine.execute("wf-slow", {});
+    expect(slow.data._workflowTerminalStatus).toBe("cancelled");
+    expect(slow.data._workflowTerminalMessage).toMatch(/wall time budget exceeded/);
+    expect(slow.getNodeStatus("after")).toBe("skipped");
+
+    const hungry = await engine.execute("wf-hungry", { taskId: "T-9" });
+    expect(hungry.data._workflowTerminalStatus).toBe("cancelled");
+    expect(hungry.data._workflowBudget).toMatchObject({ tokens: 1200 });
+    expect(hungry.getNodeStatus("after")).toBe("skipped");
+    expect(engine.recordAgentSession({ taskId: "T-9", session: { sessionKey: "late", tokenCount: 5 } })).toBe(0);
+  });
+
+  it("pauses runs over the concurrency limit until an operator approves", async () => {
+    engine.save(makeWorkflow("wf-serial", {
+      maxConcurrentRuns: 1,
+      concurrencyKey: "{{taskId}}",
+      onExceeded: "approval",
+      approvalPollIntervalMs: 10,
+    }, [
+      { id: "hold", type: "test.budget_hold", config: {} },
+      { id: "done", type: "action.set_variable", config: { key: "finished", value: "yes" } },
+    ]));
+
+    const breaches = [];
+    engine.on(WORKFLOW_BUDGET_EXCEEDED_EVENT, (payload) => breaches.push(payload));
+
+    const first = engine.execute("wf-serial", { taskId: "T-1", repoRoot: tmpDir });
+    const otherTask = engine.execute("wf-serial", { taskId: "T-2", repoRoot: tmpDir });
+    await vi.waitFor(() => expect(engine.getActiveRuns()).toHaveLength(2));
+    expect(breaches).toEqual([]);
+
+    const second = engine.execute("wf-serial", { taskId: "T-1", repoRoot: tmpDir });
+    await vi.waitFor(() => expect(breaches).toHaveLength(1));
+    expect(breaches[0]).toMatchObject({ limit: "concurrent_runs", concurrencyKey: "T-1", action: "approval" });
+    const request = await vi.waitFor(() => {
+      const pending = getApprovalRequest("workflow-gate", `${breaches[0].runId}:_budget:concurrent_runs`, { repoRoot: tmpDir });
+      expect(pending).toMatchObject({ status: "pending", requestedBy: "workflow-budget" });
+      return pending;
+    });
+    expect(engine.getRunDetail(breaches[0].runId)?.detail?.nodeStatuses?.hold).toBeUndefined();
+
+    releaseHold();
+    resolveApprovalRequest(request.requestId, { repoRoot: tmpDir, decision: "approved", actorId: "tester" });
+    const [firstCtx, secondCtx] = await Promise.all([first, second, otherTask]);
+    expect(firstCtx.data.finished).toBe("yes");
+    expect(secondCtx.data.finished).toBe("yes");
+    expect(secondCtx.data._workflowBudget.approved).toEqual(["concurrent_runs"]);
+  });
+});
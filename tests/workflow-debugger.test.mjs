@@ -0,0 +1,191 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtempSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { WorkflowEngine } from "../workflow/workflow-engine.mjs";
+import { registerNodeType } from "../workflow/workflow-nodes.mjs";
+import { normalizeDebugOptions } from "../workflow/workflow-debugger.mjs";
+
+let tmpDir;
+let engine;
+let executedNodes;
+
+function makeWorkflow() {
+  return {
+    id: "wf-debug",
+    name: "Debuggable Workflow",
+    enabled: true,
+    nodes: [
+      { id: "trigger", type: "trigger.manual", label: "Start", config: {} },
+      { id: "first", type: "test.debug_step", label: "First", config: { value: "{{greeting}}" } },
+      { id: "second", type: "test.debug_step", label: "Second", config: { value: "{{greeting}}" } },
+      { id: "third", type: "test.debug_step", label: "Third", config: { value: "done" } },
+    ],
+    edges: [
+      { id: "e1", source: "trigger", target: "first" },
+      { id: "e2", source: "first", target: "second" },
+      { id: "e3", source: "second", target: "third" },
+    ],
+    variables: { greeting: "hello" },
+  };
+}
+
+function nextPause() {
+  return new Promise((resolve) => engine.once("debug:paused", resolve));
+}
+
+describe("workflow step-through debugger", () => {
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "wf-debugger-test-"));
+    engine = new WorkflowEngine({
+      workflowDir: join(tmpDir, "workflows"),
+      runsDir: join(tmpDir, "runs"),
+      detectInterruptedRuns: false,
+    });
+    executedNodes = [];
+    registerNodeType("test.debug_step", {
+      describe: () => "Record execution and echo resolved value",
+      schema: { type: "object", properties: { value: { type: "string" } } },
+      async execute(node, ctx) {
+        executedNodes.push(node.id);
+        return { value: ctx.resolve(node.config?.value) };
+      },
+    });
+    engine.save(makeWorkflow());
+  });
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("normalizes debug options", () => {
+    expect(normalizeDebugOptions(false)).toBeNull();
+    expect(normalizeDebugOptions(true)).toMatchObject({ pauseOnStart: true });
+    const opts = normalizeDebugOptions({ breakpoints: ["a", " b ", ""] });
+    expect(Array.from(opts.breakpoints)).toEqual(["a", "b"]);
+    expect(opts.pauseOnStart).toBe(false);
+    expect(normalizeDebugOptions({ idleTimeoutMs: 0, clientId: "ws-1" })).toMatchObject({ idleTimeoutMs: 0, clientId: "ws-1" });
+  });
+
+  it("pauses at breakpoints and continues to completion", async () => {
+    const paused = nextPause();
+    const run = engine.execute("wf-debug", {}, { debug: { breakpoints: ["second"] } });
+
+    const snapshot = await paused;
+    expect(snapshot.pausedNodeId).toBe("second");
+    expect(snapshot.state).toBe("paused");
+    expect(executedNodes).toEqual(["first"]);
+    expect(snapshot.nodeOutputs.first).toEqual({ value: "hello" });
+    expect(engine.listDebugSessions("wf-debug")).toHaveLength(1);
+
+    engine.resumeDebugSession(snapshot.runId, "continue");
+    const ctx = await run;
+
+    expect(executedNodes).toEqual(["first", "second", "third"]);
+    expect(ctx.errors).toEqual([]);
+    expect(engine.getDebugSession(snapshot.runId)).toBeNull();
+  });
+
+  it("steps node by node", async () => {
+    let paused = nextPause();
+    const run = engine.execute("wf-debug", {}, { debug: true });
+
+    const seen = [];
+    for (;;) {
+      const snapshot = await Promise.race([paused, run.then(() => null)]);
+      if (!snapshot) break;
+      seen.push(snapshot.pausedNodeId);
+      paused = nextPause();
+      engine.resumeDebugSession(snapshot.runId, "step");
+    }
+    await run;
+    expect(seen).toEqual(["trigger", "first", "second", "third"]);
+  });
+
+  it("skips the paused node while downstream nodes still run", async () => {
+    const paused = nextPause();
+    const run = engine.execute("wf-debug", {}, { debug: { breakpoints: ["second"] } });
+    const snapshot = await paused;
+
+    engine.resumeDebugSession(snapshot.runId, "skip");
+    const ctx = await run;
+
+    expect(executedNodes).toEqual(["first", "third"]);
+    expect(ctx.getNodeStatus("second")).toBe("skipped");
+    expect(ctx.getNodeStatus("third")).toBe("completed");
+  });
+
+  it("applies context edits made while paused", async () => {
+    const paused = nextPause();
+    const run = engine.execute("wf-debug", {}, { debug: { breakpoints: ["second"] } });
+    const snapshot = await paused;
+
+    const edit = engine.updateDebugContext(snapshot.runId, {
+      data: { greeting: "patched" },
+      variables: { flag: true },
+    });
+    expect(edit.changed).toEqual({ data: ["greeting"], variables: ["flag"], unset: [] });
+    expect(edit.session.data.greeting).toBe("patched");
+
+    engine.resumeDebugSession(snapshot.runId, "continue");
+    const ctx = await run;
+    expect(ctx.getNodeOutput("first")).toEqual({ value: "hello" });
+    expect(ctx.getNodeOutput("second")).toEqual({ value: "patched" });
+    expect(ctx.variables.flag).toBe(true);
+  });
+
+  it("rejects commands when the run is not paused or unknown", async () => {
+    expect(() => engine.resumeDebugSession("missing", "step")).toThrow(/No debug session/);
+
+    const paused = nextPause();
+    const run = engine.execute("wf-debug", {}, { debug: { breakpoints: ["third"] } });
+    const snapshot = await paused;
+    expect(() => engine.resumeDebugSession(snapshot.runId, "jump")).toThrow(/Unknown debug command/);
+
+    engine.setDebugBreakpoints(snapshot.runId, []);
+    engine.resumeDebugSession(snapshot.runId, "continue");
+    await run;
+    expect(() => engine.updateDebugContext(snapshot.runId, { data: {} })).toThrow(/No debug session/);
+  });
+
+  it("releases a paused run when it is cancelled", async () => {
+    const paused = nextPause();
+    const run = engine.execute("wf-debug", {}, { debug: { breakpoints: ["second"] } });
+    const snapshot = await paused;
+
+    engine.cancelRun(snapshot.runId);
+    const ctx = await run;
+    expect(executedNodes).toEqual(["first"]);
+    expect(ctx.getNodeStatus("second")).toBe("skipped");
+  });
+
+  it("detaches a paused run after the idle timeout so it continues", async () => {
+    const paused = nextPause();
+    const ended = new Promise((resolve) => engine.once("debug:ended", resolve));
+    const run = engine.execute("wf-debug", {}, { debug: { breakpoints: ["second"], idleTimeoutMs: 50 } });
+    const snapshot = await paused;
+    expect(snapshot.idleTimeoutMs).toBe(50);
+
+    expect(await ended).toMatchObject({ runId: snapshot.runId, reason: "idle-timeout" });
+    await run;
+    expect(executedNodes).toEqual(["first", "second", "third"]);
+    expect(engine.getDebugSession(snapshot.runId)).toBeNull();
+  });
+
+  it("detaches a paused run once its last debug client disconnects", async () => {
+    const paused = nextPause();
+    const run = engine.execute("wf-debug", {}, { debug: { breakpoints: ["second"], clientId: "socket-a" } });
+    const snapshot = await paused;
+    expect(snapshot.clients).toBe(1);
+    expect(engine.attachDebugClient(snapshot.runId, "socket-b")).toMatchObject({ clients: 2 });
+
+    expect(engine.detachDebugClient("socket-a")).toEqual({ ok: true, detachedRunIds: [] });
+    expect(engine.getDebugSession(snapshot.runId)).toMatchObject({ state: "paused", clients: 1 });
+
+    const ended = new Promise((resolve) => engine.once("debug:ended", resolve));
+    expect(engine.detachDebugClient("socket-b")).toEqual({ ok: true, detachedRunIds: [snapshot.runId] });
+    expect(await ended).toMatchObject({ runId: snapshot.runId, reason: "clients-disconnected" });
+    await run;
+    expect(executedNodes).toEqual(["first", "second", "third"]);
+  });
+});
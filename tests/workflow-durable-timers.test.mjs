@@ -0,0 +1,183 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { existsSync, mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { WorkflowEngine } from "../workflow/workflow-engine.mjs";
+import "../workflow/workflow-nodes.mjs";
+import {
+  DURABLE_TIMERS_FILE,
+  matchesDurableWaitEvent,
+  requestDurableWait,
+} from "../workflow/durable-timers.mjs";
+
+let tmpDir;
+let engines;
+
+function makeEngine(opts = {}) {
+  const engine = new WorkflowEngine({
+    workflowDir: join(tmpDir, "workflows"),
+    runsDir: join(tmpDir, "runs"),
+    detectInterruptedRuns: false,
+    ...opts,
+  });
+  engine.load();
+  engines.push(engine);
+  return engine;
+}
+
+function makeReviewWorkflow(config = {}) {
+  return {
+    id: "wf-review-wait",
+    name: "Wait For Review",
+    enabled: true,
+    nodes: [
+      { id: "trigger", type: "trigger.manual", label: "Start", config: {} },
+      {
+        id: "wait",
+        type: "flow.wait_for_event",
+        label: "Wait for review",
+        config: {
+          eventType: "review.done",
+          correlation: { taskId: "{{taskId}}" },
+          timeoutMs: 60_000,
+          outputVariable: "review",
+          ...config,
+        },
+      },
+      { id: "ok", type: "action.set_variable", label: "Reviewed", config: { key: "verdict", value: "reviewed" } },
+      { id: "late", type: "action.set_variable", label: "Late", config: { key: "verdict", value: "late" } },
+    ],
+    edges: [
+      { id: "e1", source: "trigger", target: "wait" },
+      { id: "e2", source: "wait", target: "ok" },
+      { id: "e3", source: "wait", target: "late", sourcePort: "timeout" },
+    ],
+  };
+}
+
+describe("durable timers", () => {
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "wf-durable-timers-"));
+    engines = [];
+  });
+
+  afterEach(() => {
+    for (const engine of engines) engine._durableWakeTimer?.cancel();
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("builds wait requests and matches correlated events", () => {
+    const { _durableWait: wait } = requestDurableWait({
+      eventType: "review.*",
+      correlation: { "task.id": "T-1", "": "ignored" },
+    });
+    expect(wait).toMatchObject({ wakeAt: null, eventType: "review.*", correlation: { "task.id": "T-1" } });
+    expect(matchesDurableWaitEvent(wait, "review.done", { task: { id: "T-1" } })).toBe(true);
+    expect(matchesDurableWaitEvent(wait, "review.done", { task: { id: "T-2" } })).toBe(false);
+    expect(matchesDurableWaitEvent(wait, "build.done", { task: { id: "T-1" } })).toBe(false);
+    expect(() => requestDurableWait({ reason: "nothing to wait for" })).toThrow(/needs a wakeAt/);
+  });
+
+  it("puts a waiting run to sleep and wakes it on a matching event in another engine", async () => {
+    const engine = makeEngine();
+    engine.save(makeReviewWorkflow());
+
+    const ctx = await engine.execute("wf-review-wait", { taskId: "T-1" });
+
+    const sleeping = engine.getRunDetail(ctx.id);
+    expect(sleeping.status).toBe("sleeping");
+    expect(sleeping.endedAt).toBeNull();
+    expect(sleeping.durableWait).toMatchObject({ nodeId: "wait", eventType: "review.done" });
+    expect(engine.getConcurrencyStats().activeRuns).toBe(0);
+    expect(engine.listSleepingRuns("wf-review-wait")).toEqual([
+      expect.objectContaining({ runId: ctx.id, nodeId: "wait", correlation: { taskId: "T-1" } }),
+    ]);
+
+    const restarted = makeEngine();
+    expect(await restarted.wakeRunsForEvent("review.done", { taskId: "T-2" })).toEqual([]);
+    const woken = await restarted.wakeRunsForEvent("review.done", { taskId: "T-1", score: 9 });
+
+    expect(woken.map((entry) => entry.id)).toEqual([ctx.id]);
+    const finished = restarted.getRunDetail(ctx.id);
+    expect(finished.status).toBe("completed");
+    expect(finished.detail.nodeStatuses).toMatchObject({ wait: "completed", ok: "completed", late: "skipped" });
+    expect(finished.detail.data).toMatchObject({ verdict: "reviewed", review: { taskId: "T-1", score: 9 } });
+    expect(finished.detail.nodeOutputs.wait).toMatchObject({ matched: true, timedOut: false });
+    expect(restarted.listSleepingRuns()).toEqual([]);
+  });
+
+  it("takes the timeout port when the timer fires first", async () => {
+    const engine = makeEngine();
+    engine.save(makeReviewWorkflow({ timeout: "5m" }));
+    const ctx = await engine.execute("wf-review-wait", { taskId: "T-1" });
+
+    expect(await engine.wakeDueRuns(Date.now())).toEqual([]);
+    const woken = await engine.wakeDueRuns(Date.now() + 10 * 60_000);
+
+    expect(woken).toHaveLength(1);
+    const finished = engine.getRunDetail(ctx.id);
+    expect(finished.detail.nodeStatuses).toMatchObject({ ok: "skipped", late: "completed" });
+    expect(finished.detail.nodeOutputs.wait).toMatchObject({ matched: false, timedOut: true, port: "timeout" });
+    expect(finished.detail.data.verdict).toBe("late");
+  });
+
+  it("resumes durable delays from the engine's own timer", async () => {
+    const engine = makeEngine({ fireDurableTimers: true });
+    engine.save({
+      id: "wf-durable-delay",
+      name: "Durable Delay",
+      enabled: true,
+      nodes: [
+        { id: "trigger", type: "trigger.manual", config: {} },
+        { id: "sleep", type: "action.delay", config: { ms: 30, durable: true, reason: "cool down" } },
+        { id: "after", type: "action.set_variable", config: { key: "done", value: "yes" } },
+      ],
+      edges: [
+        { id: "e1", source: "trigger", target: "sleep" },
+        { id: "e2", source: "sleep", target: "after" },
+      ],
+    });
+
+    const ctx = await engine.execute("wf-durable-delay", {});
+    expect(engine.getRunDetail(ctx.id).status).toBe("sleeping");
+    const timers = JSON.parse(readFileSync(join(tmpDir, "runs", DURABLE_TIMERS_FILE), "utf8")).timers;
+    expect(timers).toEqual([expect.objectContaining({ runId: ctx.id, nodeId: "sleep", reason: "cool down" })]);
+
+    // run:end fires before the run is persisted.
+    await vi.waitFor(() => expect(engine.getRunDetail(ctx.id).status).toBe("completed"), { timeout: 5_000 });
+
+    const finished = engine.getRunDetail(ctx.id);
+    expect(finished.detail.nodeOutputs.sleep).toMatchObject({ durable: true, cause: "timer", reason: "cool down" });
+    expect(finished.detail.data.done).toBe("yes");
+    expect(engine.listSleepingRuns()).toEqual([]);
+  });
+
+  it("cancels a sleeping run without waking it", async () => {
+    const engine = makeEngine();
+    engine.save(makeReviewWorkflow());
+    const ctx = await engine.execute("wf-review-wait", { taskId: "T-1" });
+
+    const result = engine.cancelRun(ctx.id, { reason: "no longer needed" });
+
+    expect(result).toMatchObject({ ok: true, runId: ctx.id });
+    expect(engine.getRunDetail(ctx.id).status).toBe("cancelled");
+    expect(engine.listSleepingRuns()).toEqual([]);
+    expect(await engine.wakeRunsForEvent("review.done", { taskId: "T-1" })).toEqual([]);
+  });
+
+  it("waits in memory when the run cannot be suspended", async () => {
+    const engine = makeEngine();
+    engine.save(makeReviewWorkflow({ timeoutMs: 5_000 }));
+
+    const pending = engine.execute("wf-review-wait", { taskId: "T-1" }, { _parentRunId: "parent-run" });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(engine.listSleepingRuns()).toEqual([]);
+    expect(existsSync(join(tmpDir, "runs", DURABLE_TIMERS_FILE))).toBe(false);
+
+    await engine.wakeRunsForEvent("review.done", { taskId: "T-1", score: 3 });
+    const ctx = await pending;
+
+    expect(ctx.getNodeStatus("late")).toBe("skipped");
+    expect(ctx.data).toMatchObject({ verdict: "reviewed", review: { score: 3 } });
+  });
+});
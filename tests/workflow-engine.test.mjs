@@ -2462,6 +2462,24 @@ describe("New node types", () => {
     expect(result2.remainingMs).toBeGreaterThan(0);
   });
 
+  it("schedule triggers are suppressed inside blackout windows", async () => {
+    const ctx = new WorkflowContext({});
+    const allDay = [{ from: "00:00", to: "24:00", reason: "release freeze" }];
+
+    const once = await getNodeType("trigger.scheduled_once").execute(
+      { id: "t1", type: "trigger.scheduled_once", config: { runAt: "+0s", blackouts: allDay } },
+      ctx,
+    );
+    expect(once).toMatchObject({ triggered: false, skipped: true, skipReason: "blackout" });
+
+    const today = new Date().toISOString().slice(0, 10);
+    const sched = await getNodeType("trigger.schedule").execute(
+      { id: "t2", type: "trigger.schedule", config: { cron: "* * * * * *", exclusions: [today] } },
+      ctx,
+    );
+    expect(sched).toMatchObject({ triggered: false, skipReason: "exclusion" });
+  });
+
   it("action.delay supports seconds, minutes, hours", async () => {
     const handler = getNodeType("action.delay");
     expect(handler).toBeDefined();
@@ -3368,6 +3386,64 @@ describe("action.execute_workflow", () => {
   });
 });
 
+describe("flow.map_reduce", () => {
+  beforeEach(() => { makeTmpEngine(); });
+  afterEach(() => {
+    try { rmSync(tmpDir, { recursive: true, force: true }); } catch { /* ok */ }
+  });
+
+  it("fans a child workflow out over items and links each child run under the parent", async () => {
+    const childWorkflow = makeSimpleWorkflow(
+      [
+        { id: "child-trigger", type: "trigger.manual", label: "Start Child", config: {} },
+        {
+          id: "finish",
+          type: "flow.end",
+          label: "Finish",
+          config: { status: "completed", output: { pkg: "{{item}}" } },
+        },
+      ],
+      [{ id: "c1", source: "child-trigger", target: "finish" }],
+      { id: "audit-package", name: "Audit Package" },
+    );
+    const parentWorkflow = makeSimpleWorkflow(
+      [
+        { id: "trigger", type: "trigger.manual", label: "Start Parent", config: {} },
+        {
+          id: "audit-all",
+          type: "flow.map_reduce",
+          label: "Audit All",
+          config: {
+            items: "$data.packages",
+            workflowId: "audit-package",
+            maxConcurrency: 2,
+            reduce: "$results.map((entry) => entry.pkg)",
+          },
+        },
+      ],
+      [{ id: "e1", source: "trigger", target: "audit-all" }],
+      { id: "audit-monorepo", name: "Audit Monorepo" },
+    );
+    engine.save(childWorkflow);
+    engine.save(parentWorkflow);
+
+    const parentCtx = await engine.execute(parentWorkflow.id, { packages: ["core", "cli", "ui"] });
+
+    expect(parentCtx.errors).toEqual([]);
+    const output = parentCtx.getNodeOutput("audit-all");
+    expect(output).toMatchObject({ success: true, total: 3, successCount: 3, reduced: ["core", "cli", "ui"] });
+    expect(output.runIds).toHaveLength(3);
+
+    const childDetail = engine.getRunDetail(output.runIds[1]);
+    expect(childDetail.ledger?.parentRunId).toBe(parentCtx.id);
+    expect(childDetail.detail?.data?.item).toBe("cli");
+    const parentDetail = engine.getRunDetail(parentCtx.id);
+    expect(parentDetail?.executionTree?.children?.map((entry) => entry.runId)).toEqual(
+      expect.arrayContaining(output.runIds),
+    );
+  });
+});
+
 describe("action.inline_workflow and executeDefinition", () => {
   beforeEach(() => { makeTmpEngine(); });
   afterEach(() => {
@@ -3910,6 +3986,92 @@ describe("WorkflowEngine trigger evaluation", () => {
     });
   });
 
+  it("evaluateScheduleTriggers skips schedules blocked by an exclusion date", () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const wf = makeSimpleWorkflow(
+      [
+        {
+          id: "sched-trigger",
+          type: "trigger.schedule",
+          label: "Every minute except holidays",
+          config: { cron: "* * * * *", exclusions: [{ date: today, reason: "holiday" }] },
+        },
+      ],
+      [],
+      { id: "sched-wf-holiday", name: "Holiday Aware Schedule" },
+    );
+    engine.save(wf);
+
+    expect(engine.evaluateScheduleTriggers().some((h) => h.workflowId === "sched-wf-holiday")).toBe(false);
+
+    wf.nodes[0].config.exclusions = [];
+    engine.save(wf);
+    // The blocked tick is consumed; the next minute's tick fires
+    vi.useFakeTimers({ toFake: ["Date"], now: Date.now() + 60_000 });
+    try {
+      expect(engine.evaluateScheduleTriggers().some((h) => h.workflowId === "sched-wf-holiday")).toBe(true);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("evaluateScheduleTriggers consumes ticks blocked by a blackout window", () => {
+    vi.useFakeTimers({ toFake: ["Date"], now: new Date("2026-03-02T10:00:30Z") });
+    try {
+      const wf = makeSimpleWorkflow(
+        [
+          {
+            id: "sched-trigger",
+            type: "trigger.schedule",
+            label: "Hourly outside the freeze",
+            config: {
+              cron: "0 * * * *",
+              blackouts: [{ start: "2026-03-02T09:30:00Z", end: "2026-03-02T10:30:00Z", reason: "deploy freeze" }],
+            },
+          },
+        ],
+        [],
+        { id: "sched-wf-freeze", name: "Freeze Aware Schedule" },
+      );
+      engine.save(wf);
+      const fired = () => engine.evaluateScheduleTriggers().some((h) => h.workflowId === "sched-wf-freeze");
+
+      expect(fired()).toBe(false);
+      const skips = JSON.parse(readFileSync(join(tmpDir, "runs", "_schedule-skips.json"), "utf8"));
+      expect(skips["sched-wf-freeze:sched-trigger"]).toMatchObject({
+        skipCount: 1,
+        lastSkipReason: "blackout: deploy freeze",
+      });
+
+      // The window has ended, but the 10:00 tick was already consumed
+      vi.setSystemTime(new Date("2026-03-02T10:31:00Z"));
+      expect(fired()).toBe(false);
+      vi.setSystemTime(new Date("2026-03-02T10:59:59Z"));
+      expect(fired()).toBe(false);
+      vi.setSystemTime(new Date("2026-03-02T11:00:05Z"));
+      expect(fired()).toBe(true);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("getScheduleResolutionMs reports the shortest schedule period", () => {
+    expect(engine.getScheduleResolutionMs()).toBeNull();
+    const schedule = (id, config) => makeSimpleWorkflow(
+      [{ id: "sched-trigger", type: "trigger.schedule", label: id, config }],
+      [],
+      { id, name: id },
+    );
+    engine.save(schedule("sched-hourly", { intervalMs: 3600000 }));
+    engine.save(schedule("sched-minutely", { cron: "*/5 * * * *" }));
+    expect(engine.getScheduleResolutionMs()).toBe(300000);
+
+    engine.save(schedule("sched-seconds", { cron: "*/15 * * * * *" }));
+    expect(engine.getScheduleResolutionMs()).toBe(15000);
+    engine.save(schedule("sched-every", { cron: "@every 5s" }));
+    expect(engine.getScheduleResolutionMs()).toBe(5000);
+  });
+
   it("evaluateScheduleTriggers resolves templated schedule interval from workflow variables", async () => {
     const wf = makeSimpleWorkflow(
       [
@@ -403,7 +403,7 @@ describe("template-sync-engine", () => {
   it("has correct variables with sensible defaults", () => {
     const t = getTemplate("template-sync-engine");
     expect(t.variables.syncPolicy).toBe("internal-primary");
-    expect(t.variables.syncIntervalMs).toBe(60000);
+    expect(t.variables.syncIntervalMs).toBe(900000);
     expect(t.variables.failureAlertThreshold).toBe(3);
     expect(t.variables.rateLimitAlertThreshold).toBe(3);
     expect(t.variables.backoffIntervalMs).toBe(300000);
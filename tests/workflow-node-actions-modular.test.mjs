@@ -158,4 +158,48 @@ describe("workflow modular actions", () => {
     });
     expect(session?.status).toBe("implementation_done_commit_blocked");
   });
+
+  it("runs flow.map_reduce through the modular flow registry with ledger-linked child runs", async () => {
+    const nodeType = getNodeType("flow.map_reduce");
+    const ctx = {
+      id: "modular-map-run",
+      data: { _workflowId: "wf-parent", packages: ["core", "cli", "ui"] },
+      resolve(value) {
+        return value;
+      },
+      log: vi.fn(),
+    };
+    const engine = {
+      _recordLedgerEvent: vi.fn(),
+      execute: vi.fn(async (_workflowId, input) => ({
+        id: `child-${input.index}`,
+        errors: input.item === "ui" ? [{ nodeId: "lint", error: "lint failed" }] : [],
+        data: { _workflowTerminalOutput: { pkg: input.item } },
+      })),
+    };
+
+    const result = await nodeType.execute({
+      id: "audit-all",
+      type: "flow.map_reduce",
+      config: {
+        items: "$data.packages",
+        workflowId: "wf-audit",
+        maxConcurrency: 2,
+        failurePolicy: "collect_errors",
+        reduce: "$results.map((entry) => entry.pkg).join(',')",
+      },
+    }, ctx, engine);
+
+    expect(result).toMatchObject({ success: true, successCount: 2, failCount: 1, reduced: "core,cli" });
+    expect(engine.execute).toHaveBeenCalledWith(
+      "wf-audit",
+      expect.objectContaining({ item: "core", _workflowStack: ["wf-parent", "wf-audit"] }),
+      expect.objectContaining({ _parentRunId: "modular-map-run", _parentExecutionId: "map:modular-map-run:audit-all:0" }),
+    );
+    expect(engine._recordLedgerEvent).toHaveBeenCalledWith(expect.objectContaining({
+      eventType: "map_reduce.item_failed",
+      runId: "modular-map-run",
+      childRunId: "child-2",
+    }));
+  });
 });
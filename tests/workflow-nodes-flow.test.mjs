@@ -1,5 +1,5 @@
 /**
- * Tests for flow.try_catch and flow.parallel node types.
+ * Tests for flow.try_catch, flow.parallel and flow.map_reduce node types.
  *
  * Uses mock engines to verify sub-workflow execution, error handling,
  * retry logic, and parallel branch orchestration.
@@ -430,3 +430,175 @@ describe("flow.parallel node", () => {
     expect(result.results.good.success).toBe(true);
   });
 });
+
+// ── flow.map_reduce ─────────────────────────────────────────────────────────
+
+describe("flow.map_reduce node", () => {
+  const nodeType = getNodeType("flow.map_reduce");
+
+  /** Engine whose child runs fail for the listed items and echo the item otherwise. */
+  function makeMapEngine({ failItems = [], delayMs = 0 } = {}) {
+    const stats = { inFlight: 0, maxInFlight: 0 };
+    const engine = {
+      stats,
+      _recordLedgerEvent: vi.fn(),
+      execute: vi.fn(async (wfId, data) => {
+        stats.inFlight++;
+        stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+        stats.inFlight--;
+        const failed = failItems.includes(data.item);
+        return {
+          id: `run-${data.index}`,
+          errors: failed ? [{ nodeId: "audit", error: `audit of ${data.item} failed` }] : [],
+          data: { _workflowTerminalOutput: failed ? null : { pkg: data.item, issues: data.index } },
+        };
+      }),
+    };
+    return engine;
+  }
+
+  it("is registered", () => {
+    expect(nodeType).toBeDefined();
+    expect(nodeType.schema.properties.failurePolicy.enum).toEqual([
+      "fail_fast",
+      "collect_errors",
+      "min_success_ratio",
+    ]);
+  });
+
+  it("caps concurrency, keeps item order and reduces outputs", async () => {
+    const engine = makeMapEngine({ delayMs: 5 });
+    const node = makeNode("flow.map_reduce", {
+      items: "$data.packages",
+      workflowId: "wf-audit",
+      maxConcurrency: 2,
+      input: { depth: "full" },
+      reduce: "$results.reduce((sum, entry) => sum + entry.issues, 0)",
+      outputVariable: "audit",
+    });
+    const ctx = makeCtx({ packages: ["a", "b", "c", "d", "e"] });
+
+    const result = await nodeType.execute(node, ctx, engine);
+
+    expect(engine.stats.maxInFlight).toBe(2);
+    expect(engine.execute).toHaveBeenCalledTimes(5);
+    expect(result).toMatchObject({ success: true, total: 5, successCount: 5, failCount: 0, reduced: 10 });
+    expect(result.outputs.map((entry) => entry.pkg)).toEqual(["a", "b", "c", "d", "e"]);
+    expect(result.runIds).toEqual(["run-0", "run-1", "run-2", "run-3", "run-4"]);
+    expect(ctx.data.audit).toBe(result);
+    expect(engine.execute.mock.calls[0][1]).toMatchObject({ item: "a", index: 0, depth: "full" });
+  });
+
+  it("fail_fast stops scheduling after the first failure", async () => {
+    const engine = makeMapEngine({ failItems: ["b"] });
+    const node = makeNode("flow.map_reduce", {
+      items: ["a", "b", "c", "d"],
+      workflowId: "wf-audit",
+      maxConcurrency: 1,
+    });
+
+    const err = await nodeType.execute(node, makeCtx(), engine).catch((error) => error);
+
+    expect(err.message).toMatch(/1\/4 item\(s\) failed \(failurePolicy=fail_fast\): audit of b failed/);
+    expect(err.retryable).toBe(false);
+    expect(err.mapReduce).toMatchObject({ successCount: 1, failCount: 1, skippedCount: 2 });
+    expect(err.mapReduce.results.map((entry) => entry.status)).toEqual([
+      "completed",
+      "failed",
+      "skipped",
+      "skipped",
+    ]);
+    expect(engine.execute).toHaveBeenCalledTimes(2);
+  });
+
+  it("collect_errors runs every item and reports failures", async () => {
+    const engine = makeMapEngine({ failItems: ["a", "c"] });
+    const node = makeNode("flow.map_reduce", {
+      items: ["a", "b", "c"],
+      workflowId: "wf-audit",
+      failurePolicy: "collect_errors",
+      reduce: "$errors.length",
+    });
+
+    const result = await nodeType.execute(node, makeCtx(), engine);
+
+    expect(result).toMatchObject({ success: true, successCount: 1, failCount: 2, reduced: 2 });
+    expect(result.errors.map((entry) => entry.item)).toEqual(["a", "c"]);
+  });
+
+  it("min_success_ratio tolerates failures up to the ratio", async () => {
+    const node = makeNode("flow.map_reduce", {
+      items: ["a", "b", "c", "d"],
+      workflowId: "wf-audit",
+      maxConcurrency: 1,
+      failurePolicy: "min_success_ratio",
+      minSuccessRatio: 0.75,
+    });
+
+    const tolerated = await nodeType.execute(node, makeCtx(), makeMapEngine({ failItems: ["b"] }));
+    expect(tolerated).toMatchObject({ success: true, successCount: 3, successRatio: 0.75 });
+
+    const engine = makeMapEngine({ failItems: ["a", "b"] });
+    await expect(nodeType.execute(node, makeCtx(), engine)).rejects.toThrow(/failurePolicy=min_success_ratio/);
+    expect(engine.execute).toHaveBeenCalledTimes(2);
+  });
+
+  it("links child runs under the parent in the execution ledger", async () => {
+    const engine = makeMapEngine();
+    const node = makeNode("flow.map_reduce", { items: ["a"], workflowId: "wf-audit" }, "fanout");
+    const ctx = makeCtx({ _workflowId: "parent-workflow", _workflowRootRunId: "root-run-1" });
+
+    await nodeType.execute(node, ctx, engine);
+
+    expect(engine.execute).toHaveBeenCalledWith(
+      "wf-audit",
+      expect.objectContaining({
+        _workflowParentRunId: ctx.id,
+        _workflowStack: ["parent-workflow", "wf-audit"],
+        _mapReduceParentNodeId: "fanout",
+      }),
+      expect.objectContaining({
+        _parentRunId: ctx.id,
+        _rootRunId: "root-run-1",
+        _parentExecutionId: `map:${ctx.id}:fanout:0`,
+      }),
+    );
+    const events = engine._recordLedgerEvent.mock.calls.map(([event]) => event);
+    expect(events.map((event) => event.eventType)).toEqual([
+      "map_reduce.item_started",
+      "map_reduce.item_completed",
+    ]);
+    expect(events[1]).toMatchObject({
+      runId: ctx.id,
+      executionId: `map:${ctx.id}:fanout:0`,
+      parentExecutionId: `node:${ctx.id}:fanout`,
+      childRunId: "run-0",
+      status: "completed",
+    });
+  });
+
+  it("validates items, policy and recursion", async () => {
+    const engine = makeMapEngine();
+    await expect(nodeType.execute(
+      makeNode("flow.map_reduce", { items: "$data.missing.list", workflowId: "wf-audit" }),
+      makeCtx(),
+      engine,
+    )).rejects.toThrow(/items expression failed/);
+    await expect(nodeType.execute(
+      makeNode("flow.map_reduce", { items: "'abc'", workflowId: "wf-audit" }),
+      makeCtx(),
+      engine,
+    )).rejects.toThrow(/must resolve to an array/);
+    await expect(nodeType.execute(
+      makeNode("flow.map_reduce", { items: [], workflowId: "wf-audit", failurePolicy: "best_effort" }),
+      makeCtx(),
+      engine,
+    )).rejects.toThrow(/invalid failurePolicy/);
+    await expect(nodeType.execute(
+      makeNode("flow.map_reduce", { items: ["a"], workflowId: "wf-self" }),
+      makeCtx({ _workflowId: "wf-self" }),
+      engine,
+    )).rejects.toThrow(/recursive workflow call blocked/);
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtempSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { WorkflowEngine } from "../workflow/workflow-engine.mjs";
+import { registerNodeType } from "../workflow/workflow-nodes.mjs";
+import {
+  extractReplayInput,
+  formatReplayReport,
+  isReplayPureNodeType,
+} from "../workflow/workflow-replay.mjs";
+import { executeWorkflowCommand } from "../workflow/workflow-cli.mjs";
+
+let tmpDir;
+let engine;
+let sideEffects;
+let nextScore;
+
+function makeWorkflow(threshold = 5) {
+  return {
+    id: "wf-replay",
+    name: "Replayable Workflow",
+    enabled: true,
+    nodes: [
+      { id: "trigger", type: "trigger.manual", label: "Start", config: {} },
+      { id: "score", type: "test.replay_effect", label: "Score", config: { kind: "score" } },
+      {
+        id: "gate",
+        type: "condition.expression",
+        label: "Gate",
+        config: { expression: `$output.score.score > ${threshold}` },
+      },
+      { id: "ship", type: "test.replay_effect", label: "Ship", config: { kind: "ship" } },
+      { id: "hold", type: "test.replay_effect", label: "Hold", config: { kind: "hold" } },
+    ],
+    edges: [
+      { id: "e1", source: "trigger", target: "score" },
+      { id: "e2", source: "score", target: "gate" },
+      { id: "e3", source: "gate", target: "ship", condition: "$output.result === true" },
+      { id: "e4", source: "gate", target: "hold", condition: "$output.result === false" },
+    ],
+  };
+}
+
+describe("workflow run replay", () => {
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "wf-replay-test-"));
+    engine = new WorkflowEngine({
+      workflowDir: join(tmpDir, "workflows"),
+      runsDir: join(tmpDir, "runs"),
+      detectInterruptedRuns: false,
+    });
+    sideEffects = [];
+    nextScore = 7;
+    registerNodeType("test.replay_effect", {
+      describe: () => "Record a side effect and return a score",
+      schema: { type: "object", properties: { kind: { type: "string" } } },
+      async execute(node) {
+        sideEffects.push(node.config.kind);
+        return { kind: node.config.kind, score: nextScore };
+      },
+    });
+    engine.save(makeWorkflow());
+  });
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("classifies pure and side-effecting node types", () => {
+    expect(isReplayPureNodeType("condition.expression")).toBe(true);
+    expect(isReplayPureNodeType("transform.template")).toBe(true);
+    expect(isReplayPureNodeType("condition.file_exists")).toBe(false);
+    expect(isReplayPureNodeType("action.run_agent")).toBe(false);
+    expect(isReplayPureNodeType("notify.telegram")).toBe(false);
+  });
+
+  it("strips engine bookkeeping from the recorded input", () => {
+    expect(extractReplayInput({
+      taskId: "T-1",
+      _triggerSource: "manual",
+      _workflowId: "wf",
+      _dagState: {},
+      _replayTrajectory: {},
+    })).toEqual({ taskId: "T-1", _triggerSource: "manual" });
+  });
+
+  it("replays with recorded outputs and reports no divergence when unchanged", async () => {
+    const original = await engine.execute("wf-replay", { taskId: "T-1" });
+    expect(sideEffects).toEqual(["score", "ship"]);
+
+    nextScore = 0; // a live re-run would now take the other branch
+    const { report, ctx } = await engine.replayRun(original.id);
+
+    expect(sideEffects).toEqual(["score", "ship"]);
+    expect(ctx.data._replayOf).toBe(original.id);
+    expect(ctx.data.taskId).toBe("T-1");
+    expect(ctx.getNodeOutput("score")).toEqual({ kind: "score", score: 7 });
+    expect(report.diverged).toBe(false);
+    expect(report.stubbed).toBe(3); // trigger, score, ship
+    expect(report.reevaluated).toBe(1);
+  });
+
+  it("reports branch divergence after a condition is edited", async () => {
+    const original = await engine.execute("wf-replay", {});
+    engine.save(makeWorkflow(10));
+
+    const { report } = await engine.replayRun(original.id);
+
+    expect(sideEffects).toEqual(["score", "ship"]);
+    expect(report.diverged).toBe(true);
+    const byNode = Object.fromEntries(report.divergences.map((entry) => [entry.nodeId, entry]));
+    expect(byNode.gate).toMatchObject({
+      kind: "branch",
+      original: { branch: true },
+      replay: { branch: false },
+    });
+    expect(byNode.ship).toMatchObject({ kind: "path", original: { status: "completed" } });
+    // "hold" never ran originally, so there is nothing to stub it with
+    expect(byNode.hold).toMatchObject({ kind: "unrecorded", replay: { status: "failed" } });
+    expect(formatReplayReport(report).join("\n")).toContain("branch  gate [Gate]: true → false");
+  });
+
+  it("can replay the definition the run executed", async () => {
+    const original = await engine.execute("wf-replay", {});
+    engine.save(makeWorkflow(10));
+
+    const { report } = await engine.replayRun(original.id, { useRecordedDefinition: true });
+    expect(report.diverged).toBe(false);
+  });
+
+  it("re-evaluates node types listed in reevaluate", async () => {
+    const original = await engine.execute("wf-replay", {});
+    nextScore = 1;
+
+    const { report } = await engine.replayRun(original.id, { reevaluate: ["test.*"] });
+    expect(sideEffects).toEqual(["score", "ship", "score", "hold"]);
+    expect(report.divergences.map((entry) => entry.kind)).toEqual(
+      expect.arrayContaining(["output", "branch", "path"]),
+    );
+  });
+
+  it("rejects unknown runs", async () => {
+    await expect(engine.replayRun("missing-run")).rejects.toThrow(/not found/);
+  });
+
+  it("exposes replay through the workflow CLI", async () => {
+    const original = await engine.execute("wf-replay", {});
+    engine.save(makeWorkflow(10));
+    const stdout = [];
+
+    const response = await executeWorkflowCommand(["workflow", "replay", original.id], {
+      engine,
+      stdout: (line) => stdout.push(line),
+    });
+
+    expect(response.ok).toBe(true);
+    expect(response.report.diverged).toBe(true);
+    expect(stdout[0]).toContain(`replay of ${original.id}`);
+    expect(stdout.some((line) => line.startsWith("- branch  gate"))).toBe(true);
+    await expect(executeWorkflowCommand(["workflow", "replay"], { engine })).rejects.toThrow(/Run ID is required/);
+  });
+});
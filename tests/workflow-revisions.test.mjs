@@ -0,0 +1,147 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { existsSync, mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import { WorkflowEngine } from "../workflow/workflow-engine.mjs";
+import { registerNodeType } from "../workflow/workflow-nodes.mjs";
+import {
+  WorkflowRevisionStore,
+  computeWorkflowContentHash,
+} from "../workflow/workflow-revisions.mjs";
+
+let tmpDir;
+let engine;
+
+function makeWorkflow(overrides = {}) {
+  return {
+    id: "wf-revisions",
+    name: "Revisioned Workflow",
+    enabled: true,
+    nodes: [
+      { id: "trigger", type: "trigger.manual", label: "Start", config: {} },
+      { id: "step", type: "test.revision_step", label: "Step", config: { value: "one" } },
+    ],
+    edges: [{ id: "e1", source: "trigger", target: "step" }],
+    variables: {},
+    ...overrides,
+  };
+}
+
+describe("workflow revision history", () => {
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "wf-revisions-test-"));
+    engine = new WorkflowEngine({
+      workflowDir: join(tmpDir, "workflows"),
+      runsDir: join(tmpDir, "runs"),
+      detectInterruptedRuns: false,
+    });
+    registerNodeType("test.revision_step", {
+      describe: () => "Echo config value",
+      schema: { type: "object", properties: { value: { type: "string" } } },
+      async execute(node) {
+        return { value: node.config?.value ?? null };
+      },
+    });
+  });
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("appends a revision with author and content hash on every content change", () => {
+    engine.save(makeWorkflow(), { author: "alice" });
+    const second = makeWorkflow();
+    second.nodes[1].config.value = "two";
+    const saved = engine.save(second, { author: "bob", reason: "tweak value" });
+
+    expect(saved.metadata.revision).toBe(2);
+    expect(saved.metadata.revisionAuthor).toBe("bob");
+
+    const revisions = engine.listRevisions("wf-revisions");
+    expect(revisions.map((entry) => entry.rev)).toEqual([2, 1]);
+    expect(revisions[0]).toMatchObject({ author: "bob", reason: "tweak value", parentRev: 1 });
+    expect(revisions[1]).toMatchObject({ author: "alice", parentRev: null });
+    expect(revisions[0].hash).toMatch(/^[0-9a-f]{16}$/);
+    expect(revisions[0].hash).not.toBe(revisions[1].hash);
+    expect(revisions[0].definition).toBeUndefined();
+
+    const file = join(tmpDir, "workflow-revisions", "wf-revisions.jsonl");
+    expect(existsSync(file)).toBe(true);
+    expect(readFileSync(file, "utf8").trim().split("\n")).toHaveLength(2);
+  });
+
+  it("collapses saves that do not change the content", () => {
+    engine.save(makeWorkflow(), { author: "alice" });
+    const resaved = engine.save(engine.get("wf-revisions"), { author: "bob" });
+    expect(resaved.metadata.revision).toBe(1);
+    const stale = engine.get("wf-revisions");
+    stale.metadata = { ...stale.metadata, diagnostics: [{ severity: "warning", code: "stale" }] };
+    expect(engine.save(stale, { author: "bob" }).metadata.revision).toBe(1);
+    expect(engine.listRevisions("wf-revisions")).toHaveLength(1);
+  });
+
+  it("returns the saved definition for a revision and diffs revisions", () => {
+    engine.save(makeWorkflow(), { author: "alice" });
+    const next = makeWorkflow();
+    next.nodes.push({ id: "extra", type: "test.revision_step", label: "Extra", config: {} });
+    next.edges.push({ id: "e2", source: "step", target: "extra" });
+    engine.save(next, { author: "alice" });
+
+    const first = engine.getRevision("wf-revisions", 1);
+    expect(first.definition.nodes).toHaveLength(2);
+    expect(first.definition.metadata.revision).toBeUndefined();
+    expect(engine.getRevision("wf-revisions", 9)).toBeNull();
+
+    const diff = engine.diffRevisions("wf-revisions", 1);
+    expect(diff).toMatchObject({ fromRev: 1, toRev: 2, changed: true });
+    expect(diff.nodesDiff.added).toEqual(["extra"]);
+    expect(diff.edgesDiff.added).toEqual(["step->extra"]);
+  });
+
+  it("rolls back by saving the old definition as a new revision", () => {
+    engine.save(makeWorkflow(), { author: "alice" });
+    const broken = makeWorkflow();
+    broken.nodes[1].config.value = "broken";
+    engine.save(broken, { author: "bob" });
+
+    const restored = engine.rollback("wf-revisions", 1, { author: "carol" });
+    expect(restored.nodes[1].config.value).toBe("one");
+    expect(restored.metadata.revision).toBe(3);
+    expect(engine.get("wf-revisions").nodes[1].config.value).toBe("one");
+
+    const [latest] = engine.listRevisions("wf-revisions");
+    expect(latest).toMatchObject({ rev: 3, author: "carol", rollbackOf: 1, reason: "rollback to r1" });
+    expect(latest.hash).toBe(engine.listRevisions("wf-revisions")[2].hash);
+    expect(() => engine.rollback("wf-revisions", 42)).toThrow(/Revision 42 not found/);
+  });
+
+  it("tags run records with the revision they executed", async () => {
+    engine.save(makeWorkflow(), { author: "alice" });
+    const ctx = await engine.execute("wf-revisions", {});
+    expect(ctx.data._workflowRevision).toBe(1);
+
+    const history = engine.getRunHistory("wf-revisions");
+    expect(history[0]).toMatchObject({ workflowRevision: 1 });
+    expect(history[0].workflowRevisionHash).toBe(engine.get("wf-revisions").metadata.revisionHash);
+  });
+
+  it("reloads history from disk in a fresh store", () => {
+    engine.save(makeWorkflow(), { author: "alice" });
+    const store = new WorkflowRevisionStore({ revisionsDir: join(tmpDir, "workflow-revisions") });
+    expect(store.latest("wf-revisions")).toMatchObject({ rev: 1, author: "alice" });
+  });
+
+  it("ignores volatile metadata when hashing", () => {
+    const base = makeWorkflow({ metadata: { updatedAt: "a", version: 1, createdAt: "x" } });
+    const bumped = makeWorkflow({
+      metadata: {
+        updatedAt: "b",
+        version: 7,
+        revision: 3,
+        createdAt: "x",
+        diagnostics: [{ severity: "warning", code: "unreachable-node", nodeId: "n1" }],
+      },
+    });
+    expect(computeWorkflowContentHash(base)).toBe(computeWorkflowContentHash(bumped));
+  });
+});
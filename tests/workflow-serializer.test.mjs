@@ -1,10 +1,17 @@
-import { describe, it, expect } from "vitest";
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
 import {
   serializeWorkflowToCode,
+  serializeWorkflowToYaml,
   deserializeCodeToWorkflow,
   validateWorkflowCode,
   diffWorkflowCode,
+  detectWorkflowCodeFormat,
 } from "../workflow/workflow-serializer.mjs";
+import { WorkflowEngine } from "../workflow/workflow-engine.mjs";
+import "../workflow/workflow-nodes.mjs";
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -432,3 +439,152 @@ describe("Round-trip: serialize → deserialize", () => {
     expect(workflow.edges[0].target).toBe(wf.edges[0].target);
   });
 });
+
+// ── YAML ────────────────────────────────────────────────────────────────────
+
+const NIGHTLY_YAML = `# Nightly checks — owned by the platform team
+id: wf-nightly
+name: Nightly # shown in the sidebar
+nodes:
+  # entry point
+  - id: start
+    type: trigger.manual
+  - id: test
+    type: action.run_command
+    config:
+      command: npm test # keep fast
+  - $ref: ./shared/notify.yaml
+edges:
+  - source: start
+    target: test
+`;
+
+const NOTIFY_YAML = `# Shared notification tail
+nodes:
+  - id: notify
+    type: notify.log
+    config:
+      message: nightly done
+edges:
+  - source: test
+    target: notify
+`;
+
+describe("YAML workflows", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), "wf-yaml-"));
+    mkdirSync(join(dir, "shared"), { recursive: true });
+    writeFileSync(join(dir, "shared", "notify.yaml"), NOTIFY_YAML, "utf8");
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("detects the format from the code", () => {
+    expect(detectWorkflowCodeFormat('{ "name": "x" }')).toBe("json");
+    expect(detectWorkflowCodeFormat("name: x")).toBe("yaml");
+  });
+
+  it("serializes to YAML without defaults and reads it back", () => {
+    const wf = makeWorkflow({ category: "custom", nodes: [{ id: "n1", type: "trigger.manual" }], edges: [] });
+    const { code, metadata } = serializeWorkflowToYaml(wf);
+
+    expect(code).toContain("name: Test Workflow");
+    expect(code).not.toContain("category:");
+    expect(code).not.toContain("position:");
+    expect(metadata.nodeCount).toBe(1);
+    const { workflow, errors } = deserializeCodeToWorkflow(code);
+    expect(errors).toEqual([]);
+    expect(workflow).toMatchObject({ name: wf.name, category: "custom", variables: wf.variables });
+  });
+
+  it("resolves $ref includes into nodes and edges", () => {
+    const { workflow, errors } = deserializeCodeToWorkflow(NIGHTLY_YAML, { baseDir: dir });
+
+    expect(errors).toEqual([]);
+    expect(workflow.nodes.map((node) => node.id)).toEqual(["start", "test", "notify"]);
+    expect(workflow.edges).toEqual(expect.arrayContaining([
+      expect.objectContaining({ source: "start", target: "test" }),
+      expect.objectContaining({ source: "test", target: "notify" }),
+    ]));
+    expect(deserializeCodeToWorkflow(NIGHTLY_YAML).errors[0]).toMatch(/Cannot resolve \$ref/);
+
+    writeFileSync(join(dir, "loop.yaml"), "nodes:\n  - $ref: ./loop.yaml\n", "utf8");
+    const loop = deserializeCodeToWorkflow("name: Loop\nnodes:\n  - $ref: ./loop.yaml\nedges: []\n", { baseDir: dir });
+    expect(loop.errors[0]).toMatch(/circular include/);
+  });
+
+  it("keeps comments, key order and includes when updating YAML in place", () => {
+    const { workflow } = deserializeCodeToWorkflow(NIGHTLY_YAML, { baseDir: dir });
+    workflow.id = "wf-nightly";
+    workflow.nodes = workflow.nodes.map((node) => (
+      node.id === "test" ? { ...node, config: { command: "npm run test:ci" } } : node
+    ));
+    workflow.nodes.push({ id: "lint", type: "action.run_command", config: { command: "npm run lint" } });
+    workflow.edges.push({ source: "start", target: "lint" });
+
+    const { code } = serializeWorkflowToYaml(workflow, { source: NIGHTLY_YAML, baseDir: dir });
+
+    expect(code).toContain("# Nightly checks — owned by the platform team\nid: wf-nightly\nname: Nightly # shown in the sidebar");
+    expect(code).toContain("# entry point");
+    expect(code).toContain("command: npm run test:ci # keep fast");
+    expect(code).toContain("- $ref: ./shared/notify.yaml");
+    expect(code).not.toContain("nightly done");
+    expect(code.indexOf("id: lint")).toBeGreaterThan(code.indexOf("$ref"));
+    expect(deserializeCodeToWorkflow(code, { baseDir: dir }).workflow.nodes.map((node) => node.id))
+      .toEqual(["start", "test", "notify", "lint"]);
+  });
+
+  it("validates and diffs either format", () => {
+    const invalid = validateWorkflowCode("name: Broken\nnodes: [\n");
+    expect(invalid.valid).toBe(false);
+    expect(invalid.errors[0].message).toContain("YAML syntax error");
+    expect(invalid.errors[0].line).toBeGreaterThan(0);
+    expect(validateWorkflowCode("name: Missing nodes\n").errors).toEqual([
+      { message: "'nodes' must be an array" },
+      { message: "'edges' must be an array" },
+    ]);
+    expect(validateWorkflowCode(NIGHTLY_YAML, { baseDir: dir })).toEqual({ valid: true, errors: [] });
+
+    const json = serializeWorkflowToCode(deserializeCodeToWorkflow(NIGHTLY_YAML, { baseDir: dir }).workflow).code;
+    const yaml = NIGHTLY_YAML.replace("npm test", "npm run test:ci").replace("  - $ref: ./shared/notify.yaml\n", "");
+    const diff = diffWorkflowCode(json, yaml, { baseDir: dir });
+    expect(diff.nodesDiff.removed).toEqual(["notify"]);
+    expect(diff.nodesDiff.modified).toContain("test");
+    expect(diff.edgesDiff.removed).toEqual(["test->notify"]);
+  });
+
+  it("loads *.workflow.yaml files and saves them back in place", () => {
+    const workflowDir = join(dir, "workflows");
+    mkdirSync(join(workflowDir, "shared"), { recursive: true });
+    writeFileSync(join(workflowDir, "shared", "notify.yaml"), NOTIFY_YAML, "utf8");
+    writeFileSync(join(workflowDir, "nightly.workflow.yaml"), NIGHTLY_YAML, "utf8");
+    writeFileSync(
+      join(workflowDir, "weekly.workflow.yml"),
+      "name: Weekly\nnodes:\n  - id: start\n    type: trigger.manual\nedges: []\n",
+      "utf8",
+    );
+    const engine = new WorkflowEngine({ workflowDir, runsDir: join(dir, "runs"), detectInterruptedRuns: false });
+    engine.load();
+
+    expect(engine.get("weekly")).toMatchObject({ name: "Weekly", metadata: { sourceFile: "weekly.workflow.yml" } });
+    const nightly = engine.get("wf-nightly");
+    expect(nightly.nodes.map((node) => node.id)).toEqual(["start", "test", "notify"]);
+
+    engine.save({ ...nightly, name: "Nightly checks" });
+    const written = readFileSync(join(workflowDir, "nightly.workflow.yaml"), "utf8");
+    expect(written).toContain("name: Nightly checks # shown in the sidebar");
+    expect(written).toContain("- $ref: ./shared/notify.yaml");
+    expect(existsSync(join(workflowDir, "wf-nightly.json"))).toBe(false);
+
+    const copy = engine.save({ ...nightly, id: "wf-nightly-copy" });
+    expect(copy.metadata.sourceFile).toBeUndefined();
+    expect(existsSync(join(workflowDir, "wf-nightly-copy.json"))).toBe(true);
+
+    engine.delete("weekly");
+    expect(existsSync(join(workflowDir, "weekly.workflow.yml"))).toBe(false);
+  });
+});
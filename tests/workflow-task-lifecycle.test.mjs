@@ -3716,7 +3716,7 @@ describe("template-task-lifecycle", () => {
       "workflow-contract-validation", "build-prompt", "run-agent-plan", "run-agent-tests", "run-agent-implement",
       "claim-stolen", "detect-commits", "has-commits",
       "pre-pr-validation", "pre-pr-validation-ok", "set-fix-summary", "auto-fix-validation", "retry-pre-pr-validation", "retry-validation-ok", "log-validation-failed", "set-blocked-validation-failed", "notify-validation-blocked",
-      "push-branch", "push-ok", "build-pr-body", "create-pr", "set-inreview", "handoff-pr-progressor", "log-success",
+      "push-branch", "push-ok", "build-pr-body", "create-pr", "acceptance-criteria", "acceptance-ok", "set-acceptance-feedback", "auto-fix-acceptance", "push-acceptance-fix", "acceptance-criteria-retry", "set-inreview", "handoff-pr-progressor", "log-success",
       "log-no-commits", "set-todo-cooldown", "build-pr-body-stolen", "create-pr-retry", "pr-created-stolen", "set-inreview-stolen", "handoff-pr-progressor-stolen", "log-claim-stolen-recovered",
       "release-worktree", "release-claim", "release-slot",
     ];
@@ -3777,12 +3777,100 @@ describe("template-task-lifecycle", () => {
     // gate requires success AND an actual PR reference
     expect(prCreated?.config?.expression).toContain("success === true");
     expect(t.edges.find((e) => e.source === "create-pr" && e.target === "pr-created")).toBeDefined();
-    expect(t.edges.find((e) => e.source === "pr-created" && e.target === "set-inreview")).toBeDefined();
+    expect(t.edges.find((e) => e.source === "pr-created" && e.target === "acceptance-criteria")).toBeDefined();
+    expect(t.edges.find((e) => e.source === "acceptance-criteria" && e.target === "acceptance-ok")).toBeDefined();
+    expect(t.edges.find((e) => e.source === "acceptance-ok" && e.target === "set-inreview")?.sourcePort).toBe("yes");
+    expect(t.edges.find((e) => e.source === "acceptance-ok" && e.target === "set-acceptance-feedback")?.sourcePort).toBe("no");
+    expect(t.edges.find((e) => e.source === "acceptance-criteria-retry" && e.target === "set-inreview")).toBeDefined();
     expect(t.edges.find((e) => e.source === "pr-created" && e.target === "set-todo-push-failed")).toBeDefined();
     expect(t.edges.find((e) => e.source === "set-inreview" && e.target === "handoff-pr-progressor")).toBeDefined();
     expect(t.edges.find((e) => e.source === "handoff-pr-progressor" && e.target === "log-success")).toBeDefined();
   });
 
+  it("feeds failed acceptance criteria back to the agent and re-evaluates before inreview", async () => {
+    const { addTask, configureTaskStore, getTask } = await import("../task/task-store.mjs");
+    const { getKanbanAdapter, setKanbanBackend } = await import("../kanban/kanban-adapter.mjs");
+    configureTaskStore({ storePath: join(tmpDir, "kanban-state.json") });
+    setKanbanBackend("internal");
+
+    const repo = join(tmpDir, "repo");
+    mkdirSync(join(repo, "src"), { recursive: true });
+    const git = (command) => execGit(command, { cwd: repo, stdio: "pipe" });
+    git("git init -q -b main");
+    git("git config user.email lifecycle@example.com");
+    git("git config user.name Lifecycle");
+    writeFileSync(join(repo, "README.md"), "# repo\n");
+    git("git add -A");
+    git("git commit -q -m init");
+    git("git checkout -q -b task/login");
+    writeFileSync(join(repo, "src", "login.mjs"), "export const login = () => true;\n");
+    writeFileSync(join(repo, "src", "legacy.mjs"), "export const legacy = true;\n");
+    git("git add -A");
+    git("git commit -q -m login");
+
+    // The agent and push steps are stood in for by commands so the
+    // remediation branch runs end to end against a real worktree.
+    const t = getTemplate("template-task-lifecycle");
+    const ids = new Set([
+      "acceptance-criteria", "acceptance-ok", "set-acceptance-feedback", "auto-fix-acceptance",
+      "push-acceptance-fix", "acceptance-criteria-retry", "set-inreview",
+    ]);
+    const standIns = {
+      "auto-fix-acceptance": {
+        type: "action.run_command",
+        config: { command: "git rm -q src/legacy.mjs && git commit -q -m \"fix: drop legacy\"", cwd: repo },
+      },
+      "push-acceptance-fix": { type: "notify.log", config: { message: "pushed" } },
+    };
+    engine.services = { kanban: getKanbanAdapter() };
+    engine.save({
+      id: "lifecycle-acceptance",
+      name: "Lifecycle Acceptance",
+      enabled: true,
+      nodes: t.nodes.filter((n) => ids.has(n.id)).map((n) => ({ ...n, ...standIns[n.id] })),
+      edges: t.edges.filter((e) => ids.has(e.source) && ids.has(e.target)),
+    });
+
+    addTask({
+      id: "ac-pass",
+      title: "Harden login",
+      status: "inprogress",
+      acceptanceCriteria: [{ kind: "files_changed", pattern: "src/login.mjs" }, { kind: "command", command: "git --version" }],
+    });
+    addTask({
+      id: "ac-fix",
+      title: "Harden login without the legacy module",
+      status: "inprogress",
+      acceptanceCriteria: [{ kind: "files_unchanged", pattern: "src/legacy.mjs" }],
+    });
+    const run = (taskId) => engine.execute("lifecycle-acceptance", {
+      taskId,
+      taskTitle: getTask(taskId).title,
+      worktreePath: repo,
+      baseBranch: "main",
+    });
+
+    const passed = await run("ac-pass");
+    expect(passed.getNodeOutput("acceptance-criteria")).toMatchObject({ passed: true, skipped: false });
+    expect(passed.getNodeOutput("auto-fix-acceptance")).toBeUndefined();
+    expect(passed.getNodeOutput("set-inreview")).toMatchObject({ success: true, status: "inreview" });
+
+    const fixed = await run("ac-fix");
+    expect(fixed.getNodeOutput("acceptance-criteria")).toMatchObject({ passed: false, failedCriteria: ["files_unchanged-1"] });
+    expect(fixed.data.acceptanceFeedback).toContain("- [files_unchanged] No file matching `src/legacy.mjs` is changed");
+    expect(fixed.data.acceptanceFeedback).toContain("unexpected changes: src/legacy.mjs");
+    expect(fixed.getNodeOutput("acceptance-criteria-retry")).toMatchObject({ passed: true, skipped: false });
+    expect(fixed.getNodeOutput("set-inreview")).toMatchObject({ success: true, status: "inreview" });
+    expect(getTask("ac-fix").timeline.filter((event) => event.type === "acceptance.evaluated")
+      .map((event) => event.payload.passed)).toEqual([false, true]);
+
+    const adapter = getKanbanAdapter();
+    await adapter.updateTaskStatus("ac-pass", "done", { source: "pr-merged" });
+    await adapter.updateTaskStatus("ac-fix", "done", { source: "pr-merged" });
+    expect(getTask("ac-pass").status).toBe("done");
+    expect(getTask("ac-fix").status).toBe("done");
+  });
+
   it("runs pre-PR validation before pushing", () => {
     const t = getTemplate("template-task-lifecycle");
     expect(t.edges.find((e) => e.source === "has-commits" && e.target === "pre-pr-validation")).toBeDefined();
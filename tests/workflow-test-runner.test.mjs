@@ -0,0 +1,188 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { tmpdir } from "node:os";
+import {
+  WorkflowTestMocks,
+  discoverWorkflowTests,
+  formatJUnitReport,
+  formatTapReport,
+  runWorkflowTests,
+} from "../workflow/workflow-test-runner.mjs";
+import { executeWorkflowCommand } from "../workflow/workflow-cli.mjs";
+
+let tmpDir;
+
+function makeWorkflow() {
+  return {
+    id: "wf-review",
+    name: "Review Gate",
+    enabled: true,
+    variables: { threshold: 5 },
+    nodes: [
+      { id: "trigger", type: "trigger.manual", label: "Start", config: {} },
+      { id: "review", type: "action.run_agent", label: "Review", config: { prompt: "Score {{taskId}}" } },
+      {
+        id: "gate",
+        type: "condition.expression",
+        label: "Gate",
+        config: { expression: "$output.review.score > $ctx.variables.threshold" },
+      },
+      { id: "ship", type: "action.set_variable", label: "Ship", config: { key: "verdict", value: "ship" } },
+      { id: "hold", type: "action.set_variable", label: "Hold", config: { key: "verdict", value: "hold" } },
+    ],
+    edges: [
+      { id: "e1", source: "trigger", target: "review" },
+      { id: "e2", source: "review", target: "gate" },
+      { id: "e3", source: "gate", target: "ship", condition: "$output.result === true" },
+      { id: "e4", source: "gate", target: "hold", condition: "$output.result === false" },
+    ],
+  };
+}
+
+function writeJson(name, value) {
+  const filePath = join(tmpDir, name);
+  writeFileSync(filePath, JSON.stringify(value, null, 2), "utf8");
+  return filePath;
+}
+
+describe("workflow test runner", () => {
+  beforeEach(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), "wf-test-runner-"));
+    writeJson("review-gate.json", makeWorkflow());
+  });
+
+  afterEach(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("runs cases against mocked node outputs", async () => {
+    const file = writeJson("review-gate.wftest.json", {
+      tests: [
+        {
+          name: "ships high scores",
+          input: { taskId: "T-1" },
+          mocks: { nodes: { review: { success: true, score: 9 } } },
+          expect: {
+            status: "completed",
+            visited: ["review", "gate", "ship"],
+            notVisited: ["hold"],
+            outputs: { gate: { result: true } },
+            data: { verdict: "ship", taskId: "T-1" },
+          },
+        },
+        {
+          name: "holds when the threshold is raised",
+          variables: { threshold: 10 },
+          mocks: { types: { "action.run_agent": { success: true, score: 9 } } },
+          expect: { visited: ["hold"], notVisited: ["ship"], data: { verdict: "hold" }, variables: { threshold: 10 } },
+        },
+      ],
+    });
+
+    const summary = await runWorkflowTests({ files: [file], cwd: tmpDir });
+
+    expect(summary.results.map((entry) => entry.failures)).toEqual([[], []]);
+    expect(summary).toMatchObject({ ok: true, total: 2, passed: 2, failed: 0 });
+  });
+
+  it("fails unmocked agent nodes instead of starting agents", async () => {
+    const file = writeJson("review-gate.wftest.json", {
+      name: "forgot the mock",
+      expect: { status: "completed" },
+    });
+
+    const summary = await runWorkflowTests({ files: [file], cwd: tmpDir });
+
+    expect(summary.ok).toBe(false);
+    expect(summary.results[0].errors.join("\n")).toMatch(/review: .*has no mock/);
+    expect(summary.results[0].failures[0]).toMatch(/expected status completed, got failed/);
+  });
+
+  it("reports failed expectations and mocked errors", async () => {
+    const file = writeJson("review-gate.wftest.json", {
+      tests: [{
+        name: "agent crash",
+        mocks: { nodes: { review: { $error: "agent crashed" } } },
+        expect: { status: "completed", visited: ["ship"], data: { verdict: "ship" } },
+      }],
+    });
+
+    const summary = await runWorkflowTests({ files: [file], cwd: tmpDir });
+    const [result] = summary.results;
+
+    expect(result.ok).toBe(false);
+    expect(result.errors).toEqual(["review: agent crashed"]);
+    expect(result.failures).toEqual(expect.arrayContaining([
+      "expected status completed, got failed",
+      'data.verdict: expected "ship", got undefined',
+    ]));
+  });
+
+  it("requires mocks for every impure node in strict mode", () => {
+    const mocks = new WorkflowTestMocks({ nodes: { review: {} } }, { strict: true });
+    expect(mocks.shouldStub({ id: "review", type: "action.run_agent" })).toBe(true);
+    expect(mocks.shouldStub({ id: "gate", type: "condition.expression" })).toBe(false);
+    expect(mocks.shouldStub({ id: "cmd", type: "action.run_command" })).toBe(true);
+    expect(mocks.shouldStub({ id: "trigger", type: "trigger.manual" })).toBe(false);
+    expect(new WorkflowTestMocks({}).shouldStub({ id: "cmd", type: "action.run_command" })).toBe(false);
+  });
+
+  it("renders TAP and JUnit reports", async () => {
+    const file = writeJson("review-gate.wftest.json", {
+      tests: [
+        { name: "passes", mocks: { nodes: { review: { score: 9 } } }, expect: { visited: ["ship"] } },
+        { name: "fails <badly>", mocks: { nodes: { review: { score: 1 } } }, expect: { visited: ["ship"] } },
+      ],
+    });
+    const summary = await runWorkflowTests({ files: [file], cwd: tmpDir });
+
+    const tap = formatTapReport(summary);
+    expect(tap).toContain("1..2");
+    expect(tap).toContain("ok 1 - review-gate.wftest.json > passes");
+    expect(tap).toContain("not ok 2 - review-gate.wftest.json > fails <badly>");
+    expect(tap).toContain("# fail 1");
+
+    const junit = formatJUnitReport(summary);
+    expect(junit).toContain('<testsuite name="review-gate.wftest.json" tests="2" failures="1"');
+    expect(junit).toContain('<testcase name="fails &lt;badly&gt;" classname="wf-review"');
+    expect(junit).toContain('<failure message="expected node &quot;ship&quot; to be visited');
+  });
+
+  it("resolves workflows by id and reports missing ones", async () => {
+    writeJson("by-id.wftest.json", {
+      workflow: "wf-review",
+      mocks: { nodes: { review: { score: 9 } } },
+      expect: { visited: ["ship"] },
+    });
+    writeJson("missing.wftest.json", { workflow: "nope", expect: {} });
+
+    const files = discoverWorkflowTests(tmpDir);
+    expect(files.map((file) => file.slice(tmpDir.length + 1))).toEqual(["by-id.wftest.json", "missing.wftest.json"]);
+
+    const summary = await runWorkflowTests({ files, cwd: tmpDir });
+    expect(summary.results[0].ok).toBe(true);
+    expect(summary.results[1]).toMatchObject({ ok: false, name: "load" });
+    expect(summary.results[1].failures[0]).toMatch(/Workflow "nope".*not found/);
+  });
+
+  it("exposes the runner through the workflow CLI", async () => {
+    writeJson("review-gate.wftest.json", {
+      name: "ships",
+      mocks: { nodes: { review: { score: 9 } } },
+      expect: { visited: ["ship"] },
+    });
+    const stdout = [];
+
+    const response = await executeWorkflowCommand(
+      ["workflow", "test", "--dir", tmpDir, "--format", "junit", "--output", "report.xml"],
+      { cwd: tmpDir, stdout: (line) => stdout.push(line) },
+    );
+
+    expect(response.ok).toBe(true);
+    expect(stdout).toEqual(["tests=1 passed=1 failed=0 report=report.xml"]);
+    expect(readFileSync(join(tmpDir, "report.xml"), "utf8")).toContain('<testcase name="ships"');
+    await expect(executeWorkflowCommand(["workflow", "test", join(tmpDir, "nothing")], { cwd: tmpDir }))
+      .rejects.toThrow(/No \*\.wftest\.json files found/);
+  });
+});
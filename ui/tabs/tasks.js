@@ -2596,6 +2596,143 @@ function TriggerTemplatesModal({ onClose }) {
   `;
 }
 
+/* ─── SyncConflictsModal — fields edited locally and externally ─── */
+export function formatSyncConflictValue(value) {
+  if (Array.isArray(value)) return value.length ? value.join(", ") : "(none)";
+  if (value == null || value === "") return "(empty)";
+  return String(value);
+}
+
+function SyncConflictsModal({ onClose, onResolved }) {
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [conflicts, setConflicts] = useState([]);
+  const [busyKey, setBusyKey] = useState("");
+  const [customValues, setCustomValues] = useState({});
+
+  const loadConflicts = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const res = await apiFetch("/api/tasks/sync-conflicts", { _silent: true });
+      setConflicts(Array.isArray(res?.data) ? res.data : []);
+    } catch (err) {
+      setError(err?.message || "Failed to load sync conflicts");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadConflicts();
+  }, [loadConflicts]);
+
+  const resolveConflict = async (conflict, resolution) => {
+    const key = `${conflict.taskId}:${conflict.field}`;
+    const payload = { taskId: conflict.taskId, field: conflict.field, resolution };
+    if (resolution === "custom") {
+      const raw = String(customValues[key] ?? "");
+      payload.value = ["tags", "assignees"].includes(conflict.field)
+        ? raw.split(",").map((entry) => entry.trim()).filter(Boolean)
+        : raw;
+    }
+    setBusyKey(key);
+    haptic();
+    try {
+      await apiFetch("/api/tasks/sync-conflicts/resolve", {
+        method: "POST",
+        body: JSON.stringify(payload),
+      });
+      showToast(`Resolved ${conflict.field} conflict`, "success");
+      setConflicts((prev) => prev.filter((entry) => `${entry.taskId}:${entry.field}` !== key));
+      onResolved?.();
+    } catch (err) {
+      showToast(err?.message || "Failed to resolve conflict", "error");
+    } finally {
+      setBusyKey("");
+    }
+  };
+
+  return html`
+    <${Modal}
+      title="Sync Conflicts"
+      onClose=${onClose}
+      contentClassName="modal-content-wide task-detail-modal-jira"
+      activeOperationLabel=${busyKey ? "Conflict resolution is still running" : ""}
+    >
+      <div class="flex-col" style="gap:10px;">
+        <${Alert} severity="info" variant="outlined">
+          These fields changed both here and in the external board since the last sync.
+          Nothing is pushed for a field until you pick which value to keep.
+        <//>
+
+        ${error && html`<div class="meta-text" style="color:var(--color-error);">${error}</div>`}
+        ${loading && html`<${SkeletonCard} />`}
+        ${!loading && !error && conflicts.length === 0 && html`
+          <${EmptyState}
+            message="No sync conflicts"
+            description="Local and external edits have merged cleanly."
+          />
+        `}
+
+        ${!loading && conflicts.map((conflict) => {
+          const key = `${conflict.taskId}:${conflict.field}`;
+          const busy = busyKey === key;
+          return html`
+            <div class="card" key=${key} style="padding:10px 12px;">
+              <div class="flex-between" style="gap:10px;align-items:center;">
+                <div>
+                  <div class="card-subtitle">${conflict.taskTitle || conflict.taskId}</div>
+                  <div class="meta-text">
+                    ${conflict.field} · ${conflict.externalBackend || "external"} ${conflict.externalId || ""}
+                    ${conflict.detectedAt ? ` · ${formatRelative(conflict.detectedAt)}` : ""}
+                  </div>
+                </div>
+                <${Chip} size="small" color="warning" label="conflict" />
+              </div>
+              <div class="task-sync-conflict-values" style="display:grid;grid-template-columns:auto 1fr;gap:4px 10px;margin-top:8px;">
+                <span class="meta-text">Last synced</span>
+                <span>${formatSyncConflictValue(conflict.base)}</span>
+                <span class="meta-text">Local</span>
+                <span>${formatSyncConflictValue(conflict.local)}</span>
+                <span class="meta-text">External</span>
+                <span>${formatSyncConflictValue(conflict.remote)}</span>
+              </div>
+              <${TextField}
+                size="small"
+                variant="outlined"
+                fullWidth
+                multiline=${conflict.field === "description"}
+                placeholder="Custom value"
+                value=${customValues[key] ?? ""}
+                disabled=${busy}
+                onInput=${(e) => setCustomValues((prev) => ({ ...prev, [key]: e.target.value }))}
+                sx=${{ mt: 1 }}
+              />
+              <div class="btn-row" style="margin-top:8px;">
+                <${Button} variant="outlined" size="small" disabled=${busy} onClick=${() => resolveConflict(conflict, "local")}>
+                  Keep Local
+                <//>
+                <${Button} variant="outlined" size="small" disabled=${busy} onClick=${() => resolveConflict(conflict, "remote")}>
+                  Take External
+                <//>
+                <${Button}
+                  variant="text"
+                  size="small"
+                  disabled=${busy || !String(customValues[key] ?? "").trim()}
+                  onClick=${() => resolveConflict(conflict, "custom")}
+                >
+                  Use Custom
+                <//>
+              </div>
+            </div>
+          `;
+        })}
+      </div>
+    <//>
+  `;
+}
+
 /* ─── Helper: is a task actively running / in review? ─── */
 function isActiveStatus(s) {
   return ["inprogress", "running", "working", "active", "assigned", "started"].includes(String(s || ""));
@@ -7216,10 +7353,147 @@ function DagGraphSection({
     </div>
   `;
 }
+/* ─── Forecast view ─── */
+function formatForecastDate(iso) {
+  if (!iso) return "—";
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return "—";
+  return date.toLocaleString(undefined, { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" });
+}
+
+function ForecastBurndown({ burndown, width = 320, height = 96 }) {
+  const actual = Array.isArray(burndown?.actual) ? burndown.actual : [];
+  const projected = Array.isArray(burndown?.projected) ? burndown.projected : [];
+  if (!actual.length) return null;
+  const points = [
+    ...actual.map((entry) => ({ t: Date.parse(`${entry.date}T23:59:59Z`), remaining: entry.remaining })),
+    ...projected.map((entry) => ({ t: Date.parse(entry.at), remaining: entry.remaining })),
+  ].filter((point) => Number.isFinite(point.t));
+  const minT = Math.min(...points.map((point) => point.t));
+  const maxT = Math.max(...points.map((point) => point.t));
+  const maxRemaining = Math.max(1, ...points.map((point) => point.remaining));
+  const pad = 6;
+  const x = (t) => pad + ((t - minT) / Math.max(1, maxT - minT)) * (width - pad * 2);
+  const y = (remaining) => pad + (1 - remaining / maxRemaining) * (height - pad * 2);
+  const line = (list) => list.map((point) => `${x(point.t).toFixed(1)},${y(point.remaining).toFixed(1)}`).join(" ");
+  const actualPoints = points.slice(0, actual.length);
+  const p50 = projected.filter((entry) => entry.percentile !== 85).map((entry) => ({ t: Date.parse(entry.at), remaining: entry.remaining }));
+  const p85 = projected.filter((entry) => entry.percentile !== 50).map((entry) => ({ t: Date.parse(entry.at), remaining: entry.remaining }));
+  return html`
+    <svg viewBox=${`0 0 ${width} ${height}`} width="100%" height=${height} role="img" aria-label="Burndown">
+      <polyline points=${line(actualPoints)} fill="none" stroke="var(--accent)" stroke-width="2" />
+      ${p85.length > 1 && html`<polyline points=${line(p85)} fill="none" stroke="var(--color-warning)" stroke-width="1.5" stroke-dasharray="2 4" />`}
+      ${p50.length > 1 && html`<polyline points=${line(p50)} fill="none" stroke="var(--accent)" stroke-width="1.5" stroke-dasharray="6 4" />`}
+    </svg>
+  `;
+}
+
+function TaskForecastPanel({ onOpenTask }) {
+  const [forecast, setForecast] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [parallelism, setParallelism] = useState("");
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const query = Number(parallelism) > 0 ? `?parallelism=${Number(parallelism)}` : "";
+      const res = await apiFetch(`/api/tasks/forecast${query}`, { _silent: true });
+      if (!res?.ok) throw new Error(res?.error || "Forecast unavailable");
+      setForecast(res.data || null);
+    } catch (err) {
+      setError(err?.message || "Failed to load forecast.");
+    } finally {
+      setLoading(false);
+    }
+  }, [parallelism]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const titleById = useMemo(
+    () => new Map((forecast?.tasks || []).map((task) => [task.id, task.title || task.id])),
+    [forecast],
+  );
+  const groups = forecast?.groups || [];
+  const board = forecast?.board;
+
+  return html`
+    <div class="task-forecast">
+      <div class="flex-between mb-sm" style="gap:8px;flex-wrap:wrap">
+        <${Stack} direction="row" spacing=${1} alignItems="center" flexWrap="wrap" useFlexGap>
+          <${Chip} size="small" label=${`Open: ${board?.openCount ?? "—"}`} />
+          <${Chip} size="small" color="info" label=${`ETA p50: ${formatForecastDate(board?.eta?.p50At)}`} />
+          <${Chip} size="small" color="warning" label=${`p85: ${formatForecastDate(board?.eta?.p85At)}`} />
+          <${Chip} size="small" variant="outlined" label=${`Critical path: ${formatDuration(forecast?.criticalPath?.durationMs)}`} />
+        <//>
+        <${Stack} direction="row" spacing=${1} alignItems="center">
+          <${TextField}
+            size="small"
+            type="number"
+            label="Parallel slots"
+            value=${parallelism || forecast?.parallelism || ""}
+            onChange=${(event) => setParallelism(event.target.value)}
+            inputProps=${{ min: 1, max: 64 }}
+            style=${{ width: "120px" }}
+          />
+          <${Button} size="small" variant="text" onClick=${load} disabled=${loading}>${loading ? "Simulating…" : "Refresh"}<//>
+        <//>
+      </div>
+      ${error && html`<${Alert} severity="error" sx=${{ mb: 1 }}>${error}<//>`}
+      ${forecast?.cycleTaskIds?.length > 0 && html`
+        <${Alert} severity="warning" sx=${{ mb: 1 }}>
+          Dependency cycle detected at ${forecast.cycleTaskIds.join(", ")}; those edges were ignored for the forecast.
+        <//>
+      `}
+      ${loading && !forecast && html`<${SkeletonCard} />`}
+      ${forecast && !groups.length && html`
+        <${EmptyState} title="No sprints or epics to forecast" description="Assign tasks to a sprint or epic to see per-group ETAs." />
+      `}
+      <div class="task-forecast-grid">
+        ${groups.map((group) => html`
+          <${Card} key=${`${group.kind}:${group.id}`} title=${`${group.kind === "sprint" ? "Sprint" : "Epic"} · ${group.label}`}>
+            <div class="meta-text">
+              ${group.doneCount}/${group.totalCount} done · ${group.openCount} open
+            </div>
+            ${group.openCount > 0
+              ? html`<div class="meta-text">ETA <strong>${formatForecastDate(group.eta?.p50At)}</strong> (p85 ${formatForecastDate(group.eta?.p85At)})</div>`
+              : html`<div class="meta-text">Complete</div>`}
+            <${ForecastBurndown} burndown=${group.burndown} />
+            ${group.criticalPath?.taskIds?.length > 0 && html`
+              <div class="task-forecast-path">
+                <span class="meta-text">Critical path (${formatDuration(group.criticalPath.durationMs)}):</span>
+                ${group.criticalPath.taskIds.map((taskId) => html`
+                  <${Chip}
+                    key=${taskId}
+                    size="small"
+                    variant="outlined"
+                    label=${truncate(titleById.get(taskId) || taskId, 36)}
+                    onClick=${() => onOpenTask?.(taskId)}
+                  />
+                `)}
+              </div>
+            `}
+          <//>
+        `)}
+      </div>
+      ${forecast?.model?.tiers && html`
+        <div class="meta-text" style="margin-top:8px">
+          Durations by tier: ${Object.entries(forecast.model.tiers).map(([tier, entry]) =>
+            `${tier} ~${formatDuration(entry.medianMs)} (${entry.source}${entry.sampleCount ? `, ${entry.sampleCount} runs` : ""})`).join(" · ")}
+          · ${forecast.iterations} simulations at ${forecast.parallelism} slot(s)
+        </div>
+      `}
+    </div>
+  `;
+}
+
 /* ─── TasksTab ─── */
 export function TasksTab() {
   const [showCreate, setShowCreate] = useState(false);
   const [showTemplates, setShowTemplates] = useState(false);
+  const [showSyncConflicts, setShowSyncConflicts] = useState(false);
+  const [syncConflictCount, setSyncConflictCount] = useState(0);
   const importInputRef = useRef(null);
   const [detailTask, setDetailTask] = useState(null);
   const [detailTaskHydrating, setDetailTaskHydrating] = useState(false);
@@ -7273,6 +7547,17 @@ export function TasksTab() {
     try { return globalThis.matchMedia?.("(hover: hover)")?.matches ?? false; }
     catch { return false; }
   });
+
+  useEffect(() => {
+    let cancelled = false;
+    apiFetch("/api/tasks/sync-conflicts", { _silent: true })
+      .then((res) => {
+        if (!cancelled) setSyncConflictCount(Array.isArray(res?.data) ? res.data.length : 0);
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [tasksData.value, showSyncConflicts]);
+
   const isMac = typeof navigator !== "undefined" &&
     /Mac|iPod|iPhone|iPad/.test(navigator.platform || "");
 
@@ -7316,7 +7601,8 @@ export function TasksTab() {
   );
   const isKanban = viewMode.value === "kanban";
   const isDag = viewMode.value === "dag";
-  const isList = !isKanban && !isDag;
+  const isForecast = viewMode.value === "forecast";
+  const isList = !isKanban && !isDag && !isForecast;
   const viewModeInitRef = useRef(false);
   const hasMoreKanbanPages = isKanban && page + 1 < totalPages;
   const boardColumnTotals = tasksStatusCounts?.value || { draft: 0, backlog: 0, blocked: 0, inProgress: 0, inReview: 0, done: 0 };
@@ -8276,6 +8562,39 @@ export function TasksTab() {
     }
   };
 
+  const handleRevertLastAction = async (direction = "undo", actionId = null, force = false) => {
+    setActionsOpen(false);
+    haptic("medium");
+    const verb = direction === "redo" ? "Redo" : "Undo";
+    try {
+      const res = await apiFetch(`/api/tasks/${direction}`, {
+        method: "POST",
+        body: JSON.stringify({ actionId, force }),
+      });
+      const result = res?.data || {};
+      const count = (result.changes || []).length;
+      showToast(
+        `${verb} applied to ${count} change${count === 1 ? "" : "s"}${result.forced ? " (overwrote newer edits)" : ""}`,
+        result.forced ? "warning" : "success",
+      );
+      scheduleRefresh(150);
+    } catch (err) {
+      const conflicts = err?.payload?.conflicts || [];
+      if (err?.status === 409 && conflicts.length > 0 && !force) {
+        const fields = conflicts
+          .slice(0, 5)
+          .map((conflict) => `${conflict.id}${conflict.field ? `.${conflict.field}` : ""}`)
+          .join(", ");
+        const ok = await showConfirm(
+          `${conflicts.length} field${conflicts.length === 1 ? " has" : "s have"} changed since this action (${fields}${conflicts.length > 5 ? ", …" : ""}). ${verb} anyway and overwrite them?`,
+        );
+        if (ok) await handleRevertLastAction(direction, err.payload.actionId, true);
+        return;
+      }
+      showToast(err?.message || `${verb} failed`, "error");
+    }
+  };
+
   /* ── Render ── */
   const showBatchBar = isList && batchMode && selectedIds.size > 0;
 
@@ -8285,10 +8604,11 @@ export function TasksTab() {
   if (!isDag && tasksLoaded.value && !tasks.length && !searchVal)
     return html`
       <div class="flex-between mb-sm" style="padding:0 4px">
-        <${ToggleButtonGroup} size="small" exclusive value=${isDag ? 'dag' : (isKanban ? 'kanban' : 'list')}>
+        <${ToggleButtonGroup} size="small" exclusive value=${isDag ? 'dag' : isForecast ? 'forecast' : (isKanban ? 'kanban' : 'list')}>
           <${ToggleButton} value="list" onClick=${() => { viewMode.value = 'list'; haptic(); }}>${iconText(":menu: List")}<//>
           <${ToggleButton} value="kanban" onClick=${() => { viewMode.value = 'kanban'; haptic(); }}>▦ Board<//>
           <${ToggleButton} value="dag" onClick=${() => { viewMode.value = 'dag'; haptic(); }}>⛓ DAG<//>
+          <${ToggleButton} value="forecast" onClick=${() => { viewMode.value = 'forecast'; haptic(); }}>${iconText(":chart: Forecast")}<//>
         <//>
         <div style="display:flex;gap:8px;align-items:center;">
           <${Button}
@@ -8361,10 +8681,11 @@ export function TasksTab() {
   `;
 
   const viewToggle = html`
-    <${ToggleButtonGroup} className="view-toggle tasks-view-toggle" size="small" exclusive value=${isDag ? 'dag' : (isKanban ? 'kanban' : 'list')}>
+    <${ToggleButtonGroup} className="view-toggle tasks-view-toggle" size="small" exclusive value=${isDag ? 'dag' : isForecast ? 'forecast' : (isKanban ? 'kanban' : 'list')}>
       <${ToggleButton} value="list" onClick=${() => { viewMode.value = 'list'; haptic(); }}>${iconText(":menu: List")}<//>
       <${ToggleButton} value="kanban" onClick=${() => { viewMode.value = 'kanban'; haptic(); }}>▦ Board<//>
       <${ToggleButton} value="dag" onClick=${() => { viewMode.value = 'dag'; haptic(); }}>⛓ DAG<//>
+      <${ToggleButton} value="forecast" onClick=${() => { viewMode.value = 'forecast'; haptic(); }}>${iconText(":chart: Forecast")}<//>
     <//>
   `;
 
@@ -8402,6 +8723,15 @@ export function TasksTab() {
 
   const actionsMenu = html`
     <div class="actions-wrap" ref=${actionsRef}>
+      ${syncConflictCount > 0 && html`
+        <${Chip}
+          size="small"
+          color="warning"
+          variant="outlined"
+          label=${`${syncConflictCount} sync conflict${syncConflictCount === 1 ? "" : "s"}`}
+          onClick=${() => setShowSyncConflicts(true)}
+        />
+      `}
       <${Button}
         className="actions-btn tasks-actions-btn"
         variant="text" size="small"
@@ -8425,6 +8755,13 @@ export function TasksTab() {
           >
             ${iconText(":zap: Trigger Templates")}
           <//>
+          <${MenuItem}
+            onClick=${() => { setActionsOpen(false); setShowSyncConflicts(true); }}
+          >
+            ${iconText(`:alert: Sync Conflicts${syncConflictCount ? ` (${syncConflictCount})` : ""}`)}
+          <//>
+          <${MenuItem} onClick=${() => handleRevertLastAction("undo")}>${iconText(":refresh: Undo Last Change")}<//>
+          <${MenuItem} onClick=${() => handleRevertLastAction("redo")}>${iconText(":repeat: Redo Last Undo")}<//>
           <${MenuItem} onClick=${handleExportCSV}>${iconText(":chart: Export CSV")}<//>
           <${MenuItem} onClick=${handleExportJSON}>${iconText(":clipboard: Export Task State JSON")}<//>
           <${MenuItem} onClick=${handleImportTaskStateClick}>${iconText(":inbox_tray: Import Task State JSON")}<//>
@@ -8689,7 +9026,7 @@ export function TasksTab() {
       `}
     </div>
 
-    ${!isDag && html`
+    ${!isDag && !isForecast && html`
       <div class="snapshot-bar">
         ${summaryMetrics.map((m) => html`
           <${Tooltip} title=${isKanban ? m.label : `Filter by ${m.label}`}><${Button}
@@ -8771,6 +9108,8 @@ export function TasksTab() {
       .task-dag-sidebar-card-actions { display:flex; align-items:center; gap:6px; }
       .task-dag-mini-btn { min-width:28px; height:28px; border-radius:8px; border:1px solid var(--border); background:transparent; color:inherit; cursor:pointer; }
       .task-dag-mini-btn:disabled { opacity:0.45; cursor:not-allowed; }
+      .task-forecast-grid { display:grid; grid-template-columns:repeat(auto-fill, minmax(300px, 1fr)); gap:12px; }
+      .task-forecast-path { display:flex; flex-wrap:wrap; align-items:center; gap:4px; margin-top:6px; }
       .task-structure-chip { cursor:pointer; border:1px solid var(--border); }
       .task-structure-chip-muted { opacity:0.8; }
       .task-structure-chip-active { border-color: var(--accent); background: rgba(59,130,246,0.18); }
@@ -8780,6 +9119,8 @@ export function TasksTab() {
       }
     </style>
 
+    ${isForecast && html`<${TaskForecastPanel} onOpenTask=${openDetail} />`}
+
     ${isKanban && html`<${KanbanBoard} onOpenTask=${openDetail} hasMoreTasks=${hasMoreKanbanPages} loadingMoreTasks=${kanbanLoadingMore} onLoadMoreTasks=${loadMoreKanbanTasks} columnTotals=${boardColumnTotals} totalTasks=${boardTotalTasks} workspaceId=${activeWorkspaceId.value || ""} />`}
 
     ${isDag && html`
@@ -9200,6 +9541,16 @@ export function TasksTab() {
         onClose=${() => setShowTemplates(false)}
       />
     `}
+    ${showSyncConflicts &&
+    html`
+      <${SyncConflictsModal}
+        onClose=${() => setShowSyncConflicts(false)}
+        onResolved=${() => {
+          setSyncConflictCount((count) => Math.max(0, count - 1));
+          scheduleRefresh(150);
+        }}
+      />
+    `}
   `;
 }
 
@@ -10,7 +10,7 @@ import htm from "htm";
 const html = htm.bind(h);
 
 import { haptic } from "../modules/telegram.js";
-import { apiFetch, onWsMessage } from "../modules/api.js";
+import { apiFetch, onWsMessage, wsSend } from "../modules/api.js";
 import { showToast, refreshTab } from "../modules/state.js";
 import { navigateTo, routeParams, setRouteParams } from "../modules/router.js";
 import { ICONS } from "../modules/icons.js";
@@ -74,7 +74,7 @@ const selectedNodeId = signal(null);
 const selectedEdgeId = signal(null);
 const draggingNode = signal(null);
 const connectingFrom = signal(null);
-const viewMode = signal("list"); // "list" | "canvas" | "runs" | "code"
+const viewMode = signal("list"); // "list" | "canvas" | "runs" | "code" | "history"
 const WORKFLOW_RUN_PAGE_SIZE = 50;
 const WORKFLOW_RUN_MAX_FETCH = 5000;
 const WORKFLOW_LIVE_POLL_MS = 3000;
@@ -2555,6 +2555,9 @@ function WorkflowCanvas({ workflow, onSave, nodeTypes: availableNodeTypes = [] }
   const [liveNodeRunningHints, setLiveNodeRunningHints] = useState({});
   const [liveEdgeActivity, setLiveEdgeActivity] = useState({});
   const [liveNowTick, setLiveNowTick] = useState(Date.now());
+  const [debugPanelOpen, setDebugPanelOpen] = useState(false);
+  const [debugBreakpoints, setDebugBreakpoints] = useState([]);
+  const [debugSession, setDebugSession] = useState(null);
   const marqueeStartRef = useRef(null);
   const multiDragRef = useRef({});
   const nodesRef = useRef(nodes);
@@ -2979,6 +2982,52 @@ function WorkflowCanvas({ workflow, onSave, nodeTypes: availableNodeTypes = [] }
     };
   }, [liveHighlightEnabled, workflow?.id, workflow?.name]);
 
+  useEffect(() => {
+    setDebugSession(null);
+    setDebugBreakpoints([]);
+    if (!workflow?.id) return undefined;
+    const workflowId = String(workflow.id).trim();
+    const unsub = onWsMessage((msg) => {
+      const payload = msg?.payload || {};
+      if (msg?.type === "workflow-debug-result") {
+        if (payload.ok === false && payload.error) {
+          showToast(`Debugger: ${payload.error}`, "error");
+        } else if (payload.session?.workflowId === workflowId) {
+          setDebugSession(payload.session);
+        }
+        return;
+      }
+      if (msg?.type !== "workflow-debug") return;
+      if (String(payload.workflowId || "").trim() !== workflowId) return;
+      if (payload.event === "started" || payload.event === "paused") {
+        setDebugSession(payload);
+      } else if (payload.event === "resumed") {
+        setDebugSession((prev) => (prev?.runId === payload.runId
+          ? { ...prev, state: "running", pausedNodeId: null, pausedNode: null }
+          : prev));
+      } else if (payload.event === "ended") {
+        setDebugSession((prev) => (prev?.runId === payload.runId
+          ? { ...prev, state: "ended", pausedNodeId: null, pausedNode: null, status: payload.status || null }
+          : prev));
+      }
+    });
+    return () => {
+      try {
+        unsub?.();
+      } catch {}
+    };
+  }, [workflow?.id]);
+
+  const toggleDebugBreakpoint = useCallback((nodeId) => {
+    const next = debugBreakpoints.includes(nodeId)
+      ? debugBreakpoints.filter((id) => id !== nodeId)
+      : [...debugBreakpoints, nodeId];
+    setDebugBreakpoints(next);
+    if (debugSession?.runId && debugSession.state !== "ended") {
+      sendWorkflowDebugCommand("set-breakpoints", { runId: debugSession.runId, breakpoints: next });
+    }
+  }, [debugBreakpoints, debugSession?.runId, debugSession?.state]);
+
   const renderGraph = useMemo(() => buildCollapsedGraph({ nodes, edges, groups }), [nodes, edges, groups]);
   const renderNodes = renderGraph.visibleNodes || [];
   const renderEdges = renderGraph.visibleEdges || [];
@@ -4074,6 +4123,14 @@ function WorkflowCanvas({ workflow, onSave, nodeTypes: availableNodeTypes = [] }
           <span class="btn-icon">${resolveIcon("settings")}</span>
           Code
         <//>
+        <${Button} variant="outlined" size="small" onClick=${() => { viewMode.value = "history"; }}>
+          <span class="btn-icon">${resolveIcon("clock")}</span>
+          History
+        <//>
+        <${Button} variant=${debugPanelOpen ? "contained" : "outlined"} size="small" onClick=${() => setDebugPanelOpen((open) => !open)}>
+          <span class="btn-icon">${resolveIcon("bug")}</span>
+          Debug
+        <//>
         <${Button} variant="outlined" size="small" onClick=${() => exportWorkflow({ ...workflow, nodes, edges, groups })}>
           <span class="btn-icon">${resolveIcon("save")}</span>
           Export
@@ -4194,6 +4251,17 @@ function WorkflowCanvas({ workflow, onSave, nodeTypes: availableNodeTypes = [] }
         </div>
       </div>
 
+      ${debugPanelOpen && html`
+        <${WorkflowDebuggerPanel}
+          workflow=${workflow}
+          nodes=${nodes}
+          breakpoints=${debugBreakpoints}
+          session=${debugSession}
+          onToggleBreakpoint=${toggleDebugBreakpoint}
+          onClose=${() => setDebugPanelOpen(false)}
+        />
+      `}
+
       <${NodePalette}
         open=${showNodePalette}
         nodeTypes=${availableNodeTypes}
@@ -4398,6 +4466,8 @@ function WorkflowCanvas({ workflow, onSave, nodeTypes: availableNodeTypes = [] }
             const runningHintUntil = Number(liveNodeRunningHints[node.id] || 0);
             const hasRunningHint = runningHintUntil > liveNowTick;
             const spinnerVisible = nodeRunStatus === "running" || hasRunningHint;
+            const isDebugPaused = debugSession?.state === "paused" && debugSession?.pausedNodeId === node.id;
+            const hasBreakpoint = debugBreakpoints.includes(node.id);
             const previewPanelY = NODE_HEADER_H + 8;
             const previewPanelH = Math.max(30, NODE_H - previewPanelY - 8);
             const x = node.position?.x || 0;
@@ -4439,6 +4509,25 @@ function WorkflowCanvas({ workflow, onSave, nodeTypes: availableNodeTypes = [] }
                     <animate attributeName="stroke-dashoffset" values="0;-32" dur="1s" repeatCount="indefinite" />
                   </rect>
                 `}
+                ${isDebugPaused && html`
+                  <rect
+                    x="-4"
+                    y="-4"
+                    width=${NODE_W + 8}
+                    height=${NODE_H + 8}
+                    rx="11"
+                    fill="none"
+                    stroke="#f59e0b"
+                    stroke-width="3"
+                  >
+                    <animate attributeName="stroke-opacity" values="1;0.35;1" dur="1.2s" repeatCount="indefinite" />
+                  </rect>
+                `}
+                ${hasBreakpoint && html`
+                  <circle cx=${NODE_W - 12} cy="12" r="5" fill="#ef4444" stroke="#0f172a" stroke-width="1.5">
+                    <title>Breakpoint</title>
+                  </circle>
+                `}
 
                 <!-- Category color strip -->
                 <rect
@@ -4659,6 +4748,10 @@ function WorkflowCanvas({ workflow, onSave, nodeTypes: availableNodeTypes = [] }
               <span class="btn-icon">${resolveIcon("clipboard")}</span>
               Duplicate
             <//>
+            <${MenuItem} onClick=${() => { toggleDebugBreakpoint(contextMenu.nodeId); setDebugPanelOpen(true); setContextMenu(null); }}>
+              <span class="btn-icon">${resolveIcon("bug")}</span>
+              ${debugBreakpoints.includes(contextMenu.nodeId) ? "Remove Breakpoint" : "Add Breakpoint"}
+            <//>
           `}
           ${selectedNodeIds.size > 1 && html`
             <${MenuItem} onClick=${() => { handleCreateGroup(); setContextMenu(null); }}>
@@ -7182,6 +7275,7 @@ function RunHistoryView() {
               <span class="wf-badge" style="background:#10b98120; color:#6ee7b7;">Recovery & Lineage</span>
             </div>
             <div style="font-size: 12px; color: var(--color-text-secondary, #cbd5e1); line-height: 1.6;">
+              <div><b>Workflow Revision:</b> ${Number.isInteger(selectedRun.workflowRevision) ? `r${selectedRun.workflowRevision}` : "—"}${selectedRun.workflowRevisionHash ? html` <code>${selectedRun.workflowRevisionHash}</code>` : ""}</div>
               <div><b>Retry Mode:</b> ${selectedRun.retryMode ? formatRetryModeLabel(selectedRun.retryMode) : "—"}</div>
               <div><b>Retry Decision:</b> ${formatRetryDecisionReason(selectedRun.retryDecisionReason)}</div>
               <div><b>Root Run:</b> <code>${selectedRun.rootRunId || "—"}</code></div>
@@ -8360,6 +8454,307 @@ function RunHistoryView() {
  *  Code View — JSON Editor for Workflows
  * ═══════════════════════════════════════════════════════════════ */
 
+/* ═══════════════════════════════════════════════════════════════
+ *  Revision History View
+ * ═══════════════════════════════════════════════════════════════ */
+
+let workflowDebugRequestSeq = 0;
+
+/** Send a `workflow-debug` command over the shared WebSocket. */
+function sendWorkflowDebugCommand(action, params = {}) {
+  workflowDebugRequestSeq += 1;
+  wsSend({
+    type: "workflow-debug",
+    action,
+    requestId: `wf-debug-${workflowDebugRequestSeq}`,
+    ...(activeWorkspaceId.value ? { workspace: activeWorkspaceId.value } : {}),
+    ...params,
+  });
+}
+
+function WorkflowDebuggerPanel({ workflow, nodes = [], breakpoints = [], session, onToggleBreakpoint, onClose }) {
+  const [dataText, setDataText] = useState("{}");
+  const [varsText, setVarsText] = useState("{}");
+  const [editError, setEditError] = useState("");
+  const isPaused = session?.state === "paused";
+  const isLive = Boolean(session?.runId) && session?.state !== "ended";
+  const pausedNode = session?.pausedNode || null;
+
+  useEffect(() => {
+    if (!isPaused) return;
+    setDataText(safePrettyJson(session?.data || {}));
+    setVarsText(safePrettyJson(session?.variables || {}));
+    setEditError("");
+  }, [isPaused, session?.runId, session?.pausedNodeId, session?.pausedAt]);
+
+  const startDebugRun = () => {
+    if (!workflow?.id) return;
+    haptic("light");
+    sendWorkflowDebugCommand("start", {
+      workflowId: workflow.id,
+      breakpoints,
+      pauseOnStart: breakpoints.length === 0,
+    });
+    showToast(
+      breakpoints.length ? `Debug run started with ${breakpoints.length} breakpoint(s)` : "Debug run started — pausing at the first node",
+      "info",
+    );
+  };
+
+  const resume = (command) => {
+    if (!session?.runId) return;
+    haptic("light");
+    sendWorkflowDebugCommand(command, { runId: session.runId });
+  };
+
+  const applyContextEdits = () => {
+    if (!session?.runId) return;
+    let data;
+    let variables;
+    try {
+      data = JSON.parse(dataText || "{}");
+      variables = JSON.parse(varsText || "{}");
+    } catch (err) {
+      setEditError(`Invalid JSON: ${err.message}`);
+      return;
+    }
+    if (!data || typeof data !== "object" || Array.isArray(data) || !variables || typeof variables !== "object" || Array.isArray(variables)) {
+      setEditError("Data and variables must be JSON objects");
+      return;
+    }
+    const changedData = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (JSON.stringify(value) !== JSON.stringify(session.data?.[key])) changedData[key] = value;
+    }
+    const changedVars = {};
+    for (const [key, value] of Object.entries(variables)) {
+      if (JSON.stringify(value) !== JSON.stringify(session.variables?.[key])) changedVars[key] = value;
+    }
+    const unset = Object.keys(session.data || {}).filter((key) => !(key in data));
+    setEditError("");
+    sendWorkflowDebugCommand("update-context", {
+      runId: session.runId,
+      data: changedData,
+      variables: changedVars,
+      unset,
+    });
+  };
+
+  const statusStyles = getRunStatusBadgeStyles(isPaused ? "waiting" : session?.state === "ended" ? session?.status || "completed" : "running");
+  const textareaStyle = "width:100%; min-height:110px; font-family:monospace; font-size:11px; background:#0f172a; color:#e2e8f0; border:1px solid #334155; border-radius:8px; padding:8px; box-sizing:border-box;";
+
+  return html`
+    <div style="position: absolute; left: 12px; bottom: 12px; z-index: 18; width: min(380px, calc(100vw - 24px)); max-height: calc(100% - 96px); overflow: auto; background: var(--bg-card, #2b2a27); border: 1px solid var(--color-border, #2a3040); border-radius: 12px; box-shadow: var(--shadow-lg, 0 10px 30px rgba(0,0,0,0.28)); color: var(--color-text, #e8eaf0);">
+      <div style="display:flex; align-items:center; gap:8px; padding:10px 12px; border-bottom: 1px solid var(--color-border, #2a3040);">
+        <span class="icon-inline">${resolveIcon("bug")}</span>
+        <div style="font-size: 12px; font-weight: 700; letter-spacing: 0.02em; flex:1;">Debugger</div>
+        ${session?.runId && html`
+          <span class="wf-badge" style="font-size: 10px; background: ${statusStyles.bg}; color: ${statusStyles.color};">
+            ${isPaused ? "paused" : session.state === "ended" ? session.status || "ended" : "running"}
+          </span>
+        `}
+        <${Button} variant="text" size="small" onClick=${onClose}>Close<//>
+      </div>
+      <div style="padding: 10px 12px 12px; display:flex; flex-direction:column; gap:10px; font-size:12px;">
+        <div style="display:flex; gap:6px; flex-wrap:wrap;">
+          <${Button} variant="contained" size="small" disabled=${isLive} onClick=${startDebugRun}>
+            <span class="btn-icon">${resolveIcon("play")}</span>
+            Debug Run
+          <//>
+          <${Button} variant="outlined" size="small" disabled=${!isPaused} onClick=${() => resume("step")}>Step<//>
+          <${Button} variant="outlined" size="small" disabled=${!isPaused} onClick=${() => resume("continue")}>Continue<//>
+          <${Button} variant="outlined" size="small" disabled=${!isPaused} onClick=${() => resume("skip")}>Skip Node<//>
+        </div>
+        ${session?.runId && html`
+          <div style="color: var(--color-text-secondary, #94a3b8);">
+            Run <code>${String(session.runId).slice(0, 12)}</code>
+            ${pausedNode ? html` · paused before <strong style="color:#f59e0b;">${pausedNode.label || pausedNode.id}</strong> (${pausedNode.type || "node"})` : ""}
+          </div>
+        `}
+
+        <div>
+          <div style="font-weight:600; margin-bottom:4px;">Breakpoints</div>
+          ${nodes.length === 0 && html`<div style="color: var(--color-text-secondary, #8b95a5);">No nodes in this workflow.</div>`}
+          <div style="display:flex; flex-direction:column; gap:2px; max-height:140px; overflow:auto;">
+            ${nodes.map((node) => html`
+              <label key=${node.id} style="display:flex; align-items:center; gap:6px; cursor:pointer;">
+                <input
+                  type="checkbox"
+                  checked=${breakpoints.includes(node.id)}
+                  onChange=${() => onToggleBreakpoint?.(node.id)}
+                />
+                <span style="white-space:nowrap; overflow:hidden; text-overflow:ellipsis; ${session?.pausedNodeId === node.id ? "color:#f59e0b; font-weight:600;" : ""}">
+                  ${stripEmoji(node.label || node.id)}
+                </span>
+                <span style="font-size:10px; color: var(--color-text-secondary, #8b95a5);">${node.type}</span>
+              </label>
+            `)}
+          </div>
+        </div>
+
+        ${isPaused && html`
+          <div style="display:flex; flex-direction:column; gap:6px;">
+            <div style="font-weight:600;">Context data</div>
+            <textarea value=${dataText} onInput=${(e) => setDataText(e.target.value)} style=${textareaStyle} />
+            <div style="font-weight:600;">Variables</div>
+            <textarea value=${varsText} onInput=${(e) => setVarsText(e.target.value)} style=${textareaStyle} />
+            ${editError && html`<div style="color:#ef4444;">${editError}</div>`}
+            <div style="display:flex; gap:6px;">
+              <${Button} variant="outlined" size="small" onClick=${applyContextEdits}>Apply Edits<//>
+              <${Button} variant="text" size="small" onClick=${() => sendWorkflowDebugCommand("state", { runId: session.runId })}>Refresh<//>
+            </div>
+            ${Object.keys(session?.nodeOutputs || {}).length > 0 && html`
+              <details>
+                <summary style="cursor:pointer; font-weight:600;">Node outputs so far</summary>
+                <pre style="white-space:pre-wrap; font-size:11px; max-height:180px; overflow:auto;">${safePrettyJson(session.nodeOutputs)}</pre>
+              </details>
+            `}
+          </div>
+        `}
+      </div>
+    </div>
+  `;
+}
+
+function WorkflowRevisionsView({ workflow, onRollback }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedRev, setSelectedRev] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [rollingBack, setRollingBack] = useState(false);
+  const basePath = workflow?.id ? `/api/workflows/${encodeURIComponent(workflow.id)}/revisions` : "";
+
+  const loadRevisions = useCallback(async () => {
+    if (!basePath) return;
+    setLoading(true);
+    try {
+      const data = await apiFetch(basePath);
+      setRevisions(Array.isArray(data?.revisions) ? data.revisions : []);
+    } catch {
+      showToast("Failed to load revision history", "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [basePath]);
+
+  useEffect(() => {
+    setSelectedRev(null);
+    setDiff(null);
+    loadRevisions();
+  }, [loadRevisions]);
+
+  const latestRev = revisions[0]?.rev ?? null;
+
+  const selectRevision = useCallback(async (rev) => {
+    setSelectedRev(rev);
+    setDiff(null);
+    if (!basePath || rev === latestRev) return;
+    try {
+      const data = await apiFetch(`${basePath}/${encodeURIComponent(rev)}/diff`);
+      setDiff(data?.diff || null);
+    } catch {
+      showToast("Failed to diff revision", "error");
+    }
+  }, [basePath, latestRev]);
+
+  const handleRollback = useCallback(async () => {
+    if (!basePath || selectedRev == null || selectedRev === latestRev) return;
+    if (!window.confirm(`Roll back "${workflow?.name || workflow?.id}" to r${selectedRev}?`)) return;
+    setRollingBack(true);
+    try {
+      const data = await apiFetch(`${basePath}/${encodeURIComponent(selectedRev)}/rollback`, {
+        method: "POST",
+        body: JSON.stringify({}),
+      });
+      if (data?.workflow) {
+        showToast(`Rolled back to r${selectedRev}`, "success");
+        loadWorkflows();
+        if (onRollback) onRollback(data.workflow);
+      }
+    } catch (err) {
+      showToast("Rollback failed: " + (err.message || err), "error");
+    } finally {
+      setRollingBack(false);
+    }
+  }, [basePath, selectedRev, latestRev, workflow?.id, workflow?.name, onRollback]);
+
+  const renderIdList = (label, ids, color) => (Array.isArray(ids) && ids.length > 0) ? html`
+    <div style="margin-top: 4px;"><b style="color: ${color};">${label}:</b> ${ids.map((id) => html`<code key=${id} style="margin-right: 6px;">${id}</code>`)}</div>
+  ` : null;
+
+  return html`
+    <div style="padding: 0 4px;">
+      <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 12px; flex-wrap: wrap;">
+        <${Button} variant="text" size="small" onClick=${() => { viewMode.value = "canvas"; }}>
+          ← Back to Canvas
+        <//>
+        <h2 style="margin: 0; font-size: 18px; font-weight: 700; flex: 1;">
+          Revision History: ${workflow?.name || "Workflow"}
+        </h2>
+        <${Button} variant="outlined" size="small" onClick=${loadRevisions} disabled=${loading}>
+          ${loading ? "Loading…" : "Refresh"}
+        <//>
+        <${Button}
+          variant="contained"
+          size="small"
+          color="warning"
+          onClick=${handleRollback}
+          disabled=${selectedRev == null || selectedRev === latestRev || rollingBack}
+        >
+          ${rollingBack ? "Rolling back…" : selectedRev != null && selectedRev !== latestRev ? `Roll back to r${selectedRev}` : "Roll back"}
+        <//>
+      </div>
+
+      ${!loading && revisions.length === 0 && html`
+        <${EmptyState} title="No revisions yet" description="Revisions are recorded every time this workflow is saved." />
+      `}
+
+      <div style="display: grid; grid-template-columns: minmax(280px, 1fr) minmax(280px, 1.4fr); gap: 12px;">
+        <div style="display: flex; flex-direction: column; gap: 6px;">
+          ${revisions.map((entry) => html`
+            <div
+              key=${entry.rev}
+              class="wf-card"
+              onClick=${() => selectRevision(entry.rev)}
+              style="cursor: pointer; padding: 10px 12px; border-radius: 8px; background: var(--color-bg-secondary, #1a1f2e); border: 1px solid ${entry.rev === selectedRev ? "#3b82f6" : "var(--color-border, #2a3040)"}; font-size: 12px;"
+            >
+              <div style="display: flex; align-items: center; gap: 8px; flex-wrap: wrap;">
+                <b style="color: #f8fafc;">r${entry.rev}</b>
+                ${entry.rev === latestRev && html`<span class="wf-badge" style="background:#10b98120; color:#6ee7b7;">Current</span>`}
+                ${entry.rollbackOf != null && html`<span class="wf-badge" style="background:#f59e0b20; color:#fbbf24;">Rollback of r${entry.rollbackOf}</span>`}
+                <code style="color: var(--color-text-secondary, #8b95a5);">${entry.hash}</code>
+              </div>
+              <div style="margin-top: 4px; color: var(--color-text-secondary, #cbd5e1);">
+                ${entry.author || "unknown"} · ${entry.createdAt ? `${formatDate(entry.createdAt)} (${formatRelative(entry.createdAt)})` : "—"}
+              </div>
+              <div style="margin-top: 2px; color: var(--color-text-secondary, #8b95a5);">
+                ${entry.nodeCount} nodes · ${entry.edgeCount} edges${entry.reason ? ` · ${entry.reason}` : ""}
+              </div>
+            </div>
+          `)}
+        </div>
+
+        <div style="padding: 14px; border-radius: 10px; background: var(--color-bg-secondary, #1a1f2e); border: 1px solid var(--color-border, #2a3040); font-size: 12px; color: var(--color-text-secondary, #cbd5e1); align-self: start;">
+          ${selectedRev == null
+            ? html`<div>Select a revision to compare it with the current definition.</div>`
+            : selectedRev === latestRev
+              ? html`<div><b>r${selectedRev}</b> is the current revision.</div>`
+              : !diff
+                ? html`<div>Loading diff…</div>`
+                : html`
+                  <div style="font-size: 13px; color: #f8fafc; margin-bottom: 6px;"><b>r${diff.fromRev} → r${diff.toRev}</b>: ${diff.summary}</div>
+                  ${renderIdList("Nodes added", diff.nodesDiff?.added, "#6ee7b7")}
+                  ${renderIdList("Nodes removed", diff.nodesDiff?.removed, "#fca5a5")}
+                  ${renderIdList("Nodes modified", diff.nodesDiff?.modified, "#fbbf24")}
+                  ${renderIdList("Edges added", diff.edgesDiff?.added, "#6ee7b7")}
+                  ${renderIdList("Edges removed", diff.edgesDiff?.removed, "#fca5a5")}
+                `}
+        </div>
+      </div>
+    </div>
+  `;
+}
+
 function WorkflowCodeView({ workflow, onSave }) {
   const [code, setCode] = useState("");
   const [originalCode, setOriginalCode] = useState("");
@@ -8792,6 +9187,8 @@ export function WorkflowsTab() {
     >
       ${mode === "code" && activeWorkflow.value
         ? html`<${WorkflowCodeView} workflow=${activeWorkflow.value} onSave=${(wf) => { activeWorkflow.value = wf; viewMode.value = "canvas"; }} />`
+        : mode === "history" && activeWorkflow.value
+        ? html`<${WorkflowRevisionsView} workflow=${activeWorkflow.value} onRollback=${(wf) => { activeWorkflow.value = wf; viewMode.value = "canvas"; }} />`
         : mode === "canvas" && activeWorkflow.value
         ? html`<${WorkflowCanvas} workflow=${activeWorkflow.value} nodeTypes=${nodeTypes.value} />`
         : mode === "runs"
@@ -277,3 +277,22 @@ export function memoizeWithTtl(factory, ttlMs) {
     return pending;
   };
 }
+
+/**
+ * Canonical JSON: object keys sorted, undefined-valued keys dropped and
+ * undefined/null written as null, so structurally equal values serialise
+ * identically regardless of key order. Used for content hashes and
+ * structural comparisons.
+ * @param {*} value
+ * @returns {string}
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((entry) => stableStringify(entry)).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
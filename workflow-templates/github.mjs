@@ -243,7 +243,7 @@ Respond with JSON: { "action": "<choice>", "reason": "<why>", "message": "<optio
     edge("decision-router", "do-close", { port: "close" }),
     edge("decision-router", "do-retry", { port: "retry" }),
     edge("decision-router", "do-escalate", { port: "escalate" }),
-    edge("decision-router", "wait-for-ci", { port: "wait-for-ci" }),
+    edge("decision-router", "wait-for-ci", { port: "wait-for-ci", backEdge: true }),
     edge("decision-router", "notify-complete", { port: "default" }),
     edge("do-merge", "action-succeeded"),
     edge("do-prompt", "action-succeeded"),
@@ -3529,9 +3529,11 @@ export const GITHUB_KANBAN_SYNC_TEMPLATE = {
   id: "template-github-kanban-sync",
   name: "GitHub ↔ Kanban Sync",
   description:
-    "Reconciles GitHub PR state with the bosun kanban board every 5 minutes. " +
+    "Reconciles GitHub PR state with the bosun kanban board every 15 minutes. " +
     "Marks tasks as in-review when Bosun-created PRs open, moves them to done " +
     "when PRs are merged, and posts completion comments via the kanban API. " +
+    "Issue changes arrive through the kanban webhooks; this pass is the " +
+    "backstop for deliveries that were missed. " +
     "Replaces the legacy github-reconciler.mjs module.",
   category: "github",
   enabled: true,
@@ -3542,9 +3544,9 @@ export const GITHUB_KANBAN_SYNC_TEMPLATE = {
     repoScope: "auto",
   },
   nodes: [
-    node("trigger", "trigger.schedule", "Sync Every 5 min", {
-      intervalMs: 300_000,
-      cron: "*/5 * * * *",
+    node("trigger", "trigger.schedule", "Sync Every 15 min", {
+      intervalMs: 900_000,
+      cron: "*/15 * * * *",
     }, { x: 400, y: 50 }),
 
     node("fetch-pr-state", "action.run_command", "Fetch Bosun PR State", {
@@ -1380,14 +1380,16 @@ export const SYNC_ENGINE_TEMPLATE = {
     "Two-way synchronisation between internal task store and external " +
     "kanban backends (GitHub Issues, Jira). Pulls new/changed tasks " +
     "from the external board, pushes internal status updates outward, " +
-    "detects conflicts, and handles rate-limit back-off.",
+    "detects conflicts, and handles rate-limit back-off. Issue webhooks " +
+    "apply external changes as they happen, so the periodic pass is only " +
+    "a low-frequency backstop for missed deliveries.",
   category: "reliability",
   enabled: true,
   recommended: true,
   trigger: "trigger.event",
   variables: {
     syncPolicy: "internal-primary",
-    syncIntervalMs: 60000,
+    syncIntervalMs: 900000,
     failureAlertThreshold: 3,
     rateLimitAlertThreshold: 3,
     backoffIntervalMs: 300000,
@@ -1396,7 +1398,7 @@ export const SYNC_ENGINE_TEMPLATE = {
   nodes: [
     node("trigger", "trigger.event", "Sync Trigger", {
       eventType: "sync.requested",
-      description: "Fires on task status changes, startup, or periodic heartbeat",
+      description: "Fires on task status changes, startup, or the backstop heartbeat",
       intervalMs: "{{syncIntervalMs}}",
     }, { x: 400, y: 50 }),
 
@@ -26,6 +26,9 @@
  *                           NO → action.detect_new_commits
  *                             → [has commits?]
  *                               YES → action.push_branch → action.create_pr
+ *                                     → validation.acceptance_criteria
+ *                                     → [criteria met?]
+ *                                        NO  → agent fix pass → push → re-evaluate
  *                                     → set inreview
  *                               NO  → set todo (cooldown)
  *                           YES → log & set todo
@@ -503,7 +506,78 @@ Create a descriptive commit: "fix: <concrete failure resolved>"`,
       expression: "Boolean($ctx.getNodeOutput('create-pr')?.success === true && ($ctx.getNodeOutput('create-pr')?.prNumber || $ctx.getNodeOutput('create-pr')?.prUrl))",
     }, { x: 0, y: 2325, outputs: ["yes", "no"] }),
 
+    // ── SUCCESS PATH: Record the acceptance report that gates "done" ─────
+    node("acceptance-criteria", "validation.acceptance_criteria", "Evaluate Acceptance Criteria", {
+      taskId: "{{taskId}}",
+      worktreePath: "{{worktreePath}}",
+      baseBranch: "{{baseBranch}}",
+    }, { x: 0, y: 2358 }),
+
+    node("acceptance-ok", "condition.expression", "Acceptance Criteria Met?", {
+      expression: "$ctx.getNodeOutput('acceptance-criteria')?.passed !== false",
+    }, { x: 0, y: 2374, outputs: ["yes", "no"] }),
+
+    // ── REMEDIATION PATH: feed failed acceptance criteria back to the agent ─
+    node("set-acceptance-feedback", "action.set_variable", "Summarize Failed Acceptance Criteria", {
+      key: "acceptanceFeedback",
+      value: [
+        "(() => {",
+        "const out = $ctx.getNodeOutput('acceptance-criteria') || {};",
+        "const failed = (out.results || []).filter(r => !r.passed);",
+        "const lines = ['## Failed Acceptance Criteria (' + failed.length + ')'];",
+        "failed.forEach(r => {",
+        "  lines.push('- [' + r.kind + '] ' + (r.description || r.id));",
+        "  if (r.detail) lines.push('  ' + String(r.detail).slice(0, 2000).split('\\n').join('\\n  '));",
+        "});",
+        "return lines.join('\\n');",
+        "})()",
+      ].join(" "),
+      isExpression: true,
+    }, { x: -360, y: 2390 }),
+
+    agentPhase("auto-fix-acceptance", "Auto-Fix Acceptance Criteria",
+      `# Fix Failed Acceptance Criteria
+
+Task: **{{taskTitle}}**
+
+The pull request for this task is open, but the change does not meet the task's acceptance criteria. The task cannot be completed until every criterion passes.
+
+{{acceptanceFeedback}}
+
+STRATEGY:
+1. Read each failed criterion and its detail above.
+2. For command and coverage criteria, run the command locally and fix the code until it passes.
+3. For file criteria, add the missing change or revert the out-of-scope one.
+4. For review criteria, address the reviewer's findings in the detail.
+
+RULES:
+- Do NOT weaken, remove, or skip tests, and do not edit the acceptance criteria.
+- Keep the original task scope.
+- Do not open another pull request; your commits are pushed to this one.
+- Create a descriptive commit: "fix: <criterion satisfied>"`,
+      {}, { x: -360, y: 2440 }),
+
+    node("push-acceptance-fix", "action.push_branch", "Push Acceptance Fix", {
+      worktreePath: "{{worktreePath}}",
+      branch: "{{branch}}",
+      baseBranch: "{{baseBranch}}",
+      rebaseBeforePush: true,
+      mergeBaseBeforePush: true,
+      autoResolveMergeConflicts: true,
+      conflictResolverSdk: "auto",
+      emptyDiffGuard: true,
+      protectedBranches: "{{protectedBranches}}",
+    }, { x: -360, y: 2490 }),
+
+    node("acceptance-criteria-retry", "validation.acceptance_criteria", "Re-Evaluate Acceptance Criteria", {
+      taskId: "{{taskId}}",
+      worktreePath: "{{worktreePath}}",
+      baseBranch: "{{baseBranch}}",
+    }, { x: -360, y: 2540 }),
+
     // ── SUCCESS PATH: Set status → inreview ──────────────────────────────
+    // A report that still fails keeps the task out of done until the merge
+    // reconcile re-evaluates it.
     node("set-inreview", "action.update_task_status", "Set In-Review", {
       taskId: "{{taskId}}",
       status: "inreview",
@@ -599,6 +673,12 @@ Create a descriptive commit: "fix: <concrete failure resolved>"`,
       expression: "Boolean($ctx.getNodeOutput('create-pr-retry')?.success === true && ($ctx.getNodeOutput('create-pr-retry')?.prNumber || $ctx.getNodeOutput('create-pr-retry')?.prUrl))",
     }, { x: 400, y: 1870, outputs: ["yes", "no"] }),
 
+    node("acceptance-criteria-stolen", "validation.acceptance_criteria", "Evaluate Acceptance Criteria (Recovered)", {
+      taskId: "{{taskId}}",
+      worktreePath: "{{worktreePath}}",
+      baseBranch: "{{baseBranch}}",
+    }, { x: 325, y: 1935 }),
+
     node("set-inreview-stolen", "action.update_task_status", "Set In-Review (Recovered)", {
       taskId: "{{taskId}}",
       status: "inreview",
@@ -810,7 +890,14 @@ Create a descriptive commit: "fix: <concrete failure resolved>"`,
     edge("push-ok", "build-pr-body", { condition: "$output?.result === true", port: "yes" }),
     edge("build-pr-body", "create-pr"),
     edge("create-pr", "pr-created"),
-    edge("pr-created", "set-inreview", { condition: "$output?.result === true", port: "yes" }),
+    edge("pr-created", "acceptance-criteria", { condition: "$output?.result === true", port: "yes" }),
+    edge("acceptance-criteria", "acceptance-ok"),
+    edge("acceptance-ok", "set-inreview", { condition: "$output?.result === true", port: "yes" }),
+    edge("acceptance-ok", "set-acceptance-feedback", { condition: "$output?.result !== true", port: "no" }),
+    edge("set-acceptance-feedback", "auto-fix-acceptance"),
+    edge("auto-fix-acceptance", "push-acceptance-fix"),
+    edge("push-acceptance-fix", "acceptance-criteria-retry"),
+    edge("acceptance-criteria-retry", "set-inreview"),
     edge("pr-created", "set-todo-push-failed", { condition: "$output?.result !== true", port: "no" }),
     edge("set-inreview", "handoff-pr-progressor"),
     edge("handoff-pr-progressor", "log-success"),
@@ -832,7 +919,8 @@ Create a descriptive commit: "fix: <concrete failure resolved>"`,
     edge("claim-stolen", "build-pr-body-stolen", { condition: "$output?.result === true", port: "yes" }),
     edge("build-pr-body-stolen", "create-pr-retry"),
     edge("create-pr-retry", "pr-created-stolen"),
-    edge("pr-created-stolen", "set-inreview-stolen", { condition: "$output?.result === true", port: "yes" }),
+    edge("pr-created-stolen", "acceptance-criteria-stolen", { condition: "$output?.result === true", port: "yes" }),
+    edge("acceptance-criteria-stolen", "set-inreview-stolen"),
     edge("set-inreview-stolen", "handoff-pr-progressor-stolen"),
     edge("handoff-pr-progressor-stolen", "log-claim-stolen-recovered"),
     edge("log-claim-stolen-recovered", "join-outcomes"),
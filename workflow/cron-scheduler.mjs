@@ -1,11 +1,18 @@
 /**
  * cron-scheduler.mjs — Pure-JS Cron Expression Parser & Scheduler
  *
- * Implements a standard 5-field cron expression parser (min hour dom mon dow)
- * and a lightweight polling scheduler that fires callbacks at the right times.
+ * Implements a cron expression parser (optionally seconds-resolution) and a
+ * lightweight polling scheduler that fires callbacks at the right times.
  *
  * No external dependencies — uses only Node.js built-ins.
  *
+ * Supported syntax:
+ *   - 5 fields (min hour dom mon dow) or 6 fields with a leading seconds field
+ *   - lists, ranges, steps and month/day names
+ *   - day qualifiers: L, L-n, LW, nW (day-of-month); nL, n#k (day-of-week)
+ *   - macros: @yearly @annually @monthly @weekly @daily @midnight @hourly
+ *   - fixed intervals: "@every 90s", "@every 1h30m"
+ *
  * Features:
  *   - IANA timezone support (via Intl.DateTimeFormat)
  *   - Persistence layer (serialize/restore job state to disk)
@@ -13,10 +20,14 @@
  *   - Next-N preview (getNextOccurrences)
  *   - Overdue coalescing (fire once for missed ticks)
  *   - Configurable jitter per job
+ *   - Per-job blackout windows and exclusion calendars
  *
  * EXPORTS:
- *   parseCronExpression(expr)  — parse a cron string, returns { next(from) → Date }
- *   CronScheduler              — register/unregister cron jobs, start/stop polling
+ *   parseCronExpression(expr)       — parse a cron string, returns { next(from) → Date }
+ *   getZonedParts(date, timezone)   — calendar parts of a Date in an IANA timezone
+ *   createScheduleCalendar(opts)    — blackout windows + exclusion dates, returns { check(date) }
+ *   checkScheduleCalendar(config)   — convenience check for trigger node configs
+ *   CronScheduler                   — register/unregister cron jobs, start/stop polling
  */
 
 import { existsSync, readFileSync, writeFileSync, mkdirSync } from "node:fs";
@@ -34,6 +45,8 @@ const FIELD_DEFS = [
   { name: "dayOfWeek",  min: 0, max: 6 },   // 0 = Sunday
 ];
 
+const SECOND_FIELD_DEF = { name: "second", min: 0, max: 59 };
+
 const MONTH_NAMES = {
   jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
   jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
@@ -43,6 +56,72 @@ const DOW_NAMES = {
   sun: 0, mon: 1, tue: 2, wed: 3, thu: 4, fri: 5, sat: 6,
 };
 
+const CRON_MACROS = {
+  "@yearly":   "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly":  "0 0 1 * *",
+  "@weekly":   "0 0 * * 0",
+  "@daily":    "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly":   "0 * * * *",
+};
+
+const DURATION_UNITS_MS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// ── Timezone helpers ────────────────────────────────────────────────────────
+
+const zonedFormatters = new Map();
+
+/**
+ * Break a Date into calendar parts in the given IANA timezone (UTC when
+ * omitted). Formatters are cached per timezone.
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number, dow: number }}
+ */
+export function getZonedParts(date, timezone) {
+  if (!timezone || timezone === "UTC") {
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: date.getUTCHours(),
+      minute: date.getUTCMinutes(),
+      second: date.getUTCSeconds(),
+      dow: date.getUTCDay(),
+    };
+  }
+  let fmt = zonedFormatters.get(timezone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      year: "numeric", month: "2-digit", day: "2-digit",
+      hour: "2-digit", minute: "2-digit", second: "2-digit",
+      hour12: false,
+    });
+    zonedFormatters.set(timezone, fmt);
+  }
+  const parts = {};
+  for (const { type, value } of fmt.formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,       // 1-12
+    day: parts.day,           // 1-31
+    hour: parts.hour === 24 ? 0 : parts.hour, // handle midnight
+    minute: parts.minute,
+    second: parts.second,
+    dow: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay(),
+  };
+}
+
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function dayOfWeekFor(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
 // ── Parser helpers ──────────────────────────────────────────────────────────
 
 /**
@@ -128,13 +207,155 @@ function parseField(raw, fieldDef) {
   return [...values].sort((a, b) => a - b);
 }
 
+/**
+ * Split L / W / # qualifiers out of a day-of-month or day-of-week field.
+ * Returns the remaining plain sub-expressions plus the parsed qualifiers.
+ *
+ * Day-of-month: L (last day), L-n (n days before the last), LW (last
+ * weekday), nW (weekday nearest day n).
+ * Day-of-week:  nL (last weekday n of the month), n#k (k-th weekday n).
+ */
+function extractDayQualifiers(raw, fieldIndex) {
+  const plain = [];
+  const qualifiers = [];
+  for (const part of raw.split(",")) {
+    const token = part.trim();
+    if (fieldIndex === 2) {
+      if (/^L$/i.test(token)) {
+        qualifiers.push({ type: "last" });
+        continue;
+      }
+      if (/^LW$/i.test(token)) {
+        qualifiers.push({ type: "lastWeekday" });
+        continue;
+      }
+      const lastOffset = token.match(/^L-(\d+)$/i);
+      if (lastOffset) {
+        const offset = Number(lastOffset[1]);
+        if (offset > 30) throw new Error(`Invalid offset "${token}" in cron field "dayOfMonth" (valid: L-0 to L-30)`);
+        qualifiers.push({ type: "lastOffset", offset });
+        continue;
+      }
+      const nearest = token.match(/^(\d+)W$/i);
+      if (nearest) {
+        const day = Number(nearest[1]);
+        if (day < 1 || day > 31) throw new Error(`Invalid value "${token}" in cron field "dayOfMonth" (valid: 1W-31W)`);
+        qualifiers.push({ type: "nearestWeekday", day });
+        continue;
+      }
+    } else if (fieldIndex === 4) {
+      const lastDow = token.match(/^(\d)L$/i);
+      if (lastDow) {
+        const dow = Number(lastDow[1]) % 7;
+        qualifiers.push({ type: "lastDayOfWeek", dow });
+        continue;
+      }
+      const nth = token.match(/^(\d)#(\d)$/);
+      if (nth) {
+        const dow = Number(nth[1]) % 7;
+        const n = Number(nth[2]);
+        if (n < 1 || n > 5) throw new Error(`Invalid occurrence "${token}" in cron field "dayOfWeek" (valid: #1-#5)`);
+        qualifiers.push({ type: "nthDayOfWeek", dow, nth: n });
+        continue;
+      }
+    }
+    plain.push(token);
+  }
+  return { plain: plain.join(","), qualifiers };
+}
+
+function matchesDayQualifier(q, year, month, day, dow) {
+  const lastDay = daysInMonth(year, month);
+  switch (q.type) {
+    case "last":
+      return day === lastDay;
+    case "lastOffset":
+      return day === lastDay - q.offset;
+    case "lastWeekday": {
+      let target = lastDay;
+      const lastDow = dayOfWeekFor(year, month, lastDay);
+      if (lastDow === 6) target -= 1;
+      else if (lastDow === 0) target -= 2;
+      return day === target;
+    }
+    case "nearestWeekday": {
+      let target = Math.min(q.day, lastDay);
+      const targetDow = dayOfWeekFor(year, month, target);
+      // Never cross into a neighbouring month
+      if (targetDow === 6) target = target === 1 ? 3 : target - 1;
+      else if (targetDow === 0) target = target === lastDay ? target - 2 : target + 1;
+      return day === target;
+    }
+    case "lastDayOfWeek":
+      return dow === q.dow && day + 7 > lastDay;
+    case "nthDayOfWeek":
+      return dow === q.dow && Math.ceil(day / 7) === q.nth;
+    default:
+      return false;
+  }
+}
+
+/**
+ * Parse a Go-style duration ("90s", "5m", "1h30m", "1d") into milliseconds.
+ * @param {string} text
+ * @returns {number}
+ */
+export function parseDurationMs(text) {
+  const raw = String(text || "").trim().toLowerCase();
+  if (!raw) throw new Error("Duration must be a non-empty string");
+  if (/^\d+$/.test(raw)) return Number(raw) * 1000;
+  let total = 0;
+  let consumed = 0;
+  for (const m of raw.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h|d)/g)) {
+    if (m.index !== consumed) break;
+    total += Number(m[1]) * DURATION_UNITS_MS[m[2]];
+    consumed += m[0].length;
+  }
+  if (consumed !== raw.length || total <= 0) {
+    throw new Error(`Invalid duration "${text}" (expected e.g. 90s, 5m, 1h30m)`);
+  }
+  return Math.round(total);
+}
+
+function buildIntervalSchedule(expr, intervalMs) {
+  if (intervalMs < 1000) {
+    throw new Error(`Interval in "${expr}" must be at least 1s`);
+  }
+  return {
+    kind: "interval",
+    expression: expr,
+    intervalMs,
+    fields: null,
+    /**
+     * Next occurrence is exactly one interval after `from` (second precision).
+     * @param {Date} [from]
+     * @returns {Date}
+     */
+    next(from) {
+      const base = from instanceof Date ? from.getTime() : Date.now();
+      return new Date(Math.floor((base + intervalMs) / 1000) * 1000);
+    },
+    nextN(n, from) {
+      const results = [];
+      let cursor = from instanceof Date ? new Date(from.getTime()) : new Date();
+      const count = Math.max(1, Math.min(100, n));
+      for (let i = 0; i < count; i++) {
+        cursor = this.next(cursor);
+        results.push(cursor);
+      }
+      return results;
+    },
+  };
+}
+
 // ── Core parser ─────────────────────────────────────────────────────────────
 
 /**
- * Parse a standard 5-field cron expression.
+ * Parse a cron expression.
  *
- * @param {string} expr — e.g. "0 9 * * 1-5" (9 AM weekdays)
- * @returns {{ fields: object, next: (from: Date) => Date }}
+ * @param {string} expr — e.g. "0 9 * * 1-5" (9 AM weekdays), "30 0 9 * * 1-5"
+ *   (9:00:30 weekdays), "0 18 * * 5L" (last Friday), "@daily", "@every 90s"
+ * @returns {{ kind: "cron"|"interval", fields: object|null, next: (from: Date, timezone?: string) => Date, nextN: Function }}
  * @throws on invalid expression
  */
 export function parseCronExpression(expr) {
@@ -142,25 +363,61 @@ export function parseCronExpression(expr) {
     throw new Error("Cron expression must be a non-empty string");
   }
 
-  const tokens = expr.trim().split(/\s+/);
-  if (tokens.length !== 5) {
+  const trimmedExpr = expr.trim();
+  const lowered = trimmedExpr.toLowerCase();
+  const everyMatch = lowered.match(/^@every\s+(\S+)$/);
+  if (everyMatch) {
+    return buildIntervalSchedule(trimmedExpr, parseDurationMs(everyMatch[1]));
+  }
+  if (lowered.startsWith("@")) {
+    const macro = CRON_MACROS[lowered];
+    if (!macro) {
+      throw new Error(`Unknown cron macro "${trimmedExpr}" (supported: ${Object.keys(CRON_MACROS).join(", ")}, @every <duration>)`);
+    }
+    return { ...parseCronExpression(macro), expression: trimmedExpr };
+  }
+
+  const allTokens = trimmedExpr.split(/\s+/);
+  if (allTokens.length !== 5 && allTokens.length !== 6) {
     throw new Error(
-      `Cron expression must have exactly 5 fields (minute hour dom month dow), got ${tokens.length}: "${expr}"`,
+      `Cron expression must have 5 fields (minute hour dom month dow) or 6 fields (with leading seconds), got ${allTokens.length}: "${expr}"`,
     );
   }
+  const hasSeconds = allTokens.length === 6;
+  const tokens = hasSeconds ? allTokens.slice(1) : allTokens;
 
   const substituted = tokens.map((t, i) => substituteNames(t, i));
-  const parsed = substituted.map((t, i) => parseField(t, FIELD_DEFS[i]));
+  const qualifiers = { dayOfMonth: [], dayOfWeek: [] };
+  const parsed = substituted.map((t, i) => {
+    if (i !== 2 && i !== 4) return parseField(t, FIELD_DEFS[i]);
+    const extracted = extractDayQualifiers(t, i);
+    qualifiers[i === 2 ? "dayOfMonth" : "dayOfWeek"] = extracted.qualifiers;
+    if (!extracted.plain) return [];
+    return parseField(extracted.plain, FIELD_DEFS[i]);
+  });
   const fields = {
+    second:     hasSeconds ? parseField(allTokens[0], SECOND_FIELD_DEF) : [0],
     minute:     parsed[0],
     hour:       parsed[1],
     dayOfMonth: parsed[2],
     month:      parsed[3],
     dayOfWeek:  parsed[4],
   };
+  const hasQualifiers = qualifiers.dayOfMonth.length > 0 || qualifiers.dayOfWeek.length > 0;
+
+  const matchesDay = (year, month, day, dow) => {
+    const domOk = fields.dayOfMonth.includes(day)
+      || qualifiers.dayOfMonth.some((q) => matchesDayQualifier(q, year, month, day, dow));
+    if (!domOk) return false;
+    return fields.dayOfWeek.includes(dow)
+      || qualifiers.dayOfWeek.some((q) => matchesDayQualifier(q, year, month, day, dow));
+  };
 
   return {
+    kind: "cron",
+    expression: trimmedExpr,
     fields,
+    qualifiers: hasQualifiers ? qualifiers : null,
     /**
      * Compute the next occurrence after `from`.
      *
@@ -171,64 +428,57 @@ export function parseCronExpression(expr) {
      * Safety: caps at ~1 year of minute scanning to prevent infinite loops.
      */
     next(from, timezone) {
-      const useTz = typeof timezone === "string" && timezone !== "UTC";
+      const useTz = typeof timezone === "string" && timezone !== "UTC" ? timezone : null;
       const d = from instanceof Date ? new Date(from.getTime()) : new Date();
-      // Advance by 1 minute to ensure we always move forward
-      d.setUTCSeconds(0, 0);
-      d.setUTCMinutes(d.getUTCMinutes() + 1);
+      // Advance by 1 second to ensure we always move forward
+      d.setUTCMilliseconds(0);
+      d.setUTCSeconds(d.getUTCSeconds() + 1);
 
       const maxIterations = 366 * 24 * 60; // ~1 year of minutes
 
-      // Helper: get date parts in the target timezone
-      const getParts = useTz ? (date) => {
-        const fmt = new Intl.DateTimeFormat("en-US", {
-          timeZone: timezone,
-          year: "numeric", month: "2-digit", day: "2-digit",
-          hour: "2-digit", minute: "2-digit", second: "2-digit",
-          hour12: false,
-        });
-        const parts = {};
-        for (const { type, value } of fmt.formatToParts(date)) {
-          parts[type] = Number(value);
-        }
-        return {
-          month: parts.month,       // 1-12
-          day: parts.day,           // 1-31
-          hour: parts.hour === 24 ? 0 : parts.hour, // handle midnight
-          minute: parts.minute,
-          // getDay equivalent via a separate formatter
-          dow: date.getDay !== undefined ? new Date(
-            Date.UTC(parts.year, parts.month - 1, parts.day)
-          ).getUTCDay() : 0,
-        };
-      } : null;
+      // Jump to the next midnight in the target timezone. UTC calendar jumps
+      // would skip part of the local day when the offset is non-zero.
+      const toNextLocalDay = (parts) => {
+        const remainingSec = (24 * 60 - (parts.hour * 60 + parts.minute)) * 60 - parts.second;
+        d.setTime(d.getTime() + remainingSec * 1000);
+      };
 
       for (let i = 0; i < maxIterations; i++) {
-        const month = useTz ? getParts(d).month        : (d.getUTCMonth() + 1);
-        const day   = useTz ? getParts(d).day           : d.getUTCDate();
-        const dow   = useTz ? getParts(d).dow           : d.getUTCDay();
-        const hour  = useTz ? getParts(d).hour          : d.getUTCHours();
-        const min   = useTz ? getParts(d).minute        : d.getUTCMinutes();
-
-        if (!fields.month.includes(month)) {
-          d.setUTCMonth(d.getUTCMonth() + 1, 1);
-          d.setUTCHours(0, 0, 0, 0);
+        const parts = getZonedParts(d, useTz);
+
+        if (!fields.month.includes(parts.month)) {
+          if (useTz) {
+            toNextLocalDay(parts);
+          } else {
+            d.setUTCMonth(d.getUTCMonth() + 1, 1);
+            d.setUTCHours(0, 0, 0, 0);
+          }
           continue;
         }
-        if (!fields.dayOfMonth.includes(day) || !fields.dayOfWeek.includes(dow)) {
-          d.setUTCDate(d.getUTCDate() + 1);
-          d.setUTCHours(0, 0, 0, 0);
+        if (!matchesDay(parts.year, parts.month, parts.day, parts.dow)) {
+          if (useTz) {
+            toNextLocalDay(parts);
+          } else {
+            d.setUTCDate(d.getUTCDate() + 1);
+            d.setUTCHours(0, 0, 0, 0);
+          }
           continue;
         }
-        if (!fields.hour.includes(hour)) {
+        if (!fields.hour.includes(parts.hour)) {
           d.setUTCHours(d.getUTCHours() + 1, 0, 0, 0);
           continue;
         }
-        if (!fields.minute.includes(min)) {
+        if (!fields.minute.includes(parts.minute)) {
+          d.setUTCMinutes(d.getUTCMinutes() + 1, 0, 0);
+          continue;
+        }
+        const second = fields.second.find((s) => s >= parts.second);
+        if (second === undefined) {
           d.setUTCMinutes(d.getUTCMinutes() + 1, 0, 0);
           continue;
         }
         // Match found
+        d.setUTCSeconds(d.getUTCSeconds() + (second - parts.second));
         return new Date(d.getTime());
       }
 
@@ -256,10 +506,209 @@ export function parseCronExpression(expr) {
   };
 }
 
+// ── Blackout windows & exclusion calendar ───────────────────────────────────
+
+function parseClockTime(value, label) {
+  const match = String(value ?? "").trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    throw new Error(`Invalid ${label} time "${value}" (expected HH:MM)`);
+  }
+  return Math.min(24 * 60, Number(match[1]) * 60 + Number(match[2]));
+}
+
+function formatClockTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+function parseDayList(days) {
+  if (days == null) return null;
+  const list = Array.isArray(days) ? days : String(days).split(",");
+  const result = new Set();
+  for (const entry of list) {
+    const token = String(entry).trim().toLowerCase();
+    if (!token) continue;
+    const num = token in DOW_NAMES ? DOW_NAMES[token] : Number(token);
+    if (!Number.isInteger(num) || num < 0 || num > 7) {
+      throw new Error(`Invalid blackout day "${entry}"`);
+    }
+    result.add(num % 7);
+  }
+  return result.size ? result : null;
+}
+
+function normalizeBlackout(entry, index) {
+  if (!entry || typeof entry !== "object") {
+    throw new Error(`Blackout window #${index + 1} must be an object`);
+  }
+  const reason = String(entry.reason || entry.label || "").trim() || null;
+  if (entry.start != null || entry.end != null) {
+    const start = new Date(entry.start).getTime();
+    const end = new Date(entry.end).getTime();
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+      throw new Error(`Blackout window #${index + 1} needs a valid start before end`);
+    }
+    return { type: "absolute", start, end, reason };
+  }
+  if (entry.from != null || entry.to != null) {
+    return {
+      type: "recurring",
+      from: parseClockTime(entry.from ?? "00:00", "blackout start"),
+      to: parseClockTime(entry.to ?? "24:00", "blackout end"),
+      days: parseDayList(entry.days),
+      reason,
+    };
+  }
+  throw new Error(`Blackout window #${index + 1} needs start/end or from/to`);
+}
+
+function normalizeExclusion(entry, index) {
+  const raw = typeof entry === "string" ? { date: entry } : entry;
+  if (!raw || typeof raw !== "object") {
+    throw new Error(`Exclusion #${index + 1} must be a date string or { date, reason }`);
+  }
+  const date = String(raw.date || "").trim();
+  const reason = String(raw.reason || raw.label || "").trim() || null;
+  const full = date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (full) {
+    return { year: Number(full[1]), month: Number(full[2]), day: Number(full[3]), reason, date };
+  }
+  const annual = date.match(/^(?:--)?(\d{2})-(\d{2})$/);
+  if (annual) {
+    return { year: null, month: Number(annual[1]), day: Number(annual[2]), reason, date };
+  }
+  throw new Error(`Invalid exclusion date "${date}" (expected YYYY-MM-DD or MM-DD)`);
+}
+
+/**
+ * Build a schedule calendar from blackout windows and exclusion dates.
+ *
+ * Blackout windows are either absolute (`{ start, end }` ISO timestamps) or
+ * recurring daily windows in the calendar timezone (`{ from: "22:00",
+ * to: "06:00", days?: ["fri"] }`, wrapping past midnight when from > to).
+ * Exclusions are whole days: "YYYY-MM-DD" for a single date or "MM-DD" for a
+ * yearly date such as a public holiday.
+ *
+ * @param {object} [opts]
+ * @param {object[]} [opts.blackouts]
+ * @param {Array<string|object>} [opts.exclusions]
+ * @param {string} [opts.timezone] — IANA timezone for recurring windows and dates
+ * @returns {{ isEmpty: boolean, timezone: string|null, check: (date?: Date) => object|null, nextAllowed: (schedule: object, from?: Date) => Date|null }}
+ * @throws on malformed entries
+ */
+export function createScheduleCalendar({ blackouts, exclusions, timezone } = {}) {
+  const tz = typeof timezone === "string" && timezone.trim() && timezone !== "UTC" ? timezone.trim() : null;
+  const windows = (Array.isArray(blackouts) ? blackouts : []).map(normalizeBlackout);
+  const excluded = (Array.isArray(exclusions) ? exclusions : []).map(normalizeExclusion);
+
+  // Returns the blocking window/date for `at` plus the time it ends, so
+  // nextAllowed() can jump past the whole window instead of walking it tick
+  // by tick.
+  const findBlock = (at) => {
+    const time = at.getTime();
+    if (!windows.length && !excluded.length) return null;
+    const parts = getZonedParts(at, tz);
+    const minutes = parts.hour * 60 + parts.minute;
+    const endsAfter = (deltaMinutes) =>
+      time - (parts.second * 1000 + at.getUTCMilliseconds()) + deltaMinutes * 60_000;
+
+    for (const ex of excluded) {
+      if (ex.month === parts.month && ex.day === parts.day && (ex.year == null || ex.year === parts.year)) {
+        return { info: { kind: "exclusion", date: ex.date, reason: ex.reason }, endsAt: endsAfter(24 * 60 - minutes) };
+      }
+    }
+
+    for (const w of windows) {
+      if (w.type === "absolute") {
+        if (time >= w.start && time < w.end) {
+          return { info: { kind: "blackout", reason: w.reason, until: new Date(w.end).toISOString() }, endsAt: w.end };
+        }
+        continue;
+      }
+      const dayOk = (dow) => !w.days || w.days.has(dow);
+      let remaining = null;
+      if (w.from === w.to) {
+        if (dayOk(parts.dow)) remaining = 24 * 60 - minutes;
+      } else if (w.from < w.to) {
+        if (dayOk(parts.dow) && minutes >= w.from && minutes < w.to) remaining = w.to - minutes;
+      } else if (minutes >= w.from && dayOk(parts.dow)) {
+        // Window wraps past midnight: it ends at `to` on the next day
+        remaining = 24 * 60 - minutes + w.to;
+      } else if (minutes < w.to && dayOk((parts.dow + 6) % 7)) {
+        // ...and the tail belongs to the previous day
+        remaining = w.to - minutes;
+      }
+      if (remaining != null) {
+        return {
+          info: { kind: "blackout", reason: w.reason, window: { from: formatClockTime(w.from), to: formatClockTime(w.to) } },
+          endsAt: endsAfter(remaining),
+        };
+      }
+    }
+    return null;
+  };
+
+  const check = (date = new Date()) => findBlock(date instanceof Date ? date : new Date(date))?.info || null;
+
+  return {
+    isEmpty: windows.length === 0 && excluded.length === 0,
+    timezone: tz,
+    check,
+    /**
+     * First occurrence of `schedule` after `from` that is not blocked. Each
+     * blocked occurrence moves the search past the end of its window, so a
+     * frequent schedule inside a long freeze costs one step per window.
+     * @param {{ next: Function }} schedule — result of parseCronExpression()
+     * @param {Date} [from]
+     * @param {number} [maxSkips=1000]
+     * @returns {Date|null} null when every occurrence within `maxSkips` windows is blocked
+     */
+    nextAllowed(schedule, from, maxSkips = 1000) {
+      let candidate = schedule.next(from instanceof Date ? from : new Date(), tz || undefined);
+      for (let i = 0; i < maxSkips && candidate; i++) {
+        const block = findBlock(candidate);
+        if (!block) return candidate;
+        const resumeFrom = Math.max(block.endsAt - 1, candidate.getTime());
+        candidate = schedule.next(new Date(resumeFrom), tz || undefined);
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Check a trigger node config (`blackouts`, `exclusions`, `timezone`)
+ * against `now`. Returns null when the schedule may fire, otherwise a
+ * description of the blocking window/date. Invalid calendars are reported as
+ * `{ kind: "invalid", error }` so callers can surface them without throwing.
+ *
+ * @param {object} [config]
+ * @param {Date} [now]
+ * @returns {object|null}
+ */
+export function checkScheduleCalendar(config = {}, now = new Date()) {
+  const hasBlackouts = Array.isArray(config?.blackouts) && config.blackouts.length > 0;
+  const hasExclusions = Array.isArray(config?.exclusions) && config.exclusions.length > 0;
+  if (!hasBlackouts && !hasExclusions) return null;
+  try {
+    return createScheduleCalendar({
+      blackouts: config.blackouts,
+      exclusions: config.exclusions,
+      timezone: config.timezone,
+    }).check(now);
+  } catch (err) {
+    return { kind: "invalid", error: err?.message || String(err) };
+  }
+}
+
+function buildJobCalendar(blackouts, exclusions, timezone) {
+  const calendar = createScheduleCalendar({ blackouts, exclusions, timezone });
+  return calendar.isEmpty ? null : calendar;
+}
+
 // ── CronScheduler class ─────────────────────────────────────────────────────
 
 export class CronScheduler {
-  /** @type {Map<string, { cronExpr: string, parsed: ReturnType<typeof parseCronExpression>, callback: Function, nextRunAt: Date, timezone: string|null, lastRunAt: Date|null, lastError: string|null, runCount: number, errorCount: number, jitterMs: number, coalesce: boolean }>} */
+  /** @type {Map<string, { cronExpr: string, parsed: ReturnType<typeof parseCronExpression>, callback: Function, nextRunAt: Date, timezone: string|null, lastRunAt: Date|null, lastError: string|null, runCount: number, errorCount: number, jitterMs: number, coalesce: boolean, blackouts: object[], exclusions: Array<string|object>, calendar: ReturnType<typeof createScheduleCalendar>|null, skipCount: number, lastSkippedAt: Date|null, lastSkipReason: string|null }>} */
   #jobs = new Map();
   #timer = null;
   #pollIntervalMs = 15000;
@@ -280,14 +729,16 @@ export class CronScheduler {
   /**
    * Register a cron job.
    * @param {string} id       — unique job identifier
-   * @param {string} cronExpr — 5-field cron expression
+   * @param {string} cronExpr — cron expression, macro or "@every <duration>"
    * @param {Function} callback — called when the cron fires
    * @param {object} [opts]
    * @param {string} [opts.timezone] — IANA timezone (e.g. "America/New_York")
    * @param {number} [opts.jitterMs=0] — random jitter added to fire time (0 = none)
    * @param {boolean} [opts.coalesce=true] — if true, fire only once for missed ticks
+   * @param {object[]} [opts.blackouts] — windows during which ticks are skipped
+   * @param {Array<string|object>} [opts.exclusions] — dates on which ticks are skipped
    */
-  register(id, cronExpr, callback, { timezone, jitterMs, coalesce } = {}) {
+  register(id, cronExpr, callback, { timezone, jitterMs, coalesce, blackouts, exclusions } = {}) {
     if (typeof id !== "string" || !id.trim()) {
       throw new Error("Job ID must be a non-empty string");
     }
@@ -297,6 +748,7 @@ export class CronScheduler {
     const parsed = parseCronExpression(cronExpr);
     const tz = timezone || null;
     const nextRunAt = parsed.next(new Date(), tz);
+    const calendar = buildJobCalendar(blackouts, exclusions, tz);
 
     // Preserve history from a previous registration / loaded state
     const prev = this.#jobs.get(id);
@@ -312,6 +764,12 @@ export class CronScheduler {
       errorCount: prev?.errorCount || 0,
       jitterMs: Math.max(0, jitterMs || 0),
       coalesce: coalesce !== false,
+      blackouts: calendar ? blackouts : [],
+      exclusions: calendar ? exclusions : [],
+      calendar,
+      skipCount: prev?.skipCount || 0,
+      lastSkippedAt: prev?.lastSkippedAt || null,
+      lastSkipReason: prev?.lastSkipReason || null,
     });
     this.#saveState();
   }
@@ -353,7 +811,7 @@ export class CronScheduler {
 
   /**
    * Get status of all registered jobs.
-   * @returns {Array<{ id: string, cronExpr: string, nextRunAt: string, timezone: string|null, lastRunAt: string|null, lastError: string|null, runCount: number, errorCount: number }>}
+   * @returns {Array<{ id: string, cronExpr: string, nextRunAt: string, timezone: string|null, lastRunAt: string|null, lastError: string|null, runCount: number, errorCount: number, skipCount: number, lastSkippedAt: string|null, lastSkipReason: string|null }>}
    */
   getStatus() {
     const result = [];
@@ -367,13 +825,17 @@ export class CronScheduler {
         lastError: job.lastError,
         runCount: job.runCount,
         errorCount: job.errorCount,
+        skipCount: job.skipCount,
+        lastSkippedAt: job.lastSkippedAt ? job.lastSkippedAt.toISOString() : null,
+        lastSkipReason: job.lastSkipReason,
       });
     }
     return result;
   }
 
   /**
-   * Get the next N scheduled times for a job.
+   * Get the next N scheduled times for a job. Occurrences that fall inside
+   * a blackout window or on an excluded date are left out.
    * @param {string} id
    * @param {number} [n=5]
    * @returns {Date[]|null}
@@ -381,7 +843,16 @@ export class CronScheduler {
   getNextOccurrences(id, n = 5) {
     const job = this.#jobs.get(id);
     if (!job) return null;
-    return job.parsed.nextN(n, new Date(), job.timezone);
+    if (!job.calendar) return job.parsed.nextN(n, new Date(), job.timezone);
+    const results = [];
+    let cursor = new Date();
+    const count = Math.max(1, Math.min(100, n));
+    while (results.length < count) {
+      cursor = job.calendar.nextAllowed(job.parsed, cursor);
+      if (!cursor) break;
+      results.push(cursor);
+    }
+    return results;
   }
 
   /** @returns {number} */
@@ -413,10 +884,10 @@ export class CronScheduler {
           }
         } catch { nextCandidate = null; }
         // Fire the callback once for the overdue window
-        this.#fireJob(id, job);
+        this.#fireOrSkip(id, job, now);
         job.nextRunAt = nextCandidate;
       } else {
-        this.#fireJob(id, job);
+        this.#fireOrSkip(id, job, now);
         try {
           job.nextRunAt = job.parsed.next(now, job.timezone);
         } catch (err) {
@@ -430,6 +901,19 @@ export class CronScheduler {
     if (stateChanged) this.#saveState();
   }
 
+  #fireOrSkip(id, job, now) {
+    const blocked = job.calendar?.check(now) || null;
+    if (!blocked) {
+      this.#fireJob(id, job);
+      return;
+    }
+    job.skipCount++;
+    job.lastSkippedAt = now;
+    job.lastSkipReason = blocked.reason
+      ? `${blocked.kind}: ${blocked.reason}`
+      : blocked.kind;
+  }
+
   #fireJob(id, job) {
     // Apply jitter
     const jitter = job.jitterMs > 0 ? Math.floor(Math.random() * job.jitterMs) : 0;
@@ -472,6 +956,11 @@ export class CronScheduler {
           errorCount: job.errorCount,
           jitterMs: job.jitterMs,
           coalesce: job.coalesce,
+          blackouts: job.blackouts,
+          exclusions: job.exclusions,
+          skipCount: job.skipCount,
+          lastSkippedAt: job.lastSkippedAt?.toISOString() || null,
+          lastSkipReason: job.lastSkipReason,
         };
       }
       writeFileSync(this.#persistPath, JSON.stringify(data, null, 2), "utf8");
@@ -491,18 +980,27 @@ export class CronScheduler {
       for (const [id, entry] of Object.entries(data)) {
         if (!entry?.cronExpr) continue;
         // Store partial state; register() or a subsequent call will supply the callback
+        const timezone = entry.timezone || null;
+        const blackouts = Array.isArray(entry.blackouts) ? entry.blackouts : [];
+        const exclusions = Array.isArray(entry.exclusions) ? entry.exclusions : [];
         this.#jobs.set(id, {
           cronExpr: entry.cronExpr,
           parsed: parseCronExpression(entry.cronExpr),
           callback: () => { console.warn(`${TAG} cron job "${id}" fired but has no callback (not re-registered)`); },
           nextRunAt: entry.nextRunAt ? new Date(entry.nextRunAt) : null,
-          timezone: entry.timezone || null,
+          timezone,
           lastRunAt: entry.lastRunAt ? new Date(entry.lastRunAt) : null,
           lastError: entry.lastError || null,
           runCount: entry.runCount || 0,
           errorCount: entry.errorCount || 0,
           jitterMs: entry.jitterMs || 0,
           coalesce: entry.coalesce !== false,
+          blackouts,
+          exclusions,
+          calendar: buildJobCalendar(blackouts, exclusions, timezone),
+          skipCount: entry.skipCount || 0,
+          lastSkippedAt: entry.lastSkippedAt ? new Date(entry.lastSkippedAt) : null,
+          lastSkipReason: entry.lastSkipReason || null,
         });
       }
     } catch (err) {
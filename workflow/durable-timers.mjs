@@ -0,0 +1,292 @@
+/**
+ * durable-timers.mjs — Persisted wake-ups for sleeping workflow runs
+ *
+ * A node that has to wait a long time (action.delay with `durable: true`,
+ * flow.gate in timeout mode, flow.wait_for_event) returns a durable wait
+ * request instead of blocking. The engine checkpoints the run, releases its
+ * concurrency slot and records a timer in `<runsDir>/_durable-timers.json`:
+ *
+ *   runId / workflowId / nodeId — the sleeping run and the node it sleeps in
+ *   wakeAt      — epoch ms when the timer fires (null = event only)
+ *   eventType   — event that wakes the run early ("prefix.*" allowed)
+ *   correlation — { "<event path>": expected } pairs the event must carry
+ *   wake        — why the run was woken, set once a wake has been claimed
+ *   claimedBy   — engine instance currently resuming the run
+ *
+ * When the timer fires or a matching event reaches evaluateTriggers(), the
+ * engine rebuilds the run from its checkpoint and re-executes the sleeping
+ * node, which reads the wake cause via consumeDurableWake().
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { resolve } from "node:path";
+
+const TAG = "[durable-timers]";
+
+export const DURABLE_TIMERS_FILE = "_durable-timers.json";
+
+/** setTimeout() overflows above 2^31-1 ms (~24.8 days). */
+const MAX_TIMER_DELAY_MS = 2_147_483_647;
+
+function toEpochMs(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (value instanceof Date) return Number.isFinite(value.getTime()) ? value.getTime() : null;
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) return Math.trunc(numeric);
+  const parsed = Date.parse(String(value));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function readPath(source, path) {
+  let current = source;
+  for (const part of String(path || "").split(".")) {
+    if (current === null || current === undefined || typeof current !== "object") return undefined;
+    current = current[part];
+  }
+  return current;
+}
+
+function cloneJson(value) {
+  if (value === undefined) return undefined;
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Build the value a node returns to ask the engine for a durable wait.
+ * @param {object} spec
+ * @param {number|string|Date} [spec.wakeAt] - When the timer fires
+ * @param {number} [spec.delayMs] - Alternative to wakeAt, relative to now
+ * @param {string} [spec.eventType] - Event that wakes the run early
+ * @param {object} [spec.correlation] - Event fields that must match
+ * @param {string} [spec.reason]
+ * @returns {{ _durableWait: object }}
+ */
+export function requestDurableWait(spec = {}) {
+  const delayMs = Number(spec.delayMs);
+  const wakeAt = toEpochMs(spec.wakeAt)
+    ?? (Number.isFinite(delayMs) && delayMs >= 0 ? Date.now() + Math.trunc(delayMs) : null);
+  const eventType = String(spec.eventType || "").trim() || null;
+  if (wakeAt === null && !eventType) {
+    throw new Error(`${TAG} A durable wait needs a wakeAt/delayMs or an eventType`);
+  }
+  const correlation = {};
+  for (const [key, value] of Object.entries(spec.correlation || {})) {
+    const path = String(key || "").trim();
+    if (path && value !== undefined) correlation[path] = value;
+  }
+  return {
+    _durableWait: {
+      wakeAt,
+      eventType,
+      correlation,
+      reason: String(spec.reason || "").trim() || null,
+    },
+  };
+}
+
+/**
+ * @param {unknown} value - A node result
+ * @returns {boolean} true when the node asked for a durable wait
+ */
+export function isDurableWaitRequest(value) {
+  return Boolean(value && typeof value === "object" && value._durableWait && typeof value._durableWait === "object");
+}
+
+/**
+ * Take the wake-up the engine handed to a re-executed sleeping node.
+ * Returns null on the node's first execution.
+ * @param {import("./workflow-engine.mjs").WorkflowContext} ctx
+ * @param {string} nodeId
+ * @returns {{ cause: "timer"|"event"|"cancelled", event?: object, firedAt: number, sleptAt: number, wakeAt: number|null }|null}
+ */
+export function consumeDurableWake(ctx, nodeId) {
+  const wake = ctx?.data?._durableWake;
+  if (!wake || wake.nodeId !== nodeId) return null;
+  delete ctx.data._durableWake;
+  return wake;
+}
+
+/**
+ * Whether an event wakes a sleeping run: the event type must match and
+ * every correlation path must resolve to the expected value.
+ * @param {object} entry - Durable timer entry
+ * @param {string} eventType
+ * @param {object} eventData
+ * @returns {boolean}
+ */
+export function matchesDurableWaitEvent(entry, eventType, eventData = {}) {
+  const expected = String(entry?.eventType || "");
+  const actual = String(eventType || "");
+  if (!expected || !actual) return false;
+  const typeMatches = expected.endsWith("*")
+    ? actual.startsWith(expected.slice(0, -1))
+    : expected === actual;
+  if (!typeMatches) return false;
+  return Object.entries(entry.correlation || {}).every(
+    ([path, value]) => String(readPath(eventData, path) ?? "") === String(value ?? ""),
+  );
+}
+
+/**
+ * setTimeout() for an absolute time that may be weeks away; long delays are
+ * chained in MAX_TIMER_DELAY_MS steps.
+ * @param {number} wakeAt - Epoch ms
+ * @param {Function} callback
+ * @param {{ unref?: boolean }} [opts]
+ * @returns {{ cancel(): void }}
+ */
+export function scheduleDurableTimeout(wakeAt, callback, opts = {}) {
+  let timer = null;
+  let cancelled = false;
+  const arm = () => {
+    const delay = Math.max(0, Number(wakeAt) - Date.now());
+    timer = setTimeout(() => {
+      if (cancelled) return;
+      if (Date.now() < Number(wakeAt)) {
+        arm();
+        return;
+      }
+      callback();
+    }, Math.min(delay, MAX_TIMER_DELAY_MS));
+    if (opts.unref && timer.unref) timer.unref();
+  };
+  arm();
+  return {
+    cancel() {
+      cancelled = true;
+      clearTimeout(timer);
+    },
+  };
+}
+
+export class DurableTimerStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.runsDir - Workflow runs directory
+   */
+  constructor({ runsDir }) {
+    this.runsDir = runsDir;
+    this.filePath = resolve(runsDir, DURABLE_TIMERS_FILE);
+  }
+
+  _read() {
+    if (!existsSync(this.filePath)) return [];
+    try {
+      const parsed = JSON.parse(readFileSync(this.filePath, "utf8"));
+      return Array.isArray(parsed?.timers) ? parsed.timers.filter((entry) => entry?.runId) : [];
+    } catch (err) {
+      console.warn(`${TAG} Failed to read ${DURABLE_TIMERS_FILE}: ${err.message}`);
+      return [];
+    }
+  }
+
+  _write(timers) {
+    mkdirSync(this.runsDir, { recursive: true });
+    writeFileSync(this.filePath, JSON.stringify({ timers }, null, 2), "utf8");
+  }
+
+  /** @returns {object[]} all sleeping runs, soonest wake first */
+  list() {
+    return this._read().sort(
+      (a, b) => (a.wakeAt ?? Number.MAX_SAFE_INTEGER) - (b.wakeAt ?? Number.MAX_SAFE_INTEGER),
+    );
+  }
+
+  /** @param {string} runId */
+  get(runId) {
+    return this._read().find((entry) => entry.runId === runId) || null;
+  }
+
+  /**
+   * Insert or replace the timer of a run (a run sleeps in one node at a time).
+   * @param {object} entry
+   * @returns {object}
+   */
+  upsert(entry) {
+    const timers = this._read().filter((existing) => existing.runId !== entry.runId);
+    const stored = cloneJson(entry);
+    timers.push(stored);
+    this._write(timers);
+    return stored;
+  }
+
+  /** @param {string} runId */
+  remove(runId) {
+    const timers = this._read();
+    const remaining = timers.filter((entry) => entry.runId !== runId);
+    if (remaining.length !== timers.length) this._write(remaining);
+    return remaining.length !== timers.length;
+  }
+
+  /**
+   * Mark a run as being woken so other engines sharing the runs directory
+   * leave it alone. The wake cause is kept so a crash mid-wake can resume
+   * with the same cause.
+   * @param {string} runId
+   * @param {object} wake
+   * @param {string} claimedBy - Engine instance id
+   * @returns {object|null} the claimed entry, or null if already claimed
+   */
+  claim(runId, wake, claimedBy) {
+    const timers = this._read();
+    const entry = timers.find((candidate) => candidate.runId === runId);
+    if (!entry || entry.claimedBy) return null;
+    entry.wake = entry.wake || cloneJson(wake);
+    entry.claimedBy = claimedBy;
+    entry.claimedAt = Date.now();
+    this._write(timers);
+    return entry;
+  }
+
+  /**
+   * Drop claims left behind by engines that are gone (e.g. after a crash).
+   * @param {string} [keepClaimedBy] - Claims of this instance are kept
+   * @returns {number} claims released
+   */
+  releaseClaims(keepClaimedBy = null) {
+    const timers = this._read();
+    let released = 0;
+    for (const entry of timers) {
+      if (!entry.claimedBy || entry.claimedBy === keepClaimedBy) continue;
+      delete entry.claimedBy;
+      delete entry.claimedAt;
+      released++;
+    }
+    if (released > 0) this._write(timers);
+    return released;
+  }
+
+  /**
+   * Unclaimed timers that are due — their wakeAt passed, or a wake was
+   * claimed before and never finished.
+   * @param {number} [now]
+   */
+  due(now = Date.now()) {
+    return this.list().filter(
+      (entry) => !entry.claimedBy && (entry.wake || (entry.wakeAt !== null && entry.wakeAt <= now)),
+    );
+  }
+
+  /** @returns {number|null} epoch ms of the next unclaimed wake-up */
+  nextWakeAt() {
+    let next = null;
+    for (const entry of this._read()) {
+      if (entry.claimedBy) continue;
+      const at = entry.wake ? 0 : entry.wakeAt;
+      if (at === null || at === undefined) continue;
+      if (next === null || at < next) next = at;
+    }
+    return next;
+  }
+
+  /**
+   * Unclaimed runs sleeping on an event that this event satisfies.
+   * @param {string} eventType
+   * @param {object} eventData
+   */
+  matchEvent(eventType, eventData) {
+    return this._read().filter(
+      (entry) => !entry.claimedBy && !entry.wake && matchesDurableWaitEvent(entry, eventType, eventData),
+    );
+  }
+}
@@ -1554,6 +1554,19 @@ export class RunEvaluator {
     return this.#history.get(workflowId) || [];
   }
 
+  /**
+   * Get evaluation history across all workflows, oldest first.
+   * @returns {Array<{ workflowId: string, runId: string, score: number, grade: string, timestamp: string }>}
+   */
+  listHistory() {
+    const entries = [];
+    for (const [workflowId, history] of this.#history) {
+      for (const entry of history) entries.push({ workflowId, ...entry });
+    }
+    return entries.sort((left, right) =>
+      (Date.parse(left?.timestamp || "") || 0) - (Date.parse(right?.timestamp || "") || 0));
+  }
+
   /**
    * Get trend data for a workflow (average score over recent evaluations).
    * @param {string} workflowId
@@ -0,0 +1,435 @@
+/**
+ * workflow-analyzer.mjs — Static checks for workflow definitions
+ *
+ * Runs on every WorkflowEngine.save() (and therefore /api/workflows/save)
+ * and reports problems as diagnostics the canvas can underline. Each
+ * diagnostic carries a `code`, a `severity` ("error" blocks the save,
+ * "warning" is informational) and a `message`, plus whichever anchors apply:
+ *
+ *   nodeId / field — node and config path (e.g. "config.input.taskId")
+ *   edgeId         — edge the problem is attached to
+ *   variable       — template path of an unresolved {{variable}}
+ *
+ * Checks:
+ *   dangling-edge            edge points at a node that does not exist (error)
+ *   no-entry-node            every node has an incoming edge (error)
+ *   cycle-without-back-edge  a cycle the scheduler would deadlock on (error)
+ *   unreachable-node         node can never run (warning)
+ *   detached-node            non-trigger node that starts beside the trigger (warning)
+ *   unknown-node-type        node type is not registered (warning)
+ *   unresolved-variable      {{var}} that nothing in the workflow sets (warning)
+ *   missing-workflow-input   sub-workflow call omits a required input (error)
+ *   workflow-input-type-mismatch  literal input has the wrong type (error)
+ *   unknown-workflow-input   input the sub-workflow does not declare (warning)
+ *   unknown-workflow-output  {{node.output.x}} the sub-workflow does not declare (warning)
+ *   undeclared-workflow-output / missing-workflow-output
+ *                            flow.end output disagrees with the declared outputs (warning)
+ *   unknown-workflow         sub-workflow id is not installed (warning)
+ *
+ * A {{variable}} resolves when its first segment is a workflow variable, a
+ * node id (node outputs), a key some node writes (outputVariable, `provides`
+ * of its handler, …) or a declared trigger.workflow_call input. Triggers
+ * fired by external events hand their whole payload to the run, so variables
+ * are only checked when every trigger declares its input with `provides`.
+ *
+ * Port bindings are checked while the definition is hydrated; those issues
+ * (metadata.validationIssues) are folded into the result unchanged.
+ */
+
+export const DiagnosticSeverity = Object.freeze({
+  ERROR: "error",
+  WARNING: "warning",
+});
+
+/** Same placeholder syntax WorkflowContext.resolve() substitutes. */
+const TEMPLATE_PLACEHOLDER_RE = /\{\{([A-Za-z0-9_][A-Za-z0-9_.-]*)\}\}/g;
+
+/** Node types that start a child run of another saved workflow. */
+const SUBWORKFLOW_NODE_TYPES = Object.freeze({
+  "action.execute_workflow": { inheritContext: false },
+  "flow.universal": { inheritContext: true },
+  "flow.universial": { inheritContext: true },
+  "flow.map_reduce": { inheritContext: false, itemKeys: ["variable", "indexVariable"] },
+});
+
+/** Config keys naming a ctx.data key the node writes. */
+const CONTEXT_WRITE_KEYS = ["outputVariable", "variable", "indexVariable", "stateVariable", "errorVariable"];
+
+/** Variables written under a default name when the config key is omitted. */
+const CONTEXT_WRITE_DEFAULTS = Object.freeze({
+  "loop.for_each": ["item", "index"],
+  "loop.while": ["loopState"],
+  "action.ask_user": ["userResponse"],
+  "flow.try_catch": ["$error"],
+});
+
+const MAP_REDUCE_ITEM_DEFAULTS = Object.freeze({ variable: "item", indexVariable: "index" });
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function edgeLabel(edge) {
+  return edge?.id || `${edge?.source}->${edge?.target}`;
+}
+
+function nodeName(node) {
+  return node?.label ? `"${node.label}" (${node.id})` : `"${node?.id}"`;
+}
+
+function isTemplated(value) {
+  return typeof value === "string" && value.includes("{{");
+}
+
+function valueType(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+/**
+ * Visit every string in a node config, with its dotted path.
+ * @param {unknown} value
+ * @param {string} path
+ * @param {(text: string, path: string) => void} visit
+ */
+function walkStrings(value, path, visit) {
+  if (typeof value === "string") {
+    visit(value, path);
+  } else if (Array.isArray(value)) {
+    value.forEach((entry, index) => walkStrings(entry, `${path}.${index}`, visit));
+  } else if (isPlainObject(value)) {
+    for (const [key, entry] of Object.entries(value)) walkStrings(entry, `${path}.${key}`, visit);
+  }
+}
+
+/**
+ * The trigger.workflow_call contract of a workflow: declared inputs and outputs.
+ * @param {object} def
+ * @returns {{ nodeId: string, inputs: object, outputs: object|null }|null} null without a trigger.workflow_call
+ */
+export function getWorkflowCallContract(def) {
+  const trigger = (def?.nodes || []).find((node) => node?.type === "trigger.workflow_call");
+  if (!trigger) return null;
+  const inputs = isPlainObject(trigger.config?.inputs) ? trigger.config.inputs : {};
+  const outputs = isPlainObject(trigger.config?.outputs) ? trigger.config.outputs : null;
+  return { nodeId: trigger.id, inputs, outputs };
+}
+
+function collectKnownVariables(def, getNodeType) {
+  const known = new Set(Object.keys(isPlainObject(def.variables) ? def.variables : {}));
+  for (const node of def.nodes || []) {
+    if (!node?.id) continue;
+    known.add(node.id);
+    const provides = getNodeType?.(node.type)?.provides;
+    if (Array.isArray(provides)) for (const name of provides) known.add(name);
+    const config = isPlainObject(node.config) ? node.config : {};
+    for (const key of CONTEXT_WRITE_KEYS) {
+      if (typeof config[key] === "string" && config[key].trim()) known.add(config[key].trim());
+    }
+    for (const name of CONTEXT_WRITE_DEFAULTS[node.type] || []) known.add(name);
+    if (node.type === "action.set_variable" && typeof config.key === "string") known.add(config.key.trim());
+    if (node.type === "trigger.workflow_call" && isPlainObject(config.inputs)) {
+      for (const name of Object.keys(config.inputs)) known.add(name);
+    }
+  }
+  return known;
+}
+
+function checkGraph(def, nodeMap, diagnostics) {
+  const edges = def.edges || [];
+  const validEdges = [];
+  for (const edge of edges) {
+    const missing = [edge?.source, edge?.target].filter((id) => !nodeMap.has(id));
+    if (missing.length > 0) {
+      diagnostics.push({
+        code: "dangling-edge",
+        severity: DiagnosticSeverity.ERROR,
+        edgeId: edgeLabel(edge),
+        source: edge?.source ?? null,
+        target: edge?.target ?? null,
+        message: `Edge ${edgeLabel(edge)} references missing node${missing.length > 1 ? "s" : ""} ${missing.map((id) => `"${id}"`).join(", ")}`,
+      });
+      continue;
+    }
+    validEdges.push(edge);
+  }
+
+  // Entry nodes mirror WorkflowEngine._findEntryNodes(): no incoming edge at all.
+  const hasIncoming = new Set(edges.map((edge) => edge?.target));
+  const entries = (def.nodes || []).filter((node) => !hasIncoming.has(node.id));
+  if (entries.length === 0 && nodeMap.size > 0) {
+    diagnostics.push({
+      code: "no-entry-node",
+      severity: DiagnosticSeverity.ERROR,
+      message: "Workflow has no entry node: every node has an incoming edge",
+    });
+  }
+
+  const outgoing = new Map();
+  for (const edge of validEdges) {
+    if (!outgoing.has(edge.source)) outgoing.set(edge.source, []);
+    outgoing.get(edge.source).push(edge);
+  }
+
+  const reached = new Set();
+  const queue = entries.map((node) => node.id);
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    if (reached.has(nodeId)) continue;
+    reached.add(nodeId);
+    for (const edge of outgoing.get(nodeId) || []) queue.push(edge.target);
+  }
+  for (const node of def.nodes || []) {
+    if (reached.has(node.id)) continue;
+    diagnostics.push({
+      code: "unreachable-node",
+      severity: DiagnosticSeverity.WARNING,
+      nodeId: node.id,
+      message: `Node ${nodeName(node)} is never reached from an entry node`,
+    });
+  }
+  if (entries.some((node) => String(node.type || "").startsWith("trigger."))) {
+    for (const node of entries) {
+      if (String(node.type || "").startsWith("trigger.")) continue;
+      diagnostics.push({
+        code: "detached-node",
+        severity: DiagnosticSeverity.WARNING,
+        nodeId: node.id,
+        message: `Node ${nodeName(node)} has no incoming edge, so it runs at start independently of the trigger`,
+      });
+    }
+  }
+
+  // Back-edges are excluded from in-degree; a cycle of forward edges never
+  // becomes ready and deadlocks the run.
+  const state = new Map();
+  const stack = [];
+  const visit = (nodeId) => {
+    state.set(nodeId, "active");
+    stack.push(nodeId);
+    for (const edge of outgoing.get(nodeId) || []) {
+      if (edge.backEdge === true) continue;
+      const targetState = state.get(edge.target);
+      if (targetState === "active") {
+        const cycle = [...stack.slice(stack.indexOf(edge.target)), edge.target];
+        diagnostics.push({
+          code: "cycle-without-back-edge",
+          severity: DiagnosticSeverity.ERROR,
+          edgeId: edgeLabel(edge),
+          source: edge.source,
+          target: edge.target,
+          nodeIds: cycle.slice(0, -1),
+          message: `Edge ${edgeLabel(edge)} closes the cycle ${cycle.join(" → ")}; mark it backEdge: true to loop`,
+        });
+      } else if (!targetState) {
+        visit(edge.target);
+      }
+    }
+    stack.pop();
+    state.set(nodeId, "done");
+  };
+  for (const node of def.nodes || []) {
+    if (!state.has(node.id)) visit(node.id);
+  }
+}
+
+function checkSubworkflowInputs(node, contract, childId, diagnostics) {
+  const spec = SUBWORKFLOW_NODE_TYPES[node.type];
+  const config = isPlainObject(node.config) ? node.config : {};
+  const provided = new Map();
+  for (const source of ["input", "triggerVars"]) {
+    if (!isPlainObject(config[source])) continue;
+    for (const [key, value] of Object.entries(config[source])) provided.set(key, { value, field: `config.${source}.${key}` });
+  }
+  for (const key of spec.itemKeys || []) {
+    const name = String(config[key] || MAP_REDUCE_ITEM_DEFAULTS[key]).trim();
+    provided.set(name, { value: undefined, field: `config.${key}` });
+  }
+  const inheritContext = config.inheritContext === undefined
+    ? spec.inheritContext
+    : config.inheritContext === true || config.inheritContext === "true";
+
+  for (const [name, input] of Object.entries(contract.inputs)) {
+    const declared = isPlainObject(input) ? input : {};
+    const entry = provided.get(name);
+    if (!entry) {
+      if (declared.required === true && declared.default === undefined && !inheritContext) {
+        diagnostics.push({
+          code: "missing-workflow-input",
+          severity: DiagnosticSeverity.ERROR,
+          nodeId: node.id,
+          field: "config.input",
+          workflowId: childId,
+          input: name,
+          message: `Node ${nodeName(node)} does not pass required input "${name}" to workflow "${childId}"`,
+        });
+      }
+      continue;
+    }
+    const expected = String(declared.type || "").trim();
+    const value = entry.value;
+    if (!expected || value === undefined || value === null || isTemplated(value)) continue;
+    if (valueType(value) !== expected) {
+      diagnostics.push({
+        code: "workflow-input-type-mismatch",
+        severity: DiagnosticSeverity.ERROR,
+        nodeId: node.id,
+        field: entry.field,
+        workflowId: childId,
+        input: name,
+        message: `Input "${name}" of workflow "${childId}" expects ${expected}, got ${valueType(value)}`,
+      });
+    }
+  }
+  for (const [name, entry] of provided) {
+    if (Object.hasOwn(contract.inputs, name) || name.startsWith("_")) continue;
+    diagnostics.push({
+      code: "unknown-workflow-input",
+      severity: DiagnosticSeverity.WARNING,
+      nodeId: node.id,
+      field: entry.field,
+      workflowId: childId,
+      input: name,
+      message: `Workflow "${childId}" does not declare an input "${name}"`,
+    });
+  }
+}
+
+function checkDeclaredOutputs(def, diagnostics) {
+  const contract = getWorkflowCallContract(def);
+  if (!contract?.outputs) return;
+  const declared = Object.keys(contract.outputs);
+  for (const node of def.nodes || []) {
+    if (node?.type !== "flow.end" || node.config?.status === "failed") continue;
+    const output = node.config?.output;
+    if (!isPlainObject(output)) continue;
+    for (const key of Object.keys(output)) {
+      if (declared.includes(key)) continue;
+      diagnostics.push({
+        code: "undeclared-workflow-output",
+        severity: DiagnosticSeverity.WARNING,
+        nodeId: node.id,
+        field: `config.output.${key}`,
+        message: `Output "${key}" is not declared in the outputs of ${nodeName({ id: contract.nodeId })}`,
+      });
+    }
+    for (const key of declared) {
+      if (Object.hasOwn(output, key)) continue;
+      diagnostics.push({
+        code: "missing-workflow-output",
+        severity: DiagnosticSeverity.WARNING,
+        nodeId: node.id,
+        field: "config.output",
+        message: `Declared output "${key}" is missing from the output of ${nodeName(node)}`,
+      });
+    }
+  }
+}
+
+/**
+ * Analyze a (hydrated) workflow definition.
+ * @param {object} def - Workflow definition, as returned by hydration
+ * @param {object} [opts]
+ * @param {(type: string) => unknown} [opts.getNodeType] - Node type registry lookup
+ * @param {(id: string) => object|null} [opts.getWorkflow] - Resolves sub-workflow definitions
+ * @returns {{ ok: boolean, errorCount: number, warningCount: number, diagnostics: object[] }}
+ */
+export function analyzeWorkflowDefinition(def, opts = {}) {
+  const diagnostics = (def?.metadata?.validationIssues || []).map((issue) => ({
+    code: issue.code || "invalid-port-binding",
+    ...issue,
+  }));
+  const nodes = (def?.nodes || []).filter((node) => node?.id);
+  const nodeMap = new Map(nodes.map((node) => [node.id, node]));
+  checkGraph({ ...def, nodes }, nodeMap, diagnostics);
+
+  if (typeof opts.getNodeType === "function") {
+    for (const node of nodes) {
+      if (opts.getNodeType(node.type)) continue;
+      diagnostics.push({
+        code: "unknown-node-type",
+        severity: DiagnosticSeverity.WARNING,
+        nodeId: node.id,
+        field: "type",
+        message: `Node ${nodeName(node)} uses unregistered type "${node.type}"`,
+      });
+    }
+  }
+
+  // Sub-workflow calls with a literal workflowId, keyed by every name their
+  // summary is reachable under ({{nodeId.output.x}} / {{outputVariable.output.x}}).
+  const childOutputs = new Map();
+  for (const node of nodes) {
+    if (!SUBWORKFLOW_NODE_TYPES[node.type]) continue;
+    const childId = String(node.config?.workflowId || "").trim();
+    if (!childId || isTemplated(childId) || typeof opts.getWorkflow !== "function") continue;
+    const child = opts.getWorkflow(childId);
+    if (!child) {
+      diagnostics.push({
+        code: "unknown-workflow",
+        severity: DiagnosticSeverity.WARNING,
+        nodeId: node.id,
+        field: "config.workflowId",
+        workflowId: childId,
+        message: `Node ${nodeName(node)} calls workflow "${childId}", which is not installed`,
+      });
+      continue;
+    }
+    const contract = getWorkflowCallContract(child);
+    if (!contract) continue;
+    checkSubworkflowInputs(node, contract, childId, diagnostics);
+    if (contract.outputs && node.type !== "flow.map_reduce") {
+      const entry = { childId, outputs: contract.outputs };
+      childOutputs.set(node.id, entry);
+      const outputVariable = String(node.config?.outputVariable || "").trim();
+      if (outputVariable) childOutputs.set(outputVariable, entry);
+    }
+  }
+  checkDeclaredOutputs(def, diagnostics);
+
+  const triggers = nodes.filter((node) => String(node.type || "").startsWith("trigger."));
+  const closedInput = triggers.length > 0 && typeof opts.getNodeType === "function"
+    && triggers.every((node) => Array.isArray(opts.getNodeType(node.type)?.provides));
+  const known = collectKnownVariables({ ...def, nodes }, opts.getNodeType);
+  for (const node of nodes) {
+    walkStrings(node.config, "config", (text, field) => {
+      for (const [, path] of text.matchAll(TEMPLATE_PLACEHOLDER_RE)) {
+        const [root, second, third] = path.split(".");
+        if (root.startsWith("_")) continue;
+        if (!known.has(root)) {
+          if (!closedInput) continue;
+          diagnostics.push({
+            code: "unresolved-variable",
+            severity: DiagnosticSeverity.WARNING,
+            nodeId: node.id,
+            field,
+            variable: path,
+            message: `{{${path}}} in ${nodeName(node)} is never set by this workflow's variables or nodes`,
+          });
+          continue;
+        }
+        const child = childOutputs.get(root);
+        if (child && second === "output" && third && !Object.hasOwn(child.outputs, third)) {
+          diagnostics.push({
+            code: "unknown-workflow-output",
+            severity: DiagnosticSeverity.WARNING,
+            nodeId: node.id,
+            field,
+            variable: path,
+            workflowId: child.childId,
+            message: `Workflow "${child.childId}" does not declare an output "${third}"`,
+          });
+        }
+      }
+    });
+  }
+
+  const errorCount = diagnostics.filter((entry) => entry.severity === DiagnosticSeverity.ERROR).length;
+  return {
+    ok: errorCount === 0,
+    errorCount,
+    warningCount: diagnostics.length - errorCount,
+    diagnostics,
+  };
+}
@@ -0,0 +1,271 @@
+/**
+ * workflow-budgets.mjs — Budgets and kill switches for workflow runs
+ *
+ * A workflow definition can cap its runs under `budget`:
+ *
+ *   maxWallTimeMs     — run time (number of ms or "90m" / "2h"); time spent
+ *                       sleeping on a durable timer does not count
+ *   maxTokens         — agent tokens spent on the run's task
+ *   maxCostUsd        — agent cost spent on the run's task
+ *   maxNodeFailures   — nodes that failed after exhausting their retries
+ *   maxConcurrentRuns — active runs of the workflow sharing a concurrency key
+ *   concurrencyKey    — template resolved against the run input, e.g.
+ *                       "{{taskId}}" (default: one key for the whole workflow)
+ *   onExceeded        — "cancel" (default) or "approval"
+ *   approvalTimeoutMs — how long an approval may stay pending (default 1h)
+ *
+ * Token and cost spend come from the sessions the runtime accumulator records
+ * for the run's taskId. Every breach emits WORKFLOW_BUDGET_EXCEEDED_EVENT and
+ * then either cancels the run or pauses it before its next batch of nodes
+ * until an operator resolves a workflow-gate approval request. A breach the
+ * operator approved is not enforced again for that run.
+ */
+
+import { parseDurationMs } from "./cron-scheduler.mjs";
+import {
+  expireApprovalRequest,
+  getApprovalRequest,
+  upsertWorkflowGateApprovalRequest,
+} from "./approval-queue.mjs";
+
+export const WORKFLOW_BUDGET_EXCEEDED_EVENT = "workflow:budget_exceeded";
+
+export const BudgetLimit = Object.freeze({
+  WALL_TIME: "wall_time",
+  TOKENS: "tokens",
+  COST: "cost",
+  NODE_FAILURES: "node_failures",
+  CONCURRENT_RUNS: "concurrent_runs",
+});
+
+/** Approval requests for a breach use the pseudo node id `_budget:<limit>`. */
+export const BUDGET_APPROVAL_NODE_PREFIX = "_budget";
+
+const DEFAULT_APPROVAL_TIMEOUT_MS = 60 * 60 * 1000;
+const DEFAULT_APPROVAL_POLL_INTERVAL_MS = 5000;
+
+function toPositiveNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric > 0 ? numeric : null;
+}
+
+function toDurationMs(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value === "string" && !/^\d+(\.\d+)?$/.test(value.trim())) return parseDurationMs(value);
+  return toPositiveNumber(value);
+}
+
+/**
+ * Normalize the `budget` block of a workflow definition.
+ * @param {object} [raw]
+ * @returns {object|null} null when the workflow declares no limit
+ */
+export function normalizeWorkflowBudget(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const maxConcurrentRuns = toPositiveNumber(raw.maxConcurrentRuns);
+  const budget = {
+    maxWallTimeMs: toDurationMs(raw.maxWallTimeMs ?? raw.maxWallTime),
+    maxTokens: toPositiveNumber(raw.maxTokens),
+    maxCostUsd: toPositiveNumber(raw.maxCostUsd),
+    maxNodeFailures: toPositiveNumber(raw.maxNodeFailures),
+    maxConcurrentRuns: maxConcurrentRuns === null ? null : Math.trunc(maxConcurrentRuns),
+    concurrencyKey: String(raw.concurrencyKey || "").trim(),
+    onExceeded: String(raw.onExceeded || "").trim().toLowerCase() === "approval" ? "approval" : "cancel",
+    approvalTimeoutMs: toDurationMs(raw.approvalTimeoutMs) ?? DEFAULT_APPROVAL_TIMEOUT_MS,
+    approvalPollIntervalMs: toPositiveNumber(raw.approvalPollIntervalMs) ?? DEFAULT_APPROVAL_POLL_INTERVAL_MS,
+  };
+  const hasLimit = budget.maxWallTimeMs !== null
+    || budget.maxTokens !== null
+    || budget.maxCostUsd !== null
+    || budget.maxNodeFailures !== null
+    || budget.maxConcurrentRuns !== null;
+  return hasLimit ? budget : null;
+}
+
+function formatLimitValue(limit, value) {
+  if (limit === BudgetLimit.WALL_TIME) return `${Math.round(value / 1000)}s`;
+  if (limit === BudgetLimit.COST) return `$${Number(value).toFixed(2)}`;
+  return String(value);
+}
+
+/**
+ * Usage and breach bookkeeping of one run. The state round-trips through
+ * ctx.data._workflowBudget so sleeping and resumed runs keep their spend.
+ */
+export class RunBudget {
+  /**
+   * @param {object} budget - Result of normalizeWorkflowBudget()
+   * @param {object} [state] - Previously snapshotted state
+   */
+  constructor(budget, state = null) {
+    this.budget = budget;
+    this.elapsedMs = Number(state?.elapsedMs) || 0;
+    this.tokens = Number(state?.tokens) || 0;
+    this.costUsd = Number(state?.costUsd) || 0;
+    this.nodeFailures = Number(state?.nodeFailures) || 0;
+    this.sessionKeys = new Set(Array.isArray(state?.sessionKeys) ? state.sessionKeys : []);
+    this.breaches = Array.isArray(state?.breaches) ? state.breaches.map((entry) => ({ ...entry })) : [];
+    this.approved = new Set(Array.isArray(state?.approved) ? state.approved : []);
+    this.concurrencyKey = state?.concurrencyKey ?? null;
+    this.runId = state?.runId ?? null;
+    this.pendingApprovals = [];
+    this.resumedAt = Date.now();
+    this.timer = null;
+  }
+
+  /** @returns {number} ms the run has been running, sleeps excluded */
+  getElapsedMs(now = Date.now()) {
+    return this.elapsedMs + Math.max(0, now - this.resumedAt);
+  }
+
+  /** Stop the clock, e.g. when the run goes to sleep or ends. */
+  pause(now = Date.now()) {
+    this.elapsedMs = this.getElapsedMs(now);
+    this.resumedAt = now;
+  }
+
+  /**
+   * Add the spend of a completed agent session. Sessions are counted once.
+   * @param {object} session - Runtime accumulator session record
+   * @returns {boolean} true when the session was new
+   */
+  recordSession(session = {}) {
+    const key = String(session.sessionKey || session.id || "").trim();
+    if (key && this.sessionKeys.has(key)) return false;
+    if (key) this.sessionKeys.add(key);
+    this.tokens += Number(session.tokenCount) || 0;
+    this.costUsd += Number(session.costUsd) || 0;
+    return true;
+  }
+
+  recordNodeFailure() {
+    this.nodeFailures++;
+  }
+
+  _breach(limit, limitValue, actual) {
+    if (this.approved.has(limit) || this.breaches.some((entry) => entry.limit === limit)) return null;
+    const breach = {
+      limit,
+      limitValue,
+      actual,
+      action: this.budget.onExceeded,
+      detectedAt: Date.now(),
+      message: `${limit.replace(/_/g, " ")} budget exceeded: ${formatLimitValue(limit, actual)} > ${formatLimitValue(limit, limitValue)}`,
+    };
+    this.breaches.push(breach);
+    return breach;
+  }
+
+  /**
+   * Record a breach of maxConcurrentRuns.
+   * @param {number} activeRuns - Other active runs sharing the key
+   */
+  checkConcurrency(activeRuns) {
+    const max = this.budget.maxConcurrentRuns;
+    if (max === null || activeRuns < max) return null;
+    return this._breach(BudgetLimit.CONCURRENT_RUNS, max, activeRuns + 1);
+  }
+
+  /**
+   * Limits breached since the last call.
+   * @param {number} [now]
+   * @returns {object[]}
+   */
+  check(now = Date.now()) {
+    const { maxWallTimeMs, maxTokens, maxCostUsd, maxNodeFailures } = this.budget;
+    const elapsedMs = this.getElapsedMs(now);
+    return [
+      maxWallTimeMs !== null && elapsedMs > maxWallTimeMs
+        ? this._breach(BudgetLimit.WALL_TIME, maxWallTimeMs, elapsedMs) : null,
+      maxTokens !== null && this.tokens > maxTokens
+        ? this._breach(BudgetLimit.TOKENS, maxTokens, this.tokens) : null,
+      maxCostUsd !== null && this.costUsd > maxCostUsd
+        ? this._breach(BudgetLimit.COST, maxCostUsd, this.costUsd) : null,
+      maxNodeFailures !== null && this.nodeFailures > maxNodeFailures
+        ? this._breach(BudgetLimit.NODE_FAILURES, maxNodeFailures, this.nodeFailures) : null,
+    ].filter(Boolean);
+  }
+
+  /** Stop enforcing a limit the operator approved. */
+  acknowledge(limit) {
+    this.approved.add(limit);
+  }
+
+  /** @returns {number|null} ms until maxWallTimeMs passes */
+  msUntilWallTimeLimit(now = Date.now()) {
+    if (this.budget.maxWallTimeMs === null || this.approved.has(BudgetLimit.WALL_TIME)) return null;
+    return Math.max(0, this.budget.maxWallTimeMs - this.getElapsedMs(now) + 1);
+  }
+
+  /** @returns {object} JSON state for ctx.data._workflowBudget */
+  snapshot(now = Date.now()) {
+    return {
+      runId: this.runId,
+      limits: { ...this.budget },
+      elapsedMs: this.getElapsedMs(now),
+      tokens: this.tokens,
+      costUsd: this.costUsd,
+      nodeFailures: this.nodeFailures,
+      sessionKeys: [...this.sessionKeys],
+      concurrencyKey: this.concurrencyKey,
+      breaches: this.breaches.map((entry) => ({ ...entry })),
+      approved: [...this.approved],
+    };
+  }
+}
+
+/**
+ * Open a workflow-gate approval request for a breach and wait for the
+ * operator's decision. Pending requests are expired on timeout.
+ * @param {object} opts
+ * @param {import("./workflow-engine.mjs").WorkflowContext} opts.ctx
+ * @param {object} opts.breach
+ * @param {object} opts.budget - Normalized budget
+ * @param {string} opts.repoRoot
+ * @param {() => boolean} [opts.isCancelled] - Stops waiting when the run is cancelled
+ * @returns {Promise<"approved"|"denied"|"expired"|"cancelled">}
+ */
+export async function awaitBudgetApproval({ ctx, breach, budget, repoRoot, isCancelled = () => false }) {
+  const runId = String(ctx?.id || "").trim();
+  const request = upsertWorkflowGateApprovalRequest({
+    runId,
+    rootRunId: ctx?.data?._workflowRootRunId || runId,
+    parentRunId: ctx?.data?._workflowParentRunId || null,
+    workflowId: ctx?.data?._workflowId || null,
+    workflowName: ctx?.data?._workflowName || null,
+    taskId: ctx?.data?.taskId || null,
+    taskTitle: ctx?.data?.taskTitle || null,
+    nodeId: `${BUDGET_APPROVAL_NODE_PREFIX}:${breach.limit}`,
+    nodeLabel: "Workflow budget",
+    reason: `${breach.message}. Approve to let the run continue.`,
+    timeoutMs: budget.approvalTimeoutMs,
+    onTimeout: "fail",
+    pollIntervalMs: budget.approvalPollIntervalMs,
+    requestedBy: "workflow-budget",
+    mode: "manual",
+  }, { repoRoot }).request;
+  if (!request) return "denied";
+
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < budget.approvalTimeoutMs) {
+    if (isCancelled()) return "cancelled";
+    const current = getApprovalRequest(request.scopeType, request.scopeId, { repoRoot });
+    const status = String(current?.status || "").trim().toLowerCase();
+    if (status === "approved" || status === "denied" || status === "expired") return status;
+    await new Promise((resolveDelay) => setTimeout(resolveDelay, budget.approvalPollIntervalMs));
+  }
+  try {
+    const pending = getApprovalRequest(request.scopeType, request.scopeId, { repoRoot });
+    if (pending?.status === "pending") {
+      expireApprovalRequest(request.requestId, {
+        repoRoot,
+        actorId: "system:timeout",
+        note: `Budget approval timed out after ${budget.approvalTimeoutMs}ms.`,
+      });
+    }
+  } catch {
+    // best effort
+  }
+  return "expired";
+}
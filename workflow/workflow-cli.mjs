@@ -1,4 +1,4 @@
-import { existsSync, readFileSync } from "node:fs";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
 import { resolve } from "node:path";
 import { loadConfig } from "../config/config.mjs";
 import {
@@ -7,6 +7,7 @@ import {
   runConfiguredWorkflow,
 } from "./declarative-workflows.mjs";
 import { inspectCustomWorkflowNodePlugins } from "./workflow-nodes.mjs";
+import { formatReplayReport } from "./workflow-replay.mjs";
 
 function hasFlag(args, ...flags) {
   return flags.some((flag) => args.includes(flag));
@@ -71,6 +72,70 @@ function formatCustomNodeHealthReport(report) {
   return lines;
 }
 
+function splitListArg(value) {
+  return String(value || "").split(",").map((entry) => entry.trim()).filter(Boolean);
+}
+
+async function resolveReplayEngine(args, options) {
+  if (options.engine) return options.engine;
+  const repoRoot = options.repoRoot || options.cwd || process.cwd();
+  const { getWorkflowEngine } = await import("./workflow-engine.mjs");
+  return getWorkflowEngine({
+    workflowDir: resolve(getArgValue(args, "--workflow-dir") || resolve(repoRoot, ".bosun", "workflows")),
+    runsDir: resolve(getArgValue(args, "--runs-dir") || resolve(repoRoot, ".bosun", "workflow-runs")),
+    configDir: repoRoot,
+    services: options.services,
+    detectInterruptedRuns: false,
+  });
+}
+
+async function runWorkflowTestCommand(args, options, stdout) {
+  const cwd = options.cwd || process.cwd();
+  const repoRoot = options.repoRoot || cwd;
+  const workflowDir = resolve(getArgValue(args, "--dir") || resolve(repoRoot, ".bosun", "workflows"));
+  const valueFlags = new Set(["--dir", "--format", "--output", "--filter"]);
+  const targets = args.slice(1).filter((arg, index, list) =>
+    !arg.startsWith("--") && !valueFlags.has(list[index - 1]));
+  const format = (getArgValue(args, "--format") || (hasFlag(args, "--json") ? "json" : "text")).toLowerCase();
+  if (!["text", "tap", "junit", "json"].includes(format)) {
+    throw new Error(`Unknown test report format: ${format}. Use text, tap, junit or json`);
+  }
+
+  const {
+    discoverWorkflowTests,
+    formatJUnitReport,
+    formatTapReport,
+    formatTextReport,
+    runWorkflowTests,
+  } = await import("./workflow-test-runner.mjs");
+  const files = discoverWorkflowTests(targets.length ? targets.map((target) => resolve(cwd, target)) : [workflowDir]);
+  if (files.length === 0) {
+    throw new Error(`No *.wftest.json files found in ${targets.length ? targets.join(", ") : workflowDir}`);
+  }
+  const summary = await runWorkflowTests({
+    files,
+    workflowDir,
+    filter: getArgValue(args, "--filter"),
+    cwd,
+  });
+
+  const report = format === "tap"
+    ? formatTapReport(summary)
+    : format === "junit"
+      ? formatJUnitReport(summary)
+      : format === "json"
+        ? `${JSON.stringify(summary, null, 2)}\n`
+        : `${formatTextReport(summary).join("\n")}\n`;
+  const outputPath = getArgValue(args, "--output");
+  if (outputPath) {
+    writeFileSync(resolve(cwd, outputPath), report, "utf8");
+    stdout(`tests=${summary.total} passed=${summary.passed} failed=${summary.failed} report=${outputPath}`);
+  } else {
+    stdout(report.trimEnd());
+  }
+  return { ok: summary.ok, command: "test", summary };
+}
+
 function showHelp(stdout = console.log) {
   stdout(`
   bosun workflow — Declarative multi-agent workflows
@@ -79,6 +144,10 @@ function showHelp(stdout = console.log) {
     list                      List configured and built-in workflows
     run <name> [input]        Run a workflow with fresh-context agents
     nodes                     Inspect custom workflow node plugin health
+    replay <runId>            Re-run a recorded run with side effects stubbed
+                              and report nodes that took a different branch
+    test [files...]           Run *.wftest.json workflow unit tests with mocked
+                              node outputs (defaults to .bosun/workflows)
 
   OPTIONS
     --json                    Emit JSON output
@@ -87,6 +156,15 @@ function showHelp(stdout = console.log) {
     --input-json <json>       Structured JSON input
     --file <path>             Load workflow input from a file
     --smoke                   Run plugin smoke tests during health inspection
+    --recorded-definition     (replay) Use the definition the run executed
+    --stub <types>            (replay) Extra node types to stub, comma-separated
+    --reevaluate <types>      (replay) Node types to re-evaluate instead of stubbing
+    --workflow-dir <path>     (replay) Workflow definitions directory
+    --runs-dir <path>         (replay) Workflow run history directory
+    --dir <path>              (test) Directory searched for tests and workflows
+    --format <fmt>            (test) Report format: text, tap, junit or json
+    --output <path>           (test) Write the report to a file
+    --filter <text>           (test) Only run cases whose name contains text
 `);
 }
 
@@ -124,6 +202,27 @@ export async function executeWorkflowCommand(args, options = {}) {
     return { ok: true, command: "nodes", report };
   }
 
+  if (subcommand === "replay") {
+    const runId = normalizedArgs[1]?.startsWith("--") ? "" : normalizedArgs[1];
+    if (!runId) throw new Error("Run ID is required. Usage: bosun workflow replay <runId>");
+    const engine = await resolveReplayEngine(normalizedArgs, options);
+    const { report } = await engine.replayRun(runId, {
+      useRecordedDefinition: hasFlag(normalizedArgs, "--recorded-definition"),
+      stub: splitListArg(getArgValue(normalizedArgs, "--stub")),
+      reevaluate: splitListArg(getArgValue(normalizedArgs, "--reevaluate")),
+    });
+    if (asJson) {
+      stdout(JSON.stringify(report, null, 2));
+    } else {
+      for (const line of formatReplayReport(report)) stdout(line);
+    }
+    return { ok: true, command: "replay", runId, report };
+  }
+
+  if (subcommand === "test") {
+    return runWorkflowTestCommand(normalizedArgs, options, stdout);
+  }
+
   const config = options.config || loadConfig(process.argv);
   if (subcommand === "list") {
     const workflows = listConfiguredWorkflows(config);
@@ -0,0 +1,319 @@
+/**
+ * workflow-debugger.mjs — Interactive step-through debugging for workflow runs
+ *
+ * A debug session is attached to a run when `WorkflowEngine.execute()` is
+ * called with `opts.debug`. Before each DAG node runs, the engine asks the
+ * session whether to pause. While paused, callers can inspect and edit the
+ * run's `WorkflowContext` data/variables and then resume with one of:
+ *
+ *   step     — run the paused node and pause again before the next one
+ *   continue — run until the next breakpoint (or the end of the run)
+ *   skip     — do not run the paused node; downstream edges still flow
+ *
+ * Nodes in the same parallel batch pause one at a time so there is only
+ * ever a single paused node per run.
+ *
+ * A paused run never waits forever: after `idleTimeoutMs` without a command
+ * the session calls `onIdle`, and the engine detaches it (the run continues
+ * without further stops). The engine does the same when the last attached
+ * debug client disconnects.
+ */
+
+const TAG = "[workflow-debugger]";
+
+export const DEFAULT_DEBUG_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+export const DebugCommand = Object.freeze({
+  STEP: "step",
+  CONTINUE: "continue",
+  SKIP: "skip",
+});
+
+export const DebugSessionState = Object.freeze({
+  RUNNING: "running",
+  PAUSED: "paused",
+  ENDED: "ended",
+});
+
+/** Data keys that are too large or too internal to ship in a snapshot. */
+const SNAPSHOT_OMITTED_DATA_KEYS = new Set([
+  "_workflowDefinitionSnapshot",
+  "_dagState",
+  "_replayTrajectory",
+]);
+
+function cloneForSnapshot(value) {
+  if (value === undefined) return undefined;
+  try {
+    return JSON.parse(JSON.stringify(value));
+  } catch {
+    return String(value);
+  }
+}
+
+/**
+ * Normalize a breakpoint list into a Set of node ids.
+ * @param {string[]|Set<string>|string} [value]
+ * @returns {Set<string>}
+ */
+export function normalizeBreakpoints(value) {
+  const list = value instanceof Set
+    ? Array.from(value)
+    : Array.isArray(value)
+      ? value
+      : typeof value === "string"
+        ? value.split(",")
+        : [];
+  return new Set(list.map((entry) => String(entry || "").trim()).filter(Boolean));
+}
+
+/**
+ * Normalize the `opts.debug` value passed to execute().
+ * `true` means "pause before the first node"; an object may carry
+ * `breakpoints`, `pauseOnStart`, `idleTimeoutMs` and the `clientId` of the
+ * debug client that started the run.
+ * @returns {{ breakpoints: Set<string>, pauseOnStart: boolean, idleTimeoutMs: number|null, clientId: string|null }|null}
+ */
+export function normalizeDebugOptions(debug) {
+  if (!debug) return null;
+  if (debug === true) return { breakpoints: new Set(), pauseOnStart: true, idleTimeoutMs: null, clientId: null };
+  if (typeof debug !== "object") return null;
+  const breakpoints = normalizeBreakpoints(debug.breakpoints);
+  const idleTimeoutMs = Number(debug.idleTimeoutMs);
+  return {
+    breakpoints,
+    pauseOnStart: debug.pauseOnStart === true || (debug.pauseOnStart !== false && breakpoints.size === 0),
+    idleTimeoutMs: Number.isFinite(idleTimeoutMs) && idleTimeoutMs >= 0 ? idleTimeoutMs : null,
+    clientId: debug.clientId ? String(debug.clientId) : null,
+  };
+}
+
+export class WorkflowDebugSession {
+  /**
+   * @param {object} opts
+   * @param {string} opts.runId
+   * @param {string} opts.workflowId
+   * @param {string} [opts.workflowName]
+   * @param {import("./workflow-engine.mjs").WorkflowContext} opts.ctx
+   * @param {string[]|Set<string>} [opts.breakpoints]
+   * @param {boolean} [opts.pauseOnStart]
+   * @param {number} [opts.idleTimeoutMs] - 0 disables the idle timeout
+   * @param {(session: WorkflowDebugSession) => void} [opts.onIdle]
+   * @param {(event: string, payload: object) => void} [opts.emit]
+   */
+  constructor(opts = {}) {
+    this.runId = String(opts.runId || "");
+    this.workflowId = String(opts.workflowId || "");
+    this.workflowName = opts.workflowName || null;
+    this.ctx = opts.ctx || null;
+    this.breakpoints = normalizeBreakpoints(opts.breakpoints);
+    this.stepping = opts.pauseOnStart === true;
+    this.state = DebugSessionState.RUNNING;
+    this.pausedNode = null;
+    this.pausedAt = null;
+    this.startedAt = Date.now();
+    this.endReason = null;
+    this.clients = new Set();
+    const idleTimeoutMs = Number(opts.idleTimeoutMs);
+    this.idleTimeoutMs = Number.isFinite(idleTimeoutMs) && idleTimeoutMs >= 0
+      ? idleTimeoutMs
+      : DEFAULT_DEBUG_IDLE_TIMEOUT_MS;
+    this._onIdle = typeof opts.onIdle === "function" ? opts.onIdle : () => this.end("idle-timeout");
+    this._idleTimer = null;
+    this._emit = typeof opts.emit === "function" ? opts.emit : () => {};
+    this._resolvePause = null;
+    this._lock = Promise.resolve();
+  }
+
+  /** @returns {boolean} true when the session would pause before nodeId */
+  shouldPause(nodeId) {
+    if (this.state === DebugSessionState.ENDED) return false;
+    return this.stepping || this.breakpoints.has(String(nodeId || ""));
+  }
+
+  /**
+   * Called by the engine before a node runs. Resolves to the command that
+   * released the pause ("step", "continue" or "skip"), or "continue"
+   * immediately when the node is not a pause point.
+   * @param {{ id: string, type?: string, label?: string }} node
+   * @returns {Promise<string>}
+   */
+  beforeNode(node) {
+    const gate = this._lock.then(() => this._pauseAt(node));
+    // Keep the queue alive even if a waiter throws.
+    this._lock = gate.catch(() => {});
+    return gate;
+  }
+
+  async _pauseAt(node) {
+    if (!this.shouldPause(node?.id)) return DebugCommand.CONTINUE;
+    this.state = DebugSessionState.PAUSED;
+    this.pausedNode = {
+      id: node.id,
+      type: node.type || null,
+      label: node.label || null,
+    };
+    this.pausedAt = Date.now();
+    const command = await new Promise((resolve) => {
+      this._resolvePause = resolve;
+      this._armIdleTimer();
+      this._emit("debug:paused", this.snapshot());
+    });
+    this._clearIdleTimer();
+    const resumedNodeId = this.pausedNode?.id || null;
+    this._resolvePause = null;
+    this.pausedNode = null;
+    this.pausedAt = null;
+    if (this.state !== DebugSessionState.ENDED) this.state = DebugSessionState.RUNNING;
+    this._emit("debug:resumed", {
+      runId: this.runId,
+      workflowId: this.workflowId,
+      workflowName: this.workflowName,
+      nodeId: resumedNodeId,
+      command,
+    });
+    return command;
+  }
+
+  /**
+   * Release the current pause.
+   * @param {string} command - one of DebugCommand
+   */
+  resume(command) {
+    const normalized = String(command || "").trim().toLowerCase();
+    if (!Object.values(DebugCommand).includes(normalized)) {
+      throw new Error(`${TAG} Unknown debug command "${command}"`);
+    }
+    if (this.state !== DebugSessionState.PAUSED || !this._resolvePause) {
+      throw new Error(`${TAG} Run ${this.runId} is not paused`);
+    }
+    this.stepping = normalized === DebugCommand.STEP;
+    this._resolvePause(normalized);
+    return { ok: true, runId: this.runId, command: normalized };
+  }
+
+  /** Replace the breakpoint set. */
+  setBreakpoints(nodeIds) {
+    this.breakpoints = normalizeBreakpoints(nodeIds);
+    this.touch();
+    return Array.from(this.breakpoints);
+  }
+
+  /** Restart the idle countdown of a paused run (any client interaction). */
+  touch() {
+    if (this.state === DebugSessionState.PAUSED) this._armIdleTimer();
+  }
+
+  _armIdleTimer() {
+    this._clearIdleTimer();
+    if (!(this.idleTimeoutMs > 0)) return;
+    this._idleTimer = setTimeout(() => {
+      this._idleTimer = null;
+      if (this.state === DebugSessionState.PAUSED) this._onIdle(this);
+    }, this.idleTimeoutMs);
+    this._idleTimer.unref?.();
+  }
+
+  _clearIdleTimer() {
+    if (this._idleTimer) clearTimeout(this._idleTimer);
+    this._idleTimer = null;
+  }
+
+  /** Track a debug client (e.g. a UI socket) watching this run. */
+  addClient(clientId) {
+    const id = String(clientId || "").trim();
+    if (id) this.clients.add(id);
+    this.touch();
+  }
+
+  /**
+   * Forget a debug client.
+   * @returns {boolean} true when it was the last attached client
+   */
+  removeClient(clientId) {
+    if (!this.clients.delete(String(clientId || "").trim())) return false;
+    return this.clients.size === 0;
+  }
+
+  /**
+   * Patch the paused run's context. `data` and `variables` are merged
+   * shallowly; keys listed in `unset` are removed from data.
+   * @param {{ data?: object, variables?: object, unset?: string[] }} patch
+   */
+  updateContext(patch = {}) {
+    if (this.state !== DebugSessionState.PAUSED) {
+      throw new Error(`${TAG} Run ${this.runId} is not paused`);
+    }
+    const ctx = this.ctx;
+    if (!ctx) throw new Error(`${TAG} Run ${this.runId} has no context`);
+    const changed = { data: [], variables: [], unset: [] };
+    if (patch.data && typeof patch.data === "object" && !Array.isArray(patch.data)) {
+      for (const [key, value] of Object.entries(patch.data)) {
+        ctx.data[key] = value;
+        changed.data.push(key);
+      }
+    }
+    if (patch.variables && typeof patch.variables === "object" && !Array.isArray(patch.variables)) {
+      for (const [key, value] of Object.entries(patch.variables)) {
+        ctx.variables[key] = value;
+        changed.variables.push(key);
+      }
+    }
+    if (Array.isArray(patch.unset)) {
+      for (const key of patch.unset) {
+        const name = String(key || "").trim();
+        if (!name || !(name in ctx.data)) continue;
+        delete ctx.data[name];
+        changed.unset.push(name);
+      }
+    }
+    if (changed.data.length || changed.variables.length || changed.unset.length) {
+      ctx.log("_debugger", `Context edited while paused: ${JSON.stringify(changed)}`);
+    }
+    this.touch();
+    return changed;
+  }
+
+  /**
+   * End the session. A pending pause is released with "continue" so the
+   * run can finish (or observe a cancellation) without further stops.
+   * @param {string} [reason] - e.g. "idle-timeout", "clients-disconnected"
+   */
+  end(reason = null) {
+    if (this.state === DebugSessionState.ENDED) return;
+    const wasPaused = this._resolvePause;
+    this._clearIdleTimer();
+    this.state = DebugSessionState.ENDED;
+    this.endReason = reason || null;
+    this.stepping = false;
+    if (wasPaused) wasPaused(DebugCommand.CONTINUE);
+  }
+
+  /** Serializable view of the session and the run context. */
+  snapshot() {
+    const ctx = this.ctx;
+    const data = {};
+    for (const [key, value] of Object.entries(ctx?.data || {})) {
+      if (SNAPSHOT_OMITTED_DATA_KEYS.has(key)) continue;
+      data[key] = cloneForSnapshot(value);
+    }
+    return {
+      runId: this.runId,
+      workflowId: this.workflowId,
+      workflowName: this.workflowName,
+      state: this.state,
+      stepping: this.stepping,
+      breakpoints: Array.from(this.breakpoints),
+      pausedNodeId: this.pausedNode?.id || null,
+      pausedNode: this.pausedNode ? { ...this.pausedNode } : null,
+      pausedAt: this.pausedAt,
+      startedAt: this.startedAt,
+      idleTimeoutMs: this.idleTimeoutMs,
+      clients: this.clients.size,
+      data,
+      variables: cloneForSnapshot(ctx?.variables || {}),
+      nodeOutputs: cloneForSnapshot(Object.fromEntries(ctx?.nodeOutputs || [])),
+      nodeStatuses: Object.fromEntries(ctx?.nodeStatuses || []),
+    };
+  }
+}
@@ -35,10 +35,34 @@
  *   listWorkflows()   — list all available workflows
  *   getWorkflow()     — get a single workflow by ID
  *   executeWorkflow() — run a workflow by ID with given context
+ *
+ * Every save appends a revision to an append-only history (see
+ * workflow-revisions.mjs); runs are tagged with the revision they executed.
+ *
+ * execute(id, input, { debug }) attaches a step-through debug session (see
+ * workflow-debugger.mjs) that pauses before breakpoint nodes.
+ *
+ * replayRun(runId) re-executes a recorded run with side-effecting nodes
+ * stubbed from their recorded outputs (see workflow-replay.mjs).
+ *
+ * Nodes can put a run to sleep with a durable wait (see durable-timers.mjs):
+ * the run is checkpointed, gives up its concurrency slot, and is resumed by
+ * the engine when its timer fires or a matching event arrives.
+ *
+ * save() runs the static analyzer (see workflow-analyzer.mjs); definitions
+ * with error diagnostics are rejected, warnings land in metadata.diagnostics.
+ *
+ * A workflow `budget` (see workflow-budgets.mjs) caps wall time, agent spend,
+ * node failures and concurrent runs; breaches cancel the run or pause it for
+ * approval and emit `workflow:budget_exceeded`.
+ *
+ * Besides `<id>.json`, the workflows directory may hold hand-written
+ * `*.workflow.yaml` files (see workflow-serializer.mjs). They are saved back
+ * as YAML, updating the file in place so comments survive.
  */
 
 import { existsSync, readFileSync, writeFileSync, mkdirSync, readdirSync, unlinkSync, statSync } from "node:fs";
-import { resolve, basename, extname, join } from "node:path";
+import { resolve, basename, dirname, extname, join } from "node:path";
 import { randomUUID } from "node:crypto";
 import { EventEmitter } from "node:events";
 import {
@@ -47,7 +71,36 @@ import {
 } from "../infra/test-runtime.mjs";
 import { getTemplate } from "./workflow-templates.mjs";
 import { WorkflowExecutionLedger } from "./execution-ledger.mjs";
+import { WorkflowRevisionStore } from "./workflow-revisions.mjs";
+import {
+  DEFAULT_DEBUG_IDLE_TIMEOUT_MS,
+  DebugCommand,
+  WorkflowDebugSession,
+  normalizeDebugOptions,
+} from "./workflow-debugger.mjs";
+import { checkScheduleCalendar, parseCronExpression } from "./cron-scheduler.mjs";
+import { analyzeWorkflowDefinition } from "./workflow-analyzer.mjs";
+import { parseWorkflowYaml, serializeWorkflowToYaml } from "./workflow-serializer.mjs";
+import {
+  DURABLE_TIMERS_FILE,
+  DurableTimerStore,
+  isDurableWaitRequest,
+  matchesDurableWaitEvent,
+  scheduleDurableTimeout,
+} from "./durable-timers.mjs";
+import {
+  RunBudget,
+  WORKFLOW_BUDGET_EXCEEDED_EVENT,
+  awaitBudgetApproval,
+  normalizeWorkflowBudget,
+} from "./workflow-budgets.mjs";
+import {
+  WorkflowReplayRecording,
+  buildReplayDivergenceReport,
+  extractReplayInput,
+} from "./workflow-replay.mjs";
 import { buildWorkflowStatusPayload } from "../infra/tui-bridge.mjs";
+import { addSessionAccumulationListener } from "../infra/runtime-accumulator.mjs";
 import { getCurrentTraceContext, traceWorkflowNode, traceWorkflowRun } from "../infra/tracing.mjs";
 import { getAgentExecutionSlotStatus } from "../agent/agent-pool.mjs";
 
@@ -73,6 +126,7 @@ const TAG = "[workflow-engine]";
 const WORKFLOW_DIR_NAME = "workflows";
 const WORKFLOW_RUNS_DIR = "workflow-runs";
 const WORKFLOW_TRAJECTORIES_DIR = "trajectories";
+const WORKFLOW_REVISIONS_DIR = "workflow-revisions";
 function getRuntimeProcess() {
   return globalThis.process;
 }
@@ -146,12 +200,21 @@ const DEFAULT_AUTO_RETRY_COOLDOWN_MS = readBoundedEnvInt(
   20 * 60 * 1000, // 20 minutes
   { min: 0, max: 3_600_000 },
 );
+// A run paused at a breakpoint is detached (and continues) after this long
+// without a debugger command; 0 disables the timeout.
+const DEBUG_IDLE_TIMEOUT_MS = readBoundedEnvInt(
+  "WORKFLOW_DEBUG_IDLE_TIMEOUT_MS",
+  DEFAULT_DEBUG_IDLE_TIMEOUT_MS,
+  { min: 0, max: 24 * 3_600_000 },
+);
 const CHECKPOINT_DEBOUNCE_MS = readBoundedEnvInt(
   "WORKFLOW_CHECKPOINT_DEBOUNCE_MS",
   500,
   { min: 50, max: 10000 },
 );
 const ACTIVE_RUNS_INDEX = "_active-runs.json";
+const SCHEDULE_SKIPS_FILE = "_schedule-skips.json";
+const YAML_WORKFLOW_FILE_RE = /\.workflow\.ya?ml$/i;
 const MAX_TASK_TRACE_EVENTS_PER_RUN = readBoundedEnvInt(
   "WORKFLOW_TASK_TRACE_MAX_EVENTS",
   250,
@@ -694,6 +757,7 @@ export const WorkflowStatus = Object.freeze({
   FAILED: "failed",
   CANCELLED: "cancelled",
   PAUSED: "paused",
+  SLEEPING: "sleeping",
 });
 
 // ── Node Type Registry ──────────────────────────────────────────────────────
@@ -963,6 +1027,7 @@ function buildUnknownPortValidationIssue(edge, direction, requestedPortName, ava
       : String(resolveRequestedPortName(edge, "targetPort", "toPort") || "default").trim() || "default",
     sourceType: null,
     targetType: null,
+    code: `unknown-${portLabel}-port`,
     severity: "error",
     message: `Unknown ${portLabel} port "${safeRequestedPortName}" on edge ${edge.id || `${edge.source}->${edge.target}`}.${availableSuffix}`,
   };
@@ -1028,6 +1093,7 @@ function buildPortValidationIssue(edge, sourcePort, targetPort, compatibility) {
     targetPort: targetPort?.name || "default",
     sourceType: sourcePort?.type || null,
     targetType: targetPort?.type || null,
+    code: "invalid-port-binding",
     severity: "error",
     message: compatibility.reason,
   };
@@ -1090,7 +1156,9 @@ function hydrateWorkflowDefinition(def, { strict = false } = {}) {
   normalized.metadata.validationIssues = issues;
 
   if (strict && issues.length > 0) {
-    throw new Error(`Workflow port validation failed: ${issues.map((issue) => issue.message).join("; ")}`);
+    const err = new Error(`Workflow port validation failed: ${issues.map((issue) => issue.message).join("; ")}`);
+    err.diagnostics = issues;
+    throw err;
   }
 
   return normalized;
@@ -2318,6 +2386,7 @@ export class WorkflowEngine extends EventEmitter {
    * @param {object} opts
    * @param {string} opts.workflowDir - Directory to store workflow definitions
    * @param {string} [opts.runsDir] - Directory to store execution logs
+   * @param {string} [opts.revisionsDir] - Directory to store workflow revision history
    * @param {object} [opts.services] - Injected service references (kanban, agent-pool, etc.)
    */
   constructor(opts = {}) {
@@ -2368,6 +2437,25 @@ export class WorkflowEngine extends EventEmitter {
     this._runIndexCache = null;      // cached run index (invalidated on writes)
     this._runIndexCacheMtime = 0;    // mtime of the cached index file
     this._executionLedger = new WorkflowExecutionLedger({ runsDir: this.runsDir });
+    this.revisionsDir = resolve(
+      opts.revisionsDir || resolve(dirname(this.workflowDir), WORKFLOW_REVISIONS_DIR),
+    );
+    this._revisionStore = new WorkflowRevisionStore({ revisionsDir: this.revisionsDir });
+    this._debugSessions = new Map(); // runId → WorkflowDebugSession
+
+    // ── Durable timers (sleeping runs) ────────────────────────────────
+    // Only the engine that owns run recovery fires timers by default, so
+    // short-lived engines on the same runsDir (CLI, test runner) never wake
+    // runs they cannot finish.
+    this.fireDurableTimers = opts.fireDurableTimers ?? this.detectInterruptedRuns;
+    this._durableTimerStore = new DurableTimerStore({ runsDir: this.runsDir });
+    this._durableWakeTimer = null;
+    this._durableWakesInFlight = new Set(); // runIds being resumed
+    this._inProcessWaits = new Map(); // `${runId}:${nodeId}` → waiter (runs that cannot sleep)
+    this._engineInstanceId = randomUUID();
+
+    // ── Budgets ───────────────────────────────────────────────────────
+    this._budgetSessionUnsubscribe = null; // runtime-accumulator listener while budgeted runs are active
 
     // Lazy-load workspace manager for schedule evaluation
     void ensureWorkspaceManager().catch(() => {});
@@ -3055,13 +3143,16 @@ export class WorkflowEngine extends EventEmitter {
     this._workflows.clear();
     if (!existsSync(this.workflowDir)) return;
 
+    // *.wftest.json files hold workflow unit tests (see workflow-test-runner.mjs)
     const files = readdirSync(this.workflowDir).filter(
-      (f) => extname(f) === ".json"
+      (f) => (extname(f) === ".json" && !f.endsWith(".wftest.json")) || YAML_WORKFLOW_FILE_RE.test(f)
     );
     for (const file of files) {
       try {
         const raw = readFileSync(resolve(this.workflowDir, file), "utf8");
-        const def = hydrateWorkflowDefinition(JSON.parse(raw));
+        const def = hydrateWorkflowDefinition(
+          YAML_WORKFLOW_FILE_RE.test(file) ? this._parseYamlWorkflowFile(file, raw) : JSON.parse(raw),
+        );
         if (def.id) {
           this._workflows.set(def.id, def);
         }
@@ -3078,6 +3169,41 @@ export class WorkflowEngine extends EventEmitter {
     if (this.detectInterruptedRuns) {
       this._detectInterruptedRuns();
     }
+    if (this.fireDurableTimers) {
+      this._durableTimerStore.releaseClaims(this._engineInstanceId);
+      this._armDurableWakeTimer();
+    }
+  }
+
+  /** @private */
+  _parseYamlWorkflowFile(file, raw) {
+    const { workflow, errors } = parseWorkflowYaml(raw, { baseDir: this.workflowDir });
+    if (!workflow) {
+      const [first] = errors;
+      throw new Error(first?.line ? `${first.message} (line ${first.line})` : first?.message);
+    }
+    return {
+      ...workflow,
+      id: workflow.id || file.replace(YAML_WORKFLOW_FILE_RE, ""),
+      metadata: { ...(workflow.metadata || {}), sourceFile: file },
+    };
+  }
+
+  /**
+   * Write a definition to its file: `<id>.json`, or the YAML file it was
+   * loaded from, updated in place.
+   * @private
+   */
+  _writeWorkflowFile(def, yamlSource = "") {
+    const sourceFile = def.metadata?.sourceFile;
+    if (sourceFile && YAML_WORKFLOW_FILE_RE.test(sourceFile)) {
+      const filePath = resolve(this.workflowDir, basename(sourceFile));
+      const source = yamlSource || (existsSync(filePath) ? readFileSync(filePath, "utf8") : "");
+      const { code } = serializeWorkflowToYaml(def, { source, baseDir: this.workflowDir });
+      writeFileSync(filePath, code, "utf8");
+      return;
+    }
+    writeFileSync(resolve(this.workflowDir, `${def.id}.json`), JSON.stringify(def, null, 2), "utf8");
   }
 
   /** Ensure storage directories exist */
@@ -3120,11 +3246,27 @@ export class WorkflowEngine extends EventEmitter {
     return null;
   }
 
-  /** Save (create or update) a workflow definition */
-  save(def) {
+  /**
+   * Save (create or update) a workflow definition.
+   * @param {object} def
+   * @param {object} [opts]
+   * @param {string} [opts.author] - Recorded on the revision history entry
+   * @param {string} [opts.reason] - Optional free-text reason for the change
+   * @param {string} [opts.yamlSource] - Edited YAML to update instead of the
+   *   workflow's YAML file, so comments written in the code view are kept
+   */
+  save(def, opts = {}) {
     def = hydrateWorkflowDefinition(def, { strict: true });
     if (!def.id) def.id = randomUUID();
     if (!def.metadata) def.metadata = {};
+    const analysis = this._analyzeHydratedWorkflow(def);
+    if (!analysis.ok) {
+      const errors = analysis.diagnostics.filter((entry) => entry.severity === "error");
+      const err = new Error(`Workflow validation failed: ${errors.map((entry) => entry.message).join("; ")}`);
+      err.diagnostics = analysis.diagnostics;
+      throw err;
+    }
+    def.metadata.diagnostics = analysis.diagnostics;
     def.metadata.updatedAt = new Date().toISOString();
     if (!def.metadata.createdAt) {
       def.metadata.createdAt = def.metadata.updatedAt;
@@ -3142,12 +3284,18 @@ export class WorkflowEngine extends EventEmitter {
     if (existing?.core === true) {
       def.core = true;
     }
+    // Only the workflow loaded from a YAML file may write back to it (copies keep the metadata)
+    if (existing?.metadata?.sourceFile) {
+      def.metadata.sourceFile = existing.metadata.sourceFile;
+    } else {
+      delete def.metadata.sourceFile;
+    }
 
     this._ensureDirs();
+    const revision = this._recordWorkflowRevision(def, opts);
     this._workflows.set(def.id, def);
-    const filePath = resolve(this.workflowDir, `${def.id}.json`);
-    writeFileSync(filePath, JSON.stringify(def, null, 2), "utf8");
-    this.emit("saved", { id: def.id, name: def.name });
+    this._writeWorkflowFile(def, opts.yamlSource);
+    this.emit("saved", { id: def.id, name: def.name, revision: revision?.rev ?? null });
 
     // ── Grouped flows: auto-enable required sibling workflows ───────────
     // When a template-backed workflow is enabled, ensure all workflows from
@@ -3159,6 +3307,24 @@ export class WorkflowEngine extends EventEmitter {
     return def;
   }
 
+  /**
+   * Run the static analyzer without saving, e.g. to underline problems in
+   * the canvas while a workflow is being edited.
+   * @param {object} def - Workflow definition
+   * @returns {{ ok: boolean, errorCount: number, warningCount: number, diagnostics: object[] }}
+   */
+  analyzeWorkflow(def) {
+    return this._analyzeHydratedWorkflow(hydrateWorkflowDefinition(def));
+  }
+
+  /** @private */
+  _analyzeHydratedWorkflow(def) {
+    return analyzeWorkflowDefinition(def, {
+      getNodeType,
+      getWorkflow: (id) => (id === def.id ? def : this._workflows.get(id) || null),
+    });
+  }
+
   /**
    * When a workflow from a grouped template is enabled, find sibling
    * workflows installed from that template's requiredTemplates and enable
@@ -3178,8 +3344,11 @@ export class WorkflowEngine extends EventEmitter {
             wf.enabled = true;
             wf.metadata.updatedAt = new Date().toISOString();
             wf.metadata.version = (wf.metadata.version || 0) + 1;
-            const fp = resolve(this.workflowDir, `${wf.id}.json`);
-            writeFileSync(fp, JSON.stringify(wf, null, 2), "utf8");
+            this._recordWorkflowRevision(wf, {
+              author: "system",
+              reason: `auto-enabled by ${def.metadata?.installedFrom || def.id}`,
+            });
+            this._writeWorkflowFile(wf);
             this.emit("saved", { id: wf.id, name: wf.name });
           }
         }
@@ -3189,6 +3358,91 @@ export class WorkflowEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Append the definition to the revision history and tag its metadata with
+   * the resulting revision. Best-effort — history failures never block a save.
+   * @private
+   */
+  _recordWorkflowRevision(def, opts = {}) {
+    try {
+      const { record } = this._revisionStore.record(def, opts);
+      def.metadata.revision = record.rev;
+      def.metadata.revisionHash = record.hash;
+      def.metadata.revisionAuthor = record.author;
+      return record;
+    } catch (err) {
+      console.warn(`${TAG} Failed to record revision for ${def?.id}: ${err.message}`);
+      return null;
+    }
+  }
+
+  // ── Revisions ───────────────────────────────────────────────────────────
+
+  /**
+   * List the revision history of a workflow, newest first. Entries omit the
+   * full definition; use getRevision() to fetch it.
+   * @param {string} id
+   * @returns {object[]}
+   */
+  listRevisions(id) {
+    const workflowId = this.get(id)?.id || String(id || "").trim();
+    return this._revisionStore.list(workflowId);
+  }
+
+  /**
+   * Get a single revision, including the definition that was saved.
+   * @param {string} id
+   * @param {number|string} rev
+   * @returns {object|null}
+   */
+  getRevision(id, rev) {
+    const workflowId = this.get(id)?.id || String(id || "").trim();
+    return this._revisionStore.get(workflowId, rev);
+  }
+
+  /**
+   * Diff two revisions using diffWorkflowCode(). `toRev` defaults to the
+   * latest revision.
+   * @param {string} id
+   * @param {number|string} fromRev
+   * @param {number|string} [toRev]
+   * @returns {object|null}
+   */
+  diffRevisions(id, fromRev, toRev = null) {
+    const workflowId = this.get(id)?.id || String(id || "").trim();
+    return this._revisionStore.diff(workflowId, fromRev, toRev);
+  }
+
+  /**
+   * Restore a workflow to the definition recorded at `rev`. The rollback is
+   * itself saved as a new revision, so history stays append-only.
+   * @param {string} id
+   * @param {number|string} rev
+   * @param {object} [opts] - { author, reason }
+   * @returns {object} the saved workflow definition
+   */
+  rollback(id, rev, opts = {}) {
+    const workflowId = this.get(id)?.id || String(id || "").trim();
+    const revision = this._revisionStore.get(workflowId, rev);
+    if (!revision) {
+      throw new Error(`${TAG} Revision ${rev} not found for workflow "${workflowId}"`);
+    }
+    const current = this._workflows.get(workflowId);
+    const restored = {
+      ...revision.definition,
+      id: workflowId,
+      metadata: {
+        ...(revision.definition.metadata || {}),
+        version: current?.metadata?.version || revision.definition.metadata?.version || 0,
+      },
+    };
+    return this.save(restored, {
+      author: opts.author,
+      reason: opts.reason || `rollback to r${revision.rev}`,
+      rollbackOf: revision.rev,
+    });
+  }
+
   /** Delete a workflow */
   delete(id) {
     const existing = this._workflows.get(id);
@@ -3196,7 +3450,10 @@ export class WorkflowEngine extends EventEmitter {
       throw new Error(`Cannot delete core workflow "${existing.name || id}"`);
     }
     this._workflows.delete(id);
-    const filePath = resolve(this.workflowDir, `${id}.json`);
+    const sourceFile = existing?.metadata?.sourceFile;
+    const filePath = sourceFile && YAML_WORKFLOW_FILE_RE.test(sourceFile)
+      ? resolve(this.workflowDir, basename(sourceFile))
+      : resolve(this.workflowDir, `${id}.json`);
     try {
       if (existsSync(filePath)) unlinkSync(filePath);
     } catch { /* ignore */ }
@@ -3435,8 +3692,11 @@ export class WorkflowEngine extends EventEmitter {
       _workflowId: workflowId,
       _workflowName: def.name,
       _workflowDefinitionSnapshot: cloneRunSnapshot(def),
+      _workflowRevision: Number.isInteger(def.metadata?.revision) ? def.metadata.revision : null,
+      _workflowRevisionHash: def.metadata?.revisionHash || null,
       ...(opts._decisionReason ? { _retryDecisionReason: opts._decisionReason } : {}),
       ...(opts._parentExecutionId ? { _workflowParentExecutionId: opts._parentExecutionId } : {}),
+      ...(opts.replay ? { _replayOf: opts.replay.runId } : {}),
     });
     ctx.variables = { ...def.variables };
     this._initializeDagState(def, ctx, {
@@ -3463,6 +3723,7 @@ export class WorkflowEngine extends EventEmitter {
       startedAt: ctx.startedAt,
       status: WorkflowStatus.RUNNING,
     });
+    this._attachDebugSession(ctx, workflowId, def.name, opts.debug);
 
     // ── Persist run immediately so it survives process restarts ──────
     this._persistActiveRunState(runId, workflowId, def.name, ctx);
@@ -3509,6 +3770,7 @@ export class WorkflowEngine extends EventEmitter {
         triggerSource: ctx.data?._triggerSource || null,
         targetRepo: ctx.data?._targetRepo || null,
         decisionReason: opts._decisionReason || null,
+        workflowRevision: ctx.data?._workflowRevision ?? null,
       }),
     });
     await this._emitTaskTraceEvent("workflow.run.start", {
@@ -3519,6 +3781,17 @@ export class WorkflowEngine extends EventEmitter {
       status: WorkflowStatus.RUNNING,
     });
 
+    return this._driveRun(def, workflowId, ctx, inputData, opts);
+  }
+
+  /**
+   * Run the DAG of a registered run to completion (or until it sleeps) and
+   * finalize it. Shared by fresh executions and woken sleeping runs.
+   * @private
+   */
+  async _driveRun(def, workflowId, ctx, inputData, opts) {
+    const runId = ctx.id;
+    this._startRunBudget(def, workflowId, ctx);
     try {
       // Build adjacency map
       const adjacency = this._buildAdjacency(def);
@@ -3530,7 +3803,13 @@ export class WorkflowEngine extends EventEmitter {
       }
 
       // Execute the DAG
-      await this._executeDag(def, entryNodes, adjacency, ctx, opts);
+      await this._executeDag(def, entryNodes, adjacency, ctx, {
+        ...opts,
+        _durableSuspend: this._canSuspendRun(opts),
+      });
+      delete ctx.data._durableWake;
+      const durableWait = this._takeDurableWait(ctx);
+      if (durableWait) return this._suspendRun(def, workflowId, ctx, durableWait);
 
       const status = this._resolveWorkflowStatus(ctx);
       this._activeRuns.get(runId).status = status;
@@ -3628,16 +3907,19 @@ export class WorkflowEngine extends EventEmitter {
     }
 
     // Persist final run log and remove from active-runs index
+    this._stopRunBudget(ctx);
+    if (opts._durableWake) this._durableTimerStore.remove(runId);
     this._persistRun(runId, workflowId, ctx);
     this._clearActiveRunState(runId);
     this._activeRuns.delete(runId);
+    this._endDebugSession(runId);
 
     // ── Auto-retry on failure ───────────────────────────────────────────
     // If the workflow failed and auto-retry is enabled, kick off the
     // escalating retry strategy asynchronously. The caller still receives the
     // original (failed) context immediately so we never block the event loop.
     const finalStatus = this._resolveWorkflowStatus(ctx);
-    if (finalStatus === WorkflowStatus.FAILED && !opts._isRetry) {
+    if (finalStatus === WorkflowStatus.FAILED && !opts._isRetry && !opts.nodeStubs) {
       const retryConfig = this._resolveAutoRetryConfig(def);
       if (retryConfig.enabled) {
         // Fire-and-forget — errors are logged, never thrown.
@@ -3932,6 +4214,73 @@ export class WorkflowEngine extends EventEmitter {
     return { retryRunId, mode, originalRunId: runId, ctx };
   }
 
+  // ── Run Replay ──────────────────────────────────────────────────────────
+
+  /**
+   * Deterministically re-execute a recorded run. Side-effecting nodes return
+   * their recorded outputs; conditions and transforms are evaluated again
+   * against the current workflow definition (or `replayOpts.definition`).
+   *
+   * @param {string} runId - The recorded run to replay.
+   * @param {object} [replayOpts]
+   * @param {object} [replayOpts.definition] - Definition to replay against (e.g. an unsaved edit).
+   * @param {boolean} [replayOpts.useRecordedDefinition=false] - Replay the definition snapshot the run executed.
+   * @param {string[]} [replayOpts.stub] - Extra node types to stub ("prefix.*" allowed).
+   * @param {string[]} [replayOpts.reevaluate] - Node types to re-evaluate instead of stubbing.
+   * @returns {Promise<{replayRunId: string, originalRunId: string, ctx: WorkflowContext, report: object}>}
+   */
+  async replayRun(runId, replayOpts = {}) {
+    const originalRun = this.getRunDetail(runId);
+    if (!originalRun) {
+      throw new Error(`${TAG} Run "${runId}" not found — cannot replay`);
+    }
+    if (this._activeRuns.has(originalRun.runId)) {
+      throw new Error(`${TAG} Run "${runId}" is still active — cannot replay`);
+    }
+
+    const workflowId = originalRun.workflowId || originalRun.detail?.data?._workflowId;
+    if (!workflowId) {
+      throw new Error(`${TAG} Cannot determine workflowId from run "${runId}"`);
+    }
+    const recordedDef = originalRun.detail?.data?._workflowDefinitionSnapshot || null;
+    const sourceDef = replayOpts.definition
+      || (replayOpts.useRecordedDefinition ? recordedDef : null)
+      || this.get(workflowId)
+      || recordedDef;
+    if (!sourceDef) {
+      throw new Error(`${TAG} Workflow "${workflowId}" no longer exists — cannot replay`);
+    }
+    const def = hydrateWorkflowDefinition({ ...sourceDef, id: workflowId }, { strict: true });
+
+    const recording = new WorkflowReplayRecording(originalRun, {
+      stub: replayOpts.stub,
+      reevaluate: replayOpts.reevaluate,
+    });
+    const ctx = await this._executeInner(
+      def,
+      workflowId,
+      extractReplayInput(originalRun.detail?.data),
+      { force: true, replay: recording, nodeStubs: recording },
+    );
+    const report = buildReplayDivergenceReport({
+      definition: def,
+      original: originalRun,
+      replay: {
+        runId: ctx.id,
+        status: this._resolveWorkflowStatus(ctx),
+        detail: ctx.toJSON(),
+      },
+      recording,
+    });
+    this.emit("run:replay", {
+      originalRunId: originalRun.runId,
+      replayRunId: ctx.id,
+      workflowId,
+      diverged: report.diverged,
+    });
+    return { replayRunId: ctx.id, originalRunId: originalRun.runId, ctx, report };
+  }
+
   // ── Auto-retry escalating strategy ───────────────────────────────────
 
   /**
@@ -3965,6 +4314,7 @@ export class WorkflowEngine extends EventEmitter {
     if (terminalRaw === WorkflowStatus.COMPLETED || terminalRaw === "success") {
       return WorkflowStatus.COMPLETED;
     }
+    if (ctx?.data?._durableWait) return WorkflowStatus.SLEEPING;
     return ctx.errors.length > 0 ? WorkflowStatus.FAILED : WorkflowStatus.COMPLETED;
   }
 
@@ -4139,6 +4489,11 @@ export class WorkflowEngine extends EventEmitter {
   async evaluateTriggers(eventType, eventData = {}) {
     if (!this._loaded) this.load();
 
+    // Runs sleeping on this event resume in the background.
+    this.wakeRunsForEvent(eventType, eventData).catch((err) => {
+      console.error(`${TAG} Failed to wake runs for event ${eventType}: ${err.message}`);
+    });
+
     const triggered = [];
     for (const [id, def] of this._workflows) {
       if (def.enabled === false) continue;
@@ -4218,7 +4573,9 @@ export class WorkflowEngine extends EventEmitter {
    * be called periodically (e.g. every 60s) by the monitor.
    *
    * Returns an array of { workflowId, triggeredBy, workspaceId } for workflows
-   * whose polling interval has elapsed since their last completed run.
+   * whose polling interval has elapsed since their last completed run. Ticks
+   * suppressed by a blackout window or exclusion date are recorded in
+   * `_schedule-skips.json` and count as consumed.
    *
    * @param {{ configDir?: string }} [opts] Options for workspace-aware evaluation.
    */
@@ -4238,6 +4595,8 @@ export class WorkflowEngine extends EventEmitter {
         latestRunAtByWorkflow.set(workflowId, ts);
       }
     }
+    const scheduleSkips = this._readScheduleSkips();
+    let scheduleSkipsChanged = false;
 
     // Load workspace state for filtering
     const wsMgr = ensureWorkspaceManagerSync();
@@ -4302,21 +4661,121 @@ export class WorkflowEngine extends EventEmitter {
         }
 
         const lastRunAt = latestRunAtByWorkflow.get(id) || 0;
+        // A tick suppressed by a blackout/exclusion counts as consumed, so the
+        // schedule resumes at its next real occurrence instead of firing as
+        // soon as the window ends. One-shot triggers are deferred, not consumed.
+        const skipKey = `${id}:${tNode.id}`;
+        const lastSkippedAt = tNode.type === "trigger.schedule"
+          ? Number(scheduleSkips[skipKey]?.lastSkippedAt || 0)
+          : 0;
+        const cursorAt = Math.max(lastRunAt, lastSkippedAt);
 
-        const elapsed = Date.now() - lastRunAt;
-        if (elapsed >= intervalMs) {
-          triggered.push({ workflowId: id, triggeredBy: tNode.id, workspaceId: wfWorkspaceId });
-
+        const cronExpr = tNode.type === "trigger.schedule" && typeof tNode.config?.cron === "string"
+          ? tNode.config.cron.trim()
+          : "";
+        let due;
+        if (cronExpr) {
+          try {
+            const timezone = String(tNode.config?.timezone || "").trim() || undefined;
+            due = Date.now() >= parseCronExpression(cronExpr).next(new Date(cursorAt), timezone).getTime();
+          } catch {
+            due = false; // invalid cron — the node itself reports the parse error
+          }
+        } else {
+          due = Date.now() - cursorAt >= intervalMs;
+        }
+        if (due) {
           // For scheduled_once, only fire if never run before
-          if (tNode.type === "trigger.scheduled_once" && lastRunAt > 0) {
-            triggered.pop(); // undo — already ran once
+          if (tNode.type === "trigger.scheduled_once" && lastRunAt > 0) continue;
+
+          // Blackout windows / exclusion dates suppress the tick entirely
+          if (tNode.type === "trigger.schedule" || tNode.type === "trigger.scheduled_once") {
+            const blocked = checkScheduleCalendar(tNode.config);
+            if (blocked && blocked.kind !== "invalid") {
+              if (tNode.type === "trigger.schedule") {
+                const previous = scheduleSkips[skipKey] || {};
+                scheduleSkips[skipKey] = {
+                  lastSkippedAt: Date.now(),
+                  skipCount: Number(previous.skipCount || 0) + 1,
+                  lastSkipReason: `${blocked.kind}: ${blocked.reason || blocked.date || "blocked"}`,
+                };
+                scheduleSkipsChanged = true;
+              }
+              continue;
+            }
           }
+
+          triggered.push({ workflowId: id, triggeredBy: tNode.id, workspaceId: wfWorkspaceId });
         }
       }
     }
+    if (scheduleSkipsChanged) this._writeScheduleSkips(scheduleSkips);
     return triggered;
   }
 
+  /**
+   * Schedule ticks consumed by blackout windows / exclusion dates, keyed by
+   * `${workflowId}:${triggerNodeId}`.
+   * @returns {Record<string, { lastSkippedAt: number, skipCount: number, lastSkipReason: string }>}
+   */
+  _readScheduleSkips() {
+    try {
+      const p = resolve(this.runsDir, SCHEDULE_SKIPS_FILE);
+      if (!existsSync(p)) return {};
+      const raw = JSON.parse(readFileSync(p, "utf8"));
+      return raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+    } catch {
+      return {};
+    }
+  }
+
+  _writeScheduleSkips(skips) {
+    try {
+      this._ensureDirs();
+      const live = {};
+      for (const [key, entry] of Object.entries(skips || {})) {
+        const workflowId = key.slice(0, key.lastIndexOf(":"));
+        if (this._workflows.has(workflowId)) live[key] = entry;
+      }
+      writeFileSync(resolve(this.runsDir, SCHEDULE_SKIPS_FILE), JSON.stringify(live, null, 2), "utf8");
+    } catch (err) {
+      console.error(`${TAG} Failed to write schedule skips:`, err.message);
+    }
+  }
+
+  /**
+   * Shortest period among enabled trigger.schedule nodes, so the poller can
+   * tighten its cadence for second-resolution cron / `@every 10s` schedules.
+   * @returns {number|null} period in ms, or null when nothing is scheduled
+   */
+  getScheduleResolutionMs() {
+    if (!this._loaded) this.load();
+    let resolution = null;
+    const consider = (ms) => {
+      if (Number.isFinite(ms) && ms > 0 && (resolution == null || ms < resolution)) resolution = ms;
+    };
+    for (const def of this._workflows.values()) {
+      if (def.enabled === false) continue;
+      const ctx = new WorkflowContext({ ...(def.variables || {}), ...(def.data || {}) });
+      for (const node of def.nodes || []) {
+        if (node.type !== "trigger.schedule") continue;
+        const cronExpr = typeof node.config?.cron === "string" ? node.config.cron.trim() : "";
+        if (!cronExpr) {
+          consider(Number(ctx.resolve(node.config?.intervalMs)) || 3600000);
+          continue;
+        }
+        try {
+          const timezone = String(node.config?.timezone || "").trim() || undefined;
+          const upcoming = parseCronExpression(cronExpr).nextN(4, new Date(), timezone);
+          for (let i = 1; i < upcoming.length; i++) consider(upcoming[i] - upcoming[i - 1]);
+        } catch {
+          // invalid cron — never due, so it does not affect the cadence
+        }
+      }
+    }
+    return resolution;
+  }
+
   /** Get status of active runs */
   getActiveRuns() {
     return Array.from(this._activeRuns.entries())
@@ -4402,7 +4861,9 @@ export class WorkflowEngine extends EventEmitter {
         .filter((file) =>
           extname(file) === ".json" &&
           file !== "index.json" &&
-          file !== ACTIVE_RUNS_INDEX,
+          file !== ACTIVE_RUNS_INDEX &&
+          file !== DURABLE_TIMERS_FILE &&
+          file !== SCHEDULE_SKIPS_FILE,
         )
         .map((file) => {
           const detailPath = resolve(this.runsDir, file);
@@ -4464,6 +4925,13 @@ export class WorkflowEngine extends EventEmitter {
     }
 
     const active = this._activeRuns.get(normalizedRunId);
+    const sleeping = active ? null : this._durableTimerStore.get(normalizedRunId);
+    if (sleeping && !sleeping.claimedBy) {
+      return this._cancelSleepingRun(
+        sleeping,
+        String(opts?.reason || "Run cancelled by user").trim() || "Run cancelled by user",
+      );
+    }
     if (!active) {
       const existing = this.getRunDetail(normalizedRunId);
       if (!existing) {
@@ -4491,6 +4959,10 @@ export class WorkflowEngine extends EventEmitter {
     active.cancelRequested = true;
     active.cancelRequestedAt = Date.now();
     active.cancelReason = reason;
+    this._debugSessions.get(normalizedRunId)?.end();
+    for (const [key, waiter] of [...this._inProcessWaits]) {
+      if (key.startsWith(`${normalizedRunId}:`)) waiter.resolve({ cause: "cancelled", firedAt: Date.now() });
+    }
     if (active.ctx?.data && typeof active.ctx.data === "object") {
       active.ctx.data._workflowCancelRequested = true;
       active.ctx.data._workflowCancelReason = reason;
@@ -4526,6 +4998,694 @@ export class WorkflowEngine extends EventEmitter {
     };
   }
 
+  // ── Durable timers (sleeping runs) ──────────────────────────────────────
+
+  /**
+   * Runs whose caller awaits them (child workflows, retries), test/replay
+   * runs and debug sessions hold durable waits in memory instead of sleeping.
+   * @private
+   */
+  _canSuspendRun(opts = {}) {
+    return !opts._parentRunId && !opts.nodeStubs && !opts.debug && !opts.dryRun;
+  }
+
+  /**
+   * Return the pending durable wait of a run that is about to finish its
+   * DAG, or null (dropping stale waits) when the sleeping node was skipped
+   * by a failure, cancellation or flow.end.
+   * @private
+   */
+  _takeDurableWait(ctx) {
+    const wait = ctx?.data?._durableWait;
+    if (!wait) return null;
+    if (ctx.getNodeStatus(wait.nodeId) === NodeStatus.WAITING && !ctx.data._workflowTerminalStatus) {
+      return wait;
+    }
+    delete ctx.data._durableWait;
+    return null;
+  }
+
+  /**
+   * Put a run to sleep: record its timer, checkpoint it and drop it from the
+   * active runs so its concurrency slot is released when execute() returns.
+   * @private
+   */
+  _suspendRun(def, workflowId, ctx, wait) {
+    const runId = ctx.id;
+    const entry = this._durableTimerStore.upsert({
+      runId,
+      workflowId,
+      workflowName: def.name,
+      rootRunId: ctx.data?._workflowRootRunId || runId,
+      nodeId: wait.nodeId,
+      nodeType: wait.nodeType || null,
+      nodeLabel: wait.nodeLabel || null,
+      wakeAt: wait.wakeAt ?? null,
+      eventType: wait.eventType || null,
+      correlation: wait.correlation || {},
+      reason: wait.reason || null,
+      sleptAt: wait.sleptAt || Date.now(),
+    });
+    const activeRun = this._activeRuns.get(runId);
+    if (activeRun) activeRun.status = WorkflowStatus.SLEEPING;
+    this._stopRunBudget(ctx);
+    this._refreshDagState(ctx, WorkflowStatus.SLEEPING);
+    const detail = this._checkpointRun(ctx, { immediate: true });
+    this._ensureRunInIndex(runId, workflowId, def.name, detail, WorkflowStatus.SLEEPING);
+    this._clearActiveRunState(runId);
+    this._activeRuns.delete(runId);
+    this._endDebugSession(runId);
+
+    this.emit("run:sleep", {
+      runId,
+      workflowId,
+      nodeId: entry.nodeId,
+      wakeAt: entry.wakeAt,
+      eventType: entry.eventType,
+      reason: entry.reason,
+    });
+    this._emitWorkflowStatus({
+      runId,
+      workflowId,
+      workflowName: def.name,
+      eventType: "run:sleep",
+      status: WorkflowStatus.SLEEPING,
+      nodeId: entry.nodeId,
+      meta: { wakeAt: entry.wakeAt, eventType: entry.eventType },
+    });
+    this._recordLedgerEvent({
+      eventType: "run.sleep",
+      runId,
+      workflowId,
+      workflowName: def.name,
+      rootRunId: entry.rootRunId,
+      parentRunId: ctx.data?._workflowParentRunId || null,
+      retryOf: ctx.data?._retryOf || null,
+      nodeId: entry.nodeId,
+      status: WorkflowStatus.SLEEPING,
+      reason: entry.reason,
+      meta: { wakeAt: entry.wakeAt, eventType: entry.eventType, correlation: entry.correlation },
+    });
+    this._armDurableWakeTimer();
+    return ctx;
+  }
+
+  /**
+   * Fallback for runs that cannot sleep: wait for the timer or event in
+   * memory, then re-execute the node with the wake-up, like a woken run.
+   * @private
+   */
+  async _awaitDurableWaitInProcess(node, ctx, opts, request) {
+    let wait = request;
+    for (;;) {
+      const sleptAt = Date.now();
+      const key = `${ctx.id}:${node.id}`;
+      const wake = await new Promise((resolveWake) => {
+        const waiter = { entry: { ...wait, runId: ctx.id, nodeId: node.id }, timer: null };
+        waiter.resolve = (value) => {
+          waiter.timer?.cancel();
+          this._inProcessWaits.delete(key);
+          resolveWake(value);
+        };
+        if (wait.wakeAt !== null && wait.wakeAt !== undefined) {
+          waiter.timer = scheduleDurableTimeout(wait.wakeAt, () => {
+            waiter.resolve({ cause: "timer", firedAt: Date.now() });
+          });
+        }
+        this._inProcessWaits.set(key, waiter);
+      });
+      ctx.data._durableWake = { ...wake, nodeId: node.id, sleptAt, wakeAt: wait.wakeAt ?? null };
+      const result = await this._executeNode(node, ctx, opts);
+      if (!isDurableWaitRequest(result)) return result;
+      wait = result._durableWait;
+    }
+  }
+
+  /** Re-arm the scheduler timer for the earliest pending wake-up. @private */
+  _armDurableWakeTimer() {
+    this._durableWakeTimer?.cancel();
+    this._durableWakeTimer = null;
+    if (!this.fireDurableTimers) return;
+    const nextWakeAt = this._durableTimerStore.nextWakeAt();
+    if (nextWakeAt === null) return;
+    this._durableWakeTimer = scheduleDurableTimeout(nextWakeAt, () => {
+      this._durableWakeTimer = null;
+      this.wakeDueRuns().catch((err) => {
+        console.error(`${TAG} Failed to wake sleeping runs: ${err.message}`);
+      });
+    }, { unref: true });
+  }
+
+  /**
+   * List sleeping runs with their pending wake-up, soonest first.
+   * @param {string} [workflowId]
+   * @returns {object[]}
+   */
+  listSleepingRuns(workflowId = null) {
+    return this._durableTimerStore
+      .list()
+      .filter((entry) => !workflowId || entry.workflowId === workflowId);
+  }
+
+  /**
+   * Wake every sleeping run whose timer is due. Called by the engine's own
+   * scheduler; safe to call from an external poller as well.
+   * @param {number} [now]
+   * @returns {Promise<WorkflowContext[]>} the woken runs, once they finish or sleep again
+   */
+  async wakeDueRuns(now = Date.now()) {
+    const pending = this._durableTimerStore
+      .due(now)
+      .map((entry) => this._resumeSleepingRun(entry.runId, { cause: "timer", firedAt: now }));
+    this._armDurableWakeTimer();
+    return (await Promise.all(pending)).filter(Boolean);
+  }
+
+  /**
+   * Wake runs sleeping on this event (flow.wait_for_event). Called for
+   * every event passed to evaluateTriggers().
+   * @param {string} eventType
+   * @param {object} [eventData]
+   * @returns {Promise<WorkflowContext[]>}
+   */
+  async wakeRunsForEvent(eventType, eventData = {}) {
+    const firedAt = Date.now();
+    const wake = { cause: "event", event: { type: eventType, data: eventData }, firedAt };
+    for (const waiter of [...this._inProcessWaits.values()]) {
+      if (matchesDurableWaitEvent(waiter.entry, eventType, eventData)) waiter.resolve(wake);
+    }
+    const pending = this._durableTimerStore
+      .matchEvent(eventType, eventData)
+      .map((entry) => this._resumeSleepingRun(entry.runId, wake));
+    if (pending.length === 0) return [];
+    this._armDurableWakeTimer();
+    return (await Promise.all(pending)).filter(Boolean);
+  }
+
+  /**
+   * Wake a sleeping run now, as if its timer had fired.
+   * @param {string} runId
+   * @returns {Promise<WorkflowContext|null>} null when the run is not sleeping
+   */
+  async wakeRun(runId) {
+    const result = this._resumeSleepingRun(String(runId || ""), { cause: "timer", firedAt: Date.now(), manual: true });
+    this._armDurableWakeTimer();
+    return result;
+  }
+
+  /**
+   * Rebuild a sleeping run from its checkpoint and execute the rest of its
+   * DAG under the same runId, starting with the node it slept in.
+   * @private
+   */
+  async _resumeSleepingRun(runId, wake) {
+    if (!runId || this._durableWakesInFlight.has(runId) || this._activeRuns.has(runId)) return null;
+    const entry = this._durableTimerStore.claim(runId, wake, this._engineInstanceId);
+    if (!entry) return null;
+    this._durableWakesInFlight.add(runId);
+    try {
+      const detail = this.getRunDetail(runId, { decorate: false })?.detail;
+      const snapshot = detail?.workflowDefinition || this.get(entry.workflowId);
+      if (!detail || !snapshot) {
+        console.warn(`${TAG} Dropping durable timer of run ${runId}: run detail or workflow is gone`);
+        this._durableTimerStore.remove(runId);
+        return null;
+      }
+      const def = hydrateWorkflowDefinition(snapshot);
+      const workflowId = entry.workflowId || def.id;
+      const ctx = this._hydrateSleepingRunContext(runId, detail, def);
+      delete ctx.data._durableWait;
+      ctx.data._durableWake = {
+        ...entry.wake,
+        nodeId: entry.nodeId,
+        sleptAt: entry.sleptAt,
+        wakeAt: entry.wakeAt ?? null,
+      };
+
+      const slotLease = await this._acquireRunSlot({
+        workflowId,
+        workflowName: def.name,
+        inputData: ctx.data,
+      });
+      try {
+        this._activeRuns.set(runId, {
+          workflowId,
+          workflowName: def.name,
+          ctx,
+          startedAt: ctx.startedAt,
+          status: WorkflowStatus.RUNNING,
+        });
+        this._refreshDagState(ctx, WorkflowStatus.RUNNING);
+        this._persistActiveRunState(runId, workflowId, def.name, ctx);
+        ctx.log(entry.nodeId, `Woken by ${entry.wake.cause}${entry.wake.event?.type ? ` (${entry.wake.event.type})` : ""}`);
+        this.emit("run:wake", {
+          runId,
+          workflowId,
+          nodeId: entry.nodeId,
+          cause: entry.wake.cause,
+          eventType: entry.wake.event?.type || null,
+          sleptMs: Math.max(0, Date.now() - Number(entry.sleptAt || Date.now())),
+        });
+        this._emitWorkflowStatus({
+          runId,
+          workflowId,
+          workflowName: def.name,
+          eventType: "run:wake",
+          status: WorkflowStatus.RUNNING,
+          nodeId: entry.nodeId,
+          meta: { cause: entry.wake.cause },
+        });
+        this._recordLedgerEvent({
+          eventType: "run.wake",
+          runId,
+          workflowId,
+          workflowName: def.name,
+          rootRunId: ctx.data?._workflowRootRunId || runId,
+          parentRunId: ctx.data?._workflowParentRunId || null,
+          retryOf: ctx.data?._retryOf || null,
+          nodeId: entry.nodeId,
+          status: WorkflowStatus.RUNNING,
+          reason: entry.wake.cause,
+          meta: { eventType: entry.wake.event?.type || null },
+        });
+        return await this._driveRun(def, workflowId, ctx, extractReplayInput(ctx.data), {
+          _durableWake: entry.wake,
+          _slotLease: slotLease,
+        });
+      } finally {
+        this._releaseRunSlot(slotLease);
+      }
+    } finally {
+      this._durableWakesInFlight.delete(runId);
+    }
+  }
+
+  /**
+   * Recreate the context of a sleeping run from its checkpointed detail.
+   * Finished nodes are pre-seeded so _executeDag resumes where it stopped.
+   * @private
+   */
+  _hydrateSleepingRunContext(runId, detail, def) {
+    const ctx = new WorkflowContext(detail.data || {});
+    ctx.id = runId;
+    ctx.startedAt = Number(detail.startedAt) || Date.now();
+    ctx.variables = { ...(def.variables || {}) };
+    ctx.logs = Array.isArray(detail.logs) ? [...detail.logs] : [];
+    ctx.errors = Array.isArray(detail.errors) ? [...detail.errors] : [];
+    ctx.nodeStatusEvents = Array.isArray(detail.nodeStatusEvents) ? [...detail.nodeStatusEvents] : [];
+    for (const [nodeId, count] of Object.entries(detail.retryAttempts || {})) {
+      ctx.retryAttempts.set(nodeId, count);
+    }
+    Object.assign(ctx._nodeTimings, detail.nodeTimings || {});
+    Object.assign(ctx._nodeInputs, detail.nodeInputs || {});
+    const finished = new Set([NodeStatus.COMPLETED, NodeStatus.SKIPPED, NodeStatus.FAILED]);
+    for (const [nodeId, status] of Object.entries(detail.nodeStatuses || {})) {
+      if (!finished.has(status)) continue;
+      ctx.nodeStatuses.set(nodeId, status);
+      if (detail.nodeOutputs?.[nodeId] !== undefined) {
+        ctx.nodeOutputs.set(nodeId, detail.nodeOutputs[nodeId]);
+      }
+    }
+    return ctx;
+  }
+
+  /** Cancel a sleeping run: drop its timer and persist it as cancelled. @private */
+  _cancelSleepingRun(entry, reason) {
+    const runId = entry.runId;
+    this._durableTimerStore.remove(runId);
+    this._armDurableWakeTimer();
+    const cancelledAt = Date.now();
+    const detail = this.getRunDetail(runId, { decorate: false })?.detail;
+    if (detail) {
+      const def = detail.workflowDefinition || this.get(entry.workflowId) || {};
+      const ctx = this._hydrateSleepingRunContext(runId, detail, def);
+      delete ctx.data._durableWait;
+      ctx.data._workflowTerminalStatus = WorkflowStatus.CANCELLED;
+      ctx.data._workflowTerminalMessage = reason;
+      ctx.data._workflowTerminalAt = cancelledAt;
+      ctx.setNodeStatus(entry.nodeId, NodeStatus.SKIPPED);
+      this._refreshDagState(ctx, WorkflowStatus.CANCELLED);
+      this._persistRun(runId, entry.workflowId, ctx);
+    }
+    this.emit("run:end", {
+      runId,
+      workflowId: entry.workflowId,
+      status: WorkflowStatus.CANCELLED,
+      duration: detail ? cancelledAt - Number(detail.startedAt || cancelledAt) : 0,
+    });
+    this._recordLedgerEvent({
+      eventType: "run.end",
+      runId,
+      workflowId: entry.workflowId,
+      workflowName: entry.workflowName || null,
+      rootRunId: entry.rootRunId || runId,
+      status: WorkflowStatus.CANCELLED,
+      reason,
+    });
+    return {
+      ok: true,
+      runId,
+      status: WorkflowStatus.CANCELLED,
+      cancelRequested: true,
+      cancelRequestedAt: cancelledAt,
+      reason,
+    };
+  }
+
+  // ── Budgets and kill switches ───────────────────────────────────────────
+
+  /**
+   * Start enforcing the workflow's budget for a run that is about to drive
+   * its DAG. Woken runs continue with the spend recorded before they slept;
+   * only fresh runs count against maxConcurrentRuns.
+   * @private
+   */
+  _startRunBudget(def, workflowId, ctx) {
+    const active = this._activeRuns.get(ctx.id);
+    let budget = null;
+    try {
+      budget = normalizeWorkflowBudget(def.budget);
+    } catch (err) {
+      ctx.log("_engine", `Ignoring invalid workflow budget: ${err.message}`, "warn");
+    }
+    if (!active || !budget) return;
+
+    // Retries copy the data of the run they retry; only a woken run keeps its spend.
+    const previous = ctx.data._workflowBudget?.runId === ctx.id ? ctx.data._workflowBudget : null;
+    const tracker = new RunBudget(budget, previous);
+    tracker.runId = ctx.id;
+    active.budget = tracker;
+    if (!previous) {
+      tracker.concurrencyKey = budget.concurrencyKey
+        ? String(ctx.resolve(budget.concurrencyKey) ?? "")
+        : "";
+      let activeRuns = 0;
+      for (const [runId, info] of this._activeRuns) {
+        if (runId !== ctx.id && info.workflowId === workflowId && info.budget?.concurrencyKey === tracker.concurrencyKey) {
+          activeRuns++;
+        }
+      }
+      const breach = tracker.checkConcurrency(activeRuns);
+      if (breach) this._handleBudgetBreach(ctx, breach);
+    }
+    ctx.data._workflowBudget = tracker.snapshot();
+
+    this._enforceRunBudget(ctx.id);
+    this._armBudgetWallTimer(ctx.id);
+    if (budget.maxTokens !== null || budget.maxCostUsd !== null) this._ensureBudgetSessionListener();
+  }
+
+  /** Stop the clock of a run that ends or goes to sleep. @private */
+  _stopRunBudget(ctx) {
+    const tracker = this._activeRuns.get(ctx.id)?.budget;
+    if (!tracker) return;
+    clearTimeout(tracker.timer);
+    tracker.timer = null;
+    tracker.pause();
+    ctx.data._workflowBudget = tracker.snapshot();
+    if (this._budgetSessionUnsubscribe) {
+      const stillTracked = [...this._activeRuns].some(([runId, info]) => runId !== ctx.id
+        && (info.budget?.budget.maxTokens != null || info.budget?.budget.maxCostUsd != null));
+      if (!stillTracked) {
+        this._budgetSessionUnsubscribe();
+        this._budgetSessionUnsubscribe = null;
+      }
+    }
+  }
+
+  /** @private */
+  _armBudgetWallTimer(runId) {
+    const tracker = this._activeRuns.get(runId)?.budget;
+    if (!tracker) return;
+    clearTimeout(tracker.timer);
+    const delay = tracker.msUntilWallTimeLimit();
+    if (delay === null) return;
+    tracker.timer = setTimeout(() => this._enforceRunBudget(runId), delay);
+    tracker.timer.unref?.();
+  }
+
+  /**
+   * Attribute a completed agent session to the active budgeted runs of the
+   * same task. Fed by the runtime accumulator of this process; an engine in
+   * a worker thread receives the sessions of the main thread through here.
+   * @param {{ taskId: string, session: object }} payload - Runtime accumulator event
+   * @returns {number} runs the session was counted against
+   */
+  recordAgentSession(payload = {}) {
+    const taskId = String(payload?.taskId || "").trim();
+    if (!taskId) return 0;
+    let counted = 0;
+    for (const [runId, info] of this._activeRuns) {
+      if (!info.budget || String(info.ctx?.data?.taskId || "").trim() !== taskId) continue;
+      if (!info.budget.recordSession(payload.session || {})) continue;
+      counted++;
+      this._enforceRunBudget(runId);
+    }
+    return counted;
+  }
+
+  /** @private */
+  _ensureBudgetSessionListener() {
+    if (this._budgetSessionUnsubscribe) return;
+    this._budgetSessionUnsubscribe = addSessionAccumulationListener((payload) => this.recordAgentSession(payload));
+  }
+
+  /** @private */
+  _recordBudgetNodeFailure(ctx) {
+    const tracker = this._activeRuns.get(ctx.id)?.budget;
+    if (!tracker) return;
+    tracker.recordNodeFailure();
+    this._enforceRunBudget(ctx.id);
+  }
+
+  /** Check a run's limits and act on new breaches. @private */
+  _enforceRunBudget(runId) {
+    const active = this._activeRuns.get(runId);
+    if (!active?.budget || !active.ctx) return;
+    for (const breach of active.budget.check()) this._handleBudgetBreach(active.ctx, breach);
+    active.ctx.data._workflowBudget = active.budget.snapshot();
+  }
+
+  /**
+   * Report a breach and apply the budget's onExceeded policy: cancel the run
+   * right away, or queue an approval the DAG waits for before its next batch.
+   * @private
+   */
+  _handleBudgetBreach(ctx, breach) {
+    const active = this._activeRuns.get(ctx.id);
+    const tracker = active?.budget;
+    if (!tracker) return;
+    const payload = {
+      eventType: WORKFLOW_BUDGET_EXCEEDED_EVENT,
+      runId: ctx.id,
+      workflowId: active.workflowId,
+      workflowName: active.workflowName,
+      taskId: ctx.data?.taskId || null,
+      concurrencyKey: tracker.concurrencyKey,
+      ...breach,
+    };
+    ctx.log("_engine", `Budget exceeded — ${breach.message} (${breach.action})`, "warn");
+    ctx.data._workflowBudget = tracker.snapshot();
+    this.emit(WORKFLOW_BUDGET_EXCEEDED_EVENT, payload);
+    this._recordLedgerEvent({
+      eventType: "run.budget_exceeded",
+      runId: ctx.id,
+      workflowId: active.workflowId,
+      workflowName: active.workflowName,
+      rootRunId: ctx.data?._workflowRootRunId || ctx.id,
+      parentRunId: ctx.data?._workflowParentRunId || null,
+      status: active.status || WorkflowStatus.RUNNING,
+      reason: breach.message,
+      meta: { limit: breach.limit, limitValue: breach.limitValue, actual: breach.actual, action: breach.action },
+    });
+    this._dispatchBudgetEvent(payload).catch((err) => {
+      console.warn(`${TAG} Failed to dispatch ${WORKFLOW_BUDGET_EXCEEDED_EVENT}: ${err.message}`);
+    });
+
+    if (breach.action === "approval") {
+      tracker.pendingApprovals.push(breach);
+    } else {
+      this.cancelRun(ctx.id, { reason: `Workflow budget exceeded: ${breach.message}` });
+    }
+  }
+
+  /**
+   * Start the trigger.event workflows listening for budget breaches. The
+   * breaching workflow never triggers itself.
+   * @private
+   */
+  async _dispatchBudgetEvent(payload) {
+    const matched = await this.evaluateTriggers(WORKFLOW_BUDGET_EXCEEDED_EVENT, payload);
+    for (const match of matched) {
+      if (match.workflowId === payload.workflowId) continue;
+      this.execute(match.workflowId, {
+        ...payload,
+        _triggerSource: "workflow.budget",
+        _triggeredBy: match.triggeredBy,
+      }).catch((err) => {
+        console.warn(`${TAG} Budget event workflow ${match.workflowId} failed: ${err.message}`);
+      });
+    }
+  }
+
+  /**
+   * Hold the run while breaches wait for operator approval. Denied or
+   * expired approvals cancel the run.
+   * @private
+   */
+  async _awaitBudgetApprovals(ctx) {
+    const active = this._activeRuns.get(ctx.id);
+    const tracker = active?.budget;
+    if (!tracker?.pendingApprovals.length) return;
+    const previousStatus = active.status;
+    active.status = WorkflowStatus.PAUSED;
+    this._refreshDagState(ctx, WorkflowStatus.PAUSED);
+    this._checkpointRun(ctx);
+    try {
+      while (tracker.pendingApprovals.length > 0 && !active.cancelRequested) {
+        const breach = tracker.pendingApprovals.shift();
+        const repoRoot = String(ctx.data?.repoRoot || ctx.data?.repoPath || "").trim() || this._configDir;
+        const decision = await awaitBudgetApproval({
+          ctx,
+          breach,
+          budget: tracker.budget,
+          repoRoot,
+          isCancelled: () => active.cancelRequested === true,
+        });
+        if (decision === "approved") {
+          tracker.acknowledge(breach.limit);
+          ctx.log("_engine", `Budget breach approved: ${breach.message}`);
+        } else if (decision !== "cancelled") {
+          this.cancelRun(ctx.id, { reason: `Workflow budget exceeded (approval ${decision}): ${breach.message}` });
+        }
+      }
+    } finally {
+      tracker.pendingApprovals.length = 0;
+      ctx.data._workflowBudget = tracker.snapshot();
+      active.status = previousStatus;
+      this._refreshDagState(ctx, previousStatus);
+      this._armBudgetWallTimer(ctx.id);
+    }
+  }
+
+  // ── Step-through debugging ──────────────────────────────────────────────
+
+  _attachDebugSession(ctx, workflowId, workflowName, debugOpts) {
+    const normalized = normalizeDebugOptions(debugOpts);
+    if (!normalized) return null;
+    const session = new WorkflowDebugSession({
+      runId: ctx.id,
+      workflowId,
+      workflowName,
+      ctx,
+      breakpoints: normalized.breakpoints,
+      pauseOnStart: normalized.pauseOnStart,
+      idleTimeoutMs: normalized.idleTimeoutMs ?? DEBUG_IDLE_TIMEOUT_MS,
+      onIdle: () => {
+        console.warn(`${TAG} Debug session for run ${ctx.id} idle while paused; detaching so the run continues`);
+        this._endDebugSession(ctx.id, "idle-timeout");
+      },
+      emit: (eventName, payload) => this.emit(eventName, payload),
+    });
+    if (normalized.clientId) session.addClient(normalized.clientId);
+    this._debugSessions.set(ctx.id, session);
+    this.emit("debug:started", session.snapshot());
+    return session;
+  }
+
+  /**
+   * End a debug session; a paused run continues without further stops.
+   * @param {string} runId
+   * @param {string} [reason] - "idle-timeout", "clients-disconnected", … (null when the run ended)
+   */
+  _endDebugSession(runId, reason = null) {
+    const session = this._debugSessions.get(runId);
+    if (!session) return;
+    session.end(reason);
+    this._debugSessions.delete(runId);
+    const ctx = session.ctx;
+    this.emit("debug:ended", {
+      runId,
+      workflowId: session.workflowId,
+      workflowName: session.workflowName,
+      status: ctx ? this._resolveWorkflowStatus(ctx) : null,
+      reason: reason || null,
+    });
+  }
+
+  _requireDebugSession(runId) {
+    const normalizedRunId = String(runId || "").trim();
+    const session = this._debugSessions.get(normalizedRunId);
+    if (!session) throw new Error(`${TAG} No debug session for run "${normalizedRunId}"`);
+    return session;
+  }
+
+  /** List active debug sessions (optionally for one workflow). */
+  listDebugSessions(workflowId = null) {
+    return Array.from(this._debugSessions.values())
+      .filter((session) => !workflowId || session.workflowId === workflowId)
+      .map((session) => session.snapshot());
+  }
+
+  /**
+   * Register a debug client (e.g. a UI socket) as watching a run. Sessions
+   * are detached once every registered client has gone.
+   */
+  attachDebugClient(runId, clientId) {
+    const session = this._requireDebugSession(runId);
+    session.addClient(clientId);
+    return { ok: true, runId: session.runId, clients: session.clients.size };
+  }
+
+  /**
+   * Forget a debug client everywhere; sessions left without clients are
+   * ended so their runs do not stay paused.
+   * @returns {{ ok: true, detachedRunIds: string[] }}
+   */
+  detachDebugClient(clientId) {
+    const detachedRunIds = [];
+    for (const [runId, session] of [...this._debugSessions]) {
+      if (session.removeClient(clientId)) {
+        this._endDebugSession(runId, "clients-disconnected");
+        detachedRunIds.push(runId);
+      }
+    }
+    return { ok: true, detachedRunIds };
+  }
+
+  /** Snapshot of a debug session and its run context, or null. */
+  getDebugSession(runId) {
+    return this._debugSessions.get(String(runId || "").trim())?.snapshot() || null;
+  }
+
+  /**
+   * Release a paused debug session.
+   * @param {string} runId
+   * @param {"step"|"continue"|"skip"} command
+   */
+  resumeDebugSession(runId, command) {
+    return this._requireDebugSession(runId).resume(command);
+  }
+
+  /** Replace the breakpoints of a live debug session. */
+  setDebugBreakpoints(runId, nodeIds) {
+    const session = this._requireDebugSession(runId);
+    const breakpoints = session.setBreakpoints(nodeIds);
+    return { ok: true, runId: session.runId, breakpoints };
+  }
+
+  /**
+   * Edit data/variables of a paused run before the next node executes.
+   * @param {string} runId
+   * @param {{ data?: object, variables?: object, unset?: string[] }} patch
+   */
+  updateDebugContext(runId, patch = {}) {
+    const session = this._requireDebugSession(runId);
+    const changed = session.updateContext(patch);
+    this._checkpointRun(session.ctx);
+    return { ok: true, runId: session.runId, changed, session: session.snapshot() };
+  }
+
   _collectOutputArtifactEntries(nodeId, nodeLabel, output) {
     const entries = [];
     if (!output || typeof output !== "object") return entries;
@@ -5519,15 +6679,19 @@ export class WorkflowEngine extends EventEmitter {
       });
     };
 
-    // ── Resume support (retry from_failed) ──────────────────────────────
+    // ── Resume support (retry from_failed, woken sleeping runs) ─────────
     // If nodes are already marked COMPLETED in the context (pre-seeded by
     // retryRun), treat them as already executed so the DAG skips them and
-    // begins from the first un-completed node.
+    // begins from the first un-completed node. A woken sleeping run also
+    // pre-seeds SKIPPED / FAILED (continueOnError) nodes so untaken branches
+    // stay untaken.
     const preservedCompletedNodeIds = [];
     for (const [nodeId, status] of ctx.nodeStatuses) {
       if (status === NodeStatus.COMPLETED) {
         preservedCompletedNodeIds.push(nodeId);
         executed.add(nodeId);
+      } else if (status === NodeStatus.SKIPPED || status === NodeStatus.FAILED) {
+        executed.add(nodeId);
       }
     }
 
@@ -5575,6 +6739,7 @@ export class WorkflowEngine extends EventEmitter {
     }
 
     while (ready.size > 0) {
+      await this._awaitBudgetApprovals(ctx);
       const activeRun = this._activeRuns.get(ctx.id);
       if (activeRun?.cancelRequested) {
         ctx.data._workflowTerminalStatus = WorkflowStatus.CANCELLED;
@@ -5602,6 +6767,17 @@ export class WorkflowEngine extends EventEmitter {
           const node = nodeMap.get(nodeId);
           if (!node) return;
 
+          const debugSession = this._debugSessions.get(ctx.id);
+          if (debugSession) {
+            const command = await debugSession.beforeNode(node);
+            if (command === DebugCommand.SKIP) {
+              ctx.log(nodeId, "Skipped by debugger", "warn");
+              markNodeSkipped(nodeId, "debugger-skip");
+              executed.add(nodeId);
+              return { nodeId, result: null, skipped: true };
+            }
+          }
+
           const activeInfo = this._activeRuns.get(ctx.id);
           if (activeInfo?.cancelRequested) {
             markNodeSkipped(nodeId, "run-cancelled");
@@ -5689,7 +6865,51 @@ export class WorkflowEngine extends EventEmitter {
                   attempt: ctx.getRetryCount(nodeId),
                 });
               }
-              const result = await this._executeNode(node, ctx, opts);
+              let result = await this._executeNode(node, ctx, opts);
+              if (isDurableWaitRequest(result)) {
+                // Only one node per run can sleep durably; any other wait
+                // (or a run whose caller is awaiting it) is held in memory.
+                if (opts._durableSuspend === true && !ctx.data._durableWait) {
+                  const wait = {
+                    ...result._durableWait,
+                    nodeId,
+                    nodeType: node.type || null,
+                    nodeLabel: node.label || null,
+                    sleptAt: Date.now(),
+                  };
+                  ctx.data._durableWait = wait;
+                  ctx.setNodeStatus(nodeId, NodeStatus.WAITING);
+                  this._recordDagNodeOutcome(ctx, node, {
+                    status: NodeStatus.WAITING,
+                    attempt: ctx.getRetryCount(nodeId),
+                  });
+                  ctx.log(nodeId, `Sleeping${wait.wakeAt !== null ? ` until ${new Date(wait.wakeAt).toISOString()}` : ""}${wait.eventType ? ` or until event ${wait.eventType}` : ""}`);
+                  emitNodeEvent("node:waiting", node, {
+                    status: NodeStatus.WAITING,
+                    durable: true,
+                    wakeAt: wait.wakeAt,
+                    eventType: wait.eventType,
+                    reason: wait.reason,
+                  });
+                  this._recordLedgerEvent({
+                    eventType: "node.waiting",
+                    runId: ctx.id,
+                    workflowId,
+                    workflowName,
+                    rootRunId: ctx.data?._workflowRootRunId || ctx.id,
+                    parentRunId: ctx.data?._workflowParentRunId || null,
+                    retryOf: ctx.data?._retryOf || null,
+                    nodeId,
+                    nodeType: node?.type || null,
+                    nodeLabel: node?.label || null,
+                    status: NodeStatus.WAITING,
+                    reason: wait.reason,
+                    meta: { wakeAt: wait.wakeAt, eventType: wait.eventType, correlation: wait.correlation },
+                  });
+                  return { nodeId, result: null, sleeping: true };
+                }
+                result = await this._awaitDurableWaitInProcess(node, ctx, opts, result._durableWait);
+              }
               ctx.setNodeOutput(nodeId, result);
               ctx.setNodeStatus(nodeId, NodeStatus.COMPLETED);
               this._recordDagNodeOutcome(ctx, node, {
@@ -5776,6 +6996,7 @@ export class WorkflowEngine extends EventEmitter {
             error: lastErr.message,
             retries: ctx.getRetryCount(nodeId),
           });
+          this._recordBudgetNodeFailure(ctx);
           this._recordLedgerEvent({
             eventType: "node.failed",
             runId: ctx.id,
@@ -5872,6 +7093,8 @@ export class WorkflowEngine extends EventEmitter {
 
       // Find newly ready nodes (all incoming edges satisfied)
       for (const nodeId of batch) {
+        // A sleeping node routes its edges once it is woken and completes.
+        if (ctx.getNodeStatus(nodeId) === NodeStatus.WAITING) continue;
         const node = nodeMap.get(nodeId);
         const edges = adjacency.get(nodeId) || [];
         const sourceOutput = ctx.getNodeOutput(nodeId);
@@ -6128,6 +7351,10 @@ export class WorkflowEngine extends EventEmitter {
           consumeEdgeDependency(edge.target, true);
         }
       }
+
+      // A node went to sleep: stop scheduling. Ready nodes stay pending and
+      // are picked up again when the run is woken.
+      if (ctx.data._durableWait) return;
     }
   }
 
@@ -6150,6 +7377,12 @@ export class WorkflowEngine extends EventEmitter {
       return { _dryRun: true, type: node.type, config: resolvedConfig };
     }
 
+    // Stubbed nodes (run replay, workflow tests) return a recorded or
+    // mocked outcome instead of executing.
+    if (opts.nodeStubs?.shouldStub(node)) {
+      return opts.nodeStubs.stub(node, ctx);
+    }
+
     return traceWorkflowNode(
       {
         workflowId: ctx?.data?._workflowId || null,
@@ -6340,7 +7573,9 @@ export class WorkflowEngine extends EventEmitter {
         if (
           extname(file) !== ".json" ||
           file === "index.json" ||
-          file === ACTIVE_RUNS_INDEX
+          file === ACTIVE_RUNS_INDEX ||
+          file === DURABLE_TIMERS_FILE ||
+          file === SCHEDULE_SKIPS_FILE
         ) {
           continue;
         }
@@ -6493,7 +7728,7 @@ export class WorkflowEngine extends EventEmitter {
     const startedAt = Number(detail?.startedAt) || null;
     const endedAtRaw = Number(detail?.endedAt);
     const normalizedStatus = status || WorkflowStatus.COMPLETED;
-    const endedAt = normalizedStatus === WorkflowStatus.RUNNING
+    const endedAt = normalizedStatus === WorkflowStatus.RUNNING || normalizedStatus === WorkflowStatus.SLEEPING
       ? null
       : (Number.isFinite(endedAtRaw) ? endedAtRaw : null);
     const duration = normalizedStatus === WorkflowStatus.RUNNING
@@ -6545,6 +7780,10 @@ export class WorkflowEngine extends EventEmitter {
       detail?.data?._retryMode ||
       null;
     const retryDecisionReason = detail?.data?._retryDecisionReason || null;
+    const workflowRevision = Number.isInteger(detail?.data?._workflowRevision)
+      ? detail.data._workflowRevision
+      : null;
+    const workflowRevisionHash = detail?.data?._workflowRevisionHash || null;
     const issueAdvisorRecommendation = detail?.issueAdvisor?.recommendedAction || null;
     const issueAdvisorSummary = detail?.issueAdvisor?.summary || null;
     const dagRevisionCount = Array.isArray(detail?.dagState?.revisions) ? detail.dagState.revisions.length : 0;
@@ -6604,9 +7843,12 @@ export class WorkflowEngine extends EventEmitter {
       retryOf,
       retryMode,
       retryDecisionReason,
+      workflowRevision,
+      workflowRevisionHash,
       issueAdvisorRecommendation,
       issueAdvisorSummary,
       dagRevisionCount,
+      durableWait: normalizedStatus === WorkflowStatus.SLEEPING ? detail?.data?._durableWait || null : null,
       taskId: taskIds[0] || null,
       taskIds,
       taskTitle,
@@ -6745,12 +7987,26 @@ export class WorkflowEngine extends EventEmitter {
    * node completes.  Debounced at CHECKPOINT_DEBOUNCE_MS to avoid disk
    * thrashing when many nodes finish in quick succession.
    */
-  _checkpointRun(ctx) {
+  _checkpointRun(ctx, opts = {}) {
     const runId = ctx.id;
     // Clear any pending timer for this run
     const existing = this._checkpointTimers.get(runId);
     if (existing) clearTimeout(existing);
 
+    // Immediate checkpoint (a run going to sleep) — returns the written detail.
+    if (opts.immediate) {
+      this._checkpointTimers.delete(runId);
+      try {
+        this._ensureDirs();
+        const detail = this._serializeRunContext(ctx, true);
+        this._writeRunDetail(runId, detail);
+        return detail;
+      } catch (err) {
+        console.error(`${TAG} Checkpoint failed for run ${runId}:`, err.message);
+        return null;
+      }
+    }
+
     const timer = setTimeout(() => {
       this._checkpointTimers.delete(runId);
       try {
@@ -6795,7 +8051,7 @@ export class WorkflowEngine extends EventEmitter {
    * Ensure a run entry exists in the main runs index (index.json).
    * Deduplicates by runId — if the run already exists, updates it in place.
    */
-  _ensureRunInIndex(runId, workflowId, workflowName, detail) {
+  _ensureRunInIndex(runId, workflowId, workflowName, detail, status = WorkflowStatus.RUNNING) {
     try {
       const runs = this._readRunIndex();
       const existingIdx = runs.findIndex((r) => r.runId === runId);
@@ -6804,7 +8060,7 @@ export class WorkflowEngine extends EventEmitter {
         runId,
         workflowId,
         workflowName,
-        status: WorkflowStatus.RUNNING,
+        status,
         detail,
       });
 
@@ -6843,9 +8099,13 @@ export class WorkflowEngine extends EventEmitter {
         : 25;
       let resumableStaleRunsAssigned = 0;
 
+      // Sleeping runs (and wakes cut short by a restart) are resumed by
+      // their durable timer, not by interrupted-run recovery.
+      const sleepingRunIds = new Set(this._durableTimerStore.list().map((entry) => entry.runId));
       const markInterrupted = (runId, workflowId = null, workflowName = null, options = {}) => {
         const normalizedRunId = String(runId || "").trim();
         if (!normalizedRunId || interrupted.some((entry) => entry.runId === normalizedRunId)) return;
+        if (sleepingRunIds.has(normalizedRunId)) return;
         let summary = runsById.get(normalizedRunId) || null;
         if (!summary) {
           const detailPath = resolve(this.runsDir, `${normalizedRunId}.json`);
@@ -7208,7 +8468,7 @@ export class WorkflowEngine extends EventEmitter {
    * @returns {{ deleted: number, kept: number, errors: number }}
    */
   pruneOldRunFiles(keepCount = MAX_PERSISTED_RUNS) {
-    const PROTECTED = new Set(["index.json", ACTIVE_RUNS_INDEX]);
+    const PROTECTED = new Set(["index.json", ACTIVE_RUNS_INDEX, DURABLE_TIMERS_FILE, SCHEDULE_SKIPS_FILE]);
     const normalizedKeep = Math.max(20, Math.floor(Number(keepCount) || MAX_PERSISTED_RUNS));
 
     if (!existsSync(this.runsDir)) return { deleted: 0, kept: 0, errors: 0 };
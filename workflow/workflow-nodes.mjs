@@ -31,6 +31,8 @@ import {
   upsertWorkflowGateApprovalRequest,
 } from "./approval-queue.mjs";
 import { requireWorkflowActionApproval } from "./action-approval.mjs";
+import { checkScheduleCalendar, parseCronExpression, parseDurationMs } from "./cron-scheduler.mjs";
+import { consumeDurableWake, requestDurableWait } from "./durable-timers.mjs";
 import {
   _completedWithPR,
   _noCommitCounts,
@@ -186,6 +188,12 @@ import {
 import { clearBlockedWorktreeIdentity, normalizeBaseBranch } from "../git/git-safety.mjs";
 import { getBosunCoAuthorTrailer, shouldAddBosunCoAuthor } from "../git/git-commit-helpers.mjs";
 import { buildConflictResolutionPrompt } from "../git/conflict-resolver.mjs";
+import {
+  GitLabClient,
+  detectRepoGitRemote,
+  openMergeRequest,
+  resolveGitLabToken,
+} from "../git/gitlab-client.mjs";
 import { buildArchitectEditorFrame, buildRepoTopologyContext, hasRepoMapContext } from "../lib/repo-map.mjs";
 import {
   evaluateMarkdownSafety,
@@ -193,6 +201,11 @@ import {
   resolveMarkdownSafetyPolicy,
 } from "../lib/skill-markdown-safety.mjs";
 import { shouldRequireManagedPrePush } from "../infra/guardrails.mjs";
+import {
+  evaluateTaskAcceptance,
+  formatAcceptanceCriteriaPrompt,
+  normalizeAcceptanceCriteria,
+} from "../task/task-acceptance.mjs";
 import { getGitHubToken, invalidateTokenType } from "../github/github-auth-manager.mjs";
 import {
   getBuiltinNodeDefinition,
@@ -805,6 +818,13 @@ const NODE_PORT_OVERRIDES = Object.freeze({
       makePort("released", "JSON", "Released task result"),
     ],
   },
+  "flow.wait_for_event": {
+    inputs: [makePort("default", "Any")],
+    outputs: [
+      makePort("default", "TriggerEvent", "Matching event received"),
+      makePort("timeout", "JSON", "Timed out before a matching event arrived"),
+    ],
+  },
   "action.team_message": {
     outputs: [
       makePort("default", "JSON", "Team message delivery result"),
@@ -3796,6 +3816,7 @@ registerBuiltinNodeType("trigger.task_low", {
     "Fires when backlog task count drops below threshold. Self-queries kanban " +
     "when todoCount is not pre-populated in context data. Workspace-aware: " +
     "uses workspace context to scope the kanban query.",
+  provides: ["repoRoot"],
   schema: {
     type: "object",
     properties: {
@@ -3857,22 +3878,74 @@ registerBuiltinNodeType("trigger.task_low", {
   },
 });
 
+/**
+ * Suppress a due schedule trigger when `now` falls inside one of the node's
+ * blackout windows or on an excluded date.
+ */
+function applyScheduleCalendar(node, ctx, result) {
+  if (!result?.triggered) return result;
+  const blocked = checkScheduleCalendar(node.config);
+  if (!blocked) return result;
+  if (blocked.kind === "invalid") {
+    ctx.log(node.id, `Ignoring invalid blackout/exclusion config: ${blocked.error}`);
+    return result;
+  }
+  const label = blocked.reason ? ` (${blocked.reason})` : "";
+  ctx.log(node.id, `Schedule due but suppressed by ${blocked.kind}${label}`);
+  return { ...result, triggered: false, skipped: true, skipReason: blocked.kind, blockedBy: blocked };
+}
+
 registerBuiltinNodeType("trigger.schedule", {
-  describe: () => "Fires on a cron-like schedule (checked by supervisor loop)",
+  describe: () => "Fires on a cron schedule or interval (checked by supervisor loop); honours blackout windows and exclusion dates",
+  provides: ["repoRoot"],
   schema: {
     type: "object",
     properties: {
-      intervalMs: { type: "number", default: 3600000, description: "Interval in milliseconds" },
-      cron: { type: "string", description: "Cron expression (future support)" },
+      intervalMs: { type: "number", default: 3600000, description: "Interval in milliseconds (ignored when cron is set)" },
+      cron: { type: "string", description: "Cron expression: 5 fields, 6 with leading seconds, L/W/# qualifiers, @daily-style macros or \"@every 90s\"" },
+      timezone: { type: "string", default: "UTC", description: "IANA timezone for cron evaluation, blackout windows and exclusion dates" },
+      blackouts: {
+        type: "array",
+        description: "Windows during which the schedule does not fire: { start, end } ISO timestamps or recurring { from: \"22:00\", to: \"06:00\", days?: [\"sat\", \"sun\"] }",
+        items: { type: "object" },
+      },
+      exclusions: {
+        type: "array",
+        description: "Dates on which the schedule does not fire: \"YYYY-MM-DD\", yearly \"MM-DD\" or { date, reason }",
+        items: { type: ["string", "object"] },
+      },
     },
   },
   async execute(node, ctx, engine) {
-    const interval = node.config?.intervalMs ?? 3600000;
-    const lastRun = ctx.data?._lastRunAt ?? 0;
-    const elapsed = Date.now() - lastRun;
-    const triggered = elapsed >= interval;
-    ctx.log(node.id, `Schedule check: ${elapsed}ms elapsed, interval: ${interval}ms, triggered: ${triggered}`);
-    return { triggered, elapsed, interval };
+    const cronExpr = typeof node.config?.cron === "string" ? node.config.cron.trim() : "";
+    const timezone = typeof node.config?.timezone === "string" && node.config.timezone.trim()
+      ? node.config.timezone.trim()
+      : undefined;
+    let result;
+
+    if (cronExpr) {
+      try {
+        const parsed = parseCronExpression(cronExpr);
+        const lastRun = ctx.data?._lastRunAt ? new Date(ctx.data._lastRunAt) : new Date(0);
+        const nextRun = parsed.next(lastRun, timezone);
+        const now = new Date();
+        const triggered = now >= nextRun;
+        ctx.log(node.id, `Cron check: expr="${cronExpr}", nextRun=${nextRun.toISOString()}, triggered=${triggered}`);
+        result = { triggered, cron: cronExpr, nextRunAt: nextRun.toISOString() };
+      } catch (err) {
+        ctx.log(node.id, `Cron parse error: ${err?.message || err}`);
+        return { triggered: false, error: err?.message || "invalid cron" };
+      }
+    } else {
+      const interval = node.config?.intervalMs ?? 3600000;
+      const lastRun = ctx.data?._lastRunAt ?? 0;
+      const elapsed = Date.now() - lastRun;
+      const triggered = elapsed >= interval;
+      ctx.log(node.id, `Schedule check: ${elapsed}ms elapsed, interval: ${interval}ms, triggered: ${triggered}`);
+      result = { triggered, elapsed, interval };
+    }
+
+    return applyScheduleCalendar(node, ctx, result);
   },
 });
 
@@ -4169,11 +4242,23 @@ registerBuiltinNodeType("trigger.anomaly", {
 
 registerBuiltinNodeType("trigger.scheduled_once", {
   describe: () => "Fires once at or after a specific scheduled time (persistent — survives restarts)",
+  provides: ["repoRoot"],
   schema: {
     type: "object",
     properties: {
       runAt: { type: "string", description: "ISO 8601 datetime or relative expression (e.g., '+30m', '+2h')" },
       reason: { type: "string", description: "Human-readable reason for the scheduled trigger" },
+      timezone: { type: "string", default: "UTC", description: "IANA timezone for recurring blackout windows and exclusion dates" },
+      blackouts: {
+        type: "array",
+        description: "Windows during which the schedule does not fire: { start, end } ISO timestamps or recurring { from: \"22:00\", to: \"06:00\", days?: [\"sat\", \"sun\"] }",
+        items: { type: "object" },
+      },
+      exclusions: {
+        type: "array",
+        description: "Dates on which the schedule does not fire: \"YYYY-MM-DD\", yearly \"MM-DD\" or { date, reason }",
+        items: { type: ["string", "object"] },
+      },
     },
     required: ["runAt"],
   },
@@ -4195,12 +4280,12 @@ registerBuiltinNodeType("trigger.scheduled_once", {
     }
 
     const triggered = Date.now() >= runAtMs;
-    return {
+    return applyScheduleCalendar(node, ctx, {
       triggered,
       runAt: new Date(runAtMs).toISOString(),
       reason: node.config?.reason || "",
       remainingMs: triggered ? 0 : runAtMs - Date.now(),
-    };
+    });
   },
 });
 
@@ -4208,6 +4293,7 @@ registerBuiltinNodeType("trigger.workflow_call", {
   describe: () =>
     "Fires when this workflow is invoked by another workflow via action.execute_workflow. " +
     "Defines expected input parameters that callers should provide.",
+  provides: [],
   schema: {
     type: "object",
     properties: {
@@ -4226,6 +4312,19 @@ registerBuiltinNodeType("trigger.workflow_call", {
           },
         },
       },
+      outputs: {
+        type: "object",
+        description:
+          "Declares the keys of the flow.end output callers can read (as {{node.output.<key>}}). " +
+          "Keys are output names, values are objects with { type, description }.",
+        additionalProperties: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: ["string", "number", "boolean", "object", "array"] },
+            description: { type: "string" },
+          },
+        },
+      },
     },
   },
   async execute(node, ctx, engine) {
@@ -4388,6 +4487,7 @@ registerBuiltinNodeType("condition.switch", {
 
 registerBuiltinNodeType("action.run_agent", {
   describe: () => "Run a bosun agent with a prompt to perform work",
+  provides: ["sessionId", "threadId"],
   schema: {
     type: "object",
     properties: {
@@ -6626,6 +6726,7 @@ registerBuiltinNodeType("action.inline_workflow", {
 
 registerBuiltinNodeType("meeting.start", {
   describe: () => "Create or reuse a meeting session for workflow-driven voice/video orchestration",
+  provides: ["meetingSessionId", "sessionId"],
   schema: {
     type: "object",
     properties: {
@@ -6706,6 +6807,7 @@ registerBuiltinNodeType("meeting.start", {
 
 registerBuiltinNodeType("meeting.send", {
   describe: () => "Send a meeting message through the meeting session dispatcher",
+  provides: ["meetingSessionId", "sessionId"],
   schema: {
     type: "object",
     properties: {
@@ -6854,6 +6956,7 @@ registerBuiltinNodeType("meeting.transcript", {
 
 registerBuiltinNodeType("meeting.vision", {
   describe: () => "Analyze a meeting video frame and persist a vision summary",
+  provides: ["meetingSessionId", "meetingVisionSummary"],
   schema: {
     type: "object",
     properties: {
@@ -7003,6 +7106,7 @@ registerBuiltinNodeType("meeting.finalize", {
 
 registerBuiltinNodeType("action.create_task", {
   describe: () => "Create a new task in the kanban board",
+  provides: ["taskId", "activeTaskId", "taskTitle", "task", "worktreePath"],
   schema: {
     type: "object",
     properties: {
@@ -7056,6 +7160,7 @@ registerBuiltinNodeType("action.create_task", {
 
 registerBuiltinNodeType("action.update_task_status", {
   describe: () => "Update the status of an existing task",
+  provides: ["taskId", "activeTaskId", "taskTitle", "task", "worktreePath"],
   schema: {
     type: "object",
     properties: {
@@ -7358,10 +7463,135 @@ registerBuiltinNodeType("action.git_operations", {
   },
 });
 
+/**
+ * Merge-request path of action.create_pr for GitLab remotes. Mirrors the gh
+ * path's output contract so downstream nodes can read prUrl / prNumber /
+ * autoMerge regardless of provider; `pipeline` carries the MR's CI status.
+ */
+async function createGitLabMergeRequest(node, ctx, opts) {
+  const {
+    remote, repoSlug, credential, cwd, title, body, base, branch, draft,
+    labels, reviewers, enableAutoMerge, autoMergeMethod, failOnError,
+  } = opts;
+  const project = repoSlug || remote?.projectPath || "";
+  const baseUrl = remote?.baseUrl || String(process.env.GITLAB_URL || "").trim();
+  const handoff = (error, reason) => {
+    if (failOnError) return { success: false, error, provider: "gitlab" };
+    ctx.log(node.id, "Falling back to Bosun-managed PR lifecycle handoff");
+    return {
+      success: true,
+      handedOff: true,
+      lifecycle: "bosun_managed",
+      action: "pr_handoff",
+      message: "GitLab merge request failed; Bosun manages pull-request lifecycle.",
+      provider: "gitlab",
+      title,
+      body,
+      base,
+      branch: branch || null,
+      draft,
+      labels,
+      reviewers,
+      cwd,
+      repoSlug: project || null,
+      gitlabError: error,
+      createdByBosun: true,
+      autoMerge: {
+        enabled: enableAutoMerge,
+        attempted: false,
+        success: false,
+        reason,
+        method: autoMergeMethod,
+      },
+    };
+  };
+
+  if (!project || !baseUrl) {
+    const error = "GitLab project could not be resolved from the repository remote; set repoSlug and GITLAB_URL";
+    ctx.log(node.id, error);
+    return handoff(error, "pr_creation_failed");
+  }
+  if (!branch) {
+    const error = "GitLab merge requests require a source branch";
+    ctx.log(node.id, error);
+    return handoff(error, "pr_creation_failed");
+  }
+  const auth = resolveGitLabToken({
+    host: remote?.host || (() => {
+      try { return new URL(baseUrl).host; } catch { return ""; }
+    })(),
+    credential,
+    workflowId: ctx?.data?._workflowId,
+    configDirs: [
+      ctx?.data?.workspaceDir,
+      ctx?.data?.repoRoot,
+      cwd,
+      process.env.BOSUN_HOME || process.env.BOSUN_DIR,
+    ],
+  });
+  if (!auth) {
+    const error = "No GitLab token: add a \"gitlab\" credential or set GITLAB_TOKEN";
+    ctx.log(node.id, error);
+    return handoff(error, "pr_creation_failed");
+  }
+
+  console.log(`${TAG} create-pr (gitlab): branch=${branch} base=${base} project=${project}`);
+  ctx.log(node.id, `Creating GitLab merge request in ${project} (${branch} → ${base}, token from ${auth.source})`);
+  try {
+    const client = new GitLabClient({ baseUrl, token: auth.token });
+    const result = await openMergeRequest(client, project, {
+      title,
+      description: body,
+      sourceBranch: branch,
+      targetBranch: base,
+      draft,
+      labels,
+      reviewers,
+      autoMerge: enableAutoMerge,
+      autoMergeMethod,
+    });
+    const mr = result.mergeRequest || {};
+    if (result.reviewers.unresolved.length > 0) {
+      ctx.log(node.id, `Unknown GitLab reviewers skipped: ${result.reviewers.unresolved.join(", ")}`);
+    }
+    if (result.autoMerge.attempted) {
+      ctx.log(node.id, result.autoMerge.success
+        ? `Auto-merge requested for MR !${mr.iid} (${autoMergeMethod})`
+        : `Auto-merge request failed for MR !${mr.iid}: ${result.autoMerge.error}`);
+    }
+    ctx.log(node.id, `${result.existing ? "Resolved existing" : "Created"} merge request !${mr.iid}: ${mr.web_url || "(url unavailable)"}`);
+    return {
+      success: true,
+      provider: "gitlab",
+      existing: result.existing,
+      prUrl: String(mr.web_url || "").trim(),
+      prNumber: mr.iid ?? null,
+      repoSlug: project,
+      title,
+      body,
+      base: mr.target_branch || base,
+      branch: mr.source_branch || branch,
+      draft,
+      labels,
+      reviewers,
+      output: String(mr.web_url || `merge-request-${mr.iid}`),
+      createdByBosun: true,
+      autoMerge: result.autoMerge,
+      pipeline: result.pipeline,
+    };
+  } catch (err) {
+    const error = err?.message || String(err);
+    console.warn(`${TAG} create-pr (gitlab) FAILED: ${error.substring(0, 200)} (branch=${branch})`);
+    ctx.log(node.id, `Merge request creation failed: ${error}`);
+    return handoff(error, "pr_creation_failed");
+  }
+}
+
 registerBuiltinNodeType("action.create_pr", {
   describe: () =>
-    "Create a pull request via GitHub CLI. Falls back to Bosun-managed handoff " +
-    "when gh is unavailable or the operation fails with failOnError=false.",
+    "Create a pull request via GitHub CLI, or a merge request via the GitLab API " +
+    "when the repository remote is GitLab. Falls back to Bosun-managed handoff " +
+    "when the provider is unavailable or the operation fails with failOnError=false.",
   schema: {
     type: "object",
     properties: {
@@ -7370,7 +7600,17 @@ registerBuiltinNodeType("action.create_pr", {
       base: { type: "string", description: "Base branch" },
       baseBranch: { type: "string", description: "Legacy alias for base branch" },
       branch: { type: "string", description: "Head branch (source)" },
-      repoSlug: { type: "string", description: "GitHub repository slug (owner/repo)" },
+      repoSlug: { type: "string", description: "GitHub repository slug (owner/repo) or GitLab project path" },
+      provider: {
+        type: "string",
+        enum: ["auto", "github", "gitlab"],
+        default: "auto",
+        description: "Code host; auto detects GitLab from the origin remote",
+      },
+      credential: {
+        type: "string",
+        description: "Credential-store entry holding the GitLab token (default: gitlab:<host>, then gitlab)",
+      },
       draft: { type: "boolean", default: false },
       labels: {
         oneOf: [{ type: "string" }, { type: "array", items: { type: "string" } }],
@@ -7491,6 +7731,29 @@ registerBuiltinNodeType("action.create_pr", {
       return { success: false, error, title, base, branch: branch || null, repoSlug: repoSlug || null };
     }
 
+    const provider = String(resolveNodeValue(node.config?.provider, "auto")).trim().toLowerCase() || "auto";
+    if (provider !== "github") {
+      const remote = detectRepoGitRemote(cwd);
+      if (provider === "gitlab" || remote?.provider === "gitlab") {
+        return createGitLabMergeRequest(node, ctx, {
+          remote,
+          repoSlug,
+          credential: String(resolveNodeValue(node.config?.credential, "")).trim(),
+          cwd,
+          title,
+          body,
+          base,
+          branch,
+          draft,
+          labels,
+          reviewers,
+          enableAutoMerge,
+          autoMergeMethod,
+          failOnError,
+        });
+      }
+    }
+
     // Resolve Bosun's best available GitHub token and inject as GH_TOKEN so that
     // `gh pr create` uses a user OAuth / App installation token rather than the
     // ambient GITHUB_TOKEN. GitHub suppresses pull_request CI workflow triggers
@@ -7890,6 +8153,7 @@ registerBuiltinNodeType("action.set_variable", {
 registerBuiltinNodeType("action.team_init", {
   describe: () =>
     "Initialize a workflow-local agent team roster, channels, and leadership state for team workflows.",
+  provides: ["teamId", "leadId"],
   schema: {
     type: "object",
     properties: {
@@ -8558,6 +8822,11 @@ registerBuiltinNodeType("action.delay", {
       jitter: { type: "number", default: 0, description: "Random jitter percentage (0-100) to add/subtract from delay" },
       reason: { type: "string", description: "Human-readable reason for the delay (logged)" },
       message: { type: "string", description: "Legacy alias for reason" },
+      durable: {
+        type: "boolean",
+        default: false,
+        description: "Sleep durably: checkpoint the run, release its slot and resume after restarts",
+      },
     },
   },
   async execute(node, ctx, engine) {
@@ -8587,6 +8856,15 @@ registerBuiltinNodeType("action.delay", {
     }
 
     const reason = ctx.resolve(node.config?.reason || node.config?.message || "");
+    if (parseBooleanSetting(resolveWorkflowNodeValue(node.config?.durable ?? false, ctx), false)) {
+      const wake = consumeDurableWake(ctx, node.id);
+      if (wake) {
+        const waited = Math.max(0, Number(wake.firedAt || Date.now()) - Number(wake.sleptAt || Date.now()));
+        return { waited, reason, durable: true, cause: wake.cause };
+      }
+      ctx.log(node.id, `Sleeping ${totalMs}ms${reason ? ` (${reason})` : ""}`);
+      return requestDurableWait({ delayMs: totalMs, reason });
+    }
     ctx.log(node.id, `Waiting ${totalMs}ms${reason ? ` (${reason})` : ""}`);
     await new Promise((r) => setTimeout(r, totalMs));
     return { waited: totalMs, reason };
@@ -8829,6 +9107,62 @@ Respond with exactly one of:
   },
 });
 
+registerBuiltinNodeType("validation.acceptance_criteria", {
+  describe: () => "Evaluate the task's structured acceptance criteria in its worktree and record the report on the task",
+  schema: {
+    type: "object",
+    properties: {
+      taskId: { type: "string", description: "Task ID (supports {{variables}})" },
+      worktreePath: { type: "string", description: "Worktree the criteria are checked in" },
+      baseBranch: { type: "string", default: "main", description: "Base ref for changed-file criteria" },
+    },
+  },
+  async execute(node, ctx, engine) {
+    const taskId = String(ctx.resolve(node.config?.taskId || "") || ctx.data?.taskId || "").trim();
+    if (!taskId || isUnresolvedTemplateToken(taskId)) {
+      return { passed: true, skipped: true, reason: "unresolved_task_id" };
+    }
+    const { getTask, recordTaskAcceptanceReport } = await ensureTaskStoreMod();
+    const task = getTask(taskId);
+    const criteria = normalizeAcceptanceCriteria(task?.acceptanceCriteria);
+    if (criteria.length === 0) {
+      return { passed: true, skipped: true, reason: task ? "no_criteria" : "task_not_found" };
+    }
+
+    const cwd = resolve(
+      ctx.resolve(node.config?.worktreePath || "") || ctx.data?.worktreePath || task.worktreePath || process.cwd(),
+    );
+    const baseBranch = String(
+      ctx.resolve(node.config?.baseBranch || "") || ctx.data?.baseBranch || task.baseBranch || "main",
+    ).trim();
+    ctx.log(node.id, `Evaluating ${criteria.length} acceptance criteria in ${cwd}`);
+    const report = await evaluateTaskAcceptance(task, {
+      cwd,
+      baseBranch,
+      modelReview: (config) => getNodeType("validation.model_review").execute(
+        { id: "acceptance-review", type: "validation.model_review", config },
+        ctx,
+        engine,
+      ),
+    });
+    recordTaskAcceptanceReport(taskId, report, { source: "workflow" });
+    const failedCriteria = report.results.filter((result) => !result.passed).map((result) => result.id);
+    ctx.log(
+      node.id,
+      report.passed
+        ? "All acceptance criteria passed"
+        : `${failedCriteria.length}/${report.results.length} acceptance criteria failed`,
+      report.passed ? undefined : "warn",
+    );
+    return {
+      passed: report.passed,
+      skipped: false,
+      failedCriteria,
+      results: report.results,
+    };
+  },
+});
+
 function formatWorkflowArtifactRetrieveCommand(filePath, platform = process.platform) {
   const normalizedPath = String(filePath || "");
   if (!normalizedPath) return null;
@@ -9465,6 +9799,7 @@ registerBuiltinNodeType("notify.telegram", {
 
 registerBuiltinNodeType("notify.webhook_out", {
   describe: () => "Send an HTTP webhook notification",
+  provides: ["eventType", "eventPayload"],
   schema: {
     type: "object",
     properties: {
@@ -11530,6 +11865,7 @@ registerBuiltinNodeType("action.materialize_planner_tasks", {
 });
 registerBuiltinNodeType("agent.run_planner", {
   describe: () => "Run the task planner agent to generate new backlog tasks",
+  provides: ["sessionId", "threadId"],
   schema: {
     type: "object",
     properties: {
@@ -11931,6 +12267,11 @@ registerBuiltinNodeType("flow.gate", {
       onTimeout: { type: "string", enum: ["proceed", "fail"], default: "proceed", description: "Action when timeout is reached" },
       pollIntervalMs: { type: "number", default: 5000, description: "How often to re-evaluate the condition (ms)" },
       reason: { type: "string", description: "Human-readable description of what this gate is waiting for" },
+      durable: {
+        type: "boolean",
+        default: false,
+        description: "Timeout mode: sleep durably (checkpointed, slot released, survives restarts)",
+      },
     },
   },
   async execute(node, ctx, engine) {
@@ -11945,6 +12286,14 @@ registerBuiltinNodeType("flow.gate", {
     engine?.emit?.("node:waiting", { nodeId: node.id, mode, reason });
 
     if (mode === "timeout") {
+      if (parseBooleanSetting(resolveWorkflowNodeValue(node.config?.durable ?? false, ctx), false)) {
+        const wake = consumeDurableWake(ctx, node.id);
+        if (wake) {
+          const waited = Math.max(0, Number(wake.firedAt || Date.now()) - Number(wake.sleptAt || Date.now()));
+          return { gateOpened: true, mode, waited, reason, durable: true };
+        }
+        return requestDurableWait({ delayMs: timeoutMs, reason });
+      }
       // Simple wait
       await new Promise((r) => setTimeout(r, timeoutMs));
       return { gateOpened: true, mode, waited: timeoutMs, reason };
@@ -12105,6 +12454,81 @@ registerBuiltinNodeType("flow.gate", {
   },
 });
 
+registerBuiltinNodeType("flow.wait_for_event", {
+  describe: () => "Sleep until a matching event arrives (default port) or the timeout elapses (timeout port); survives restarts",
+  schema: {
+    type: "object",
+    properties: {
+      eventType: { type: "string", description: "Event type to wait for (\"prefix.*\" allowed)" },
+      correlation: {
+        type: "object",
+        additionalProperties: true,
+        description: "Event fields that must match, as { \"<event path>\": value } (templates allowed, e.g. { \"taskId\": \"{{taskId}}\" })",
+      },
+      timeoutMs: { type: "number", description: "Give up after this many ms and follow the timeout port" },
+      timeout: { type: "string", description: "Timeout as a duration (\"30m\", \"3d\"); alternative to timeoutMs" },
+      reason: { type: "string", description: "Human-readable description of what the run is waiting for" },
+      outputVariable: { type: "string", description: "Store the received event payload in ctx.data under this key" },
+    },
+    required: ["eventType"],
+  },
+  async execute(node, ctx) {
+    const eventType = String(ctx.resolve(node.config?.eventType || "") || "").trim();
+    if (!eventType) throw new Error("flow.wait_for_event: eventType is required");
+    const reason = String(ctx.resolve(node.config?.reason || "") || "").trim() || `Waiting for ${eventType}`;
+
+    const wake = consumeDurableWake(ctx, node.id);
+    if (wake) {
+      const waitedMs = Math.max(0, Number(wake.firedAt || Date.now()) - Number(wake.sleptAt || Date.now()));
+      if (wake.cause === "event") {
+        const payload = wake.event?.data ?? null;
+        const outputVariable = String(ctx.resolve(node.config?.outputVariable || "") || "").trim();
+        if (outputVariable) ctx.data[outputVariable] = payload;
+        ctx.log(node.id, `Received ${wake.event?.type || eventType} after ${waitedMs}ms`);
+        return {
+          matched: true,
+          timedOut: false,
+          eventType: wake.event?.type || eventType,
+          event: payload,
+          waitedMs,
+          reason,
+          port: "default",
+        };
+      }
+      ctx.log(node.id, `${wake.cause === "cancelled" ? "Cancelled" : "Timed out"} waiting for ${eventType} after ${waitedMs}ms`, "warn");
+      return {
+        matched: false,
+        timedOut: wake.cause !== "cancelled",
+        cancelled: wake.cause === "cancelled",
+        eventType,
+        event: null,
+        waitedMs,
+        reason,
+        port: "timeout",
+      };
+    }
+
+    const correlation = {};
+    const rawCorrelation = node.config?.correlation && typeof node.config.correlation === "object"
+      ? node.config.correlation
+      : {};
+    for (const [path, value] of Object.entries(rawCorrelation)) {
+      correlation[path] = resolveWorkflowNodeValue(value, ctx);
+    }
+    const timeoutMs = node.config?.timeout
+      ? parseDurationMs(ctx.resolve(node.config.timeout))
+      : Math.max(0, Number(resolveWorkflowNodeValue(node.config?.timeoutMs ?? 0, ctx)) || 0);
+
+    ctx.log(node.id, `${reason}${timeoutMs > 0 ? ` (timeout ${timeoutMs}ms)` : ""}`);
+    return requestDurableWait({
+      eventType,
+      correlation,
+      delayMs: timeoutMs > 0 ? timeoutMs : null,
+      reason,
+    });
+  },
+});
+
 registerBuiltinNodeType("flow.join", {
   describe: () => "Explicitly join multiple branches before continuing",
   schema: {
@@ -12734,6 +13158,7 @@ registerBuiltinNodeType("loop.while", {
 
 registerBuiltinNodeType("action.continue_session", {
   describe: () => "Re-attach to an existing agent session and send a continuation prompt",
+  provides: ["sessionId", "threadId"],
   schema: {
     type: "object",
     properties: {
@@ -12810,6 +13235,7 @@ registerBuiltinNodeType("action.continue_session", {
 
 registerBuiltinNodeType("action.restart_agent", {
   describe: () => "Kill and restart an agent session from scratch",
+  provides: ["sessionId", "threadId"],
   schema: {
     type: "object",
     properties: {
@@ -14746,6 +15172,7 @@ registerBuiltinNodeType("transform.mcp_extract", {
     "any node output. Supports dot-path fields, JSON pointers, array wildcards, " +
     "type coercion, default values, and output mapping. Essential for piping " +
     "specific data points between MCP tool calls in a workflow.",
+  provides: ["workflowTeamState"],
   schema: {
     type: "object",
     properties: {
@@ -14862,6 +15289,7 @@ registerBuiltinNodeType("transform.mcp_extract", {
 let _taskClaimsMod = null;
 const _taskClaimsInitPromises = new Map();
 let _taskComplexityMod = null;
+let _executorRouterMod = null;
 let _kanbanAdapterMod = null;
 let _agentPoolMod = null;
 let _libraryManagerMod = null;
@@ -15053,6 +15481,10 @@ async function ensureTaskComplexityMod() {
   if (!_taskComplexityMod) _taskComplexityMod = await import("../task/task-complexity.mjs");
   return _taskComplexityMod;
 }
+async function ensureExecutorRouterMod() {
+  if (!_executorRouterMod) _executorRouterMod = await import("../task/executor-router.mjs");
+  return _executorRouterMod;
+}
 async function ensureConfigMod() {
   if (!_configMod) _configMod = await import("../config/config.mjs");
   return _configMod;
@@ -16089,6 +16521,10 @@ registerBuiltinNodeType("trigger.task_available", {
     "Polling trigger that fires when queued tasks are available. Handles " +
     "slot limits, anti-thrash filtering, cooldowns, task sorting (fire " +
     "tasks first), and listTasks retry with backoff.",
+  provides: [
+    "repoRoot", "taskId", "activeTaskId", "taskTitle", "task", "worktreePath", "taskDescription",
+    "taskMeta", "branch", "baseBranch", "workspace", "repoSlug", "repository", "repositories",
+  ],
   schema: {
     type: "object",
     properties: {
@@ -16601,6 +17037,7 @@ registerBuiltinNodeType("action.allocate_slot", {
   describe: () =>
     "Reserve a parallel execution slot. Saves process env snapshot for " +
     "parallel isolation and stores slot metadata in workflow context.",
+  provides: ["taskId", "taskTitle", "branch", "baseBranch"],
   schema: {
     type: "object",
     properties: {
@@ -17120,6 +17557,9 @@ registerBuiltinNodeType("action.release_claim", {
 registerBuiltinNodeType("action.resolve_executor", {
   describe: () =>
     "Pick SDK + model via complexity routing, env overrides, or defaults.",
+  provides: [
+    "resolvedSdk", "resolvedModel", "agentProfile", "resolvedAgentProfile", "resolvedSkillIds", "resolvedLibraryPlan",
+  ],
   schema: {
     type: "object",
     properties: {
@@ -17168,6 +17608,7 @@ registerBuiltinNodeType("action.resolve_executor", {
     ].map((value) => String(value || "").trim()).filter(Boolean)));
     let profileDecision = null;
     let configuredExecutorPreference = null;
+    let loadedConfig = null;
     ctx.data.resolvedSkillIds = [];
     ctx.data.resolvedLibraryPlan = null;
 
@@ -17249,8 +17690,9 @@ registerBuiltinNodeType("action.resolve_executor", {
     if (!profileDecision?.profile) {
       try {
         const configMod = await ensureConfigMod();
+        loadedConfig = configMod.loadConfig?.(process.argv, { reloadEnv: false }) || null;
         configuredExecutorPreference = resolveWorkflowExecutorPreference(
-          configMod.loadConfig?.(process.argv, { reloadEnv: false }) || null,
+          loadedConfig,
           defaultSdk,
         );
       } catch (err) {
@@ -17291,7 +17733,27 @@ registerBuiltinNodeType("action.resolve_executor", {
             complexity: null,
           };
         }
-        const resolved = complexity.resolveExecutorForTask(task, baseProfile);
+        if (!loadedConfig) {
+          const configMod = await ensureConfigMod();
+          loadedConfig = configMod.loadConfig?.(process.argv, { reloadEnv: false }) || null;
+        }
+        const complexityConfig = loadedConfig?.complexityRouting || undefined;
+        if (complexityConfig?.adaptive) {
+          const router = await ensureExecutorRouterMod();
+          if (router.isAdaptiveRoutingEnabled(complexityConfig.adaptive)) {
+            await router.loadExecutorRouterStats({ config: complexityConfig.adaptive, repoRoot });
+          }
+        }
+        const routingTask = {
+          ...task,
+          changedFiles: Array.isArray(ctx.data?.changedFiles) ? ctx.data.changedFiles : [],
+          repoAreas: ctx.data?.task?.repoAreas || ctx.data?.task?.repo_areas || [],
+        };
+        const resolved = complexity.resolveExecutorForTask(routingTask, baseProfile, complexityConfig);
+        const routed = resolved.router?.applied === true;
+        if (resolved.router) {
+          ctx.log(node.id, `Routing: ${complexity.formatComplexityDecision(resolved)}`);
+        }
         let sdk = complexity.executorToSdk(resolved.executor);
         const profileSdkRaw = String(profileDecision?.profile?.sdk || "").trim().toLowerCase();
         const profileModelRaw = String(profileDecision?.profile?.model || "").trim().toLowerCase();
@@ -17302,14 +17764,14 @@ registerBuiltinNodeType("action.resolve_executor", {
         } else if (profileModelRaw) {
           if (profileModelRaw.includes("claude")) sdk = "claude";
           else if (profileModelRaw.includes("gpt") || profileModelRaw.includes("codex")) sdk = "codex";
-        } else if (configuredExecutorPreference?.sdk) {
+        } else if (configuredExecutorPreference?.sdk && !routed) {
           sdk = configuredExecutorPreference.sdk;
         }
         const model =
           modelOverride ||
           envModel ||
           profileDecision?.profile?.model ||
-          configuredExecutorPreference?.model ||
+          (routed ? resolved.model : configuredExecutorPreference?.model) ||
           resolved.model ||
           "";
         const tier = profileDecision?.profile ? "profile" : (resolved.tier || "default");
@@ -17323,6 +17785,7 @@ registerBuiltinNodeType("action.resolve_executor", {
           tier,
           profile: profileDecision?.id || resolved.name || null,
           complexity: resolved.complexity || null,
+          router: resolved.router || null,
         };
       }
     } catch (err) {
@@ -17399,6 +17862,7 @@ registerBuiltinNodeType("action.acquire_worktree", {
   describe: () =>
     "Create or checkout a git worktree for isolated task execution. " +
     "Fetches base branch, creates worktree, handles branch conflicts.",
+  provides: ["worktreePath", "repoRoot", "baseBranch"],
   schema: {
     type: "object",
     properties: {
@@ -17960,6 +18424,7 @@ registerBuiltinNodeType("action.recover_worktree", {
   describe: () =>
     "Clean up a broken worktree so a fresh acquire can succeed. " +
     "Removes the directory, prunes git worktree list, and resets context data.",
+  provides: ["worktreePath"],
   schema: {
     type: "object",
     properties: {
@@ -18193,6 +18658,7 @@ registerBuiltinNodeType("action.release_worktree", {
 registerBuiltinNodeType("action.recover_worktree", {
   describe: () =>
     "Recover a failed task worktree by releasing any managed worktree for the task so acquisition can retry cleanly.",
+  provides: ["worktreePath"],
   schema: {
     type: "object",
     properties: {
@@ -18888,6 +19354,12 @@ registerBuiltinNodeType("action.build_task_prompt", {
       userParts.push("");
     }
 
+    const acceptanceCriteriaSection = formatAcceptanceCriteriaPrompt(taskPayload?.acceptanceCriteria);
+    if (acceptanceCriteriaSection) {
+      userParts.push(acceptanceCriteriaSection);
+      userParts.push("");
+    }
+
     if (workflowIssueAdvisor || workflowDagStateSummary) {
       userParts.push("## Workflow Continuation Context");
       if (workflowIssueAdvisor?.recommendedAction) userParts.push(`- **Issue Advisor Action:** ${workflowIssueAdvisor.recommendedAction}`);
@@ -20985,6 +21457,339 @@ registerBuiltinNodeType("flow.parallel", {
     };
   },
 });
+
+const MAP_REDUCE_FAILURE_POLICIES = new Set(["fail_fast", "collect_errors", "min_success_ratio"]);
+
+registerBuiltinNodeType("flow.map_reduce", {
+  describe: () =>
+    "Fan a sub-workflow out over a dynamic list with a concurrency cap, then reduce the " +
+    "per-item outputs. Failures are handled by policy: fail_fast, collect_errors or min_success_ratio.",
+  schema: {
+    type: "object",
+    properties: {
+      items: {
+        description: "Expression (over $data, $ctx) or array that resolves to the list to map over",
+      },
+      workflowId: { type: "string", description: "Sub-workflow executed once per item" },
+      variable: { type: "string", default: "item", description: "Child input key for the current item" },
+      indexVariable: { type: "string", default: "index", description: "Child input key for the item index" },
+      input: {
+        type: "object",
+        description: "Extra input passed to every child run",
+        additionalProperties: true,
+      },
+      inheritContext: {
+        type: "boolean",
+        default: false,
+        description: "Copy parent workflow context data into each child input",
+      },
+      includeKeys: {
+        type: "array",
+        items: { type: "string" },
+        description: "Optional allow-list of context keys to inherit when inheritContext=true",
+      },
+      maxConcurrency: { type: "number", default: 4, description: "Maximum child runs in flight" },
+      maxItems: { type: "number", default: 100, description: "Cap on the number of items mapped" },
+      failurePolicy: {
+        type: "string",
+        enum: ["fail_fast", "collect_errors", "min_success_ratio"],
+        default: "fail_fast",
+        description:
+          "fail_fast stops scheduling after the first failure; collect_errors runs every item and " +
+          "never fails the node; min_success_ratio fails once the ratio can no longer be met",
+      },
+      minSuccessRatio: {
+        type: "number",
+        default: 0.8,
+        description: "Required share of successful items (0-1) for failurePolicy=min_success_ratio",
+      },
+      reduce: {
+        type: "string",
+        description:
+          "Optional expression over $results (successful outputs in item order), $items, $errors, " +
+          "$data and $ctx. Its value is returned as `reduced`.",
+      },
+      outputVariable: { type: "string", description: "Optional context key to store the map/reduce summary" },
+      allowRecursive: { type: "boolean", default: false },
+    },
+    required: ["items", "workflowId"],
+  },
+  async execute(node, ctx, engine) {
+    const workflowId = String(ctx.resolve(node.config?.workflowId || "") || "").trim();
+    const varName = String(node.config?.variable || "item").trim() || "item";
+    const indexVar = String(node.config?.indexVariable || "index").trim() || "index";
+    const outputVariable = String(ctx.resolve(node.config?.outputVariable || "") || "").trim();
+    const policy = String(ctx.resolve(node.config?.failurePolicy || "fail_fast") || "fail_fast")
+      .trim()
+      .toLowerCase();
+    const inheritContext = parseBooleanSetting(
+      resolveWorkflowNodeValue(node.config?.inheritContext ?? false, ctx),
+      false,
+    );
+    const allowRecursive = parseBooleanSetting(
+      resolveWorkflowNodeValue(node.config?.allowRecursive ?? false, ctx),
+      false,
+    );
+    const includeKeys = Array.isArray(node.config?.includeKeys)
+      ? node.config.includeKeys
+          .map((value) => String(resolveWorkflowNodeValue(value, ctx) || "").trim())
+          .filter(Boolean)
+      : [];
+
+    if (!workflowId) {
+      throw new Error("flow.map_reduce: 'workflowId' is required");
+    }
+    if (!MAP_REDUCE_FAILURE_POLICIES.has(policy)) {
+      throw new Error(
+        `flow.map_reduce: invalid failurePolicy "${policy}". Expected fail_fast, collect_errors or min_success_ratio.`,
+      );
+    }
+    if (!engine || typeof engine.execute !== "function") {
+      throw new Error("flow.map_reduce: workflow engine is not available");
+    }
+    if (typeof engine.get === "function" && !engine.get(workflowId)) {
+      throw new Error(`flow.map_reduce: workflow "${workflowId}" not found`);
+    }
+
+    let items;
+    const itemsConfig = node.config?.items;
+    if (typeof itemsConfig === "string") {
+      try {
+        const fn = new Function("$data", "$ctx", `return (${itemsConfig});`);
+        items = fn(ctx.data, ctx);
+      } catch (err) {
+        throw new Error(`flow.map_reduce: items expression failed: ${err.message}`);
+      }
+    } else {
+      items = resolveWorkflowNodeValue(itemsConfig ?? [], ctx);
+    }
+    if (items == null) items = [];
+    if (!Array.isArray(items)) {
+      throw new Error("flow.map_reduce: 'items' must resolve to an array");
+    }
+    const maxItems = Math.max(1, Number(resolveWorkflowNodeValue(node.config?.maxItems ?? 100, ctx)) || 100);
+    if (items.length > maxItems) {
+      ctx.log(node.id, `map_reduce: truncating ${items.length} item(s) to maxItems=${maxItems}`, "warn");
+      items = items.slice(0, maxItems);
+    }
+    const maxConcurrency = Math.max(
+      1,
+      Math.floor(Number(resolveWorkflowNodeValue(node.config?.maxConcurrency ?? 4, ctx)) || 1),
+    );
+    const minSuccessRatio = Math.min(
+      1,
+      Math.max(0, Number(resolveWorkflowNodeValue(node.config?.minSuccessRatio ?? 0.8, ctx)) || 0),
+    );
+    // Failures tolerated before the outcome is decided and scheduling stops.
+    const maxFailures = policy === "fail_fast"
+      ? 0
+      : policy === "min_success_ratio"
+        ? Math.floor(items.length * (1 - minSuccessRatio) + 1e-9)
+        : Infinity;
+
+    const resolvedInputConfig = resolveWorkflowNodeValue(node.config?.input ?? {}, ctx);
+    if (
+      resolvedInputConfig != null &&
+      (typeof resolvedInputConfig !== "object" || Array.isArray(resolvedInputConfig))
+    ) {
+      throw new Error("flow.map_reduce: 'input' must resolve to an object");
+    }
+    const configuredInput =
+      resolvedInputConfig && typeof resolvedInputConfig === "object"
+        ? resolvedInputConfig
+        : {};
+    const sourceData = ctx.data && typeof ctx.data === "object" ? ctx.data : {};
+    const inheritedInput = {};
+    if (inheritContext) {
+      if (includeKeys.length > 0) {
+        for (const key of includeKeys) {
+          if (Object.prototype.hasOwnProperty.call(sourceData, key)) {
+            inheritedInput[key] = sourceData[key];
+          }
+        }
+      } else {
+        Object.assign(inheritedInput, sourceData);
+      }
+    }
+
+    const parentWorkflowId = String(ctx.data?._workflowId || "").trim();
+    const workflowStack = normalizeWorkflowStack(ctx.data?._workflowStack);
+    if (parentWorkflowId && workflowStack[workflowStack.length - 1] !== parentWorkflowId) {
+      workflowStack.push(parentWorkflowId);
+    }
+    if (!allowRecursive && workflowStack.includes(workflowId)) {
+      const cyclePath = [...workflowStack, workflowId].join(" -> ");
+      throw new Error(
+        `flow.map_reduce: recursive workflow call blocked (${cyclePath}). Set allowRecursive=true to override.`,
+      );
+    }
+
+    ctx.log(
+      node.id,
+      `map_reduce: ${items.length} item(s) → "${workflowId}", concurrency=${maxConcurrency}, policy=${policy}`,
+    );
+
+    const results = new Array(items.length);
+    let failCount = 0;
+    let nextIndex = 0;
+    let stopped = false;
+
+    const runItem = async (index) => {
+      const item = items[index];
+      const ledgerRef = buildNodeExecutionLedgerRef(
+        ctx,
+        node,
+        "map",
+        [String(index)],
+        `${node.label || node.id} #${index}`,
+      );
+      const childInput = applyChildWorkflowLineage(ctx, {
+        ...inheritedInput,
+        ...configuredInput,
+        [varName]: item,
+        [indexVar]: index,
+        _mapReduceParentNodeId: node.id,
+        _mapReduceIndex: index,
+        _mapReduceTotal: items.length,
+      }, workflowId);
+      const childRunOpts = {
+        ...makeChildWorkflowExecuteOptions(ctx, { childWorkflowId: workflowId, sourceNodeId: node.id }),
+        _parentExecutionId: ledgerRef.executionId,
+      };
+      const startedAt = Date.now();
+      recordNodeLedgerEvent(engine, buildWorkflowLedgerBase(ctx, {
+        eventType: "map_reduce.item_started",
+        ...ledgerRef,
+        nodeId: node.id,
+        nodeType: node.type,
+        nodeLabel: node.label || null,
+        status: "running",
+        meta: { index, total: items.length, workflowId },
+      }));
+
+      let result;
+      try {
+        const childCtx = await engine.execute(workflowId, childInput, childRunOpts);
+        const childErrors = Array.isArray(childCtx?.errors) ? childCtx.errors : [];
+        result = {
+          index,
+          item,
+          success: childErrors.length === 0,
+          status: childErrors.length === 0 ? "completed" : "failed",
+          runId: childCtx?.id || null,
+          output: childCtx?.data?._workflowTerminalOutput ?? null,
+          error: childErrors.length
+            ? String(childErrors[0]?.error || "child workflow failed")
+            : null,
+        };
+      } catch (err) {
+        result = {
+          index,
+          item,
+          success: false,
+          status: "failed",
+          runId: null,
+          output: null,
+          error: err?.message || String(err),
+        };
+      }
+      recordNodeLedgerEvent(engine, buildWorkflowLedgerBase(ctx, {
+        eventType: result.success ? "map_reduce.item_completed" : "map_reduce.item_failed",
+        ...ledgerRef,
+        nodeId: node.id,
+        nodeType: node.type,
+        nodeLabel: node.label || null,
+        childRunId: result.runId,
+        status: result.status,
+        durationMs: Date.now() - startedAt,
+        error: result.error,
+        meta: { index, total: items.length, workflowId },
+      }));
+      return result;
+    };
+
+    const worker = async () => {
+      while (!stopped && nextIndex < items.length) {
+        const index = nextIndex++;
+        const result = await runItem(index);
+        results[index] = result;
+        if (!result.success) {
+          failCount++;
+          ctx.log(node.id, `map_reduce: item ${index} failed: ${result.error}`, "warn");
+          if (failCount > maxFailures) stopped = true;
+        }
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(maxConcurrency, items.length) }, () => worker()),
+    );
+
+    for (let index = 0; index < items.length; index++) {
+      if (!results[index]) {
+        results[index] = {
+          index,
+          item: items[index],
+          success: false,
+          status: "skipped",
+          runId: null,
+          output: null,
+          error: null,
+        };
+      }
+    }
+    const successful = results.filter((entry) => entry.success);
+    const skippedCount = results.filter((entry) => entry.status === "skipped").length;
+    const errors = results
+      .filter((entry) => entry.status === "failed")
+      .map((entry) => ({ index: entry.index, item: entry.item, runId: entry.runId, error: entry.error }));
+    const successRatio = items.length ? successful.length / items.length : 1;
+    const success = failCount <= maxFailures;
+
+    const output = {
+      success,
+      workflowId,
+      failurePolicy: policy,
+      total: items.length,
+      successCount: successful.length,
+      failCount,
+      skippedCount,
+      successRatio,
+      results,
+      outputs: successful.map((entry) => entry.output),
+      errors,
+      runIds: results.map((entry) => entry.runId).filter(Boolean),
+      reduced: null,
+    };
+
+    if (success && node.config?.reduce) {
+      try {
+        const fn = new Function("$results", "$items", "$errors", "$data", "$ctx", `return (${node.config.reduce});`);
+        output.reduced = fn(output.outputs, items, errors, ctx.data, ctx);
+      } catch (err) {
+        throw new Error(`flow.map_reduce: reduce expression failed: ${err.message}`);
+      }
+    }
+
+    ctx.log(
+      node.id,
+      `map_reduce: ${successful.length}/${items.length} succeeded, ${failCount} failed, ${skippedCount} skipped`,
+    );
+    if (outputVariable) {
+      ctx.data[outputVariable] = output;
+    }
+    if (!success) {
+      const err = new Error(
+        `flow.map_reduce: ${failCount}/${items.length} item(s) failed (failurePolicy=${policy}): ${errors[0]?.error || "child workflow failed"}`,
+      );
+      err.mapReduce = output;
+      // Child runs already retried their own nodes; re-running the fan-out
+      // would repeat every item that succeeded.
+      err.retryable = false;
+      throw err;
+    }
+    return output;
+  },
+});
 export { registerNodeType, getNodeType, listNodeTypes, unregisterNodeType } from "./workflow-engine.mjs";
 export {
   buildTaskContextBlock,
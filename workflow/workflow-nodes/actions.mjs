@@ -56,6 +56,7 @@ import {
   resolveTaskRepositoryRoot,
 } from "./transforms.mjs";
 import { requireWorkflowActionApproval } from "../action-approval.mjs";
+import { consumeDurableWake, requestDurableWait } from "../durable-timers.mjs";
 import { resolve, dirname, basename } from "node:path";
 import { execSync, execFileSync, spawn } from "node:child_process";
 
@@ -1025,6 +1026,7 @@ function stripHtmlToText(html = "") {
 
 registerNodeType("action.run_agent", {
   describe: () => "Run a bosun agent with a prompt to perform work",
+  provides: ["sessionId", "threadId"],
   schema: {
     type: "object",
     properties: {
@@ -2491,6 +2493,7 @@ registerNodeType("action.execute_workflow", {
 
 registerNodeType("action.create_task", {
   describe: () => "Create a new task in the kanban board",
+  provides: ["taskId", "activeTaskId", "taskTitle", "task", "worktreePath"],
   schema: {
     type: "object",
     properties: {
@@ -2537,6 +2540,7 @@ registerNodeType("action.create_task", {
 
 registerNodeType("action.update_task_status", {
   describe: () => "Update the status of an existing task",
+  provides: ["taskId", "activeTaskId", "taskTitle", "task", "worktreePath"],
   schema: {
     type: "object",
     properties: {
@@ -3067,6 +3071,11 @@ registerNodeType("action.delay", {
       jitter: { type: "number", default: 0, description: "Random jitter percentage (0-100) to add/subtract from delay" },
       reason: { type: "string", description: "Human-readable reason for the delay (logged)" },
       message: { type: "string", description: "Legacy alias for reason" },
+      durable: {
+        type: "boolean",
+        default: false,
+        description: "Sleep durably: checkpoint the run, release its slot and resume after restarts",
+      },
     },
   },
   async execute(node, ctx) {
@@ -3096,6 +3105,15 @@ registerNodeType("action.delay", {
     }
 
     const reason = ctx.resolve(node.config?.reason || node.config?.message || "");
+    if (parseBooleanSetting(resolveWorkflowNodeValue(node.config?.durable ?? false, ctx), false)) {
+      const wake = consumeDurableWake(ctx, node.id);
+      if (wake) {
+        const waited = Math.max(0, Number(wake.firedAt || Date.now()) - Number(wake.sleptAt || Date.now()));
+        return { waited, reason, durable: true, cause: wake.cause };
+      }
+      ctx.log(node.id, `Sleeping ${totalMs}ms${reason ? ` (${reason})` : ""}`);
+      return requestDurableWait({ delayMs: totalMs, reason });
+    }
     ctx.log(node.id, `Waiting ${totalMs}ms${reason ? ` (${reason})` : ""}`);
     await new Promise((r) => setTimeout(r, totalMs));
     return { waited: totalMs, reason };
@@ -3591,6 +3609,7 @@ registerNodeType("action.materialize_planner_tasks", {
 
 registerNodeType("action.continue_session", {
   describe: () => "Re-attach to an existing agent session and send a continuation prompt",
+  provides: ["sessionId", "threadId"],
   schema: {
     type: "object",
     properties: {
@@ -3667,6 +3686,7 @@ registerNodeType("action.continue_session", {
 
 registerNodeType("action.restart_agent", {
   describe: () => "Kill and restart an agent session from scratch",
+  provides: ["sessionId", "threadId"],
   schema: {
     type: "object",
     properties: {
@@ -5579,6 +5599,7 @@ registerNodeType("action.allocate_slot", {
   describe: () =>
     "Reserve a parallel execution slot. Saves process env snapshot for " +
     "parallel isolation and stores slot metadata in workflow context.",
+  provides: ["taskId", "taskTitle", "branch", "baseBranch"],
   schema: {
     type: "object",
     properties: {
@@ -6162,6 +6183,9 @@ registerNodeType("action.release_claim", {
 registerNodeType("action.resolve_executor", {
   describe: () =>
     "Pick SDK + model via complexity routing, env overrides, or defaults.",
+  provides: [
+    "resolvedSdk", "resolvedModel", "agentProfile", "resolvedAgentProfile", "resolvedSkillIds", "resolvedLibraryPlan",
+  ],
   schema: {
     type: "object",
     properties: {
@@ -6457,6 +6481,7 @@ registerNodeType("action.acquire_worktree", {
   describe: () =>
     "Create or checkout a git worktree for isolated task execution. " +
     "Fetches base branch, creates worktree, handles branch conflicts.",
+  provides: ["worktreePath", "repoRoot", "baseBranch"],
   schema: {
     type: "object",
     properties: {
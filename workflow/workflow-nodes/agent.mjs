@@ -1130,6 +1130,7 @@ export function buildPlannerSkipReasonHistogram(skipped = []) {
 
 registerNodeType("agent.run_planner", {
   describe: () => "Run the task planner agent to generate new backlog tasks",
+  provides: ["sessionId", "threadId"],
   schema: {
     type: "object",
     properties: {
@@ -26,6 +26,8 @@ import { getToolsPromptBlock } from "../../agent/agent-custom-tools.mjs";
 import { buildRelevantSkillsPromptBlock, findRelevantSkills } from "../../agent/bosun-skills.mjs";
 import { getSessionTracker } from "../../infra/session-tracker.mjs";
 import { fixGitConfigCorruption } from "../../workspace/worktree-manager.mjs";
+import { parseDurationMs } from "../cron-scheduler.mjs";
+import { consumeDurableWake, requestDurableWait } from "../durable-timers.mjs";
 
 import {
   registerNodeType,
@@ -92,6 +94,11 @@ registerNodeType("flow.gate", {
       onTimeout: { type: "string", enum: ["proceed", "fail"], default: "proceed", description: "Action when timeout is reached" },
       pollIntervalMs: { type: "number", default: 5000, description: "How often to re-evaluate the condition (ms)" },
       reason: { type: "string", description: "Human-readable description of what this gate is waiting for" },
+      durable: {
+        type: "boolean",
+        default: false,
+        description: "Timeout mode: sleep durably (checkpointed, slot released, survives restarts)",
+      },
     },
   },
   async execute(node, ctx, engine) {
@@ -106,6 +113,14 @@ registerNodeType("flow.gate", {
     engine?.emit?.("node:waiting", { nodeId: node.id, mode, reason });
 
     if (mode === "timeout") {
+      if (parseBooleanSetting(resolveWorkflowNodeValue(node.config?.durable ?? false, ctx), false)) {
+        const wake = consumeDurableWake(ctx, node.id);
+        if (wake) {
+          const waited = Math.max(0, Number(wake.firedAt || Date.now()) - Number(wake.sleptAt || Date.now()));
+          return { gateOpened: true, mode, waited, reason, durable: true };
+        }
+        return requestDurableWait({ delayMs: timeoutMs, reason });
+      }
       // Simple wait
       await new Promise((r) => setTimeout(r, timeoutMs));
       return { gateOpened: true, mode, waited: timeoutMs, reason };
@@ -147,6 +162,81 @@ registerNodeType("flow.gate", {
   },
 });
 
+registerNodeType("flow.wait_for_event", {
+  describe: () => "Sleep until a matching event arrives (default port) or the timeout elapses (timeout port); survives restarts",
+  schema: {
+    type: "object",
+    properties: {
+      eventType: { type: "string", description: "Event type to wait for (\"prefix.*\" allowed)" },
+      correlation: {
+        type: "object",
+        additionalProperties: true,
+        description: "Event fields that must match, as { \"<event path>\": value } (templates allowed, e.g. { \"taskId\": \"{{taskId}}\" })",
+      },
+      timeoutMs: { type: "number", description: "Give up after this many ms and follow the timeout port" },
+      timeout: { type: "string", description: "Timeout as a duration (\"30m\", \"3d\"); alternative to timeoutMs" },
+      reason: { type: "string", description: "Human-readable description of what the run is waiting for" },
+      outputVariable: { type: "string", description: "Store the received event payload in ctx.data under this key" },
+    },
+    required: ["eventType"],
+  },
+  async execute(node, ctx) {
+    const eventType = String(ctx.resolve(node.config?.eventType || "") || "").trim();
+    if (!eventType) throw new Error("flow.wait_for_event: eventType is required");
+    const reason = String(ctx.resolve(node.config?.reason || "") || "").trim() || `Waiting for ${eventType}`;
+
+    const wake = consumeDurableWake(ctx, node.id);
+    if (wake) {
+      const waitedMs = Math.max(0, Number(wake.firedAt || Date.now()) - Number(wake.sleptAt || Date.now()));
+      if (wake.cause === "event") {
+        const payload = wake.event?.data ?? null;
+        const outputVariable = String(ctx.resolve(node.config?.outputVariable || "") || "").trim();
+        if (outputVariable) ctx.data[outputVariable] = payload;
+        ctx.log(node.id, `Received ${wake.event?.type || eventType} after ${waitedMs}ms`);
+        return {
+          matched: true,
+          timedOut: false,
+          eventType: wake.event?.type || eventType,
+          event: payload,
+          waitedMs,
+          reason,
+          port: "default",
+        };
+      }
+      ctx.log(node.id, `${wake.cause === "cancelled" ? "Cancelled" : "Timed out"} waiting for ${eventType} after ${waitedMs}ms`, "warn");
+      return {
+        matched: false,
+        timedOut: wake.cause !== "cancelled",
+        cancelled: wake.cause === "cancelled",
+        eventType,
+        event: null,
+        waitedMs,
+        reason,
+        port: "timeout",
+      };
+    }
+
+    const correlation = {};
+    const rawCorrelation = node.config?.correlation && typeof node.config.correlation === "object"
+      ? node.config.correlation
+      : {};
+    for (const [path, value] of Object.entries(rawCorrelation)) {
+      correlation[path] = resolveWorkflowNodeValue(value, ctx);
+    }
+    const timeoutMs = node.config?.timeout
+      ? parseDurationMs(ctx.resolve(node.config.timeout))
+      : Math.max(0, Number(resolveWorkflowNodeValue(node.config?.timeoutMs ?? 0, ctx)) || 0);
+
+    ctx.log(node.id, `${reason}${timeoutMs > 0 ? ` (timeout ${timeoutMs}ms)` : ""}`);
+    return requestDurableWait({
+      eventType,
+      correlation,
+      delayMs: timeoutMs > 0 ? timeoutMs : null,
+      reason,
+    });
+  },
+});
+
 registerNodeType("flow.join", {
   describe: () => "Explicitly join multiple branches before continuing",
   schema: {
@@ -406,6 +496,351 @@ registerNodeType("flow.universal", UNIVERSAL_FLOW_NODE);
 
 registerNodeType("flow.universial", UNIVERSAL_FLOW_NODE);
 
+const MAP_REDUCE_FAILURE_POLICIES = new Set(["fail_fast", "collect_errors", "min_success_ratio"]);
+
+function recordMapReduceLedgerEvent(engine, ctx, event) {
+  if (typeof engine?._recordLedgerEvent !== "function") return;
+  engine._recordLedgerEvent({
+    runId: ctx?.id || null,
+    workflowId: ctx?.data?._workflowId || null,
+    workflowName: ctx?.data?._workflowName || null,
+    rootRunId: ctx?.data?._workflowRootRunId || ctx?.id || null,
+    parentRunId: ctx?.data?._workflowParentRunId || null,
+    ...event,
+  });
+}
+
+registerNodeType("flow.map_reduce", {
+  describe: () =>
+    "Fan a sub-workflow out over a dynamic list with a concurrency cap, then reduce the " +
+    "per-item outputs. Failures are handled by policy: fail_fast, collect_errors or min_success_ratio.",
+  schema: {
+    type: "object",
+    properties: {
+      items: {
+        description: "Expression (over $data, $ctx) or array that resolves to the list to map over",
+      },
+      workflowId: { type: "string", description: "Sub-workflow executed once per item" },
+      variable: { type: "string", default: "item", description: "Child input key for the current item" },
+      indexVariable: { type: "string", default: "index", description: "Child input key for the item index" },
+      input: {
+        type: "object",
+        description: "Extra input passed to every child run",
+        additionalProperties: true,
+      },
+      inheritContext: {
+        type: "boolean",
+        default: false,
+        description: "Copy parent workflow context data into each child input",
+      },
+      includeKeys: {
+        type: "array",
+        items: { type: "string" },
+        description: "Optional allow-list of context keys to inherit when inheritContext=true",
+      },
+      maxConcurrency: { type: "number", default: 4, description: "Maximum child runs in flight" },
+      maxItems: { type: "number", default: 100, description: "Cap on the number of items mapped" },
+      failurePolicy: {
+        type: "string",
+        enum: ["fail_fast", "collect_errors", "min_success_ratio"],
+        default: "fail_fast",
+        description:
+          "fail_fast stops scheduling after the first failure; collect_errors runs every item and " +
+          "never fails the node; min_success_ratio fails once the ratio can no longer be met",
+      },
+      minSuccessRatio: {
+        type: "number",
+        default: 0.8,
+        description: "Required share of successful items (0-1) for failurePolicy=min_success_ratio",
+      },
+      reduce: {
+        type: "string",
+        description:
+          "Optional expression over $results (successful outputs in item order), $items, $errors, " +
+          "$data and $ctx. Its value is returned as `reduced`.",
+      },
+      outputVariable: { type: "string", description: "Optional context key to store the map/reduce summary" },
+      allowRecursive: { type: "boolean", default: false },
+    },
+    required: ["items", "workflowId"],
+  },
+  async execute(node, ctx, engine) {
+    const workflowId = String(ctx.resolve(node.config?.workflowId || "") || "").trim();
+    const varName = String(node.config?.variable || "item").trim() || "item";
+    const indexVar = String(node.config?.indexVariable || "index").trim() || "index";
+    const outputVariable = String(ctx.resolve(node.config?.outputVariable || "") || "").trim();
+    const policy = String(ctx.resolve(node.config?.failurePolicy || "fail_fast") || "fail_fast")
+      .trim()
+      .toLowerCase();
+    const inheritContext = parseBooleanSetting(
+      resolveWorkflowNodeValue(node.config?.inheritContext ?? false, ctx),
+      false,
+    );
+    const allowRecursive = parseBooleanSetting(
+      resolveWorkflowNodeValue(node.config?.allowRecursive ?? false, ctx),
+      false,
+    );
+    const includeKeys = Array.isArray(node.config?.includeKeys)
+      ? node.config.includeKeys
+          .map((value) => String(resolveWorkflowNodeValue(value, ctx) || "").trim())
+          .filter(Boolean)
+      : [];
+
+    if (!workflowId) {
+      throw new Error("flow.map_reduce: 'workflowId' is required");
+    }
+    if (!MAP_REDUCE_FAILURE_POLICIES.has(policy)) {
+      throw new Error(
+        `flow.map_reduce: invalid failurePolicy "${policy}". Expected fail_fast, collect_errors or min_success_ratio.`,
+      );
+    }
+    if (!engine || typeof engine.execute !== "function") {
+      throw new Error("flow.map_reduce: workflow engine is not available");
+    }
+    if (typeof engine.get === "function" && !engine.get(workflowId)) {
+      throw new Error(`flow.map_reduce: workflow "${workflowId}" not found`);
+    }
+
+    let items;
+    const itemsConfig = node.config?.items;
+    if (typeof itemsConfig === "string") {
+      try {
+        const fn = new Function("$data", "$ctx", `return (${itemsConfig});`);
+        items = fn(ctx.data, ctx);
+      } catch (err) {
+        throw new Error(`flow.map_reduce: items expression failed: ${err.message}`);
+      }
+    } else {
+      items = resolveWorkflowNodeValue(itemsConfig ?? [], ctx);
+    }
+    if (items == null) items = [];
+    if (!Array.isArray(items)) {
+      throw new Error("flow.map_reduce: 'items' must resolve to an array");
+    }
+    const maxItems = Math.max(1, Number(resolveWorkflowNodeValue(node.config?.maxItems ?? 100, ctx)) || 100);
+    if (items.length > maxItems) {
+      ctx.log(node.id, `map_reduce: truncating ${items.length} item(s) to maxItems=${maxItems}`, "warn");
+      items = items.slice(0, maxItems);
+    }
+    const maxConcurrency = Math.max(
+      1,
+      Math.floor(Number(resolveWorkflowNodeValue(node.config?.maxConcurrency ?? 4, ctx)) || 1),
+    );
+    const minSuccessRatio = Math.min(
+      1,
+      Math.max(0, Number(resolveWorkflowNodeValue(node.config?.minSuccessRatio ?? 0.8, ctx)) || 0),
+    );
+    // Failures tolerated before the outcome is decided and scheduling stops.
+    const maxFailures = policy === "fail_fast"
+      ? 0
+      : policy === "min_success_ratio"
+        ? Math.floor(items.length * (1 - minSuccessRatio) + 1e-9)
+        : Infinity;
+
+    const resolvedInputConfig = resolveWorkflowNodeValue(node.config?.input ?? {}, ctx);
+    if (
+      resolvedInputConfig != null &&
+      (typeof resolvedInputConfig !== "object" || Array.isArray(resolvedInputConfig))
+    ) {
+      throw new Error("flow.map_reduce: 'input' must resolve to an object");
+    }
+    const configuredInput =
+      resolvedInputConfig && typeof resolvedInputConfig === "object"
+        ? resolvedInputConfig
+        : {};
+    const sourceData = ctx.data && typeof ctx.data === "object" ? ctx.data : {};
+    const inheritedInput = {};
+    if (inheritContext) {
+      if (includeKeys.length > 0) {
+        for (const key of includeKeys) {
+          if (Object.prototype.hasOwnProperty.call(sourceData, key)) {
+            inheritedInput[key] = sourceData[key];
+          }
+        }
+      } else {
+        Object.assign(inheritedInput, sourceData);
+      }
+    }
+
+    const parentWorkflowId = String(ctx.data?._workflowId || "").trim();
+    const workflowStack = normalizeWorkflowStack(ctx.data?._workflowStack);
+    if (parentWorkflowId && workflowStack[workflowStack.length - 1] !== parentWorkflowId) {
+      workflowStack.push(parentWorkflowId);
+    }
+    if (!allowRecursive && workflowStack.includes(workflowId)) {
+      const cyclePath = [...workflowStack, workflowId].join(" -> ");
+      throw new Error(
+        `flow.map_reduce: recursive workflow call blocked (${cyclePath}). Set allowRecursive=true to override.`,
+      );
+    }
+
+    ctx.log(
+      node.id,
+      `map_reduce: ${items.length} item(s) → "${workflowId}", concurrency=${maxConcurrency}, policy=${policy}`,
+    );
+
+    const results = new Array(items.length);
+    let failCount = 0;
+    let nextIndex = 0;
+    let stopped = false;
+
+    const runItem = async (index) => {
+      const item = items[index];
+      const executionId = `map:${ctx.id || "run"}:${node.id}:${index}`;
+      const ledgerRef = {
+        executionKind: "map",
+        executionId,
+        executionKey: `map:${node.id}:${index}`,
+        executionLabel: `${node.label || node.id} #${index}`,
+        parentExecutionId: `node:${ctx.id || "run"}:${node.id}`,
+      };
+      const childInput = {
+        ...inheritedInput,
+        ...configuredInput,
+        [varName]: item,
+        [indexVar]: index,
+        _mapReduceParentNodeId: node.id,
+        _mapReduceIndex: index,
+        _mapReduceTotal: items.length,
+        _workflowStack: [...workflowStack, workflowId],
+      };
+      const childRunOpts = {
+        _parentRunId: ctx.id || null,
+        _rootRunId: ctx.data?._workflowRootRunId || ctx.id || null,
+        _parentExecutionId: executionId,
+      };
+      const startedAt = Date.now();
+      recordMapReduceLedgerEvent(engine, ctx, {
+        eventType: "map_reduce.item_started",
+        ...ledgerRef,
+        nodeId: node.id,
+        nodeType: node.type,
+        nodeLabel: node.label || null,
+        status: "running",
+        meta: { index, total: items.length, workflowId },
+      });
+
+      let result;
+      try {
+        const childCtx = await engine.execute(workflowId, childInput, childRunOpts);
+        const childErrors = Array.isArray(childCtx?.errors) ? childCtx.errors : [];
+        result = {
+          index,
+          item,
+          success: childErrors.length === 0,
+          status: childErrors.length === 0 ? "completed" : "failed",
+          runId: childCtx?.id || null,
+          output: childCtx?.data?._workflowTerminalOutput ?? null,
+          error: childErrors.length
+            ? String(childErrors[0]?.error || "child workflow failed")
+            : null,
+        };
+      } catch (err) {
+        result = {
+          index,
+          item,
+          success: false,
+          status: "failed",
+          runId: null,
+          output: null,
+          error: err?.message || String(err),
+        };
+      }
+      recordMapReduceLedgerEvent(engine, ctx, {
+        eventType: result.success ? "map_reduce.item_completed" : "map_reduce.item_failed",
+        ...ledgerRef,
+        nodeId: node.id,
+        nodeType: node.type,
+        nodeLabel: node.label || null,
+        childRunId: result.runId,
+        status: result.status,
+        durationMs: Date.now() - startedAt,
+        error: result.error,
+        meta: { index, total: items.length, workflowId },
+      });
+      return result;
+    };
+
+    const worker = async () => {
+      while (!stopped && nextIndex < items.length) {
+        const index = nextIndex++;
+        const result = await runItem(index);
+        results[index] = result;
+        if (!result.success) {
+          failCount++;
+          ctx.log(node.id, `map_reduce: item ${index} failed: ${result.error}`, "warn");
+          if (failCount > maxFailures) stopped = true;
+        }
+      }
+    };
+    await Promise.all(
+      Array.from({ length: Math.min(maxConcurrency, items.length) }, () => worker()),
+    );
+
+    for (let index = 0; index < items.length; index++) {
+      if (!results[index]) {
+        results[index] = {
+          index,
+          item: items[index],
+          success: false,
+          status: "skipped",
+          runId: null,
+          output: null,
+          error: null,
+        };
+      }
+    }
+    const successful = results.filter((entry) => entry.success);
+    const skippedCount = results.filter((entry) => entry.status === "skipped").length;
+    const errors = results
+      .filter((entry) => entry.status === "failed")
+      .map((entry) => ({ index: entry.index, item: entry.item, runId: entry.runId, error: entry.error }));
+    const successRatio = items.length ? successful.length / items.length : 1;
+    const success = failCount <= maxFailures;
+
+    const output = {
+      success,
+      workflowId,
+      failurePolicy: policy,
+      total: items.length,
+      successCount: successful.length,
+      failCount,
+      skippedCount,
+      successRatio,
+      results,
+      outputs: successful.map((entry) => entry.output),
+      errors,
+      runIds: results.map((entry) => entry.runId).filter(Boolean),
+      reduced: null,
+    };
+
+    if (success && node.config?.reduce) {
+      try {
+        const fn = new Function("$results", "$items", "$errors", "$data", "$ctx", `return (${node.config.reduce});`);
+        output.reduced = fn(output.outputs, items, errors, ctx.data, ctx);
+      } catch (err) {
+        throw new Error(`flow.map_reduce: reduce expression failed: ${err.message}`);
+      }
+    }
+
+    ctx.log(
+      node.id,
+      `map_reduce: ${successful.length}/${items.length} succeeded, ${failCount} failed, ${skippedCount} skipped`,
+    );
+    if (outputVariable) {
+      ctx.data[outputVariable] = output;
+    }
+    if (!success) {
+      const err = new Error(
+        `flow.map_reduce: ${failCount}/${items.length} item(s) failed (failurePolicy=${policy}): ${errors[0]?.error || "child workflow failed"}`,
+      );
+      err.mapReduce = output;
+      throw err;
+    }
+    return output;
+  },
+});
+
 // ═══════════════════════════════════════════════════════════════════════════
 //  LOOP / ITERATION
 // ═══════════════════════════════════════════════════════════════════════════
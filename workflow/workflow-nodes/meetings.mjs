@@ -78,6 +78,7 @@ import {
 
 registerNodeType("meeting.start", {
   describe: () => "Create or reuse a meeting session for workflow-driven voice/video orchestration",
+  provides: ["meetingSessionId", "sessionId"],
   schema: {
     type: "object",
     properties: {
@@ -158,6 +159,7 @@ registerNodeType("meeting.start", {
 
 registerNodeType("meeting.send", {
   describe: () => "Send a meeting message through the meeting session dispatcher",
+  provides: ["meetingSessionId", "sessionId"],
   schema: {
     type: "object",
     properties: {
@@ -306,6 +308,7 @@ registerNodeType("meeting.transcript", {
 
 registerNodeType("meeting.vision", {
   describe: () => "Analyze a meeting video frame and persist a vision summary",
+  provides: ["meetingSessionId", "meetingVisionSummary"],
   schema: {
     type: "object",
     properties: {
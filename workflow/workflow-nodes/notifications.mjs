@@ -130,6 +130,7 @@ registerNodeType("notify.telegram", {
 
 registerNodeType("notify.webhook_out", {
   describe: () => "Send an HTTP webhook notification",
+  provides: ["eventType", "eventPayload"],
   schema: {
     type: "object",
     properties: {
@@ -248,6 +248,7 @@ registerNodeType("transform.mcp_extract", {
     "any node output. Supports dot-path fields, JSON pointers, array wildcards, " +
     "type coercion, default values, and output mapping. Essential for piping " +
     "specific data points between MCP tool calls in a workflow.",
+  provides: ["workflowTeamState"],
   schema: {
     type: "object",
     properties: {
@@ -18,7 +18,7 @@
  */
 
 import { existsSync, readFileSync, writeFileSync, mkdirSync } from "node:fs";
-import { parseCronExpression } from "../cron-scheduler.mjs";
+import { checkScheduleCalendar, parseCronExpression } from "../cron-scheduler.mjs";
 import {
   normalizePlannerAreaKey,
   resolveTaskRepoAreas,
@@ -114,6 +114,7 @@ registerNodeType("trigger.task_low", {
   describe: () =>
     "Fires when backlog task count drops below threshold. Self-queries kanban " +
     "when todoCount is not pre-populated in context data.",
+  provides: ["repoRoot"],
   schema: {
     type: "object",
     properties: {
@@ -153,40 +154,74 @@ registerNodeType("trigger.task_low", {
   },
 });
 
+/**
+ * Suppress a due schedule trigger when `now` falls inside one of the node's
+ * blackout windows or on an excluded date.
+ */
+function applyScheduleCalendar(node, ctx, result) {
+  if (!result?.triggered) return result;
+  const blocked = checkScheduleCalendar(node.config);
+  if (!blocked) return result;
+  if (blocked.kind === "invalid") {
+    ctx.log(node.id, `Ignoring invalid blackout/exclusion config: ${blocked.error}`);
+    return result;
+  }
+  const label = blocked.reason ? ` (${blocked.reason})` : "";
+  ctx.log(node.id, `Schedule due but suppressed by ${blocked.kind}${label}`);
+  return { ...result, triggered: false, skipped: true, skipReason: blocked.kind, blockedBy: blocked };
+}
+
 registerNodeType("trigger.schedule", {
-  describe: () => "Fires on a cron-like schedule or interval (checked by supervisor loop)",
+  describe: () => "Fires on a cron schedule or interval (checked by supervisor loop); honours blackout windows and exclusion dates",
+  provides: ["repoRoot"],
   schema: {
     type: "object",
     properties: {
       intervalMs: { type: "number", default: 3600000, description: "Interval in milliseconds (ignored when cron is set)" },
-      cron: { type: "string", description: "Standard 5-field cron expression (min hour dom mon dow)" },
-      timezone: { type: "string", default: "UTC", description: "Timezone for cron evaluation (currently UTC only)" },
+      cron: { type: "string", description: "Cron expression: 5 fields, 6 with leading seconds, L/W/# qualifiers, @daily-style macros or \"@every 90s\"" },
+      timezone: { type: "string", default: "UTC", description: "IANA timezone for cron evaluation, blackout windows and exclusion dates" },
+      blackouts: {
+        type: "array",
+        description: "Windows during which the schedule does not fire: { start, end } ISO timestamps or recurring { from: \"22:00\", to: \"06:00\", days?: [\"sat\", \"sun\"] }",
+        items: { type: "object" },
+      },
+      exclusions: {
+        type: "array",
+        description: "Dates on which the schedule does not fire: \"YYYY-MM-DD\", yearly \"MM-DD\" or { date, reason }",
+        items: { type: ["string", "object"] },
+      },
     },
   },
   async execute(node, ctx) {
     const cronExpr = typeof node.config?.cron === "string" ? node.config.cron.trim() : "";
+    const timezone = typeof node.config?.timezone === "string" && node.config.timezone.trim()
+      ? node.config.timezone.trim()
+      : undefined;
+    let result;
 
     if (cronExpr) {
       try {
         const parsed = parseCronExpression(cronExpr);
         const lastRun = ctx.data?._lastRunAt ? new Date(ctx.data._lastRunAt) : new Date(0);
-        const nextRun = parsed.next(lastRun);
+        const nextRun = parsed.next(lastRun, timezone);
         const now = new Date();
         const triggered = now >= nextRun;
         ctx.log(node.id, `Cron check: expr="${cronExpr}", nextRun=${nextRun.toISOString()}, triggered=${triggered}`);
-        return { triggered, cron: cronExpr, nextRunAt: nextRun.toISOString() };
+        result = { triggered, cron: cronExpr, nextRunAt: nextRun.toISOString() };
       } catch (err) {
         ctx.log(node.id, `Cron parse error: ${err?.message || err}`);
         return { triggered: false, error: err?.message || "invalid cron" };
       }
+    } else {
+      const interval = node.config?.intervalMs ?? 3600000;
+      const lastRun = ctx.data?._lastRunAt ?? 0;
+      const elapsed = Date.now() - lastRun;
+      const triggered = elapsed >= interval;
+      ctx.log(node.id, `Schedule check: ${elapsed}ms elapsed, interval: ${interval}ms, triggered: ${triggered}`);
+      result = { triggered, elapsed, interval };
     }
 
-    const interval = node.config?.intervalMs ?? 3600000;
-    const lastRun = ctx.data?._lastRunAt ?? 0;
-    const elapsed = Date.now() - lastRun;
-    const triggered = elapsed >= interval;
-    ctx.log(node.id, `Schedule check: ${elapsed}ms elapsed, interval: ${interval}ms, triggered: ${triggered}`);
-    return { triggered, elapsed, interval };
+    return applyScheduleCalendar(node, ctx, result);
   },
 });
 
@@ -490,11 +525,23 @@ registerNodeType("trigger.anomaly", {
 
 registerNodeType("trigger.scheduled_once", {
   describe: () => "Fires once at or after a specific scheduled time (persistent — survives restarts)",
+  provides: ["repoRoot"],
   schema: {
     type: "object",
     properties: {
       runAt: { type: "string", description: "ISO 8601 datetime or relative expression (e.g., '+30m', '+2h')" },
       reason: { type: "string", description: "Human-readable reason for the scheduled trigger" },
+      timezone: { type: "string", default: "UTC", description: "IANA timezone for recurring blackout windows and exclusion dates" },
+      blackouts: {
+        type: "array",
+        description: "Windows during which the schedule does not fire: { start, end } ISO timestamps or recurring { from: \"22:00\", to: \"06:00\", days?: [\"sat\", \"sun\"] }",
+        items: { type: "object" },
+      },
+      exclusions: {
+        type: "array",
+        description: "Dates on which the schedule does not fire: \"YYYY-MM-DD\", yearly \"MM-DD\" or { date, reason }",
+        items: { type: ["string", "object"] },
+      },
     },
     required: ["runAt"],
   },
@@ -516,12 +563,12 @@ registerNodeType("trigger.scheduled_once", {
     }
 
     const triggered = Date.now() >= runAtMs;
-    return {
+    return applyScheduleCalendar(node, ctx, {
       triggered,
       runAt: new Date(runAtMs).toISOString(),
       reason: node.config?.reason || "",
       remainingMs: triggered ? 0 : runAtMs - Date.now(),
-    };
+    });
   },
 });
 
@@ -529,6 +576,7 @@ registerNodeType("trigger.workflow_call", {
   describe: () =>
     "Fires when this workflow is invoked by another workflow via action.execute_workflow. " +
     "Defines expected input parameters that callers should provide.",
+  provides: [],
   schema: {
     type: "object",
     properties: {
@@ -547,6 +595,19 @@ registerNodeType("trigger.workflow_call", {
           },
         },
       },
+      outputs: {
+        type: "object",
+        description:
+          "Declares the keys of the flow.end output callers can read (as {{node.output.<key>}}). " +
+          "Keys are output names, values are objects with { type, description }.",
+        additionalProperties: {
+          type: "object",
+          properties: {
+            type: { type: "string", enum: ["string", "number", "boolean", "object", "array"] },
+            description: { type: "string" },
+          },
+        },
+      },
     },
   },
   async execute(node, ctx) {
@@ -595,6 +656,10 @@ registerNodeType("trigger.task_available", {
     "Polling trigger that fires when todo tasks are available. Handles " +
     "slot limits, anti-thrash filtering, cooldowns, task sorting (fire " +
     "tasks first, then review tasks before new tasks), and listTasks retry with backoff.",
+  provides: [
+    "repoRoot", "taskId", "activeTaskId", "taskTitle", "task", "worktreePath", "taskDescription",
+    "taskMeta", "branch", "baseBranch", "workspace", "repoSlug", "repository", "repositories",
+  ],
   schema: {
     type: "object",
     properties: {
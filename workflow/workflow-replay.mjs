@@ -0,0 +1,291 @@
+/**
+ * workflow-replay.mjs — Deterministic re-execution of recorded workflow runs
+ *
+ * A replay re-runs a past run's workflow against the same input, but every
+ * node that can touch the outside world (agents, commands, MCP tools,
+ * notifications, git, kanban, …) returns the output recorded in the original
+ * run instead of executing. Only pure nodes — conditions and transforms —
+ * are evaluated again, so an edited condition expression or template can be
+ * checked against real historical runs offline.
+ *
+ * The replay's outcome is compared with the original run node-by-node and
+ * summarised in a divergence report:
+ *
+ *   branch     — a condition picked a different branch / port
+ *   path       — a node ran in one run but not in the other
+ *   status     — a node ran in both runs but finished differently
+ *   output     — a re-evaluated node produced a different output
+ *   unrecorded — replay reached a stubbed node the original never ran
+ */
+
+import { stableStringify } from "../utils.mjs";
+
+const TAG = "[workflow-replay]";
+
+/** Node families re-evaluated during replay; everything else is stubbed. */
+const PURE_NODE_PREFIXES = ["condition.", "transform."];
+const PURE_NODE_TYPES = new Set([
+  "action.set_variable",
+  "flow.join",
+  "flow.end",
+]);
+/** Members of pure families that read external state. */
+const IMPURE_NODE_TYPES = new Set([
+  "condition.file_exists",
+  "condition.slot_available",
+]);
+
+/** ctx.data keys written by the engine itself; they are rebuilt on replay. */
+const ENGINE_DATA_KEY_RE = /^_(workflow|dag|replay|retry|restored|issueAdvisor|delegation|debug|durable)/;
+
+export const ReplayDivergenceKind = Object.freeze({
+  BRANCH: "branch",
+  PATH: "path",
+  STATUS: "status",
+  OUTPUT: "output",
+  UNRECORDED: "unrecorded",
+});
+
+function toTypeSet(value) {
+  const list = Array.isArray(value)
+    ? value
+    : typeof value === "string"
+      ? value.split(",")
+      : [];
+  return new Set(list.map((entry) => String(entry || "").trim()).filter(Boolean));
+}
+
+function matchesTypeSet(set, nodeType) {
+  if (set.has(nodeType)) return true;
+  for (const entry of set) {
+    if (entry.endsWith("*") && nodeType.startsWith(entry.slice(0, -1))) return true;
+  }
+  return false;
+}
+
+function cloneRecorded(value) {
+  if (value === undefined) return undefined;
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Whether a node type is re-evaluated (true) or stubbed (false) by default.
+ * @param {string} nodeType
+ * @returns {boolean}
+ */
+export function isReplayPureNodeType(nodeType) {
+  const type = String(nodeType || "");
+  if (IMPURE_NODE_TYPES.has(type)) return false;
+  if (PURE_NODE_TYPES.has(type)) return true;
+  return PURE_NODE_PREFIXES.some((prefix) => type.startsWith(prefix));
+}
+
+/**
+ * Recover the input a run was started with from its final ctx.data,
+ * dropping engine bookkeeping that a fresh run rebuilds.
+ * @param {object} data
+ * @returns {object}
+ */
+export function extractReplayInput(data) {
+  const input = {};
+  for (const [key, value] of Object.entries(data || {})) {
+    if (ENGINE_DATA_KEY_RE.test(key)) continue;
+    input[key] = value;
+  }
+  return input;
+}
+
+/**
+ * Recorded node outcomes of a past run, used to stub side-effecting nodes.
+ * Passed to the engine as `opts.nodeStubs`.
+ */
+export class WorkflowReplayRecording {
+  /**
+   * @param {object} run - Result of WorkflowEngine.getRunDetail()
+   * @param {object} [opts]
+   * @param {string[]|string} [opts.stub] - Extra node types to stub ("prefix.*" allowed)
+   * @param {string[]|string} [opts.reevaluate] - Node types to re-evaluate even if impure
+   */
+  constructor(run, opts = {}) {
+    const detail = run?.detail || {};
+    this.runId = String(run?.runId || detail.id || "");
+    this.workflowId = run?.workflowId || detail.data?._workflowId || null;
+    this.nodeStatuses = { ...(detail.nodeStatuses || {}) };
+    this.nodeOutputs = { ...(detail.nodeOutputs || {}) };
+    this.nodeErrors = {};
+    for (const entry of Array.isArray(detail.errors) ? detail.errors : []) {
+      if (entry?.nodeId) this.nodeErrors[entry.nodeId] = String(entry.error || "");
+    }
+    this.extraStub = toTypeSet(opts.stub);
+    this.reevaluate = toTypeSet(opts.reevaluate);
+    this.stubbedNodeIds = new Set();
+    this.unrecordedNodeIds = new Set();
+  }
+
+  /**
+   * @param {{ type: string }} node
+   * @returns {boolean} true when the node returns its recorded output
+   */
+  shouldStub(node) {
+    const type = String(node?.type || "");
+    if (matchesTypeSet(this.extraStub, type)) return true;
+    if (matchesTypeSet(this.reevaluate, type)) return false;
+    return !isReplayPureNodeType(type);
+  }
+
+  /**
+   * Produce the recorded outcome of a stubbed node: its output when it
+   * completed, or a non-retryable error when it failed or never ran.
+   * @param {{ id: string, type: string }} node
+   * @param {import("./workflow-engine.mjs").WorkflowContext} ctx
+   */
+  stub(node, ctx) {
+    this.stubbedNodeIds.add(node.id);
+    const status = this.nodeStatuses[node.id];
+    if (status === "completed") {
+      ctx.log(node.id, `[replay] Using recorded output of ${node.type}`);
+      return cloneRecorded(this.nodeOutputs[node.id]);
+    }
+    const err = status === "failed"
+      ? new Error(this.nodeErrors[node.id] || `Node "${node.id}" failed in the recorded run`)
+      : new Error(`${TAG} No recorded output for "${node.id}" (${node.type}) — it did not run in ${this.runId}`);
+    if (status !== "failed") this.unrecordedNodeIds.add(node.id);
+    err.retryable = false;
+    throw err;
+  }
+}
+
+function branchOf(output) {
+  if (!output || typeof output !== "object") return output ?? null;
+  if (output.port !== undefined) return output.port;
+  if (output.matchedPort !== undefined) return output.matchedPort;
+  if (output.result !== undefined) return output.result;
+  return null;
+}
+
+function didRun(status) {
+  return status === "completed" || status === "failed";
+}
+
+/**
+ * Compare a replay with the run it replayed.
+ * @param {object} params
+ * @param {object} params.definition - Workflow definition used for the replay
+ * @param {object} params.original - getRunDetail() of the recorded run
+ * @param {object} params.replay - getRunDetail() (or ctx.toJSON() wrapper) of the replay
+ * @param {WorkflowReplayRecording} params.recording
+ * @returns {object}
+ */
+export function buildReplayDivergenceReport({ definition, original, replay, recording }) {
+  const origDetail = original?.detail || {};
+  const replayDetail = replay?.detail || {};
+  const nodes = new Map((definition?.nodes || []).map((node) => [node.id, node]));
+  const nodeIds = new Set([
+    ...nodes.keys(),
+    ...Object.keys(origDetail.nodeStatuses || {}),
+    ...Object.keys(replayDetail.nodeStatuses || {}),
+  ]);
+
+  const divergences = [];
+  let stubbed = 0;
+  let reevaluated = 0;
+  for (const nodeId of nodeIds) {
+    const node = nodes.get(nodeId) || { id: nodeId, type: null };
+    const mode = recording?.stubbedNodeIds?.has(nodeId)
+      || (node.type && recording?.shouldStub(node))
+      ? "stubbed"
+      : "reevaluated";
+    const origStatus = origDetail.nodeStatuses?.[nodeId] || "not_run";
+    const replayStatus = replayDetail.nodeStatuses?.[nodeId] || "not_run";
+    const origOutput = origDetail.nodeOutputs?.[nodeId];
+    const replayOutput = replayDetail.nodeOutputs?.[nodeId];
+    if (didRun(replayStatus)) {
+      if (mode === "stubbed") stubbed++;
+      else reevaluated++;
+    }
+
+    let kind = null;
+    if (recording?.unrecordedNodeIds?.has(nodeId)) {
+      kind = ReplayDivergenceKind.UNRECORDED;
+    } else if (didRun(origStatus) !== didRun(replayStatus)) {
+      kind = ReplayDivergenceKind.PATH;
+    } else if (origStatus !== replayStatus) {
+      kind = didRun(origStatus) ? ReplayDivergenceKind.STATUS : null;
+    } else if (origStatus === "completed" && mode === "reevaluated") {
+      if (String(node.type || "").startsWith("condition.")
+        && stableStringify(branchOf(origOutput)) !== stableStringify(branchOf(replayOutput))) {
+        kind = ReplayDivergenceKind.BRANCH;
+      } else if (stableStringify(origOutput) !== stableStringify(replayOutput)) {
+        kind = ReplayDivergenceKind.OUTPUT;
+      }
+    }
+    if (!kind) continue;
+
+    const entry = {
+      nodeId,
+      type: node.type || null,
+      label: node.label || null,
+      kind,
+      mode,
+      original: { status: origStatus },
+      replay: { status: replayStatus },
+    };
+    if (kind === ReplayDivergenceKind.BRANCH) {
+      entry.original.branch = branchOf(origOutput);
+      entry.replay.branch = branchOf(replayOutput);
+    } else if (kind === ReplayDivergenceKind.OUTPUT) {
+      entry.original.output = origOutput ?? null;
+      entry.replay.output = replayOutput ?? null;
+    }
+    divergences.push(entry);
+  }
+
+  const counts = {};
+  for (const entry of divergences) counts[entry.kind] = (counts[entry.kind] || 0) + 1;
+  return {
+    runId: recording?.runId || original?.runId || null,
+    replayRunId: replay?.runId || replayDetail.id || null,
+    workflowId: recording?.workflowId || original?.workflowId || null,
+    originalStatus: original?.status || null,
+    replayStatus: replay?.status || null,
+    diverged: divergences.length > 0,
+    stubbed,
+    reevaluated,
+    counts,
+    divergences,
+  };
+}
+
+function formatValue(value) {
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text && text.length > 80 ? `${text.slice(0, 77)}...` : String(text);
+}
+
+/**
+ * Render a divergence report as plain text lines for the CLI.
+ * @param {object} report
+ * @returns {string[]}
+ */
+export function formatReplayReport(report) {
+  const lines = [
+    `replay of ${report.runId} → ${report.replayRunId || "?"} (workflow=${report.workflowId || "?"})`,
+    `status: original=${report.originalStatus || "?"} replay=${report.replayStatus || "?"}`,
+    `nodes: stubbed=${report.stubbed} reevaluated=${report.reevaluated}`,
+  ];
+  if (!report.diverged) {
+    lines.push("no divergence — replay matched the recorded run");
+    return lines;
+  }
+  lines.push(`divergences=${report.divergences.length}`);
+  for (const entry of report.divergences) {
+    const name = entry.label ? `${entry.nodeId} [${entry.label}]` : entry.nodeId;
+    if (entry.kind === ReplayDivergenceKind.BRANCH) {
+      lines.push(`- branch  ${name}: ${formatValue(entry.original.branch)} → ${formatValue(entry.replay.branch)}`);
+    } else if (entry.kind === ReplayDivergenceKind.OUTPUT) {
+      lines.push(`- output  ${name}: ${formatValue(entry.original.output)} → ${formatValue(entry.replay.output)}`);
+    } else {
+      lines.push(`- ${entry.kind.padEnd(7)} ${name}: ${entry.original.status} → ${entry.replay.status}`);
+    }
+  }
+  return lines;
+}
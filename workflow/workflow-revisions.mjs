@@ -0,0 +1,200 @@
+/**
+ * workflow-revisions.mjs — Append-only revision history for workflow definitions
+ *
+ * Every time the engine saves a workflow, a revision record is appended to
+ * `<revisionsDir>/<workflowId>.jsonl`. Records are never rewritten, so the
+ * file doubles as an audit trail of who changed what and when.
+ *
+ * Each record carries:
+ *   rev        — monotonically increasing revision number (1-based)
+ *   hash       — content hash of the definition (volatile metadata excluded)
+ *   author     — who made the change ("ui-operator", "system", …)
+ *   reason     — optional free-text reason (e.g. "rollback to r3")
+ *   createdAt  — ISO timestamp
+ *   definition — full workflow definition as saved
+ *
+ * Saves that do not change the content hash are collapsed into the latest
+ * revision instead of producing a new one.
+ */
+
+import { appendFileSync, existsSync, mkdirSync, readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { createHash } from "node:crypto";
+import { diffWorkflowCode, serializeWorkflowToCode } from "./workflow-serializer.mjs";
+import { stableStringify } from "../utils.mjs";
+
+const TAG = "[workflow-revisions]";
+
+/**
+ * Metadata keys that change on every save and must not affect the content hash.
+ * `diagnostics` is recomputed from the definition itself on save.
+ */
+const VOLATILE_METADATA_KEYS = new Set([
+  "updatedAt",
+  "version",
+  "revision",
+  "revisionHash",
+  "revisionAuthor",
+  "diagnostics",
+]);
+
+function sanitizeRevisionFileName(workflowId) {
+  return String(workflowId || "").replace(/[^a-zA-Z0-9._-]/g, "_");
+}
+
+/**
+ * Compute the content hash of a workflow definition. Volatile metadata
+ * (timestamps, version counters, revision tags) is ignored so that re-saving
+ * an unchanged workflow yields the same hash.
+ * @param {object} def
+ * @returns {string} 16-char hex digest
+ */
+export function computeWorkflowContentHash(def) {
+  const clone = JSON.parse(JSON.stringify(def || {}));
+  if (clone.metadata && typeof clone.metadata === "object") {
+    for (const key of VOLATILE_METADATA_KEYS) delete clone.metadata[key];
+  }
+  return createHash("sha256").update(stableStringify(clone)).digest("hex").slice(0, 16);
+}
+
+function toRevisionSummary(record) {
+  if (!record) return null;
+  const { definition, ...summary } = record;
+  return {
+    ...summary,
+    name: definition?.name || null,
+    nodeCount: Array.isArray(definition?.nodes) ? definition.nodes.length : 0,
+    edgeCount: Array.isArray(definition?.edges) ? definition.edges.length : 0,
+  };
+}
+
+export class WorkflowRevisionStore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.revisionsDir - Directory holding one JSONL file per workflow
+   */
+  constructor(opts = {}) {
+    this.revisionsDir = resolve(String(opts.revisionsDir || ""));
+    this._cache = new Map(); // workflowId → records[]
+  }
+
+  _filePath(workflowId) {
+    return resolve(this.revisionsDir, `${sanitizeRevisionFileName(workflowId)}.jsonl`);
+  }
+
+  _readAll(workflowId) {
+    const key = String(workflowId || "").trim();
+    if (!key) return [];
+    if (this._cache.has(key)) return this._cache.get(key);
+    const filePath = this._filePath(key);
+    const records = [];
+    if (existsSync(filePath)) {
+      const lines = readFileSync(filePath, "utf8").split("\n");
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          const record = JSON.parse(line);
+          if (Number.isInteger(record?.rev)) records.push(record);
+        } catch {
+          console.warn(`${TAG} skipping corrupt revision line for ${key}`);
+        }
+      }
+    }
+    this._cache.set(key, records);
+    return records;
+  }
+
+  /**
+   * Append a revision for the given definition unless its content hash
+   * matches the latest recorded revision.
+   * @param {object} def - Workflow definition (must have an id)
+   * @param {object} [opts]
+   * @param {string} [opts.author]
+   * @param {string} [opts.reason]
+   * @param {number} [opts.rollbackOf] - Revision number this save restores
+   * @returns {{ record: object, created: boolean }}
+   */
+  record(def, opts = {}) {
+    const workflowId = String(def?.id || "").trim();
+    if (!workflowId) throw new Error(`${TAG} Cannot record revision without workflow id`);
+    const records = this._readAll(workflowId);
+    const hash = computeWorkflowContentHash(def);
+    const latest = records.at(-1) || null;
+    if (latest && latest.hash === hash) {
+      return { record: latest, created: false };
+    }
+    const definition = JSON.parse(JSON.stringify(def));
+    if (definition.metadata && typeof definition.metadata === "object") {
+      delete definition.metadata.revision;
+      delete definition.metadata.revisionHash;
+      delete definition.metadata.revisionAuthor;
+    }
+    const record = {
+      rev: (latest?.rev || 0) + 1,
+      workflowId,
+      hash,
+      parentRev: latest?.rev ?? null,
+      author: String(opts.author || "").trim() || "system",
+      reason: String(opts.reason || "").trim() || null,
+      rollbackOf: Number.isInteger(opts.rollbackOf) ? opts.rollbackOf : null,
+      createdAt: new Date().toISOString(),
+      definition,
+    };
+    mkdirSync(this.revisionsDir, { recursive: true });
+    appendFileSync(this._filePath(workflowId), `${JSON.stringify(record)}\n`, "utf8");
+    records.push(record);
+    return { record, created: true };
+  }
+
+  /**
+   * List revision summaries (without definitions), newest first.
+   * @param {string} workflowId
+   * @returns {object[]}
+   */
+  list(workflowId) {
+    return this._readAll(workflowId).map(toRevisionSummary).reverse();
+  }
+
+  /**
+   * Get a full revision record including its definition.
+   * @param {string} workflowId
+   * @param {number|string} rev
+   * @returns {object|null}
+   */
+  get(workflowId, rev) {
+    const wanted = Number(rev);
+    if (!Number.isInteger(wanted)) return null;
+    const record = this._readAll(workflowId).find((entry) => entry.rev === wanted);
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+  }
+
+  /** @returns {object|null} the latest revision record */
+  latest(workflowId) {
+    const record = this._readAll(workflowId).at(-1);
+    return record ? JSON.parse(JSON.stringify(record)) : null;
+  }
+
+  /**
+   * Diff two revisions with diffWorkflowCode().
+   * @param {string} workflowId
+   * @param {number|string} fromRev
+   * @param {number|string} [toRev] - defaults to the latest revision
+   * @returns {object|null}
+   */
+  diff(workflowId, fromRev, toRev) {
+    const from = this.get(workflowId, fromRev);
+    const to = toRev == null || toRev === "" ? this.latest(workflowId) : this.get(workflowId, toRev);
+    if (!from || !to) return null;
+    return {
+      workflowId,
+      fromRev: from.rev,
+      toRev: to.rev,
+      fromHash: from.hash,
+      toHash: to.hash,
+      ...diffWorkflowCode(
+        serializeWorkflowToCode(from.definition).code,
+        serializeWorkflowToCode(to.definition).code,
+      ),
+    };
+  }
+}
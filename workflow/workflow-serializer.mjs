@@ -1,10 +1,32 @@
 /**
- * workflow-serializer.mjs — Workflow ↔ JSON code serialization
+ * workflow-serializer.mjs — Workflow ↔ JSON / YAML code serialization
  *
  * Converts between the internal workflow graph format (nodes/edges/variables)
- * and a clean, human-readable JSON representation for code editing.
+ * and a clean, human-readable JSON or YAML representation for code editing.
+ *
+ * YAML is the authoring format for workflows kept in git: it allows comments,
+ * and re-serializing over the previous YAML source updates it in place so
+ * comments and key order survive a round-trip through the editor. YAML
+ * sources may include shared sub-graphs with `$ref`:
+ *
+ *   nodes:
+ *     - id: trigger
+ *       type: trigger.manual
+ *     - $ref: ./shared/notify.yaml        # { nodes: [...], edges: [...] }
+ *   edges:
+ *     - $ref: ./shared/notify.yaml#/wiring
+ *
+ * A `$ref` item in `nodes` may resolve to a node, a list of nodes or a
+ * sub-graph with `nodes` and `edges`; everywhere else it is replaced by the
+ * referenced value. Paths are relative to the including file and may carry a
+ * JSON pointer after `#`.
  */
 import { createHash } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { dirname, extname, resolve } from "node:path";
+import YAML from "yaml";
+
+const REF_KEY = "$ref";
 
 /**
  * Serialize a workflow object into a clean, human-readable JSON structure.
@@ -13,11 +35,16 @@ import { createHash } from "node:crypto";
  * @returns {{ code: string, hash: string, metadata: object }}
  */
 export function serializeWorkflowToCode(workflow) {
+  const clean = buildCleanWorkflow(workflow);
+  return buildSerializedResult(clean, JSON.stringify(clean, null, 2));
+}
+
+function buildCleanWorkflow(workflow) {
   if (!workflow || typeof workflow !== "object") {
     throw new Error("Invalid workflow: expected an object");
   }
 
-  const clean = {
+  return {
     name: workflow.name || "Untitled Workflow",
     description: workflow.description || "",
     category: workflow.category || "custom",
@@ -43,17 +70,17 @@ export function serializeWorkflowToCode(workflow) {
       };
     }),
   };
+}
 
-  const code = JSON.stringify(clean, null, 2);
+function buildSerializedResult(clean, code) {
   const hash = createHash("sha256").update(code).digest("hex").slice(0, 16);
-
   return {
     code,
     hash,
     metadata: {
       nodeCount: clean.nodes.length,
       edgeCount: clean.edges.length,
-      variableCount: Object.keys(clean.variables).length,
+      variableCount: Object.keys(clean.variables || {}).length,
       triggerTypes: [...new Set(clean.nodes.filter(n => n.type?.startsWith("trigger.")).map(n => n.type))],
       serializedAt: Date.now(),
     },
@@ -61,18 +88,23 @@ export function serializeWorkflowToCode(workflow) {
 }
 
 /**
- * Deserialize JSON code back into a workflow object.
+ * Deserialize JSON or YAML code back into a workflow object.
  * Validates structure and returns errors if invalid.
- * @param {string} code - JSON string to parse
+ * @param {string} code - JSON or YAML string to parse
+ * @param {object} [opts]
+ * @param {"json"|"yaml"} [opts.format] - Defaults to detectWorkflowCodeFormat(code)
+ * @param {string} [opts.baseDir] - Directory YAML `$ref` paths are relative to
  * @returns {{ workflow: object | null, errors: string[] }}
  */
-export function deserializeCodeToWorkflow(code) {
-  const errors = [];
-
+export function deserializeCodeToWorkflow(code, opts = {}) {
   if (typeof code !== "string" || !code.trim()) {
     return { workflow: null, errors: ["Empty or non-string input"] };
   }
 
+  if (resolveCodeFormat(code, opts.format) === "yaml") {
+    return deserializeYamlToWorkflow(code, opts);
+  }
+
   let parsed;
   try {
     parsed = JSON.parse(code);
@@ -84,6 +116,12 @@ export function deserializeCodeToWorkflow(code) {
     return { workflow: null, errors: ["Root must be a JSON object"] };
   }
 
+  return buildWorkflowFromParsed(parsed);
+}
+
+function buildWorkflowFromParsed(parsed) {
+  const errors = [];
+
   // Validate required fields
   if (typeof parsed.name !== "string" || !parsed.name.trim()) {
     errors.push("Missing or empty 'name' field");
@@ -166,30 +204,37 @@ export function deserializeCodeToWorkflow(code) {
 }
 
 /**
- * Validate a JSON code string without fully parsing it into a workflow.
+ * Validate a JSON or YAML code string without fully parsing it into a workflow.
  * Returns validation results with line numbers for errors when possible.
- * @param {string} code - JSON string to validate
+ * @param {string} code - JSON or YAML string to validate
+ * @param {object} [opts] - Same as deserializeCodeToWorkflow()
  * @returns {{ valid: boolean, errors: Array<{ message: string, line?: number }> }}
  */
-export function validateWorkflowCode(code) {
+export function validateWorkflowCode(code, opts = {}) {
   if (typeof code !== "string" || !code.trim()) {
     return { valid: false, errors: [{ message: "Empty input" }] };
   }
 
-  try {
-    JSON.parse(code);
-  } catch (err) {
-    // Try to extract line number from JSON parse error
-    const lineMatch = String(err.message).match(/position\s+(\d+)/i);
-    let line;
-    if (lineMatch) {
-      const pos = parseInt(lineMatch[1], 10);
-      line = code.slice(0, pos).split("\n").length;
+  const format = resolveCodeFormat(code, opts.format);
+  if (format === "yaml") {
+    const { errors } = parseWorkflowYaml(code, opts);
+    if (errors.length > 0) return { valid: false, errors };
+  } else {
+    try {
+      JSON.parse(code);
+    } catch (err) {
+      // Try to extract line number from JSON parse error
+      const lineMatch = String(err.message).match(/position\s+(\d+)/i);
+      let line;
+      if (lineMatch) {
+        const pos = parseInt(lineMatch[1], 10);
+        line = code.slice(0, pos).split("\n").length;
+      }
+      return { valid: false, errors: [{ message: `JSON syntax error: ${err.message}`, line }] };
     }
-    return { valid: false, errors: [{ message: `JSON syntax error: ${err.message}`, line }] };
   }
 
-  const { errors } = deserializeCodeToWorkflow(code);
+  const { errors } = deserializeCodeToWorkflow(code, { ...opts, format });
   return {
     valid: errors.length === 0,
     errors: errors.map(e => ({ message: e })),
@@ -197,14 +242,16 @@ export function validateWorkflowCode(code) {
 }
 
 /**
- * Compute a diff summary between two workflow code strings.
+ * Compute a diff summary between two workflow code strings. Either side may
+ * be JSON or YAML.
  * @param {string} oldCode
  * @param {string} newCode
+ * @param {object} [opts] - Same as deserializeCodeToWorkflow()
  * @returns {{ changed: boolean, summary: string, nodesDiff: object, edgesDiff: object }}
  */
-export function diffWorkflowCode(oldCode, newCode) {
-  const oldResult = deserializeCodeToWorkflow(oldCode);
-  const newResult = deserializeCodeToWorkflow(newCode);
+export function diffWorkflowCode(oldCode, newCode, opts = {}) {
+  const oldResult = deserializeCodeToWorkflow(oldCode, opts);
+  const newResult = deserializeCodeToWorkflow(newCode, opts);
 
   if (oldResult.errors.length > 0 || newResult.errors.length > 0) {
     return { changed: true, summary: "Cannot diff — parse errors present", nodesDiff: {}, edgesDiff: {} };
@@ -250,3 +297,326 @@ export function diffWorkflowCode(oldCode, newCode) {
     edgesDiff: { added: edgesAdded, removed: edgesRemoved },
   };
 }
+
+// ── YAML ────────────────────────────────────────────────────────────────────
+
+/**
+ * Guess the format of a code string: JSON documents start with `{`.
+ * @param {string} code
+ * @returns {"json"|"yaml"}
+ */
+export function detectWorkflowCodeFormat(code) {
+  return /^\s*[{[]/.test(String(code || "")) ? "json" : "yaml";
+}
+
+function resolveCodeFormat(code, format) {
+  const normalized = String(format || "").trim().toLowerCase();
+  if (normalized === "yaml" || normalized === "yml") return "yaml";
+  if (normalized === "json") return "json";
+  return detectWorkflowCodeFormat(code);
+}
+
+/**
+ * Serialize a workflow into YAML. Defaults (empty description, "custom"
+ * category, labels equal to the node id, unset positions) are left out.
+ *
+ * Pass the previous YAML source to update it in place instead: comments and
+ * the order of existing keys, nodes and edges are kept, and nodes or edges
+ * that come from a `$ref` include stay a `$ref`. Edit the included file to
+ * change them.
+ *
+ * @param {object} workflow - The workflow object from storage
+ * @param {object} [opts]
+ * @param {string} [opts.source] - YAML the workflow was loaded from
+ * @param {string} [opts.baseDir] - Directory `$ref` paths in the source are relative to
+ * @returns {{ code: string, hash: string, metadata: object }}
+ */
+export function serializeWorkflowToYaml(workflow, { source = "", baseDir = "" } = {}) {
+  const clean = buildYamlWorkflow(workflow);
+  if (typeof source !== "string" || !source.trim()) {
+    return buildSerializedResult(clean, YAML.stringify(clean));
+  }
+
+  const doc = YAML.parseDocument(source);
+  if (doc.errors.length > 0) {
+    throw new Error(`Cannot update YAML source: ${firstLine(doc.errors[0].message)}`);
+  }
+  const { errors, includes } = parseWorkflowYaml(source, { baseDir });
+  if (errors.length > 0) {
+    throw new Error(`Cannot update YAML source: ${errors[0].message}`);
+  }
+  const own = {
+    ...clean,
+    nodes: clean.nodes.filter((node) => !includes.nodeIds.has(node.id)),
+    edges: clean.edges.filter((edge) => !includes.edgeKeys.has(edgeKey((key) => edge[key]))),
+  };
+  doc.contents = reconcileYamlNode(doc.contents, own, []);
+  return buildSerializedResult(clean, doc.toString());
+}
+
+/**
+ * Deserialize YAML code into a workflow object, resolving `$ref` includes.
+ * @param {string} code
+ * @param {object} [opts]
+ * @param {string} [opts.baseDir] - Directory `$ref` paths are relative to
+ * @returns {{ workflow: object | null, errors: string[] }}
+ */
+export function deserializeYamlToWorkflow(code, opts = {}) {
+  if (typeof code !== "string" || !code.trim()) {
+    return { workflow: null, errors: ["Empty or non-string input"] };
+  }
+  const { workflow, errors } = parseWorkflowYaml(code, opts);
+  if (errors.length > 0) {
+    return { workflow: null, errors: errors.map((entry) => entry.message) };
+  }
+  return buildWorkflowFromParsed(workflow);
+}
+
+/**
+ * Parse a YAML workflow document as-is (every top-level field is kept) and
+ * resolve its `$ref` includes. Used to load `*.workflow.yaml` files.
+ * @param {string} code
+ * @param {object} [opts]
+ * @param {string} [opts.baseDir] - Directory `$ref` paths are relative to
+ * @returns {{ workflow: object | null, errors: Array<{ message: string, line?: number }>,
+ *   includes: { nodeIds: Set<string>, edgeKeys: Set<string> } }}
+ */
+export function parseWorkflowYaml(code, { baseDir = "" } = {}) {
+  const includes = { nodeIds: new Set(), edgeKeys: new Set() };
+  const doc = YAML.parseDocument(String(code || ""), { prettyErrors: true });
+  if (doc.errors.length > 0) {
+    return {
+      workflow: null,
+      includes,
+      errors: doc.errors.map((err) => ({
+        message: `YAML syntax error: ${firstLine(err.message)}`,
+        line: (err.linePos?.start ?? err.linePos?.[0])?.line,
+      })),
+    };
+  }
+
+  const parsed = doc.toJSON();
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { workflow: null, includes, errors: [{ message: "Root must be a YAML mapping" }] };
+  }
+
+  try {
+    const ctx = { baseDir, stack: [] };
+    const graph = { nodes: [], edges: [] };
+    const workflow = {};
+    for (const [key, value] of Object.entries(parsed)) {
+      workflow[key] = (key === "nodes" || key === "edges") && Array.isArray(value)
+        ? graph[key]
+        : expandRefs(value, ctx);
+    }
+    collectGraph(parsed, ctx, graph, includes, false);
+    // Sub-graphs may bring edges into a workflow that declares none itself
+    if (graph.edges.length > 0) workflow.edges = graph.edges;
+    return { workflow, includes, errors: [] };
+  } catch (err) {
+    return { workflow: null, includes, errors: [{ message: `Cannot resolve $ref: ${err.message}` }] };
+  }
+}
+
+function buildYamlWorkflow(workflow) {
+  const clean = buildCleanWorkflow(workflow);
+  return {
+    ...(workflow.id ? { id: workflow.id } : {}),
+    name: clean.name,
+    ...(clean.description ? { description: clean.description } : {}),
+    ...(clean.category !== "custom" ? { category: clean.category } : {}),
+    ...(clean.enabled ? {} : { enabled: false }),
+    ...(Object.keys(clean.variables).length > 0 ? { variables: clean.variables } : {}),
+    // Kept so workflows persisted as YAML by the engine do not lose their limits
+    ...(workflow.budget ? { budget: workflow.budget } : {}),
+    nodes: clean.nodes.map((node) => ({
+      id: node.id,
+      type: node.type,
+      ...(node.label !== node.id ? { label: node.label } : {}),
+      ...(node.config ? { config: node.config } : {}),
+      ...(node.position.x || node.position.y ? { position: node.position } : {}),
+    })),
+    edges: clean.edges,
+  };
+}
+
+function firstLine(message) {
+  return String(message || "").split("\n")[0].trim();
+}
+
+function edgeKey(get) {
+  const part = (value) => String(value ?? "").trim();
+  return `${part(get("source"))}:${part(get("sourcePort") ?? get("fromPort"))}`
+    + `->${part(get("target"))}:${part(get("targetPort") ?? get("toPort"))}`;
+}
+
+// ── $ref includes ──
+
+function isRefValue(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value) && Object.hasOwn(value, REF_KEY);
+}
+
+function loadRef(item, ctx) {
+  const ref = String(item[REF_KEY] || "").trim();
+  const extra = Object.keys(item).filter((key) => key !== REF_KEY);
+  if (extra.length > 0) {
+    throw new Error(`"${ref}" cannot be combined with other keys (${extra.join(", ")})`);
+  }
+  const hashIndex = ref.indexOf("#");
+  const file = hashIndex === -1 ? ref : ref.slice(0, hashIndex);
+  const pointer = hashIndex === -1 ? "" : ref.slice(hashIndex + 1);
+  if (!file) throw new Error(`"${ref}" must name a file`);
+  if (!ctx.baseDir) throw new Error(`"${ref}" needs a base directory to resolve against`);
+
+  const filePath = resolve(ctx.baseDir, file);
+  if (ctx.stack.includes(filePath)) {
+    throw new Error(`circular include ${[...ctx.stack, filePath].join(" -> ")}`);
+  }
+  const raw = readFileSync(filePath, "utf8");
+  let parsed;
+  if (extname(filePath).toLowerCase() === ".json") {
+    parsed = JSON.parse(raw);
+  } else {
+    const doc = YAML.parseDocument(raw);
+    if (doc.errors.length > 0) throw new Error(`${file}: ${firstLine(doc.errors[0].message)}`);
+    parsed = doc.toJSON();
+  }
+
+  let value = parsed;
+  for (const segment of pointer.split("/").slice(1)) {
+    const key = segment.replace(/~1/g, "/").replace(/~0/g, "~");
+    value = value !== null && typeof value === "object" ? value[key] : undefined;
+  }
+  if (value === undefined) throw new Error(`"${ref}" does not point at a value`);
+  return { value, ctx: { baseDir: dirname(filePath), stack: [...ctx.stack, filePath] } };
+}
+
+function expandRefs(value, ctx) {
+  if (Array.isArray(value)) return value.map((item) => expandRefs(item, ctx));
+  if (isRefValue(value)) {
+    const loaded = loadRef(value, ctx);
+    return expandRefs(loaded.value, loaded.ctx);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, expandRefs(entry, ctx)]));
+  }
+  return value;
+}
+
+/** Splice nodes and edges of a (possibly included) graph into `out`. */
+function collectGraph(graph, ctx, out, includes, included) {
+  for (const item of Array.isArray(graph.nodes) ? graph.nodes : []) {
+    if (isRefValue(item)) {
+      const loaded = loadRef(item, ctx);
+      const value = loaded.value;
+      const sub = Array.isArray(value) ? { nodes: value } : Array.isArray(value?.nodes) ? value : { nodes: [value] };
+      collectGraph(sub, loaded.ctx, out, includes, true);
+      continue;
+    }
+    const node = expandRefs(item, ctx);
+    out.nodes.push(node);
+    if (included && node?.id) includes.nodeIds.add(node.id);
+  }
+  for (const item of Array.isArray(graph.edges) ? graph.edges : []) {
+    if (isRefValue(item)) {
+      const loaded = loadRef(item, ctx);
+      const value = loaded.value;
+      collectGraph({ edges: Array.isArray(value) ? value : value?.edges || [value] }, loaded.ctx, out, includes, true);
+      continue;
+    }
+    const edge = expandRefs(item, ctx);
+    out.edges.push(edge);
+    if (included && edge) includes.edgeKeys.add(edgeKey((key) => edge[key]));
+  }
+}
+
+// ── In-place updates of a parsed YAML document ──
+
+function isYamlPair(item) {
+  return item !== null && typeof item === "object" && "key" in item;
+}
+
+function isYamlMap(node) {
+  return Array.isArray(node?.items) && node.items.every(isYamlPair);
+}
+
+function isYamlSeq(node) {
+  return Array.isArray(node?.items) && !node.items.some(isYamlPair);
+}
+
+function isYamlScalar(node) {
+  return node !== null && typeof node === "object" && !Array.isArray(node.items) && "value" in node;
+}
+
+function createYamlNode(value) {
+  return YAML.parseDocument(YAML.stringify(value ?? null)).contents;
+}
+
+/** Items of the top-level `nodes` and `edges` lists are matched by identity. */
+function getSeqItemKey(path) {
+  if (path.length !== 1) return null;
+  if (path[0] === "nodes") return (get) => String(get("id") ?? "");
+  if (path[0] === "edges") return edgeKey;
+  return null;
+}
+
+function reconcileYamlNode(node, value, path) {
+  if (value && typeof value === "object" && !Array.isArray(value) && isYamlMap(node)) {
+    return reconcileYamlMap(node, value, path);
+  }
+  if (Array.isArray(value) && isYamlSeq(node)) {
+    return reconcileYamlSeq(node, value, path);
+  }
+  if (isYamlScalar(node) && (value === null || typeof value !== "object")) {
+    if (node.value !== value) node.value = value;
+    return node;
+  }
+  const next = createYamlNode(value);
+  if (node && typeof node === "object") {
+    next.commentBefore = node.commentBefore;
+    next.comment = node.comment;
+  }
+  return next;
+}
+
+function reconcileYamlMap(map, value, path) {
+  const seen = new Set();
+  map.items = map.items.filter((pair) => {
+    const key = String(pair.key?.value ?? pair.key);
+    if (!Object.hasOwn(value, key) || value[key] === undefined || seen.has(key)) return false;
+    seen.add(key);
+    pair.value = reconcileYamlNode(pair.value, value[key], [...path, key]);
+    return true;
+  });
+  for (const [key, entry] of Object.entries(value)) {
+    if (!seen.has(key) && entry !== undefined) map.set(key, createYamlNode(entry));
+  }
+  return map;
+}
+
+function reconcileYamlSeq(seq, values, path) {
+  const keyOf = getSeqItemKey(path);
+  if (!keyOf) {
+    seq.items = values.map((entry, index) => (
+      index < seq.items.length ? reconcileYamlNode(seq.items[index], entry, [...path, index]) : createYamlNode(entry)
+    ));
+    return seq;
+  }
+
+  const pending = new Map(values.map((entry) => [keyOf((key) => entry?.[key]), entry]));
+  const items = [];
+  for (const item of seq.items) {
+    const get = (key) => (isYamlMap(item) ? item.get(key) : undefined);
+    if (get(REF_KEY) !== undefined) {
+      items.push(item);
+      continue;
+    }
+    const key = keyOf(get);
+    if (!pending.has(key)) continue;
+    items.push(reconcileYamlNode(item, pending.get(key), [...path, key]));
+    pending.delete(key);
+  }
+  for (const entry of pending.values()) items.push(createYamlNode(entry));
+  seq.items = items;
+  return seq;
+}
@@ -0,0 +1,490 @@
+/**
+ * workflow-test-runner.mjs — Unit tests for workflow definitions
+ *
+ * Test files live next to the workflows they cover as `<name>.wftest.json`
+ * (for `<name>.json`) or name the workflow explicitly. Each file holds one
+ * or more cases:
+ *
+ *   {
+ *     "workflow": "my-workflow",            // optional: id or path to a .json definition
+ *     "tests": [{
+ *       "name": "ships when score is high",
+ *       "input": { "taskId": "T-1" },
+ *       "variables": { "threshold": 5 },
+ *       "mocks": {
+ *         "nodes": { "score": { "score": 9 } },                 // by node id
+ *         "types": { "notify.telegram": { "sent": true } }     // by node type
+ *       },
+ *       "expect": {
+ *         "status": "completed",
+ *         "visited": ["score", "ship"],
+ *         "notVisited": ["hold"],
+ *         "nodeStatuses": { "hold": "skipped" },
+ *         "outputs": { "gate": { "result": true } },
+ *         "data": { "verdict": "ship" },
+ *         "variables": { "threshold": 5 }
+ *       }
+ *     }]
+ *   }
+ *
+ * A mock value of `{ "$error": "message" }` makes the node fail. Each case
+ * runs through WorkflowEngine.executeDefinition() on a throwaway engine whose
+ * agent pool refuses every call, and agent nodes without a mock fail — real
+ * agents are never started. `"strict": true` on a case or file extends that
+ * to every node that is not a condition or transform.
+ *
+ * Results can be rendered as TAP or JUnit XML for CI.
+ */
+
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync, statSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { basename, dirname, join, relative, resolve } from "node:path";
+import { WorkflowEngine } from "./workflow-engine.mjs";
+import { isReplayPureNodeType } from "./workflow-replay.mjs";
+import { stableStringify } from "../utils.mjs";
+import "./workflow-nodes.mjs";
+
+const TAG = "[workflow-test]";
+
+export const WORKFLOW_TEST_SUFFIX = ".wftest.json";
+
+/** Node types that start agents; they must be mocked in tests. */
+const AGENT_NODE_PREFIXES = ["agent."];
+const AGENT_NODE_TYPES = new Set([
+  "action.run_agent",
+  "action.continue_session",
+  "action.restart_agent",
+]);
+
+function isAgentNodeType(nodeType) {
+  const type = String(nodeType || "");
+  return AGENT_NODE_TYPES.has(type) || AGENT_NODE_PREFIXES.some((prefix) => type.startsWith(prefix));
+}
+
+/**
+ * Partial deep match: every key in `expected` must match in `actual`;
+ * arrays and scalars must be equal.
+ */
+function matchesExpected(actual, expected) {
+  if (expected && typeof expected === "object" && !Array.isArray(expected)) {
+    if (!actual || typeof actual !== "object" || Array.isArray(actual)) return false;
+    return Object.entries(expected).every(([key, value]) => matchesExpected(actual[key], value));
+  }
+  return stableStringify(actual) === stableStringify(expected);
+}
+
+function readPath(source, path) {
+  let current = source;
+  for (const segment of String(path).split(".")) {
+    if (current == null || typeof current !== "object") return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+function formatJson(value) {
+  const text = JSON.stringify(value);
+  return text === undefined ? "undefined" : text;
+}
+
+/**
+ * Service stand-in that throws on any method call, so a node that reaches
+ * for a real agent fails loudly instead of starting one.
+ */
+function createBlockedService(name) {
+  return new Proxy({}, {
+    get(_target, prop) {
+      if (typeof prop === "symbol" || prop === "then" || prop === "toJSON") return undefined;
+      return () => {
+        throw new Error(`${TAG} ${name}.${String(prop)}() is disabled in workflow tests — mock the node instead`);
+      };
+    },
+  });
+}
+
+/**
+ * Node stubs for a single test case. Passed to the engine as `opts.nodeStubs`.
+ */
+export class WorkflowTestMocks {
+  /**
+   * @param {object} [mocks]
+   * @param {Record<string, any>} [mocks.nodes] - Outputs keyed by node id
+   * @param {Record<string, any>} [mocks.types] - Outputs keyed by node type
+   * @param {object} [opts]
+   * @param {boolean} [opts.strict=false] - Require mocks for every impure node
+   */
+  constructor(mocks = {}, opts = {}) {
+    this.nodes = { ...(mocks?.nodes || {}) };
+    this.types = { ...(mocks?.types || {}) };
+    this.strict = opts.strict === true;
+    this.usedMocks = new Set();
+  }
+
+  _lookup(node) {
+    if (Object.hasOwn(this.nodes, node.id)) return { key: `node:${node.id}`, value: this.nodes[node.id] };
+    if (Object.hasOwn(this.types, node.type)) return { key: `type:${node.type}`, value: this.types[node.type] };
+    return null;
+  }
+
+  shouldStub(node) {
+    if (this._lookup(node)) return true;
+    if (isAgentNodeType(node.type)) return true;
+    return this.strict && !isReplayPureNodeType(node.type) && !String(node.type || "").startsWith("trigger.");
+  }
+
+  stub(node, ctx) {
+    const mock = this._lookup(node);
+    if (!mock) {
+      const err = new Error(`${TAG} Node "${node.id}" (${node.type}) has no mock — add one under mocks.nodes or mocks.types`);
+      err.retryable = false;
+      throw err;
+    }
+    this.usedMocks.add(mock.key);
+    if (mock.value && typeof mock.value === "object" && typeof mock.value.$error === "string") {
+      const err = new Error(mock.value.$error);
+      err.retryable = false;
+      throw err;
+    }
+    ctx.log(node.id, `[test] Using mocked output for ${node.type}`);
+    return mock.value === undefined ? undefined : JSON.parse(JSON.stringify(mock.value));
+  }
+}
+
+// ── Discovery ───────────────────────────────────────────────────────────────
+
+function collectTestFiles(target, out) {
+  if (!existsSync(target)) return;
+  const stat = statSync(target);
+  if (stat.isFile()) {
+    if (target.endsWith(WORKFLOW_TEST_SUFFIX)) out.add(resolve(target));
+    return;
+  }
+  for (const entry of readdirSync(target, { withFileTypes: true })) {
+    if (entry.name === "node_modules" || entry.name.startsWith(".git")) continue;
+    const full = join(target, entry.name);
+    if (entry.isDirectory()) collectTestFiles(full, out);
+    else if (entry.name.endsWith(WORKFLOW_TEST_SUFFIX)) out.add(resolve(full));
+  }
+}
+
+/**
+ * Find *.wftest.json files under the given files/directories.
+ * @param {string[]|string} targets
+ * @returns {string[]} sorted absolute paths
+ */
+export function discoverWorkflowTests(targets) {
+  const out = new Set();
+  for (const target of Array.isArray(targets) ? targets : [targets]) {
+    if (target) collectTestFiles(resolve(String(target)), out);
+  }
+  return Array.from(out).sort();
+}
+
+function readJsonFile(filePath, label) {
+  try {
+    return JSON.parse(readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`${TAG} Cannot read ${label} ${filePath}: ${err?.message || err}`);
+  }
+}
+
+/**
+ * Resolve the workflow definition a test file covers.
+ * @param {string} testFile
+ * @param {object} spec - Parsed test file
+ * @param {object} [opts]
+ * @param {string} [opts.workflowDir] - Directory searched for workflows referenced by id
+ * @returns {object} workflow definition
+ */
+export function resolveWorkflowForTest(testFile, spec, opts = {}) {
+  const dir = dirname(testFile);
+  const ref = typeof spec?.workflow === "string" ? spec.workflow.trim() : "";
+  if (spec?.workflow && typeof spec.workflow === "object") return spec.workflow;
+
+  const candidates = [];
+  if (ref) {
+    if (ref.endsWith(".json")) candidates.push(resolve(dir, ref));
+    candidates.push(resolve(dir, `${ref}.json`));
+    if (opts.workflowDir) candidates.push(resolve(opts.workflowDir, `${ref}.json`));
+  } else {
+    candidates.push(resolve(dir, `${basename(testFile, WORKFLOW_TEST_SUFFIX)}.json`));
+  }
+  for (const candidate of candidates) {
+    if (existsSync(candidate)) return readJsonFile(candidate, "workflow");
+  }
+
+  // Fall back to scanning for a definition with a matching id
+  const wantedId = ref || basename(testFile, WORKFLOW_TEST_SUFFIX);
+  for (const searchDir of [dir, opts.workflowDir].filter(Boolean)) {
+    if (!existsSync(searchDir)) continue;
+    for (const name of readdirSync(searchDir)) {
+      if (!name.endsWith(".json") || name.endsWith(WORKFLOW_TEST_SUFFIX)) continue;
+      try {
+        const def = JSON.parse(readFileSync(resolve(searchDir, name), "utf8"));
+        if (def?.id === wantedId) return def;
+      } catch {
+        /* not a workflow definition */
+      }
+    }
+  }
+  throw new Error(`${TAG} Workflow "${wantedId}" for ${basename(testFile)} not found`);
+}
+
+// ── Execution ───────────────────────────────────────────────────────────────
+
+function didRun(status) {
+  return status === "completed" || status === "failed";
+}
+
+function checkExpectations(expect = {}, result) {
+  const failures = [];
+  const { status, nodeStatuses, nodeOutputs, data, variables } = result;
+
+  if (expect.status && expect.status !== status) {
+    failures.push(`expected status ${expect.status}, got ${status}`);
+  }
+  for (const nodeId of expect.visited || []) {
+    if (!didRun(nodeStatuses[nodeId])) {
+      failures.push(`expected node "${nodeId}" to be visited, but it was ${nodeStatuses[nodeId] || "not run"}`);
+    }
+  }
+  for (const nodeId of expect.notVisited || []) {
+    if (didRun(nodeStatuses[nodeId])) {
+      failures.push(`expected node "${nodeId}" not to be visited, but it ${nodeStatuses[nodeId]}`);
+    }
+  }
+  for (const [nodeId, wanted] of Object.entries(expect.nodeStatuses || {})) {
+    const actual = nodeStatuses[nodeId] || "not_run";
+    if (actual !== wanted) failures.push(`expected node "${nodeId}" status ${wanted}, got ${actual}`);
+  }
+  for (const [nodeId, wanted] of Object.entries(expect.outputs || {})) {
+    if (!matchesExpected(nodeOutputs[nodeId], wanted)) {
+      failures.push(`output of "${nodeId}": expected ${formatJson(wanted)}, got ${formatJson(nodeOutputs[nodeId])}`);
+    }
+  }
+  for (const [path, wanted] of Object.entries(expect.data || {})) {
+    const actual = readPath(data, path);
+    if (!matchesExpected(actual, wanted)) {
+      failures.push(`data.${path}: expected ${formatJson(wanted)}, got ${formatJson(actual)}`);
+    }
+  }
+  for (const [path, wanted] of Object.entries(expect.variables || {})) {
+    const actual = readPath(variables, path);
+    if (!matchesExpected(actual, wanted)) {
+      failures.push(`variables.${path}: expected ${formatJson(wanted)}, got ${formatJson(actual)}`);
+    }
+  }
+  return failures;
+}
+
+async function runCase(engine, def, testCase, { file, strict }) {
+  const name = String(testCase?.name || "").trim() || "unnamed";
+  const startedAt = Date.now();
+  const base = { name, file, workflowId: def.id || null };
+  try {
+    const mocks = new WorkflowTestMocks(testCase.mocks, { strict: testCase.strict ?? strict });
+    const caseDef = {
+      ...def,
+      variables: { ...(def.variables || {}), ...(testCase.variables || {}) },
+    };
+    const ctx = await engine.executeDefinition(caseDef, { ...(testCase.input || {}) }, {
+      force: true,
+      nodeStubs: mocks,
+    });
+    const runDetail = engine.getRunDetail(ctx.id);
+    const failures = checkExpectations(testCase.expect, {
+      status: runDetail?.status || (ctx.errors.length ? "failed" : "completed"),
+      nodeStatuses: Object.fromEntries(ctx.nodeStatuses),
+      nodeOutputs: Object.fromEntries(ctx.nodeOutputs),
+      data: ctx.data,
+      variables: ctx.variables,
+    });
+    const visited = Array.from(ctx.nodeStatuses)
+      .filter(([, status]) => didRun(status))
+      .map(([nodeId]) => nodeId);
+    return {
+      ...base,
+      ok: failures.length === 0,
+      failures,
+      visited,
+      errors: ctx.errors.map((entry) => `${entry.nodeId}: ${entry.error}`),
+      durationMs: Date.now() - startedAt,
+    };
+  } catch (err) {
+    return {
+      ...base,
+      ok: false,
+      failures: [`run threw: ${err?.message || err}`],
+      visited: [],
+      errors: [],
+      durationMs: Date.now() - startedAt,
+    };
+  }
+}
+
+/**
+ * Run workflow test files.
+ *
+ * @param {object} opts
+ * @param {string[]} opts.files - *.wftest.json files (see discoverWorkflowTests)
+ * @param {string} [opts.workflowDir] - Where workflows referenced by id live
+ * @param {string} [opts.filter] - Only run cases whose name contains this text
+ * @param {string} [opts.cwd] - Base for file names in results
+ * @returns {Promise<{ ok: boolean, total: number, passed: number, failed: number, durationMs: number, results: object[] }>}
+ */
+export async function runWorkflowTests(opts = {}) {
+  const files = Array.isArray(opts.files) ? opts.files : [];
+  const filter = String(opts.filter || "").trim().toLowerCase();
+  const cwd = opts.cwd || process.cwd();
+  const sandboxDir = mkdtempSync(join(tmpdir(), "bosun-wftest-"));
+  const engine = new WorkflowEngine({
+    workflowDir: join(sandboxDir, "workflows"),
+    runsDir: join(sandboxDir, "runs"),
+    configDir: sandboxDir,
+    detectInterruptedRuns: false,
+    services: { agentPool: createBlockedService("agentPool") },
+  });
+  const startedAt = Date.now();
+  const results = [];
+
+  try {
+    for (const file of files) {
+      const displayFile = relative(cwd, file) || basename(file);
+      let spec;
+      let def;
+      try {
+        spec = readJsonFile(file, "test file");
+        def = resolveWorkflowForTest(file, spec, opts);
+      } catch (err) {
+        results.push({
+          name: "load",
+          file: displayFile,
+          workflowId: null,
+          ok: false,
+          failures: [err?.message || String(err)],
+          visited: [],
+          errors: [],
+          durationMs: 0,
+        });
+        continue;
+      }
+      const cases = Array.isArray(spec?.tests) ? spec.tests : [spec];
+      for (const testCase of cases) {
+        const name = String(testCase?.name || "");
+        if (filter && !name.toLowerCase().includes(filter)) continue;
+        results.push(await runCase(engine, def, testCase, { file: displayFile, strict: spec?.strict === true }));
+      }
+    }
+  } finally {
+    rmSync(sandboxDir, { recursive: true, force: true });
+  }
+
+  const failed = results.filter((entry) => !entry.ok).length;
+  return {
+    ok: failed === 0,
+    total: results.length,
+    passed: results.length - failed,
+    failed,
+    durationMs: Date.now() - startedAt,
+    results,
+  };
+}
+
+// ── Reporters ───────────────────────────────────────────────────────────────
+
+function caseTitle(result) {
+  return `${result.file} > ${result.name}`;
+}
+
+function yamlString(value) {
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Render results as TAP version 13.
+ * @param {{ results: object[] }} summary
+ * @returns {string}
+ */
+export function formatTapReport(summary) {
+  const lines = ["TAP version 13", `1..${summary.results.length}`];
+  summary.results.forEach((result, index) => {
+    lines.push(`${result.ok ? "ok" : "not ok"} ${index + 1} - ${caseTitle(result)}`);
+    if (result.ok) return;
+    lines.push("  ---");
+    lines.push(`  workflow: ${yamlString(result.workflowId || "")}`);
+    lines.push("  failures:");
+    for (const failure of result.failures) lines.push(`    - ${yamlString(failure)}`);
+    if (result.errors.length) {
+      lines.push("  errors:");
+      for (const error of result.errors) lines.push(`    - ${yamlString(error)}`);
+    }
+    lines.push("  ...");
+  });
+  lines.push(`# tests ${summary.total}`);
+  lines.push(`# pass ${summary.passed}`);
+  lines.push(`# fail ${summary.failed}`);
+  return `${lines.join("\n")}\n`;
+}
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function seconds(ms) {
+  return (Math.max(0, Number(ms) || 0) / 1000).toFixed(3);
+}
+
+/**
+ * Render results as JUnit XML (one <testsuite> per test file).
+ * @param {{ results: object[], total: number, failed: number, durationMs: number }} summary
+ * @returns {string}
+ */
+export function formatJUnitReport(summary) {
+  const suites = new Map();
+  for (const result of summary.results) {
+    if (!suites.has(result.file)) suites.set(result.file, []);
+    suites.get(result.file).push(result);
+  }
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="bosun workflow tests" tests="${summary.total}" failures="${summary.failed}" time="${seconds(summary.durationMs)}">`,
+  ];
+  for (const [file, results] of suites) {
+    const failures = results.filter((entry) => !entry.ok).length;
+    const time = results.reduce((sum, entry) => sum + entry.durationMs, 0);
+    lines.push(`  <testsuite name="${escapeXml(file)}" tests="${results.length}" failures="${failures}" time="${seconds(time)}">`);
+    for (const result of results) {
+      const open = `    <testcase name="${escapeXml(result.name)}" classname="${escapeXml(result.workflowId || file)}" time="${seconds(result.durationMs)}"`;
+      if (result.ok) {
+        lines.push(`${open}/>`);
+        continue;
+      }
+      lines.push(`${open}>`);
+      lines.push(`      <failure message="${escapeXml(result.failures[0] || "failed")}">${escapeXml([...result.failures, ...result.errors].join("\n"))}</failure>`);
+      lines.push("    </testcase>");
+    }
+    lines.push("  </testsuite>");
+  }
+  lines.push("</testsuites>");
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Render results as short human-readable lines.
+ * @param {{ results: object[] }} summary
+ * @returns {string[]}
+ */
+export function formatTextReport(summary) {
+  const lines = [];
+  for (const result of summary.results) {
+    lines.push(`${result.ok ? "PASS" : "FAIL"} ${caseTitle(result)} (${result.durationMs}ms)`);
+    for (const failure of result.failures) lines.push(`  - ${failure}`);
+  }
+  lines.push(`tests=${summary.total} passed=${summary.passed} failed=${summary.failed}`);
+  return lines;
+}